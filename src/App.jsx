@@ -29,6 +29,15 @@ const ChartOfAccounts = lazy(() => import('./pages/Library/ChartOfAccounts'));
 const CostCenterReports = lazy(() => import('./pages/Library/CostCenterReports'));
 const MemberTaskHistory = lazy(() => import('./pages/MemberTaskHistory'));
 const ProjectCostCalculator = lazy(() => import('./pages/ProjectCostCalculator'));
+const Scenarios = lazy(() => import('./pages/Scenarios'));
+const ScenarioDetail = lazy(() => import('./pages/ScenarioDetail'));
+const Baselines = lazy(() => import('./pages/Baselines'));
+const Quotes = lazy(() => import('./pages/Quotes'));
+const Approvals = lazy(() => import('./pages/Approvals'));
+const Chargebacks = lazy(() => import('./pages/Chargebacks'));
+const Timesheets = lazy(() => import('./pages/Timesheets'));
+const Projects = lazy(() => import('./pages/Library/Projects'));
+const ProjectDetail = lazy(() => import('./pages/ProjectDetail'));
 const Settings = lazy(() => import('./pages/Settings'));
 
 import { useKeyboardShortcuts } from './hooks/useKeyboardShortcuts';
@@ -90,8 +99,17 @@ function App() {
                     <Route path="dates" element={<ImportantDates />} />
                     <Route path="member/:memberId" element={<MemberTaskHistory />} />
                     <Route path="cost-calculator" element={<ProjectCostCalculator />} />
+                    <Route path="quotes" element={<Quotes />} />
+                    <Route path="approvals" element={<Approvals />} />
+                    <Route path="chargebacks" element={<Chargebacks />} />
+                    <Route path="scenarios" element={<Scenarios />} />
+                    <Route path="scenarios/:scenarioId" element={<ScenarioDetail />} />
+                    <Route path="baselines" element={<Baselines />} />
+                    <Route path="timesheets" element={<Timesheets />} />
+                    <Route path="projects/:id" element={<ProjectDetail />} />
 
                     {/* Library (Config) */}
+                    <Route path="library/projects" element={<Projects />} />
                     <Route path="library/members" element={<TeamMembers />} />
                     <Route path="library/phases" element={<Phases />} />
                     <Route path="library/tasks" element={<TaskTemplates />} />
@@ -0,0 +1,265 @@
+/**
+ * BudgetGridDialog Component
+ * 12-month phased budget of a cost center per fiscal year, with revisions and
+ * a forecast of committed actuals plus cost accrued by future allocations.
+ * With manager approval required, a changed grid is handed to onRequestApproval.
+ */
+
+import React, { useMemo, useState } from 'react';
+import { useApp, ACTIONS } from '../../context/AppContext';
+import { formatCurrency, getCostCenterAccruals } from '../../utils/calculations';
+import { BASE_CURRENCY } from '../../utils/currency';
+import { getMonthKey } from '../../utils/accruals';
+import {
+    MONTH_LABELS,
+    getBudgetGrid,
+    getBudgetMonths,
+    hasPhasedBudget,
+    spreadYearlyBudget,
+    validateBudgetGrid,
+} from '../../utils/budgets';
+import { CHANGE_REQUEST_KINDS, getChangeDiff, getPendingChangeRequest, isApprovalRequired } from '../../utils/changeRequests';
+import { toast } from 'sonner';
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogFooter,
+    DialogHeader,
+    DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "@/components/ui/select";
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableHeader,
+    TableRow,
+} from "@/components/ui/table";
+import { CalendarRange } from "lucide-react";
+import { cn } from "@/lib/utils";
+
+const compact = (amount) => `${(amount / 1000000).toFixed(1)}M`;
+
+export default function BudgetGridDialog({ costCenter, onClose, onRequestApproval }) {
+    return (
+        <Dialog open={Boolean(costCenter)} onOpenChange={(open) => !open && onClose()}>
+            <DialogContent className="sm:max-w-4xl max-h-[90vh] overflow-y-auto">
+                {/* Mounted per cost center, so the grid starts from its saved budget */}
+                {costCenter && <BudgetGridEditor key={costCenter.id} costCenter={costCenter} onClose={onClose} onRequestApproval={onRequestApproval} />}
+            </DialogContent>
+        </Dialog>
+    );
+}
+
+function BudgetGridEditor({ costCenter, onClose, onRequestApproval }) {
+    const { state, dispatch } = useApp();
+    const currentMonth = getMonthKey();
+    const currentYear = Number(currentMonth.slice(0, 4));
+    const currency = costCenter.currency || BASE_CURRENCY;
+
+    const [year, setYear] = useState(String(costCenter.budgetPeriod || currentYear));
+    const [months, setMonths] = useState(() => getBudgetMonths(costCenter, year));
+    const [reason, setReason] = useState('');
+    const [errors, setErrors] = useState({});
+
+    const isRevision = hasPhasedBudget(costCenter, year);
+    const revisions = costCenter.budgets?.[year]?.revisions || [];
+    const yearOptions = [...new Set([currentYear - 1, currentYear, currentYear + 1, Number(year)])].sort();
+
+    const accruals = useMemo(
+        () => getCostCenterAccruals(costCenter.id, state.allocations),
+        [costCenter.id, state.allocations]
+    );
+
+    // Budget, actual and forecast of the grid being edited, in the reporting currency
+    const grid = useMemo(() => getBudgetGrid(
+        { ...costCenter, budgets: { ...costCenter.budgets, [year]: { months } } },
+        accruals,
+        { year, month: currentMonth, conversion: { currency: state.settings.currency, exchangeRates: state.exchangeRates } }
+    ), [costCenter, months, year, accruals, currentMonth, state.settings.currency, state.exchangeRates]);
+
+    const handleYearChange = (value) => {
+        setYear(value);
+        setMonths(getBudgetMonths(costCenter, value));
+        setReason('');
+        setErrors({});
+    };
+
+    const handleMonthChange = (index, value) => {
+        setMonths(prev => prev.map((amount, i) => (i === index ? Number(value) || 0 : amount)));
+        if (errors.months) setErrors(prev => ({ ...prev, months: null }));
+    };
+
+    const handleSpread = () => {
+        setMonths(spreadYearlyBudget(costCenter.yearlyBudget || months.reduce((sum, amount) => sum + amount, 0), currency));
+    };
+
+    const handleSave = () => {
+        const newErrors = validateBudgetGrid(months, { reason, isRevision });
+        setErrors(newErrors);
+        if (Object.keys(newErrors).length > 0) return;
+
+        const payload = { costCenterId: costCenter.id, year, months, reason };
+        if (isApprovalRequired(state.settings) && getChangeDiff(CHANGE_REQUEST_KINDS.BUDGET_GRID, costCenter, payload).length > 0) {
+            const pending = getPendingChangeRequest(state.changeRequests, CHANGE_REQUEST_KINDS.BUDGET_GRID, costCenter.id);
+            if (pending) {
+                toast.error(`Failed to save budget: ${costCenter.name} already has a pending change request (${pending.number})`);
+                return;
+            }
+            onRequestApproval({ kind: CHANGE_REQUEST_KINDS.BUDGET_GRID, target: costCenter, payload });
+            onClose();
+            return;
+        }
+        dispatch({ type: ACTIONS.SET_COST_CENTER_BUDGET, payload });
+        toast.success(`${costCenter.name} budget ${year} ${isRevision ? 'revised' : 'saved'}`);
+        onClose();
+    };
+
+    return (
+        <>
+            <DialogHeader>
+                <DialogTitle className="flex items-center gap-2">
+                    <CalendarRange className="h-5 w-5 text-indigo-600" />
+                    Budget Grid — {costCenter.name}
+                </DialogTitle>
+                <DialogDescription>
+                    Phase the {year} budget by month in {currency}. Past months show committed actuals; the forecast adds
+                    cost already accrued by planned allocations.
+                </DialogDescription>
+            </DialogHeader>
+
+            <div className="space-y-4 py-2">
+                <div className="flex items-end gap-3">
+                    <div className="space-y-1.5">
+                        <Label className="text-[10px] font-bold text-slate-400 uppercase tracking-wider">Fiscal Year</Label>
+                        <Select value={year} onValueChange={handleYearChange}>
+                            <SelectTrigger className="rounded-lg h-9 w-28">
+                                <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                                {yearOptions.map(option => (
+                                    <SelectItem key={option} value={String(option)}>{option}</SelectItem>
+                                ))}
+                            </SelectContent>
+                        </Select>
+                    </div>
+                    <Button variant="outline" size="sm" className="h-9 rounded-lg" onClick={handleSpread}>
+                        Spread evenly
+                    </Button>
+                    {!isRevision && (
+                        <span className="text-[11px] text-slate-400 pb-2">No grid yet for {year}; months start at the monthly budget.</span>
+                    )}
+                </div>
+
+                <div className="rounded-xl border border-border overflow-x-auto">
+                    <Table>
+                        <TableHeader>
+                            <TableRow>
+                                <TableHead>Month</TableHead>
+                                <TableHead className="text-right">Budget ({currency})</TableHead>
+                                <TableHead className="text-right">Actual</TableHead>
+                                <TableHead className="text-right">Forecast</TableHead>
+                                <TableHead className="text-right">Variance</TableHead>
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {grid.rows.map((row, index) => (
+                                <TableRow key={row.month} className={cn(row.month === currentMonth && "bg-indigo-50/50 dark:bg-indigo-950/20")}>
+                                    <TableCell className="font-medium text-xs">{MONTH_LABELS[index]}</TableCell>
+                                    <TableCell className="text-right">
+                                        <Input
+                                            type="number"
+                                            min="0"
+                                            value={months[index] || ''}
+                                            onChange={(e) => handleMonthChange(index, e.target.value)}
+                                            className="rounded-lg h-8 w-36 ml-auto text-right tabular-nums"
+                                        />
+                                    </TableCell>
+                                    <TableCell className="text-right text-xs tabular-nums">
+                                        {row.actual === null ? '—' : compact(row.actual)}
+                                    </TableCell>
+                                    <TableCell className={cn("text-right text-xs tabular-nums", !row.isActual && "text-slate-400")}>
+                                        {compact(row.forecast)}
+                                    </TableCell>
+                                    <TableCell className={cn("text-right text-xs font-bold tabular-nums", row.variance < 0 ? "text-red-600" : "text-emerald-600")}>
+                                        {compact(row.variance)}
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                </div>
+                {errors.months && <p className="text-[10px] text-red-500 font-bold">{errors.months}</p>}
+
+                <div className="grid grid-cols-4 gap-3 text-xs">
+                    <div className="p-3 rounded-lg bg-muted border border-border">
+                        <div className="text-[10px] font-bold text-slate-400 uppercase">Full Year Budget</div>
+                        <div className="font-bold tabular-nums">{formatCurrency(grid.totals.budget, state.settings.currency)}</div>
+                    </div>
+                    <div className="p-3 rounded-lg bg-muted border border-border">
+                        <div className="text-[10px] font-bold text-slate-400 uppercase">YTD Budget / Actual</div>
+                        <div className="font-bold tabular-nums">{compact(grid.totals.ytdBudget)} / {compact(grid.totals.ytdActual)}</div>
+                    </div>
+                    <div className="p-3 rounded-lg bg-muted border border-border">
+                        <div className="text-[10px] font-bold text-slate-400 uppercase">Forecast</div>
+                        <div className="font-bold tabular-nums">{formatCurrency(grid.totals.forecast, state.settings.currency)}</div>
+                    </div>
+                    <div className="p-3 rounded-lg bg-muted border border-border">
+                        <div className="text-[10px] font-bold text-slate-400 uppercase">Forecast Variance</div>
+                        <div className={cn("font-bold tabular-nums", grid.totals.variance < 0 ? "text-red-600" : "text-emerald-600")}>
+                            {formatCurrency(grid.totals.variance, state.settings.currency)}
+                        </div>
+                    </div>
+                </div>
+
+                {isRevision && (
+                    <div className="space-y-1.5">
+                        <Label className="text-[10px] font-bold text-slate-400 uppercase tracking-wider">Revision Reason</Label>
+                        <Input
+                            value={reason}
+                            onChange={(e) => {
+                                setReason(e.target.value);
+                                if (errors.reason) setErrors(prev => ({ ...prev, reason: null }));
+                            }}
+                            placeholder="e.g. Q4 hiring moved to January"
+                            className={cn("rounded-lg h-9", errors.reason && "border-red-500")}
+                        />
+                        {errors.reason && <p className="text-[10px] text-red-500 font-bold">{errors.reason}</p>}
+                    </div>
+                )}
+
+                {revisions.length > 0 && (
+                    <div className="space-y-1">
+                        <Label className="text-[10px] font-bold text-slate-400 uppercase tracking-wider">Revisions</Label>
+                        {[...revisions].reverse().map(revision => (
+                            <div key={revision.id} className="flex items-center justify-between text-xs border-b border-border/50 py-1">
+                                <span className="text-slate-600 dark:text-slate-300">{revision.reason || '—'}</span>
+                                <span className="text-slate-400 tabular-nums">
+                                    {compact(revision.months.reduce((sum, amount) => sum + amount, 0))} • {revision.revisedAt.slice(0, 10)}
+                                </span>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            <DialogFooter>
+                <Button variant="ghost" onClick={onClose}>Cancel</Button>
+                <Button onClick={handleSave} className="bg-indigo-600 hover:bg-indigo-700">
+                    {isRevision ? 'Save Revision' : 'Save Budget'}
+                </Button>
+            </DialogFooter>
+        </>
+    );
+}
@@ -0,0 +1,164 @@
+/**
+ * ChangeRequestDialog Component
+ * Collects the requester and justification for a change that needs manager
+ * approval, shows what will change and who can approve it, and submits the
+ * pending request (with any part of the edit that needs no approval)
+ */
+
+import { useState } from 'react';
+import { useApp, ACTIONS } from '../../context/AppContext';
+import {
+    changeRequestKindLabels,
+    formatChangeValue,
+    getChangeDiff,
+    getChangeEffectiveFrom,
+    getChangeRequestApprovers,
+    getSubmitError,
+    validateChangeRequest,
+} from '../../utils/changeRequests';
+import { toast } from 'sonner';
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogFooter,
+    DialogHeader,
+    DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "@/components/ui/select";
+import { ShieldCheck } from "lucide-react";
+import { cn } from "@/lib/utils";
+
+/**
+ * @param {Object} change - { kind, target, payload, apply } or null when closed;
+ *   apply is an optional action saved together with the request
+ * @param {Function} onClose - Called on cancel and after submitting
+ */
+export default function ChangeRequestDialog({ change, onClose }) {
+    return (
+        <Dialog open={Boolean(change)} onOpenChange={(open) => !open && onClose()}>
+            <DialogContent className="sm:max-w-lg">
+                {change && <ChangeRequestForm change={change} onClose={onClose} />}
+            </DialogContent>
+        </Dialog>
+    );
+}
+
+function ChangeRequestForm({ change, onClose }) {
+    const { state, batch } = useApp();
+    const { kind, target, payload, apply } = change;
+    const currency = payload.currency || target.currency;
+
+    const [requestedBy, setRequestedBy] = useState('');
+    const [justification, setJustification] = useState('');
+    const [errors, setErrors] = useState({});
+
+    const diff = getChangeDiff(kind, target, payload);
+    const effectiveFrom = getChangeEffectiveFrom(kind, target, payload);
+    const approvers = getChangeRequestApprovers(kind, target.id, state);
+    const requesters = state.members.filter(m => m.isActive !== false);
+
+    const handleSubmit = () => {
+        const newErrors = validateChangeRequest({ requestedBy, justification, diff });
+        setErrors(newErrors);
+        if (Object.keys(newErrors).length > 0) return;
+
+        const targetName = target.name || target.resourceName;
+        const submitError = getSubmitError(state.changeRequests, { kind, targetId: target.id, targetName, requestedBy, justification, diff });
+        if (submitError) {
+            toast.error(`Failed to submit change request: ${submitError}`);
+            return;
+        }
+
+        batch([
+            ...(apply ? [apply] : []),
+            { type: ACTIONS.SUBMIT_CHANGE_REQUEST, payload: { kind, targetId: target.id, payload, requestedBy, justification } },
+        ], `Request change to ${targetName}`);
+        toast.success(`Change request submitted to ${approvers.join(', ') || 'the approver'}`);
+        onClose();
+    };
+
+    return (
+        <>
+            <DialogHeader>
+                <DialogTitle className="flex items-center gap-2">
+                    <ShieldCheck className="h-5 w-5 text-indigo-600" />
+                    Approval Required
+                </DialogTitle>
+                <DialogDescription>
+                    {changeRequestKindLabels[kind]} changes to {target.name || target.resourceName} need manager approval.
+                    {apply && ' Your other edits are saved now.'}
+                </DialogDescription>
+            </DialogHeader>
+
+            <div className="space-y-4 py-2">
+                <div className="rounded-xl border border-border divide-y divide-border text-xs">
+                    {diff.map(entry => (
+                        <div key={entry.field} className="flex items-center justify-between px-3 py-2">
+                            <span className="font-semibold text-slate-600 dark:text-slate-300">{entry.label}</span>
+                            <span className="tabular-nums">
+                                <span className="text-slate-400 line-through">{formatChangeValue(entry.from, currency)}</span>
+                                {' → '}
+                                <span className="font-bold text-slate-900 dark:text-slate-100">{formatChangeValue(entry.to, currency)}</span>
+                            </span>
+                        </div>
+                    ))}
+                    {effectiveFrom && (
+                        <div className="px-3 py-2 text-slate-500">Effective from {effectiveFrom}</div>
+                    )}
+                </div>
+                {errors.diff && <p className="text-[10px] text-red-500 font-bold">{errors.diff}</p>}
+
+                <div className="space-y-1.5">
+                    <Label className="text-[10px] font-bold text-slate-400 uppercase tracking-wider">Requested By</Label>
+                    <Select value={requestedBy || undefined} onValueChange={(value) => {
+                        setRequestedBy(value);
+                        if (errors.requestedBy) setErrors(prev => ({ ...prev, requestedBy: null }));
+                    }}>
+                        <SelectTrigger className={cn("rounded-lg h-9", errors.requestedBy && "border-red-500")}>
+                            <SelectValue placeholder="Select requester" />
+                        </SelectTrigger>
+                        <SelectContent>
+                            {requesters.map(member => (
+                                <SelectItem key={member.id} value={member.name}>{member.name}</SelectItem>
+                            ))}
+                        </SelectContent>
+                    </Select>
+                    {errors.requestedBy && <p className="text-[10px] text-red-500 font-bold">{errors.requestedBy}</p>}
+                </div>
+
+                <div className="space-y-1.5">
+                    <Label className="text-[10px] font-bold text-slate-400 uppercase tracking-wider">Justification</Label>
+                    <Textarea
+                        value={justification}
+                        onChange={(e) => {
+                            setJustification(e.target.value);
+                            if (errors.justification) setErrors(prev => ({ ...prev, justification: null }));
+                        }}
+                        placeholder="Why is this change needed?"
+                        className={cn("rounded-lg", errors.justification && "border-red-500")}
+                    />
+                    {errors.justification && <p className="text-[10px] text-red-500 font-bold">{errors.justification}</p>}
+                </div>
+
+                <p className="text-[11px] text-slate-500">
+                    Approver{approvers.length === 1 ? '' : 's'}: <span className="font-semibold">{approvers.join(', ') || 'none found'}</span>
+                </p>
+            </div>
+
+            <DialogFooter>
+                <Button variant="ghost" onClick={onClose}>Cancel</Button>
+                <Button onClick={handleSubmit} className="bg-indigo-600 hover:bg-indigo-700">Submit for Approval</Button>
+            </DialogFooter>
+        </>
+    );
+}
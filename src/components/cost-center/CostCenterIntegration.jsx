@@ -17,6 +17,8 @@ import {
     CheckCircle
 } from "lucide-react";
 import { cn } from "@/lib/utils";
+import { findAllocationMember, formatCurrency } from '../../utils/calculations';
+import { getAccruedCost, getMonthKey } from '../../utils/accruals';
 
 export default function CostCenterIntegration() {
     const { state } = useApp();
@@ -32,12 +34,12 @@ export default function CostCenterIntegration() {
         const costCenterStats = activeCostCenters.map(cc => {
             const assignedToCC = state.members.filter(m => m.costCenterId === cc.id);
             const allocationsForCC = state.allocations.filter(a => {
-                const member = state.members.find(m => m.name === a.resource);
+                const member = findAllocationMember(a, state.members);
                 return member?.costCenterId === cc.id;
             });
             
             const totalProjectCost = allocationsForCC.reduce((sum, a) => sum + (a.plan?.costProject || 0), 0);
-            const totalMonthlyCost = allocationsForCC.reduce((sum, a) => sum + (a.plan?.costMonthly || 0), 0);
+            const totalMonthlyCost = getAccruedCost(allocationsForCC, getMonthKey());
             
             return {
                 costCenter: cc,
@@ -155,23 +157,13 @@ export default function CostCenterIntegration() {
                                 <div>
                                     <div className="text-slate-500">Project Cost</div>
                                     <div className="font-semibold">
-                                        {new Intl.NumberFormat('id-ID', {
-                                            style: 'currency',
-                                            currency: 'IDR',
-                                            minimumFractionDigits: 0,
-                                            maximumFractionDigits: 0
-                                        }).format(stat.totalProjectCost)}
+                                        {formatCurrency(stat.totalProjectCost)}
                                     </div>
                                 </div>
                                 <div>
                                     <div className="text-slate-500">Monthly Cost</div>
                                     <div className="font-semibold">
-                                        {new Intl.NumberFormat('id-ID', {
-                                            style: 'currency',
-                                            currency: 'IDR',
-                                            minimumFractionDigits: 0,
-                                            maximumFractionDigits: 0
-                                        }).format(stat.totalMonthlyCost)}
+                                        {formatCurrency(stat.totalMonthlyCost)}
                                     </div>
                                 </div>
                             </div>
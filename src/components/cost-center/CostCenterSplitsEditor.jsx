@@ -0,0 +1,92 @@
+/**
+ * Cost Center Splits Editor
+ * Edits the share of a cost charged to each cost center; an empty list
+ * charges the whole cost to a single cost center
+ */
+
+import { getSplitTotal } from '../../utils/costCenterSplits';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "@/components/ui/select";
+import { Plus, Split, Trash2 } from "lucide-react";
+import { cn } from "@/lib/utils";
+
+export default function CostCenterSplitsEditor({ value = [], onChange, costCenters = [], emptyLabel, error }) {
+    const activeCostCenters = costCenters.filter(cc => cc.isActive);
+    const total = getSplitTotal(value);
+
+    const updateSplit = (index, changes) => {
+        onChange(value.map((split, i) => (i === index ? { ...split, ...changes } : split)));
+    };
+
+    // A new split takes the share still unassigned
+    const addSplit = () => {
+        const used = new Set(value.map(split => split.costCenterId));
+        const next = activeCostCenters.find(cc => !used.has(cc.id));
+        onChange([...value, { costCenterId: next?.id || '', percentage: Math.max(100 - total, 0) }]);
+    };
+
+    return (
+        <div className="space-y-2">
+            {value.length === 0 ? (
+                <div className="flex items-center gap-2 p-3 rounded-lg bg-muted/40 text-xs text-slate-500">
+                    <Split className="h-4 w-4 shrink-0" />
+                    {emptyLabel || 'Charged in full to a single cost center'}
+                </div>
+            ) : (
+                value.map((split, index) => (
+                    <div key={index} className="flex items-center gap-2">
+                        <Select value={split.costCenterId || undefined} onValueChange={(v) => updateSplit(index, { costCenterId: v })}>
+                            <SelectTrigger className="rounded-lg h-8 flex-1">
+                                <SelectValue placeholder="Select cost center" />
+                            </SelectTrigger>
+                            <SelectContent>
+                                {activeCostCenters.map(cc => (
+                                    <SelectItem key={cc.id} value={cc.id}>{cc.code} - {cc.name}</SelectItem>
+                                ))}
+                            </SelectContent>
+                        </Select>
+                        <div className="flex items-center gap-1">
+                            <Input
+                                type="number"
+                                min={1}
+                                max={100}
+                                value={split.percentage}
+                                onChange={(e) => updateSplit(index, { percentage: Number(e.target.value) || 0 })}
+                                className="rounded-lg h-8 w-20 text-right"
+                            />
+                            <span className="text-xs text-slate-400">%</span>
+                        </div>
+                        <Button
+                            type="button"
+                            variant="ghost"
+                            size="icon"
+                            className="h-7 w-7 text-slate-400 hover:text-rose-600"
+                            onClick={() => onChange(value.filter((_, i) => i !== index))}
+                        >
+                            <Trash2 className="h-4 w-4" />
+                        </Button>
+                    </div>
+                ))
+            )}
+
+            {error && <p className="text-[10px] text-red-500 font-bold">{error}</p>}
+
+            <div className="flex items-center justify-between">
+                <p className={cn("text-[10px] font-bold", value.length === 0 && "invisible", Math.abs(total - 100) > 0.01 ? "text-amber-600" : "text-slate-400")}>
+                    Total {total}% of 100%
+                </p>
+                <Button type="button" variant="outline" size="sm" className="h-7 gap-1 text-xs" onClick={addSplit}>
+                    <Plus className="h-3 w-3" />
+                    Add split
+                </Button>
+            </div>
+        </div>
+    );
+}
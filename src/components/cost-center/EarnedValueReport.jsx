@@ -0,0 +1,254 @@
+/**
+ * Earned Value Report
+ * PV/EV/AC curves and SPI, CPI, EAC, ETC, VAC for the portfolio, each demand
+ * and each cost center
+ */
+
+import { useState, useMemo } from 'react';
+import { useApp } from '../../context/AppContext';
+import { format, parseISO } from 'date-fns';
+import {
+    LineChart,
+    Line,
+    XAxis,
+    YAxis,
+    CartesianGrid,
+    Tooltip as ChartTooltip,
+    Legend,
+    ResponsiveContainer,
+} from 'recharts';
+import {
+    calculateEarnedValue,
+    calculateEvmSeries,
+    getEvmAllocations,
+    getEvmBreakdown,
+} from '../../utils/evm';
+import { formatCurrency } from '../../utils/calculations';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "@/components/ui/select";
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableHeader,
+    TableRow,
+} from "@/components/ui/table";
+import { Activity, Target } from "lucide-react";
+import { cn } from "@/lib/utils";
+
+const PORTFOLIO = 'portfolio';
+
+const compactCurrency = (value) => {
+    if (Math.abs(value) >= 1000000) return `${(value / 1000000).toFixed(0)}M`;
+    if (Math.abs(value) >= 1000) return `${(value / 1000).toFixed(0)}K`;
+    return value;
+};
+
+const formatIndex = (value) => (value === null ? '—' : value.toFixed(2));
+
+// Indices below 1 are behind schedule / over budget
+const indexClass = (value) => cn(
+    "font-bold tabular-nums",
+    value === null ? "text-muted-foreground" : value >= 1 ? "text-emerald-600" : value >= 0.9 ? "text-amber-600" : "text-rose-600"
+);
+
+const varianceClass = (value) => cn(
+    "tabular-nums",
+    value < 0 ? "text-rose-600" : value > 0 ? "text-emerald-600" : "text-muted-foreground"
+);
+
+function BreakdownTable({ title, description, rows, scopePrefix, scope, onSelect }) {
+    return (
+        <Card className="rounded-xl border border-border shadow-sm">
+            <CardHeader>
+                <CardTitle className="text-base">{title}</CardTitle>
+                <CardDescription>{description}</CardDescription>
+            </CardHeader>
+            <CardContent>
+                {rows.length === 0 ? (
+                    <p className="text-sm text-slate-500">No scheduled Project allocations.</p>
+                ) : (
+                    <Table>
+                        <TableHeader>
+                            <TableRow>
+                                <TableHead>{scopePrefix === 'demand' ? 'Demand' : 'Cost Center'}</TableHead>
+                                <TableHead className="text-right">BAC</TableHead>
+                                <TableHead className="text-right">PV</TableHead>
+                                <TableHead className="text-right">EV</TableHead>
+                                <TableHead className="text-right">AC</TableHead>
+                                <TableHead className="text-right">SPI</TableHead>
+                                <TableHead className="text-right">CPI</TableHead>
+                                <TableHead className="text-right">EAC</TableHead>
+                                <TableHead className="text-right">ETC</TableHead>
+                                <TableHead className="text-right">VAC</TableHead>
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {rows.map(row => {
+                                const value = `${scopePrefix}:${row.key}`;
+                                return (
+                                    <TableRow
+                                        key={value}
+                                        className={cn("cursor-pointer", scope === value && "bg-muted/50")}
+                                        onClick={() => onSelect(value)}
+                                    >
+                                        <TableCell className="font-medium">{row.label}</TableCell>
+                                        <TableCell className="text-right tabular-nums">{formatCurrency(row.bac)}</TableCell>
+                                        <TableCell className="text-right tabular-nums">{formatCurrency(row.pv)}</TableCell>
+                                        <TableCell className="text-right tabular-nums">{formatCurrency(row.ev)}</TableCell>
+                                        <TableCell className="text-right tabular-nums">{formatCurrency(row.ac)}</TableCell>
+                                        <TableCell className={cn("text-right", indexClass(row.spi))}>{formatIndex(row.spi)}</TableCell>
+                                        <TableCell className={cn("text-right", indexClass(row.cpi))}>{formatIndex(row.cpi)}</TableCell>
+                                        <TableCell className="text-right tabular-nums">{formatCurrency(row.eac)}</TableCell>
+                                        <TableCell className="text-right tabular-nums">{formatCurrency(row.etc)}</TableCell>
+                                        <TableCell className={cn("text-right", varianceClass(row.vac))}>{formatCurrency(row.vac)}</TableCell>
+                                    </TableRow>
+                                );
+                            })}
+                        </TableBody>
+                    </Table>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
+
+export default function EarnedValueReport({ allocations }) {
+    const { state } = useApp();
+    const [scope, setScope] = useState(PORTFOLIO);
+
+    // Plan and actual costs are reported in settings.currency
+    const conversion = useMemo(
+        () => ({ currency: state.settings.currency, exchangeRates: state.exchangeRates }),
+        [state.settings.currency, state.exchangeRates]
+    );
+
+    const evmAllocations = useMemo(() => getEvmAllocations(allocations), [allocations]);
+    const byDemand = useMemo(() => getEvmBreakdown(evmAllocations, 'demand', new Date(), conversion), [evmAllocations, conversion]);
+    const byCostCenter = useMemo(() => getEvmBreakdown(evmAllocations, 'costCenter', new Date(), conversion), [evmAllocations, conversion]);
+
+    // Allocations behind the selected scope (portfolio, one demand or one cost center)
+    const scopedAllocations = useMemo(() => {
+        if (scope === PORTFOLIO) return evmAllocations;
+        const [kind, key] = [scope.slice(0, scope.indexOf(':')), scope.slice(scope.indexOf(':') + 1)];
+        return evmAllocations.filter(a =>
+            kind === 'demand' ? (a.demandNumber || '') === key : (a.costCenterId || '') === key
+        );
+    }, [evmAllocations, scope]);
+
+    const metrics = useMemo(() => calculateEarnedValue(scopedAllocations, new Date(), conversion), [scopedAllocations, conversion]);
+    const series = useMemo(() => calculateEvmSeries(scopedAllocations, new Date(), conversion), [scopedAllocations, conversion]);
+
+    if (evmAllocations.length === 0) {
+        return (
+            <Card className="p-12 rounded-xl border border-border shadow-sm">
+                <div className="flex flex-col items-center justify-center gap-4 text-slate-400">
+                    <Target className="h-16 w-16 opacity-20" />
+                    <div className="text-center">
+                        <p className="font-medium text-lg">No Earned Value Data</p>
+                        <p className="text-sm">Schedule Project allocations and record their percent complete to track earned value</p>
+                    </div>
+                </div>
+            </Card>
+        );
+    }
+
+    const summary = [
+        { label: 'Budget at Completion', value: formatCurrency(metrics.bac) },
+        { label: 'Planned Value', value: formatCurrency(metrics.pv) },
+        { label: 'Earned Value', value: formatCurrency(metrics.ev) },
+        { label: 'Actual Cost', value: formatCurrency(metrics.ac) },
+        { label: 'SPI', value: formatIndex(metrics.spi), className: indexClass(metrics.spi), note: `SV ${formatCurrency(metrics.sv)}` },
+        { label: 'CPI', value: formatIndex(metrics.cpi), className: indexClass(metrics.cpi), note: `CV ${formatCurrency(metrics.cv)}` },
+        { label: 'Estimate at Completion', value: formatCurrency(metrics.eac), note: `ETC ${formatCurrency(metrics.etc)}` },
+        { label: 'Variance at Completion', value: formatCurrency(metrics.vac), className: varianceClass(metrics.vac) },
+    ];
+
+    return (
+        <div className="space-y-6">
+            <Card className="rounded-xl border border-border shadow-sm">
+                <CardHeader>
+                    <div className="flex flex-col md:flex-row md:items-start justify-between gap-4">
+                        <div>
+                            <CardTitle className="flex items-center gap-2">
+                                <Activity className="h-5 w-5 text-indigo-600" />
+                                Earned Value
+                            </CardTitle>
+                            <CardDescription>
+                                Status as of {format(new Date(), 'MMM d, yyyy')}; EV uses each allocation's recorded percent complete
+                            </CardDescription>
+                        </div>
+                        <Select value={scope} onValueChange={setScope}>
+                            <SelectTrigger className="w-64 rounded-xl">
+                                <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                                <SelectItem value={PORTFOLIO}>Portfolio</SelectItem>
+                                {byDemand.map(row => (
+                                    <SelectItem key={`demand:${row.key}`} value={`demand:${row.key}`}>Demand · {row.label}</SelectItem>
+                                ))}
+                                {byCostCenter.map(row => (
+                                    <SelectItem key={`costCenter:${row.key}`} value={`costCenter:${row.key}`}>Cost Center · {row.label}</SelectItem>
+                                ))}
+                            </SelectContent>
+                        </Select>
+                    </div>
+                </CardHeader>
+                <CardContent className="space-y-6">
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                        {summary.map(item => (
+                            <div key={item.label}>
+                                <p className="text-[10px] font-bold text-slate-500 uppercase mb-1">{item.label}</p>
+                                <p className={cn("text-lg font-black text-slate-900 dark:text-slate-100", item.className)}>{item.value}</p>
+                                {item.note && <p className="text-[10px] text-slate-500">{item.note}</p>}
+                            </div>
+                        ))}
+                    </div>
+
+                    <div className="h-72">
+                        <ResponsiveContainer width="100%" height="100%">
+                            <LineChart data={series} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+                                <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                                <XAxis dataKey="date" fontSize={10} tickLine={false} axisLine={false} tickFormatter={(date) => format(parseISO(date), 'MMM d')} />
+                                <YAxis fontSize={10} tickLine={false} axisLine={false} width={48} tickFormatter={compactCurrency} />
+                                <ChartTooltip
+                                    labelFormatter={(date) => format(parseISO(date), 'MMM d, yyyy')}
+                                    formatter={(value) => formatCurrency(value)}
+                                />
+                                <Legend />
+                                <Line type="monotone" dataKey="pv" name="Planned Value" stroke="#94a3b8" strokeWidth={2} dot={false} />
+                                <Line type="monotone" dataKey="ev" name="Earned Value" stroke="#10b981" strokeWidth={2} dot={false} connectNulls={false} />
+                                <Line type="monotone" dataKey="ac" name="Actual Cost" stroke="#f43f5e" strokeWidth={2} dot={false} connectNulls={false} />
+                            </LineChart>
+                        </ResponsiveContainer>
+                    </div>
+                </CardContent>
+            </Card>
+
+            <BreakdownTable
+                title="By Demand"
+                description="Earned value per demand number; select a row to chart it"
+                rows={byDemand}
+                scopePrefix="demand"
+                scope={scope}
+                onSelect={setScope}
+            />
+
+            <BreakdownTable
+                title="By Cost Center"
+                description="Earned value per cost center of the assigned members"
+                rows={byCostCenter}
+                scopePrefix="costCenter"
+                scope={scope}
+                onSelect={setScope}
+            />
+        </div>
+    );
+}
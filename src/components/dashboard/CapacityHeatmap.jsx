@@ -35,6 +35,7 @@ export function CapacityHeatmap({ data, title, className }) {
                     <LegendItem status="heavy" label="Heavy" />
                     <LegendItem status="over-capacity" label="Over Capacity" />
                     <LegendItem status="leave" label="Leave" />
+                    <LegendItem status="off" label="Off Day" />
                 </div>
             </div>
 
@@ -83,10 +84,10 @@ export function CapacityHeatmap({ data, title, className }) {
                                                     "hover:brightness-95 hover:z-10 relative"
                                                 )}
                                             >
-                                                {day.status === 'leave' ? (
+                                                {day.status === 'leave' || day.status === 'off' ? (
                                                     <span className="text-[10px] font-bold opacity-60">OFF</span>
                                                 ) : (
-                                                    day.count > 0 ? day.count : ''
+                                                    day.count > 0 ? `${day.load}%` : ''
                                                 )}
                                             </div>
                                         </TooltipTrigger>
@@ -105,7 +106,13 @@ export function CapacityHeatmap({ data, title, className }) {
                                                         {day.status.replace('-', ' ')}
                                                     </span>
                                                 </div>
-                                                {day.status !== 'leave' && (
+                                                {day.status !== 'leave' && day.status !== 'off' && (
+                                                    <div className="text-xs flex justify-between">
+                                                        <span className="text-muted-foreground">Load:</span>
+                                                        <span className="font-bold">{day.load}% of capacity</span>
+                                                    </div>
+                                                )}
+                                                {day.status !== 'leave' && day.status !== 'off' && (
                                                     <div className="text-xs flex justify-between">
                                                         <span className="text-muted-foreground">Active Tasks:</span>
                                                         <span className="font-bold">{day.count}</span>
@@ -141,6 +148,7 @@ function getStatusClass(status) {
         case 'heavy': return 'bg-amber-50 text-amber-700 dark:bg-amber-500/10 dark:text-amber-400';
         case 'over-capacity': return 'bg-rose-50 text-rose-700 dark:bg-rose-500/10 dark:text-rose-400';
         case 'leave': return 'bg-slate-100 dark:bg-slate-800 text-slate-400';
+        case 'off': return 'bg-slate-50 dark:bg-slate-900 text-slate-300';
         default: return 'bg-muted/50';
     }
 }
@@ -153,6 +161,7 @@ function getStatusTextClass(status) {
         case 'heavy': return 'text-amber-600';
         case 'over-capacity': return 'text-rose-600';
         case 'leave': return 'text-slate-500';
+        case 'off': return 'text-slate-400';
         default: return 'text-muted-foreground';
     }
 }
@@ -0,0 +1,219 @@
+/**
+ * ResourceLevelingDialog Component
+ * Previews the reassignments and delays proposed by the leveling engine before applying them
+ */
+
+import React, { useState, useMemo } from 'react';
+import { format, parseISO, addMonths } from 'date-fns';
+import { useApp } from '../../context/AppContext';
+import { levelResources, LEVELING_ACTIONS } from '../../utils/leveling';
+import { showToast } from '../../utils/toast';
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogFooter,
+    DialogHeader,
+    DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableHeader,
+    TableRow,
+} from "@/components/ui/table";
+import { Scale, ArrowRight, AlertTriangle, CheckCircle2 } from "lucide-react";
+import { cn } from "@/lib/utils";
+
+const ACTION_LABELS = {
+    [LEVELING_ACTIONS.REASSIGN]: { label: 'Reassign', className: 'bg-indigo-500/10 text-indigo-600 border-indigo-500/20' },
+    [LEVELING_ACTIONS.DELAY]: { label: 'Delay', className: 'bg-amber-500/10 text-amber-600 border-amber-500/20' },
+    [LEVELING_ACTIONS.CASCADE]: { label: 'Follows', className: 'bg-slate-500/10 text-slate-600 border-slate-500/20' },
+};
+
+const formatDate = (date) => (date ? format(parseISO(date), 'MMM d') : '—');
+
+const getDefaultRange = (range) => {
+    const today = new Date();
+    return {
+        start: range?.start || format(today, 'yyyy-MM-dd'),
+        end: range?.end || format(addMonths(today, 1), 'yyyy-MM-dd'),
+    };
+};
+
+export function ResourceLevelingDialog({ open, onOpenChange, defaultRange }) {
+    return (
+        <Dialog open={open} onOpenChange={onOpenChange}>
+            <DialogContent className="sm:max-w-3xl bg-card border-border shadow-2xl p-0 overflow-hidden">
+                {/* Mounted per opening, so the range starts from the page's period each time */}
+                <LevelingPreview defaultRange={defaultRange} onClose={() => onOpenChange(false)} />
+            </DialogContent>
+        </Dialog>
+    );
+}
+
+function LevelingPreview({ defaultRange, onClose }) {
+    const { state, ACTIONS, batch, undo } = useApp();
+    const [range, setRange] = useState(() => getDefaultRange(defaultRange));
+
+    const isRangeValid = range.start && range.end && range.start <= range.end;
+
+    const preview = useMemo(() => {
+        if (!isRangeValid) return null;
+        return levelResources(state.allocations, state, range);
+    }, [isRangeValid, state, range]);
+
+    const handleApply = () => {
+        if (!preview || preview.changes.length === 0) return;
+
+        const changedIds = new Set(preview.changes.map(c => c.id));
+        const updates = preview.allocations
+            .filter(a => changedIds.has(a.id))
+            .map(a => ({ type: ACTIONS.UPDATE_ALLOCATION, payload: a }));
+
+        batch(updates, `Level ${updates.length} allocations`);
+        showToast.action(`${updates.length} allocations leveled`, { label: 'Undo', onClick: undo });
+        onClose();
+    };
+
+    return (
+        <>
+            <DialogHeader className="p-6 pb-0">
+                <DialogTitle className="flex items-center gap-3 text-lg font-black tracking-tight">
+                    <div className="h-10 w-10 rounded-xl bg-primary/10 flex items-center justify-center border border-primary/20">
+                        <Scale className="h-5 w-5 text-primary" />
+                    </div>
+                    Level Resources
+                </DialogTitle>
+                <DialogDescription className="text-muted-foreground font-medium text-xs mt-1">
+                    Lower-priority allocations are reassigned to a member of the same role or delayed until
+                    nobody is over capacity. Completed allocations are never changed.
+                </DialogDescription>
+            </DialogHeader>
+
+            <div className="p-6 space-y-5">
+                <div className="grid grid-cols-2 gap-4">
+                    <div className="space-y-2">
+                        <Label className="text-[9px] font-black uppercase tracking-widest text-muted-foreground ml-1">From</Label>
+                        <Input
+                            type="date"
+                            value={range.start}
+                            onChange={(e) => setRange(prev => ({ ...prev, start: e.target.value }))}
+                            className="bg-muted/20 border-border/40 rounded-xl font-bold h-11"
+                        />
+                    </div>
+                    <div className="space-y-2">
+                        <Label className="text-[9px] font-black uppercase tracking-widest text-muted-foreground ml-1">To</Label>
+                        <Input
+                            type="date"
+                            value={range.end}
+                            onChange={(e) => setRange(prev => ({ ...prev, end: e.target.value }))}
+                            className={cn("bg-muted/20 border-border/40 rounded-xl font-bold h-11", !isRangeValid && "border-red-500/50")}
+                        />
+                    </div>
+                </div>
+
+                {preview && (
+                    <>
+                        <div className="flex flex-wrap items-center gap-3 text-xs font-semibold">
+                            <span className="text-muted-foreground">
+                                Over-allocated member days: <span className="text-foreground font-black">{preview.overloadsBefore.length}</span>
+                                <ArrowRight className="inline h-3 w-3 mx-1" />
+                                <span className={cn("font-black", preview.overloadsAfter.length > 0 ? "text-amber-600" : "text-emerald-600")}>
+                                    {preview.overloadsAfter.length}
+                                </span>
+                            </span>
+                        </div>
+
+                        {preview.changes.length === 0 ? (
+                            <div className="flex items-center gap-2 p-3 rounded-lg bg-emerald-50 border border-emerald-200 text-xs text-emerald-800 dark:bg-emerald-950/20 dark:border-emerald-900 dark:text-emerald-300">
+                                <CheckCircle2 className="h-4 w-4 shrink-0" />
+                                {preview.overloadsBefore.length === 0
+                                    ? 'Every member is within capacity in this period.'
+                                    : 'No allocation can be moved to resolve the remaining overloads.'}
+                            </div>
+                        ) : (
+                            <div className="max-h-[320px] overflow-y-auto rounded-xl border border-border">
+                                <Table>
+                                    <TableHeader>
+                                        <TableRow>
+                                            <TableHead>Activity</TableHead>
+                                            <TableHead>Change</TableHead>
+                                            <TableHead>Resource</TableHead>
+                                            <TableHead>Dates</TableHead>
+                                        </TableRow>
+                                    </TableHeader>
+                                    <TableBody>
+                                        {preview.changes.map(change => {
+                                            const action = ACTION_LABELS[change.action];
+                                            const isReassigned = change.before.resourceId !== change.after.resourceId;
+                                            return (
+                                                <TableRow key={change.id}>
+                                                    <TableCell className="font-medium">
+                                                        <div className="flex flex-col">
+                                                            <span>{change.activityName || change.id}</span>
+                                                            <span className="text-[10px] text-muted-foreground">
+                                                                {[change.demandNumber, change.priority].filter(Boolean).join(' • ')}
+                                                            </span>
+                                                        </div>
+                                                    </TableCell>
+                                                    <TableCell>
+                                                        <Badge variant="outline" className={cn("text-[9px] uppercase", action.className)}>{action.label}</Badge>
+                                                    </TableCell>
+                                                    <TableCell className="text-xs">
+                                                        {isReassigned ? (
+                                                            <span className="flex items-center gap-1">
+                                                                <span className="text-muted-foreground line-through">{change.before.resource}</span>
+                                                                <ArrowRight className="h-3 w-3" />
+                                                                <span className="font-bold">{change.after.resource}</span>
+                                                            </span>
+                                                        ) : change.after.resource}
+                                                    </TableCell>
+                                                    <TableCell className="text-xs tabular-nums">
+                                                        <span className="flex items-center gap-1">
+                                                            <span className="text-muted-foreground">{formatDate(change.before.taskStart)} – {formatDate(change.before.taskEnd)}</span>
+                                                            <ArrowRight className="h-3 w-3" />
+                                                            <span className="font-bold">{formatDate(change.after.taskStart)} – {formatDate(change.after.taskEnd)}</span>
+                                                        </span>
+                                                    </TableCell>
+                                                </TableRow>
+                                            );
+                                        })}
+                                    </TableBody>
+                                </Table>
+                            </div>
+                        )}
+
+                        {preview.overloadsAfter.length > 0 && (
+                            <div className="flex items-start gap-2 p-3 rounded-lg bg-amber-50 border border-amber-200 text-xs text-amber-800 dark:bg-amber-950/20 dark:border-amber-900 dark:text-amber-300">
+                                <AlertTriangle className="h-4 w-4 shrink-0" />
+                                <span>
+                                    Still over capacity:{' '}
+                                    {preview.overloadsAfter.slice(0, 5).map(o => `${o.member} on ${formatDate(o.date)} (${Math.round(o.load * 100)}%)`).join(', ')}
+                                    {preview.overloadsAfter.length > 5 && ` and ${preview.overloadsAfter.length - 5} more`}
+                                </span>
+                            </div>
+                        )}
+                    </>
+                )}
+            </div>
+
+            <DialogFooter className="p-6 bg-muted/10 border-t border-border mt-0">
+                <Button variant="ghost" onClick={onClose} className="font-bold rounded-xl h-11">Cancel</Button>
+                <Button
+                    onClick={handleApply}
+                    disabled={!preview || preview.changes.length === 0}
+                    className="px-8 font-black uppercase tracking-wider text-[10px] rounded-xl h-11 shadow-lg shadow-primary/20"
+                >
+                    Apply {preview?.changes.length || 0} Changes
+                </Button>
+            </DialogFooter>
+        </>
+    );
+}
@@ -39,9 +39,9 @@ export function TeamPreview({ members, workloads, availability, heatmap, subTitl
                 isDense ? "grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4" : "grid-cols-1 md:grid-cols-2 lg:grid-cols-3"
             )}>
                 {members.map(member => {
-                    const workload = workloads?.find(w => w.name === member.name);
-                    const avail = availability?.find(a => a.memberName === member.name);
-                    const memberHeatmap = heatmap?.find(h => h.member === member.name);
+                    const workload = workloads?.find(w => w.memberId === member.id);
+                    const avail = availability?.find(a => a.memberId === member.id);
+                    const memberHeatmap = heatmap?.find(h => h.memberId === member.id);
 
                     const status = avail?.status || 'available';
                     const isBusy = !avail?.hasCapacity;
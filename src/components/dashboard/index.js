@@ -5,3 +5,4 @@
 export { CapacityHeatmap } from './CapacityHeatmap';
 export { WorkloadUtilizationChart, DistributionPieChart, ProjectedCostChart } from './DashboardCharts';
 export { TeamPreview } from './TeamPreview';
+export { ResourceLevelingDialog } from './ResourceLevelingDialog';
@@ -11,6 +11,13 @@ const pageTitles = {
     '/': 'Dashboard',
     '/allocation': 'Resource Allocation',
     '/dates': 'Important Dates',
+    '/scenarios': 'Scenarios',
+    '/baselines': 'Baselines',
+    '/quotes': 'Quotes',
+    '/approvals': 'Approvals',
+    '/chargebacks': 'Chargebacks',
+    '/timesheets': 'Timesheets',
+    '/library/projects': 'Projects',
     '/library/members': 'Team Members',
     '/library/phases': 'Phases',
     '/library/tasks': 'Task Templates',
@@ -23,6 +30,13 @@ const pageDescriptions = {
     '/': 'Overview of team workload and resource utilization',
     '/allocation': 'Manage task allocations and track progress',
     '/dates': 'Holidays and team leave management',
+    '/scenarios': 'What-if planning on an isolated copy of the data',
+    '/baselines': 'Plan snapshots and variance against them',
+    '/quotes': 'Saved estimates, versions and conversion to projects',
+    '/approvals': 'Budget, manager and rate change requests',
+    '/chargebacks': 'Monthly recharge of project work to consuming cost centers',
+    '/timesheets': 'Weekly hours logged against allocations',
+    '/library/projects': 'Projects, budgets and health',
     '/library/members': 'Manage team members and their profiles',
     '/library/phases': 'Configure project phases and workflow',
     '/library/tasks': 'Define task templates with effort estimates',
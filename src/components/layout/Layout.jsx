@@ -10,6 +10,7 @@ import { useApp } from '../../context/AppContext';
 import { useDensity } from '../../context/DensityContext';
 import { useKeyboardShortcuts } from '../../hooks/useKeyboardShortcuts';
 import { APP_SHORTCUTS } from '../../utils/shortcuts';
+import { showToast } from '../../utils/toast';
 import { LoadingSpinner } from '../ui';
 import { CommandPalette } from '../ui/command-palette';
 import Sidebar from './Sidebar';
@@ -17,7 +18,7 @@ import Header from './Header';
 import './Layout.css';
 
 export default function Layout() {
-    const { state } = useApp();
+    const { state, undo, redo, canUndo, canRedo, undoLabel, redoLabel } = useApp();
     const location = useLocation();
     const navigate = useNavigate();
     const { toggleDensity } = useDensity();
@@ -52,6 +53,22 @@ export default function Layout() {
             ...APP_SHORTCUTS.GO_HOME,
             handler: () => navigate('/'),
         },
+        {
+            ...APP_SHORTCUTS.UNDO,
+            disabled: !canUndo,
+            handler: () => {
+                undo();
+                showToast.action(`Undone: ${undoLabel}`, { label: 'Redo', onClick: redo });
+            },
+        },
+        {
+            ...APP_SHORTCUTS.REDO,
+            disabled: !canRedo,
+            handler: () => {
+                redo();
+                showToast.action(`Redone: ${redoLabel}`, { label: 'Undo', onClick: undo });
+            },
+        },
     ]);
 
     // Sync collapsed state when localStorage changes
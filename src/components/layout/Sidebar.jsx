@@ -19,15 +19,22 @@ import {
     CalendarDays,
     CalendarClock,
     Calculator,
+    FileText,
+    ShieldCheck,
+    HandCoins,
     Users,
     Layers,
     ListTodo,
     SlidersHorizontal,
     Coins,
     Building2,
+    FolderKanban,
     Receipt,
     BarChart3,
     Settings,
+    FlaskConical,
+    Flag,
+    Timer,
     X,
     PanelLeftClose,
     PanelLeft
@@ -47,14 +54,21 @@ const navItems = [
         title: 'Management',
         items: [
             { path: '/allocation', label: 'Resource Allocation', icon: ClipboardList },
+            { path: '/timesheets', label: 'Timesheets', icon: Timer },
             { path: '/timeline', label: 'Timeline', icon: CalendarDays },
             { path: '/dates', label: 'Important Dates', icon: CalendarClock },
             { path: '/cost-calculator', label: 'Cost Calculator', icon: Calculator },
+            { path: '/quotes', label: 'Quotes', icon: FileText },
+            { path: '/approvals', label: 'Approvals', icon: ShieldCheck },
+            { path: '/chargebacks', label: 'Chargebacks', icon: HandCoins },
+            { path: '/scenarios', label: 'Scenarios', icon: FlaskConical },
+            { path: '/baselines', label: 'Baselines', icon: Flag },
         ],
     },
     {
         title: 'Configuration',
         items: [
+            { path: '/library/projects', label: 'Projects', icon: FolderKanban },
             { path: '/library/members', label: 'Team Members', icon: Users },
             { path: '/library/phases', label: 'Phases', icon: Layers },
             { path: '/library/tasks', label: 'Task Templates', icon: ListTodo },
@@ -0,0 +1,120 @@
+/**
+ * Critical Path Panel
+ * Shows the critical chain and total float of every allocation in a demand
+ */
+
+import { useMemo } from 'react';
+import { format, parseISO } from 'date-fns';
+import { useApp } from '../../context/AppContext';
+import { calculateCriticalPath } from '../../utils/criticalPath';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableHeader,
+    TableRow,
+} from "@/components/ui/table";
+import { GitBranch, AlertTriangle } from "lucide-react";
+import { cn } from "@/lib/utils";
+
+const formatDate = (date) => (date ? format(parseISO(date), 'MMM d, yyyy') : '—');
+
+export default function CriticalPathPanel({ demandNumber }) {
+    const { state } = useApp();
+
+    const analysis = useMemo(
+        () => calculateCriticalPath(state.allocations, demandNumber, state.holidays, state.leaves, state.settings, state.members),
+        [state.allocations, demandNumber, state.holidays, state.leaves, state.settings, state.members]
+    );
+
+    const tasks = useMemo(
+        () => [...analysis.tasks].sort((a, b) => a.earlyStart.localeCompare(b.earlyStart)),
+        [analysis.tasks]
+    );
+
+    return (
+        <Card className="rounded-xl border border-border shadow-sm">
+            <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                    <GitBranch className="h-5 w-5 text-rose-600" />
+                    Critical Path
+                </CardTitle>
+                <CardDescription>
+                    Allocations with zero float drive the finish date of {demandNumber}
+                </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+                {tasks.length === 0 ? (
+                    <p className="text-sm text-slate-500">No scheduled allocations for this demand.</p>
+                ) : (
+                    <>
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                            <div>
+                                <p className="text-[10px] font-bold text-slate-500 uppercase mb-1">Start</p>
+                                <p className="text-sm font-black text-slate-900 dark:text-slate-100">{formatDate(analysis.projectStart)}</p>
+                            </div>
+                            <div>
+                                <p className="text-[10px] font-bold text-slate-500 uppercase mb-1">Finish</p>
+                                <p className="text-sm font-black text-slate-900 dark:text-slate-100">{formatDate(analysis.projectFinish)}</p>
+                            </div>
+                            <div>
+                                <p className="text-[10px] font-bold text-slate-500 uppercase mb-1">Duration</p>
+                                <p className="text-sm font-black text-slate-900 dark:text-slate-100">{analysis.durationWorkdays} workdays</p>
+                            </div>
+                            <div>
+                                <p className="text-[10px] font-bold text-slate-500 uppercase mb-1">Critical Tasks</p>
+                                <p className="text-sm font-black text-rose-600">{analysis.criticalPath.length} of {tasks.length}</p>
+                            </div>
+                        </div>
+
+                        {analysis.cyclic.length > 0 && (
+                            <div className="flex items-center gap-2 p-3 rounded-lg bg-amber-50 border border-amber-200 text-xs text-amber-800">
+                                <AlertTriangle className="h-4 w-4 shrink-0" />
+                                {analysis.cyclic.length} allocations are in a dependency cycle and were left out of the analysis.
+                            </div>
+                        )}
+
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>Activity</TableHead>
+                                    <TableHead>Resource</TableHead>
+                                    <TableHead>Early Start</TableHead>
+                                    <TableHead>Early Finish</TableHead>
+                                    <TableHead>Late Start</TableHead>
+                                    <TableHead>Late Finish</TableHead>
+                                    <TableHead className="text-right">Float</TableHead>
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {tasks.map(task => (
+                                    <TableRow key={task.id} className={cn(task.isCritical && "bg-rose-50/60 dark:bg-rose-950/20")}>
+                                        <TableCell className="font-medium">
+                                            <div className="flex items-center gap-2">
+                                                {task.activityName}
+                                                {task.isCritical && (
+                                                    <Badge variant="destructive" className="h-4 text-[9px] uppercase">Critical</Badge>
+                                                )}
+                                            </div>
+                                        </TableCell>
+                                        <TableCell>{task.resource}</TableCell>
+                                        <TableCell>{formatDate(task.earlyStart)}</TableCell>
+                                        <TableCell>{formatDate(task.earlyFinish)}</TableCell>
+                                        <TableCell>{formatDate(task.lateStart)}</TableCell>
+                                        <TableCell>{formatDate(task.lateFinish)}</TableCell>
+                                        <TableCell className={cn("text-right font-bold", task.isCritical ? "text-rose-600" : "text-slate-600")}>
+                                            {task.totalFloat}d
+                                        </TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
@@ -0,0 +1,230 @@
+/**
+ * Project Form Dialog
+ * Add or edit a project in the Projects library
+ */
+
+import { useState } from 'react';
+import { useApp } from '../../context/AppContext';
+import { generateId } from '../../utils/storage';
+import {
+    emptyProject,
+    projectPriorityOptions,
+    projectStatusOptions,
+    validateProject,
+} from '../../utils/projects';
+import { currencyOptions } from '../../utils/currency';
+import { showToast } from '../../utils/toast';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "@/components/ui/select";
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogFooter,
+    DialogHeader,
+    DialogTitle,
+} from "@/components/ui/dialog";
+import { cn } from "@/lib/utils";
+
+// Select value for an unset owner or sponsor
+const NONE = 'none';
+
+export default function ProjectFormDialog({ open, onOpenChange, project = null }) {
+    return (
+        <Dialog open={open} onOpenChange={onOpenChange}>
+            <DialogContent className="sm:max-w-2xl">
+                {/* Mounted per opening so the form starts from the project being edited */}
+                {open && <ProjectForm project={project} onClose={() => onOpenChange(false)} />}
+            </DialogContent>
+        </Dialog>
+    );
+}
+
+function ProjectForm({ project, onClose }) {
+    const { state, dispatch, ACTIONS } = useApp();
+    // Budgets default to the reporting currency
+    const [formData, setFormData] = useState(() => ({
+        ...emptyProject,
+        currency: state.settings.currency,
+        ...project,
+    }));
+    const [errors, setErrors] = useState({});
+
+    const handleChange = (name, value) => {
+        setFormData(prev => ({ ...prev, [name]: value }));
+        if (errors[name]) {
+            setErrors(prev => ({ ...prev, [name]: null }));
+        }
+    };
+
+    const handleSubmit = () => {
+        const payload = project ? formData : { ...formData, id: generateId('PRJ') };
+        const validation = validateProject(payload, state.projects);
+        if (Object.keys(validation).length > 0) {
+            setErrors(validation);
+            return;
+        }
+
+        dispatch({ type: project ? ACTIONS.UPDATE_PROJECT : ACTIONS.ADD_PROJECT, payload });
+        showToast.success(project ? `Project "${payload.name.trim()}" updated` : `Project "${payload.name.trim()}" added`);
+        onClose();
+    };
+
+    const labelClass = "text-xs font-black uppercase tracking-widest text-slate-500 ml-1";
+
+    return (
+        <>
+            <DialogHeader>
+                <DialogTitle>{project ? 'Edit Project' : 'Add Project'}</DialogTitle>
+                <DialogDescription>
+                    {project ? `Updating ${project.code}` : 'Allocations are assigned to projects from the allocation form'}
+                </DialogDescription>
+            </DialogHeader>
+
+            <div className="max-h-[70vh] px-1 overflow-y-auto space-y-4 py-2">
+                <div className="grid grid-cols-3 gap-4">
+                    <div className="space-y-2">
+                        <Label htmlFor="project-code" className={labelClass}>Code</Label>
+                        <Input
+                            id="project-code"
+                            placeholder="DM-000001"
+                            value={formData.code}
+                            onChange={(e) => handleChange('code', e.target.value)}
+                            className={cn("rounded-xl", errors.code && "border-red-500")}
+                        />
+                        {errors.code && <p className="text-[10px] font-bold text-red-500 ml-1">{errors.code}</p>}
+                    </div>
+                    <div className="space-y-2 col-span-2">
+                        <Label htmlFor="project-name" className={labelClass}>Name</Label>
+                        <Input
+                            id="project-name"
+                            value={formData.name}
+                            onChange={(e) => handleChange('name', e.target.value)}
+                            className={cn("rounded-xl", errors.name && "border-red-500")}
+                        />
+                        {errors.name && <p className="text-[10px] font-bold text-red-500 ml-1">{errors.name}</p>}
+                    </div>
+                </div>
+
+                <div className="grid grid-cols-2 gap-4">
+                    <div className="space-y-2">
+                        <Label className={labelClass}>Owner</Label>
+                        <Select value={formData.ownerId || NONE} onValueChange={(v) => handleChange('ownerId', v === NONE ? '' : v)}>
+                            <SelectTrigger className="rounded-xl"><SelectValue /></SelectTrigger>
+                            <SelectContent>
+                                <SelectItem value={NONE}>No owner</SelectItem>
+                                {state.members.filter(m => m.isActive || m.id === formData.ownerId).map(m => (
+                                    <SelectItem key={m.id} value={m.id}>{m.name}</SelectItem>
+                                ))}
+                            </SelectContent>
+                        </Select>
+                    </div>
+                    <div className="space-y-2">
+                        <Label className={labelClass}>Sponsor Cost Center</Label>
+                        <Select
+                            value={formData.sponsorCostCenterId || NONE}
+                            onValueChange={(v) => handleChange('sponsorCostCenterId', v === NONE ? '' : v)}
+                        >
+                            <SelectTrigger className="rounded-xl"><SelectValue /></SelectTrigger>
+                            <SelectContent>
+                                <SelectItem value={NONE}>No sponsor</SelectItem>
+                                {state.costCenters.filter(cc => cc.isActive || cc.id === formData.sponsorCostCenterId).map(cc => (
+                                    <SelectItem key={cc.id} value={cc.id}>{cc.code} · {cc.name}</SelectItem>
+                                ))}
+                            </SelectContent>
+                        </Select>
+                    </div>
+                </div>
+
+                <div className="grid grid-cols-3 gap-4">
+                    <div className="space-y-2">
+                        <Label htmlFor="project-budget" className={labelClass}>Budget</Label>
+                        <div className="flex gap-2">
+                            <Input
+                                id="project-budget"
+                                type="number"
+                                min={0}
+                                value={formData.budget}
+                                onChange={(e) => handleChange('budget', e.target.value === '' ? 0 : Number(e.target.value))}
+                                className={cn("rounded-xl flex-1", errors.budget && "border-red-500")}
+                            />
+                            <Select value={formData.currency} onValueChange={(v) => handleChange('currency', v)}>
+                                <SelectTrigger className="rounded-xl w-24"><SelectValue /></SelectTrigger>
+                                <SelectContent>
+                                    {currencyOptions.map(opt => <SelectItem key={opt.value} value={opt.value}>{opt.value}</SelectItem>)}
+                                </SelectContent>
+                            </Select>
+                        </div>
+                        {errors.budget && <p className="text-[10px] font-bold text-red-500 ml-1">{errors.budget}</p>}
+                    </div>
+                    <div className="space-y-2">
+                        <Label className={labelClass}>Status</Label>
+                        <Select value={formData.status} onValueChange={(v) => handleChange('status', v)}>
+                            <SelectTrigger className="rounded-xl"><SelectValue /></SelectTrigger>
+                            <SelectContent>
+                                {projectStatusOptions.map(opt => <SelectItem key={opt.value} value={opt.value}>{opt.label}</SelectItem>)}
+                            </SelectContent>
+                        </Select>
+                    </div>
+                    <div className="space-y-2">
+                        <Label className={labelClass}>Priority</Label>
+                        <Select value={formData.priority} onValueChange={(v) => handleChange('priority', v)}>
+                            <SelectTrigger className="rounded-xl"><SelectValue /></SelectTrigger>
+                            <SelectContent>
+                                {projectPriorityOptions.map(opt => <SelectItem key={opt.value} value={opt.value}>{opt.label}</SelectItem>)}
+                            </SelectContent>
+                        </Select>
+                    </div>
+                </div>
+
+                <div className="grid grid-cols-2 gap-4">
+                    <div className="space-y-2">
+                        <Label htmlFor="project-start" className={labelClass}>Start Date</Label>
+                        <Input
+                            id="project-start"
+                            type="date"
+                            value={formData.startDate}
+                            onChange={(e) => handleChange('startDate', e.target.value)}
+                            className="rounded-xl"
+                        />
+                    </div>
+                    <div className="space-y-2">
+                        <Label htmlFor="project-target" className={labelClass}>Target Date</Label>
+                        <Input
+                            id="project-target"
+                            type="date"
+                            value={formData.targetDate}
+                            onChange={(e) => handleChange('targetDate', e.target.value)}
+                            className={cn("rounded-xl", errors.targetDate && "border-red-500")}
+                        />
+                        {errors.targetDate && <p className="text-[10px] font-bold text-red-500 ml-1">{errors.targetDate}</p>}
+                    </div>
+                </div>
+
+                <div className="space-y-2">
+                    <Label htmlFor="project-description" className={labelClass}>Description</Label>
+                    <Textarea
+                        id="project-description"
+                        value={formData.description}
+                        onChange={(e) => handleChange('description', e.target.value)}
+                        rows={3}
+                    />
+                </div>
+            </div>
+
+            <DialogFooter>
+                <Button variant="ghost" onClick={onClose}>Cancel</Button>
+                <Button onClick={handleSubmit}>{project ? 'Save Changes' : 'Add Project'}</Button>
+            </DialogFooter>
+        </>
+    );
+}
@@ -0,0 +1,334 @@
+/**
+ * Project Template Dialog
+ * Generate a project's allocations from phases and task templates, preview
+ * the chained schedule, then insert everything as one undoable step
+ */
+
+import { useState, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { format, parseISO } from 'date-fns';
+import { useApp } from '../../context/AppContext';
+import { formatCurrency } from '../../utils/calculations';
+import { generateId } from '../../utils/storage';
+import { emptyProject, validateProject } from '../../utils/projects';
+import {
+    generateTemplateAllocations,
+    getTemplatePhases,
+    getTemplateRoleLabel,
+    getTemplateRoles,
+    getTemplateTasks,
+    validateTemplateSelection,
+} from '../../utils/projectTemplates';
+import { showToast } from '../../utils/toast';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Checkbox } from "@/components/ui/checkbox";
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "@/components/ui/select";
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogFooter,
+    DialogHeader,
+    DialogTitle,
+} from "@/components/ui/dialog";
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableHeader,
+    TableRow,
+} from "@/components/ui/table";
+import { cn } from "@/lib/utils";
+
+// Select value for generating into a new project
+const NEW_PROJECT = 'new';
+
+const formatDate = (date) => (date ? format(parseISO(date), 'MMM d, yyyy') : '—');
+
+export default function ProjectTemplateDialog({ open, onOpenChange }) {
+    return (
+        <Dialog open={open} onOpenChange={onOpenChange}>
+            <DialogContent className="sm:max-w-4xl">
+                {/* Mounted per opening so every template starts from a clean selection */}
+                {open && <ProjectTemplateForm onClose={() => onOpenChange(false)} />}
+            </DialogContent>
+        </Dialog>
+    );
+}
+
+function ProjectTemplateForm({ onClose }) {
+    const { state, ACTIONS, batch } = useApp();
+    const navigate = useNavigate();
+    const { phases, tasks, members, projects, complexity } = state;
+
+    const templatePhases = useMemo(() => getTemplatePhases(phases), [phases]);
+    const [projectId, setProjectId] = useState(NEW_PROJECT);
+    const [newProject, setNewProject] = useState({ code: '', name: '' });
+    const [selection, setSelection] = useState(() => ({
+        phaseIds: templatePhases.filter(p => p.category === 'Project').map(p => p.id),
+        complexity: 'medium',
+        startDate: format(new Date(), 'yyyy-MM-dd'),
+        assignments: {},
+    }));
+    const [errors, setErrors] = useState({});
+
+    const complexityOptions = Object.values(complexity).map(level => ({
+        value: level.level.toLowerCase(),
+        label: level.label,
+    }));
+    const activeMembers = members.filter(m => m.isActive);
+    const existingProject = projects.find(p => p.id === projectId);
+
+    const templateTasks = useMemo(
+        () => getTemplateTasks(phases, tasks, selection.phaseIds),
+        [phases, tasks, selection.phaseIds]
+    );
+    const roles = useMemo(() => getTemplateRoles(templateTasks), [templateTasks]);
+    const selectionErrors = useMemo(
+        () => validateTemplateSelection(selection, templateTasks),
+        [selection, templateTasks]
+    );
+
+    // Preview with the project code the allocations will carry
+    const preview = useMemo(() => {
+        if (Object.keys(selectionErrors).length > 0) return [];
+        const project = existingProject || { id: '', code: newProject.code.trim() };
+        return generateTemplateAllocations(selection, project, state);
+    }, [selection, selectionErrors, existingProject, newProject.code, state]);
+
+    const totalCost = preview.reduce((sum, a) => sum + (a.plan?.costProject || 0), 0);
+    const finish = preview.reduce((max, a) => (a.plan?.taskEnd > max ? a.plan.taskEnd : max), '');
+
+    const updateSelection = (name, value) => {
+        setSelection(prev => ({ ...prev, [name]: value }));
+        setErrors(prev => ({ ...prev, [name]: null }));
+    };
+
+    const togglePhase = (phaseId, checked) => {
+        updateSelection('phaseIds', checked
+            ? [...selection.phaseIds, phaseId]
+            : selection.phaseIds.filter(id => id !== phaseId)
+        );
+    };
+
+    const assignRole = (role, memberId) => {
+        updateSelection('assignments', { ...selection.assignments, [role]: memberId });
+    };
+
+    const handleSubmit = () => {
+        let project = existingProject;
+        let projectErrors = {};
+        if (!project) {
+            project = {
+                ...emptyProject,
+                id: generateId('PRJ'),
+                code: newProject.code.trim(),
+                name: newProject.name.trim(),
+                budget: totalCost,
+                currency: state.settings.currency,
+                startDate: preview[0]?.plan.taskStart || selection.startDate,
+                targetDate: finish,
+            };
+            projectErrors = validateProject(project, projects);
+        }
+
+        const validation = { ...selectionErrors, ...projectErrors };
+        if (Object.keys(validation).length > 0) {
+            setErrors(validation);
+            return;
+        }
+
+        // Regenerate against the final project so the allocations carry its ID
+        const allocations = generateTemplateAllocations(selection, project, state);
+        batch([
+            ...(existingProject ? [] : [{ type: ACTIONS.ADD_PROJECT, payload: project }]),
+            ...allocations.map(allocation => ({ type: ACTIONS.ADD_ALLOCATION, payload: allocation })),
+        ], `Generate ${project.code} from template`);
+
+        showToast.success(`${allocations.length} allocations added to ${project.code}`);
+        onClose();
+        navigate(`/projects/${project.id}`);
+    };
+
+    const labelClass = "text-xs font-black uppercase tracking-widest text-slate-500 ml-1";
+    const errorClass = "text-[10px] font-bold text-red-500 ml-1";
+
+    return (
+        <>
+            <DialogHeader>
+                <DialogTitle>New Project from Template</DialogTitle>
+                <DialogDescription>
+                    Tasks run one after another in phase order, each starting when the previous one finishes
+                </DialogDescription>
+            </DialogHeader>
+
+            <div className="max-h-[70vh] px-1 overflow-y-auto space-y-6 py-2">
+                <div className="grid grid-cols-3 gap-4">
+                    <div className="space-y-2">
+                        <Label className={labelClass}>Project</Label>
+                        <Select value={projectId} onValueChange={setProjectId}>
+                            <SelectTrigger className="rounded-xl"><SelectValue /></SelectTrigger>
+                            <SelectContent>
+                                <SelectItem value={NEW_PROJECT}>New project</SelectItem>
+                                {projects.map(p => (
+                                    <SelectItem key={p.id} value={p.id}>{p.code} · {p.name}</SelectItem>
+                                ))}
+                            </SelectContent>
+                        </Select>
+                    </div>
+                    {!existingProject && (
+                        <>
+                            <div className="space-y-2">
+                                <Label htmlFor="template-code" className={labelClass}>Code</Label>
+                                <Input
+                                    id="template-code"
+                                    placeholder="DM-000001"
+                                    value={newProject.code}
+                                    onChange={(e) => setNewProject(prev => ({ ...prev, code: e.target.value }))}
+                                    className={cn("rounded-xl", errors.code && "border-red-500")}
+                                />
+                                {errors.code && <p className={errorClass}>{errors.code}</p>}
+                            </div>
+                            <div className="space-y-2">
+                                <Label htmlFor="template-name" className={labelClass}>Name</Label>
+                                <Input
+                                    id="template-name"
+                                    value={newProject.name}
+                                    onChange={(e) => setNewProject(prev => ({ ...prev, name: e.target.value }))}
+                                    className={cn("rounded-xl", errors.name && "border-red-500")}
+                                />
+                                {errors.name && <p className={errorClass}>{errors.name}</p>}
+                            </div>
+                        </>
+                    )}
+                </div>
+
+                <div className="space-y-2">
+                    <Label className={labelClass}>Phases</Label>
+                    <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+                        {templatePhases.map(phase => (
+                            <label
+                                key={phase.id}
+                                className="flex items-center gap-2 p-2 rounded-lg border border-border text-sm cursor-pointer hover:bg-muted"
+                            >
+                                <Checkbox
+                                    checked={selection.phaseIds.includes(phase.id)}
+                                    onCheckedChange={(checked) => togglePhase(phase.id, checked === true)}
+                                />
+                                <span className="font-medium">{phase.name}</span>
+                                <span className="ml-auto text-[10px] text-muted-foreground">{phase.category}</span>
+                            </label>
+                        ))}
+                    </div>
+                    {errors.phaseIds && <p className={errorClass}>{errors.phaseIds}</p>}
+                </div>
+
+                <div className="grid grid-cols-2 gap-4">
+                    <div className="space-y-2">
+                        <Label className={labelClass}>Complexity</Label>
+                        <Select value={selection.complexity} onValueChange={(v) => updateSelection('complexity', v)}>
+                            <SelectTrigger className="rounded-xl"><SelectValue /></SelectTrigger>
+                            <SelectContent>
+                                {complexityOptions.map(opt => <SelectItem key={opt.value} value={opt.value}>{opt.label}</SelectItem>)}
+                            </SelectContent>
+                        </Select>
+                    </div>
+                    <div className="space-y-2">
+                        <Label htmlFor="template-start" className={labelClass}>Start Date</Label>
+                        <Input
+                            id="template-start"
+                            type="date"
+                            value={selection.startDate}
+                            onChange={(e) => updateSelection('startDate', e.target.value)}
+                            className={cn("rounded-xl", errors.startDate && "border-red-500")}
+                        />
+                        {errors.startDate && <p className={errorClass}>{errors.startDate}</p>}
+                    </div>
+                </div>
+
+                {roles.length > 0 && (
+                    <div className="space-y-2">
+                        <Label className={labelClass}>Assignments</Label>
+                        <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+                            {roles.map(role => (
+                                <div key={role} className="space-y-1">
+                                    <p className="text-xs text-muted-foreground ml-1">{getTemplateRoleLabel(role)}</p>
+                                    <Select value={selection.assignments[role] || ''} onValueChange={(v) => assignRole(role, v)}>
+                                        <SelectTrigger className="rounded-xl"><SelectValue placeholder="Select member" /></SelectTrigger>
+                                        <SelectContent>
+                                            {activeMembers.map(m => (
+                                                <SelectItem key={m.id} value={m.id}>
+                                                    {m.name}{m.type === role ? '' : ` (${getTemplateRoleLabel(m.type)})`}
+                                                </SelectItem>
+                                            ))}
+                                        </SelectContent>
+                                    </Select>
+                                </div>
+                            ))}
+                        </div>
+                        {errors.assignments && <p className={errorClass}>{errors.assignments}</p>}
+                    </div>
+                )}
+
+                <div className="space-y-2">
+                    <div className="flex items-center justify-between">
+                        <Label className={labelClass}>Preview</Label>
+                        {preview.length > 0 && (
+                            <p className="text-xs text-muted-foreground">
+                                {preview.length} allocations · {formatCurrency(totalCost)} · finishes {formatDate(finish)}
+                            </p>
+                        )}
+                    </div>
+                    {preview.length === 0 ? (
+                        <p className="text-sm text-muted-foreground p-4 rounded-xl border border-dashed border-border text-center">
+                            {Object.values(selectionErrors)[0]}
+                        </p>
+                    ) : (
+                        <div className="rounded-xl border border-border overflow-hidden">
+                            <Table>
+                                <TableHeader>
+                                    <TableRow>
+                                        <TableHead>Phase</TableHead>
+                                        <TableHead>Task</TableHead>
+                                        <TableHead>Resource</TableHead>
+                                        <TableHead>Start</TableHead>
+                                        <TableHead>End</TableHead>
+                                        <TableHead className="text-right">Planned Cost</TableHead>
+                                    </TableRow>
+                                </TableHeader>
+                                <TableBody>
+                                    {preview.map(a => (
+                                        <TableRow key={a.id}>
+                                            <TableCell className="text-xs text-muted-foreground">{a.phase}</TableCell>
+                                            <TableCell className="font-medium">{a.taskName}</TableCell>
+                                            <TableCell className="text-sm">{a.resource}</TableCell>
+                                            <TableCell className="text-xs">{formatDate(a.plan.taskStart)}</TableCell>
+                                            <TableCell className="text-xs">{formatDate(a.plan.taskEnd)}</TableCell>
+                                            <TableCell className="text-right tabular-nums">{formatCurrency(a.plan.costProject)}</TableCell>
+                                        </TableRow>
+                                    ))}
+                                </TableBody>
+                            </Table>
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            <DialogFooter>
+                <Button variant="ghost" onClick={onClose}>Cancel</Button>
+                <Button onClick={handleSubmit} disabled={preview.length === 0}>
+                    Generate {preview.length > 0 ? `${preview.length} Allocations` : 'Allocations'}
+                </Button>
+            </DialogFooter>
+        </>
+    );
+}
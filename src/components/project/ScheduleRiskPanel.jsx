@@ -0,0 +1,217 @@
+/**
+ * Schedule Risk Panel
+ * Monte Carlo completion date and cost percentiles for a demand, shown as a
+ * histogram of finish dates and a cumulative (S-curve) probability chart
+ */
+
+import { useState } from 'react';
+import { format, parseISO } from 'date-fns';
+import {
+    BarChart,
+    Bar,
+    LineChart,
+    Line,
+    XAxis,
+    YAxis,
+    CartesianGrid,
+    Tooltip as ChartTooltip,
+    ReferenceLine,
+    ResponsiveContainer,
+} from 'recharts';
+import { useApp } from '../../context/AppContext';
+import { useMonteCarlo } from '../../hooks/useMonteCarlo';
+import { formatCurrency } from '../../utils/calculations';
+import {
+    DEFAULT_ITERATIONS,
+    DISTRIBUTIONS,
+    PERCENTILES,
+    distributionOptions,
+} from '../../utils/monteCarlo';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Progress } from "@/components/ui/progress";
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "@/components/ui/select";
+import { Dices, Play, AlertTriangle } from "lucide-react";
+import { cn } from "@/lib/utils";
+
+const ITERATION_OPTIONS = [1000, 5000, 10000];
+
+const formatDate = (date) => (date ? format(parseISO(date), 'MMM d, yyyy') : '—');
+const formatShortDate = (date) => format(parseISO(date), 'MMM d');
+
+export default function ScheduleRiskPanel({ demandNumber }) {
+    const { state } = useApp();
+    const { run, status, progress, result, error } = useMonteCarlo();
+    const [iterations, setIterations] = useState(DEFAULT_ITERATIONS);
+    const [distribution, setDistribution] = useState(DISTRIBUTIONS.PERT);
+
+    const demand = result?.demands.find(d => d.demandNumber === demandNumber);
+    const isRunning = status === 'running';
+
+    const handleRun = () => {
+        // Dependencies can cross demands, so the whole plan is simulated
+        run(state.allocations, {
+            members: state.members,
+            complexity: state.complexity,
+            holidays: state.holidays,
+            leaves: state.leaves,
+            settings: state.settings,
+        }, { iterations, distribution });
+    };
+
+    return (
+        <Card className="rounded-xl border border-border shadow-sm">
+            <CardHeader>
+                <div className="flex flex-col md:flex-row md:items-start justify-between gap-4">
+                    <div>
+                        <CardTitle className="flex items-center gap-2">
+                            <Dices className="h-5 w-5 text-indigo-600" />
+                            Schedule Risk
+                        </CardTitle>
+                        <CardDescription>
+                            Monte Carlo simulation of {demandNumber} from each allocation's optimistic, realistic and pessimistic effort
+                        </CardDescription>
+                    </div>
+                    <div className="flex items-center gap-2">
+                        <Select value={String(iterations)} onValueChange={(value) => setIterations(Number(value))} disabled={isRunning}>
+                            <SelectTrigger className="h-9 w-[130px]">
+                                <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                                {ITERATION_OPTIONS.map(count => (
+                                    <SelectItem key={count} value={String(count)}>
+                                        {count.toLocaleString()} runs
+                                    </SelectItem>
+                                ))}
+                            </SelectContent>
+                        </Select>
+                        <Select value={distribution} onValueChange={setDistribution} disabled={isRunning}>
+                            <SelectTrigger className="h-9 w-[130px]">
+                                <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                                {distributionOptions.map(option => (
+                                    <SelectItem key={option.value} value={option.value}>
+                                        {option.label}
+                                    </SelectItem>
+                                ))}
+                            </SelectContent>
+                        </Select>
+                        <Button size="sm" className="h-9 gap-2" onClick={handleRun} disabled={isRunning}>
+                            <Play className="h-4 w-4" />
+                            {isRunning ? 'Running...' : 'Run'}
+                        </Button>
+                    </div>
+                </div>
+            </CardHeader>
+            <CardContent className="space-y-6">
+                {isRunning && (
+                    <div className="space-y-1">
+                        <Progress value={progress * 100} className="h-2" />
+                        <p className="text-[10px] text-muted-foreground">{Math.round(progress * 100)}% of {iterations.toLocaleString()} iterations</p>
+                    </div>
+                )}
+
+                {error && (
+                    <div className="flex items-center gap-2 p-3 rounded-lg bg-rose-50 border border-rose-200 text-xs text-rose-700">
+                        <AlertTriangle className="h-4 w-4 shrink-0" />
+                        {error}
+                    </div>
+                )}
+
+                {!demand && !isRunning && (
+                    <p className="text-sm text-slate-500">
+                        {result ? 'No scheduled allocations for this demand.' : 'Run the simulation to see completion date and cost percentiles.'}
+                    </p>
+                )}
+
+                {demand && (
+                    <>
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                            <div>
+                                <p className="text-[10px] font-bold text-slate-500 uppercase mb-1">Planned Finish</p>
+                                <p className="text-sm font-black text-slate-900 dark:text-slate-100">{formatDate(demand.plannedFinish)}</p>
+                                <p className={cn(
+                                    "text-[10px] font-bold",
+                                    demand.onTimeProbability >= 0.8 ? "text-emerald-600" : demand.onTimeProbability >= 0.5 ? "text-amber-600" : "text-rose-600"
+                                )}>
+                                    {Math.round(demand.onTimeProbability * 100)}% chance on time
+                                </p>
+                            </div>
+                            {PERCENTILES.map(p => (
+                                <div key={p}>
+                                    <p className="text-[10px] font-bold text-slate-500 uppercase mb-1">P{p}</p>
+                                    <p className="text-sm font-black text-slate-900 dark:text-slate-100">{formatDate(demand.finish[`p${p}`])}</p>
+                                    <p className="text-[10px] text-slate-500">{formatCurrency(demand.cost[`p${p}`])}</p>
+                                </div>
+                            ))}
+                        </div>
+
+                        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                            <div>
+                                <p className="text-[10px] font-bold text-slate-500 uppercase mb-2">Finish Date Distribution</p>
+                                <div className="h-56">
+                                    <ResponsiveContainer width="100%" height="100%">
+                                        <BarChart data={demand.histogram} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+                                            <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                                            <XAxis dataKey="date" fontSize={10} tickLine={false} axisLine={false} tickFormatter={formatShortDate} />
+                                            <YAxis fontSize={10} tickLine={false} axisLine={false} width={40} />
+                                            <ChartTooltip
+                                                labelFormatter={(date, payload) => {
+                                                    const bin = payload?.[0]?.payload;
+                                                    return bin && bin.endDate !== bin.date
+                                                        ? `${formatDate(bin.date)} – ${formatDate(bin.endDate)}`
+                                                        : formatDate(date);
+                                                }}
+                                                formatter={(value) => [value, 'Runs']}
+                                            />
+                                            <Bar dataKey="count" fill="#6366f1" radius={[3, 3, 0, 0]} />
+                                        </BarChart>
+                                    </ResponsiveContainer>
+                                </div>
+                            </div>
+                            <div>
+                                <p className="text-[10px] font-bold text-slate-500 uppercase mb-2">Probability of Finishing By</p>
+                                <div className="h-56">
+                                    <ResponsiveContainer width="100%" height="100%">
+                                        <LineChart data={demand.sCurve} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+                                            <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                                            <XAxis dataKey="date" fontSize={10} tickLine={false} axisLine={false} tickFormatter={formatShortDate} />
+                                            <YAxis
+                                                fontSize={10}
+                                                tickLine={false}
+                                                axisLine={false}
+                                                width={40}
+                                                domain={[0, 1]}
+                                                tickFormatter={(value) => `${Math.round(value * 100)}%`}
+                                            />
+                                            <ChartTooltip
+                                                labelFormatter={formatDate}
+                                                formatter={(value) => [`${(value * 100).toFixed(1)}%`, 'Probability']}
+                                            />
+                                            {PERCENTILES.map(p => (
+                                                <ReferenceLine key={p} y={p / 100} stroke="#cbd5e1" strokeDasharray="4 4" />
+                                            ))}
+                                            <Line type="stepAfter" dataKey="probability" stroke="#4f46e5" strokeWidth={2} dot={false} />
+                                        </LineChart>
+                                    </ResponsiveContainer>
+                                </div>
+                            </div>
+                        </div>
+
+                        <p className="text-[10px] text-muted-foreground">
+                            {result.iterations.toLocaleString()} iterations, {distributionOptions.find(o => o.value === result.distribution)?.label} distribution.
+                            Completed allocations keep their planned dates; cost scales with sampled effort.
+                        </p>
+                    </>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
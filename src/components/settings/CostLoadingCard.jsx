@@ -0,0 +1,272 @@
+/**
+ * Cost Loading Card
+ * Benefits, BPJS, overhead and markup percentages in Settings: the default
+ * profile, overrides per role or cost center, and the COA accounts each
+ * loading component is posted to
+ */
+
+import { useState } from 'react';
+import { useApp } from '../../context/AppContext';
+import {
+    LOADING_COMPONENTS,
+    defaultCostLoading,
+    emptyLoadingProfile,
+    validateLoadingProfile,
+} from '../../utils/costLoading';
+import { getRoleOptions } from '../../data';
+import { Button } from "@/components/ui/button";
+import {
+    Card,
+    CardContent,
+    CardDescription,
+    CardHeader,
+    CardTitle
+} from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "@/components/ui/select";
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableHeader,
+    TableRow,
+} from "@/components/ui/table";
+import { Layers, Plus, Trash2 } from "lucide-react";
+import { cn } from "@/lib/utils";
+
+const PROFILE_FIELDS = [
+    ...LOADING_COMPONENTS.map(({ field, label }) => ({ field, label })),
+    { field: 'markupPercent', label: 'Billable Markup' },
+];
+
+// Multiplier of the base rate a profile loads costs with
+const getLoadFactor = (profile) => 1 + LOADING_COMPONENTS.reduce((sum, { field }) => sum + (Number(profile[field]) || 0), 0) / 100;
+
+const toProfile = (form) => Object.fromEntries(PROFILE_FIELDS.map(({ field }) => [field, Number(form[field]) || 0]));
+
+function ProfileInputs({ profile, errors, onChange }) {
+    return (
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+            {PROFILE_FIELDS.map(({ field, label }) => (
+                <div key={field} className="space-y-1">
+                    <Label className="text-[10px] font-bold text-slate-400 uppercase tracking-wider">{label} %</Label>
+                    <Input
+                        type="number"
+                        min={0}
+                        step="0.01"
+                        value={profile[field]}
+                        onChange={(e) => onChange(field, e.target.value)}
+                        className={cn("h-9 tabular-nums", errors[field] && "border-red-500")}
+                    />
+                    {errors[field] && <p className="text-[10px] font-bold text-red-500">{errors[field]}</p>}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+export default function CostLoadingCard() {
+    const { state, dispatch, ACTIONS } = useApp();
+    const costLoading = state.settings?.costLoading || defaultCostLoading;
+
+    const [defaultForm, setDefaultForm] = useState(() => ({ ...emptyLoadingProfile, ...costLoading.default }));
+    const [defaultErrors, setDefaultErrors] = useState({});
+    const [override, setOverride] = useState({ target: '', ...emptyLoadingProfile });
+    const [overrideErrors, setOverrideErrors] = useState({});
+
+    const roleOptions = getRoleOptions();
+    const costCenters = state.costCenters || [];
+    const expenseAccounts = (state.coa || []).filter(a => a.category === 'Expense' && a.isActive !== false);
+
+    const saveLoading = (changes) => {
+        dispatch({ type: ACTIONS.UPDATE_SETTINGS, payload: { costLoading: { ...costLoading, ...changes } } });
+    };
+
+    const handleSaveDefault = () => {
+        const validation = validateLoadingProfile(defaultForm);
+        setDefaultErrors(validation);
+        if (Object.keys(validation).length > 0) return;
+        saveLoading({ default: toProfile(defaultForm) });
+    };
+
+    const handleAddOverride = () => {
+        const validation = validateLoadingProfile(override);
+        if (!override.target) validation.target = 'Choose a role or cost center';
+        setOverrideErrors(validation);
+        if (Object.keys(validation).length > 0) return;
+
+        const [scope, id] = override.target.split(':');
+        const key = scope === 'role' ? 'roles' : 'costCenters';
+        saveLoading({ [key]: { ...costLoading[key], [id]: toProfile(override) } });
+        setOverride({ target: '', ...emptyLoadingProfile });
+    };
+
+    const handleRemoveOverride = (key, id) => {
+        const remaining = { ...costLoading[key] };
+        delete remaining[id];
+        saveLoading({ [key]: remaining });
+    };
+
+    const overrides = [
+        ...Object.entries(costLoading.costCenters || {}).map(([id, profile]) => ({
+            key: 'costCenters',
+            id,
+            label: costCenters.find(cc => cc.id === id)?.name || id,
+            scope: 'Cost Center',
+            profile,
+        })),
+        ...Object.entries(costLoading.roles || {}).map(([id, profile]) => ({
+            key: 'roles',
+            id,
+            label: roleOptions.find(r => r.value === id)?.label || id,
+            scope: 'Role',
+            profile,
+        })),
+    ];
+
+    return (
+        <Card className="border-border bg-card shadow-xl rounded-3xl overflow-hidden">
+            <CardHeader className="p-8 pb-4">
+                <div className="flex items-center gap-3">
+                    <Layers className="h-5 w-5 text-violet-500" />
+                    <CardTitle className="text-xl font-black uppercase tracking-widest">Cost Loading</CardTitle>
+                </div>
+                <CardDescription className="text-sm font-medium">
+                    Fully loaded cost = base rate plus benefits, BPJS and overhead. A cost center override wins over a role override.
+                </CardDescription>
+            </CardHeader>
+            <CardContent className="p-8 pt-4 space-y-6">
+                <div className="space-y-3">
+                    <div className="flex items-center justify-between">
+                        <Label className="text-sm font-bold">Default Profile</Label>
+                        <span className="text-[10px] text-slate-500 font-bold tabular-nums">×{getLoadFactor(costLoading.default || {}).toFixed(2)} base rate</span>
+                    </div>
+                    <ProfileInputs
+                        profile={defaultForm}
+                        errors={defaultErrors}
+                        onChange={(field, value) => setDefaultForm(prev => ({ ...prev, [field]: value }))}
+                    />
+                    <div className="flex justify-end">
+                        <Button size="sm" onClick={handleSaveDefault}>Save Default</Button>
+                    </div>
+                </div>
+
+                <div className="rounded-xl border border-border overflow-hidden">
+                    <Table>
+                        <TableHeader>
+                            <TableRow>
+                                <TableHead>Override</TableHead>
+                                {PROFILE_FIELDS.map(({ field, label }) => (
+                                    <TableHead key={field} className="text-right">{label}</TableHead>
+                                ))}
+                                <TableHead className="text-right">Load</TableHead>
+                                <TableHead />
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {overrides.length === 0 ? (
+                                <TableRow>
+                                    <TableCell colSpan={PROFILE_FIELDS.length + 3} className="text-center text-sm text-muted-foreground py-6">
+                                        No overrides. Every tier uses the default profile.
+                                    </TableCell>
+                                </TableRow>
+                            ) : overrides.map(row => (
+                                <TableRow key={`${row.key}:${row.id}`}>
+                                    <TableCell>
+                                        <div className="font-bold">{row.label}</div>
+                                        <div className="text-[10px] text-slate-400 uppercase tracking-wider">{row.scope}</div>
+                                    </TableCell>
+                                    {PROFILE_FIELDS.map(({ field }) => (
+                                        <TableCell key={field} className="text-right tabular-nums">{Number(row.profile[field]) || 0}%</TableCell>
+                                    ))}
+                                    <TableCell className="text-right font-bold tabular-nums">×{getLoadFactor(row.profile).toFixed(2)}</TableCell>
+                                    <TableCell className="text-right">
+                                        <Button
+                                            variant="ghost"
+                                            size="icon"
+                                            className="h-8 w-8 text-slate-400 hover:text-rose-600"
+                                            onClick={() => handleRemoveOverride(row.key, row.id)}
+                                        >
+                                            <Trash2 className="h-4 w-4" />
+                                        </Button>
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                </div>
+
+                <div className="space-y-3">
+                    <div className="space-y-1">
+                        <Select
+                            value={override.target}
+                            onValueChange={(target) => {
+                                setOverride(prev => ({ ...prev, target }));
+                                setOverrideErrors(prev => ({ ...prev, target: null }));
+                            }}
+                        >
+                            <SelectTrigger className={cn("h-9", overrideErrors.target && "border-red-500")}>
+                                <SelectValue placeholder="Role or cost center to override" />
+                            </SelectTrigger>
+                            <SelectContent>
+                                {costCenters.map(cc => (
+                                    <SelectItem key={cc.id} value={`costCenter:${cc.id}`}>Cost Center · {cc.name}</SelectItem>
+                                ))}
+                                {roleOptions.map(role => (
+                                    <SelectItem key={role.value} value={`role:${role.value}`}>Role · {role.label}</SelectItem>
+                                ))}
+                            </SelectContent>
+                        </Select>
+                        {overrideErrors.target && <p className="text-[10px] font-bold text-red-500">{overrideErrors.target}</p>}
+                    </div>
+                    <ProfileInputs
+                        profile={override}
+                        errors={overrideErrors}
+                        onChange={(field, value) => setOverride(prev => ({ ...prev, [field]: value }))}
+                    />
+                    <div className="flex justify-end">
+                        <Button size="sm" variant="outline" onClick={handleAddOverride}>
+                            <Plus className="mr-2 h-4 w-4" />
+                            Save Override
+                        </Button>
+                    </div>
+                </div>
+
+                <div className="space-y-3">
+                    <div className="space-y-0.5">
+                        <Label className="text-sm font-bold">Posting Accounts</Label>
+                        <p className="text-[10px] text-slate-500 font-medium">
+                            The base rate posts to the tier's (or member's) account; each loading component posts here.
+                        </p>
+                    </div>
+                    <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                        {LOADING_COMPONENTS.map(({ key, label }) => (
+                            <div key={key} className="space-y-1">
+                                <Label className="text-[10px] font-bold text-slate-400 uppercase tracking-wider">{label}</Label>
+                                <Select
+                                    value={costLoading.accounts?.[key] || ''}
+                                    onValueChange={(coaId) => saveLoading({ accounts: { ...costLoading.accounts, [key]: coaId } })}
+                                >
+                                    <SelectTrigger className="h-9"><SelectValue placeholder="Select account" /></SelectTrigger>
+                                    <SelectContent>
+                                        {expenseAccounts.map(account => (
+                                            <SelectItem key={account.id} value={account.id}>{account.code} · {account.name}</SelectItem>
+                                        ))}
+                                    </SelectContent>
+                                </Select>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            </CardContent>
+        </Card>
+    );
+}
@@ -0,0 +1,214 @@
+/**
+ * Exchange Rates Card
+ * Reporting currency and the dated FX rate table in Settings, with CSV import
+ */
+
+import { useRef, useState } from 'react';
+import { useApp } from '../../context/AppContext';
+import {
+    BASE_CURRENCY,
+    currencyOptions,
+    parseExchangeRatesCsv,
+    validateExchangeRate,
+} from '../../utils/currency';
+import { formatCurrency } from '../../utils/calculations';
+import { generateId } from '../../utils/storage';
+import { showToast } from '../../utils/toast';
+import { Button } from "@/components/ui/button";
+import {
+    Card,
+    CardContent,
+    CardDescription,
+    CardHeader,
+    CardTitle
+} from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "@/components/ui/select";
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableHeader,
+    TableRow,
+} from "@/components/ui/table";
+import { Coins, Plus, Trash2, Upload } from "lucide-react";
+import { cn } from "@/lib/utils";
+
+// Vendor currencies that need a rate (the base currency is always 1)
+const rateCurrencyOptions = currencyOptions.filter(opt => opt.value !== BASE_CURRENCY);
+
+const emptyRate = { currency: rateCurrencyOptions[0]?.value || '', rate: '', effectiveDate: '' };
+
+export default function ExchangeRatesCard() {
+    const { state, dispatch, ACTIONS } = useApp();
+    const [newRate, setNewRate] = useState(emptyRate);
+    const [errors, setErrors] = useState({});
+    const fileInputRef = useRef(null);
+
+    const rates = state.exchangeRates || [];
+
+    const handleChange = (name, value) => {
+        setNewRate(prev => ({ ...prev, [name]: value }));
+        if (errors[name]) {
+            setErrors(prev => ({ ...prev, [name]: null }));
+        }
+    };
+
+    const handleAdd = () => {
+        const rate = { ...newRate, id: generateId('FX'), rate: Number(newRate.rate) };
+        const validation = validateExchangeRate(rate, rates);
+        if (Object.keys(validation).length > 0) {
+            setErrors(validation);
+            return;
+        }
+        dispatch({ type: ACTIONS.ADD_EXCHANGE_RATE, payload: rate });
+        setNewRate({ ...emptyRate, currency: newRate.currency });
+    };
+
+    const handleImport = async (event) => {
+        const file = event.target.files?.[0];
+        if (!file) return;
+
+        const { rates: imported, errors: importErrors } = parseExchangeRatesCsv(await file.text());
+        if (imported.length > 0) {
+            dispatch({ type: ACTIONS.IMPORT_EXCHANGE_RATES, payload: imported });
+            showToast.success(`Imported ${imported.length} exchange rate${imported.length === 1 ? '' : 's'}`);
+        }
+        if (importErrors.length > 0) {
+            console.warn('[ExchangeRates] Skipped CSV rows:', importErrors);
+            showToast.error(`${importErrors.length} row${importErrors.length === 1 ? '' : 's'} skipped: ${importErrors[0]}`);
+        }
+
+        if (fileInputRef.current) fileInputRef.current.value = '';
+    };
+
+    return (
+        <Card className="border-border bg-card shadow-xl rounded-3xl overflow-hidden">
+            <CardHeader className="p-8 pb-4">
+                <div className="flex items-center gap-3">
+                    <Coins className="h-5 w-5 text-amber-500" />
+                    <CardTitle className="text-xl font-black uppercase tracking-widest">Currencies</CardTitle>
+                </div>
+                <CardDescription className="text-sm font-medium">
+                    Costs and budgets are converted into the reporting currency at the rate effective on their date.
+                </CardDescription>
+            </CardHeader>
+            <CardContent className="p-8 pt-4 space-y-6">
+                <div className="flex items-center justify-between">
+                    <div className="space-y-0.5">
+                        <Label className="text-sm font-bold">Reporting Currency</Label>
+                        <p className="text-[10px] text-slate-500 font-medium">Currency of allocation costs, reports and quotes.</p>
+                    </div>
+                    <Select
+                        value={state.settings?.currency || BASE_CURRENCY}
+                        onValueChange={(currency) => dispatch({ type: ACTIONS.UPDATE_SETTINGS, payload: { currency } })}
+                    >
+                        <SelectTrigger className="w-56 h-9 font-bold"><SelectValue /></SelectTrigger>
+                        <SelectContent>
+                            {currencyOptions.map(opt => <SelectItem key={opt.value} value={opt.value}>{opt.label}</SelectItem>)}
+                        </SelectContent>
+                    </Select>
+                </div>
+
+                <div className="rounded-xl border border-border overflow-hidden">
+                    <Table>
+                        <TableHeader>
+                            <TableRow>
+                                <TableHead>Currency</TableHead>
+                                <TableHead className="text-right">Rate ({BASE_CURRENCY})</TableHead>
+                                <TableHead>Effective From</TableHead>
+                                <TableHead />
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {rates.length === 0 ? (
+                                <TableRow>
+                                    <TableCell colSpan={4} className="text-center text-sm text-muted-foreground py-6">
+                                        No exchange rates. Amounts in other currencies are left unconverted.
+                                    </TableCell>
+                                </TableRow>
+                            ) : rates.map(rate => (
+                                <TableRow key={rate.id}>
+                                    <TableCell className="font-bold">1 {rate.currency}</TableCell>
+                                    <TableCell className="text-right tabular-nums">{formatCurrency(rate.rate, BASE_CURRENCY)}</TableCell>
+                                    <TableCell className="tabular-nums">{rate.effectiveDate}</TableCell>
+                                    <TableCell className="text-right">
+                                        <Button
+                                            variant="ghost"
+                                            size="icon"
+                                            className="h-8 w-8 text-slate-400 hover:text-rose-600"
+                                            onClick={() => dispatch({ type: ACTIONS.DELETE_EXCHANGE_RATE, payload: rate.id })}
+                                        >
+                                            <Trash2 className="h-4 w-4" />
+                                        </Button>
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                </div>
+
+                <div className="grid grid-cols-1 sm:grid-cols-[8rem_1fr_1fr_auto] gap-3 items-start">
+                    <Select value={newRate.currency} onValueChange={(v) => handleChange('currency', v)}>
+                        <SelectTrigger className={cn("h-9", errors.currency && "border-red-500")}><SelectValue /></SelectTrigger>
+                        <SelectContent>
+                            {rateCurrencyOptions.map(opt => <SelectItem key={opt.value} value={opt.value}>{opt.value}</SelectItem>)}
+                        </SelectContent>
+                    </Select>
+                    <div className="space-y-1">
+                        <Input
+                            type="number"
+                            min={0}
+                            placeholder={`${BASE_CURRENCY} per unit`}
+                            value={newRate.rate}
+                            onChange={(e) => handleChange('rate', e.target.value)}
+                            className={cn("h-9", errors.rate && "border-red-500")}
+                        />
+                        {errors.rate && <p className="text-[10px] font-bold text-red-500">{errors.rate}</p>}
+                    </div>
+                    <div className="space-y-1">
+                        <Input
+                            type="date"
+                            value={newRate.effectiveDate}
+                            onChange={(e) => handleChange('effectiveDate', e.target.value)}
+                            className={cn("h-9", errors.effectiveDate && "border-red-500")}
+                        />
+                        {errors.effectiveDate && <p className="text-[10px] font-bold text-red-500">{errors.effectiveDate}</p>}
+                    </div>
+                    <Button onClick={handleAdd} className="h-9">
+                        <Plus className="mr-2 h-4 w-4" />
+                        Add Rate
+                    </Button>
+                </div>
+
+                <div className="flex items-center justify-between gap-4">
+                    <p className="text-[10px] text-slate-500 font-medium">
+                        CSV columns: <code className="font-bold">currency,rate,effectiveDate</code>. Rows for an existing currency and date replace it.
+                    </p>
+                    <Input
+                        type="file"
+                        accept=".csv,text/csv"
+                        onChange={handleImport}
+                        ref={fileInputRef}
+                        className="hidden"
+                        id="fx-rates-upload"
+                    />
+                    <Button variant="outline" size="sm" asChild>
+                        <label htmlFor="fx-rates-upload" className="cursor-pointer">
+                            <Upload className="mr-2 h-4 w-4" />
+                            Import CSV
+                        </label>
+                    </Button>
+                </div>
+            </CardContent>
+        </Card>
+    );
+}
@@ -0,0 +1,118 @@
+/**
+ * Work Calendar Editor
+ * Edits a member's working calendar periods: working weekdays, hours per day
+ * and the date range each period applies to
+ */
+
+import { generateId } from '../../utils/storage';
+import {
+    STANDARD_CALENDAR,
+    weekdayOptions,
+    describeCalendar,
+} from '../../utils/workCalendar';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { CalendarDays, Plus, Trash2 } from "lucide-react";
+import { cn } from "@/lib/utils";
+
+export default function WorkCalendarEditor({ value = [], onChange, error }) {
+    const updatePeriod = (id, changes) => {
+        onChange(value.map(period => (period.id === id ? { ...period, ...changes } : period)));
+    };
+
+    const toggleWeekday = (period, weekday) => {
+        const workdays = period.workdays.includes(weekday)
+            ? period.workdays.filter(d => d !== weekday)
+            : [...period.workdays, weekday].sort((a, b) => a - b);
+        updatePeriod(period.id, { workdays });
+    };
+
+    const addPeriod = () => {
+        onChange([...value, { ...STANDARD_CALENDAR, id: generateId('CAL') }]);
+    };
+
+    return (
+        <div className="space-y-3">
+            {value.length === 0 ? (
+                <div className="flex items-center gap-2 p-3 rounded-lg bg-muted/40 text-xs text-slate-500">
+                    <CalendarDays className="h-4 w-4 shrink-0" />
+                    Standard calendar: {describeCalendar(STANDARD_CALENDAR)}
+                </div>
+            ) : (
+                value.map(period => (
+                    <div key={period.id} className="p-3 rounded-lg border border-border space-y-3">
+                        <div className="flex items-center justify-between gap-2">
+                            <div className="flex flex-wrap gap-1">
+                                {weekdayOptions.map(day => (
+                                    <Button
+                                        key={day.value}
+                                        type="button"
+                                        size="sm"
+                                        variant={period.workdays.includes(day.value) ? 'default' : 'outline'}
+                                        className="h-7 w-11 px-0 text-[11px]"
+                                        onClick={() => toggleWeekday(period, day.value)}
+                                    >
+                                        {day.label}
+                                    </Button>
+                                ))}
+                            </div>
+                            <Button
+                                type="button"
+                                variant="ghost"
+                                size="icon"
+                                className="h-7 w-7 text-slate-400 hover:text-rose-600"
+                                onClick={() => onChange(value.filter(p => p.id !== period.id))}
+                            >
+                                <Trash2 className="h-4 w-4" />
+                            </Button>
+                        </div>
+                        <div className="grid grid-cols-3 gap-2">
+                            <div className="space-y-1">
+                                <p className="text-[10px] font-bold text-slate-400 uppercase">Hours / Day</p>
+                                <Input
+                                    type="number"
+                                    min={1}
+                                    max={24}
+                                    step={0.5}
+                                    value={period.hoursPerDay}
+                                    onChange={(e) => updatePeriod(period.id, { hoursPerDay: parseFloat(e.target.value) || 0 })}
+                                    className="rounded-lg h-8"
+                                />
+                            </div>
+                            <div className="space-y-1">
+                                <p className="text-[10px] font-bold text-slate-400 uppercase">From</p>
+                                <Input
+                                    type="date"
+                                    value={period.effectiveFrom}
+                                    onChange={(e) => updatePeriod(period.id, { effectiveFrom: e.target.value })}
+                                    className="rounded-lg h-8"
+                                />
+                            </div>
+                            <div className="space-y-1">
+                                <p className="text-[10px] font-bold text-slate-400 uppercase">To</p>
+                                <Input
+                                    type="date"
+                                    value={period.effectiveTo}
+                                    onChange={(e) => updatePeriod(period.id, { effectiveTo: e.target.value })}
+                                    className="rounded-lg h-8"
+                                />
+                            </div>
+                        </div>
+                    </div>
+                ))
+            )}
+
+            {error && <p className="text-[10px] text-red-500 font-bold">{error}</p>}
+
+            <div className="flex items-center justify-between">
+                <p className={cn("text-[10px] text-slate-400", value.length === 0 && "invisible")}>
+                    Dates outside every period use the standard calendar. Leave From/To empty for an open range.
+                </p>
+                <Button type="button" variant="outline" size="sm" className="h-7 gap-1 text-xs" onClick={addPeriod}>
+                    <Plus className="h-3 w-3" />
+                    Add period
+                </Button>
+            </div>
+        </div>
+    );
+}
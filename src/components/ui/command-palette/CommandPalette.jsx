@@ -13,6 +13,13 @@ import {
     Clock,
     Calendar,
     Calculator,
+    FileText,
+    ShieldCheck,
+    HandCoins,
+    FlaskConical,
+    Flag,
+    Timer,
+    FolderKanban,
     Users,
     Layers,
     ListTodo,
@@ -76,9 +83,16 @@ export function CommandPalette({ open, onOpenChange }) {
     const navigationCommands = [
         { id: 'nav-dashboard', label: 'Go to Dashboard', icon: LayoutDashboard, path: '/' },
         { id: 'nav-allocation', label: 'Go to Resource Allocation', icon: ClipboardList, path: '/allocation' },
+        { id: 'nav-timesheets', label: 'Go to Timesheets', icon: Timer, path: '/timesheets' },
         { id: 'nav-timeline', label: 'Go to Timeline', icon: Clock, path: '/timeline' },
         { id: 'nav-dates', label: 'Go to Important Dates', icon: Calendar, path: '/dates' },
         { id: 'nav-cost', label: 'Go to Cost Calculator', icon: Calculator, path: '/cost-calculator' },
+        { id: 'nav-quotes', label: 'Go to Quotes', icon: FileText, path: '/quotes' },
+        { id: 'nav-approvals', label: 'Go to Approvals', icon: ShieldCheck, path: '/approvals' },
+        { id: 'nav-chargebacks', label: 'Go to Chargebacks', icon: HandCoins, path: '/chargebacks' },
+        { id: 'nav-scenarios', label: 'Go to Scenarios', icon: FlaskConical, path: '/scenarios' },
+        { id: 'nav-baselines', label: 'Go to Baselines', icon: Flag, path: '/baselines' },
+        { id: 'nav-projects', label: 'Go to Projects', icon: FolderKanban, path: '/library/projects' },
         { id: 'nav-members', label: 'Go to Team Members', icon: Users, path: '/library/members' },
         { id: 'nav-phases', label: 'Go to Phases', icon: Layers, path: '/library/phases' },
         { id: 'nav-tasks', label: 'Go to Task Templates', icon: ListTodo, path: '/library/tasks' },
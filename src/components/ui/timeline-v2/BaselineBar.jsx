@@ -0,0 +1,37 @@
+import { useMemo } from 'react';
+import { differenceInDays, startOfDay } from 'date-fns';
+
+// Ghost bar showing where a task sat in the selected baseline; drawn under the live TaskBar
+export function BaselineBar({ entry, dateRange, cellWidth, lane = 0 }) {
+    const position = useMemo(() => {
+        if (!entry?.taskStart || !entry?.taskEnd) return null;
+
+        const timelineStart = startOfDay(dateRange[0]);
+        const start = startOfDay(new Date(entry.taskStart));
+        const end = startOfDay(new Date(entry.taskEnd));
+
+        return {
+            left: differenceInDays(start, timelineStart) * cellWidth,
+            width: Math.max(cellWidth, (differenceInDays(end, start) + 1) * cellWidth),
+        };
+    }, [entry, dateRange, cellWidth]);
+
+    if (!position) return null;
+
+    // Same lane geometry as TaskBar, nudged down so the ghost peeks out below the live bar
+    const taskHeight = 36;
+    const taskMargin = 8;
+    const top = 12 + lane * (taskHeight + taskMargin) + 4;
+
+    return (
+        <div
+            className="timeline-baseline-bar"
+            style={{
+                left: `${position.left}px`,
+                width: `${position.width}px`,
+                top: `${top}px`,
+                height: `${taskHeight}px`,
+            }}
+        />
+    );
+}
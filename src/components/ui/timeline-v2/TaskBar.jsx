@@ -8,7 +8,7 @@ import {
     TooltipTrigger,
 } from "@/components/ui/tooltip";
 
-export function TaskBar({ task, dateRange, cellWidth, lane = 0, onTaskUpdate }) {
+export function TaskBar({ task, dateRange, cellWidth, lane = 0, isCritical = false, totalFloat, isDimmed = false, baselineEntry, onTaskUpdate }) {
     const [isDragging, setIsDragging] = useState(false);
 
     const position = useMemo(() => {
@@ -73,6 +73,8 @@ export function TaskBar({ task, dateRange, cellWidth, lane = 0, onTaskUpdate })
                     className={cn(
                         "timeline-task-bar",
                         task.category?.toLowerCase(),
+                        isCritical && "critical",
+                        isDimmed && "dimmed",
                         isDragging && "dragging"
                     )}
                     style={{
@@ -110,6 +112,22 @@ export function TaskBar({ task, dateRange, cellWidth, lane = 0, onTaskUpdate })
                         <span className="text-slate-600">Category:</span>
                         <span className="font-medium text-slate-900 capitalize">{task.category || 'N/A'}</span>
                     </div>
+                    {baselineEntry && (
+                        <div className="flex justify-between gap-4">
+                            <span className="text-slate-600">Baseline:</span>
+                            <span className="font-medium text-slate-900">
+                                {format(new Date(baselineEntry.taskStart), 'MMM d')} – {format(new Date(baselineEntry.taskEnd), 'MMM d, yyyy')}
+                            </span>
+                        </div>
+                    )}
+                    {totalFloat !== undefined && (
+                        <div className="flex justify-between gap-4">
+                            <span className="text-slate-600">Float:</span>
+                            <span className={cn("font-medium", isCritical ? "text-rose-600" : "text-slate-900")}>
+                                {isCritical ? 'Critical' : `${totalFloat} workdays`}
+                            </span>
+                        </div>
+                    )}
                 </div>
             </TooltipContent>
         </Tooltip>
@@ -3,6 +3,7 @@ import { TimelineHeader } from './TimelineHeader';
 import { TimelineGrid } from './TimelineGrid';
 import { TimelineRow } from './TimelineRow';
 import { TodayIndicator } from './TodayIndicator';
+import { isAllocationForMember } from '@/utils/calculations';
 import './Timeline.css';
 
 const RESOURCE_WIDTH = 240;
@@ -14,6 +15,8 @@ export function Timeline({
     cellWidth = 50,
     rowHeight = 60,
     holidays = [],
+    criticalPath = null,
+    baselineEntries = null,
     onTaskUpdate
 }) {
     const scrollContainerRef = useRef(null);
@@ -118,11 +121,13 @@ export function Timeline({
                             <TimelineRow
                                 key={resource.id}
                                 resource={resource}
-                                tasks={tasks.filter(t => t.resource === resource.name)}
+                                tasks={tasks.filter(t => isAllocationForMember(t, resource))}
                                 dateRange={dateRange}
                                 cellWidth={cellWidth}
                                 gridWidth={gridWidth}
                                 rowHeight={rowHeight}
+                                criticalPath={criticalPath}
+                                baselineEntries={baselineEntries}
                                 onTaskUpdate={onTaskUpdate}
                             />
                         ))}
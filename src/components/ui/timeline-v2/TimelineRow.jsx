@@ -1,10 +1,11 @@
 import { useMemo } from 'react';
 import { TaskBar } from './TaskBar';
+import { BaselineBar } from './BaselineBar';
 import { Avatar, AvatarFallback } from "@/components/ui/avatar";
 import { defaultRoleTiers } from '@/data';
 import { isBefore, isAfter, parseISO } from 'date-fns';
 
-export function TimelineRow({ resource, tasks, dateRange, cellWidth, gridWidth, rowHeight, onTaskUpdate }) {
+export function TimelineRow({ resource, tasks, dateRange, cellWidth, gridWidth, rowHeight, criticalPath, baselineEntries = null, onTaskUpdate }) {
     // Stacking algorithm: assign tasks to lanes
     const stackedTasks = useMemo(() => {
         if (!tasks.length) return [];
@@ -80,6 +81,15 @@ export function TimelineRow({ resource, tasks, dateRange, cellWidth, gridWidth,
                     minHeight: `${dynamicRowHeight}px`
                 }}
             >
+                {baselineEntries && stackedTasks.map(task => (
+                    <BaselineBar
+                        key={`baseline-${task.id}`}
+                        entry={baselineEntries[task.id]}
+                        dateRange={dateRange}
+                        cellWidth={cellWidth}
+                        lane={task.lane || 0}
+                    />
+                ))}
                 {stackedTasks.map(task => (
                     <TaskBar
                         key={task.id}
@@ -87,6 +97,10 @@ export function TimelineRow({ resource, tasks, dateRange, cellWidth, gridWidth,
                         dateRange={dateRange}
                         cellWidth={cellWidth}
                         lane={task.lane || 0}
+                        isCritical={!!criticalPath?.criticalIds.has(task.id)}
+                        totalFloat={criticalPath?.floatById.get(task.id)}
+                        isDimmed={!!criticalPath && task.demandNumber !== criticalPath.demandNumber}
+                        baselineEntry={baselineEntries?.[task.id]}
                         onTaskUpdate={onTaskUpdate}
                     />
                 ))}
@@ -3,4 +3,5 @@ export { TimelineHeader } from './TimelineHeader';
 export { TimelineGrid } from './TimelineGrid';
 export { TimelineRow } from './TimelineRow';
 export { TaskBar } from './TaskBar';
+export { BaselineBar } from './BaselineBar';
 export { TodayIndicator } from './TodayIndicator';
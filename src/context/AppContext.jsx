@@ -3,15 +3,55 @@
  * Global state management using React Context + useReducer
  */
 
-import { createContext, useContext, useReducer, useEffect, useRef } from 'react';
-import {
-    saveToStorage,
-    loadFromStorage,
-} from '../utils/storage';
-import { migrateData, CURRENT_VERSION } from '../utils/migration';
+import { createContext, useContext, useReducer, useEffect, useLayoutEffect, useRef, useCallback, useSyncExternalStore } from 'react';
+import { initPersistence, PERSISTED_KEYS } from '../utils/persistence';
+import { withHistory, createHistoryState, HISTORY_ACTIONS } from '../utils/history';
+import { applyMigrations, CURRENT_VERSION } from '../utils/migration';
 import { recalculateAllocations } from '../utils/recalculate';
 import { getHolidaysWithFallback } from '../utils/holidayService';
-import { logCostChange } from '../utils/calculations';
+import { calculateActualCostCenterCost, logCostChange } from '../utils/calculations';
+import { findDependencyCycle } from '../utils/dependencies';
+import { getPromotionConflicts, getScenarioState, mergeScenarioChanges, recalculateScenarioData } from '../utils/scenarios';
+import { recordProgress } from '../utils/evm';
+import { validateProject, withProjectSnapshot } from '../utils/projects';
+import { validateQuote } from '../utils/quotes';
+import { BASE_CURRENCY, getReportingCurrency, mergeExchangeRates, setReportingCurrency, subscribeReportingCurrency, validateExchangeRate } from '../utils/currency';
+import { validateRateHistory } from '../utils/costRates';
+import { defaultCostLoading } from '../utils/costLoading';
+import { applyBudgetRevision, hasPhasedBudget, validateBudgetGrid } from '../utils/budgets';
+import { MAX_HIERARCHY_DEPTH, getHierarchyDepth, getSubtreeDepth, hasCircularReference } from '../utils/costCenterHierarchy';
+import { validateCostCenterSplits } from '../utils/costCenterSplits';
+import {
+    CHANGE_REQUEST_KINDS,
+    CHANGE_REQUEST_STATUS,
+    createChangeRequest,
+    getApprovedChange,
+    getChangeDiff,
+    getChangeRequestAuditEntry,
+    getChangeRequestTarget,
+    getReviewError,
+    getSubmitError,
+    isApprovalRequired,
+    reviewChangeRequest,
+} from '../utils/changeRequests';
+import {
+    CHARGEBACK_STATUS,
+    getChargebackAuditEntry,
+    getChargebackTransitionError,
+    getRunChargebackError,
+    runChargeback,
+    transitionChargeback,
+} from '../utils/chargeback';
+import {
+    TIMESHEET_STATUS,
+    applyTimesheetActuals,
+    getTimerEntries,
+    getTimesheetTransitionError,
+    setTimeEntry,
+    transitionTimesheet,
+    validateTimeEntry,
+} from '../utils/timesheets';
+import { validateWorkCalendars } from '../utils/workCalendar';
 import {
     defaultTeamMembers,
     defaultPhases,
@@ -21,6 +61,7 @@ import {
     defaultHolidays,
     defaultCostCenters,
     defaultCOA,
+    defaultExchangeRates,
 } from '../data';
 
 // Action Types
@@ -75,11 +116,17 @@ const ACTIONS = {
     DELETE_ALLOCATION: 'DELETE_ALLOCATION',
     SET_ALLOCATIONS: 'SET_ALLOCATIONS',
 
+    // Projects
+    ADD_PROJECT: 'ADD_PROJECT',
+    UPDATE_PROJECT: 'UPDATE_PROJECT',
+    DELETE_PROJECT: 'DELETE_PROJECT',
+
     // Cost Centers
     ADD_COST_CENTER: 'ADD_COST_CENTER',
     UPDATE_COST_CENTER: 'UPDATE_COST_CENTER',
     DELETE_COST_CENTER: 'DELETE_COST_CENTER',
     SET_COST_CENTERS: 'SET_COST_CENTERS',
+    SET_COST_CENTER_BUDGET: 'SET_COST_CENTER_BUDGET',
 
     // Chart of Accounts
     ADD_COA: 'ADD_COA',
@@ -87,9 +134,51 @@ const ACTIONS = {
     DELETE_COA: 'DELETE_COA',
     SET_COA: 'SET_COA',
 
+    // What-if Scenarios
+    ADD_SCENARIO: 'ADD_SCENARIO',
+    UPDATE_SCENARIO: 'UPDATE_SCENARIO',
+    DELETE_SCENARIO: 'DELETE_SCENARIO',
+    SCENARIO_DISPATCH: 'SCENARIO_DISPATCH',
+    PROMOTE_SCENARIO: 'PROMOTE_SCENARIO',
+
+    // Baselines
+    ADD_BASELINE: 'ADD_BASELINE',
+    DELETE_BASELINE: 'DELETE_BASELINE',
+
+    // Quotes
+    ADD_QUOTE: 'ADD_QUOTE',
+    UPDATE_QUOTE: 'UPDATE_QUOTE',
+    DELETE_QUOTE: 'DELETE_QUOTE',
+
+    // Timesheets
+    SET_TIME_ENTRY: 'SET_TIME_ENTRY',
+    START_TIMER: 'START_TIMER',
+    STOP_TIMER: 'STOP_TIMER',
+    DISCARD_TIMER: 'DISCARD_TIMER',
+    SUBMIT_TIMESHEET: 'SUBMIT_TIMESHEET',
+    APPROVE_TIMESHEET: 'APPROVE_TIMESHEET',
+    REJECT_TIMESHEET: 'REJECT_TIMESHEET',
+
+    // Change Requests
+    SUBMIT_CHANGE_REQUEST: 'SUBMIT_CHANGE_REQUEST',
+    APPROVE_CHANGE_REQUEST: 'APPROVE_CHANGE_REQUEST',
+    REJECT_CHANGE_REQUEST: 'REJECT_CHANGE_REQUEST',
+
+    // Chargeback
+    RUN_CHARGEBACK: 'RUN_CHARGEBACK',
+    LOCK_CHARGEBACK: 'LOCK_CHARGEBACK',
+    UNLOCK_CHARGEBACK: 'UNLOCK_CHARGEBACK',
+    FINALIZE_CHARGEBACK: 'FINALIZE_CHARGEBACK',
+
     // Settings
     UPDATE_SETTINGS: 'UPDATE_SETTINGS',
 
+    // Exchange Rates
+    ADD_EXCHANGE_RATE: 'ADD_EXCHANGE_RATE',
+    UPDATE_EXCHANGE_RATE: 'UPDATE_EXCHANGE_RATE',
+    DELETE_EXCHANGE_RATE: 'DELETE_EXCHANGE_RATE',
+    IMPORT_EXCHANGE_RATES: 'IMPORT_EXCHANGE_RATES',
+
     // Audit Log
     ADD_AUDIT_LOG: 'ADD_AUDIT_LOG',
     CLEAR_AUDIT_LOG: 'CLEAR_AUDIT_LOG',
@@ -108,8 +197,18 @@ const initialState = {
     holidays: [],
     leaves: [],
     allocations: [],
+    projects: [],
     costCenters: [],
     coa: [],
+    scenarios: [],
+    baselines: [],
+    quotes: [],
+    timeEntries: [],
+    timesheets: [],
+    timers: [],
+    changeRequests: [],
+    chargebacks: [],
+    exchangeRates: [],
     settings: {
         currency: 'IDR',
         theme: 'dark',
@@ -130,6 +229,7 @@ const initialState = {
         },
         capacityFactor: 0.85,
         includeCutiBersama: true,
+        costLoading: defaultCostLoading,
     },
     ui: {
         isDialogOpen: false,
@@ -328,17 +428,7 @@ function validateCostCenterBudget(monthlyBudget, yearlyBudget) {
         }
     }
 
-    // Cross-validation: yearly should be roughly 12x monthly (with some tolerance)
-    if (monthlyBudget && yearlyBudget) {
-        const monthly = Number(monthlyBudget);
-        const yearly = Number(yearlyBudget);
-        const expectedYearly = monthly * 12;
-        const tolerance = 0.2; // 20% tolerance
-
-        if (yearly < expectedYearly * (1 - tolerance) || yearly > expectedYearly * (1 + tolerance)) {
-            errors.push('Yearly budget should be approximately 12 times the monthly budget');
-        }
-    }
+    // No yearly ≈ 12 × monthly check: budgets are phased per month (see budgets.js)
 
     return errors;
 }
@@ -472,50 +562,196 @@ function validateCOACategory(category) {
     return errors;
 }
 
-// Helper functions for hierarchical cost center validation
-function hasCircularReference(costCenters, costCenterId, parentId) {
-    if (!parentId || costCenterId === parentId) return true;
+// Helper functions for hierarchical cost center validation (see costCenterHierarchy.js)
+function validateParentCostCenter(costCenters, parentId) {
+    if (!parentId) return true; // No parent is valid
+
+    const parent = costCenters.find(cc => cc.id === parentId);
+    if (!parent) return false; // Parent must exist
+    if (!parent.isActive) return false; // Parent must be active
 
-    const visited = new Set();
-    let currentId = parentId;
+    return true;
+}
 
-    while (currentId && !visited.has(currentId)) {
-        if (currentId === costCenterId) return true;
-        visited.add(currentId);
+// Allocation dependencies must form a DAG so start dates can cascade
+function validateAllocationDependencies(allocations) {
+    const cycle = findDependencyCycle(allocations);
+    if (cycle) {
+        throw new Error(`Dependency cycle detected: ${cycle.join(' → ')}`);
+    }
+}
 
-        const current = costCenters.find(cc => cc.id === currentId);
-        currentId = current?.parentCostCenterId;
+function validateAssignmentPercent(allocation) {
+    const percent = allocation.assignmentPercent;
+    if (percent != null && !(percent > 0 && percent <= 100)) {
+        throw new Error(`Assignment for "${allocation.activityName}" must be between 1 and 100%`);
     }
+}
 
-    return false;
+function validatePercentComplete(allocation) {
+    const percent = allocation.percentComplete;
+    if (percent != null && !(percent >= 0 && percent <= 100)) {
+        throw new Error(`Percent complete for "${allocation.activityName}" must be between 0 and 100%`);
+    }
 }
 
-function getHierarchyDepth(costCenters, costCenterId) {
-    let depth = 1;
-    let currentId = costCenterId;
+function assertValidCostCenterSplits(record, label, costCenters) {
+    const error = validateCostCenterSplits(record.costCenterSplits, costCenters);
+    if (error) {
+        throw new Error(`Invalid cost center splits for ${label}: ${error}`);
+    }
+}
 
-    while (currentId) {
-        const current = costCenters.find(cc => cc.id === currentId);
-        if (!current?.parentCostCenterId) break;
+function validateMemberCalendars(member) {
+    const error = validateWorkCalendars(member.workCalendars || []);
+    if (error) {
+        throw new Error(`Invalid working calendar for ${member.name}: ${error}`);
+    }
+}
 
-        currentId = current.parentCostCenterId;
-        depth++;
+// Edits allowed inside a what-if scenario (they only touch the scenario's own slices)
+const SCENARIO_EDIT_ACTIONS = [
+    ACTIONS.ADD_MEMBER, ACTIONS.UPDATE_MEMBER, ACTIONS.DELETE_MEMBER, ACTIONS.SET_MEMBERS,
+    ACTIONS.ADD_ALLOCATION, ACTIONS.UPDATE_ALLOCATION, ACTIONS.DELETE_ALLOCATION, ACTIONS.SET_ALLOCATIONS,
+    ACTIONS.ADD_COST, ACTIONS.UPDATE_COST, ACTIONS.DELETE_COST, ACTIONS.SET_COSTS,
+    ACTIONS.UPDATE_COMPLEXITY, ACTIONS.SET_COMPLEXITY,
+];
 
-        // Prevent infinite loops
-        if (depth > 10) break;
+function validateScenarioName(name, scenarios, excludeId = null) {
+    if (!name || !name.trim()) {
+        throw new Error('Scenario name is required');
+    }
+    const duplicate = scenarios.find(s =>
+        s.id !== excludeId && s.name.toLowerCase() === name.trim().toLowerCase()
+    );
+    if (duplicate) {
+        throw new Error(`A scenario named "${duplicate.name}" already exists`);
     }
+}
 
-    return depth;
+function validateBaselineName(name, baselines) {
+    if (!name || !name.trim()) {
+        throw new Error('Baseline name is required');
+    }
+    const duplicate = baselines.find(b => b.name.toLowerCase() === name.trim().toLowerCase());
+    if (duplicate) {
+        throw new Error(`A baseline named "${duplicate.name}" already exists`);
+    }
 }
 
-function validateParentCostCenter(costCenters, parentId) {
-    if (!parentId) return true; // No parent is valid
+function assertValidQuote(quote) {
+    const errors = Object.values(validateQuote(quote));
+    if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+    }
+}
 
-    const parent = costCenters.find(cc => cc.id === parentId);
-    if (!parent) return false; // Parent must exist
-    if (!parent.isActive) return false; // Parent must be active
+function assertValidRateHistory(cost) {
+    const error = validateRateHistory(cost.rateHistory);
+    if (error) {
+        throw new Error(error);
+    }
+}
 
-    return true;
+function assertValidBudgetGrid(costCenter, { year, months, reason }) {
+    const errors = Object.values(validateBudgetGrid(months, { reason, isRevision: hasPhasedBudget(costCenter, year) }));
+    if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+    }
+}
+
+// With manager approval on, governed changes only apply through an approved change request
+// (what-if edits inside a scenario are exempt)
+function assertApprovedChange(state, kind, before, after, meta) {
+    if (!isApprovalRequired(state.settings) || meta?.changeRequestId || meta?.scenarioId) return;
+    if (getChangeDiff(kind, before, after).length > 0) {
+        throw new Error('Manager approval is required for this change. Submit a change request instead.');
+    }
+}
+
+// Action an approved change request applies
+function getChangeRequestAction(request, target) {
+    const type = {
+        [CHANGE_REQUEST_KINDS.COST_CENTER]: ACTIONS.UPDATE_COST_CENTER,
+        [CHANGE_REQUEST_KINDS.BUDGET_GRID]: ACTIONS.SET_COST_CENTER_BUDGET,
+        [CHANGE_REQUEST_KINDS.COST_TIER]: ACTIONS.UPDATE_COST,
+    }[request.kind];
+    return { type, payload: getApprovedChange(request, target), meta: { changeRequestId: request.id } };
+}
+
+function withChangeRequestAudit(state, request) {
+    return {
+        ...state,
+        auditLog: [getChangeRequestAuditEntry(request), ...state.auditLog].slice(0, 1000),
+    };
+}
+
+// Move a chargeback statement to a status and log the change
+// (the page checks the transition first; an invalid one leaves the state as it is)
+function withChargebackTransition(state, id, status) {
+    const transitionError = getChargebackTransitionError(state.chargebacks, { id, status });
+    if (transitionError) {
+        console.warn(`[AppContext] ${transitionError}`);
+        return state;
+    }
+    const previous = state.chargebacks.find(s => s.id === id);
+    const chargebacks = transitionChargeback(state.chargebacks, { id, status });
+    const statement = chargebacks.find(s => s.id === id);
+    return {
+        ...state,
+        chargebacks,
+        auditLog: [getChargebackAuditEntry(statement, previous.status), ...state.auditLog].slice(0, 1000),
+    };
+}
+
+function assertValidExchangeRate(rate, rates) {
+    const errors = Object.values(validateExchangeRate(rate, rates));
+    if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+    }
+}
+
+function assertValidProject(project, projects) {
+    const errors = Object.values(validateProject(project, projects));
+    if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+    }
+}
+
+// Normalize a project before it is stored
+function toProjectRecord(project, existing) {
+    const now = new Date().toISOString();
+    return {
+        ...project,
+        code: project.code.trim(),
+        name: project.name.trim(),
+        budget: Number(project.budget) || 0,
+        currency: project.currency || existing?.currency || BASE_CURRENCY,
+        createdAt: existing?.createdAt || project.createdAt || now,
+        updatedAt: now,
+    };
+}
+
+// Log hours for a member/allocation/day
+// Set logged hours (the page validates them first; invalid hours leave the state as it is)
+function applyTimeEntry(state, entry) {
+    const error = validateTimeEntry(state.timeEntries, state.timesheets, entry);
+    if (error) {
+        console.warn(`[AppContext] ${error}`);
+        return state;
+    }
+    return { ...state, timeEntries: setTimeEntry(state.timeEntries, entry) };
+}
+
+// Move a member's week to a status
+// (the page checks the transition first; an invalid one leaves the state as it is)
+function withTimesheetTransition(state, change, status) {
+    const transitionError = getTimesheetTransitionError(state.timesheets, { ...change, status });
+    if (transitionError) {
+        console.warn(`[AppContext] ${transitionError}`);
+        return state;
+    }
+    return { ...state, timesheets: transitionTimesheet(state.timesheets, { ...change, status }) };
 }
 
 // Reducer
@@ -541,6 +777,16 @@ function appReducer(state, action) {
                 coa: defaultCOA,
                 leaves: [],
                 allocations: [],
+                projects: [],
+                scenarios: [],
+                baselines: [],
+                quotes: [],
+                timeEntries: [],
+                timesheets: [],
+                timers: [],
+                changeRequests: [],
+                chargebacks: [],
+                exchangeRates: defaultExchangeRates,
                 auditLog: [],
                 isLoaded: true,
             };
@@ -553,18 +799,38 @@ function appReducer(state, action) {
             if (!action.payload.costCenterId) {
                 console.warn('[AppContext] Team member added without cost center. Business rules recommend mandatory assignment.');
             }
+            validateMemberCalendars(action.payload);
+            assertValidCostCenterSplits(action.payload, action.payload.name, state.costCenters);
             return { ...state, members: [...state.members, action.payload] };
         case ACTIONS.UPDATE_MEMBER:
             // Custom validation for Recommendation 2.1
             if (!action.payload.costCenterId) {
                 console.warn('[AppContext] Team member updated without cost center. Business rules recommend mandatory assignment.');
             }
-            return {
-                ...state,
-                members: state.members.map(m =>
-                    m.id === action.payload.id ? action.payload : m
-                ),
-            };
+            validateMemberCalendars(action.payload);
+            assertValidCostCenterSplits(action.payload, action.payload.name, state.costCenters);
+            {
+                // Records reference members by ID; refresh the display name snapshots on rename
+                const previousMember = state.members.find(m => m.id === action.payload.id);
+                const renamed = previousMember && previousMember.name !== action.payload.name;
+
+                return {
+                    ...state,
+                    members: state.members.map(m =>
+                        m.id === action.payload.id ? action.payload : m
+                    ),
+                    allocations: renamed
+                        ? state.allocations.map(a =>
+                            a.resourceId === action.payload.id ? { ...a, resource: action.payload.name } : a
+                        )
+                        : state.allocations,
+                    leaves: renamed
+                        ? state.leaves.map(l =>
+                            l.memberId === action.payload.id ? { ...l, memberName: action.payload.name } : l
+                        )
+                        : state.leaves,
+                };
+            }
         case ACTIONS.DELETE_MEMBER:
             return {
                 ...state,
@@ -620,9 +886,12 @@ function appReducer(state, action) {
         case ACTIONS.SET_COSTS:
             return { ...state, costs: action.payload };
         case ACTIONS.ADD_COST:
+            assertValidRateHistory(action.payload);
             return { ...state, costs: [...state.costs, action.payload] };
         case ACTIONS.UPDATE_COST:
+            assertValidRateHistory(action.payload);
             const oldCost = state.costs.find(c => c.id === action.payload.id);
+            assertApprovedChange(state, CHANGE_REQUEST_KINDS.COST_TIER, oldCost, action.payload, action.meta);
             if (oldCost && oldCost.perHourCost !== action.payload.perHourCost) {
                 // We'll log this in a follow-up since we can't easily dispatch multiple actions in a reducer
                 // but we can prepare the state update
@@ -679,19 +948,64 @@ function appReducer(state, action) {
         // Allocations
         case ACTIONS.SET_ALLOCATIONS:
             return { ...state, allocations: action.payload };
-        case ACTIONS.ADD_ALLOCATION:
-            return { ...state, allocations: [...state.allocations, action.payload] };
-        case ACTIONS.UPDATE_ALLOCATION:
+        case ACTIONS.ADD_ALLOCATION: {
+            validateAssignmentPercent(action.payload);
+            validatePercentComplete(action.payload);
+            assertValidCostCenterSplits(action.payload, `"${action.payload.activityName}"`, state.costCenters);
+            const allocation = withProjectSnapshot(action.payload, state.projects);
+            const allocations = [...state.allocations, recordProgress(allocation)];
+            validateAllocationDependencies(allocations);
+            return { ...state, allocations };
+        }
+        case ACTIONS.UPDATE_ALLOCATION: {
+            validateAssignmentPercent(action.payload);
+            validatePercentComplete(action.payload);
+            assertValidCostCenterSplits(action.payload, `"${action.payload.activityName}"`, state.costCenters);
+            const allocation = withProjectSnapshot(action.payload, state.projects);
+            const allocations = state.allocations.map(a =>
+                a.id === allocation.id ? recordProgress(allocation, a) : a
+            );
+            validateAllocationDependencies(allocations);
+            return { ...state, allocations };
+        }
+        case ACTIONS.DELETE_ALLOCATION:
             return {
                 ...state,
-                allocations: state.allocations.map(a =>
-                    a.id === action.payload.id ? action.payload : a
-                ),
+                allocations: state.allocations
+                    .filter(a => a.id !== action.payload)
+                    // Drop links to the deleted predecessor
+                    .map(a => a.dependencies?.some(d => d.predecessorId === action.payload)
+                        ? { ...a, dependencies: a.dependencies.filter(d => d.predecessorId !== action.payload) }
+                        : a
+                    ),
             };
-        case ACTIONS.DELETE_ALLOCATION:
+
+        // Projects
+        case ACTIONS.ADD_PROJECT:
+            assertValidProject(action.payload, state.projects);
+            return { ...state, projects: [...state.projects, toProjectRecord(action.payload)] };
+        case ACTIONS.UPDATE_PROJECT: {
+            assertValidProject(action.payload, state.projects);
+            const previous = state.projects.find(p => p.id === action.payload.id);
+            const project = toProjectRecord(action.payload, previous);
+            const projects = state.projects.map(p => (p.id === project.id ? project : p));
+
+            // Allocations reference projects by ID; refresh the demand number snapshots on a code change
             return {
                 ...state,
-                allocations: state.allocations.filter(a => a.id !== action.payload),
+                projects,
+                allocations: previous && previous.code !== project.code
+                    ? state.allocations.map(a => withProjectSnapshot(a, projects))
+                    : state.allocations,
+            };
+        }
+        case ACTIONS.DELETE_PROJECT:
+            if (state.allocations.some(a => a.projectId === action.payload)) {
+                throw new Error('Cannot delete a project with allocations. Please reassign or delete its allocations first.');
+            }
+            return {
+                ...state,
+                projects: state.projects.filter(p => p.id !== action.payload),
             };
 
         // Cost Centers
@@ -724,7 +1038,7 @@ function appReducer(state, action) {
 
                 // Check hierarchy depth limit (max 5 levels)
                 const newCostCenters = [...state.costCenters, action.payload];
-                if (getHierarchyDepth(newCostCenters, action.payload.id) > 5) {
+                if (getHierarchyDepth(newCostCenters, action.payload.id) > MAX_HIERARCHY_DEPTH) {
                     throw new Error('Maximum hierarchy depth of 5 levels exceeded');
                 }
             }
@@ -739,6 +1053,7 @@ function appReducer(state, action) {
                     manager: action.payload.manager.trim(),
                     monthlyBudget: Number(action.payload.monthlyBudget) || 0,
                     yearlyBudget: Number(action.payload.yearlyBudget) || 0,
+                    currency: action.payload.currency || BASE_CURRENCY,
                     actualMonthlyCost: 0, // Initialize actual costs
                     actualYearlyCost: 0,
                     budgetPeriod: action.payload.budgetPeriod || new Date().getFullYear().toString(),
@@ -771,16 +1086,14 @@ function appReducer(state, action) {
                     throw new Error('Circular reference detected in cost center hierarchy');
                 }
 
-                // Check hierarchy depth limit
-                const updatedCostCenters = state.costCenters.map(cc =>
-                    cc.id === action.payload.id ? action.payload : cc
-                );
-                if (getHierarchyDepth(updatedCostCenters, action.payload.id) > 5) {
+                // Check hierarchy depth limit, including the cost centers moving with it
+                if (getSubtreeDepth(state.costCenters, action.payload.id, action.payload.parentCostCenterId) > MAX_HIERARCHY_DEPTH) {
                     throw new Error('Maximum hierarchy depth of 5 levels exceeded');
                 }
             }
 
             const oldCC = state.costCenters.find(cc => cc.id === action.payload.id);
+            assertApprovedChange(state, CHANGE_REQUEST_KINDS.COST_CENTER, oldCC, action.payload, action.meta);
             if (oldCC && oldCC.monthlyBudget !== action.payload.monthlyBudget) {
                 console.log(`[Audit] Cost Center ${action.payload.name} budget changed: ${oldCC.monthlyBudget} -> ${action.payload.monthlyBudget}`);
             }
@@ -796,6 +1109,7 @@ function appReducer(state, action) {
                         manager: action.payload.manager.trim(),
                         monthlyBudget: Number(action.payload.monthlyBudget) || 0,
                         yearlyBudget: Number(action.payload.yearlyBudget) || 0,
+                        currency: action.payload.currency || cc.currency || BASE_CURRENCY,
                         budgetPeriod: action.payload.budgetPeriod || new Date().getFullYear().toString(),
                         // Preserve actual costs during updates
                         actualMonthlyCost: cc.actualMonthlyCost || 0,
@@ -804,6 +1118,24 @@ function appReducer(state, action) {
                     } : cc
                 ),
             };
+        case ACTIONS.SET_COST_CENTER_BUDGET: {
+            const budgetCostCenter = state.costCenters.find(cc => cc.id === action.payload.costCenterId);
+            if (!budgetCostCenter) {
+                throw new Error(`Cost center ${action.payload.costCenterId} not found`);
+            }
+            assertValidBudgetGrid(budgetCostCenter, action.payload);
+            assertApprovedChange(state, CHANGE_REQUEST_KINDS.BUDGET_GRID, budgetCostCenter, action.payload, action.meta);
+
+            console.log(`[Audit] Cost Center ${budgetCostCenter.name} budget ${action.payload.year} revised: ${action.payload.reason || 'original budget'}`);
+            return {
+                ...state,
+                costCenters: state.costCenters.map(cc =>
+                    cc.id === budgetCostCenter.id
+                        ? { ...applyBudgetRevision(cc, action.payload), updatedAt: new Date().toISOString() }
+                        : cc
+                ),
+            };
+        }
         case ACTIONS.DELETE_COST_CENTER:
             // Check if cost center has children
             const hasChildren = state.costCenters.some(cc => cc.parentCostCenterId === action.payload);
@@ -817,6 +1149,12 @@ function appReducer(state, action) {
                 throw new Error('Cannot delete cost center with active team member assignments. Please reassign team members first.');
             }
 
+            // Check if members or allocations split cost to it
+            if ([...(state.members || []), ...state.allocations]
+                .some(record => record.costCenterSplits?.some(split => split.costCenterId === action.payload))) {
+                throw new Error('Cannot delete cost center used in cost center splits. Please remove it from member and allocation splits first.');
+            }
+
             return {
                 ...state,
                 costCenters: state.costCenters.filter(cc => cc.id !== action.payload),
@@ -890,6 +1228,212 @@ function appReducer(state, action) {
                 coa: state.coa.filter(c => c.id !== action.payload),
             };
 
+        // What-if Scenarios
+        case ACTIONS.ADD_SCENARIO:
+            validateScenarioName(action.payload.name, state.scenarios);
+            return { ...state, scenarios: [...state.scenarios, action.payload] };
+        case ACTIONS.UPDATE_SCENARIO:
+            validateScenarioName(action.payload.name, state.scenarios, action.payload.id);
+            return {
+                ...state,
+                scenarios: state.scenarios.map(s =>
+                    s.id === action.payload.id ? { ...action.payload, updatedAt: new Date().toISOString() } : s
+                ),
+            };
+        case ACTIONS.DELETE_SCENARIO:
+            return {
+                ...state,
+                scenarios: state.scenarios.filter(s => s.id !== action.payload),
+            };
+        case ACTIONS.SCENARIO_DISPATCH: {
+            // Run an edit through this reducer against the scenario's copy of the data
+            const { scenarioId, action: scenarioAction } = action.payload;
+            const scenario = state.scenarios.find(s => s.id === scenarioId);
+            if (!scenario) {
+                throw new Error(`Scenario ${scenarioId} not found`);
+            }
+            if (!SCENARIO_EDIT_ACTIONS.includes(scenarioAction.type)) {
+                throw new Error(`${scenarioAction.type} cannot be applied to a scenario`);
+            }
+
+            const edited = appReducer(getScenarioState(state, scenario), {
+                ...scenarioAction,
+                meta: { ...scenarioAction.meta, scenarioId },
+            });
+            return {
+                ...state,
+                scenarios: state.scenarios.map(s =>
+                    s.id === scenarioId
+                        ? { ...s, data: recalculateScenarioData(edited), updatedAt: new Date().toISOString() }
+                        : s
+                ),
+            };
+        }
+        case ACTIONS.PROMOTE_SCENARIO: {
+            // Apply the scenario's changes since the fork to live data; undo restores it
+            // (the page checks for conflicts first; a conflicting promotion leaves the state as it is)
+            const scenario = state.scenarios.find(s => s.id === action.payload);
+            if (!scenario) {
+                throw new Error(`Scenario ${action.payload} not found`);
+            }
+            const conflicts = getPromotionConflicts(state, scenario);
+            if (conflicts.length > 0) {
+                console.warn(`[AppContext] Scenario "${scenario.name}" not promoted: ${conflicts.join('; ')}`);
+                return state;
+            }
+
+            const promotedAt = new Date().toISOString();
+            console.log(`[AppContext] Promoting scenario "${scenario.name}" to live data`);
+            return {
+                ...state,
+                ...mergeScenarioChanges(state, scenario),
+                scenarios: state.scenarios.map(s => s.id === scenario.id ? { ...s, promotedAt } : s),
+                auditLog: [
+                    logCostChange({ type: 'scenario', id: scenario.id, name: scenario.name }, 'promotedAt', scenario.promotedAt, promotedAt),
+                    ...state.auditLog,
+                ].slice(0, 1000),
+            };
+        }
+
+        // Baselines
+        case ACTIONS.ADD_BASELINE:
+            validateBaselineName(action.payload.name, state.baselines);
+            return { ...state, baselines: [...state.baselines, action.payload] };
+        case ACTIONS.DELETE_BASELINE:
+            return {
+                ...state,
+                baselines: state.baselines.filter(b => b.id !== action.payload),
+            };
+
+        // Quotes (each version is frozen; only status and the converted project change)
+        case ACTIONS.ADD_QUOTE:
+            assertValidQuote(action.payload);
+            return { ...state, quotes: [...state.quotes, action.payload] };
+        case ACTIONS.UPDATE_QUOTE:
+            return {
+                ...state,
+                quotes: state.quotes.map(q =>
+                    q.id === action.payload.id
+                        ? { ...q, status: action.payload.status ?? q.status, projectId: action.payload.projectId ?? q.projectId, updatedAt: new Date().toISOString() }
+                        : q
+                ),
+            };
+        case ACTIONS.DELETE_QUOTE:
+            return {
+                ...state,
+                quotes: state.quotes.filter(q => q.id !== action.payload),
+            };
+
+        // Timesheets
+        case ACTIONS.SET_TIME_ENTRY:
+            return applyTimeEntry(state, action.payload);
+        case ACTIONS.START_TIMER: {
+            const { memberId } = action.payload;
+            if (state.timers.some(t => t.memberId === memberId)) {
+                console.warn('[AppContext] A timer is already running for this member');
+                return state;
+            }
+            return { ...state, timers: [...state.timers, action.payload] };
+        }
+        case ACTIONS.STOP_TIMER: {
+            // Book the elapsed time on the days it covers; time that does not fit is dropped
+            const { memberId, stoppedAt } = action.payload;
+            const timer = state.timers.find(t => t.memberId === memberId);
+            if (!timer) {
+                console.warn('[AppContext] No timer is running for this member');
+                return state;
+            }
+
+            const { entries } = getTimerEntries(state.timeEntries, state.timesheets, timer, stoppedAt);
+            return {
+                ...state,
+                timeEntries: entries.reduce(setTimeEntry, state.timeEntries),
+                timers: state.timers.filter(t => t !== timer),
+            };
+        }
+        case ACTIONS.DISCARD_TIMER:
+            return { ...state, timers: state.timers.filter(t => t.memberId !== action.payload.memberId) };
+        case ACTIONS.SUBMIT_TIMESHEET:
+            return withTimesheetTransition(state, action.payload, TIMESHEET_STATUS.SUBMITTED);
+        case ACTIONS.APPROVE_TIMESHEET:
+            return withTimesheetTransition(state, action.payload, TIMESHEET_STATUS.APPROVED);
+        case ACTIONS.REJECT_TIMESHEET:
+            return withTimesheetTransition(state, action.payload, TIMESHEET_STATUS.REJECTED);
+
+        // Change Requests
+        // Pages check requests and reviews before dispatching; an invalid one
+        // (e.g. a request gone stale since the page rendered) leaves the state as it is
+        case ACTIONS.SUBMIT_CHANGE_REQUEST: {
+            const target = getChangeRequestTarget(action.payload, state);
+            if (!target) {
+                console.warn(`[AppContext] Change request target ${action.payload.targetId} not found`);
+                return state;
+            }
+            const request = createChangeRequest({ ...action.payload, target }, state);
+            const submitError = getSubmitError(state.changeRequests, request);
+            if (submitError) {
+                console.warn(`[AppContext] Change request not submitted: ${submitError}`);
+                return state;
+            }
+
+            console.log(`[Audit] Change request ${request.number} for ${request.targetName} submitted by ${request.requestedBy}`);
+            return withChangeRequestAudit({ ...state, changeRequests: [...state.changeRequests, request] }, request);
+        }
+        case ACTIONS.APPROVE_CHANGE_REQUEST:
+        case ACTIONS.REJECT_CHANGE_REQUEST: {
+            const review = {
+                ...action.payload,
+                status: action.type === ACTIONS.APPROVE_CHANGE_REQUEST ? CHANGE_REQUEST_STATUS.APPROVED : CHANGE_REQUEST_STATUS.REJECTED,
+            };
+            const pending = state.changeRequests.find(r => r.id === review.id);
+            const target = pending && getChangeRequestTarget(pending, state);
+            const reviewError = getReviewError(state.changeRequests, review, target);
+            if (reviewError) {
+                console.warn(`[AppContext] Change request review not recorded: ${reviewError}`);
+                return state;
+            }
+
+            const changeRequests = reviewChangeRequest(state.changeRequests, review);
+            const request = changeRequests.find(r => r.id === review.id);
+            if (review.status === CHANGE_REQUEST_STATUS.REJECTED) {
+                return withChangeRequestAudit({ ...state, changeRequests }, request);
+            }
+
+            // Apply the change through its own action so the usual validation runs
+            try {
+                const applied = appReducer(state, getChangeRequestAction(request, target));
+                return withChangeRequestAudit({ ...applied, changeRequests }, request);
+            } catch (error) {
+                console.warn(`[AppContext] ${request.number} not applied: ${error.message}`);
+                return state;
+            }
+        }
+
+        // Chargeback
+        case ACTIONS.RUN_CHARGEBACK: {
+            const runError = getRunChargebackError(state.chargebacks, action.payload.month);
+            if (runError) {
+                console.warn(`[AppContext] ${runError}`);
+                return state;
+            }
+            return {
+                ...state,
+                chargebacks: runChargeback(state.chargebacks, {
+                    allocations: state.allocations,
+                    projects: state.projects,
+                    costCenters: state.costCenters,
+                    coa: state.coa,
+                    currency: state.settings.currency,
+                }, action.payload.month),
+            };
+        }
+        case ACTIONS.LOCK_CHARGEBACK:
+            return withChargebackTransition(state, action.payload.id, CHARGEBACK_STATUS.LOCKED);
+        case ACTIONS.UNLOCK_CHARGEBACK:
+            return withChargebackTransition(state, action.payload.id, CHARGEBACK_STATUS.DRAFT);
+        case ACTIONS.FINALIZE_CHARGEBACK:
+            return withChargebackTransition(state, action.payload.id, CHARGEBACK_STATUS.FINALIZED);
+
         // Settings
         case ACTIONS.UPDATE_SETTINGS:
             return {
@@ -897,6 +1441,33 @@ function appReducer(state, action) {
                 settings: { ...state.settings, ...action.payload },
             };
 
+        // Exchange Rates
+        case ACTIONS.ADD_EXCHANGE_RATE:
+            assertValidExchangeRate(action.payload, state.exchangeRates);
+            return {
+                ...state,
+                exchangeRates: mergeExchangeRates(state.exchangeRates, [{ ...action.payload, rate: Number(action.payload.rate) }]),
+            };
+        case ACTIONS.UPDATE_EXCHANGE_RATE:
+            assertValidExchangeRate(action.payload, state.exchangeRates);
+            return {
+                ...state,
+                exchangeRates: mergeExchangeRates(
+                    state.exchangeRates.filter(r => r.id !== action.payload.id),
+                    [{ ...action.payload, rate: Number(action.payload.rate) }]
+                ),
+            };
+        case ACTIONS.DELETE_EXCHANGE_RATE:
+            return {
+                ...state,
+                exchangeRates: state.exchangeRates.filter(r => r.id !== action.payload),
+            };
+        case ACTIONS.IMPORT_EXCHANGE_RATES:
+            return {
+                ...state,
+                exchangeRates: mergeExchangeRates(state.exchangeRates, action.payload),
+            };
+
         case ACTIONS.SET_DIALOG_STATE:
             return {
                 ...state,
@@ -911,40 +1482,96 @@ function appReducer(state, action) {
     }
 }
 
+// Undo/redo history around the app reducer; loading data starts a fresh history
+const historyReducer = withHistory(appReducer, {
+    resetActions: [ACTIONS.LOAD_DATA, ACTIONS.RESET_TO_DEFAULTS],
+    // Review decisions are final, like the audit entries that record them; undoing an
+    // earlier edit of the same record keeps the approved values
+    skipActions: [ACTIONS.APPROVE_CHANGE_REQUEST, ACTIONS.REJECT_CHANGE_REQUEST],
+});
+
 // Context
 const AppContext = createContext(null);
 
 // Provider Component
 export function AppProvider({ children }) {
-    const [state, dispatch] = useReducer(appReducer, initialState);
+    const [history, dispatch] = useReducer(historyReducer, initialState, createHistoryState);
+    const state = history.present;
+
+    // formatCurrency defaults to the reporting currency. It is module state, so it is
+    // set after commit; the subscription re-renders the consumers before the browser paints
+    useSyncExternalStore(subscribeReportingCurrency, getReportingCurrency);
+    useLayoutEffect(() => {
+        setReportingCurrency(state.settings.currency);
+    }, [state.settings.currency]);
+
+    const canUndo = history.past.length > 0;
+    const canRedo = history.future.length > 0;
+    const undoLabel = canUndo ? history.past[history.past.length - 1].label : null;
+    const redoLabel = canRedo ? history.future[0].label : null;
+
+    const undo = useCallback(() => dispatch({ type: HISTORY_ACTIONS.UNDO }), []);
+    const redo = useCallback(() => dispatch({ type: HISTORY_ACTIONS.REDO }), []);
+
+    // Dispatch several actions as a single undoable step (e.g., bulk edits)
+    const batch = useCallback((actions, label) => {
+        dispatch({ type: HISTORY_ACTIONS.BATCH, payload: actions, meta: { label } });
+    }, []);
+
+    // Active storage adapter (IndexedDB, or localStorage fallback)
+    const adapterRef = useRef(null);
+    // Last persisted slice references, so only changed slices are rewritten
+    const persistedRef = useRef({});
 
-    // Load data from localStorage on mount
+    // Load data from the storage adapter on mount
     useEffect(() => {
         // Load initial data
         const loadData = async () => {
+            const adapter = await initPersistence();
+            adapterRef.current = adapter;
+            console.log(`[AppContext] Using ${adapter.label} storage`);
+
+            let stored = await adapter.loadAll(PERSISTED_KEYS);
+
             // Run migrations first to ensure data schema is up-to-date
             try {
-                const migrationResult = migrateData();
+                const migrationResult = applyMigrations(stored, stored.version || '1.0.0');
                 if (migrationResult.migrated) {
                     console.log(`[AppContext] Data migrated from v${migrationResult.from} to v${migrationResult.version}`);
+                    stored = migrationResult.data;
+                    for (const key of PERSISTED_KEYS) {
+                        if (stored[key] !== undefined && key !== 'version') {
+                            await adapter.save(key, stored[key]);
+                        }
+                    }
+                    await adapter.save('version', CURRENT_VERSION);
                 }
             } catch (error) {
                 console.error('[AppContext] Migration failed:', error);
             }
 
             // Load data after migrations
-            const members = loadFromStorage('members', null);
-            const phases = loadFromStorage('phases', null);
-            const tasks = loadFromStorage('tasks', null);
-            const complexity = loadFromStorage('complexity', null);
-            const costs = loadFromStorage('costs', null);
-            const holidays = loadFromStorage('holidays', null);
-            const leaves = loadFromStorage('leaves', []);
-            const allocations = loadFromStorage('allocations', []);
-            const costCenters = loadFromStorage('costCenters', null);
-            const coa = loadFromStorage('coa', null);
-            const auditLog = loadFromStorage('auditLog', []);
-            const settings = loadFromStorage('settings', initialState.settings);
+            const members = stored.members ?? null;
+            const phases = stored.phases ?? null;
+            const tasks = stored.tasks ?? null;
+            const complexity = stored.complexity ?? null;
+            const costs = stored.costs ?? null;
+            const leaves = stored.leaves ?? [];
+            const allocations = stored.allocations ?? [];
+            const projects = stored.projects ?? [];
+            const costCenters = stored.costCenters ?? null;
+            const coa = stored.coa ?? null;
+            const scenarios = stored.scenarios ?? [];
+            const baselines = stored.baselines ?? [];
+            const quotes = stored.quotes ?? [];
+            const timeEntries = stored.timeEntries ?? [];
+            const timesheets = stored.timesheets ?? [];
+            const timers = stored.timers ?? [];
+            const changeRequests = stored.changeRequests ?? [];
+            const chargebacks = stored.chargebacks ?? [];
+            const exchangeRates = stored.exchangeRates ?? defaultExchangeRates;
+            const auditLog = stored.auditLog ?? [];
+            const settings = stored.settings ?? initialState.settings;
 
             // Fetch holidays from API (with cache and fallback)
             const fetchedHolidays = await getHolidaysWithFallback();
@@ -953,9 +1580,9 @@ export function AppProvider({ children }) {
             if (!members || members.length === 0) {
                 dispatch({ type: ACTIONS.RESET_TO_DEFAULTS });
                 // Override holidays with fetched data
-                dispatch({ type: ACTIONS.SET_HOLIDAYS, payload: fetchedHolidays });
+                dispatch({ type: ACTIONS.SET_HOLIDAYS, payload: fetchedHolidays, meta: { skipHistory: true } });
                 // Save initial version
-                saveToStorage('version', CURRENT_VERSION);
+                adapter.save('version', CURRENT_VERSION);
             } else {
                 dispatch({
                     type: ACTIONS.LOAD_DATA,
@@ -969,8 +1596,18 @@ export function AppProvider({ children }) {
                         holidays: fetchedHolidays,
                         leaves,
                         allocations,
+                        projects,
                         costCenters: costCenters || defaultCostCenters,
                         coa: coa || defaultCOA,
+                        scenarios,
+                        baselines,
+                        quotes,
+                        timeEntries,
+                        timesheets,
+                        timers,
+                        changeRequests,
+                        chargebacks,
+                        exchangeRates,
                         auditLog,
                         settings,
                     },
@@ -981,22 +1618,17 @@ export function AppProvider({ children }) {
         loadData();
     }, []);
 
-    // Persist to localStorage on state change
+    // Persist changed slices to the storage adapter on state change
     useEffect(() => {
-        if (!state.isLoaded) return;
-
-        saveToStorage('members', state.members);
-        saveToStorage('phases', state.phases);
-        saveToStorage('tasks', state.tasks);
-        saveToStorage('complexity', state.complexity);
-        saveToStorage('costs', state.costs);
-        saveToStorage('holidays', state.holidays);
-        saveToStorage('leaves', state.leaves);
-        saveToStorage('allocations', state.allocations);
-        saveToStorage('costCenters', state.costCenters);
-        saveToStorage('coa', state.coa);
-        saveToStorage('auditLog', state.auditLog);
-        saveToStorage('settings', state.settings);
+        if (!state.isLoaded || !adapterRef.current) return;
+
+        PERSISTED_KEYS.forEach(key => {
+            if (key === 'version' || state[key] === undefined) return;
+            if (persistedRef.current[key] === state[key]) return;
+
+            persistedRef.current[key] = state[key];
+            adapterRef.current.save(key, state[key]);
+        });
     }, [state]);
 
     // Track previous values for auto-recalculation
@@ -1007,6 +1639,12 @@ export function AppProvider({ children }) {
     const prevLeavesRef = useRef(state.leaves);
     const prevMembersRef = useRef(state.members);
     const prevCostCentersRef = useRef(state.costCenters);
+    const prevAllocationsRef = useRef(state.allocations);
+    const prevTimeEntriesRef = useRef(state.timeEntries);
+    const prevTimesheetsRef = useRef(state.timesheets);
+    const prevCurrencyRef = useRef(state.settings.currency);
+    const prevExchangeRatesRef = useRef(state.exchangeRates);
+    const prevCostLoadingRef = useRef(state.settings.costLoading);
 
     // Auto-recalculate allocations when dependencies change
     useEffect(() => {
@@ -1020,8 +1658,16 @@ export function AppProvider({ children }) {
         const leavesChanged = prevLeavesRef.current !== state.leaves;
         const membersChanged = prevMembersRef.current !== state.members;
         const costCentersChanged = prevCostCentersRef.current !== state.costCenters;
-
-        if (costsChanged || complexityChanged || tasksChanged || holidaysChanged || leavesChanged || membersChanged || costCentersChanged) {
+        // Allocation edits can move successors through their dependencies
+        const allocationsChanged = prevAllocationsRef.current !== state.allocations;
+        // Approved timesheet hours drive actual cost
+        const timesheetsChanged = prevTimeEntriesRef.current !== state.timeEntries || prevTimesheetsRef.current !== state.timesheets;
+        // Costs are reported in settings.currency at the dated exchange rates
+        const currencyChanged = prevCurrencyRef.current !== state.settings.currency || prevExchangeRatesRef.current !== state.exchangeRates;
+        // Benefits, BPJS and overhead percentages load every cost
+        const costLoadingChanged = prevCostLoadingRef.current !== state.settings.costLoading;
+
+        if (costsChanged || complexityChanged || tasksChanged || holidaysChanged || leavesChanged || membersChanged || costCentersChanged || allocationsChanged || timesheetsChanged || currencyChanged || costLoadingChanged) {
             // Update refs
             prevCostsRef.current = state.costs;
             prevComplexityRef.current = state.complexity;
@@ -1030,9 +1676,15 @@ export function AppProvider({ children }) {
             prevLeavesRef.current = state.leaves;
             prevMembersRef.current = state.members;
             prevCostCentersRef.current = state.costCenters;
-
-            // Recalculate all allocations
-            const updatedAllocations = recalculateAllocations(
+            prevAllocationsRef.current = state.allocations;
+            prevTimeEntriesRef.current = state.timeEntries;
+            prevTimesheetsRef.current = state.timesheets;
+            prevCurrencyRef.current = state.settings.currency;
+            prevExchangeRatesRef.current = state.exchangeRates;
+            prevCostLoadingRef.current = state.settings.costLoading;
+
+            // Recalculate all allocations, then their actuals
+            const recalculated = recalculateAllocations(
                 state.allocations,
                 state.complexity,
                 state.costs,
@@ -1042,17 +1694,35 @@ export function AppProvider({ children }) {
                 state.members,
                 state.costCenters,
                 state.coa,
-                state.settings
+                state.settings,
+                state.exchangeRates
+            );
+            const updatedAllocations = applyTimesheetActuals(
+                recalculated,
+                state.timeEntries,
+                state.timesheets,
+                state.members,
+                state.costs,
+                { currency: state.settings.currency, exchangeRates: state.exchangeRates, costLoading: state.settings.costLoading }
             );
 
             // Only dispatch if there are actual changes
             const hasChanges = updatedAllocations.some((updated, i) => {
                 const original = state.allocations[i];
                 return (
+                    updated.plan?.taskStart !== original.plan?.taskStart ||
                     updated.plan?.costProject !== original.plan?.costProject ||
                     updated.plan?.costMonthly !== original.plan?.costMonthly ||
+                    updated.plan?.costBillable !== original.plan?.costBillable ||
+                    updated.plan?.currency !== original.plan?.currency ||
+                    JSON.stringify(updated.plan?.costByMonth) !== JSON.stringify(original.plan?.costByMonth) ||
+                    JSON.stringify(updated.plan?.costLines) !== JSON.stringify(original.plan?.costLines) ||
+                    JSON.stringify(updated.plan?.costCenterSplits) !== JSON.stringify(original.plan?.costCenterSplits) ||
                     updated.plan?.taskEnd !== original.plan?.taskEnd ||
                     updated.workload !== original.workload ||
+                    updated.actual?.costProject !== original.actual?.costProject ||
+                    updated.actual?.hours !== original.actual?.hours ||
+                    updated.actual?.currency !== original.actual?.currency ||
                     updated.costCenterId !== original.costCenterId ||
                     JSON.stringify(updated.costCenterSnapshot) !== JSON.stringify(original.costCenterSnapshot) ||
                     updated.coaId !== original.coaId ||
@@ -1063,15 +1733,10 @@ export function AppProvider({ children }) {
             if (hasChanges) {
                 console.log('[AppContext] Auto-recalculating allocations and budget actuals');
 
-                // Also update cost center actual totals
+                // Also update cost center actual totals: cost accrued this month and this year
                 const updatedCostCenters = state.costCenters.map(cc => {
-                    const monthlyActual = updatedAllocations
-                        .filter(a => a.costCenterId === cc.id && a.status !== 'cancelled')
-                        .reduce((sum, a) => sum + (a.plan?.costMonthly || 0), 0);
-
-                    const yearlyActual = updatedAllocations
-                        .filter(a => a.costCenterId === cc.id && a.status !== 'cancelled')
-                        .reduce((sum, a) => sum + (a.plan?.costProject || 0), 0);
+                    const monthlyActual = calculateActualCostCenterCost(cc.id, updatedAllocations, 'monthly').actualCost;
+                    const yearlyActual = calculateActualCostCenterCost(cc.id, updatedAllocations, 'yearly').actualCost;
 
                     return {
                         ...cc,
@@ -1081,14 +1746,26 @@ export function AppProvider({ children }) {
                     };
                 });
 
-                dispatch({ type: ACTIONS.SET_ALLOCATIONS, payload: updatedAllocations });
-                dispatch({ type: ACTIONS.SET_COST_CENTERS, payload: updatedCostCenters });
+                // Derived updates: undoing the triggering change recalculates again
+                dispatch({ type: ACTIONS.SET_ALLOCATIONS, payload: updatedAllocations, meta: { skipHistory: true } });
+                dispatch({ type: ACTIONS.SET_COST_CENTERS, payload: updatedCostCenters, meta: { skipHistory: true } });
             }
         }
-    }, [state.costs, state.complexity, state.tasks, state.holidays, state.leaves, state.members, state.costCenters, state.coa, state.allocations, state.isLoaded]);
+    }, [state.costs, state.complexity, state.tasks, state.holidays, state.leaves, state.members, state.costCenters, state.coa, state.allocations, state.timeEntries, state.timesheets, state.settings.currency, state.settings.costLoading, state.exchangeRates, state.isLoaded]);
 
     return (
-        <AppContext.Provider value={{ state, dispatch, ACTIONS }}>
+        <AppContext.Provider value={{
+            state,
+            dispatch,
+            ACTIONS,
+            undo,
+            redo,
+            batch,
+            canUndo,
+            canRedo,
+            undoLabel,
+            redoLabel,
+        }}>
             {children}
         </AppContext.Provider>
     );
@@ -1103,5 +1780,5 @@ export function useApp() {
     return context;
 }
 
-export { ACTIONS };
+export { ACTIONS, SCENARIO_EDIT_ACTIONS };
 export default AppContext;
@@ -0,0 +1,54 @@
+/**
+ * Scenario Context
+ * Re-provides the app context with a what-if scenario's data, so the regular
+ * pages (members, allocations, costs, complexity) edit the scenario instead of live data
+ */
+
+import { useMemo, useCallback } from 'react';
+import AppContext, { useApp, ACTIONS, SCENARIO_EDIT_ACTIONS } from './AppContext';
+import { getScenarioState } from '../utils/scenarios';
+import { getActionLabel } from '../utils/history';
+import { showToast } from '../utils/toast';
+
+export function ScenarioProvider({ scenarioId, children }) {
+    const app = useApp();
+    const scenario = app.state.scenarios.find(s => s.id === scenarioId);
+
+    const state = useMemo(
+        () => (scenario ? getScenarioState(app.state, scenario) : app.state),
+        [app.state, scenario]
+    );
+
+    const toScenarioAction = useCallback((action) => ({
+        type: ACTIONS.SCENARIO_DISPATCH,
+        payload: { scenarioId, action },
+    }), [scenarioId]);
+
+    // Edits go to the scenario; they stay undoable through the shared history
+    const dispatch = useCallback((action) => {
+        if (!SCENARIO_EDIT_ACTIONS.includes(action.type)) {
+            console.warn(`[Scenario] Ignored ${action.type}: only members, allocations, costs and complexity can change in a scenario`);
+            showToast.warning('This setting cannot be changed inside a scenario');
+            return;
+        }
+        app.dispatch({
+            ...toScenarioAction(action),
+            meta: { label: `${scenario?.name}: ${getActionLabel(action.type)}` },
+        });
+    }, [app, scenario?.name, toScenarioAction]);
+
+    const batch = useCallback((actions, label) => {
+        app.batch(
+            actions.filter(a => SCENARIO_EDIT_ACTIONS.includes(a.type)).map(toScenarioAction),
+            `${scenario?.name}: ${label || getActionLabel(actions[0]?.type)}`
+        );
+    }, [app, scenario?.name, toScenarioAction]);
+
+    if (!scenario) return null;
+
+    return (
+        <AppContext.Provider value={{ ...app, state, dispatch, batch, scenario }}>
+            {children}
+        </AppContext.Provider>
+    );
+}
@@ -11,6 +11,7 @@ export const defaultCostCenters = [
         status: 'Active',
         isActive: true,
         parentCostCenterId: null,
+        currency: 'IDR',
         // Budget and actual cost tracking (in IDR)
         monthlyBudget: 150000000, // 150 million IDR monthly budget
         actualMonthlyCost: 0, // Will be calculated from team member assignments
@@ -29,6 +30,7 @@ export const defaultCostCenters = [
         status: 'Active',
         isActive: true,
         parentCostCenterId: null,
+        currency: 'IDR',
         // Budget and actual cost tracking (in IDR)
         monthlyBudget: 100000000, // 100 million IDR monthly budget
         actualMonthlyCost: 0,
@@ -47,6 +49,7 @@ export const defaultCostCenters = [
         status: 'Active',
         isActive: true,
         parentCostCenterId: 'CC-001', // Child of Engineering
+        currency: 'IDR',
         // Budget and actual cost tracking (in IDR)
         monthlyBudget: 75000000, // 75 million IDR monthly budget
         actualMonthlyCost: 0,
@@ -65,6 +68,7 @@ export const defaultCostCenters = [
         status: 'Active',
         isActive: true,
         parentCostCenterId: null,
+        currency: 'IDR',
         // Budget and actual cost tracking (in IDR)
         monthlyBudget: 80000000, // 80 million IDR monthly budget
         actualMonthlyCost: 0,
@@ -20,7 +20,7 @@ function calculateRates(monthlyCost) {
 /**
  * Default cost configurations for roles with cost tracking enabled
  */
-export const defaultResourceCosts = [
+const baseResourceCosts = [
     // Fullstack Engineer Tiers
     {
         id: 'COST-FULL-1',
@@ -31,6 +31,7 @@ export const defaultResourceCosts = [
         maxMonthlyCost: 12000000,
         monthlyCost: 10000000,
         ...calculateRates(10000000),
+        currency: 'IDR',
     },
     {
         id: 'COST-FULL-2',
@@ -41,6 +42,7 @@ export const defaultResourceCosts = [
         maxMonthlyCost: 16000000,
         monthlyCost: 14000000,
         ...calculateRates(14000000),
+        currency: 'IDR',
     },
     {
         id: 'COST-FULL-3',
@@ -51,6 +53,7 @@ export const defaultResourceCosts = [
         maxMonthlyCost: 20000000,
         monthlyCost: 18000000,
         ...calculateRates(18000000),
+        currency: 'IDR',
     },
     // DevOps Engineer Tiers
     {
@@ -62,6 +65,7 @@ export const defaultResourceCosts = [
         maxMonthlyCost: 14000000,
         monthlyCost: 12000000,
         ...calculateRates(12000000),
+        currency: 'IDR',
     },
     {
         id: 'COST-DEVOPS-2',
@@ -72,6 +76,7 @@ export const defaultResourceCosts = [
         maxMonthlyCost: 18000000,
         monthlyCost: 16000000,
         ...calculateRates(16000000),
+        currency: 'IDR',
     },
     {
         id: 'COST-DEVOPS-3',
@@ -82,6 +87,7 @@ export const defaultResourceCosts = [
         maxMonthlyCost: 22000000,
         monthlyCost: 20000000,
         ...calculateRates(20000000),
+        currency: 'IDR',
     },
     // FinOps Engineer Tiers
     {
@@ -93,6 +99,7 @@ export const defaultResourceCosts = [
         maxMonthlyCost: 16000000,
         monthlyCost: 14000000,
         ...calculateRates(14000000),
+        currency: 'IDR',
     },
     {
         id: 'COST-FINOPS-2',
@@ -103,6 +110,7 @@ export const defaultResourceCosts = [
         maxMonthlyCost: 20000000,
         monthlyCost: 18000000,
         ...calculateRates(18000000),
+        currency: 'IDR',
     },
     // Solution Architect Tiers
     {
@@ -114,6 +122,7 @@ export const defaultResourceCosts = [
         maxMonthlyCost: 30000000,
         monthlyCost: 28000000,
         ...calculateRates(28000000),
+        currency: 'IDR',
     },
     {
         id: 'COST-ARCH-2',
@@ -124,6 +133,7 @@ export const defaultResourceCosts = [
         maxMonthlyCost: 35000000,
         monthlyCost: 33000000,
         ...calculateRates(33000000),
+        currency: 'IDR',
     },
     {
         id: 'COST-ARCH-3',
@@ -134,6 +144,7 @@ export const defaultResourceCosts = [
         maxMonthlyCost: 40000000,
         monthlyCost: 38000000,
         ...calculateRates(38000000),
+        currency: 'IDR',
     },
     // Cloud Engineer Tiers
     {
@@ -145,6 +156,7 @@ export const defaultResourceCosts = [
         maxMonthlyCost: 20000000,
         monthlyCost: 17000000,
         ...calculateRates(17000000),
+        currency: 'IDR',
     },
     {
         id: 'COST-CLOUD-2',
@@ -155,6 +167,7 @@ export const defaultResourceCosts = [
         maxMonthlyCost: 25000000,
         monthlyCost: 23000000,
         ...calculateRates(23000000),
+        currency: 'IDR',
     },
     {
         id: 'COST-CLOUD-3',
@@ -165,6 +178,7 @@ export const defaultResourceCosts = [
         maxMonthlyCost: 30000000,
         monthlyCost: 28000000,
         ...calculateRates(28000000),
+        currency: 'IDR',
     },
     // Database Administrator Tiers
     {
@@ -176,6 +190,7 @@ export const defaultResourceCosts = [
         maxMonthlyCost: 16000000,
         monthlyCost: 14000000,
         ...calculateRates(14000000),
+        currency: 'IDR',
     },
     {
         id: 'COST-DBA-2',
@@ -186,6 +201,7 @@ export const defaultResourceCosts = [
         maxMonthlyCost: 20000000,
         monthlyCost: 18000000,
         ...calculateRates(18000000),
+        currency: 'IDR',
     },
     {
         id: 'COST-DBA-3',
@@ -196,5 +212,21 @@ export const defaultResourceCosts = [
         maxMonthlyCost: 25000000,
         monthlyCost: 23000000,
         ...calculateRates(23000000),
+        currency: 'IDR',
     },
 ];
+
+/**
+ * Each tier starts with its current rate in force since the beginning
+ */
+export const defaultResourceCosts = baseResourceCosts.map(cost => ({
+    ...cost,
+    rateHistory: [{
+        id: `${cost.id}-R1`,
+        monthlyCost: cost.monthlyCost,
+        perDayCost: cost.perDayCost,
+        perHourCost: cost.perHourCost,
+        effectiveFrom: '',
+        effectiveTo: '',
+    }],
+}));
@@ -0,0 +1,8 @@
+/**
+ * Default Exchange Rates
+ * IDR value of one unit of each vendor currency (IDR is the base currency)
+ */
+export const defaultExchangeRates = [
+    { id: 'FX-USD-2026', currency: 'USD', rate: 16300, effectiveDate: '2026-01-01' },
+    { id: 'FX-SGD-2026', currency: 'SGD', rate: 12600, effectiveDate: '2026-01-01' },
+];
@@ -2,6 +2,7 @@
  * Default Task Templates
  * Task types aligned with new SDLC phases
  * Each task has estimates for Low, Medium, High, and Sophisticated complexity
+ * and a default role (member type) used when generating a project from a template
  */
 
 export const defaultTaskTemplates = [
@@ -11,6 +12,7 @@ export const defaultTaskTemplates = [
         name: 'Project Charter',
         phaseId: 1,
         category: 'Project',
+        role: 'ARCHITECT',
         estimates: {
             trivial: { days: 1, hours: 0.1 },
             small: { days: 1, hours: 0.3 },
@@ -25,6 +27,7 @@ export const defaultTaskTemplates = [
         name: 'Stakeholder Analysis',
         phaseId: 1,
         category: 'Project',
+        role: 'ARCHITECT',
         estimates: {
             trivial: { days: 1, hours: 0.1 },
             small: { days: 1, hours: 0.3 },
@@ -41,6 +44,7 @@ export const defaultTaskTemplates = [
         name: 'Requirements Gathering',
         phaseId: 2,
         category: 'Project',
+        role: 'ARCHITECT',
         estimates: {
             trivial: { days: 1, hours: 0.2 },
             small: { days: 1, hours: 0.6 },
@@ -55,6 +59,7 @@ export const defaultTaskTemplates = [
         name: 'Technical Design',
         phaseId: 2,
         category: 'Project',
+        role: 'ARCHITECT',
         estimates: {
             trivial: { days: 1, hours: 0.3 },
             small: { days: 1, hours: 0.9 },
@@ -69,6 +74,7 @@ export const defaultTaskTemplates = [
         name: 'Sprint Planning',
         phaseId: 2,
         category: 'Project',
+        role: 'FULLSTACK',
         estimates: {
             trivial: { days: 1, hours: 0.1 },
             small: { days: 1, hours: 0.3 },
@@ -85,6 +91,7 @@ export const defaultTaskTemplates = [
         name: 'Bug Fix',
         phaseId: 3,
         category: 'Project',
+        role: 'FULLSTACK',
         estimates: {
             trivial: { days: 1, hours: 0.2 },
             small: { days: 1, hours: 0.6 },
@@ -99,6 +106,7 @@ export const defaultTaskTemplates = [
         name: 'Feature Development',
         phaseId: 3,
         category: 'Project',
+        role: 'FULLSTACK',
         estimates: {
             trivial: { days: 2, hours: 1 },
             small: { days: 4, hours: 3 },
@@ -113,6 +121,7 @@ export const defaultTaskTemplates = [
         name: 'Infrastructure Setup',
         phaseId: 3,
         category: 'Project',
+        role: 'DEVOPS',
         estimates: {
             trivial: { days: 1, hours: 0.6 },
             small: { days: 1, hours: 1.8 },
@@ -127,6 +136,7 @@ export const defaultTaskTemplates = [
         name: 'Security Audit',
         phaseId: 3,
         category: 'Project',
+        role: 'CLOUD',
         estimates: {
             trivial: { days: 1, hours: 0.2 },
             small: { days: 1, hours: 0.6 },
@@ -143,6 +153,7 @@ export const defaultTaskTemplates = [
         name: 'Code Review',
         phaseId: 4,
         category: 'Project',
+        role: 'FULLSTACK',
         estimates: {
             trivial: { days: 1, hours: 0.2 },
             small: { days: 1, hours: 0.6 },
@@ -157,6 +168,7 @@ export const defaultTaskTemplates = [
         name: 'Integration Testing',
         phaseId: 4,
         category: 'Project',
+        role: 'FULLSTACK',
         estimates: {
             trivial: { days: 1, hours: 0.3 },
             small: { days: 1, hours: 0.9 },
@@ -171,6 +183,7 @@ export const defaultTaskTemplates = [
         name: 'User Acceptance Testing',
         phaseId: 4,
         category: 'Project',
+        role: 'APPSUPPORT',
         estimates: {
             trivial: { days: 1, hours: 0.3 },
             small: { days: 1, hours: 0.9 },
@@ -187,6 +200,7 @@ export const defaultTaskTemplates = [
         name: 'Deployment',
         phaseId: 5,
         category: 'Project',
+        role: 'DEVOPS',
         estimates: {
             trivial: { days: 1, hours: 0.15 },
             small: { days: 1, hours: 0.45 },
@@ -201,6 +215,7 @@ export const defaultTaskTemplates = [
         name: 'Documentation',
         phaseId: 5,
         category: 'Project',
+        role: 'FULLSTACK',
         estimates: {
             trivial: { days: 1, hours: 0.15 },
             small: { days: 1, hours: 0.45 },
@@ -215,6 +230,7 @@ export const defaultTaskTemplates = [
         name: 'Knowledge Transfer',
         phaseId: 5,
         category: 'Project',
+        role: 'APPSUPPORT',
         estimates: {
             trivial: { days: 1, hours: 0.1 },
             small: { days: 1, hours: 0.3 },
@@ -231,6 +247,7 @@ export const defaultTaskTemplates = [
         name: 'Incident Resolution',
         phaseId: 6,
         category: 'Support',
+        role: 'APPSUPPORT',
         estimates: {
             trivial: { days: 1, hours: 1 },
             small: { days: 1, hours: 2 },
@@ -245,6 +262,7 @@ export const defaultTaskTemplates = [
         name: 'Service Request',
         phaseId: 6,
         category: 'Support',
+        role: 'HELPDESK',
         estimates: {
             trivial: { days: 0, hours: 1 },
             small: { days: 1, hours: 1 },
@@ -259,6 +277,7 @@ export const defaultTaskTemplates = [
         name: 'System Monitoring',
         phaseId: 6,
         category: 'Support',
+        role: 'DEVOPS',
         estimates: {
             trivial: { days: 0, hours: 1 },
             small: { days: 1, hours: 1 },
@@ -13,6 +13,7 @@ export const defaultTeamMembers = [
         costTierId: '',
         costCenterId: '',
         isActive: true,
+        workCalendars: [],
     },
     {
         id: 'MEM-002',
@@ -22,6 +23,7 @@ export const defaultTeamMembers = [
         costTierId: '',
         costCenterId: '',
         isActive: true,
+        workCalendars: [],
     },
     // DevOps Engineer
     {
@@ -32,6 +34,7 @@ export const defaultTeamMembers = [
         costTierId: '',
         costCenterId: '',
         isActive: true,
+        workCalendars: [],
     },
     // FinOps Engineer
     {
@@ -42,6 +45,7 @@ export const defaultTeamMembers = [
         costTierId: '',
         costCenterId: '',
         isActive: true,
+        workCalendars: [],
     },
     // Solution Architect
     {
@@ -52,6 +56,7 @@ export const defaultTeamMembers = [
         costTierId: '',
         costCenterId: '',
         isActive: true,
+        workCalendars: [],
     },
     // Database Administrator
     {
@@ -62,6 +67,7 @@ export const defaultTeamMembers = [
         costTierId: '',
         costCenterId: '',
         isActive: true,
+        workCalendars: [],
     },
     // Application Support
     {
@@ -72,6 +78,7 @@ export const defaultTeamMembers = [
         costTierId: '',
         costCenterId: '',
         isActive: true,
+        workCalendars: [],
     },
     {
         id: 'MEM-008',
@@ -81,6 +88,7 @@ export const defaultTeamMembers = [
         costTierId: '',
         costCenterId: '',
         isActive: true,
+        workCalendars: [],
     },
     {
         id: 'MEM-009',
@@ -90,6 +98,7 @@ export const defaultTeamMembers = [
         costTierId: '',
         costCenterId: '',
         isActive: true,
+        workCalendars: [],
     },
     // Helpdesk Management
     {
@@ -100,5 +109,6 @@ export const defaultTeamMembers = [
         costTierId: '',
         costCenterId: '',
         isActive: true,
+        workCalendars: [],
     },
 ];
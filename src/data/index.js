@@ -11,6 +11,7 @@ export { defaultComplexity, complexityLevels } from './defaultComplexity';
 export { defaultRoleTiers, getTierByRoleAndLevel, getTierOptionsForRole, getRoleOptions, roleHasCostTracking } from './defaultRoleTiers';
 export { defaultCostCenters } from './defaultCostCenters';
 export { defaultCOA } from './defaultCOA';
+export { defaultExchangeRates } from './defaultExchangeRates';
 
 /**
  * Initial application state with all default data
@@ -26,6 +27,7 @@ export const getInitialState = () => ({
     allocations: [],
     costCenters: [],
     coa: [],
+    exchangeRates: [],
     settings: {
         currency: 'IDR',
         theme: 'dark',
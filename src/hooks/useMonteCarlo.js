@@ -0,0 +1,62 @@
+/**
+ * useMonteCarlo Hook
+ * Runs the schedule risk simulation in a Web Worker and tracks its progress
+ * Starting a new run (or unmounting) terminates the previous worker.
+ */
+
+import { useState, useRef, useCallback, useEffect } from 'react';
+
+export function useMonteCarlo() {
+    const workerRef = useRef(null);
+    const [status, setStatus] = useState('idle');
+    const [progress, setProgress] = useState(0);
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState(null);
+
+    const stop = useCallback(() => {
+        workerRef.current?.terminate();
+        workerRef.current = null;
+    }, []);
+
+    const run = useCallback((allocations, context, options) => {
+        stop();
+
+        const worker = new Worker(new URL('../workers/monteCarlo.worker.js', import.meta.url), { type: 'module' });
+        workerRef.current = worker;
+        setStatus('running');
+        setProgress(0);
+        setError(null);
+
+        worker.onmessage = (event) => {
+            const message = event.data;
+            if (message.type === 'progress') {
+                setProgress(message.progress);
+            } else if (message.type === 'result') {
+                console.log(`[MonteCarlo] ${message.result.iterations} iterations finished for ${message.result.demands.length} demands`);
+                setResult(message.result);
+                setProgress(1);
+                setStatus('done');
+                stop();
+            } else if (message.type === 'error') {
+                console.error('[MonteCarlo] Simulation failed:', message.message);
+                setError(message.message);
+                setStatus('error');
+                stop();
+            }
+        };
+        worker.onerror = (event) => {
+            console.error('[MonteCarlo] Worker error:', event.message);
+            setError(event.message || 'Simulation failed');
+            setStatus('error');
+            stop();
+        };
+
+        worker.postMessage({ allocations, context, options });
+    }, [stop]);
+
+    useEffect(() => stop, [stop]);
+
+    return { run, status, progress, result, error };
+}
+
+export default useMonteCarlo;
@@ -0,0 +1,325 @@
+/**
+ * Approvals Page
+ * Inbox of budget, manager and rate change requests: the approver reviews
+ * each pending change with its justification and diff, and approves (which
+ * applies it) or rejects it with a reason
+ */
+
+import { useState, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { format, parseISO } from 'date-fns';
+import { useApp } from '../context/AppContext';
+import {
+    CHANGE_REQUEST_STATUS,
+    changeRequestKindLabels,
+    changeRequestStatusOptions,
+    formatChangeValue,
+    getChangeRequestTarget,
+    getReviewError,
+    getStaleChangeError,
+    isApprovalRequired,
+} from '../utils/changeRequests';
+import { showToast } from '../utils/toast';
+import { PageHeader } from "@/components/ui/page-header";
+import { EmptyState } from "@/components/ui/empty-state";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "@/components/ui/select";
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogFooter,
+    DialogHeader,
+    DialogTitle,
+} from "@/components/ui/dialog";
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableHeader,
+    TableRow,
+} from "@/components/ui/table";
+import { ShieldCheck, Check, X, AlertTriangle, Settings } from "lucide-react";
+
+const ALL_APPROVERS = 'all';
+
+const formatDateTime = (date) => (date ? format(parseISO(date), 'MMM d, HH:mm') : '—');
+
+function ChangeDiff({ request }) {
+    return (
+        <div className="space-y-0.5 text-xs">
+            {request.diff.map(entry => (
+                <div key={entry.field} className="tabular-nums">
+                    <span className="text-muted-foreground">{entry.label}: </span>
+                    <span className="line-through text-slate-400">{formatChangeValue(entry.from, request.currency)}</span>
+                    {' → '}
+                    <span className="font-semibold">{formatChangeValue(entry.to, request.currency)}</span>
+                </div>
+            ))}
+            {request.effectiveFrom && (
+                <div className="text-muted-foreground">Effective from {request.effectiveFrom}</div>
+            )}
+        </div>
+    );
+}
+
+export default function Approvals() {
+    const { state, dispatch, ACTIONS } = useApp();
+    const navigate = useNavigate();
+    const [reviewer, setReviewer] = useState(ALL_APPROVERS);
+    const [rejecting, setRejecting] = useState(null);
+    const [rejectReason, setRejectReason] = useState('');
+
+    const { changeRequests } = state;
+    const approvalRequired = isApprovalRequired(state.settings);
+
+    // Everyone who approves a pending request, or manages a cost center
+    const approvers = useMemo(() => [...new Set([
+        ...changeRequests.filter(r => r.status === CHANGE_REQUEST_STATUS.PENDING).flatMap(r => r.approvers),
+        ...state.costCenters.map(cc => cc.manager?.trim()).filter(Boolean),
+    ])].sort(), [changeRequests, state.costCenters]);
+
+    const pending = useMemo(() => changeRequests
+        .filter(r => r.status === CHANGE_REQUEST_STATUS.PENDING)
+        .filter(r => reviewer === ALL_APPROVERS || r.approvers.includes(reviewer))
+        .sort((a, b) => a.requestedAt.localeCompare(b.requestedAt)),
+    [changeRequests, reviewer]);
+
+    const decided = useMemo(() => changeRequests
+        .filter(r => r.status !== CHANGE_REQUEST_STATUS.PENDING)
+        .filter(r => reviewer === ALL_APPROVERS || r.reviewedBy === reviewer)
+        .sort((a, b) => b.reviewedAt.localeCompare(a.reviewedAt)),
+    [changeRequests, reviewer]);
+
+    const canReview = (request) => reviewer !== ALL_APPROVERS && request.approvers.includes(reviewer);
+
+    // Why a pending request can no longer be approved as raised (null when it can)
+    const getStaleError = (request) => getStaleChangeError(request, getChangeRequestTarget(request, state));
+
+    const handleApprove = (request) => {
+        const review = { id: request.id, status: CHANGE_REQUEST_STATUS.APPROVED, reviewer };
+        const error = getReviewError(changeRequests, review, getChangeRequestTarget(request, state));
+        if (error) {
+            showToast.error(`Could not approve ${request.number}: ${error}`);
+            return;
+        }
+        dispatch({ type: ACTIONS.APPROVE_CHANGE_REQUEST, payload: { id: request.id, reviewer } });
+        showToast.success(`${request.number} approved; ${request.targetName} updated`);
+    };
+
+    const handleReject = () => {
+        const review = { id: rejecting.id, status: CHANGE_REQUEST_STATUS.REJECTED, reviewer, note: rejectReason };
+        const error = getReviewError(changeRequests, review, getChangeRequestTarget(rejecting, state));
+        if (error) {
+            showToast.error(`Could not reject ${rejecting.number}: ${error}`);
+        } else {
+            dispatch({ type: ACTIONS.REJECT_CHANGE_REQUEST, payload: { id: rejecting.id, reviewer, note: rejectReason } });
+            showToast.info(`${rejecting.number} rejected`);
+        }
+        setRejecting(null);
+        setRejectReason('');
+    };
+
+    return (
+        <div className="space-y-6">
+            <PageHeader
+                title="Approvals"
+                description="Budget, manager and rate changes waiting for the cost center manager"
+                actions={
+                    <div className="flex items-center gap-2">
+                        <Label className="text-xs text-muted-foreground whitespace-nowrap">Reviewing as</Label>
+                        <Select value={reviewer} onValueChange={setReviewer}>
+                            <SelectTrigger className="w-48 h-9">
+                                <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                                <SelectItem value={ALL_APPROVERS}>All approvers (view only)</SelectItem>
+                                {approvers.map(name => (
+                                    <SelectItem key={name} value={name}>{name}</SelectItem>
+                                ))}
+                            </SelectContent>
+                        </Select>
+                    </div>
+                }
+            />
+
+            {!approvalRequired && (
+                <div className="flex items-center justify-between gap-3 p-4 rounded-xl border border-amber-200 bg-amber-50 text-amber-800 dark:bg-amber-950/30 dark:border-amber-900 dark:text-amber-300">
+                    <div className="flex items-center gap-2 text-sm">
+                        <AlertTriangle className="h-4 w-4 shrink-0" />
+                        Manager approval is off: budget, manager and rate changes apply immediately.
+                    </div>
+                    <Button variant="outline" size="sm" className="gap-2" onClick={() => navigate('/settings')}>
+                        <Settings className="h-4 w-4" />
+                        Settings
+                    </Button>
+                </div>
+            )}
+
+            <Card>
+                <CardHeader>
+                    <CardTitle>Awaiting Approval</CardTitle>
+                    <CardDescription>
+                        {reviewer === ALL_APPROVERS
+                            ? 'Choose who you are reviewing as to approve or reject requests'
+                            : `Requests ${reviewer} can approve`}
+                    </CardDescription>
+                </CardHeader>
+                <CardContent>
+                    {pending.length === 0 ? (
+                        <EmptyState
+                            icon={ShieldCheck}
+                            title="Nothing to review"
+                            description="Change requests appear here when a budget, manager or rate change needs approval."
+                        />
+                    ) : (
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>Request</TableHead>
+                                    <TableHead>Change</TableHead>
+                                    <TableHead>Requested</TableHead>
+                                    <TableHead>Justification</TableHead>
+                                    <TableHead>Approvers</TableHead>
+                                    <TableHead />
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {pending.map(request => {
+                                    const staleError = getStaleError(request);
+                                    return (
+                                        <TableRow key={request.id}>
+                                            <TableCell>
+                                                <div className="font-mono text-xs font-semibold">{request.number}</div>
+                                                <div className="text-xs text-muted-foreground">{changeRequestKindLabels[request.kind]}</div>
+                                                <div className="font-medium">{request.targetName}</div>
+                                            </TableCell>
+                                            <TableCell>
+                                                <ChangeDiff request={request} />
+                                                {staleError && (
+                                                    <div className="flex items-start gap-1 mt-1 text-xs text-amber-600 whitespace-normal max-w-[260px]">
+                                                        <AlertTriangle className="h-3 w-3 shrink-0 mt-0.5" />
+                                                        {staleError}
+                                                    </div>
+                                                )}
+                                            </TableCell>
+                                            <TableCell className="text-xs">
+                                                <div className="font-medium">{request.requestedBy}</div>
+                                                <div className="text-muted-foreground">{formatDateTime(request.requestedAt)}</div>
+                                            </TableCell>
+                                            <TableCell className="text-xs max-w-[240px] whitespace-normal">{request.justification}</TableCell>
+                                            <TableCell className="text-xs">{request.approvers.join(', ') || '—'}</TableCell>
+                                            <TableCell className="text-right space-x-1 whitespace-nowrap">
+                                                <Button
+                                                    variant="outline"
+                                                    size="sm"
+                                                    className="h-8 gap-1 text-rose-600"
+                                                    disabled={!canReview(request)}
+                                                    onClick={() => setRejecting(request)}
+                                                >
+                                                    <X className="h-3 w-3" />
+                                                    Reject
+                                                </Button>
+                                                <Button
+                                                    size="sm"
+                                                    className="h-8 gap-1"
+                                                    disabled={!canReview(request) || Boolean(staleError)}
+                                                    onClick={() => handleApprove(request)}
+                                                >
+                                                    <Check className="h-3 w-3" />
+                                                    Approve
+                                                </Button>
+                                            </TableCell>
+                                        </TableRow>
+                                    );
+                                })}
+                            </TableBody>
+                        </Table>
+                    )}
+                </CardContent>
+            </Card>
+
+            <Card>
+                <CardHeader>
+                    <CardTitle>Decided</CardTitle>
+                    <CardDescription>Approved and rejected requests, newest first</CardDescription>
+                </CardHeader>
+                <CardContent>
+                    {decided.length === 0 ? (
+                        <p className="text-sm text-muted-foreground">No requests have been decided yet.</p>
+                    ) : (
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>Request</TableHead>
+                                    <TableHead>Change</TableHead>
+                                    <TableHead>Requested By</TableHead>
+                                    <TableHead>Status</TableHead>
+                                    <TableHead>Reviewed</TableHead>
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {decided.map(request => {
+                                    const status = changeRequestStatusOptions.find(o => o.value === request.status);
+                                    return (
+                                        <TableRow key={request.id}>
+                                            <TableCell>
+                                                <div className="font-mono text-xs font-semibold">{request.number}</div>
+                                                <div className="font-medium">{request.targetName}</div>
+                                            </TableCell>
+                                            <TableCell><ChangeDiff request={request} /></TableCell>
+                                            <TableCell className="text-xs">{request.requestedBy}</TableCell>
+                                            <TableCell>
+                                                <Badge variant={status?.variant}>{status?.label}</Badge>
+                                            </TableCell>
+                                            <TableCell className="text-xs">
+                                                <div className="font-medium">{request.reviewedBy} • {formatDateTime(request.reviewedAt)}</div>
+                                                {request.reviewNote && <div className="text-muted-foreground">{request.reviewNote}</div>}
+                                            </TableCell>
+                                        </TableRow>
+                                    );
+                                })}
+                            </TableBody>
+                        </Table>
+                    )}
+                </CardContent>
+            </Card>
+
+            <Dialog open={Boolean(rejecting)} onOpenChange={(open) => !open && setRejecting(null)}>
+                <DialogContent className="sm:max-w-md">
+                    <DialogHeader>
+                        <DialogTitle>Reject {rejecting?.number}</DialogTitle>
+                        <DialogDescription>
+                            {rejecting?.targetName} keeps its current values. {rejecting?.requestedBy} can raise a new request.
+                        </DialogDescription>
+                    </DialogHeader>
+                    <div className="space-y-2 py-2">
+                        <Label htmlFor="reject-reason">Reason</Label>
+                        <Textarea
+                            id="reject-reason"
+                            value={rejectReason}
+                            onChange={(e) => setRejectReason(e.target.value)}
+                            placeholder="Why is this change rejected?"
+                            rows={3}
+                        />
+                    </div>
+                    <DialogFooter>
+                        <Button variant="ghost" onClick={() => setRejecting(null)}>Cancel</Button>
+                        <Button variant="destructive" onClick={handleReject} disabled={!rejectReason.trim()}>Reject</Button>
+                    </DialogFooter>
+                </DialogContent>
+            </Dialog>
+        </div>
+    );
+}
@@ -0,0 +1,315 @@
+/**
+ * Baselines Page
+ * Named snapshots of the plan and the variance of the current plan against them
+ */
+
+import { useState, useMemo } from 'react';
+import { format, parseISO } from 'date-fns';
+import { useApp } from '../context/AppContext';
+import { createBaseline, compareToBaseline } from '../utils/baselines';
+import { getDemandNumbers } from '../utils/criticalPath';
+import { formatCurrency } from '../utils/calculations';
+import { showToast } from '../utils/toast';
+import { PageHeader } from "@/components/ui/page-header";
+import { EmptyState } from "@/components/ui/empty-state";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "@/components/ui/select";
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogFooter,
+    DialogHeader,
+    DialogTitle,
+} from "@/components/ui/dialog";
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableHeader,
+    TableRow,
+} from "@/components/ui/table";
+import { Flag, Plus, Trash2 } from "lucide-react";
+import { cn } from "@/lib/utils";
+
+const PORTFOLIO = 'portfolio';
+
+const emptyForm = { name: '', scope: PORTFOLIO };
+
+const formatDate = (date) => (date ? format(parseISO(date), 'MMM d, yyyy') : '—');
+
+const formatSigned = (value, formatter = (v) => v) => {
+    if (value === null || value === undefined) return '—';
+    return `${value > 0 ? '+' : ''}${formatter(value)}`;
+};
+
+// Later dates and higher cost show red; earlier/cheaper green
+const deltaClass = (value) => cn(
+    "font-bold tabular-nums",
+    value > 0 ? "text-rose-600" : value < 0 ? "text-emerald-600" : "text-muted-foreground"
+);
+
+const statusStyles = {
+    added: 'bg-indigo-500/10 text-indigo-600 border-indigo-500/20',
+    removed: 'bg-slate-500/10 text-slate-500 border-slate-500/20',
+};
+
+export default function Baselines() {
+    const { state, dispatch, ACTIONS, undo } = useApp();
+    const [isFormOpen, setIsFormOpen] = useState(false);
+    const [formData, setFormData] = useState(emptyForm);
+    const [error, setError] = useState('');
+    const [selectedId, setSelectedId] = useState('');
+
+    const baselines = state.baselines || [];
+    const demandNumbers = useMemo(() => getDemandNumbers(state.allocations), [state.allocations]);
+    const selected = baselines.find(b => b.id === selectedId) || baselines[baselines.length - 1] || null;
+
+    const comparison = useMemo(() => {
+        if (!selected) return null;
+        return compareToBaseline(state.allocations, selected, {
+            members: state.members,
+            holidays: state.holidays,
+            leaves: state.leaves,
+            settings: state.settings,
+            exchangeRates: state.exchangeRates,
+        });
+    }, [selected, state.allocations, state.members, state.holidays, state.leaves, state.settings, state.exchangeRates]);
+
+    const handleSave = () => {
+        const name = formData.name.trim();
+        if (!name) {
+            setError('Baseline name is required');
+            return;
+        }
+        if (baselines.some(b => b.name.toLowerCase() === name.toLowerCase())) {
+            setError('A baseline with this name already exists');
+            return;
+        }
+
+        const baseline = createBaseline(state.allocations, {
+            name,
+            demandNumber: formData.scope === PORTFOLIO ? null : formData.scope,
+            currency: state.settings.currency,
+        });
+        dispatch({ type: ACTIONS.ADD_BASELINE, payload: baseline });
+        showToast.success(`Baseline "${baseline.name}" saved with ${Object.keys(baseline.entries).length} allocations`);
+        setSelectedId(baseline.id);
+        setIsFormOpen(false);
+    };
+
+    const handleDelete = (baseline) => {
+        dispatch({ type: ACTIONS.DELETE_BASELINE, payload: baseline.id });
+        setSelectedId('');
+        showToast.action(`Baseline "${baseline.name}" deleted`, { label: 'Undo', onClick: undo });
+    };
+
+    const openForm = () => {
+        setFormData(emptyForm);
+        setError('');
+        setIsFormOpen(true);
+    };
+
+    return (
+        <div className="space-y-6">
+            <PageHeader
+                title="Baselines"
+                description="Freeze the planned dates and cost of the plan and track how far it has moved since"
+                actions={
+                    <Button className="gap-2" onClick={openForm}>
+                        <Plus className="h-4 w-4" />
+                        Save Baseline
+                    </Button>
+                }
+            />
+
+            {!selected ? (
+                <Card>
+                    <EmptyState
+                        icon={Flag}
+                        title="No baselines yet"
+                        description="A baseline records each allocation's planned start, finish and cost for a demand or the whole portfolio."
+                        action={{ label: 'Save Baseline', icon: Plus, onClick: openForm }}
+                    />
+                </Card>
+            ) : (
+                <>
+                    <Card>
+                        <CardHeader>
+                            <div className="flex flex-col md:flex-row md:items-start justify-between gap-4">
+                                <div>
+                                    <CardTitle>Plan vs Baseline</CardTitle>
+                                    <CardDescription>
+                                        {selected.demandNumber || 'Whole portfolio'} · saved {format(parseISO(selected.createdAt), 'MMM d, yyyy HH:mm')}
+                                    </CardDescription>
+                                </div>
+                                <div className="flex items-center gap-2">
+                                    <Select value={selected.id} onValueChange={setSelectedId}>
+                                        <SelectTrigger className="h-9 w-[220px]">
+                                            <SelectValue />
+                                        </SelectTrigger>
+                                        <SelectContent>
+                                            {baselines.map(b => (
+                                                <SelectItem key={b.id} value={b.id}>
+                                                    {b.name}
+                                                </SelectItem>
+                                            ))}
+                                        </SelectContent>
+                                    </Select>
+                                    <Button variant="ghost" size="icon" className="h-9 w-9 text-rose-500" onClick={() => handleDelete(selected)}>
+                                        <Trash2 className="h-4 w-4" />
+                                    </Button>
+                                </div>
+                            </div>
+                        </CardHeader>
+                        <CardContent>
+                            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                                <div>
+                                    <p className="text-[10px] font-bold text-muted-foreground uppercase mb-1">Baseline Cost</p>
+                                    <p className="text-sm font-black">{formatCurrency(comparison.totals.baselineCost)}</p>
+                                </div>
+                                <div>
+                                    <p className="text-[10px] font-bold text-muted-foreground uppercase mb-1">Current Cost</p>
+                                    <p className="text-sm font-black">{formatCurrency(comparison.totals.currentCost)}</p>
+                                    <p className={cn("text-[10px]", deltaClass(comparison.totals.costDelta))}>
+                                        {formatSigned(comparison.totals.costDelta, formatCurrency)}
+                                    </p>
+                                </div>
+                                <div>
+                                    <p className="text-[10px] font-bold text-muted-foreground uppercase mb-1">Worst Finish Slip</p>
+                                    <p className={cn("text-sm", deltaClass(comparison.totals.maxFinishSlip))}>
+                                        {formatSigned(comparison.totals.maxFinishSlip, v => `${v} workdays`)}
+                                    </p>
+                                </div>
+                                <div>
+                                    <p className="text-[10px] font-bold text-muted-foreground uppercase mb-1">Allocations</p>
+                                    <p className="text-sm font-black">{comparison.totals.slipped} slipped</p>
+                                    <p className="text-[10px] text-muted-foreground">
+                                        {comparison.totals.added} added · {comparison.totals.removed} removed
+                                    </p>
+                                </div>
+                            </div>
+                        </CardContent>
+                    </Card>
+
+                    <Card>
+                        <CardHeader>
+                            <CardTitle>Variance per Allocation</CardTitle>
+                            <CardDescription>Slips are in the assigned member's workdays; positive values are later or more expensive than baselined</CardDescription>
+                        </CardHeader>
+                        <CardContent>
+                            {comparison.rows.length === 0 ? (
+                                <p className="text-sm text-muted-foreground">No scheduled allocations in this baseline's scope.</p>
+                            ) : (
+                                <Table>
+                                    <TableHeader>
+                                        <TableRow>
+                                            <TableHead>Demand</TableHead>
+                                            <TableHead>Activity</TableHead>
+                                            <TableHead>Resource</TableHead>
+                                            <TableHead>Baseline</TableHead>
+                                            <TableHead>Current</TableHead>
+                                            <TableHead className="text-right">Start Slip</TableHead>
+                                            <TableHead className="text-right">Finish Slip</TableHead>
+                                            <TableHead className="text-right">Cost Δ</TableHead>
+                                        </TableRow>
+                                    </TableHeader>
+                                    <TableBody>
+                                        {comparison.rows.map(row => (
+                                            <TableRow key={row.id} className={cn(row.status === 'removed' && "opacity-60")}>
+                                                <TableCell className="font-medium">{row.demandNumber || '—'}</TableCell>
+                                                <TableCell>
+                                                    {row.activityName}
+                                                    {statusStyles[row.status] && (
+                                                        <Badge variant="outline" className={cn("ml-2 text-[9px] uppercase", statusStyles[row.status])}>
+                                                            {row.status}
+                                                        </Badge>
+                                                    )}
+                                                </TableCell>
+                                                <TableCell>{row.resource || '—'}</TableCell>
+                                                <TableCell className="text-xs tabular-nums whitespace-nowrap">
+                                                    {row.baseline ? `${formatDate(row.baseline.taskStart)} – ${formatDate(row.baseline.taskEnd)}` : '—'}
+                                                </TableCell>
+                                                <TableCell className="text-xs tabular-nums whitespace-nowrap">
+                                                    {row.current ? `${formatDate(row.current.taskStart)} – ${formatDate(row.current.taskEnd)}` : '—'}
+                                                </TableCell>
+                                                <TableCell className={cn("text-right", deltaClass(row.startSlip))}>
+                                                    {formatSigned(row.startSlip, v => `${v}d`)}
+                                                </TableCell>
+                                                <TableCell className={cn("text-right", deltaClass(row.finishSlip))}>
+                                                    {formatSigned(row.finishSlip, v => `${v}d`)}
+                                                </TableCell>
+                                                <TableCell className={cn("text-right", deltaClass(row.costDelta))}>
+                                                    {formatSigned(row.costDelta, formatCurrency)}
+                                                </TableCell>
+                                            </TableRow>
+                                        ))}
+                                    </TableBody>
+                                </Table>
+                            )}
+                        </CardContent>
+                    </Card>
+                </>
+            )}
+
+            <Dialog open={isFormOpen} onOpenChange={setIsFormOpen}>
+                <DialogContent className="sm:max-w-md">
+                    <DialogHeader>
+                        <DialogTitle className="flex items-center gap-2">
+                            <Flag className="h-5 w-5 text-primary" />
+                            Save Baseline
+                        </DialogTitle>
+                        <DialogDescription>
+                            Freezes the current planned dates and cost. Later changes to the plan are measured against it.
+                        </DialogDescription>
+                    </DialogHeader>
+                    <div className="space-y-4 py-2">
+                        <div className="space-y-2">
+                            <Label htmlFor="baseline-name">Name</Label>
+                            <Input
+                                id="baseline-name"
+                                value={formData.name}
+                                onChange={(e) => {
+                                    setFormData(prev => ({ ...prev, name: e.target.value }));
+                                    setError('');
+                                }}
+                                placeholder="e.g., Q3 kickoff plan"
+                                className={cn(error && "border-red-500/50")}
+                            />
+                            {error && <p className="text-xs text-red-500">{error}</p>}
+                        </div>
+                        <div className="space-y-2">
+                            <Label>Scope</Label>
+                            <Select value={formData.scope} onValueChange={(scope) => setFormData(prev => ({ ...prev, scope }))}>
+                                <SelectTrigger>
+                                    <SelectValue />
+                                </SelectTrigger>
+                                <SelectContent>
+                                    <SelectItem value={PORTFOLIO}>Whole portfolio</SelectItem>
+                                    {demandNumbers.map(demand => (
+                                        <SelectItem key={demand} value={demand}>{demand}</SelectItem>
+                                    ))}
+                                </SelectContent>
+                            </Select>
+                        </div>
+                    </div>
+                    <DialogFooter>
+                        <Button variant="ghost" onClick={() => setIsFormOpen(false)}>Cancel</Button>
+                        <Button onClick={handleSave}>Save Baseline</Button>
+                    </DialogFooter>
+                </DialogContent>
+            </Dialog>
+        </div>
+    );
+}
@@ -0,0 +1,356 @@
+/**
+ * Chargebacks Page
+ * Monthly chargeback run: one statement per receiving cost center with line
+ * items per project, member and account. Statements are locked to keep them
+ * out of reruns and finalized to number them and close the month; each can be
+ * printed or downloaded as HTML, and the month exported to CSV.
+ */
+
+import { useState, useMemo } from 'react';
+import { useApp } from '../context/AppContext';
+import { formatCurrency } from '../utils/calculations';
+import { getMonthKey } from '../utils/accruals';
+import {
+    CHARGEBACK_STATUS,
+    chargebackStatusOptions,
+    formatChargebackMonth,
+    getChargebackExportRows,
+    getChargebackLines,
+    getChargebackStatementHtml,
+    getChargebackTransitionError,
+    getRunChargebackError,
+    isChargebackMonthClosed,
+} from '../utils/chargeback';
+import { exportToCsv, exportToHtml, printHtml } from '../utils/export';
+import { showToast } from '../utils/toast';
+import { PageHeader } from "@/components/ui/page-header";
+import { EmptyState } from "@/components/ui/empty-state";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogFooter,
+    DialogHeader,
+    DialogTitle,
+} from "@/components/ui/dialog";
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableFooter,
+    TableHead,
+    TableHeader,
+    TableRow,
+} from "@/components/ui/table";
+import { HandCoins, Play, Lock, LockOpen, FileCheck, Printer, Download, FileSpreadsheet, AlertTriangle } from "lucide-react";
+
+function StatementCard({ statement, onLock, onUnlock, onFinalize }) {
+    const status = chargebackStatusOptions.find(o => o.value === statement.status);
+    const { code, name, manager } = statement.costCenterSnapshot;
+    const fileName = `chargeback-${statement.documentNumber || `draft-${code || statement.costCenterId}`}-${statement.month}.html`;
+
+    return (
+        <Card>
+            <CardHeader className="flex flex-row items-start justify-between gap-4 space-y-0">
+                <div className="space-y-1">
+                    <CardTitle className="flex items-center gap-2">
+                        <span className="font-mono text-sm">{statement.documentNumber || 'Draft'}</span>
+                        <span>{code} {name}</span>
+                        <Badge variant={status?.variant}>{status?.label}</Badge>
+                    </CardTitle>
+                    <CardDescription>
+                        {manager ? `Attn. ${manager} • ` : ''}
+                        {statement.lines.length} line{statement.lines.length === 1 ? '' : 's'} •{' '}
+                        <span className="font-semibold tabular-nums">{formatCurrency(statement.total, statement.currency)}</span>
+                    </CardDescription>
+                </div>
+                <div className="flex items-center gap-1 shrink-0">
+                    {statement.status === CHARGEBACK_STATUS.DRAFT && (
+                        <Button variant="outline" size="sm" className="h-8 gap-1" onClick={() => onLock(statement)}>
+                            <Lock className="h-3 w-3" />
+                            Lock
+                        </Button>
+                    )}
+                    {statement.status === CHARGEBACK_STATUS.LOCKED && (
+                        <>
+                            <Button variant="outline" size="sm" className="h-8 gap-1" onClick={() => onUnlock(statement)}>
+                                <LockOpen className="h-3 w-3" />
+                                Unlock
+                            </Button>
+                            <Button size="sm" className="h-8 gap-1" onClick={() => onFinalize(statement)}>
+                                <FileCheck className="h-3 w-3" />
+                                Finalize
+                            </Button>
+                        </>
+                    )}
+                    <Button variant="ghost" size="icon" className="h-8 w-8" title="Print" onClick={() => printHtml(getChargebackStatementHtml(statement))}>
+                        <Printer className="h-4 w-4" />
+                    </Button>
+                    <Button variant="ghost" size="icon" className="h-8 w-8" title="Download HTML" onClick={() => exportToHtml(getChargebackStatementHtml(statement), fileName)}>
+                        <Download className="h-4 w-4" />
+                    </Button>
+                </div>
+            </CardHeader>
+            <CardContent className="space-y-4">
+                <Table>
+                    <TableHeader>
+                        <TableRow>
+                            <TableHead>Project</TableHead>
+                            <TableHead>Member</TableHead>
+                            <TableHead>Provider</TableHead>
+                            <TableHead>Account</TableHead>
+                            <TableHead className="text-right">Amount</TableHead>
+                        </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                        {statement.lines.map(line => (
+                            <TableRow key={line.key}>
+                                <TableCell>
+                                    <span className="font-mono text-xs text-muted-foreground">{line.projectCode}</span> {line.projectName}
+                                </TableCell>
+                                <TableCell>{line.memberName}</TableCell>
+                                <TableCell className="text-xs">{line.providerName}</TableCell>
+                                <TableCell className="text-xs">
+                                    {line.coaCode && <span className="font-mono text-muted-foreground">{line.coaCode} </span>}
+                                    {line.description}
+                                </TableCell>
+                                <TableCell className="text-right tabular-nums">{formatCurrency(line.amount, statement.currency)}</TableCell>
+                            </TableRow>
+                        ))}
+                    </TableBody>
+                    <TableFooter>
+                        <TableRow>
+                            <TableCell colSpan={4}>Total</TableCell>
+                            <TableCell className="text-right tabular-nums">{formatCurrency(statement.total, statement.currency)}</TableCell>
+                        </TableRow>
+                    </TableFooter>
+                </Table>
+
+                <div className="grid gap-4 md:grid-cols-2 text-xs">
+                    {[
+                        { title: 'By Project', items: statement.subtotals.byProject, label: item => `${item.projectCode} ${item.projectName}` },
+                        { title: 'By Account', items: statement.subtotals.byAccount, label: item => `${item.coaCode} ${item.description}` },
+                    ].map(({ title, items, label }) => (
+                        <div key={title} className="rounded-xl border border-border divide-y divide-border">
+                            <div className="px-3 py-2 font-semibold text-muted-foreground uppercase tracking-wider text-[10px]">{title}</div>
+                            {items.map(item => (
+                                <div key={label(item)} className="flex justify-between px-3 py-1.5">
+                                    <span>{label(item).trim()}</span>
+                                    <span className="tabular-nums font-medium">{formatCurrency(item.amount, statement.currency)}</span>
+                                </div>
+                            ))}
+                        </div>
+                    ))}
+                </div>
+            </CardContent>
+        </Card>
+    );
+}
+
+export default function Chargebacks() {
+    const { state, dispatch, ACTIONS, batch } = useApp();
+    const [month, setMonth] = useState(() => getMonthKey());
+    const [finalizing, setFinalizing] = useState(null);
+
+    const currency = state.settings.currency;
+    const statements = useMemo(() => state.chargebacks
+        .filter(s => s.month === month)
+        .sort((a, b) => (a.costCenterSnapshot.code || '').localeCompare(b.costCenterSnapshot.code || '')),
+    [state.chargebacks, month]);
+    const isClosed = isChargebackMonthClosed(state.chargebacks, month);
+
+    const { unbilled } = useMemo(() => getChargebackLines(state.allocations, {
+        month, projects: state.projects, costCenters: state.costCenters, coa: state.coa, currency,
+    }), [state.allocations, state.projects, state.costCenters, state.coa, currency, month]);
+
+    const total = statements.reduce((sum, s) => sum + s.total, 0);
+    const finalized = statements.filter(s => s.status === CHARGEBACK_STATUS.FINALIZED).length;
+    const monthLabel = month ? formatChargebackMonth(month) : '';
+
+    // Dispatch an action the page has checked, or show why it cannot run
+    const run = (error, action, success) => {
+        if (error) {
+            showToast.error(error);
+            return;
+        }
+        dispatch(action);
+        showToast.success(success);
+    };
+
+    const handleRun = () => run(
+        getRunChargebackError(state.chargebacks, month),
+        { type: ACTIONS.RUN_CHARGEBACK, payload: { month } },
+        `Chargeback for ${monthLabel} calculated`
+    );
+
+    const handleTransition = (statement, type, status, success) => run(
+        getChargebackTransitionError(state.chargebacks, { id: statement.id, status }),
+        { type, payload: { id: statement.id } },
+        success
+    );
+
+    const handleExport = () => {
+        exportToCsv(getChargebackExportRows(statements), `chargeback-${month}.csv`);
+    };
+
+    // Finalize one locked statement, or every open statement of the month
+    const handleFinalize = () => {
+        if (finalizing.statement) {
+            handleTransition(finalizing.statement, ACTIONS.FINALIZE_CHARGEBACK, CHARGEBACK_STATUS.FINALIZED, 'Statement finalized');
+        } else {
+            // Drafts are locked first, so every open statement can be finalized
+            const open = statements.filter(s => s.status !== CHARGEBACK_STATUS.FINALIZED);
+            batch([
+                ...open.filter(s => s.status === CHARGEBACK_STATUS.DRAFT)
+                    .map(s => ({ type: ACTIONS.LOCK_CHARGEBACK, payload: { id: s.id } })),
+                ...open.map(s => ({ type: ACTIONS.FINALIZE_CHARGEBACK, payload: { id: s.id } })),
+            ], `Close ${monthLabel} chargeback`);
+            showToast.success(`${monthLabel} chargeback closed`);
+        }
+        setFinalizing(null);
+    };
+
+    return (
+        <div className="space-y-6">
+            <PageHeader
+                title="Chargebacks"
+                description="Monthly recharge of project work to the cost centers that sponsor it"
+                actions={
+                    <div className="flex items-center gap-2">
+                        <Input
+                            type="month"
+                            value={month}
+                            onChange={(e) => setMonth(e.target.value)}
+                            className="w-40 h-9"
+                            aria-label="Chargeback month"
+                        />
+                        <Button variant="outline" className="gap-2" onClick={handleExport} disabled={statements.length === 0}>
+                            <FileSpreadsheet className="h-4 w-4" />
+                            Export CSV
+                        </Button>
+                        <Button
+                            variant="outline"
+                            className="gap-2"
+                            onClick={() => setFinalizing({})}
+                            disabled={isClosed || statements.length === 0}
+                        >
+                            <FileCheck className="h-4 w-4" />
+                            Close Month
+                        </Button>
+                        <Button className="gap-2" onClick={handleRun} disabled={!month || isClosed}>
+                            <Play className="h-4 w-4" />
+                            {statements.length > 0 ? 'Rerun' : 'Run Chargeback'}
+                        </Button>
+                    </div>
+                }
+            />
+
+            {isClosed && (
+                <div className="flex items-center gap-2 p-4 rounded-xl border border-border bg-muted/40 text-sm text-muted-foreground">
+                    <Lock className="h-4 w-4 shrink-0" />
+                    {monthLabel} is closed: its statements are finalized and can no longer change.
+                </div>
+            )}
+
+            <div className="grid gap-4 md:grid-cols-3">
+                <Card>
+                    <CardHeader className="pb-2">
+                        <CardDescription>Charged in {monthLabel}</CardDescription>
+                        <CardTitle className="tabular-nums">{formatCurrency(total, currency)}</CardTitle>
+                    </CardHeader>
+                </Card>
+                <Card>
+                    <CardHeader className="pb-2">
+                        <CardDescription>Statements</CardDescription>
+                        <CardTitle>{finalized} of {statements.length} finalized</CardTitle>
+                    </CardHeader>
+                </Card>
+                <Card>
+                    <CardHeader className="pb-2">
+                        <CardDescription>Not charged</CardDescription>
+                        <CardTitle className="tabular-nums">
+                            {formatCurrency(unbilled.reduce((sum, u) => sum + u.amount, 0), currency)}
+                        </CardTitle>
+                    </CardHeader>
+                </Card>
+            </div>
+
+            {statements.length === 0 ? (
+                <EmptyState
+                    icon={HandCoins}
+                    title={`No chargeback for ${monthLabel || 'this month'}`}
+                    description="Run the chargeback to charge the month's project cost to each project's sponsor cost center."
+                />
+            ) : (
+                statements.map(statement => (
+                    <StatementCard
+                        key={statement.id}
+                        statement={statement}
+                        onLock={(s) => handleTransition(s, ACTIONS.LOCK_CHARGEBACK, CHARGEBACK_STATUS.LOCKED, 'Statement locked; reruns leave it unchanged')}
+                        onUnlock={(s) => handleTransition(s, ACTIONS.UNLOCK_CHARGEBACK, CHARGEBACK_STATUS.DRAFT, 'Statement unlocked')}
+                        onFinalize={(s) => setFinalizing({ statement: s })}
+                    />
+                ))
+            )}
+
+            {unbilled.length > 0 && (
+                <Card>
+                    <CardHeader>
+                        <CardTitle className="flex items-center gap-2">
+                            <AlertTriangle className="h-4 w-4 text-amber-500" />
+                            Not Charged
+                        </CardTitle>
+                        <CardDescription>Cost in {monthLabel} with no cost center to charge it to</CardDescription>
+                    </CardHeader>
+                    <CardContent>
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>Project</TableHead>
+                                    <TableHead>Member</TableHead>
+                                    <TableHead>Reason</TableHead>
+                                    <TableHead className="text-right">Amount</TableHead>
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {unbilled.map(item => (
+                                    <TableRow key={item.allocationId}>
+                                        <TableCell>{item.projectName || '—'}</TableCell>
+                                        <TableCell>{item.memberName}</TableCell>
+                                        <TableCell className="text-xs text-muted-foreground">{item.reason}</TableCell>
+                                        <TableCell className="text-right tabular-nums">{formatCurrency(item.amount, currency)}</TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </CardContent>
+                </Card>
+            )}
+
+            <Dialog open={Boolean(finalizing)} onOpenChange={(open) => !open && setFinalizing(null)}>
+                <DialogContent className="sm:max-w-md">
+                    <DialogHeader>
+                        <DialogTitle>
+                            {finalizing?.statement
+                                ? `Finalize ${finalizing.statement.costCenterSnapshot.name} statement`
+                                : `Close ${monthLabel}`}
+                        </DialogTitle>
+                        <DialogDescription>
+                            {finalizing?.statement
+                                ? 'The statement gets its document number and can no longer be unlocked or rerun.'
+                                : 'Every statement of the month is locked and finalized. The month can no longer be rerun.'}
+                        </DialogDescription>
+                    </DialogHeader>
+                    <DialogFooter>
+                        <Button variant="ghost" onClick={() => setFinalizing(null)}>Cancel</Button>
+                        <Button onClick={handleFinalize}>Finalize</Button>
+                    </DialogFooter>
+                </DialogContent>
+            </Dialog>
+        </div>
+    );
+}
@@ -3,6 +3,19 @@ import { useApp } from '../../context/AppContext';
 import { useMemoizedCostCenterMetrics } from '../../utils/memoizedCalculations';
 import { useReportGenerator } from '../../utils/optimizedReports';
 import { LoadingOverlay } from '../../components/ui/skeleton-components';
+import CriticalPathPanel from '../../components/project/CriticalPathPanel';
+import ScheduleRiskPanel from '../../components/project/ScheduleRiskPanel';
+import EarnedValueReport from '../../components/cost-center/EarnedValueReport';
+import {
+    formatCurrency as formatMoney,
+    getCostCenterPeriodBudget,
+    getCostCenterPeriodCost,
+    getProjectCostCenterBreakdown,
+} from '../../utils/calculations';
+import { getMonthKey } from '../../utils/accruals';
+import { BUDGET_PERIODS } from '../../utils/budgets';
+import { getChildCostCenters, getSubtreeIds, rollUpCostCenterValue } from '../../utils/costCenterHierarchy';
+import { getCostCenterShare } from '../../utils/costCenterSplits';
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
@@ -45,6 +58,12 @@ export default function CostCenterReports() {
     const [selectedPeriod, setSelectedPeriod] = useState('current');
     const [selectedCostCenter, setSelectedCostCenter] = useState('all');
     const [activeTab, setActiveTab] = useState('dashboard');
+    const [selectedProjectId, setSelectedProjectId] = useState('');
+    // 'own' figures per cost center, or 'rollup' including its descendants
+    const [figureScope, setFigureScope] = useState('own');
+    const includeDescendants = figureScope === 'rollup';
+    // Budget analysis period: this month, year-to-date or full year (phased budgets)
+    const [budgetPeriod, setBudgetPeriod] = useState(BUDGET_PERIODS.MONTH);
 
     // Use optimized report generation
     const {
@@ -56,7 +75,7 @@ export default function CostCenterReports() {
     } = useReportGenerator();
 
     // Use memoized metrics calculation
-    const metrics = useMemoizedCostCenterMetrics(state);
+    const metrics = useMemoizedCostCenterMetrics(state, { includeDescendants });
 
     // Filter data based on selected cost center
     const filteredData = useMemo(() => {
@@ -66,9 +85,22 @@ export default function CostCenterReports() {
         return (metrics.utilizationData || []).filter(item => item.costCenter.id === selectedCostCenter);
     }, [metrics.utilizationData, selectedCostCenter]);
 
+    // Allocations in the earned value report (follows the cost center filter, including split allocations)
+    const evmAllocations = useMemo(() => {
+        if (selectedCostCenter === 'all') return state.allocations;
+        const costCenterIds = includeDescendants ? getSubtreeIds(state.costCenters, selectedCostCenter) : [selectedCostCenter];
+        return state.allocations.filter(a => costCenterIds.some(id => getCostCenterShare(a, id) > 0));
+    }, [state.allocations, state.costCenters, selectedCostCenter, includeDescendants]);
+
     // Calculate budget variance metrics
     const budgetMetrics = useMemo(() => {
         const activeCostCenters = state.costCenters.filter(cc => cc.isActive);
+        const rootIds = new Set(getChildCostCenters(activeCostCenters).map(cc => cc.id));
+        const conversion = { currency: state.settings.currency, exchangeRates: state.exchangeRates };
+        const scope = { period: budgetPeriod, month: getMonthKey() };
+        // Budgets are set in the cost center's currency; accrued costs are in the reporting currency
+        const budgetOf = cc => getCostCenterPeriodBudget(cc, conversion, scope);
+        const costOf = cc => getCostCenterPeriodCost(cc.id, state.allocations, scope);
 
         let totalBudget = 0;
         let totalActual = 0;
@@ -77,16 +109,16 @@ export default function CostCenterReports() {
         let onTrackCount = 0;
 
         const centerVariances = activeCostCenters.map(cc => {
-            // Find corresponding dynamic metric for this cost center
-            const utilizationItem = (metrics.utilizationData || []).find(item => item.costCenter.id === cc.id);
-
-            const monthlyBudget = cc.monthlyBudget || 0;
-            const actualCost = utilizationItem?.totalMonthlyCost || 0;
-            const variance = actualCost - monthlyBudget;
-            const variancePercent = monthlyBudget > 0 ? (variance / monthlyBudget) * 100 : 0;
-
-            totalBudget += monthlyBudget;
-            totalActual += actualCost;
+            const budget = includeDescendants ? rollUpCostCenterValue(activeCostCenters, cc.id, budgetOf) : budgetOf(cc);
+            const actualCost = includeDescendants ? rollUpCostCenterValue(activeCostCenters, cc.id, costOf) : costOf(cc);
+            const variance = actualCost - budget;
+            const variancePercent = budget > 0 ? (variance / budget) * 100 : 0;
+
+            // Rolled-up children are already in their top-level cost center's figures
+            if (!includeDescendants || rootIds.has(cc.id)) {
+                totalBudget += budget;
+                totalActual += actualCost;
+            }
 
             if (variancePercent > 10) overBudgetCount++;
             else if (variancePercent < -10) underBudgetCount++;
@@ -94,7 +126,8 @@ export default function CostCenterReports() {
 
             return {
                 ...cc,
-                actualMonthlyCost: actualCost, // Override with dynamic value
+                budget,
+                actualCost,
                 variance,
                 variancePercent,
                 status: variancePercent > 10 ? 'over' : variancePercent < -10 ? 'under' : 'on-track'
@@ -111,7 +144,16 @@ export default function CostCenterReports() {
             onTrackCount,
             centerVariances
         };
-    }, [state.costCenters, metrics.utilizationData]);
+    }, [state.costCenters, state.allocations, state.settings.currency, state.exchangeRates, budgetPeriod, includeDescendants]);
+
+    // Projects available for the project breakdown
+    const projects = state.projects;
+    const activeProject = projects.find(p => p.id === selectedProjectId) || projects[0] || null;
+
+    const projectBreakdown = useMemo(() => {
+        if (!activeProject) return null;
+        return getProjectCostCenterBreakdown(state.allocations, activeProject.id, state.costCenters);
+    }, [state.allocations, activeProject, state.costCenters]);
 
     // Handle report generation
     const handleGenerateReport = async () => {
@@ -150,15 +192,7 @@ export default function CostCenterReports() {
         }
     };
 
-    const formatCurrency = (amount) => {
-        return new Intl.NumberFormat('id-ID', {
-            style: 'currency',
-            currency: 'IDR',
-            minimumFractionDigits: 0,
-            maximumFractionDigits: 0,
-            notation: 'compact'
-        }).format(amount);
-    };
+    const formatCurrency = (amount) => formatMoney(amount, state.settings.currency, { notation: 'compact' });
 
     const getVarianceColor = (percent) => {
         if (percent > 10) return 'text-red-600';
@@ -192,6 +226,15 @@ export default function CostCenterReports() {
                         </div>
 
                         <div className="flex gap-2">
+                            <Select value={figureScope} onValueChange={setFigureScope}>
+                                <SelectTrigger className="w-[200px] rounded-xl">
+                                    <SelectValue />
+                                </SelectTrigger>
+                                <SelectContent>
+                                    <SelectItem value="own">Own figures</SelectItem>
+                                    <SelectItem value="rollup">Including descendants</SelectItem>
+                                </SelectContent>
+                            </Select>
                             <Button
                                 variant="outline"
                                 className="rounded-xl"
@@ -246,10 +289,12 @@ export default function CostCenterReports() {
                         <>
                             {/* Tabbed Interface */}
                             <Tabs value={activeTab} onValueChange={setActiveTab} className="space-y-6">
-                                <TabsList className="grid w-full grid-cols-3 rounded-xl bg-muted p-1">
+                                <TabsList className="grid w-full grid-cols-5 rounded-xl bg-muted p-1">
                                     <TabsTrigger value="dashboard" className="rounded-lg">Dashboard</TabsTrigger>
                                     <TabsTrigger value="budget" className="rounded-lg">Budget Analysis</TabsTrigger>
+                                    <TabsTrigger value="evm" className="rounded-lg">Earned Value</TabsTrigger>
                                     <TabsTrigger value="coa" className="rounded-lg">Account Breakdown</TabsTrigger>
+                                    <TabsTrigger value="projects" className="rounded-lg">Project Breakdown</TabsTrigger>
                                 </TabsList>
 
                                 {/* Dashboard Tab - Combines Overview + Performance */}
@@ -495,6 +540,23 @@ export default function CostCenterReports() {
 
                                 {/* Budget Analysis Tab */}
                                 <TabsContent value="budget" className="space-y-6">
+                                    <div className="flex items-center gap-4 bg-card p-4 rounded-xl border border-border shadow-sm">
+                                        <Select value={budgetPeriod} onValueChange={setBudgetPeriod}>
+                                            <SelectTrigger className="w-[200px] rounded-lg">
+                                                <Calendar className="mr-2 h-4 w-4" />
+                                                <SelectValue placeholder="Select period" />
+                                            </SelectTrigger>
+                                            <SelectContent>
+                                                <SelectItem value={BUDGET_PERIODS.MONTH}>This Month</SelectItem>
+                                                <SelectItem value={BUDGET_PERIODS.YTD}>Year to Date</SelectItem>
+                                                <SelectItem value={BUDGET_PERIODS.YEAR}>Full Year (Forecast)</SelectItem>
+                                            </SelectContent>
+                                        </Select>
+                                        <span className="text-xs text-slate-500">
+                                            Phased budget against cost accrued to the period
+                                        </span>
+                                    </div>
+
                                     {/* Budget Summary Cards */}
                                     <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
                                         <Card className="rounded-xl border border-border shadow-sm">
@@ -656,11 +718,11 @@ export default function CostCenterReports() {
                                                         <div className="grid grid-cols-3 gap-4 text-sm">
                                                             <div>
                                                                 <div className="text-slate-500">Budget</div>
-                                                                <div className="font-semibold">{formatCurrency(center.monthlyBudget)}</div>
+                                                                <div className="font-semibold">{formatCurrency(center.budget)}</div>
                                                             </div>
                                                             <div>
                                                                 <div className="text-slate-500">Actual</div>
-                                                                <div className="font-semibold">{formatCurrency(center.actualMonthlyCost)}</div>
+                                                                <div className="font-semibold">{formatCurrency(center.actualCost)}</div>
                                                             </div>
                                                             <div>
                                                                 <div className="text-slate-500">Difference</div>
@@ -670,14 +732,14 @@ export default function CostCenterReports() {
                                                             </div>
                                                         </div>
 
-                                                        {center.monthlyBudget > 0 && (
+                                                        {center.budget > 0 && (
                                                             <div className="space-y-2">
                                                                 <div className="flex justify-between text-xs text-slate-500">
                                                                     <span>Budget Utilization</span>
-                                                                    <span>{((center.actualMonthlyCost / center.monthlyBudget) * 100).toFixed(1)}%</span>
+                                                                    <span>{((center.actualCost / center.budget) * 100).toFixed(1)}%</span>
                                                                 </div>
                                                                 <Progress
-                                                                    value={Math.min((center.actualMonthlyCost / center.monthlyBudget) * 100, 100)}
+                                                                    value={Math.min((center.actualCost / center.budget) * 100, 100)}
                                                                     className="h-2"
                                                                 />
                                                             </div>
@@ -689,6 +751,11 @@ export default function CostCenterReports() {
                                     </Card>
                                 </TabsContent>
 
+                                {/* Earned Value Tab */}
+                                <TabsContent value="evm" className="space-y-6">
+                                    <EarnedValueReport allocations={evmAllocations} />
+                                </TabsContent>
+
                                 {/* Account Breakdown Tab */}
                                 <TabsContent value="coa" className="space-y-6">
                                     <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
@@ -801,6 +868,70 @@ export default function CostCenterReports() {
                                         </Card>
                                     </div>
                                 </TabsContent>
+
+                                {/* Project Breakdown Tab */}
+                                <TabsContent value="projects" className="space-y-6">
+                                    {!activeProject ? (
+                                        <Card className="p-12 rounded-xl border border-border shadow-sm">
+                                            <div className="flex flex-col items-center justify-center gap-4 text-slate-400">
+                                                <Target className="h-16 w-16 opacity-20" />
+                                                <div className="text-center">
+                                                    <p className="font-medium text-lg">No Projects Scheduled</p>
+                                                    <p className="text-sm">Add projects in the Projects library and assign allocations to them</p>
+                                                </div>
+                                            </div>
+                                        </Card>
+                                    ) : (
+                                        <>
+                                            <div className="flex items-center gap-3">
+                                                <span className="text-sm font-medium text-slate-500">Project</span>
+                                                <Select value={activeProject.id} onValueChange={setSelectedProjectId}>
+                                                    <SelectTrigger className="w-64 rounded-xl">
+                                                        <SelectValue />
+                                                    </SelectTrigger>
+                                                    <SelectContent>
+                                                        {projects.map(project => (
+                                                            <SelectItem key={project.id} value={project.id}>{project.code} · {project.name}</SelectItem>
+                                                        ))}
+                                                    </SelectContent>
+                                                </Select>
+                                            </div>
+
+                                            <Card className="rounded-xl border border-border shadow-sm">
+                                                <CardHeader>
+                                                    <CardTitle className="flex items-center gap-2">
+                                                        <Building2 className="h-5 w-5 text-indigo-600" />
+                                                        Cost by Cost Center
+                                                    </CardTitle>
+                                                    <CardDescription>
+                                                        Total project cost {formatCurrency(projectBreakdown?.totalCost || 0)}
+                                                    </CardDescription>
+                                                </CardHeader>
+                                                <CardContent className="space-y-4">
+                                                    {projectBreakdown?.costCenterBreakdown.map(item => (
+                                                        <div key={item.costCenter.id} className="space-y-2">
+                                                            <div className="flex justify-between items-end">
+                                                                <div>
+                                                                    <div className="font-bold text-slate-900">{item.costCenter.name}</div>
+                                                                    <div className="text-xs text-slate-500">{item.allocationCount} allocations</div>
+                                                                </div>
+                                                                <div className="text-right">
+                                                                    <div className="font-bold text-slate-900">{formatCurrency(item.totalProjectCost)}</div>
+                                                                    <div className="text-xs text-slate-500">{item.costPercentage.toFixed(1)}% of project</div>
+                                                                </div>
+                                                            </div>
+                                                            <Progress value={item.costPercentage} className="h-2 bg-slate-100" />
+                                                        </div>
+                                                    ))}
+                                                </CardContent>
+                                            </Card>
+
+                                            <CriticalPathPanel demandNumber={activeProject.code} />
+
+                                            <ScheduleRiskPanel demandNumber={activeProject.code} />
+                                        </>
+                                    )}
+                                </TabsContent>
                             </Tabs>
                         </>
                     )}
@@ -1,5 +1,11 @@
 import { useState, useMemo, useCallback, memo } from 'react';
 import { useApp, ACTIONS } from '../../context/AppContext';
+import { showToast } from '../../utils/toast';
+import { calculateBudgetVariance, formatCurrency, getCostCenterBudget } from '../../utils/calculations';
+import { BASE_CURRENCY, currencyOptions, getCurrencyInfo } from '../../utils/currency';
+import { BUDGET_PERIODS, hasPhasedBudget } from '../../utils/budgets';
+import { flattenCostCenterTree, getReparentError, rollUpCostCenterValue } from '../../utils/costCenterHierarchy';
+import { CHANGE_REQUEST_KINDS, getChangeDiff, getPendingChangeRequest, isApprovalRequired, withoutGovernedChanges } from '../../utils/changeRequests';
 import { useKeyboardShortcuts } from '../../hooks/useKeyboardShortcuts';
 import {
     useMemoizedFilteredData,
@@ -53,6 +59,12 @@ import {
     Building2,
     Search,
     AlertTriangle,
+    CalendarRange,
+    ChevronRight,
+    GripVertical,
+    List,
+    ListTree,
+    ShieldCheck,
     Info
 } from "lucide-react"
 import { cn } from "@/lib/utils"
@@ -65,6 +77,8 @@ import {
     TooltipTrigger,
 } from "@/components/ui/tooltip"
 import CostCenterErrorBoundary from "../../components/cost-center/CostCenterErrorBoundary"
+import BudgetGridDialog from "../../components/cost-center/BudgetGridDialog"
+import ChangeRequestDialog from "../../components/cost-center/ChangeRequestDialog"
 import './LibraryPage.css';
 
 // Generate unique ID
@@ -82,6 +96,7 @@ const emptyCostCenter = {
     // Budget fields
     monthlyBudget: 0,
     yearlyBudget: 0,
+    currency: BASE_CURRENCY,
     budgetPeriod: new Date().getFullYear().toString(),
 };
 
@@ -96,6 +111,8 @@ const CostCenterForm = memo(({
     availableParents,
     editingCostCenter
 }) => {
+    const isPhased = hasPhasedBudget(formData, formData.budgetPeriod);
+
     return (
         <DialogContent className="sm:max-w-2xl max-h-[90vh] overflow-hidden flex flex-col">
             <DialogHeader className="flex-shrink-0">
@@ -195,13 +212,33 @@ const CostCenterForm = memo(({
                         <div className="space-y-3 pt-3 border-t border-slate-200 dark:border-slate-700">
                             <h4 className="text-sm font-semibold text-slate-700 dark:text-slate-300">Budget Information</h4>
 
+                            <FormField label="Budget Currency">
+                                <Select value={formData.currency || BASE_CURRENCY} onValueChange={(v) => onChange('currency', v)}>
+                                    <SelectTrigger className="rounded-lg h-9">
+                                        <SelectValue />
+                                    </SelectTrigger>
+                                    <SelectContent>
+                                        {currencyOptions.map(opt => (
+                                            <SelectItem key={opt.value} value={opt.value}>{opt.label}</SelectItem>
+                                        ))}
+                                    </SelectContent>
+                                </Select>
+                            </FormField>
+
+                            {isPhased && (
+                                <p className="text-[11px] text-slate-500">
+                                    {formData.budgetPeriod} has a phased budget. Monthly and yearly figures follow the budget grid.
+                                </p>
+                            )}
+
                             <FormGrid>
-                                <FormField label="Monthly Budget (IDR)" error={errors.monthlyBudget}>
+                                <FormField label={`Monthly Budget (${formData.currency || BASE_CURRENCY})`} error={errors.monthlyBudget}>
                                     <div className="flex items-center gap-2">
                                         <Input
                                             type="number"
                                             value={formData.monthlyBudget || ''}
                                             onChange={(e) => onChange('monthlyBudget', parseInt(e.target.value) || 0)}
+                                            disabled={isPhased}
                                             className={cn("rounded-lg h-9 flex-1", errors.monthlyBudget && "border-red-500")}
                                             placeholder="150000000"
                                             min="0"
@@ -211,7 +248,7 @@ const CostCenterForm = memo(({
                                                 <Info className="h-4 w-4 text-slate-400 hover:text-slate-600 cursor-help" />
                                             </TooltipTrigger>
                                             <TooltipContent side="top" className="max-w-xs">
-                                                <p>Optional. Monthly budget allocation in Indonesian Rupiah. Must be positive number, max 999 billion IDR.</p>
+                                                <p>Optional. Monthly budget allocation in {getCurrencyInfo(formData.currency).name}. Must be a positive number.</p>
                                             </TooltipContent>
                                         </Tooltip>
                                     </div>
@@ -237,12 +274,13 @@ const CostCenterForm = memo(({
                                 </FormField>
                             </FormGrid>
 
-                            <FormField label="Yearly Budget (IDR)" error={errors.yearlyBudget}>
+                            <FormField label={`Yearly Budget (${formData.currency || BASE_CURRENCY})`} error={errors.yearlyBudget}>
                                 <div className="flex items-center gap-2">
                                     <Input
                                         type="number"
                                         value={formData.yearlyBudget || ''}
                                         onChange={(e) => onChange('yearlyBudget', parseInt(e.target.value) || 0)}
+                                        disabled={isPhased}
                                         className={cn("rounded-lg h-9 flex-1", errors.yearlyBudget && "border-red-500")}
                                         placeholder="1800000000"
                                         min="0"
@@ -252,7 +290,7 @@ const CostCenterForm = memo(({
                                             <Info className="h-4 w-4 text-slate-400 hover:text-slate-600 cursor-help" />
                                         </TooltipTrigger>
                                         <TooltipContent side="top" className="max-w-xs">
-                                            <p>Optional. Annual budget allocation in Indonesian Rupiah. Should be approximately 12x monthly budget (±20% tolerance).</p>
+                                            <p>Optional. Annual budget allocation in {getCurrencyInfo(formData.currency).name}. Use the budget grid to phase it by month.</p>
                                         </TooltipContent>
                                     </Tooltip>
                                 </div>
@@ -345,28 +383,25 @@ const CostCenterForm = memo(({
 CostCenterForm.displayName = 'CostCenterForm';
 
 export default function CostCenters() {
-    const { state, dispatch } = useApp();
+    const { state, dispatch, undo } = useApp();
 
     // Performance monitoring
     usePerformanceMonitor('CostCenters');
 
-    // Early return if state is not loaded
-    if (!state || !state.costCenters) {
-        return (
-            <div className="library-page space-y-6 animate-in fade-in duration-500">
-                <div className="flex items-center justify-center p-8">
-                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
-                    <span className="ml-3 text-slate-500">Loading cost centers...</span>
-                </div>
-            </div>
-        );
-    }
-
     // Modal states
     const [isFormOpen, setIsFormOpen] = useState(false);
     const [isDeleteOpen, setIsDeleteOpen] = useState(false);
     const [editingCostCenter, setEditingCostCenter] = useState(null);
     const [costCenterToDelete, setCostCenterToDelete] = useState(null);
+    const [budgetCostCenterId, setBudgetCostCenterId] = useState(null);
+    // Edit waiting for a justification when manager approval is required
+    const [pendingChange, setPendingChange] = useState(null);
+
+    // Tree view state
+    const [viewMode, setViewMode] = useState('tree');
+    const [collapsedIds, setCollapsedIds] = useState(() => new Set());
+    const [draggingId, setDraggingId] = useState(null);
+    const [dropTargetId, setDropTargetId] = useState(null);
 
     // Form state
     const [formData, setFormData] = useState(emptyCostCenter);
@@ -378,6 +413,18 @@ export default function CostCenters() {
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [isDeleting, setIsDeleting] = useState(false);
 
+    // The tree shows the whole hierarchy; a search switches to the flat list of matches
+    const isTreeView = viewMode === 'tree' && !globalFilter;
+
+    const toggleCollapsed = useCallback((costCenterId) => {
+        setCollapsedIds(prev => {
+            const next = new Set(prev);
+            if (next.has(costCenterId)) next.delete(costCenterId);
+            else next.add(costCenterId);
+            return next;
+        });
+    }, []);
+
     // Keyboard shortcuts
     useKeyboardShortcuts({
         'n': () => !isFormOpen && !isDeleteOpen && handleAdd(),
@@ -409,7 +456,23 @@ export default function CostCenters() {
             key: "name",
             header: "Name",
             minWidth: 160,
-            render: (item) => <span className="font-bold text-slate-900 dark:text-slate-100 truncate block">{item.name}</span>,
+            render: (item, row) => (
+                <div className="flex items-center gap-1 min-w-0" style={{ paddingLeft: (row?.depth || 0) * 16 }}>
+                    {isTreeView && <GripVertical className="h-3 w-3 text-slate-300 cursor-grab shrink-0" />}
+                    {isTreeView && (
+                        row.hasChildren ? (
+                            <button
+                                type="button"
+                                className="h-5 w-5 flex items-center justify-center rounded text-slate-400 hover:text-indigo-600"
+                                onClick={(e) => { e.stopPropagation(); toggleCollapsed(item.id); }}
+                            >
+                                <ChevronRight className={cn("h-3.5 w-3.5 transition-transform", row.isExpanded && "rotate-90")} />
+                            </button>
+                        ) : <span className="w-5" />
+                    )}
+                    <span className="font-bold text-slate-900 dark:text-slate-100 truncate block">{item.name}</span>
+                </div>
+            ),
         },
         {
             key: "parent",
@@ -435,10 +498,20 @@ export default function CostCenters() {
             header: "Budget",
             width: 90,
             align: "right",
-            render: (item) => (
-                <span className="text-xs font-bold text-slate-500 font-mono">
-                    {item.monthlyBudget ? `${(item.monthlyBudget / 1000000).toFixed(0)}M` : '—'}
-                </span>
+            render: (item, row) => (
+                <div className="flex flex-col items-end">
+                    <span className="text-xs font-bold text-slate-500 font-mono">
+                        {item.monthlyBudget ? formatCurrency(item.monthlyBudget, item.currency, { notation: 'compact' }) : '—'}
+                    </span>
+                    {row?.hasChildren && (
+                        <span className="text-[10px] text-slate-400 font-mono" title="Including descendants">
+                            Σ {formatCurrency(rollUpCostCenterValue(state.costCenters, item.id, cc => getCostCenterBudget(cc, 'monthlyBudget', {
+                                currency: state.settings.currency,
+                                exchangeRates: state.exchangeRates,
+                            })), state.settings.currency, { notation: 'compact' })}
+                        </span>
+                    )}
+                </div>
             ),
         },
         {
@@ -446,10 +519,17 @@ export default function CostCenters() {
             header: "Actual",
             width: 90,
             align: "right",
-            render: (item) => (
-                <span className="text-xs font-black text-indigo-600 dark:text-indigo-400 font-mono">
-                    {item.actualMonthlyCost ? `${(item.actualMonthlyCost / 1000000).toFixed(1)}M` : '0'}
-                </span>
+            render: (item, row) => (
+                <div className="flex flex-col items-end">
+                    <span className="text-xs font-black text-indigo-600 dark:text-indigo-400 font-mono">
+                        {item.actualMonthlyCost ? `${(item.actualMonthlyCost / 1000000).toFixed(1)}M` : '0'}
+                    </span>
+                    {row?.hasChildren && (
+                        <span className="text-[10px] text-slate-400 font-mono" title="Including descendants">
+                            Σ {(rollUpCostCenterValue(state.costCenters, item.id, cc => cc.actualMonthlyCost) / 1000000).toFixed(1)}M
+                        </span>
+                    )}
+                </div>
             ),
         },
         {
@@ -457,9 +537,13 @@ export default function CostCenters() {
             header: "Var",
             width: 80,
             render: (item) => {
-                if (!item.monthlyBudget) return null;
-                const variance = item.monthlyBudget - (item.actualMonthlyCost || 0);
-                const variancePercent = (variance / item.monthlyBudget) * 100;
+                if (!item.monthlyBudget && !item.budgets) return null;
+                // Actuals are in the reporting currency; this month's phased budget converts from the cost center's
+                const { variance, variancePercent } = calculateBudgetVariance(item, item.actualMonthlyCost || 0, {
+                    currency: state.settings.currency,
+                    exchangeRates: state.exchangeRates,
+                }, { period: BUDGET_PERIODS.MONTH });
+                if (variancePercent === null) return null;
                 const isOver = variance < 0;
                 return (
                     <div className={cn(
@@ -489,15 +573,23 @@ export default function CostCenters() {
                         {item.isActive ? "Active" : "Inactive"}
                     </Badge>
                     <span className="text-[10px] font-bold text-slate-400 font-mono">{item.budgetPeriod}</span>
+                    {getPendingChangeRequest(state.changeRequests, CHANGE_REQUEST_KINDS.COST_CENTER, item.id) && (
+                        <span title="Change awaiting approval">
+                            <ShieldCheck className="h-3.5 w-3.5 text-amber-500" />
+                        </span>
+                    )}
                 </div>
             ),
         },
         {
             key: "actions",
             header: "",
-            width: 70,
+            width: 100,
             render: (item) => (
                 <div className="flex items-center justify-end">
+                    <Button variant="ghost" size="icon" className="h-7 w-7 text-slate-300 hover:text-indigo-600" title="Budget grid" onClick={() => setBudgetCostCenterId(item.id)}>
+                        <CalendarRange className="h-3.5 w-3.5" />
+                    </Button>
                     <Button variant="ghost" size="icon" className="h-7 w-7 text-slate-300 hover:text-indigo-600" onClick={() => handleEdit(item)}>
                         <Edit2 className="h-3.5 w-3.5" />
                     </Button>
@@ -507,11 +599,11 @@ export default function CostCenters() {
                 </div>
             ),
         },
-    ], [state.costCenters]);
+    ], [state.costCenters, state.changeRequests, state.settings.currency, state.exchangeRates, isTreeView, toggleCollapsed]);
 
     // Get available parent cost centers (active ones, excluding self and descendants)
     const getAvailableParents = useCallback((excludeId = null) => {
-        return state.costCenters.filter(cc => {
+        return (state.costCenters || []).filter(cc => {
             if (!cc.isActive) return false;
             if (cc.id === excludeId) return false;
 
@@ -538,6 +630,15 @@ export default function CostCenters() {
 
     const sortedCostCenters = useMemoizedTableData(filteredCostCenters, sorting) || [];
 
+    // Rows in tree order; a search shows the flat list of matches
+    const treeRows = useMemo(() =>
+        flattenCostCenterTree(state.costCenters || [], collapsedIds),
+        [state.costCenters, collapsedIds]
+    );
+    const tableRows = isTreeView
+        ? treeRows
+        : sortedCostCenters.map(costCenter => ({ costCenter, depth: 0, hasChildren: false }));
+
     // Check if cost center has active team member assignments
     const hasActiveAssignments = (costCenterId) => {
         return state.members.some(member => member.costCenterId === costCenterId);
@@ -548,6 +649,44 @@ export default function CostCenters() {
         return state.costCenters.some(cc => cc.parentCostCenterId === costCenterId);
     };
 
+    // Move a cost center under a new parent (null for top level) by drag and drop
+    const handleReparent = (costCenterId, parentId) => {
+        const costCenter = state.costCenters.find(cc => cc.id === costCenterId);
+        if (!costCenter || (costCenter.parentCostCenterId || null) === parentId) return;
+
+        const error = getReparentError(state.costCenters, costCenterId, parentId);
+        if (error) {
+            toast.error(error);
+            return;
+        }
+
+        try {
+            dispatch({
+                type: ACTIONS.UPDATE_COST_CENTER,
+                payload: { ...costCenter, parentCostCenterId: parentId, updatedAt: new Date().toISOString() },
+            });
+            const parent = state.costCenters.find(cc => cc.id === parentId);
+            showToast.action(`"${costCenter.name}" moved ${parent ? `under ${parent.name}` : 'to top level'}`, { label: 'Undo', onClick: undo });
+        } catch (error) {
+            toast.error(`Failed to move cost center: ${error.message}`);
+        }
+    };
+
+    const getDragHandlers = (targetId) => ({
+        onDragOver: (e) => {
+            if (!draggingId || getReparentError(state.costCenters, draggingId, targetId)) return;
+            e.preventDefault();
+            setDropTargetId(targetId ?? 'root');
+        },
+        onDragLeave: () => setDropTargetId(null),
+        onDrop: (e) => {
+            e.preventDefault();
+            handleReparent(draggingId, targetId);
+            setDraggingId(null);
+            setDropTargetId(null);
+        },
+    });
+
     // Memoized calculations for better performance
     const availableParents = useMemo(() =>
         getAvailableParents(formData.id),
@@ -767,18 +906,6 @@ export default function CostCenters() {
             }
         }
 
-        // Cross-validation: yearly should be roughly 12x monthly (with some tolerance)
-        if (monthlyBudget && yearlyBudget) {
-            const monthly = Number(monthlyBudget);
-            const yearly = Number(yearlyBudget);
-            const expectedYearly = monthly * 12;
-            const tolerance = 0.2; // 20% tolerance
-
-            if (yearly < expectedYearly * (1 - tolerance) || yearly > expectedYearly * (1 + tolerance)) {
-                errors.push('Yearly budget should be approximately 12 times the monthly budget');
-            }
-        }
-
         return errors;
     };
 
@@ -818,7 +945,26 @@ export default function CostCenters() {
         };
 
         try {
-            if (editingCostCenter) {
+            const current = editingCostCenter && state.costCenters.find(cc => cc.id === editingCostCenter.id);
+            const needsApproval = current && isApprovalRequired(state.settings) &&
+                getChangeDiff(CHANGE_REQUEST_KINDS.COST_CENTER, current, costCenterData).length > 0;
+
+            if (needsApproval) {
+                const pending = getPendingChangeRequest(state.changeRequests, CHANGE_REQUEST_KINDS.COST_CENTER, current.id);
+                if (pending) {
+                    throw new Error(`${current.name} already has a pending change request (${pending.number})`);
+                }
+                // Budget and manager changes wait for approval; the rest of the edit is saved with the request
+                const otherChanges = withoutGovernedChanges(CHANGE_REQUEST_KINDS.COST_CENTER, costCenterData, current);
+                const hasOtherChanges = Object.keys(otherChanges)
+                    .some(key => !['createdAt', 'updatedAt'].includes(key) && otherChanges[key] !== current[key]);
+                setPendingChange({
+                    kind: CHANGE_REQUEST_KINDS.COST_CENTER,
+                    target: current,
+                    payload: costCenterData,
+                    apply: hasOtherChanges ? { type: ACTIONS.UPDATE_COST_CENTER, payload: otherChanges } : null,
+                });
+            } else if (editingCostCenter) {
                 dispatch({ type: ACTIONS.UPDATE_COST_CENTER, payload: costCenterData });
                 toast.success(`Cost center "${costCenterData.name}" updated successfully`);
             } else {
@@ -861,7 +1007,7 @@ export default function CostCenters() {
 
         try {
             dispatch({ type: ACTIONS.DELETE_COST_CENTER, payload: costCenterToDelete.id });
-            toast.success(`Cost center "${costCenterToDelete.name}" deleted successfully`);
+            showToast.action(`Cost center "${costCenterToDelete.name}" deleted successfully`, { label: 'Undo', onClick: undo });
             setIsDeleteOpen(false);
             setCostCenterToDelete(null);
         } catch (error) {
@@ -873,6 +1019,18 @@ export default function CostCenters() {
         }
     };
 
+    // Early return if state is not loaded (after every hook, so hook order never changes)
+    if (!state || !state.costCenters) {
+        return (
+            <div className="library-page space-y-6 animate-in fade-in duration-500">
+                <div className="flex items-center justify-center p-8">
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+                    <span className="ml-3 text-slate-500">Loading cost centers...</span>
+                </div>
+            </div>
+        );
+    }
+
     return (
         <CostCenterErrorBoundary componentName="CostCenters" showErrorDetails={process.env.NODE_ENV === 'development'}>
             <div className="library-page space-y-6 animate-in fade-in duration-500">
@@ -905,11 +1063,32 @@ export default function CostCenters() {
                             onChange={(e) => setGlobalFilter(e.target.value)}
                         />
                     </div>
+                    <div className="flex items-center gap-1 rounded-lg border border-border p-0.5">
+                        <Button variant={viewMode === 'tree' ? 'secondary' : 'ghost'} size="sm" className="h-7 px-2" title="Tree view" onClick={() => setViewMode('tree')}>
+                            <ListTree className="h-3.5 w-3.5" />
+                        </Button>
+                        <Button variant={viewMode === 'list' ? 'secondary' : 'ghost'} size="sm" className="h-7 px-2" title="List view" onClick={() => setViewMode('list')}>
+                            <List className="h-3.5 w-3.5" />
+                        </Button>
+                    </div>
                     <div className="text-xs font-bold text-slate-400 px-2 uppercase tracking-wider dark:text-slate-500">
                         {filteredCostCenters.length} OF {state.costCenters.length} COST CENTERS
                     </div>
                 </div>
 
+                {/* Drop zone for moving a cost center to the top level */}
+                {isTreeView && draggingId && (
+                    <div
+                        {...getDragHandlers(null)}
+                        className={cn(
+                            "rounded-xl border-2 border-dashed p-3 text-center text-xs font-bold text-slate-400 transition-colors",
+                            dropTargetId === 'root' ? "border-indigo-400 bg-indigo-50 text-indigo-600" : "border-border"
+                        )}
+                    >
+                        Drop here to move to the top level
+                    </div>
+                )}
+
                 {/* Standard Table Container with Loading States */}
                 <ProgressiveLoader
                     isLoading={isSubmitting || isDeleting}
@@ -935,7 +1114,7 @@ export default function CostCenters() {
                                 </TableRow>
                             </TableHeader>
                             <TableBody>
-                                {sortedCostCenters.length === 0 ? (
+                                {tableRows.length === 0 ? (
                                     <TableRow>
                                         <TableCell colSpan={columns.length} className="text-center py-12">
                                             <div className="flex flex-col items-center justify-center gap-3 text-slate-400">
@@ -950,26 +1129,43 @@ export default function CostCenters() {
                                         </TableCell>
                                     </TableRow>
                                 ) : (
-                                    sortedCostCenters.map((costCenter) => (
-                                        <TableRow
-                                            key={costCenter.id}
-                                            className="hover:bg-muted/50 transition-colors cursor-pointer"
-                                            onClick={() => handleRowClick(costCenter)}
-                                        >
-                                            {columns.map((column, colIndex) => (
-                                                <TableCell
-                                                    key={colIndex}
-                                                    className="py-4 px-4 text-sm align-middle"
-                                                    style={{
-                                                        width: column.width || 'auto',
-                                                        minWidth: column.minWidth || 100
-                                                    }}
-                                                >
-                                                    {column.render ? column.render(costCenter) : costCenter[column.key]}
-                                                </TableCell>
-                                            ))}
-                                        </TableRow>
-                                    ))
+                                    tableRows.map((row) => {
+                                        const { costCenter } = row;
+                                        return (
+                                            <TableRow
+                                                key={costCenter.id}
+                                                className={cn(
+                                                    "hover:bg-muted/50 transition-colors cursor-pointer",
+                                                    draggingId === costCenter.id && "opacity-50",
+                                                    dropTargetId === costCenter.id && "bg-indigo-50 dark:bg-indigo-950/30 ring-1 ring-inset ring-indigo-400"
+                                                )}
+                                                onClick={() => handleRowClick(costCenter)}
+                                                draggable={isTreeView}
+                                                onDragStart={(e) => {
+                                                    e.dataTransfer.effectAllowed = 'move';
+                                                    setDraggingId(costCenter.id);
+                                                }}
+                                                onDragEnd={() => {
+                                                    setDraggingId(null);
+                                                    setDropTargetId(null);
+                                                }}
+                                                {...(isTreeView ? getDragHandlers(costCenter.id) : {})}
+                                            >
+                                                {columns.map((column, colIndex) => (
+                                                    <TableCell
+                                                        key={colIndex}
+                                                        className="py-4 px-4 text-sm align-middle"
+                                                        style={{
+                                                            width: column.width || 'auto',
+                                                            minWidth: column.minWidth || 100
+                                                        }}
+                                                    >
+                                                        {column.render ? column.render(costCenter, row) : costCenter[column.key]}
+                                                    </TableCell>
+                                                ))}
+                                            </TableRow>
+                                        );
+                                    })
                                 )}
                             </TableBody>
                         </Table>
@@ -977,7 +1173,7 @@ export default function CostCenters() {
                         {/* Footer with item count */}
                         <div className="px-4 py-2 bg-muted/30 border-t border-border">
                             <p className="text-xs text-slate-500">
-                                Showing {sortedCostCenters.length} cost centers
+                                Showing {tableRows.length} cost centers{isTreeView && ' • drag a row onto another to change its parent'}
                             </p>
                         </div>
                     </div>
@@ -997,6 +1193,16 @@ export default function CostCenters() {
                     />
                 </Dialog>
 
+                {/* Phased Budget Dialog */}
+                <BudgetGridDialog
+                    costCenter={state.costCenters.find(cc => cc.id === budgetCostCenterId)}
+                    onClose={() => setBudgetCostCenterId(null)}
+                    onRequestApproval={setPendingChange}
+                />
+
+                {/* Manager Approval Dialog */}
+                <ChangeRequestDialog change={pendingChange} onClose={() => setPendingChange(null)} />
+
                 {/* Delete Confirmation Dialog */}
                 <Dialog open={isDeleteOpen} onOpenChange={setIsDeleteOpen}>
                     <DialogContent className="sm:max-w-[400px] rounded-2xl">
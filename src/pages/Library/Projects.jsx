@@ -0,0 +1,216 @@
+/**
+ * Projects Library
+ * Projects that allocations are assigned to, with budget, owner, sponsor and health
+ */
+
+import { useState, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { format, parseISO } from 'date-fns';
+import { useApp } from '../../context/AppContext';
+import { formatCurrency } from '../../utils/calculations';
+import {
+    getProjectAllocations,
+    getProjectHealth,
+    projectHealthOptions,
+    projectPriorityOptions,
+    projectStatusOptions,
+} from '../../utils/projects';
+import { showToast } from '../../utils/toast';
+import ProjectFormDialog from '../../components/project/ProjectFormDialog';
+import ProjectTemplateDialog from '../../components/project/ProjectTemplateDialog';
+import { PageHeader } from "@/components/ui/page-header";
+import { EmptyState } from "@/components/ui/empty-state";
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "@/components/ui/select";
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableHeader,
+    TableRow,
+} from "@/components/ui/table";
+import { FolderKanban, Plus, Edit2, Trash2, Search, LayoutTemplate } from "lucide-react";
+import { cn } from "@/lib/utils";
+
+const formatDate = (date) => (date ? format(parseISO(date), 'MMM d, yyyy') : '—');
+
+export default function Projects() {
+    const { state, dispatch, ACTIONS, undo } = useApp();
+    const navigate = useNavigate();
+    const [isFormOpen, setIsFormOpen] = useState(false);
+    const [isTemplateOpen, setIsTemplateOpen] = useState(false);
+    const [editingProject, setEditingProject] = useState(null);
+    const [searchText, setSearchText] = useState('');
+    const [filterStatus, setFilterStatus] = useState('all');
+
+    const { projects, allocations, members, costCenters, settings, exchangeRates } = state;
+
+    const rows = useMemo(() => {
+        const search = searchText.trim().toLowerCase();
+        return projects
+            .filter(p => filterStatus === 'all' || p.status === filterStatus)
+            .filter(p => !search || p.code.toLowerCase().includes(search) || p.name.toLowerCase().includes(search))
+            .map(project => ({
+                project,
+                health: getProjectHealth(project, allocations, new Date(), { currency: settings.currency, exchangeRates }),
+            }));
+    }, [projects, allocations, settings.currency, exchangeRates, searchText, filterStatus]);
+
+    const openForm = (project = null) => {
+        setEditingProject(project);
+        setIsFormOpen(true);
+    };
+
+    const handleDelete = (project) => {
+        const count = getProjectAllocations(allocations, project.id).length;
+        if (count > 0) {
+            showToast.error(`${project.code} still has ${count} allocation${count === 1 ? '' : 's'}. Reassign or delete them first.`);
+            return;
+        }
+        dispatch({ type: ACTIONS.DELETE_PROJECT, payload: project.id });
+        showToast.action(`Project "${project.name}" deleted`, { label: 'Undo', onClick: undo });
+    };
+
+    return (
+        <div className="space-y-6">
+            <PageHeader
+                title="Projects"
+                description="Projects own their allocations, budget and target dates"
+                actions={
+                    <div className="flex gap-2">
+                        <Button variant="outline" className="gap-2" onClick={() => setIsTemplateOpen(true)}>
+                            <LayoutTemplate className="h-4 w-4" />
+                            From Template
+                        </Button>
+                        <Button className="gap-2" onClick={() => openForm()}>
+                            <Plus className="h-4 w-4" />
+                            Add Project
+                        </Button>
+                    </div>
+                }
+            />
+
+            {projects.length === 0 ? (
+                <Card>
+                    <EmptyState
+                        icon={FolderKanban}
+                        title="No projects yet"
+                        description="Add a project, then assign allocations to it from Resource Allocation, or generate one from a template."
+                        action={{ label: 'Add Project', icon: Plus, onClick: () => openForm() }}
+                    />
+                </Card>
+            ) : (
+                <Card>
+                    <CardContent className="p-4 space-y-4">
+                        <div className="flex flex-col md:flex-row gap-3">
+                            <div className="relative flex-1">
+                                <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+                                <Input
+                                    placeholder="Search by code or name..."
+                                    value={searchText}
+                                    onChange={(e) => setSearchText(e.target.value)}
+                                    className="pl-9"
+                                />
+                            </div>
+                            <Select value={filterStatus} onValueChange={setFilterStatus}>
+                                <SelectTrigger className="w-48">
+                                    <SelectValue />
+                                </SelectTrigger>
+                                <SelectContent>
+                                    <SelectItem value="all">All statuses</SelectItem>
+                                    {projectStatusOptions.map(opt => <SelectItem key={opt.value} value={opt.value}>{opt.label}</SelectItem>)}
+                                </SelectContent>
+                            </Select>
+                        </div>
+
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>Project</TableHead>
+                                    <TableHead>Owner</TableHead>
+                                    <TableHead>Sponsor</TableHead>
+                                    <TableHead>Status</TableHead>
+                                    <TableHead>Priority</TableHead>
+                                    <TableHead>Dates</TableHead>
+                                    <TableHead className="text-right">Budget</TableHead>
+                                    <TableHead className="text-right">Planned Cost</TableHead>
+                                    <TableHead>Health</TableHead>
+                                    <TableHead />
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {rows.length === 0 ? (
+                                    <TableRow>
+                                        <TableCell colSpan={10} className="text-center text-sm text-muted-foreground py-8">
+                                            No projects match the filters.
+                                        </TableCell>
+                                    </TableRow>
+                                ) : rows.map(({ project, health }) => {
+                                    const status = projectStatusOptions.find(o => o.value === project.status);
+                                    const healthOption = projectHealthOptions.find(o => o.value === health.status);
+                                    const overBudget = health.budget > 0 && health.plannedCost > health.budget;
+                                    return (
+                                        <TableRow
+                                            key={project.id}
+                                            className="cursor-pointer"
+                                            onClick={() => navigate(`/projects/${project.id}`)}
+                                        >
+                                            <TableCell>
+                                                <div className="font-bold tabular-nums">{project.code}</div>
+                                                <div className="text-xs text-muted-foreground">{project.name}</div>
+                                            </TableCell>
+                                            <TableCell className="text-sm">{members.find(m => m.id === project.ownerId)?.name || '—'}</TableCell>
+                                            <TableCell className="text-sm">{costCenters.find(cc => cc.id === project.sponsorCostCenterId)?.name || '—'}</TableCell>
+                                            <TableCell>
+                                                <Badge variant={status?.variant || 'secondary'} className="text-[10px] uppercase">{status?.label || project.status}</Badge>
+                                            </TableCell>
+                                            <TableCell className="text-sm">
+                                                {projectPriorityOptions.find(o => o.value === project.priority)?.label || '—'}
+                                            </TableCell>
+                                            <TableCell className="text-xs text-muted-foreground whitespace-nowrap">
+                                                {formatDate(project.startDate)} → {formatDate(project.targetDate)}
+                                            </TableCell>
+                                            <TableCell className="text-right tabular-nums">
+                                                {formatCurrency(health.budget)}
+                                                {project.currency && project.currency !== settings.currency && (
+                                                    <div className="text-[10px] text-muted-foreground">{formatCurrency(project.budget, project.currency)}</div>
+                                                )}
+                                            </TableCell>
+                                            <TableCell className={cn("text-right tabular-nums", overBudget && "text-rose-600 font-bold")}>
+                                                {formatCurrency(health.plannedCost)}
+                                            </TableCell>
+                                            <TableCell>
+                                                <Badge variant={healthOption.variant} className="text-[10px] uppercase">{healthOption.label}</Badge>
+                                            </TableCell>
+                                            <TableCell className="text-right whitespace-nowrap" onClick={(e) => e.stopPropagation()}>
+                                                <Button variant="ghost" size="icon" className="h-8 w-8" onClick={() => openForm(project)}>
+                                                    <Edit2 className="h-4 w-4" />
+                                                </Button>
+                                                <Button variant="ghost" size="icon" className="h-8 w-8 text-rose-500" onClick={() => handleDelete(project)}>
+                                                    <Trash2 className="h-4 w-4" />
+                                                </Button>
+                                            </TableCell>
+                                        </TableRow>
+                                    );
+                                })}
+                            </TableBody>
+                        </Table>
+                    </CardContent>
+                </Card>
+            )}
+
+            <ProjectFormDialog open={isFormOpen} onOpenChange={setIsFormOpen} project={editingProject} />
+            <ProjectTemplateDialog open={isTemplateOpen} onOpenChange={setIsTemplateOpen} />
+        </div>
+    );
+}
@@ -45,9 +45,15 @@ import {
     DollarSign,
     Calculator,
     Clock,
+    History,
     Target
 } from "lucide-react"
 import { formatCurrency } from '../../utils/calculations';
+import { BASE_CURRENCY, convertAmount, currencyOptions, roundCurrency } from '../../utils/currency';
+import { addRateVersion, getRateHistory, getRateOnDate, validateRateChange } from '../../utils/costRates';
+import { applyCostLoading, getLoadingProfile } from '../../utils/costLoading';
+import { CHANGE_REQUEST_KINDS, getChangeDiff, getPendingChangeRequest, isApprovalRequired, withoutGovernedChanges } from '../../utils/changeRequests';
+import ChangeRequestDialog from '../../components/cost-center/ChangeRequestDialog';
 import { defaultRoleTiers, getTierByRoleAndLevel, getRoleOptions } from '../../data';
 import { cn } from "@/lib/utils"
 import './LibraryPage.css';
@@ -70,17 +76,24 @@ const emptyCost = {
     monthlyCost: 10000000,
     perDayCost: 0,
     perHourCost: 0,
+    currency: BASE_CURRENCY,
     coaId: '',
 };
 
 export default function ResourceCosts() {
     const { state, dispatch } = useApp();
+    const costLoading = state.settings.costLoading;
 
     // Modal states
     const [isFormOpen, setIsFormOpen] = useState(false);
     const [isDeleteOpen, setIsDeleteOpen] = useState(false);
     const [editingCost, setEditingCost] = useState(null);
     const [costToDelete, setCostToDelete] = useState(null);
+    const [timelineCost, setTimelineCost] = useState(null);
+    // Date a changed monthly cost takes effect (editing only)
+    const [rateEffectiveFrom, setRateEffectiveFrom] = useState('');
+    // Rate change waiting for a justification when manager approval is required
+    const [pendingChange, setPendingChange] = useState(null);
 
     // Form state
     const [formData, setFormData] = useState(emptyCost);
@@ -122,12 +135,35 @@ export default function ResourceCosts() {
         {
             accessorKey: "monthlyCost",
             header: () => <div className="text-right">Monthly Cost</div>,
-            cell: ({ row }) => <div className="text-right font-bold text-slate-900 tabular-nums">{formatCurrency(row.getValue("monthlyCost"))}</div>,
+            cell: ({ row }) => {
+                const history = getRateHistory(row.original);
+                const current = getRateOnDate(row.original);
+                return (
+                    <div className="text-right">
+                        <div className="font-bold text-slate-900 tabular-nums">{formatCurrency(current?.monthlyCost ?? row.getValue("monthlyCost"), row.original.currency)}</div>
+                        {history.length > 1 && (
+                            <div className="text-[10px] text-slate-400">{history.length} rate versions</div>
+                        )}
+                    </div>
+                );
+            },
         },
         {
             accessorKey: "perHourCost",
             header: () => <div className="text-right">Per Hour</div>,
-            cell: ({ row }) => <div className="text-right font-medium text-slate-500 tabular-nums">{formatCurrency(row.getValue("perHourCost"))}</div>,
+            cell: ({ row }) => {
+                const perHourCost = getRateOnDate(row.original)?.perHourCost ?? row.getValue("perHourCost");
+                const loading = getLoadingProfile(costLoading, { roleType: row.original.roleType });
+                const loaded = applyCostLoading(perHourCost, loading, row.original.currency).total;
+                return (
+                    <div className="text-right">
+                        <div className="font-medium text-slate-500 tabular-nums">{formatCurrency(perHourCost, row.original.currency)}</div>
+                        {loaded !== perHourCost && (
+                            <div className="text-[10px] text-slate-400 tabular-nums">{formatCurrency(loaded, row.original.currency)} loaded</div>
+                        )}
+                    </div>
+                );
+            },
         },
         {
             accessorKey: "coaId",
@@ -149,6 +185,9 @@ export default function ResourceCosts() {
             header: () => <div className="text-right">Actions</div>,
             cell: ({ row }) => (
                 <div className="flex items-center justify-end gap-1">
+                    <Button variant="ghost" size="icon" className="h-8 w-8 text-slate-400 hover:text-indigo-600 hover:bg-indigo-50" title="Rate timeline" onClick={() => setTimelineCost(row.original)}>
+                        <History className="h-4 w-4" />
+                    </Button>
                     <Button variant="ghost" size="icon" className="h-8 w-8 text-slate-400 hover:text-indigo-600 hover:bg-indigo-50" onClick={() => handleEdit(row.original)}>
                         <Edit2 className="h-4 w-4" />
                     </Button>
@@ -158,7 +197,7 @@ export default function ResourceCosts() {
                 </div>
             ),
         },
-    ], []);
+    ], [costLoading]);
 
     const [sorting, setSorting] = useState([]);
 
@@ -197,6 +236,7 @@ export default function ResourceCosts() {
             monthlyCost: tier?.midCost || 10000000,
             perDayCost: Math.round((tier?.midCost || 10000000) / WORKING_DAYS_PER_MONTH),
             perHourCost: Math.round((tier?.midCost || 10000000) / WORKING_DAYS_PER_MONTH / WORKING_HOURS_PER_DAY),
+            currency: BASE_CURRENCY,
         });
         setEditingCost(null);
         setErrors({});
@@ -205,8 +245,9 @@ export default function ResourceCosts() {
 
     // Open edit modal
     const handleEdit = (cost) => {
-        setFormData({ ...cost });
+        setFormData({ currency: BASE_CURRENCY, ...cost });
         setEditingCost(cost);
+        setRateEffectiveFrom('');
         setErrors({});
         setIsFormOpen(true);
     };
@@ -217,27 +258,45 @@ export default function ResourceCosts() {
         setIsDeleteOpen(true);
     };
 
+    // Convert an amount into the form's currency at today's rate
+    const toFormCurrency = (amount, from, currency) => roundCurrency(
+        convertAmount(amount, from, currency, state.exchangeRates),
+        currency
+    );
+
+    // Per-day and per-hour rates in the tier's currency
+    const withRates = (cost) => ({
+        ...cost,
+        perDayCost: roundCurrency(cost.monthlyCost / WORKING_DAYS_PER_MONTH, cost.currency),
+        perHourCost: roundCurrency(cost.monthlyCost / WORKING_DAYS_PER_MONTH / WORKING_HOURS_PER_DAY, cost.currency),
+    });
+
     // Handle form input change
     const handleChange = (name, value) => {
-        const updated = { ...formData, [name]: value };
+        let updated = { ...formData, [name]: value };
 
         if (name === 'roleType' || name === 'tierLevel') {
+            // Market tier ranges are in the base currency
             const tier = getTierByRoleAndLevel(updated.roleType, updated.tierLevel);
             if (tier) {
-                updated.minMonthlyCost = tier.minCost;
-                updated.maxMonthlyCost = tier.maxCost;
-                updated.monthlyCost = tier.midCost;
+                updated.minMonthlyCost = toFormCurrency(tier.minCost, BASE_CURRENCY, updated.currency);
+                updated.maxMonthlyCost = toFormCurrency(tier.maxCost, BASE_CURRENCY, updated.currency);
+                updated.monthlyCost = toFormCurrency(tier.midCost, BASE_CURRENCY, updated.currency);
                 updated.resourceName = tier.name;
-                updated.perDayCost = Math.round(tier.midCost / WORKING_DAYS_PER_MONTH);
-                updated.perHourCost = Math.round(tier.midCost / WORKING_DAYS_PER_MONTH / WORKING_HOURS_PER_DAY);
+                updated = withRates(updated);
             }
         }
 
+        if (name === 'currency') {
+            ['minMonthlyCost', 'maxMonthlyCost', 'monthlyCost'].forEach(field => {
+                updated[field] = toFormCurrency(formData[field], formData.currency, value);
+            });
+            updated = withRates(updated);
+        }
+
         if (name === 'monthlyCost') {
-            const numVal = parseInt(value) || 0;
-            updated.monthlyCost = numVal;
-            updated.perDayCost = Math.round(numVal / WORKING_DAYS_PER_MONTH);
-            updated.perHourCost = Math.round(numVal / WORKING_DAYS_PER_MONTH / WORKING_HOURS_PER_DAY);
+            updated.monthlyCost = Number(value) || 0;
+            updated = withRates(updated);
         }
 
         setFormData(updated);
@@ -246,17 +305,28 @@ export default function ResourceCosts() {
         }
     };
 
+    // An edited monthly cost becomes a new rate version; switching the currency of a
+    // tier with a single version restates that version instead
+    const isRateChange = Boolean(editingCost) &&
+        formData.currency === editingCost.currency &&
+        Number(formData.monthlyCost) !== Number(editingCost.monthlyCost);
+    const canChangeCurrency = !editingCost || getRateHistory(editingCost).length === 1;
+
     // Validate form
     const validate = () => {
         const newErrors = {};
+        if (isRateChange) {
+            const rateErrors = validateRateChange(editingCost, { monthlyCost: formData.monthlyCost, effectiveFrom: rateEffectiveFrom });
+            if (rateErrors.effectiveFrom) newErrors.effectiveFrom = rateErrors.effectiveFrom;
+        }
         if (!formData.resourceName.trim()) newErrors.resourceName = 'Name is required';
         if (!formData.monthlyCost || formData.monthlyCost < 1) newErrors.monthlyCost = 'Required';
 
         if (formData.monthlyCost < formData.minMonthlyCost) {
-            newErrors.monthlyCost = `Min ${formatCurrency(formData.minMonthlyCost)}`;
+            newErrors.monthlyCost = `Min ${formatCurrency(formData.minMonthlyCost, formData.currency)}`;
         }
         if (formData.monthlyCost > formData.maxMonthlyCost) {
-            newErrors.monthlyCost = `Max ${formatCurrency(formData.maxMonthlyCost)}`;
+            newErrors.monthlyCost = `Max ${formatCurrency(formData.maxMonthlyCost, formData.currency)}`;
         }
 
         setErrors(newErrors);
@@ -266,10 +336,42 @@ export default function ResourceCosts() {
     // Submit form
     const handleSubmit = () => {
         if (!validate()) return;
+        const rates = {
+            monthlyCost: formData.monthlyCost,
+            perDayCost: formData.perDayCost,
+            perHourCost: formData.perHourCost,
+        };
         if (editingCost) {
-            dispatch({ type: ACTIONS.UPDATE_COST, payload: formData });
+            let payload;
+            if (isRateChange) {
+                payload = addRateVersion(formData, { monthlyCost: formData.monthlyCost, effectiveFrom: rateEffectiveFrom });
+            } else {
+                const history = getRateHistory(editingCost);
+                const rateHistory = history.length === 1 ? [{ ...history[0], ...rates }] : history;
+                payload = { ...formData, rateHistory };
+            }
+
+            if (isApprovalRequired(state.settings) && getChangeDiff(CHANGE_REQUEST_KINDS.COST_TIER, editingCost, payload).length > 0) {
+                const pending = getPendingChangeRequest(state.changeRequests, CHANGE_REQUEST_KINDS.COST_TIER, editingCost.id);
+                if (pending) {
+                    setErrors({ monthlyCost: `Awaiting approval of ${pending.number}` });
+                    return;
+                }
+                // The rate waits for approval; the rest of the edit is saved with the request
+                const otherChanges = withoutGovernedChanges(CHANGE_REQUEST_KINDS.COST_TIER, payload, editingCost);
+                const hasOtherChanges = Object.keys(otherChanges).some(key => otherChanges[key] !== editingCost[key]);
+                setPendingChange({
+                    kind: CHANGE_REQUEST_KINDS.COST_TIER,
+                    target: editingCost,
+                    payload,
+                    apply: hasOtherChanges ? { type: ACTIONS.UPDATE_COST, payload: otherChanges } : null,
+                });
+            } else {
+                dispatch({ type: ACTIONS.UPDATE_COST, payload });
+            }
         } else {
-            dispatch({ type: ACTIONS.ADD_COST, payload: formData });
+            const rateHistory = [{ id: `${formData.id}-R1`, ...rates, effectiveFrom: '', effectiveTo: '' }];
+            dispatch({ type: ACTIONS.ADD_COST, payload: { ...formData, rateHistory } });
         }
         setIsFormOpen(false);
     };
@@ -488,8 +590,22 @@ export default function ResourceCosts() {
                             </Select>
                         </div>
 
+                        <div className="space-y-1.5">
+                            <Label className="text-[10px] font-bold text-slate-400 uppercase tracking-wider">Billing Currency</Label>
+                            <Select value={formData.currency} onValueChange={(v) => handleChange('currency', v)} disabled={!canChangeCurrency}>
+                                <SelectTrigger className="rounded-lg h-9">
+                                    <SelectValue />
+                                </SelectTrigger>
+                                <SelectContent>
+                                    {currencyOptions.map(opt => (
+                                        <SelectItem key={opt.value} value={opt.value}>{opt.label}</SelectItem>
+                                    ))}
+                                </SelectContent>
+                            </Select>
+                        </div>
+
                         <div className="space-y-2.5">
-                            <Label className="text-[10px] font-bold text-slate-400 uppercase tracking-wider">Monthly Budget (IDR)</Label>
+                            <Label className="text-[10px] font-bold text-slate-400 uppercase tracking-wider">Monthly Budget ({formData.currency})</Label>
                             <div className="relative group">
                                 <DollarSign className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-emerald-500" />
                                 <Input
@@ -500,26 +616,44 @@ export default function ResourceCosts() {
                                 />
                             </div>
                             <div className="flex justify-between items-center text-[10px] px-1">
-                                <span className="font-medium text-slate-400">Min: {formatCurrency(formData.minMonthlyCost)}</span>
-                                <span className="font-medium text-slate-400">Max: {formatCurrency(formData.maxMonthlyCost)}</span>
+                                <span className="font-medium text-slate-400">Min: {formatCurrency(formData.minMonthlyCost, formData.currency)}</span>
+                                <span className="font-medium text-slate-400">Max: {formatCurrency(formData.maxMonthlyCost, formData.currency)}</span>
                             </div>
                             {errors.monthlyCost && <p className="text-[10px] text-red-500 font-bold text-right">{errors.monthlyCost}</p>}
                         </div>
 
+                        {isRateChange && (
+                            <div className="space-y-1.5">
+                                <Label className="text-[10px] font-bold text-slate-400 uppercase tracking-wider">New Rate Effective From</Label>
+                                <Input
+                                    type="date"
+                                    value={rateEffectiveFrom}
+                                    onChange={(e) => {
+                                        setRateEffectiveFrom(e.target.value);
+                                        if (errors.effectiveFrom) setErrors(prev => ({ ...prev, effectiveFrom: null }));
+                                    }}
+                                    className={cn("rounded-lg h-9", errors.effectiveFrom && "border-red-500")}
+                                />
+                                {errors.effectiveFrom
+                                    ? <p className="text-[10px] text-red-500 font-bold">{errors.effectiveFrom}</p>
+                                    : <p className="text-[10px] text-slate-400 font-medium">Work before this date keeps the current rate.</p>}
+                            </div>
+                        )}
+
                         <div className="grid grid-cols-2 gap-4 bg-muted p-4 rounded-xl border border-border">
                             <div className="space-y-1">
                                 <div className="flex items-center gap-1.5 text-[10px] font-bold text-slate-400 uppercase">
                                     <Calculator className="h-3 w-3" />
                                     Per Day Rate
                                 </div>
-                                <div className="text-sm font-bold text-slate-900 dark:text-slate-100">{formatCurrency(formData.perDayCost)}</div>
+                                <div className="text-sm font-bold text-slate-900 dark:text-slate-100">{formatCurrency(formData.perDayCost, formData.currency)}</div>
                             </div>
                             <div className="space-y-1">
                                 <div className="flex items-center gap-1.5 text-[10px] font-bold text-slate-400 uppercase">
                                     <Clock className="h-3 w-3" />
                                     Hourly Rate
                                 </div>
-                                <div className="text-sm font-bold text-slate-900 dark:text-slate-100">{formatCurrency(formData.perHourCost)}</div>
+                                <div className="text-sm font-bold text-slate-900 dark:text-slate-100">{formatCurrency(formData.perHourCost, formData.currency)}</div>
                             </div>
                         </div>
                     </div>
@@ -542,6 +676,21 @@ export default function ResourceCosts() {
                 </DialogContent>
             </Dialog>
 
+            {/* Manager Approval Dialog */}
+            <ChangeRequestDialog change={pendingChange} onClose={() => setPendingChange(null)} />
+
+            <Dialog open={Boolean(timelineCost)} onOpenChange={(open) => !open && setTimelineCost(null)}>
+                <DialogContent className="sm:max-w-lg">
+                    <DialogHeader>
+                        <DialogTitle>Rate Timeline</DialogTitle>
+                        <DialogDescription>
+                            Monthly cost versions of {timelineCost?.resourceName}. Allocations are priced per day at the version in force.
+                        </DialogDescription>
+                    </DialogHeader>
+                    {timelineCost && <RateTimeline cost={timelineCost} />}
+                </DialogContent>
+            </Dialog>
+
             <Dialog open={isDeleteOpen} onOpenChange={setIsDeleteOpen}>
                 <DialogContent className="sm:max-w-[400px] rounded-2xl">
                     <DialogHeader>
@@ -560,3 +709,43 @@ export default function ResourceCosts() {
         </div>
     );
 }
+
+// Rate versions of a tier, newest first, with the change against the previous one
+function RateTimeline({ cost }) {
+    const history = getRateHistory(cost);
+    const maxMonthly = Math.max(...history.map(v => v.monthlyCost), 1);
+    const current = getRateOnDate(cost);
+
+    return (
+        <div className="space-y-3 py-2">
+            {history.map((version, index) => ({ version, previous: history[index - 1] })).reverse().map(({ version, previous }) => {
+                const change = previous ? ((version.monthlyCost - previous.monthlyCost) / previous.monthlyCost) * 100 : null;
+                return (
+                    <div key={version.id} className="space-y-1.5">
+                        <div className="flex items-center justify-between text-xs">
+                            <span className="font-semibold text-slate-700 dark:text-slate-200 tabular-nums">
+                                {version.effectiveFrom || 'Start'} → {version.effectiveTo || 'present'}
+                                {version.id === current?.id && <Badge variant="success" className="ml-2 text-[9px] uppercase">In force</Badge>}
+                            </span>
+                            <span className="font-bold tabular-nums">
+                                {formatCurrency(version.monthlyCost, cost.currency)}
+                                <span className="ml-2 font-medium text-slate-400">{formatCurrency(version.perHourCost, cost.currency)}/hr</span>
+                                {change !== null && (
+                                    <span className={cn("ml-2", change > 0 ? "text-rose-600" : "text-emerald-600")}>
+                                        {change > 0 ? '+' : ''}{change.toFixed(1)}%
+                                    </span>
+                                )}
+                            </span>
+                        </div>
+                        <div className="h-2 rounded-full bg-muted overflow-hidden">
+                            <div
+                                className={cn("h-full rounded-full", version.id === current?.id ? "bg-indigo-500" : "bg-slate-300 dark:bg-slate-600")}
+                                style={{ width: `${(version.monthlyCost / maxMonthly) * 100}%` }}
+                            />
+                        </div>
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
@@ -1,6 +1,8 @@
 import { useState, useMemo } from 'react';
 import { useApp, ACTIONS } from '../../context/AppContext';
 import { formatPercentage } from '../../utils/calculations';
+import { getRoleOptions } from '../../data';
+import { getTemplateRoleLabel, getTaskRole } from '../../utils/projectTemplates';
 import {
     flexRender,
     getCoreRowModel,
@@ -53,6 +55,7 @@ const initialFormState = {
     id: '',
     name: '',
     phaseId: '',
+    role: '',
     estimates: {
         trivial: { days: 1, hours: 1 },
         small: { days: 2, hours: 1 },
@@ -63,6 +66,9 @@ const initialFormState = {
     },
 };
 
+// Select value for a template without a default role
+const NO_ROLE = 'none';
+
 export default function TaskTemplates() {
     const { state, dispatch } = useApp();
     const [isFormOpen, setIsFormOpen] = useState(false);
@@ -83,6 +89,15 @@ export default function TaskTemplates() {
             header: "Task Name",
             cell: ({ row }) => <span className="font-semibold text-slate-800 dark:text-slate-200">{row.getValue("name")}</span>,
         },
+        {
+            accessorKey: "role",
+            header: "Role",
+            cell: ({ row }) => (
+                <span className="text-xs text-slate-500">
+                    {row.original.role ? getTemplateRoleLabel(getTaskRole(row.original)) : '—'}
+                </span>
+            ),
+        },
         {
             header: "Complexity: Trivial",
             columns: [
@@ -479,6 +494,24 @@ export default function TaskTemplates() {
                                     </SelectContent>
                                 </Select>
                             </div>
+                            <div className="space-y-2">
+                                <Label htmlFor="role" className="text-xs font-bold uppercase tracking-tight text-slate-400">Default Role</Label>
+                                <Select
+                                    value={formData.role || NO_ROLE}
+                                    onValueChange={(v) => setFormData({ ...formData, role: v === NO_ROLE ? '' : v })}
+                                >
+                                    <SelectTrigger id="role" className="rounded-lg h-9">
+                                        <SelectValue />
+                                    </SelectTrigger>
+                                    <SelectContent>
+                                        <SelectItem value={NO_ROLE}>No default role</SelectItem>
+                                        {getRoleOptions().map(opt => (
+                                            <SelectItem key={opt.value} value={opt.value}>{opt.label}</SelectItem>
+                                        ))}
+                                    </SelectContent>
+                                </Select>
+                                <p className="text-[10px] text-slate-400">Who this task is assigned to when a project is generated from a template</p>
+                            </div>
                         </div>
 
                         <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-6 px-6">
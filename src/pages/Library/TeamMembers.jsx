@@ -1,7 +1,12 @@
 import { useState, useMemo } from 'react';
 import { Link } from 'react-router-dom';
 import { useApp, ACTIONS } from '../../context/AppContext';
+import { showToast } from '../../utils/toast';
 import { defaultRoleTiers, getRoleOptions, roleHasCostTracking } from '../../data/defaultRoleTiers';
+import { getMemberCalendars, getWeeklyHours, validateWorkCalendars } from '../../utils/workCalendar';
+import WorkCalendarEditor from '../../components/team/WorkCalendarEditor';
+import { validateCostCenterSplits } from '../../utils/costCenterSplits';
+import CostCenterSplitsEditor from '../../components/cost-center/CostCenterSplitsEditor';
 import {
     flexRender,
     getCoreRowModel,
@@ -65,10 +70,12 @@ const emptyMember = {
     costCenterId: '',
     defaultCoaId: '',
     isActive: true,
+    workCalendars: [],
+    costCenterSplits: [], // Default cost center splits for shared-services members
 };
 
 export default function TeamMembers() {
-    const { state, dispatch } = useApp();
+    const { state, dispatch, undo, batch } = useApp();
 
     // Modal states
     const [isFormOpen, setIsFormOpen] = useState(false);
@@ -182,7 +189,18 @@ export default function TeamMembers() {
         {
             accessorKey: "maxHoursPerWeek",
             header: "Cap / Week",
-            cell: ({ row }) => <span className="tabular-nums font-medium text-slate-600">{row.getValue("maxHoursPerWeek")}h</span>,
+            cell: ({ row }) => {
+                const calendars = getMemberCalendars(row.original);
+                if (calendars.length === 0) {
+                    return <span className="tabular-nums font-medium text-slate-600">{row.getValue("maxHoursPerWeek")}h</span>;
+                }
+                return (
+                    <span className="tabular-nums font-medium text-slate-600">
+                        {getWeeklyHours(calendars, new Date())}h
+                        <span className="ml-1 text-[10px] text-indigo-500">calendar</span>
+                    </span>
+                );
+            },
         },
         {
             accessorKey: "isActive",
@@ -263,7 +281,7 @@ export default function TeamMembers() {
 
     // Open edit modal
     const handleEdit = (member) => {
-        setFormData({ ...member });
+        setFormData({ ...member, workCalendars: getMemberCalendars(member) });
         setEditingMember(member);
         setErrors({});
         setIsFormOpen(true);
@@ -299,6 +317,10 @@ export default function TeamMembers() {
         if (!formData.maxHoursPerWeek || formData.maxHoursPerWeek < 1) {
             newErrors.maxHoursPerWeek = 'Max hours must be at least 1';
         }
+        const calendarError = validateWorkCalendars(formData.workCalendars);
+        if (calendarError) newErrors.workCalendars = calendarError;
+        const splitsError = validateCostCenterSplits(formData.costCenterSplits, state.costCenters);
+        if (splitsError) newErrors.costCenterSplits = splitsError;
 
         // Validate cost center assignment (Mandatory per Recommendation 2.1)
         if (!formData.costCenterId) {
@@ -331,6 +353,7 @@ export default function TeamMembers() {
     const handleDeleteConfirm = () => {
         if (memberToDelete) {
             dispatch({ type: ACTIONS.DELETE_MEMBER, payload: memberToDelete.id });
+            showToast.action(`Member "${memberToDelete.name}" deleted`, { label: 'Undo', onClick: undo });
         }
         setIsDeleteOpen(false);
         setMemberToDelete(null);
@@ -361,18 +384,19 @@ export default function TeamMembers() {
                 }
             }
 
-            // Update all selected members
-            selectedMembers.forEach(memberId => {
-                const member = state.members.find(m => m.id === memberId);
-                if (member) {
-                    const updatedMember = {
+            // Update all selected members as one undoable step
+            const updates = state.members
+                .filter(m => selectedMembers.has(m.id))
+                .map(member => ({
+                    type: ACTIONS.UPDATE_MEMBER,
+                    payload: {
                         ...member,
                         costCenterId: assignedCostCenterId,
                         updatedAt: new Date().toISOString(),
-                    };
-                    dispatch({ type: ACTIONS.UPDATE_MEMBER, payload: updatedMember });
-                }
-            });
+                    },
+                }));
+            batch(updates, `Assign cost center to ${updates.length} members`);
+            showToast.action(`Cost center assigned to ${updates.length} members`, { label: 'Undo', onClick: undo });
         } else {
             // COA assignment
             let assignedCoaId = bulkCoaId;
@@ -380,17 +404,18 @@ export default function TeamMembers() {
                 assignedCoaId = '';
             }
 
-            selectedMembers.forEach(memberId => {
-                const member = state.members.find(m => m.id === memberId);
-                if (member) {
-                    const updatedMember = {
+            const updates = state.members
+                .filter(m => selectedMembers.has(m.id))
+                .map(member => ({
+                    type: ACTIONS.UPDATE_MEMBER,
+                    payload: {
                         ...member,
                         defaultCoaId: assignedCoaId,
                         updatedAt: new Date().toISOString(),
-                    };
-                    dispatch({ type: ACTIONS.UPDATE_MEMBER, payload: updatedMember });
-                }
-            });
+                    },
+                }));
+            batch(updates, `Assign COA to ${updates.length} members`);
+            showToast.action(`COA assigned to ${updates.length} members`, { label: 'Undo', onClick: undo });
         }
 
         // Clear selection and close modal
@@ -521,7 +546,7 @@ export default function TeamMembers() {
 
             {/* Add/Edit Dialog */}
             <Dialog open={isFormOpen} onOpenChange={setIsFormOpen}>
-                <DialogContent className="sm:max-w-xl">
+                <DialogContent className="sm:max-w-xl max-h-[90vh] overflow-y-auto">
                     <DialogHeader>
                         <DialogTitle>
                             {editingMember ? 'Edit Team Member' : 'Add Team Member'}
@@ -564,6 +589,15 @@ export default function TeamMembers() {
                                 className="rounded-lg h-9"
                                 placeholder="e.g. 40"
                             />
+                            <p className="text-[10px] text-slate-400">Used for capacity when no working calendar applies</p>
+                        </FormField>
+
+                        <FormField label="Working Calendar">
+                            <WorkCalendarEditor
+                                value={formData.workCalendars}
+                                onChange={(calendars) => handleChange('workCalendars', calendars)}
+                                error={errors.workCalendars}
+                            />
                         </FormField>
 
                         {roleHasCostTracking(formData.type) && (
@@ -610,6 +644,16 @@ export default function TeamMembers() {
                             </Select>
                         </FormField>
 
+                        <FormField label="Cost Center Splits">
+                            <CostCenterSplitsEditor
+                                value={formData.costCenterSplits || []}
+                                onChange={(splits) => handleChange('costCenterSplits', splits)}
+                                costCenters={state.costCenters}
+                                emptyLabel="All cost goes to the member's cost center. Add splits for shared-services members."
+                                error={errors.costCenterSplits}
+                            />
+                        </FormField>
+
                         <FormField label="Default Account (COA)">
                             <Select
                                 value={formData.defaultCoaId || 'no-coa'}
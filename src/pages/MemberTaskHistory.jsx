@@ -6,16 +6,27 @@
 import { useMemo } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useApp } from '../context/AppContext';
-import { formatCurrency } from '../utils/calculations';
+import { formatCurrency, isAllocationForMember } from '../utils/calculations';
 import { differenceInDays, parseISO } from 'date-fns';
+import { getAllocationHours } from '../utils/timesheets';
 import { defaultRoleTiers } from '../data';
+import {
+    BarChart,
+    Bar,
+    XAxis,
+    YAxis,
+    CartesianGrid,
+    Tooltip,
+    Legend,
+    ResponsiveContainer,
+} from 'recharts';
 import './MemberTaskHistory.css';
 
 export default function MemberTaskHistory() {
     const { memberId } = useParams();
     const navigate = useNavigate();
     const { state } = useApp();
-    const { members, allocations, phases, tasks } = state;
+    const { members, allocations, phases, tasks, complexity, timeEntries, timesheets } = state;
 
     // Find the member
     const member = members.find(m => m.id === memberId);
@@ -24,7 +35,7 @@ export default function MemberTaskHistory() {
     const memberAllocations = useMemo(() => {
         if (!member) return [];
         return allocations
-            .filter(a => a.resource === member.name)
+            .filter(a => isAllocationForMember(a, member))
             .sort((a, b) => new Date(b.plan?.taskStart) - new Date(a.plan?.taskStart));
     }, [allocations, member]);
 
@@ -42,6 +53,21 @@ export default function MemberTaskHistory() {
         };
     }, [memberAllocations]);
 
+    // Planned hours (complexity estimate) against hours logged and approved on timesheets
+    const hoursChartData = useMemo(() => {
+        const hoursByAllocation = getAllocationHours(timeEntries, timesheets);
+        return memberAllocations
+            .filter(a => a.status !== 'cancelled')
+            .map(a => ({
+                name: a.activityName,
+                planned: complexity[a.complexity?.toLowerCase()]?.hours || 0,
+                logged: hoursByAllocation.get(a.id)?.logged || 0,
+                approved: hoursByAllocation.get(a.id)?.approved || 0,
+            }))
+            .filter(row => row.planned > 0 || row.logged > 0)
+            .reverse();
+    }, [memberAllocations, complexity, timeEntries, timesheets]);
+
     // Format date helper
     const formatDate = (dateStr) => {
         if (!dateStr) return '—';
@@ -108,6 +134,27 @@ export default function MemberTaskHistory() {
                 </div>
             </div>
 
+            {/* Planned vs Actual Hours */}
+            {hoursChartData.length > 0 && (
+                <section className="history-section">
+                    <h2>Planned vs Actual Hours</h2>
+                    <div style={{ height: 280 }}>
+                        <ResponsiveContainer width="100%" height="100%">
+                            <BarChart data={hoursChartData} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+                                <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                                <XAxis dataKey="name" fontSize={10} tickLine={false} axisLine={false} interval={0} />
+                                <YAxis fontSize={10} tickLine={false} axisLine={false} width={40} unit="h" />
+                                <Tooltip formatter={(value) => `${value}h`} />
+                                <Legend />
+                                <Bar dataKey="planned" name="Planned" fill="#94a3b8" radius={[4, 4, 0, 0]} />
+                                <Bar dataKey="logged" name="Logged" fill="#818cf8" radius={[4, 4, 0, 0]} />
+                                <Bar dataKey="approved" name="Approved" fill="#10b981" radius={[4, 4, 0, 0]} />
+                            </BarChart>
+                        </ResponsiveContainer>
+                    </div>
+                </section>
+            )}
+
             {/* Task History Table */}
             <section className="history-section">
                 <h2>Task History</h2>
@@ -4,14 +4,28 @@
  */
 
 import { useState, useMemo } from 'react';
+import { useSearchParams, Link } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useApp } from '../context/AppContext';
-import { defaultRoleTiers, getTierByRoleAndLevel, getRoleOptions } from '../data';
+import { defaultRoleTiers, getRoleOptions } from '../data';
 import { defaultPhases } from '../data/defaultPhases';
 import { formatCurrency } from '../utils/calculations';
+import {
+    DEFAULT_CONTINGENCY_PERCENT,
+    WORKING_DAYS_PER_MONTH,
+    WORKING_HOURS_PER_DAY,
+    calculateQuote,
+    createQuote,
+    getQuotePhases,
+    getQuoteVersions,
+    validateQuote,
+} from '../utils/quotes';
+import { showToast } from '../utils/toast';
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
 import {
     Select,
     SelectContent,
@@ -39,14 +53,12 @@ import {
     Briefcase,
     ArrowRight,
     UserPlus,
-    PieChart
+    PieChart,
+    Save,
+    FileText
 } from "lucide-react";
 import { cn } from "@/lib/utils";
 
-// Working constants
-const WORKING_HOURS_PER_DAY = 8;
-const WORKING_DAYS_PER_MONTH = 20;
-
 // Animation variants
 const fadeIn = {
     hidden: { opacity: 0, y: 10 },
@@ -62,14 +74,28 @@ const numberAnimation = {
 const generateId = () => `RES-${Date.now().toString(36).toUpperCase()}`;
 
 export default function ProjectCostCalculator() {
-    const { state } = useApp();
+    const { state, dispatch, ACTIONS } = useApp();
     const { complexity: complexitySettings } = state;
+    const [searchParams] = useSearchParams();
+
+    // Quote being revised (opened from the Quotes page with ?quote=ID)
+    const [sourceQuote, setSourceQuote] = useState(
+        () => state.quotes.find(q => q.id === searchParams.get('quote')) || null
+    );
 
     // State
-    const [startPhase, setStartPhase] = useState('2'); // Default: Planning
-    const [selectedComplexity, setSelectedComplexity] = useState('medium');
-    const [resources, setResources] = useState([]);
+    const [startPhase, setStartPhase] = useState(() => sourceQuote?.startPhaseId?.toString() || '2'); // Default: Planning
+    const [selectedComplexity, setSelectedComplexity] = useState(() => sourceQuote?.complexity || 'medium');
+    const [resources, setResources] = useState(() => sourceQuote?.resources || []);
     const [isConfigExpanded, setIsConfigExpanded] = useState(true);
+    const [quoteDetails, setQuoteDetails] = useState(() => ({
+        name: sourceQuote?.name || '',
+        client: sourceQuote?.client || '',
+        demandNumber: sourceQuote?.demandNumber || '',
+        assumptions: sourceQuote?.assumptions || '',
+        contingencyPercent: sourceQuote?.contingencyPercent ?? DEFAULT_CONTINGENCY_PERCENT,
+    }));
+    const [quoteErrors, setQuoteErrors] = useState({});
 
     // Get project phases only (exclude Support and Terminal)
     const projectPhases = useMemo(() => {
@@ -78,18 +104,8 @@ export default function ProjectCostCalculator() {
         ).sort((a, b) => a.sortOrder - b.sortOrder);
     }, []);
 
-    // Calculate phase span
-    const phaseSpan = useMemo(() => {
-        const startIndex = projectPhases.findIndex(p => p.id.toString() === startPhase);
-        if (startIndex === -1) return projectPhases.length;
-        return projectPhases.length - startIndex;
-    }, [startPhase, projectPhases]);
-
     // Get phases covered
-    const phasesCovered = useMemo(() => {
-        const startIndex = projectPhases.findIndex(p => p.id.toString() === startPhase);
-        return projectPhases.slice(startIndex);
-    }, [startPhase, projectPhases]);
+    const phasesCovered = useMemo(() => getQuotePhases(defaultPhases, startPhase), [startPhase]);
 
     // Get complexity data
     const complexityData = useMemo(() => {
@@ -101,44 +117,17 @@ export default function ProjectCostCalculator() {
     }, [selectedComplexity, complexitySettings]);
 
     // Calculate costs
-    const calculations = useMemo(() => {
-        let totalCost = 0;
-        let totalMandays = 0;
-
-        const resourceBreakdown = resources.map(resource => {
-            const tier = getTierByRoleAndLevel(resource.roleType, resource.tierLevel);
-            if (!tier) return null;
-
-            const monthlyCost = tier.midCost;
-            const perHourCost = Math.round(monthlyCost / WORKING_DAYS_PER_MONTH / WORKING_HOURS_PER_DAY);
-            const baseCost = complexityData.hours * perHourCost;
-            const phaseCost = baseCost * phaseSpan;
-            const mandays = (complexityData.hours / WORKING_HOURS_PER_DAY) * phaseSpan;
-
-            totalCost += phaseCost;
-            totalMandays += mandays;
-
-            return {
-                id: resource.id,
-                roleType: resource.roleType,
-                tierLevel: resource.tierLevel,
-                tierName: tier.name,
-                roleName: defaultRoleTiers[resource.roleType]?.name || resource.roleType,
-                monthlyCost,
-                perHourCost,
-                cost: phaseCost,
-                mandays: mandays.toFixed(1)
-            };
-        }).filter(Boolean);
-
-        return {
-            resourceBreakdown,
-            totalCost,
-            totalMandays: totalMandays.toFixed(1),
-            totalDuration: complexityData.days * phaseSpan,
-            phaseSpan
-        };
-    }, [resources, complexityData, phaseSpan]);
+    const calculations = useMemo(() => calculateQuote(
+        {
+            startPhaseId: startPhase,
+            complexity: selectedComplexity,
+            resources,
+            contingencyPercent: quoteDetails.contingencyPercent,
+        },
+        complexitySettings,
+        defaultPhases,
+        { currency: state.settings.currency, exchangeRates: state.exchangeRates }
+    ), [startPhase, selectedComplexity, resources, quoteDetails.contingencyPercent, complexitySettings, state.settings.currency, state.exchangeRates]);
 
     // Handlers
     const addResource = () => {
@@ -159,6 +148,34 @@ export default function ProjectCostCalculator() {
         ));
     };
 
+    const updateQuoteDetail = (field, value) => {
+        setQuoteDetails(prev => ({ ...prev, [field]: value }));
+        setQuoteErrors(prev => ({ ...prev, [field]: null }));
+    };
+
+    // Save the estimate as a new quote, or as the next version of the one being revised
+    const saveQuote = (asNewVersion) => {
+        const details = {
+            ...quoteDetails,
+            startPhaseId: Number(startPhase),
+            complexity: selectedComplexity,
+            resources,
+        };
+        const errors = validateQuote(details);
+        if (Object.keys(errors).length > 0) {
+            setQuoteErrors(errors);
+            if (errors.resources) showToast.error(errors.resources);
+            return;
+        }
+
+        const quote = createQuote(details, calculations, state.quotes, asNewVersion ? sourceQuote : null);
+        dispatch({ type: ACTIONS.ADD_QUOTE, payload: quote });
+        showToast.success(`Saved ${quote.quoteNumber} v${quote.version}`);
+        setSourceQuote(quote);
+    };
+
+    const latestVersion = sourceQuote ? getQuoteVersions(state.quotes, sourceQuote.quoteNumber)[0]?.version : null;
+
     // Get tier options
     const getTierOptions = (roleType) => {
         const role = defaultRoleTiers[roleType];
@@ -226,7 +243,7 @@ export default function ProjectCostCalculator() {
                             {formatCurrency(calculations.totalCost)}
                         </div>
                         <div className="flex items-center gap-2 text-xs font-bold text-indigo-100/80 bg-white/5 w-fit px-3 py-1.5 rounded-lg border border-white/10">
-                            {resources.length} resource{resources.length > 1 ? 's' : ''} • {calculations.phaseSpan} phase{calculations.phaseSpan > 1 ? 's' : ''}
+                            {resources.length} resource{resources.length > 1 ? 's' : ''} • {calculations.phaseSpan} phase{calculations.phaseSpan > 1 ? 's' : ''} • +{Number(quoteDetails.contingencyPercent) || 0}% contingency
                         </div>
                     </div>
                 </motion.div>
@@ -243,10 +260,10 @@ export default function ProjectCostCalculator() {
                             <span className="text-[10px] font-black uppercase tracking-widest">Total Project Effort</span>
                         </div>
                         <div className="text-4xl md:text-5xl font-black tracking-tighter mb-4">
-                            {calculations.totalMandays} <span className="text-xl md:text-2xl opacity-60">Mandays</span>
+                            {calculations.totalMandays.toFixed(1)} <span className="text-xl md:text-2xl opacity-60">Mandays</span>
                         </div>
                         <div className="flex items-center gap-2 text-xs font-bold text-emerald-100/80 bg-white/5 w-fit px-3 py-1.5 rounded-lg border border-white/10">
-                            ~{Math.ceil(parseFloat(calculations.totalMandays) / WORKING_DAYS_PER_MONTH)} month{Math.ceil(parseFloat(calculations.totalMandays) / WORKING_DAYS_PER_MONTH) > 1 ? 's' : ''} duration
+                            ~{Math.ceil(calculations.totalMandays / WORKING_DAYS_PER_MONTH)} month{Math.ceil(calculations.totalMandays / WORKING_DAYS_PER_MONTH) > 1 ? 's' : ''} duration
                         </div>
                     </div>
                 </motion.div>
@@ -327,6 +344,86 @@ export default function ProjectCostCalculator() {
                         </div>
                     </div>
 
+                    <div className="bg-card rounded-2xl border border-border shadow-xl overflow-hidden">
+                        <div className="p-6 border-b border-border bg-muted/10 flex items-center justify-between gap-2">
+                            <h3 className="font-black uppercase tracking-widest text-[10px] text-muted-foreground">Quote</h3>
+                            {sourceQuote && (
+                                <Link to="/quotes">
+                                    <Badge variant="secondary" className="text-[10px]">{sourceQuote.quoteNumber} v{sourceQuote.version}</Badge>
+                                </Link>
+                            )}
+                        </div>
+                        <div className="p-6 space-y-4">
+                            <div className="space-y-2">
+                                <Label htmlFor="quote-name" className="text-[9px] font-black uppercase tracking-widest text-muted-foreground ml-1">Name</Label>
+                                <Input
+                                    id="quote-name"
+                                    value={quoteDetails.name}
+                                    onChange={(e) => updateQuoteDetail('name', e.target.value)}
+                                    className={cn("rounded-xl", quoteErrors.name && "border-red-500")}
+                                />
+                                {quoteErrors.name && <p className="text-[10px] font-bold text-red-500 ml-1">{quoteErrors.name}</p>}
+                            </div>
+                            <div className="grid grid-cols-2 gap-3">
+                                <div className="space-y-2">
+                                    <Label htmlFor="quote-client" className="text-[9px] font-black uppercase tracking-widest text-muted-foreground ml-1">Client</Label>
+                                    <Input
+                                        id="quote-client"
+                                        value={quoteDetails.client}
+                                        onChange={(e) => updateQuoteDetail('client', e.target.value)}
+                                        className="rounded-xl"
+                                    />
+                                </div>
+                                <div className="space-y-2">
+                                    <Label htmlFor="quote-demand" className="text-[9px] font-black uppercase tracking-widest text-muted-foreground ml-1">Demand #</Label>
+                                    <Input
+                                        id="quote-demand"
+                                        value={quoteDetails.demandNumber}
+                                        onChange={(e) => updateQuoteDetail('demandNumber', e.target.value)}
+                                        className="rounded-xl"
+                                    />
+                                </div>
+                            </div>
+                            <div className="space-y-2">
+                                <Label htmlFor="quote-contingency" className="text-[9px] font-black uppercase tracking-widest text-muted-foreground ml-1">Contingency %</Label>
+                                <Input
+                                    id="quote-contingency"
+                                    type="number"
+                                    min={0}
+                                    max={100}
+                                    value={quoteDetails.contingencyPercent}
+                                    onChange={(e) => updateQuoteDetail('contingencyPercent', e.target.value === '' ? 0 : Number(e.target.value))}
+                                    className={cn("rounded-xl", quoteErrors.contingencyPercent && "border-red-500")}
+                                />
+                                <p className="text-[10px] font-bold text-muted-foreground ml-1">
+                                    +{formatCurrency(calculations.contingencyCost)} · +{calculations.bufferDays} buffer days
+                                </p>
+                                {quoteErrors.contingencyPercent && <p className="text-[10px] font-bold text-red-500 ml-1">{quoteErrors.contingencyPercent}</p>}
+                            </div>
+                            <div className="space-y-2">
+                                <Label htmlFor="quote-assumptions" className="text-[9px] font-black uppercase tracking-widest text-muted-foreground ml-1">Assumptions</Label>
+                                <Textarea
+                                    id="quote-assumptions"
+                                    rows={3}
+                                    value={quoteDetails.assumptions}
+                                    onChange={(e) => updateQuoteDetail('assumptions', e.target.value)}
+                                />
+                            </div>
+                            <div className="flex flex-col gap-2">
+                                {sourceQuote && (
+                                    <Button className="gap-2 rounded-xl" onClick={() => saveQuote(true)}>
+                                        <Save className="h-4 w-4" />
+                                        Save as {sourceQuote.quoteNumber} v{latestVersion + 1}
+                                    </Button>
+                                )}
+                                <Button variant={sourceQuote ? 'outline' : 'default'} className="gap-2 rounded-xl" onClick={() => saveQuote(false)}>
+                                    <FileText className="h-4 w-4" />
+                                    Save as New Quote
+                                </Button>
+                            </div>
+                        </div>
+                    </div>
+
                     <div className="bg-indigo-600/5 border border-indigo-500/20 rounded-2xl p-6">
                         <p className="text-[10px] font-bold text-indigo-400 uppercase tracking-widest mb-2">Note</p>
                         <p className="text-xs text-muted-foreground leading-relaxed leading-5">
@@ -376,7 +473,7 @@ export default function ProjectCostCalculator() {
                                     </TableHeader>
                                     <TableBody>
                                         <AnimatePresence mode="popLayout">
-                                            {calculations.resourceBreakdown.map((item, index) => (
+                                            {calculations.breakdown.map((item, index) => (
                                                 <TableRow
                                                     key={item.id}
                                                     className="border-border/40 hover:bg-muted/5 transition-colors group"
@@ -444,7 +541,13 @@ export default function ProjectCostCalculator() {
                                 <div className="text-right">
                                     <p className="text-[9px] font-black uppercase tracking-widest text-muted-foreground mb-1">Combined Effort</p>
                                     <p className="text-xl font-black text-emerald-500 tabular-nums tracking-tight">
-                                        {calculations.totalMandays} <span className="text-[10px] opacity-60">DAYS</span>
+                                        {calculations.totalMandays.toFixed(1)} <span className="text-[10px] opacity-60">DAYS</span>
+                                    </p>
+                                </div>
+                                <div className="text-right">
+                                    <p className="text-[9px] font-black uppercase tracking-widest text-muted-foreground mb-1">Contingency</p>
+                                    <p className="text-xl font-black text-amber-500 tabular-nums tracking-tight">
+                                        {formatCurrency(calculations.contingencyCost)}
                                     </p>
                                 </div>
                                 <div className="text-right">
@@ -467,7 +570,7 @@ export default function ProjectCostCalculator() {
                                 <h3 className="font-black uppercase tracking-widest text-[10px]">Resource Contribution</h3>
                             </div>
                             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                                {calculations.resourceBreakdown.map((item, index) => (
+                                {calculations.breakdown.map((item, index) => (
                                     <div key={item.id} className="p-4 bg-muted/10 rounded-xl border border-border/40 flex justify-between items-center group hover:border-indigo-500/30 transition-all">
                                         <div>
                                             <p className="text-xs font-black text-slate-100 uppercase tracking-widest mb-1">{item.roleName}</p>
@@ -475,7 +578,7 @@ export default function ProjectCostCalculator() {
                                         </div>
                                         <div className="text-right">
                                             <p className="text-sm font-black text-indigo-400 tabular-nums">{formatCurrency(item.cost)}</p>
-                                            <p className="text-[9px] font-bold text-muted-foreground opacity-60 italic">{item.mandays} days</p>
+                                            <p className="text-[9px] font-bold text-muted-foreground opacity-60 italic">{item.mandays.toFixed(1)} days</p>
                                         </div>
                                     </div>
                                 ))}
@@ -0,0 +1,319 @@
+/**
+ * Project Detail Page
+ * One project's allocations, cost against budget, timeline and health
+ */
+
+import { useState, useMemo } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { format, parseISO, addDays, subDays, eachDayOfInterval, differenceInDays } from 'date-fns';
+import { useApp } from '../context/AppContext';
+import { formatCurrency, isAllocationForMember } from '../utils/calculations';
+import { getPercentComplete } from '../utils/evm';
+import { getPlaceholderLabel, isPlaceholderAllocation } from '../utils/quotes';
+import {
+    getProjectAllocations,
+    getProjectHealth,
+    projectHealthOptions,
+    projectPriorityOptions,
+    projectStatusOptions,
+} from '../utils/projects';
+import ProjectFormDialog from '../components/project/ProjectFormDialog';
+import { Timeline } from '@/components/ui/timeline-v2';
+import { TooltipProvider } from "@/components/ui/tooltip";
+import { EmptyState } from "@/components/ui/empty-state";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Progress } from "@/components/ui/progress";
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "@/components/ui/select";
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableHeader,
+    TableRow,
+} from "@/components/ui/table";
+import { ArrowLeft, Edit2, FolderKanban, CalendarDays, AlertTriangle, CheckCircle } from "lucide-react";
+import { cn } from "@/lib/utils";
+
+const formatDate = (date) => (date ? format(parseISO(date), 'MMM d, yyyy') : '—');
+const formatIndex = (value) => (value === null ? '—' : value.toFixed(2));
+
+// Days of padding around the project on the timeline
+const TIMELINE_PADDING = 3;
+
+export default function ProjectDetail() {
+    const { id } = useParams();
+    const navigate = useNavigate();
+    const { state, dispatch, ACTIONS } = useApp();
+    const [isFormOpen, setIsFormOpen] = useState(false);
+
+    const { projects, allocations, members, costCenters, holidays, settings, exchangeRates } = state;
+    const project = projects.find(p => p.id === id);
+
+    const projectAllocations = useMemo(
+        () => getProjectAllocations(allocations, id)
+            .sort((a, b) => (a.plan?.taskStart || '').localeCompare(b.plan?.taskStart || '')),
+        [allocations, id]
+    );
+
+    const health = useMemo(
+        () => (project ? getProjectHealth(project, allocations, new Date(), { currency: settings.currency, exchangeRates }) : null),
+        [project, allocations, settings.currency, exchangeRates]
+    );
+
+    // Members working on the project, and the project's date span for the timeline
+    const timelineMembers = useMemo(
+        () => members.filter(m => projectAllocations.some(a => isAllocationForMember(a, m))),
+        [members, projectAllocations]
+    );
+
+    const dateRange = useMemo(() => {
+        const dates = projectAllocations
+            .flatMap(a => [a.plan?.taskStart, a.plan?.taskEnd])
+            .filter(Boolean)
+            .sort();
+        if (dates.length === 0) return [];
+        return eachDayOfInterval({
+            start: subDays(parseISO(dates[0]), TIMELINE_PADDING),
+            end: addDays(parseISO(dates[dates.length - 1]), TIMELINE_PADDING),
+        });
+    }, [projectAllocations]);
+
+    if (!project) {
+        return (
+            <Card>
+                <EmptyState
+                    icon={FolderKanban}
+                    title="Project not found"
+                    description="It may have been deleted."
+                    action={{ label: 'Back to Projects', icon: ArrowLeft, onClick: () => navigate('/library/projects') }}
+                />
+            </Card>
+        );
+    }
+
+    // Bind a quote placeholder to a member; recalculation then prices it at the member's rate
+    const assignPlaceholder = (allocation, memberId) => {
+        const member = members.find(m => m.id === memberId);
+        dispatch({ type: ACTIONS.UPDATE_ALLOCATION, payload: { ...allocation, resourceId: member.id, resource: member.name } });
+    };
+
+    const status = projectStatusOptions.find(o => o.value === project.status);
+    const healthOption = projectHealthOptions.find(o => o.value === health.status);
+    const budgetUsed = health.budget > 0 ? (health.plannedCost / health.budget) * 100 : 0;
+    const owner = members.find(m => m.id === project.ownerId);
+    const sponsor = costCenters.find(cc => cc.id === project.sponsorCostCenterId);
+
+    const summary = [
+        { label: 'Budget', value: formatCurrency(health.budget) },
+        { label: 'Planned Cost', value: formatCurrency(health.plannedCost), className: budgetUsed > 100 && "text-rose-600" },
+        { label: 'Actual Cost', value: formatCurrency(health.actualCost) },
+        { label: 'Estimate at Completion', value: formatCurrency(health.eac) },
+        { label: 'Complete', value: `${health.percentComplete.toFixed(0)}%` },
+        { label: 'SPI / CPI', value: `${formatIndex(health.spi)} / ${formatIndex(health.cpi)}` },
+        { label: 'Planned Finish', value: formatDate(health.plannedFinish), className: project.targetDate && health.plannedFinish > project.targetDate && "text-rose-600" },
+        { label: 'Target Date', value: formatDate(project.targetDate) },
+    ];
+
+    const cellWidth = dateRange.length > 120 ? 20 : 40;
+    const placeholderCount = projectAllocations.filter(isPlaceholderAllocation).length;
+
+    return (
+        <div className="space-y-6">
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+                <div className="flex items-center gap-3">
+                    <Button variant="ghost" size="icon" onClick={() => navigate('/library/projects')}>
+                        <ArrowLeft className="h-4 w-4" />
+                    </Button>
+                    <div>
+                        <div className="flex items-center gap-2">
+                            <h2 className="text-2xl font-bold tracking-tight">{project.name}</h2>
+                            <Badge variant={status?.variant || 'secondary'} className="text-[10px] uppercase">{status?.label || project.status}</Badge>
+                            <Badge variant={healthOption.variant} className="text-[10px] uppercase">{healthOption.label}</Badge>
+                        </div>
+                        <p className="text-sm text-muted-foreground">
+                            {project.code}
+                            {` · ${projectPriorityOptions.find(o => o.value === project.priority)?.label || 'No'} priority`}
+                            {owner && ` · Owner ${owner.name}`}
+                            {sponsor && ` · Sponsor ${sponsor.name}`}
+                        </p>
+                    </div>
+                </div>
+                <Button variant="outline" className="gap-2" onClick={() => setIsFormOpen(true)}>
+                    <Edit2 className="h-4 w-4" />
+                    Edit Project
+                </Button>
+            </div>
+
+            {project.description && <p className="text-sm text-muted-foreground">{project.description}</p>}
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                <Card className="lg:col-span-2">
+                    <CardHeader>
+                        <CardTitle>Cost</CardTitle>
+                        <CardDescription>
+                            {health.budget > 0
+                                ? `Planned cost uses ${budgetUsed.toFixed(0)}% of the budget`
+                                : 'No budget set'}
+                            {project.currency && project.currency !== settings.currency && ` · budget set as ${formatCurrency(project.budget, project.currency)}`}
+                        </CardDescription>
+                    </CardHeader>
+                    <CardContent className="space-y-6">
+                        {health.budget > 0 && (
+                            <Progress
+                                value={Math.min(100, budgetUsed)}
+                                className={cn("h-2", budgetUsed > 100 && "[&>div]:bg-rose-500")}
+                            />
+                        )}
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                            {summary.map(item => (
+                                <div key={item.label}>
+                                    <p className="text-[10px] font-bold text-muted-foreground uppercase mb-1">{item.label}</p>
+                                    <p className={cn("text-lg font-black", item.className)}>{item.value}</p>
+                                </div>
+                            ))}
+                        </div>
+                    </CardContent>
+                </Card>
+
+                <Card>
+                    <CardHeader>
+                        <CardTitle>Health</CardTitle>
+                        <CardDescription>Budget, target date and earned value checks</CardDescription>
+                    </CardHeader>
+                    <CardContent className="space-y-2">
+                        {health.issues.length === 0 ? (
+                            <div className="flex items-center gap-2 text-sm text-emerald-600">
+                                <CheckCircle className="h-4 w-4" />
+                                No issues found
+                            </div>
+                        ) : health.issues.map(issue => (
+                            <div
+                                key={issue.message}
+                                className={cn(
+                                    "flex items-center gap-2 p-2 rounded-lg text-xs border",
+                                    issue.level === 'off-track'
+                                        ? "bg-rose-50 border-rose-200 text-rose-700"
+                                        : "bg-amber-50 border-amber-200 text-amber-700"
+                                )}
+                            >
+                                <AlertTriangle className="h-4 w-4 shrink-0" />
+                                {issue.message}
+                            </div>
+                        ))}
+                    </CardContent>
+                </Card>
+            </div>
+
+            <Card>
+                <CardHeader>
+                    <CardTitle className="flex items-center gap-2">
+                        <CalendarDays className="h-5 w-5 text-primary" />
+                        Timeline
+                    </CardTitle>
+                    <CardDescription>Planned allocations by team member; drag a bar to reschedule it</CardDescription>
+                </CardHeader>
+                <CardContent>
+                    {dateRange.length === 0 ? (
+                        <p className="text-sm text-muted-foreground">No scheduled allocations yet.</p>
+                    ) : (
+                        <TooltipProvider>
+                            <div className="h-96 rounded-xl border border-border overflow-hidden">
+                                <Timeline
+                                    resources={timelineMembers}
+                                    tasks={projectAllocations}
+                                    dateRange={dateRange}
+                                    cellWidth={cellWidth}
+                                    rowHeight={48}
+                                    holidays={holidays}
+                                    onTaskUpdate={(task) => dispatch({ type: ACTIONS.UPDATE_ALLOCATION, payload: task })}
+                                />
+                            </div>
+                        </TooltipProvider>
+                    )}
+                </CardContent>
+            </Card>
+
+            <Card>
+                <CardHeader>
+                    <CardTitle>Allocations</CardTitle>
+                    <CardDescription>
+                        {projectAllocations.length} allocations assigned to {project.code}
+                        {placeholderCount > 0 && ` · ${placeholderCount} quoted role${placeholderCount === 1 ? '' : 's'} still to assign`}
+                    </CardDescription>
+                </CardHeader>
+                <CardContent>
+                    {projectAllocations.length === 0 ? (
+                        <p className="text-sm text-muted-foreground">
+                            Assign allocations to this project from <Link to="/allocation" className="text-primary hover:underline">Resource Allocation</Link>.
+                        </p>
+                    ) : (
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>Activity</TableHead>
+                                    <TableHead>Resource</TableHead>
+                                    <TableHead>Task</TableHead>
+                                    <TableHead>Status</TableHead>
+                                    <TableHead>Start</TableHead>
+                                    <TableHead>End</TableHead>
+                                    <TableHead className="text-right">Days</TableHead>
+                                    <TableHead className="text-right">Complete</TableHead>
+                                    <TableHead className="text-right">Planned Cost</TableHead>
+                                    <TableHead className="text-right">Actual Cost</TableHead>
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {projectAllocations.map(a => (
+                                    <TableRow key={a.id} className={cn(a.status === 'cancelled' && "opacity-50")}>
+                                        <TableCell className="font-medium">{a.activityName}</TableCell>
+                                        <TableCell>
+                                            {isPlaceholderAllocation(a) ? (
+                                                <Select value="" onValueChange={(memberId) => assignPlaceholder(a, memberId)}>
+                                                    <SelectTrigger className="h-8 w-48 text-xs border-dashed">
+                                                        <SelectValue placeholder={getPlaceholderLabel(a)} />
+                                                    </SelectTrigger>
+                                                    <SelectContent>
+                                                        {members.filter(m => m.isActive).map(m => (
+                                                            <SelectItem key={m.id} value={m.id} className="text-xs">
+                                                                {m.name}{m.type === a.placeholderRole ? '' : ` (${m.type})`}
+                                                            </SelectItem>
+                                                        ))}
+                                                    </SelectContent>
+                                                </Select>
+                                            ) : a.resourceId ? (
+                                                <Link to={`/member/${a.resourceId}`} className="hover:text-primary hover:underline">{a.resource}</Link>
+                                            ) : a.resource || '—'}
+                                        </TableCell>
+                                        <TableCell className="text-xs text-muted-foreground">{a.taskName || '—'}</TableCell>
+                                        <TableCell className="text-xs capitalize">{a.status || '—'}</TableCell>
+                                        <TableCell className="text-xs">{formatDate(a.plan?.taskStart)}</TableCell>
+                                        <TableCell className="text-xs">{formatDate(a.plan?.taskEnd)}</TableCell>
+                                        <TableCell className="text-right tabular-nums">
+                                            {a.plan?.taskStart && a.plan?.taskEnd
+                                                ? differenceInDays(parseISO(a.plan.taskEnd), parseISO(a.plan.taskStart)) + 1
+                                                : '—'}
+                                        </TableCell>
+                                        <TableCell className="text-right tabular-nums">{getPercentComplete(a)}%</TableCell>
+                                        <TableCell className="text-right tabular-nums">{formatCurrency(a.plan?.costProject || 0)}</TableCell>
+                                        <TableCell className="text-right tabular-nums">{formatCurrency(a.actual?.costProject || 0)}</TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    )}
+                </CardContent>
+            </Card>
+
+            <ProjectFormDialog open={isFormOpen} onOpenChange={setIsFormOpen} project={project} />
+        </div>
+    );
+}
@@ -0,0 +1,392 @@
+/**
+ * Quotes Page
+ * Saved cost estimates by version: status, side-by-side comparison, export
+ * and conversion of an accepted quote into a project
+ */
+
+import { useState, useMemo } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import { format, parseISO } from 'date-fns';
+import { useApp } from '../context/AppContext';
+import { formatCurrency } from '../utils/calculations';
+import { exportToCsv, exportToJson } from '../utils/export';
+import { generateId } from '../utils/storage';
+import { validateProject } from '../utils/projects';
+import {
+    QUOTE_STATUS,
+    compareQuotes,
+    createProjectFromQuote,
+    getQuoteExportRows,
+    quoteStatusOptions,
+} from '../utils/quotes';
+import { showToast } from '../utils/toast';
+import { PageHeader } from "@/components/ui/page-header";
+import { EmptyState } from "@/components/ui/empty-state";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Checkbox } from "@/components/ui/checkbox";
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "@/components/ui/select";
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogFooter,
+    DialogHeader,
+    DialogTitle,
+} from "@/components/ui/dialog";
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableHeader,
+    TableRow,
+} from "@/components/ui/table";
+import { FileText, Calculator, Download, Edit2, Trash2, FolderPlus, FileJson } from "lucide-react";
+import { cn } from "@/lib/utils";
+
+// Quotes that can be compared side by side
+const COMPARE_LIMIT = 2;
+
+const formatDate = (date) => (date ? format(parseISO(date), 'MMM d, yyyy') : '—');
+
+const formatSigned = (value, formatter = (v) => v) => {
+    if (!value) return '—';
+    return `${value > 0 ? '+' : ''}${formatter(value)}`;
+};
+
+export default function Quotes() {
+    const { state, dispatch, ACTIONS, undo, batch } = useApp();
+    const navigate = useNavigate();
+    const [compareIds, setCompareIds] = useState([]);
+    const [convertingQuote, setConvertingQuote] = useState(null);
+
+    const { quotes, projects } = state;
+
+    // Newest quote first, versions newest first within a quote
+    const rows = useMemo(() => [...quotes].sort((a, b) =>
+        b.quoteNumber.localeCompare(a.quoteNumber) || b.version - a.version
+    ), [quotes]);
+
+    const compared = compareIds.map(id => quotes.find(q => q.id === id)).filter(Boolean);
+    const comparison = compared.length === COMPARE_LIMIT ? compareQuotes(compared[0], compared[1], state.exchangeRates) : null;
+
+    const toggleCompare = (id, checked) => {
+        setCompareIds(prev => (checked ? [...prev, id].slice(-COMPARE_LIMIT) : prev.filter(x => x !== id)));
+    };
+
+    const handleStatusChange = (quote, status) => {
+        dispatch({ type: ACTIONS.UPDATE_QUOTE, payload: { id: quote.id, status } });
+    };
+
+    const handleDelete = (quote) => {
+        dispatch({ type: ACTIONS.DELETE_QUOTE, payload: quote.id });
+        setCompareIds(prev => prev.filter(id => id !== quote.id));
+        showToast.action(`${quote.quoteNumber} v${quote.version} deleted`, { label: 'Undo', onClick: undo });
+    };
+
+    const handleExport = () => {
+        const selected = compared.length > 0 ? compared : rows;
+        exportToCsv(getQuoteExportRows(selected), `quotes-${format(new Date(), 'yyyy-MM-dd')}.csv`);
+    };
+
+    const handleConvert = (details) => {
+        const { project, allocations } = createProjectFromQuote(convertingQuote, { ...details, id: generateId('PRJ') });
+        batch([
+            { type: ACTIONS.ADD_PROJECT, payload: project },
+            ...allocations.map(allocation => ({ type: ACTIONS.ADD_ALLOCATION, payload: allocation })),
+            { type: ACTIONS.UPDATE_QUOTE, payload: { id: convertingQuote.id, projectId: project.id } },
+        ], `Convert ${convertingQuote.quoteNumber} to project`);
+
+        showToast.success(`Project ${project.code} created with ${allocations.length} placeholder allocations`);
+        setConvertingQuote(null);
+        navigate(`/projects/${project.id}`);
+    };
+
+    return (
+        <div className="space-y-6">
+            <PageHeader
+                title="Quotes"
+                description="Saved cost estimates, their versions and the projects they became"
+                actions={
+                    <div className="flex gap-2">
+                        <Button variant="outline" className="gap-2" onClick={handleExport} disabled={rows.length === 0}>
+                            <Download className="h-4 w-4" />
+                            {compared.length > 0 ? 'Export Selected' : 'Export CSV'}
+                        </Button>
+                        <Button className="gap-2" onClick={() => navigate('/cost-calculator')}>
+                            <Calculator className="h-4 w-4" />
+                            New Estimate
+                        </Button>
+                    </div>
+                }
+            />
+
+            {rows.length === 0 ? (
+                <Card>
+                    <EmptyState
+                        icon={FileText}
+                        title="No quotes yet"
+                        description="Build an estimate in the Cost Calculator and save it as a quote."
+                        action={{ label: 'Open Cost Calculator', icon: Calculator, onClick: () => navigate('/cost-calculator') }}
+                    />
+                </Card>
+            ) : (
+                <Card>
+                    <CardContent className="p-4">
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead className="w-10" />
+                                    <TableHead>Quote</TableHead>
+                                    <TableHead>Client</TableHead>
+                                    <TableHead>Status</TableHead>
+                                    <TableHead>Scope</TableHead>
+                                    <TableHead className="text-right">Mandays</TableHead>
+                                    <TableHead className="text-right">Duration</TableHead>
+                                    <TableHead className="text-right">Total</TableHead>
+                                    <TableHead>Project</TableHead>
+                                    <TableHead />
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {rows.map((quote, index) => {
+                                    const isLatest = rows[index - 1]?.quoteNumber !== quote.quoteNumber;
+                                    const project = projects.find(p => p.id === quote.projectId);
+                                    return (
+                                        <TableRow key={quote.id} className={cn(!isLatest && "opacity-60")}>
+                                            <TableCell>
+                                                <Checkbox
+                                                    checked={compareIds.includes(quote.id)}
+                                                    onCheckedChange={(checked) => toggleCompare(quote.id, checked === true)}
+                                                    aria-label={`Compare ${quote.quoteNumber} v${quote.version}`}
+                                                />
+                                            </TableCell>
+                                            <TableCell>
+                                                <div className="font-bold tabular-nums">
+                                                    {quote.quoteNumber} <span className="text-muted-foreground font-medium">v{quote.version}</span>
+                                                </div>
+                                                <div className="text-xs text-muted-foreground">{quote.name} · {formatDate(quote.createdAt)}</div>
+                                            </TableCell>
+                                            <TableCell className="text-sm">
+                                                {quote.client || '—'}
+                                                {quote.demandNumber && <div className="text-xs text-muted-foreground">{quote.demandNumber}</div>}
+                                            </TableCell>
+                                            <TableCell>
+                                                <Select
+                                                    value={quote.status}
+                                                    onValueChange={(v) => handleStatusChange(quote, v)}
+                                                    disabled={Boolean(project)}
+                                                >
+                                                    <SelectTrigger className="h-8 w-32"><SelectValue /></SelectTrigger>
+                                                    <SelectContent>
+                                                        {quoteStatusOptions.map(opt => <SelectItem key={opt.value} value={opt.value}>{opt.label}</SelectItem>)}
+                                                    </SelectContent>
+                                                </Select>
+                                            </TableCell>
+                                            <TableCell className="text-xs text-muted-foreground">
+                                                <span className="capitalize">{quote.complexity}</span> · {quote.summary.phaseSpan} phases · {quote.summary.breakdown.length} resources
+                                            </TableCell>
+                                            <TableCell className="text-right tabular-nums">{quote.summary.totalMandays.toFixed(1)}</TableCell>
+                                            <TableCell className="text-right tabular-nums">{quote.summary.totalDays}d</TableCell>
+                                            <TableCell className="text-right tabular-nums font-bold">{formatCurrency(quote.summary.totalCost, quote.summary.currency)}</TableCell>
+                                            <TableCell className="text-sm">
+                                                {project
+                                                    ? <Link to={`/projects/${project.id}`} className="text-primary hover:underline">{project.code}</Link>
+                                                    : '—'}
+                                            </TableCell>
+                                            <TableCell className="text-right whitespace-nowrap">
+                                                {quote.status === QUOTE_STATUS.ACCEPTED && !project && (
+                                                    <Button variant="ghost" size="icon" className="h-8 w-8 text-emerald-600" title="Convert to project" onClick={() => setConvertingQuote(quote)}>
+                                                        <FolderPlus className="h-4 w-4" />
+                                                    </Button>
+                                                )}
+                                                <Button variant="ghost" size="icon" className="h-8 w-8" title="Revise in calculator" onClick={() => navigate(`/cost-calculator?quote=${quote.id}`)}>
+                                                    <Edit2 className="h-4 w-4" />
+                                                </Button>
+                                                <Button variant="ghost" size="icon" className="h-8 w-8" title="Export JSON" onClick={() => exportToJson(quote, `${quote.quoteNumber}-v${quote.version}.json`)}>
+                                                    <FileJson className="h-4 w-4" />
+                                                </Button>
+                                                <Button variant="ghost" size="icon" className="h-8 w-8 text-rose-500" title="Delete" onClick={() => handleDelete(quote)}>
+                                                    <Trash2 className="h-4 w-4" />
+                                                </Button>
+                                            </TableCell>
+                                        </TableRow>
+                                    );
+                                })}
+                            </TableBody>
+                        </Table>
+                        <p className="text-xs text-muted-foreground mt-3">
+                            Select two versions to compare them. Older versions of a quote are dimmed.
+                        </p>
+                    </CardContent>
+                </Card>
+            )}
+
+            {comparison && (
+                <Card>
+                    <CardHeader>
+                        <CardTitle>Comparison</CardTitle>
+                        <CardDescription>
+                            {compared[0].quoteNumber} v{compared[0].version} against {compared[1].quoteNumber} v{compared[1].version}
+                        </CardDescription>
+                    </CardHeader>
+                    <CardContent>
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead />
+                                    <TableHead className="text-right">{compared[0].quoteNumber} v{compared[0].version}</TableHead>
+                                    <TableHead className="text-right">{compared[1].quoteNumber} v{compared[1].version}</TableHead>
+                                    <TableHead className="text-right">Change</TableHead>
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {comparison.totals.map(row => {
+                                    const isCost = row.key.endsWith('Cost');
+                                    const formatter = isCost ? (v) => formatCurrency(v, comparison.currency) : (v) => Number(v.toFixed(1));
+                                    return (
+                                        <TableRow key={row.key}>
+                                            <TableCell className="font-medium">{row.label}</TableCell>
+                                            <TableCell className="text-right tabular-nums">{formatter(row.a)}</TableCell>
+                                            <TableCell className="text-right tabular-nums">{formatter(row.b)}</TableCell>
+                                            <TableCell className={cn("text-right tabular-nums font-bold", row.delta > 0 ? "text-rose-600" : row.delta < 0 && "text-emerald-600")}>
+                                                {formatSigned(row.delta, formatter)}
+                                            </TableCell>
+                                        </TableRow>
+                                    );
+                                })}
+                                {comparison.resources.map(row => (
+                                    <TableRow key={row.label}>
+                                        <TableCell className="text-xs text-muted-foreground pl-6">{row.label}</TableCell>
+                                        <TableCell className="text-right text-xs tabular-nums">{row.a ? formatCurrency(row.a, comparison.currency) : '—'}</TableCell>
+                                        <TableCell className="text-right text-xs tabular-nums">{row.b ? formatCurrency(row.b, comparison.currency) : '—'}</TableCell>
+                                        <TableCell className={cn("text-right text-xs tabular-nums", row.delta > 0 ? "text-rose-600" : row.delta < 0 && "text-emerald-600")}>
+                                            {formatSigned(row.delta, (v) => formatCurrency(v, comparison.currency))}
+                                        </TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                        {compared.some(q => q.assumptions) && (
+                            <div className="grid grid-cols-2 gap-4 mt-4">
+                                {compared.map(q => (
+                                    <div key={q.id} className="p-3 rounded-lg border border-border text-xs whitespace-pre-line">
+                                        <p className="font-bold mb-1">Assumptions · v{q.version}</p>
+                                        {q.assumptions || '—'}
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </CardContent>
+                </Card>
+            )}
+
+            <Dialog open={Boolean(convertingQuote)} onOpenChange={(open) => !open && setConvertingQuote(null)}>
+                <DialogContent className="sm:max-w-lg">
+                    {convertingQuote && (
+                        <ConvertQuoteForm
+                            quote={convertingQuote}
+                            projects={projects}
+                            onCancel={() => setConvertingQuote(null)}
+                            onConvert={handleConvert}
+                        />
+                    )}
+                </DialogContent>
+            </Dialog>
+        </div>
+    );
+}
+
+function ConvertQuoteForm({ quote, projects, onCancel, onConvert }) {
+    const [formData, setFormData] = useState(() => ({
+        code: quote.demandNumber || quote.quoteNumber,
+        name: quote.name,
+        startDate: format(new Date(), 'yyyy-MM-dd'),
+    }));
+    const [errors, setErrors] = useState({});
+
+    const handleChange = (name, value) => {
+        setFormData(prev => ({ ...prev, [name]: value }));
+        setErrors(prev => ({ ...prev, [name]: null }));
+    };
+
+    const handleSubmit = () => {
+        const validation = validateProject({ ...formData, budget: quote.summary.totalCost }, projects);
+        if (!formData.startDate) validation.startDate = 'Start date is required';
+        if (Object.keys(validation).length > 0) {
+            setErrors(validation);
+            return;
+        }
+        onConvert(formData);
+    };
+
+    const labelClass = "text-xs font-black uppercase tracking-widest text-slate-500 ml-1";
+
+    return (
+        <>
+            <DialogHeader>
+                <DialogTitle>Convert {quote.quoteNumber} v{quote.version} to a Project</DialogTitle>
+                <DialogDescription>
+                    Budget {formatCurrency(quote.summary.totalCost, quote.summary.currency)} including contingency, with one placeholder
+                    allocation per quoted resource to assign to team members later
+                </DialogDescription>
+            </DialogHeader>
+
+            <div className="space-y-4 py-2">
+                <div className="grid grid-cols-3 gap-4">
+                    <div className="space-y-2">
+                        <Label htmlFor="convert-code" className={labelClass}>Code</Label>
+                        <Input
+                            id="convert-code"
+                            value={formData.code}
+                            onChange={(e) => handleChange('code', e.target.value)}
+                            className={cn("rounded-xl", errors.code && "border-red-500")}
+                        />
+                        {errors.code && <p className="text-[10px] font-bold text-red-500 ml-1">{errors.code}</p>}
+                    </div>
+                    <div className="space-y-2 col-span-2">
+                        <Label htmlFor="convert-name" className={labelClass}>Name</Label>
+                        <Input
+                            id="convert-name"
+                            value={formData.name}
+                            onChange={(e) => handleChange('name', e.target.value)}
+                            className={cn("rounded-xl", errors.name && "border-red-500")}
+                        />
+                        {errors.name && <p className="text-[10px] font-bold text-red-500 ml-1">{errors.name}</p>}
+                    </div>
+                </div>
+                <div className="space-y-2">
+                    <Label htmlFor="convert-start" className={labelClass}>Start Date</Label>
+                    <Input
+                        id="convert-start"
+                        type="date"
+                        value={formData.startDate}
+                        onChange={(e) => handleChange('startDate', e.target.value)}
+                        className={cn("rounded-xl", errors.startDate && "border-red-500")}
+                    />
+                    {errors.startDate && <p className="text-[10px] font-bold text-red-500 ml-1">{errors.startDate}</p>}
+                </div>
+                <div className="flex flex-wrap gap-1">
+                    {quote.summary.breakdown.map(line => (
+                        <Badge key={line.id} variant="secondary" className="text-[10px]">{line.tierName}</Badge>
+                    ))}
+                </div>
+            </div>
+
+            <DialogFooter>
+                <Button variant="ghost" onClick={onCancel}>Cancel</Button>
+                <Button onClick={handleSubmit}>Create Project</Button>
+            </DialogFooter>
+        </>
+    );
+}
@@ -1,14 +1,29 @@
 import { useState, useMemo, useEffect } from 'react';
 import { startOfDay, parseISO, format } from 'date-fns';
-import { useSearchParams } from 'react-router-dom';
+import { Link, useSearchParams } from 'react-router-dom';
 import { useApp, ACTIONS } from '../context/AppContext';
+import { showToast } from '../utils/toast';
+import { getPlaceholderLabel } from '../utils/quotes';
 import {
     formatCurrency,
     calculatePlanEndDate,
     calculateProjectCost,
     calculateMonthlyCost,
-    calculateWorkloadPercentage,
+    getExcludedDates,
+    threePointEstimate,
+    calculateAllocationWorkload,
+    getDefaultAssignmentPercent,
 } from '../utils/calculations';
+import {
+    dependencyTypeOptions,
+    getDependencies,
+    calculateDependencyStart,
+    findDependencyCycle,
+} from '../utils/dependencies';
+import { getMemberCalendars } from '../utils/workCalendar';
+import { getLoadingProfile } from '../utils/costLoading';
+import { resolveCostCenterSplits, validateCostCenterSplits } from '../utils/costCenterSplits';
+import CostCenterSplitsEditor from '../components/cost-center/CostCenterSplitsEditor';
 import { calculateSLAStatus, getPriorityColor, calculateSLADeadline } from '../utils/supportCalculations';
 import { getStatusOptions } from '../data/defaultStatuses';
 import { getTagOptions } from '../data/defaultTags';
@@ -74,13 +89,18 @@ import './ResourceAllocation.css';
 // Generate unique ID
 const generateId = () => `ALLOC-${Date.now().toString(36).toUpperCase()}`;
 
+// Select value for allocations outside any project
+const NO_PROJECT = 'none';
+
 // Empty allocation template
 const emptyAllocation = {
     id: '',
-    demandNumber: '',
+    projectId: '', // Project ID ('' = not part of a project)
+    demandNumber: '', // Project code snapshot (display only)
     activityName: '',
     category: 'Project', // Project, Support, Maintenance
-    resource: '',
+    resourceId: '', // Team member ID
+    resource: '', // Member name snapshot (display only)
     complexity: 'medium',
     priority: '',
     ticketId: '',
@@ -90,6 +110,9 @@ const emptyAllocation = {
     taskName: '',
     status: 'open', // Task status
     tags: [], // Task tags
+    dependencies: [], // Predecessor links { predecessorId, type: FS/SS/FF, lag (workdays) }
+    assignmentPercent: null, // Share of the member's day; null = complexity default
+    percentComplete: 0, // Progress for earned value (each change is dated in progressLog)
 
     plan: {
         taskStart: '',
@@ -112,11 +135,12 @@ const emptyAllocation = {
     // Cost center integration
     costCenterId: '',
     costCenterSnapshot: null,
+    costCenterSplits: [], // Overrides the member's default splits { costCenterId, percentage }
 };
 
 export default function ResourceAllocation() {
-    const { state, dispatch } = useApp();
-    const { members, phases, tasks, allocations, holidays, leaves, complexity, costs } = state;
+    const { state, dispatch, undo, batch } = useApp();
+    const { members, phases, tasks, allocations, holidays, leaves, complexity, costs, projects } = state;
     const [searchParams] = useSearchParams();
 
     // Modal states
@@ -139,21 +163,27 @@ export default function ResourceAllocation() {
 
     // Read URL query parameters on mount
     useEffect(() => {
-        const resource = searchParams.get('resource');
+        const resourceId = searchParams.get('resourceId');
+        // Legacy links pass the member name
+        const resourceName = searchParams.get('resource');
         const category = searchParams.get('category');
         const complexityParam = searchParams.get('complexity');
         const status = searchParams.get('status');
 
-        if (resource) setFilterResource(resource);
+        if (resourceId) setFilterResource(resourceId);
+        else if (resourceName) {
+            const member = members.find(m => m.name === resourceName);
+            if (member) setFilterResource(member.id);
+        }
         if (category) setFilterCategory(category);
         if (complexityParam) setFilterComplexity(complexityParam);
         if (status) setFilterStatus(status);
-    }, [searchParams]);
+    }, [searchParams, members]);
 
     // Filtered allocations
     const filteredAllocations = useMemo(() => {
         return allocations.filter(a => {
-            if (filterResource && a.resource !== filterResource) return false;
+            if (filterResource && filterResource !== 'all' && a.resourceId !== filterResource) return false;
             if (filterStatus && a.status !== filterStatus) return false;
             if (filterCategory && a.category?.toLowerCase() !== filterCategory.toLowerCase()) return false;
             if (filterComplexity && a.complexity?.toLowerCase() !== filterComplexity.toLowerCase()) return false;
@@ -194,13 +224,51 @@ export default function ResourceAllocation() {
         { value: 'P4', label: 'P4 - Low' },
     ];
 
+    // Other allocations that can be picked as predecessors
+    const predecessorOptions = useMemo(() => {
+        return allocations
+            .filter(a => a.id !== formData.id)
+            .map(a => ({
+                value: a.id,
+                label: a.demandNumber ? `${a.demandNumber} · ${a.activityName}` : a.activityName,
+            }));
+    }, [allocations, formData.id]);
+
+    // Start date driven by predecessors (null when the allocation has no dependencies)
+    const dependencyStart = useMemo(() => {
+        if (getDependencies(formData).length === 0 || !formData.resourceId || !formData.complexity) {
+            return null;
+        }
+
+        const { capacityFactor, includeCutiBersama } = state.settings;
+        const predecessorsById = new Map(allocations.map(a => [a.id, a]));
+        const excludedDates = getExcludedDates(formData.resourceId, holidays, leaves, includeCutiBersama ?? true);
+        const calendars = getMemberCalendars(state.members.find(m => m.id === formData.resourceId));
+
+        return calculateDependencyStart(formData, predecessorsById, excludedDates, (startDate) => calculatePlanEndDate(
+            startDate,
+            formData.complexity,
+            formData.resourceId,
+            holidays,
+            leaves,
+            complexity,
+            formData.category,
+            capacityFactor ?? 0.85,
+            includeCutiBersama ?? true,
+            calendars,
+            formData.assignmentPercent
+        ), calendars);
+    }, [formData, allocations, holidays, leaves, complexity, state.settings, state.members]);
+
+    const effectiveStart = dependencyStart || formData.plan?.taskStart;
+
     // Calculate plan values when relevant form data changes
     const calculatedPlan = useMemo(() => {
-        if (!formData.plan?.taskStart || !formData.resource || !formData.complexity) {
+        if (!effectiveStart || !formData.resourceId || !formData.complexity) {
             return { taskEnd: '', costProject: 0, costMonthly: 0, costCenterSnapshot: null };
         }
 
-        const member = state.members.find(m => m.name === formData.resource);
+        const member = state.members.find(m => m.id === formData.resourceId);
         const costTierId = member?.costTierId;
         const memberCostCenterId = member?.costCenterId;
 
@@ -215,29 +283,43 @@ export default function ResourceAllocation() {
         const { capacityFactor, includeCutiBersama } = state.settings;
 
         const taskEnd = calculatePlanEndDate(
-            formData.plan.taskStart,
+            effectiveStart,
             formData.complexity,
-            formData.resource,
+            formData.resourceId,
             holidays,
             leaves,
             complexity,
             formData.category,
             capacityFactor ?? 0.85,
-            includeCutiBersama ?? true
+            includeCutiBersama ?? true,
+            getMemberCalendars(member),
+            formData.assignmentPercent
         );
 
         const isProject = formData.category === 'Project';
         const costProject = isProject ? calculateProjectCost(
             formData.complexity,
-            costTierId || formData.resource,
+            costTierId,
             complexity,
             costs,
-            formData.category
+            formData.category,
+            {
+                currency: state.settings.currency,
+                exchangeRates: state.exchangeRates,
+                date: effectiveStart,
+                endDate: taskEnd,
+                excludedDates: getExcludedDates(formData.resourceId, holidays, leaves, includeCutiBersama ?? true),
+                calendars: getMemberCalendars(member),
+                loading: getLoadingProfile(state.settings.costLoading, {
+                    roleType: costs.find(c => c.id === costTierId)?.roleType,
+                    costCenterId: memberCostCenterId,
+                }),
+            }
         ) : 0;
 
         const costMonthly = calculateMonthlyCost(
             costProject,
-            formData.plan.taskStart,
+            effectiveStart,
             taskEnd
         );
 
@@ -251,7 +333,20 @@ export default function ResourceAllocation() {
             costCenterSnapshot,
             pert,
         };
-    }, [formData.plan?.taskStart, formData.resource, formData.complexity, formData.category, holidays, leaves, complexity, costs, state.members, state.costCenters]);
+    }, [effectiveStart, formData.resourceId, formData.complexity, formData.category, formData.assignmentPercent, holidays, leaves, complexity, costs, state.members, state.costCenters, state.settings, state.exchangeRates]);
+
+    // What an allocation without its own splits is charged to
+    const describeDefaultSplits = (member) => {
+        if (!member) return 'Charged to the selected member\'s cost center';
+        if (member.costCenterSplits?.length) {
+            const shares = member.costCenterSplits.map(split =>
+                `${state.costCenters.find(cc => cc.id === split.costCenterId)?.code || split.costCenterId} ${split.percentage}%`
+            );
+            return `Uses ${member.name}'s default splits: ${shares.join(', ')}`;
+        }
+        const costCenter = state.costCenters.find(cc => cc.id === member.costCenterId);
+        return costCenter ? `Charged in full to ${costCenter.code} - ${costCenter.name}` : 'No cost center assigned';
+    };
 
     // Open add modal
     const handleAdd = () => {
@@ -321,6 +416,14 @@ export default function ResourceAllocation() {
                 }
             }
 
+            if (name === 'resourceId') {
+                next.resource = members.find(m => m.id === value)?.name || '';
+            }
+
+            if (name === 'projectId') {
+                next.demandNumber = projects.find(p => p.id === value)?.code || '';
+            }
+
             if (name === 'slaDeadline') {
                 next.slaStatus = calculateSLAStatus(value);
             }
@@ -359,12 +462,59 @@ export default function ResourceAllocation() {
         }
     };
 
+    // Dependency rows
+    const handleAddDependency = () => {
+        setFormData(prev => ({
+            ...prev,
+            dependencies: [...(prev.dependencies || []), { predecessorId: '', type: 'FS', lag: 0 }],
+        }));
+    };
+
+    const handleDependencyChange = (index, field, value) => {
+        setFormData(prev => ({
+            ...prev,
+            dependencies: (prev.dependencies || []).map((dep, i) =>
+                i === index ? { ...dep, [field]: field === 'lag' ? Number(value) || 0 : value } : dep
+            ),
+        }));
+        if (errors.dependencies) {
+            setErrors(prev => ({ ...prev, dependencies: null }));
+        }
+    };
+
+    const handleRemoveDependency = (index) => {
+        setFormData(prev => ({
+            ...prev,
+            dependencies: (prev.dependencies || []).filter((_, i) => i !== index),
+        }));
+    };
+
     const validate = () => {
         const newErrors = {};
         if (!formData.activityName?.trim()) newErrors.activityName = 'Activity name is required';
-        if (!formData.resource) newErrors.resource = 'Resource is required';
+        if (!formData.resourceId) newErrors.resourceId = 'Resource is required';
         if (!formData.taskName) newErrors.taskName = 'Task is required';
-        if (!formData.plan?.taskStart) newErrors['plan.taskStart'] = 'Start date is required';
+        if (!effectiveStart) newErrors['plan.taskStart'] = 'Start date is required';
+        if (formData.assignmentPercent != null && !(formData.assignmentPercent > 0 && formData.assignmentPercent <= 100)) {
+            newErrors.assignmentPercent = 'Assignment must be between 1 and 100%';
+        }
+        const splitsError = validateCostCenterSplits(formData.costCenterSplits, state.costCenters);
+        if (splitsError) newErrors.costCenterSplits = splitsError;
+        const percentComplete = formData.percentComplete ?? 0;
+        if (!(percentComplete >= 0 && percentComplete <= 100)) {
+            newErrors.percentComplete = 'Percent complete must be between 0 and 100%';
+        }
+
+        if ((formData.dependencies || []).some(dep => !dep.predecessorId)) {
+            newErrors.dependencies = 'Select a predecessor for every dependency';
+        } else {
+            const others = allocations.filter(a => a.id !== formData.id);
+            const cycle = findDependencyCycle([...others, formData]);
+            if (cycle) {
+                const names = cycle.map(id => allocations.find(a => a.id === id)?.activityName || formData.activityName || id);
+                newErrors.dependencies = `Dependency cycle: ${names.join(' → ')}`;
+            }
+        }
 
         if (formData.category === 'Support') {
             if (!formData.ticketId) newErrors.ticketId = 'Ticket ID is required';
@@ -378,24 +528,26 @@ export default function ResourceAllocation() {
     const handleSubmit = () => {
         if (!validate()) return;
 
-        const workload = calculateWorkloadPercentage(
-            formData.taskName,
-            formData.complexity,
+        // Get member's current cost center information
+        const member = state.members.find(m => m.id === formData.resourceId);
+        const workload = calculateAllocationWorkload(
+            { ...formData, plan: { ...formData.plan, taskStart: effectiveStart } },
             tasks,
-            formData.category
+            getMemberCalendars(member)
         );
 
-        // Get member's current cost center information
-        const member = state.members.find(m => m.name === formData.resource);
         const memberCostCenterId = member?.costCenterId;
 
         const allocationData = {
             ...formData,
+            resource: member?.name || formData.resource,
             plan: {
                 ...formData.plan,
+                taskStart: effectiveStart,
                 taskEnd: calculatedPlan.taskEnd,
                 costProject: calculatedPlan.costProject,
                 costMonthly: calculatedPlan.costMonthly,
+                costCenterSplits: resolveCostCenterSplits(formData, member),
             },
             workload,
             // Cost center integration
@@ -414,6 +566,7 @@ export default function ResourceAllocation() {
     const handleDeleteConfirm = () => {
         if (allocationToDelete) {
             dispatch({ type: ACTIONS.DELETE_ALLOCATION, payload: allocationToDelete.id });
+            showToast.action(`Allocation "${allocationToDelete.activityName}" deleted`, { label: 'Undo', onClick: undo });
         }
         setAllocationToDelete(null);
         setIsDeleteOpen(false);
@@ -480,7 +633,13 @@ export default function ResourceAllocation() {
         {
             accessorKey: "demandNumber",
             header: "Demand #",
-            cell: ({ row }) => <div className="font-bold text-foreground tabular-nums opacity-80">{row.getValue("demandNumber") || "—"}</div>,
+            cell: ({ row }) => row.original.projectId ? (
+                <Link to={`/projects/${row.original.projectId}`} className="font-bold text-foreground tabular-nums opacity-80 hover:text-primary hover:underline">
+                    {row.getValue("demandNumber") || "—"}
+                </Link>
+            ) : (
+                <div className="font-bold text-foreground tabular-nums opacity-80">{row.getValue("demandNumber") || "—"}</div>
+            ),
         },
         {
             accessorKey: "category",
@@ -518,11 +677,12 @@ export default function ResourceAllocation() {
                 const value = row.getValue("resource");
                 return (
                     <Select
-                        value={value}
+                        value={row.original.resourceId}
                         onValueChange={(newValue) => {
+                            const member = members.find(m => m.id === newValue);
                             dispatch({
                                 type: ACTIONS.UPDATE_ALLOCATION,
-                                payload: { ...row.original, resource: newValue }
+                                payload: { ...row.original, resourceId: newValue, resource: member?.name || '' }
                             });
                         }}
                     >
@@ -530,11 +690,11 @@ export default function ResourceAllocation() {
                             <div className="h-5 w-5 rounded-full bg-primary/10 flex items-center justify-center text-[9px] font-black text-primary">
                                 {value?.charAt(0)}
                             </div>
-                            <SelectValue />
+                            <SelectValue placeholder={getPlaceholderLabel(row.original)} />
                         </SelectTrigger>
                         <SelectContent>
                             {members.map(m => (
-                                <SelectItem key={m.id} value={m.name} className="text-xs">{m.name}</SelectItem>
+                                <SelectItem key={m.id} value={m.id} className="text-xs">{m.name}</SelectItem>
                             ))}
                         </SelectContent>
                     </Select>
@@ -545,6 +705,19 @@ export default function ResourceAllocation() {
             accessorKey: "costCenterSnapshot",
             header: "Cost Center",
             cell: ({ row }) => {
+                const splits = row.original.plan?.costCenterSplits || [];
+                if (splits.length > 0) {
+                    return (
+                        <div className="flex flex-col gap-0.5">
+                            {splits.map(split => (
+                                <span key={split.costCenterId} className="text-[10px] font-bold text-foreground">
+                                    {state.costCenters.find(cc => cc.id === split.costCenterId)?.code || split.costCenterId}
+                                    <span className="text-muted-foreground font-medium"> {split.percentage}%</span>
+                                </span>
+                            ))}
+                        </div>
+                    );
+                }
                 const costCenter = row.original.costCenterSnapshot;
                 if (!costCenter) {
                     return <span className="text-xs text-muted-foreground">Not assigned</span>;
@@ -658,7 +831,7 @@ export default function ResourceAllocation() {
             ),
             enableHiding: false,
         },
-    ], [phases, tasks, complexity, isDense, members, dispatch]);
+    ], [phases, tasks, complexity, isDense, members, dispatch, state.costCenters]);
 
     const [sorting, setSorting] = useState([])
     const [rowSelection, setRowSelection] = useState({})
@@ -694,21 +867,25 @@ export default function ResourceAllocation() {
     };
 
     const handleBulkDeleteConfirm = () => {
-        selectedRows.forEach(row => {
-            dispatch({ type: ACTIONS.DELETE_ALLOCATION, payload: row.original.id });
-        });
+        batch(
+            selectedRows.map(row => ({ type: ACTIONS.DELETE_ALLOCATION, payload: row.original.id })),
+            `Delete ${selectedRows.length} allocations`
+        );
+        showToast.action(`${selectedRows.length} allocations deleted`, { label: 'Undo', onClick: undo });
         table.resetRowSelection();
         setIsBulkDeleteOpen(false);
     };
 
     const handleBulkStatusChange = (newStatus) => {
         if (!hasSelection || !newStatus) return;
-        selectedRows.forEach(row => {
-            dispatch({
+        batch(
+            selectedRows.map(row => ({
                 type: ACTIONS.UPDATE_ALLOCATION,
                 payload: { ...row.original, status: newStatus }
-            });
-        });
+            })),
+            `Change status of ${selectedRows.length} allocations`
+        );
+        showToast.action(`${selectedRows.length} allocations set to ${newStatus}`, { label: 'Undo', onClick: undo });
         table.resetRowSelection();
     };
 
@@ -728,7 +905,7 @@ export default function ResourceAllocation() {
                             <SelectContent>
                                 <SelectItem value="all">All Resources</SelectItem>
                                 {members.map(m => (
-                                    <SelectItem key={m.id} value={m.name}>{m.name}</SelectItem>
+                                    <SelectItem key={m.id} value={m.id}>{m.name}</SelectItem>
                                 ))}
                             </SelectContent>
                         </Select>
@@ -851,14 +1028,17 @@ export default function ResourceAllocation() {
                         <div className="space-y-6 pt-4">
                             <div className="grid grid-cols-2 gap-4">
                                 <div className="space-y-2">
-                                    <Label htmlFor="demandNumber" className="text-xs font-black uppercase tracking-widest text-slate-500 ml-1">Demand Number</Label>
-                                    <Input
-                                        id="demandNumber"
-                                        placeholder="DM-000001"
-                                        value={formData.demandNumber}
-                                        onChange={(e) => handleChange('demandNumber', e.target.value)}
-                                        className="rounded-xl border-slate-200 dark:border-slate-800 dark:bg-slate-900"
-                                    />
+                                    <Label className="text-xs font-black uppercase tracking-widest text-slate-500 ml-1">Project</Label>
+                                    <Select
+                                        value={formData.projectId || NO_PROJECT}
+                                        onValueChange={(v) => handleChange('projectId', v === NO_PROJECT ? '' : v)}
+                                    >
+                                        <SelectTrigger className="rounded-xl border-slate-200"><SelectValue /></SelectTrigger>
+                                        <SelectContent>
+                                            <SelectItem value={NO_PROJECT}>No project</SelectItem>
+                                            {projects.map(p => <SelectItem key={p.id} value={p.id}>{p.code} · {p.name}</SelectItem>)}
+                                        </SelectContent>
+                                    </Select>
                                 </div>
                                 <div className="space-y-2">
                                     <Label className="text-xs font-black uppercase tracking-widest text-slate-500 ml-1">Work Category</Label>
@@ -915,16 +1095,31 @@ export default function ResourceAllocation() {
                                 </div>
                             )}
 
-                            <div className="grid grid-cols-2 gap-4">
+                            <div className="grid grid-cols-3 gap-4">
                                 <div className="space-y-2">
                                     <Label className="text-xs font-black uppercase tracking-widest text-slate-500 ml-1">Resource</Label>
-                                    <Select value={formData.resource} onValueChange={(v) => handleChange('resource', v)}>
+                                    <Select value={formData.resourceId} onValueChange={(v) => handleChange('resourceId', v)}>
                                         <SelectTrigger className="rounded-xl border-slate-200"><SelectValue /></SelectTrigger>
                                         <SelectContent>
-                                            {members.map(m => <SelectItem key={m.id} value={m.name}>{m.name}</SelectItem>)}
+                                            {members.map(m => <SelectItem key={m.id} value={m.id}>{m.name}</SelectItem>)}
                                         </SelectContent>
                                     </Select>
                                 </div>
+                                <div className="space-y-2">
+                                    <Label htmlFor="assignmentPercent" className="text-xs font-black uppercase tracking-widest text-slate-500 ml-1">Assignment %</Label>
+                                    <Input
+                                        id="assignmentPercent"
+                                        type="number"
+                                        min={1}
+                                        max={100}
+                                        value={formData.assignmentPercent ?? ''}
+                                        placeholder={`${Math.round(getDefaultAssignmentPercent(complexity[formData.complexity?.toLowerCase()]))} (default)`}
+                                        disabled={formData.category !== 'Project'}
+                                        onChange={(e) => handleChange('assignmentPercent', e.target.value === '' ? null : Number(e.target.value))}
+                                        className={cn("rounded-xl border-slate-200", errors.assignmentPercent && "border-red-500")}
+                                    />
+                                    {errors.assignmentPercent && <p className="text-[10px] font-bold text-red-500 ml-1">{errors.assignmentPercent}</p>}
+                                </div>
                                 <div className="space-y-2">
                                     <Label className="text-xs font-black uppercase tracking-widest text-slate-500 ml-1">Phase</Label>
                                     <Select value={formData.phase} onValueChange={(v) => handleChange('phase', v)}>
@@ -936,7 +1131,7 @@ export default function ResourceAllocation() {
                                 </div>
                             </div>
 
-                            <div className="grid grid-cols-2 gap-4">
+                            <div className="grid grid-cols-3 gap-4">
                                 <div className="space-y-2">
                                     <Label className="text-xs font-black uppercase tracking-widest text-slate-500 ml-1">Task</Label>
                                     <Select value={formData.taskName} onValueChange={(v) => handleChange('taskName', v)}>
@@ -948,8 +1143,73 @@ export default function ResourceAllocation() {
                                 </div>
                                 <div className="space-y-2">
                                     <Label htmlFor="taskStart" className="text-xs font-black uppercase tracking-widest text-slate-500 ml-1">Start Date</Label>
-                                    <Input id="taskStart" type="date" value={formData.plan?.taskStart || ''} onChange={(e) => handleChange('plan.taskStart', e.target.value)} className="rounded-xl border-slate-200" />
+                                    <Input id="taskStart" type="date" value={effectiveStart || ''} disabled={!!dependencyStart} onChange={(e) => handleChange('plan.taskStart', e.target.value)} className={cn("rounded-xl border-slate-200", errors['plan.taskStart'] && "border-red-500")} />
+                                    {dependencyStart && <p className="text-[10px] font-bold text-slate-400 ml-1">Set by dependencies</p>}
                                 </div>
+                                <div className="space-y-2">
+                                    <Label htmlFor="percentComplete" className="text-xs font-black uppercase tracking-widest text-slate-500 ml-1">% Complete</Label>
+                                    <Input
+                                        id="percentComplete"
+                                        type="number"
+                                        min={0}
+                                        max={100}
+                                        value={formData.status === 'completed' ? 100 : (formData.percentComplete ?? 0)}
+                                        disabled={formData.status === 'completed'}
+                                        onChange={(e) => handleChange('percentComplete', e.target.value === '' ? 0 : Number(e.target.value))}
+                                        className={cn("rounded-xl border-slate-200", errors.percentComplete && "border-red-500")}
+                                    />
+                                    {errors.percentComplete && <p className="text-[10px] font-bold text-red-500 ml-1">{errors.percentComplete}</p>}
+                                </div>
+                            </div>
+
+                            <div className="space-y-2">
+                                <div className="flex items-center justify-between">
+                                    <Label className="text-xs font-black uppercase tracking-widest text-slate-500 ml-1">Dependencies</Label>
+                                    <Button type="button" variant="ghost" size="sm" onClick={handleAddDependency} disabled={predecessorOptions.length === 0} className="h-7 text-xs font-bold">
+                                        <Plus className="h-3 w-3 mr-1" /> Add Predecessor
+                                    </Button>
+                                </div>
+                                {(formData.dependencies || []).map((dep, index) => (
+                                    <div key={index} className="grid grid-cols-[1fr_160px_90px_auto] gap-2 items-center">
+                                        <Select value={dep.predecessorId} onValueChange={(v) => handleDependencyChange(index, 'predecessorId', v)}>
+                                            <SelectTrigger className="rounded-xl border-slate-200"><SelectValue placeholder="Select predecessor" /></SelectTrigger>
+                                            <SelectContent>
+                                                {predecessorOptions.map(opt => <SelectItem key={opt.value} value={opt.value}>{opt.label}</SelectItem>)}
+                                            </SelectContent>
+                                        </Select>
+                                        <Select value={dep.type} onValueChange={(v) => handleDependencyChange(index, 'type', v)}>
+                                            <SelectTrigger className="rounded-xl border-slate-200"><SelectValue /></SelectTrigger>
+                                            <SelectContent>
+                                                {dependencyTypeOptions.map(opt => <SelectItem key={opt.value} value={opt.value}>{opt.label}</SelectItem>)}
+                                            </SelectContent>
+                                        </Select>
+                                        <Input
+                                            type="number"
+                                            value={dep.lag}
+                                            onChange={(e) => handleDependencyChange(index, 'lag', e.target.value)}
+                                            className="rounded-xl border-slate-200"
+                                            title="Lag in workdays"
+                                        />
+                                        <Button type="button" variant="ghost" size="icon" onClick={() => handleRemoveDependency(index)} className="h-8 w-8 text-slate-400 hover:text-red-500">
+                                            <CloseIcon className="h-4 w-4" />
+                                        </Button>
+                                    </div>
+                                ))}
+                                {errors.dependencies && <p className="text-[10px] font-bold text-red-500 ml-1">{errors.dependencies}</p>}
+                            </div>
+
+                            <div className="space-y-2">
+                                <Label className="text-xs font-black uppercase tracking-widest text-slate-500 ml-1">Cost Center Splits</Label>
+                                <CostCenterSplitsEditor
+                                    value={formData.costCenterSplits || []}
+                                    onChange={(splits) => {
+                                        handleChange('costCenterSplits', splits);
+                                        if (errors.costCenterSplits) setErrors(prev => ({ ...prev, costCenterSplits: null }));
+                                    }}
+                                    costCenters={state.costCenters}
+                                    emptyLabel={describeDefaultSplits(state.members.find(m => m.id === formData.resourceId))}
+                                    error={errors.costCenterSplits}
+                                />
                             </div>
 
                             <div className="p-6 rounded-2xl bg-indigo-50/50 dark:bg-indigo-950/20 border border-indigo-100 dark:border-indigo-900 grid grid-cols-3 gap-4">
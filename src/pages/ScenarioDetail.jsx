@@ -0,0 +1,341 @@
+/**
+ * Scenario Detail Page
+ * Side-by-side comparison of a what-if scenario against live data, editing of the
+ * scenario's members/allocations/costs/complexity, and promotion to live
+ */
+
+import { lazy, Suspense, useState, useMemo } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { format, parseISO } from 'date-fns';
+import {
+    LineChart,
+    Line,
+    XAxis,
+    YAxis,
+    CartesianGrid,
+    Tooltip as ChartTooltip,
+    Legend,
+    ResponsiveContainer,
+} from 'recharts';
+import { useApp } from '../context/AppContext';
+import { ScenarioProvider } from '../context/ScenarioContext';
+import { compareScenario, getPromotionConflicts } from '../utils/scenarios';
+import { formatCurrency } from '../utils/calculations';
+import { showToast } from '../utils/toast';
+import { PageLoader } from '../components/ui';
+import { EmptyState } from "@/components/ui/empty-state";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogFooter,
+    DialogHeader,
+    DialogTitle,
+} from "@/components/ui/dialog";
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableHeader,
+    TableRow,
+} from "@/components/ui/table";
+import { ArrowLeft, FlaskConical, Rocket, AlertTriangle } from "lucide-react";
+import { cn } from "@/lib/utils";
+
+// The regular editors, rendered against the scenario's data
+const TeamMembers = lazy(() => import('./Library/TeamMembers'));
+const ResourceAllocation = lazy(() => import('./ResourceAllocation'));
+const ResourceCosts = lazy(() => import('./Library/ResourceCosts'));
+const Complexity = lazy(() => import('./Library/Complexity'));
+
+const EDITOR_TABS = [
+    { value: 'members', label: 'Members', Component: TeamMembers },
+    { value: 'allocations', label: 'Allocations', Component: ResourceAllocation },
+    { value: 'costs', label: 'Costs', Component: ResourceCosts },
+    { value: 'complexity', label: 'Complexity', Component: Complexity },
+];
+
+const formatDate = (date) => (date ? format(parseISO(date), 'MMM d, yyyy') : '—');
+
+const formatSigned = (value, formatter = (v) => v) => {
+    if (value === null || value === undefined) return '—';
+    return `${value > 0 ? '+' : ''}${formatter(value)}`;
+};
+
+// Higher cost, utilization or later end dates show red; savings green
+const deltaClass = (value) => cn(
+    "font-bold tabular-nums",
+    value > 0 ? "text-rose-600" : value < 0 ? "text-emerald-600" : "text-muted-foreground"
+);
+
+const compactCurrency = (value) => {
+    if (Math.abs(value) >= 1000000) return `${(value / 1000000).toFixed(0)}M`;
+    if (Math.abs(value) >= 1000) return `${(value / 1000).toFixed(0)}K`;
+    return value;
+};
+
+export default function ScenarioDetail() {
+    const { scenarioId } = useParams();
+    const navigate = useNavigate();
+    const { state, dispatch, ACTIONS, undo } = useApp();
+    const [activeTab, setActiveTab] = useState('compare');
+    const [isPromoteOpen, setIsPromoteOpen] = useState(false);
+
+    const scenario = (state.scenarios || []).find(s => s.id === scenarioId);
+
+    const comparison = useMemo(
+        () => (scenario ? compareScenario(state, scenario) : null),
+        [state, scenario]
+    );
+    const promotionConflicts = useMemo(
+        () => (scenario ? getPromotionConflicts(state, scenario) : []),
+        [state, scenario]
+    );
+
+    if (!scenario) {
+        return (
+            <Card>
+                <EmptyState
+                    icon={FlaskConical}
+                    title="Scenario not found"
+                    description="It may have been deleted."
+                    action={{ label: 'Back to Scenarios', icon: ArrowLeft, onClick: () => navigate('/scenarios') }}
+                />
+            </Card>
+        );
+    }
+
+    const changedMembers = comparison.utilization.filter(u => Math.abs(u.delta) >= 0.05);
+    const slippedDemands = comparison.demandEndDates.filter(d => d.delta !== 0);
+
+    const handlePromote = () => {
+        if (promotionConflicts.length > 0) return;
+        dispatch({ type: ACTIONS.PROMOTE_SCENARIO, payload: scenario.id });
+        showToast.action(`Scenario "${scenario.name}" is now live`, { label: 'Undo', onClick: undo });
+        setIsPromoteOpen(false);
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4">
+                <div className="flex items-center gap-3">
+                    <Button variant="ghost" size="icon" onClick={() => navigate('/scenarios')}>
+                        <ArrowLeft className="h-4 w-4" />
+                    </Button>
+                    <div>
+                        <div className="flex items-center gap-2">
+                            <h1 className="text-xl font-bold tracking-tight">{scenario.name}</h1>
+                            <Badge variant="outline" className="text-[9px] uppercase">Scenario</Badge>
+                            {scenario.promotedAt && (
+                                <Badge variant="outline" className="text-[9px] uppercase bg-emerald-500/10 text-emerald-600 border-emerald-500/20">
+                                    Promoted {formatDate(scenario.promotedAt)}
+                                </Badge>
+                            )}
+                        </div>
+                        <p className="text-sm text-muted-foreground">
+                            {scenario.description || `Forked ${formatDate(scenario.createdAt)}`}
+                        </p>
+                    </div>
+                </div>
+                <Button className="gap-2" onClick={() => setIsPromoteOpen(true)}>
+                    <Rocket className="h-4 w-4" />
+                    Promote to Live
+                </Button>
+            </div>
+
+            <Tabs value={activeTab} onValueChange={setActiveTab} className="space-y-6">
+                <TabsList className="grid w-full grid-cols-5">
+                    <TabsTrigger value="compare">Comparison</TabsTrigger>
+                    {EDITOR_TABS.map(tab => (
+                        <TabsTrigger key={tab.value} value={tab.value}>{tab.label}</TabsTrigger>
+                    ))}
+                </TabsList>
+
+                <TabsContent value="compare" className="space-y-6">
+                    {/* Summary */}
+                    <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                        <Card>
+                            <CardContent className="p-6">
+                                <p className="text-[10px] font-bold text-muted-foreground uppercase mb-1">Live Total Cost</p>
+                                <p className="text-lg font-black">{formatCurrency(comparison.totalCost.live)}</p>
+                            </CardContent>
+                        </Card>
+                        <Card>
+                            <CardContent className="p-6">
+                                <p className="text-[10px] font-bold text-muted-foreground uppercase mb-1">Scenario Total Cost</p>
+                                <p className="text-lg font-black">{formatCurrency(comparison.totalCost.scenario)}</p>
+                                <p className={cn("text-xs", deltaClass(comparison.totalCost.delta))}>
+                                    {formatSigned(comparison.totalCost.delta, formatCurrency)}
+                                </p>
+                            </CardContent>
+                        </Card>
+                        <Card>
+                            <CardContent className="p-6">
+                                <p className="text-[10px] font-bold text-muted-foreground uppercase mb-1">Members Affected</p>
+                                <p className="text-lg font-black">{changedMembers.length}</p>
+                                <p className="text-xs text-muted-foreground">utilization changed</p>
+                            </CardContent>
+                        </Card>
+                        <Card>
+                            <CardContent className="p-6">
+                                <p className="text-[10px] font-bold text-muted-foreground uppercase mb-1">Demands Moved</p>
+                                <p className="text-lg font-black">{slippedDemands.length}</p>
+                                <p className="text-xs text-muted-foreground">end date changed</p>
+                            </CardContent>
+                        </Card>
+                    </div>
+
+                    {/* Monthly burn */}
+                    <Card>
+                        <CardHeader>
+                            <CardTitle>Monthly Burn</CardTitle>
+                            <CardDescription>Projected monthly cost, live vs scenario</CardDescription>
+                        </CardHeader>
+                        <CardContent>
+                            <div className="h-[300px] w-full">
+                                <ResponsiveContainer width="100%" height="100%">
+                                    <LineChart data={comparison.monthlyTrend} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+                                        <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                                        <XAxis dataKey="month" fontSize={10} tickLine={false} axisLine={false} />
+                                        <YAxis fontSize={10} tickLine={false} axisLine={false} width={40} tickFormatter={compactCurrency} />
+                                        <ChartTooltip formatter={(value) => formatCurrency(value)} />
+                                        <Legend />
+                                        <Line type="monotone" dataKey="live" name="Live" stroke="#94a3b8" strokeWidth={2} dot={false} />
+                                        <Line type="monotone" dataKey="scenario" name="Scenario" stroke="#4f46e5" strokeWidth={3} dot={false} />
+                                    </LineChart>
+                                </ResponsiveContainer>
+                            </div>
+                        </CardContent>
+                    </Card>
+
+                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                        {/* Utilization per member */}
+                        <Card>
+                            <CardHeader>
+                                <CardTitle>Utilization per Member</CardTitle>
+                                <CardDescription>Workload as a share of each member's capacity</CardDescription>
+                            </CardHeader>
+                            <CardContent>
+                                <Table>
+                                    <TableHeader>
+                                        <TableRow>
+                                            <TableHead>Member</TableHead>
+                                            <TableHead className="text-right">Live</TableHead>
+                                            <TableHead className="text-right">Scenario</TableHead>
+                                            <TableHead className="text-right">Δ</TableHead>
+                                        </TableRow>
+                                    </TableHeader>
+                                    <TableBody>
+                                        {comparison.utilization.map(row => (
+                                            <TableRow key={row.memberId}>
+                                                <TableCell className="font-medium">
+                                                    {row.name}
+                                                    {row.live === null && <Badge variant="outline" className="ml-2 text-[9px] uppercase">New</Badge>}
+                                                    {row.scenario === null && <Badge variant="outline" className="ml-2 text-[9px] uppercase">Removed</Badge>}
+                                                </TableCell>
+                                                <TableCell className="text-right tabular-nums">{row.live === null ? '—' : `${row.live.toFixed(1)}%`}</TableCell>
+                                                <TableCell className="text-right tabular-nums">{row.scenario === null ? '—' : `${row.scenario.toFixed(1)}%`}</TableCell>
+                                                <TableCell className={cn("text-right", deltaClass(row.delta))}>
+                                                    {formatSigned(Number(row.delta.toFixed(1)), v => `${v}%`)}
+                                                </TableCell>
+                                            </TableRow>
+                                        ))}
+                                    </TableBody>
+                                </Table>
+                            </CardContent>
+                        </Card>
+
+                        {/* End dates per demand */}
+                        <Card>
+                            <CardHeader>
+                                <CardTitle>End Date per Demand</CardTitle>
+                                <CardDescription>Latest planned finish; the difference is in workdays</CardDescription>
+                            </CardHeader>
+                            <CardContent>
+                                {comparison.demandEndDates.length === 0 ? (
+                                    <p className="text-sm text-muted-foreground">No scheduled demands.</p>
+                                ) : (
+                                    <Table>
+                                        <TableHeader>
+                                            <TableRow>
+                                                <TableHead>Demand</TableHead>
+                                                <TableHead>Live</TableHead>
+                                                <TableHead>Scenario</TableHead>
+                                                <TableHead className="text-right">Δ</TableHead>
+                                            </TableRow>
+                                        </TableHeader>
+                                        <TableBody>
+                                            {comparison.demandEndDates.map(row => (
+                                                <TableRow key={row.demandNumber}>
+                                                    <TableCell className="font-medium">{row.demandNumber}</TableCell>
+                                                    <TableCell>{formatDate(row.live)}</TableCell>
+                                                    <TableCell>{formatDate(row.scenario)}</TableCell>
+                                                    <TableCell className={cn("text-right", deltaClass(row.delta))}>
+                                                        {formatSigned(row.delta, v => `${v}d`)}
+                                                    </TableCell>
+                                                </TableRow>
+                                            ))}
+                                        </TableBody>
+                                    </Table>
+                                )}
+                            </CardContent>
+                        </Card>
+                    </div>
+                </TabsContent>
+
+                {EDITOR_TABS.map(tab => (
+                    <TabsContent key={tab.value} value={tab.value} className="space-y-4">
+                        <div className="flex items-center gap-2 p-3 rounded-lg bg-indigo-50 border border-indigo-200 text-xs text-indigo-800 dark:bg-indigo-950/20 dark:border-indigo-900 dark:text-indigo-300">
+                            <FlaskConical className="h-4 w-4 shrink-0" />
+                            Editing scenario "{scenario.name}". Live data is not affected until the scenario is promoted.
+                        </div>
+                        <ScenarioProvider scenarioId={scenario.id}>
+                            <Suspense fallback={<PageLoader />}>
+                                <tab.Component />
+                            </Suspense>
+                        </ScenarioProvider>
+                    </TabsContent>
+                ))}
+            </Tabs>
+
+            <Dialog open={isPromoteOpen} onOpenChange={setIsPromoteOpen}>
+                <DialogContent className="sm:max-w-md">
+                    <DialogHeader>
+                        <DialogTitle className="flex items-center gap-2">
+                            <Rocket className="h-5 w-5 text-primary" />
+                            Promote "{scenario.name}"?
+                        </DialogTitle>
+                        <DialogDescription>
+                            This scenario's changes to members, allocations, costs and complexity are applied to live data.
+                            Live edits made since the fork are kept.
+                        </DialogDescription>
+                    </DialogHeader>
+                    <div className="flex items-start gap-2 p-3 rounded-lg bg-amber-50 border border-amber-200 text-xs text-amber-800 dark:bg-amber-950/20 dark:border-amber-900 dark:text-amber-300">
+                        <AlertTriangle className="h-4 w-4 shrink-0" />
+                        <span>
+                            Total cost changes by {formatSigned(comparison.totalCost.delta, formatCurrency)} and
+                            {' '}{slippedDemands.length} demand end dates move.
+                        </span>
+                    </div>
+                    {promotionConflicts.length > 0 && (
+                        <div className="p-3 rounded-lg bg-red-50 border border-red-200 text-xs text-red-800 dark:bg-red-950/20 dark:border-red-900 dark:text-red-300 space-y-1">
+                            <p className="font-semibold">Cannot promote:</p>
+                            <ul className="list-disc pl-4 space-y-0.5">
+                                {promotionConflicts.map(conflict => <li key={conflict}>{conflict}</li>)}
+                            </ul>
+                        </div>
+                    )}
+                    <DialogFooter>
+                        <Button variant="ghost" onClick={() => setIsPromoteOpen(false)}>Cancel</Button>
+                        <Button onClick={handlePromote} disabled={promotionConflicts.length > 0}>Promote to Live</Button>
+                    </DialogFooter>
+                </DialogContent>
+            </Dialog>
+        </div>
+    );
+}
@@ -0,0 +1,192 @@
+/**
+ * Scenarios Page
+ * Named what-if forks of the planning data
+ */
+
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { format, parseISO } from 'date-fns';
+import { useApp } from '../context/AppContext';
+import { createScenario, compareScenario } from '../utils/scenarios';
+import { formatCurrency } from '../utils/calculations';
+import { showToast } from '../utils/toast';
+import { PageHeader } from "@/components/ui/page-header";
+import { EmptyState } from "@/components/ui/empty-state";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogFooter,
+    DialogHeader,
+    DialogTitle,
+} from "@/components/ui/dialog";
+import { FlaskConical, Plus, Trash2, ArrowRight } from "lucide-react";
+import { cn } from "@/lib/utils";
+
+const emptyForm = { name: '', description: '' };
+
+export default function Scenarios() {
+    const { state, dispatch, ACTIONS, undo } = useApp();
+    const navigate = useNavigate();
+    const [isFormOpen, setIsFormOpen] = useState(false);
+    const [formData, setFormData] = useState(emptyForm);
+    const [error, setError] = useState('');
+
+    const scenarios = state.scenarios || [];
+
+    const handleCreate = () => {
+        const name = formData.name.trim();
+        if (!name) {
+            setError('Scenario name is required');
+            return;
+        }
+        if (scenarios.some(s => s.name.toLowerCase() === name.toLowerCase())) {
+            setError('A scenario with this name already exists');
+            return;
+        }
+
+        const scenario = createScenario(state, formData);
+        dispatch({ type: ACTIONS.ADD_SCENARIO, payload: scenario });
+        showToast.success(`Scenario "${scenario.name}" created from live data`);
+        setIsFormOpen(false);
+        navigate(`/scenarios/${scenario.id}`);
+    };
+
+    const handleDelete = (scenario) => {
+        dispatch({ type: ACTIONS.DELETE_SCENARIO, payload: scenario.id });
+        showToast.action(`Scenario "${scenario.name}" deleted`, { label: 'Undo', onClick: undo });
+    };
+
+    const openForm = () => {
+        setFormData(emptyForm);
+        setError('');
+        setIsFormOpen(true);
+    };
+
+    return (
+        <div className="space-y-6">
+            <PageHeader
+                title="What-if Scenarios"
+                description="Try out hires, delays or rate changes on a copy of the plan without touching live data"
+                actions={
+                    <Button className="gap-2" onClick={openForm}>
+                        <Plus className="h-4 w-4" />
+                        New Scenario
+                    </Button>
+                }
+            />
+
+            {scenarios.length === 0 ? (
+                <Card>
+                    <EmptyState
+                        icon={FlaskConical}
+                        title="No scenarios yet"
+                        description="A scenario starts as a copy of the current members, allocations, costs and complexity."
+                        action={{ label: 'New Scenario', icon: Plus, onClick: openForm }}
+                    />
+                </Card>
+            ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+                    {scenarios.map(scenario => {
+                        const { totalCost } = compareScenario(state, scenario);
+                        return (
+                            <Card key={scenario.id} className="flex flex-col">
+                                <CardHeader className="pb-3">
+                                    <div className="flex items-start justify-between gap-2">
+                                        <CardTitle className="text-base">{scenario.name}</CardTitle>
+                                        {scenario.promotedAt && (
+                                            <Badge variant="outline" className="text-[9px] uppercase bg-emerald-500/10 text-emerald-600 border-emerald-500/20">
+                                                Promoted
+                                            </Badge>
+                                        )}
+                                    </div>
+                                    <CardDescription className="line-clamp-2">
+                                        {scenario.description || 'No description'}
+                                    </CardDescription>
+                                </CardHeader>
+                                <CardContent className="mt-auto space-y-4">
+                                    <div className="grid grid-cols-2 gap-3 text-xs">
+                                        <div>
+                                            <p className="text-[10px] font-bold text-muted-foreground uppercase mb-1">Total Cost</p>
+                                            <p className="font-black">{formatCurrency(totalCost.scenario)}</p>
+                                        </div>
+                                        <div>
+                                            <p className="text-[10px] font-bold text-muted-foreground uppercase mb-1">vs Live</p>
+                                            <p className={cn("font-black", totalCost.delta > 0 ? "text-rose-600" : totalCost.delta < 0 ? "text-emerald-600" : "")}>
+                                                {totalCost.delta > 0 ? '+' : ''}{formatCurrency(totalCost.delta)}
+                                            </p>
+                                        </div>
+                                    </div>
+                                    <div className="flex items-center justify-between">
+                                        <span className="text-[10px] text-muted-foreground">
+                                            Updated {format(parseISO(scenario.updatedAt), 'MMM d, yyyy HH:mm')}
+                                        </span>
+                                        <div className="flex gap-1">
+                                            <Button variant="ghost" size="icon" className="h-8 w-8 text-rose-500" onClick={() => handleDelete(scenario)}>
+                                                <Trash2 className="h-4 w-4" />
+                                            </Button>
+                                            <Button size="sm" className="h-8 gap-1" onClick={() => navigate(`/scenarios/${scenario.id}`)}>
+                                                Open
+                                                <ArrowRight className="h-3 w-3" />
+                                            </Button>
+                                        </div>
+                                    </div>
+                                </CardContent>
+                            </Card>
+                        );
+                    })}
+                </div>
+            )}
+
+            <Dialog open={isFormOpen} onOpenChange={setIsFormOpen}>
+                <DialogContent className="sm:max-w-md">
+                    <DialogHeader>
+                        <DialogTitle className="flex items-center gap-2">
+                            <FlaskConical className="h-5 w-5 text-primary" />
+                            New Scenario
+                        </DialogTitle>
+                        <DialogDescription>
+                            Forks the current live data. Changes made in the scenario stay there until it is promoted.
+                        </DialogDescription>
+                    </DialogHeader>
+                    <div className="space-y-4 py-2">
+                        <div className="space-y-2">
+                            <Label htmlFor="scenario-name">Name</Label>
+                            <Input
+                                id="scenario-name"
+                                value={formData.name}
+                                onChange={(e) => {
+                                    setFormData(prev => ({ ...prev, name: e.target.value }));
+                                    setError('');
+                                }}
+                                placeholder="e.g., Hire one more Senior Fullstack"
+                                className={cn(error && "border-red-500/50")}
+                            />
+                            {error && <p className="text-xs text-red-500">{error}</p>}
+                        </div>
+                        <div className="space-y-2">
+                            <Label htmlFor="scenario-description">Description</Label>
+                            <Textarea
+                                id="scenario-description"
+                                value={formData.description}
+                                onChange={(e) => setFormData(prev => ({ ...prev, description: e.target.value }))}
+                                placeholder="What are you trying out?"
+                                rows={3}
+                            />
+                        </div>
+                    </div>
+                    <DialogFooter>
+                        <Button variant="ghost" onClick={() => setIsFormOpen(false)}>Cancel</Button>
+                        <Button onClick={handleCreate}>Create Scenario</Button>
+                    </DialogFooter>
+                </DialogContent>
+            </Dialog>
+        </div>
+    );
+}
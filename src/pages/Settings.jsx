@@ -1,11 +1,16 @@
-import { useState, useRef } from 'react';
+import { useState, useRef, useEffect } from 'react';
 import { useApp } from '../context/AppContext';
 import {
     downloadAsJson,
     readJsonFile,
-    importData,
-    clearAllStorage,
 } from '../utils/storage';
+import {
+    exportPersistedData,
+    importPersistedData,
+    clearPersistedData,
+    getPersistenceAdapter,
+    getStorageEstimate,
+} from '../utils/persistence';
 import { Button } from "@/components/ui/button";
 import {
     Card,
@@ -56,6 +61,8 @@ import {
     ChevronUp
 } from "lucide-react";
 import { CURRENT_VERSION } from '../utils/migration';
+import ExchangeRatesCard from '../components/settings/ExchangeRatesCard';
+import CostLoadingCard from '../components/settings/CostLoadingCard';
 import { cn } from "@/lib/utils";
 import './Settings.css';
 
@@ -80,6 +87,17 @@ export default function Settings() {
     const [importMessage, setImportMessage] = useState('');
     const [showClearConfirm, setShowClearConfirm] = useState(false);
     const fileInputRef = useRef(null);
+    const [storageEstimate, setStorageEstimate] = useState(null);
+    const storageAdapter = getPersistenceAdapter();
+    const isIndexedDB = storageAdapter.name === 'indexedDB';
+
+    useEffect(() => {
+        getStorageEstimate().then(setStorageEstimate);
+    }, [state.allocations, state.auditLog]);
+
+    const storageUsagePercent = storageEstimate?.quota
+        ? Math.min(100, (storageEstimate.usage / storageEstimate.quota) * 100)
+        : 0;
 
     // Data statistics
     const stats = [
@@ -111,18 +129,20 @@ export default function Settings() {
         },
         {
             label: 'Storage Mode',
-            status: 'Local (IDB)',
+            status: isIndexedDB ? 'Pass' : 'Fallback',
             icon: Database,
-            color: 'text-blue-500',
-            desc: 'Persistent browser storage is active and healthy.'
+            color: isIndexedDB ? 'text-blue-500' : 'text-amber-500',
+            desc: isIndexedDB
+                ? 'IndexedDB storage is active with per-entity object stores.'
+                : 'IndexedDB is unavailable. Using localStorage (~5MB quota).'
         }
     ];
 
     const [showAuditLogs, setShowAuditLogs] = useState(false);
 
     // Handle export
-    const handleExport = () => {
-        downloadAsJson('wrm-export');
+    const handleExport = async () => {
+        downloadAsJson('wrm-export', await exportPersistedData());
         setImportStatus('success');
         setImportMessage('Data exported successfully!');
         setTimeout(() => setImportStatus(null), 3000);
@@ -143,7 +163,7 @@ export default function Settings() {
                 return;
             }
 
-            const success = importData(data);
+            const success = await importPersistedData(data);
             if (success) {
                 setImportStatus('success');
                 setImportMessage('Data imported successfully! Reloading...');
@@ -161,8 +181,8 @@ export default function Settings() {
     };
 
     // Handle clear all data
-    const handleClearAll = () => {
-        clearAllStorage();
+    const handleClearAll = async () => {
+        await clearPersistedData();
         setShowClearConfirm(false);
         setImportStatus('success');
         setImportMessage('All data cleared! Reloading...');
@@ -203,11 +223,16 @@ export default function Settings() {
                         <div className="bg-white/5 border border-white/10 p-4 rounded-2xl">
                             <p className="text-[10px] font-black uppercase tracking-widest text-slate-500 mb-1">Storage Usage</p>
                             <div className="flex items-end justify-between">
-                                <span className="text-2xl font-black">Local</span>
-                                <span className="text-xs font-bold text-blue-400">Persistent Storage</span>
+                                <span className="text-2xl font-black">{storageAdapter.label}</span>
+                                <span className="text-xs font-bold text-blue-400">
+                                    {storageEstimate ? `${(storageEstimate.usage / 1024 / 1024).toFixed(1)} MB used` : 'Persistent Storage'}
+                                </span>
                             </div>
                             <div className="mt-3 h-1.5 w-full bg-white/5 rounded-full overflow-hidden">
-                                <div className="h-full w-2/3 bg-indigo-500 shadow-[0_0_10px_rgba(79,70,229,0.5)]"></div>
+                                <div
+                                    className="h-full bg-indigo-500 shadow-[0_0_10px_rgba(79,70,229,0.5)]"
+                                    style={{ width: `${Math.max(storageUsagePercent, 2)}%` }}
+                                ></div>
                             </div>
                         </div>
                     </div>
@@ -293,11 +318,32 @@ export default function Settings() {
                                 </div>
                                 <Badge variant="success" className="h-5 text-[9px] uppercase font-bold">Enabled</Badge>
                             </div>
+                            <div className="flex items-center justify-between">
+                                <div className="space-y-0.5">
+                                    <Label className="text-sm font-bold">Require Manager Approval</Label>
+                                    <p className="text-[10px] text-slate-500 font-medium">Budget, manager and rate changes wait for the cost center manager.</p>
+                                </div>
+                                <Switch
+                                    checked={Boolean(state.settings?.costCenterSettings?.requireManagerApproval)}
+                                    onCheckedChange={(checked) => {
+                                        dispatch({
+                                            type: ACTIONS.UPDATE_SETTINGS,
+                                            payload: {
+                                                costCenterSettings: { ...state.settings?.costCenterSettings, requireManagerApproval: checked }
+                                            }
+                                        });
+                                    }}
+                                />
+                            </div>
                         </div>
                     </CardContent>
                 </Card>
             </div>
 
+            <ExchangeRatesCard />
+
+            <CostLoadingCard />
+
             <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
 
                 {/* Left Column: Data Overview */}
@@ -9,6 +9,8 @@ import {
     Calendar,
     Search,
     Filter,
+    GitBranch,
+    Flag,
 } from "lucide-react";
 import {
     format,
@@ -31,16 +33,19 @@ import {
 } from "@/components/ui/dropdown-menu";
 import { Badge } from "@/components/ui/badge";
 import { TooltipProvider } from "@/components/ui/tooltip";
+import { calculateCriticalPath, getDemandNumbers } from '../utils/criticalPath';
 
 export default function TimelineView() {
     const { state, dispatch } = useApp();
-    const { members, allocations, holidays } = state;
+    const { members, allocations, holidays, leaves, settings } = state;
 
     // View state
     const [zoom, setZoom] = useState('day'); // 'day' | 'week' | 'month'
     const [density, setDensity] = useState('comfortable'); // 'comfortable' | 'compact'
     const [centerDate, setCenterDate] = useState(startOfToday());
     const [searchQuery, setSearchQuery] = useState("");
+    const [criticalDemand, setCriticalDemand] = useState(''); // Demand whose critical chain is highlighted
+    const [baselineId, setBaselineId] = useState(''); // Baseline drawn as ghost bars
 
     // Calculate date range based on zoom level
     const dateRange = useMemo(() => {
@@ -93,6 +98,22 @@ export default function TimelineView() {
 
     const handleToday = () => setCenterDate(startOfToday());
 
+    // Critical path of the highlighted demand
+    const demandNumbers = useMemo(() => getDemandNumbers(allocations), [allocations]);
+    const criticalPath = useMemo(() => {
+        if (!criticalDemand) return null;
+        const analysis = calculateCriticalPath(allocations, criticalDemand, holidays, leaves, settings, members);
+        return {
+            demandNumber: criticalDemand,
+            criticalIds: new Set(analysis.criticalPath),
+            floatById: new Map(analysis.tasks.map(t => [t.id, t.totalFloat])),
+        };
+    }, [allocations, criticalDemand, holidays, leaves, settings, members]);
+
+    // Baseline drawn under the live bars
+    const baselines = state.baselines || [];
+    const baseline = baselines.find(b => b.id === baselineId) || null;
+
     // Filter members based on search
     const filteredMembers = useMemo(() => {
         return members.filter(m =>
@@ -165,6 +186,57 @@ export default function TimelineView() {
                             </Button>
                         </div>
 
+                        {/* Critical Path Highlight */}
+                        <DropdownMenu>
+                            <DropdownMenuTrigger asChild>
+                                <Button
+                                    variant={criticalDemand ? "secondary" : "outline"}
+                                    size="sm"
+                                    className="h-9 font-bold px-3 gap-2"
+                                    disabled={demandNumbers.length === 0}
+                                >
+                                    <GitBranch className="h-4 w-4" />
+                                    {criticalDemand ? `Critical: ${criticalDemand}` : 'Critical Path'}
+                                </Button>
+                            </DropdownMenuTrigger>
+                            <DropdownMenuContent align="end" className="max-h-72 overflow-y-auto">
+                                <DropdownMenuLabel>Highlight critical chain</DropdownMenuLabel>
+                                <DropdownMenuItem onClick={() => setCriticalDemand('')}>None</DropdownMenuItem>
+                                <DropdownMenuSeparator />
+                                {demandNumbers.map(demand => (
+                                    <DropdownMenuItem key={demand} onClick={() => setCriticalDemand(demand)}>
+                                        {demand}
+                                    </DropdownMenuItem>
+                                ))}
+                            </DropdownMenuContent>
+                        </DropdownMenu>
+
+                        {/* Baseline Overlay */}
+                        <DropdownMenu>
+                            <DropdownMenuTrigger asChild>
+                                <Button
+                                    variant={baseline ? "secondary" : "outline"}
+                                    size="sm"
+                                    className="h-9 font-bold px-3 gap-2"
+                                    disabled={baselines.length === 0}
+                                >
+                                    <Flag className="h-4 w-4" />
+                                    {baseline ? `Baseline: ${baseline.name}` : 'Baseline'}
+                                </Button>
+                            </DropdownMenuTrigger>
+                            <DropdownMenuContent align="end" className="max-h-72 overflow-y-auto">
+                                <DropdownMenuLabel>Show baseline bars</DropdownMenuLabel>
+                                <DropdownMenuItem onClick={() => setBaselineId('')}>None</DropdownMenuItem>
+                                <DropdownMenuSeparator />
+                                {baselines.map(b => (
+                                    <DropdownMenuItem key={b.id} onClick={() => setBaselineId(b.id)}>
+                                        {b.name}
+                                        <span className="ml-auto pl-3 text-[10px] text-muted-foreground">{b.demandNumber || 'Portfolio'}</span>
+                                    </DropdownMenuItem>
+                                ))}
+                            </DropdownMenuContent>
+                        </DropdownMenu>
+
                         <div className="h-4 w-px bg-border mx-1" />
 
                         {/* Zoom Controls */}
@@ -219,6 +291,8 @@ export default function TimelineView() {
                         cellWidth={cellWidth}
                         rowHeight={rowHeight}
                         holidays={holidays}
+                        criticalPath={criticalPath}
+                        baselineEntries={baseline?.entries}
                         onTaskUpdate={handleTaskUpdate}
                     />
                 </div>
@@ -238,6 +312,18 @@ export default function TimelineView() {
                             <div className="w-2.5 h-2.5 rounded-full bg-amber-500 shadow-[0_0_8px_rgba(245,158,11,0.4)]" />
                             <span className="text-[10px] font-black uppercase tracking-widest text-muted-foreground/80">Maintenance</span>
                         </div>
+                        {baseline && (
+                            <div className="flex items-center gap-2">
+                                <div className="w-4 h-2.5 rounded-sm border border-dashed border-muted-foreground/60 bg-muted-foreground/10" />
+                                <span className="text-[10px] font-black uppercase tracking-widest text-muted-foreground/80">Baseline</span>
+                            </div>
+                        )}
+                        {criticalPath && (
+                            <div className="flex items-center gap-2">
+                                <div className="w-2.5 h-2.5 rounded-full bg-rose-500 shadow-[0_0_8px_rgba(244,63,94,0.4)]" />
+                                <span className="text-[10px] font-black uppercase tracking-widest text-muted-foreground/80">Critical Path</span>
+                            </div>
+                        )}
                     </div>
 
                     <div className="flex items-center gap-4">
@@ -0,0 +1,478 @@
+/**
+ * Timesheets Page
+ * Weekly grid of hours per allocation and day for one member, a running timer,
+ * and submission/approval of each week
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { format, parseISO, addWeeks } from 'date-fns';
+import { useApp } from '../context/AppContext';
+import { isAllocationForMember } from '../utils/calculations';
+import {
+    TIMESHEET_STATUS,
+    timesheetStatusOptions,
+    findTimesheet,
+    getTimerEntries,
+    getTimesheetTransitionError,
+    getWeekDates,
+    getWeekStart,
+    isWeekEditable,
+    validateTimeEntry,
+} from '../utils/timesheets';
+import { showToast } from '../utils/toast';
+import { PageHeader } from "@/components/ui/page-header";
+import { EmptyState } from "@/components/ui/empty-state";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "@/components/ui/select";
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogFooter,
+    DialogHeader,
+    DialogTitle,
+} from "@/components/ui/dialog";
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableFooter,
+    TableHead,
+    TableHeader,
+    TableRow,
+} from "@/components/ui/table";
+import { ChevronLeft, ChevronRight, Timer, Play, Square, Send, Check, X, AlertTriangle, Trash2 } from "lucide-react";
+import { cn } from "@/lib/utils";
+
+const formatHours = (hours) => (hours ? Number(hours.toFixed(2)).toString() : '');
+
+const formatElapsed = (ms) => {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, '0');
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return `${hours}:${minutes}:${seconds}`;
+};
+
+// Hours input that commits on blur/Enter so each cell edit is one undo step
+function HoursCell({ value, disabled, onCommit }) {
+    const [draft, setDraft] = useState(formatHours(value));
+
+    useEffect(() => {
+        setDraft(formatHours(value));
+    }, [value]);
+
+    const commit = () => {
+        const hours = draft === '' ? 0 : Number(draft);
+        if (hours === (value || 0)) return;
+        if (!onCommit(hours)) setDraft(formatHours(value));
+    };
+
+    return (
+        <Input
+            type="number"
+            min={0}
+            max={24}
+            step={0.25}
+            value={draft}
+            disabled={disabled}
+            onChange={(e) => setDraft(e.target.value)}
+            onBlur={commit}
+            onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+            className="h-8 w-16 mx-auto text-center tabular-nums rounded-lg px-1"
+        />
+    );
+}
+
+export default function Timesheets() {
+    const { state, dispatch, ACTIONS } = useApp();
+    const { allocations, timeEntries, timesheets, timers } = state;
+    const members = useMemo(() => state.members.filter(m => m.isActive), [state.members]);
+
+    const [memberId, setMemberId] = useState(members[0]?.id || '');
+    const [weekStart, setWeekStart] = useState(getWeekStart(new Date()));
+    const [rejectReason, setRejectReason] = useState('');
+    const [isRejectOpen, setIsRejectOpen] = useState(false);
+    const [now, setNow] = useState(() => Date.now());
+
+    const member = members.find(m => m.id === memberId);
+    const weekDates = useMemo(() => getWeekDates(weekStart), [weekStart]);
+    const weekEnd = weekDates[6];
+    const timesheet = findTimesheet(timesheets, memberId, weekStart);
+    const status = timesheet?.status || TIMESHEET_STATUS.DRAFT;
+    const statusOption = timesheetStatusOptions.find(o => o.value === status);
+    const isEditable = isWeekEditable(timesheets, memberId, weekStart);
+    const timer = timers.find(t => t.memberId === memberId);
+
+    // Tick once a second while the timer runs
+    useEffect(() => {
+        if (!timer) return undefined;
+        const interval = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(interval);
+    }, [timer]);
+
+    const weekEntries = useMemo(() => timeEntries.filter(e =>
+        e.memberId === memberId && e.date >= weekStart && e.date <= weekEnd
+    ), [timeEntries, memberId, weekStart, weekEnd]);
+
+    // Allocations planned in this week, plus any with hours already logged in it
+    const rows = useMemo(() => {
+        const selected = members.find(m => m.id === memberId);
+        if (!selected) return [];
+        const loggedIds = new Set(weekEntries.map(e => e.allocationId));
+        return allocations
+            .filter(a => isAllocationForMember(a, selected))
+            .filter(a => loggedIds.has(a.id) || (
+                a.status !== 'cancelled' &&
+                a.plan?.taskStart && a.plan.taskStart <= weekEnd &&
+                (a.plan.taskEnd || a.plan.taskStart) >= weekStart
+            ))
+            .sort((a, b) => (a.plan?.taskStart || '').localeCompare(b.plan?.taskStart || ''));
+    }, [allocations, members, memberId, weekEntries, weekStart, weekEnd]);
+
+    const getHours = (allocationId, date) =>
+        weekEntries.find(e => e.allocationId === allocationId && e.date === date)?.hours || 0;
+
+    const dayTotals = weekDates.map(date =>
+        weekEntries.filter(e => e.date === date).reduce((sum, e) => sum + e.hours, 0)
+    );
+    const weekTotal = dayTotals.reduce((sum, h) => sum + h, 0);
+
+    const pending = timesheets
+        .filter(t => t.status === TIMESHEET_STATUS.SUBMITTED)
+        .sort((a, b) => a.weekStart.localeCompare(b.weekStart));
+
+    const handleCommit = (allocationId, date, hours) => {
+        const entry = { memberId, allocationId, date, hours };
+        const error = validateTimeEntry(timeEntries, timesheets, entry);
+        if (error) {
+            showToast.error(error);
+            return false;
+        }
+        dispatch({ type: ACTIONS.SET_TIME_ENTRY, payload: entry });
+        return true;
+    };
+
+    const handleStartTimer = (allocation) => {
+        dispatch({
+            type: ACTIONS.START_TIMER,
+            payload: { memberId, allocationId: allocation.id, startedAt: new Date().toISOString() },
+        });
+    };
+
+    const handleStopTimer = () => {
+        const stoppedAt = new Date().toISOString();
+        const { entries, hours, unbookedHours } = getTimerEntries(timeEntries, timesheets, timer, stoppedAt);
+        dispatch({ type: ACTIONS.STOP_TIMER, payload: { memberId, stoppedAt } });
+
+        if (entries.length === 1) {
+            showToast.success(`Logged ${formatHours(hours)}h on ${format(parseISO(entries[0].date), 'EEE, MMM d')}`);
+        } else if (entries.length > 1) {
+            showToast.success(`Logged ${formatHours(hours)}h over ${entries.length} days`);
+        }
+        if (unbookedHours > 0) {
+            showToast.warning(`${formatHours(unbookedHours)}h could not be logged (locked week or a full 24-hour day)`);
+        }
+    };
+
+    const handleDiscardTimer = () => {
+        dispatch({ type: ACTIONS.DISCARD_TIMER, payload: { memberId } });
+        showToast.info('Timer discarded; no hours were logged');
+    };
+
+    // Check the move first so an invalid one shows a toast instead of reaching the reducer
+    const transition = (type, change, status) => {
+        const error = getTimesheetTransitionError(timesheets, { ...change, status });
+        if (error) {
+            showToast.error(error);
+            return false;
+        }
+        dispatch({ type, payload: change });
+        return true;
+    };
+
+    const handleSubmit = () => {
+        if (!transition(ACTIONS.SUBMIT_TIMESHEET, { memberId, weekStart }, TIMESHEET_STATUS.SUBMITTED)) return;
+        showToast.success(`Timesheet for the week of ${format(parseISO(weekStart), 'MMM d')} submitted`);
+    };
+
+    const handleApprove = (target = { memberId, weekStart }) => {
+        if (!transition(ACTIONS.APPROVE_TIMESHEET, target, TIMESHEET_STATUS.APPROVED)) return;
+        showToast.success('Timesheet approved; hours now count as actual cost');
+    };
+
+    const handleReject = () => {
+        if (!transition(ACTIONS.REJECT_TIMESHEET, { memberId, weekStart, note: rejectReason }, TIMESHEET_STATUS.REJECTED)) return;
+        setIsRejectOpen(false);
+        setRejectReason('');
+    };
+
+    const openTimesheet = (target) => {
+        setMemberId(target.memberId);
+        setWeekStart(target.weekStart);
+    };
+
+    if (members.length === 0) {
+        return (
+            <div className="space-y-6">
+                <PageHeader title="Timesheets" description="Log actual hours against allocations" />
+                <Card>
+                    <EmptyState icon={Timer} title="No active team members" description="Add team members to start logging time." />
+                </Card>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            <PageHeader
+                title="Timesheets"
+                description="Log actual hours against allocations; approved hours become actual cost"
+                actions={
+                    <Select value={memberId} onValueChange={setMemberId}>
+                        <SelectTrigger className="w-56">
+                            <SelectValue placeholder="Select member" />
+                        </SelectTrigger>
+                        <SelectContent>
+                            {members.map(m => <SelectItem key={m.id} value={m.id}>{m.name}</SelectItem>)}
+                        </SelectContent>
+                    </Select>
+                }
+            />
+
+            {timer && (
+                <Card className="border-primary/30 bg-primary/5">
+                    <CardContent className="p-4 flex items-center justify-between gap-4">
+                        <div className="flex items-center gap-3">
+                            <Timer className="h-5 w-5 text-primary animate-pulse" />
+                            <div>
+                                <p className="text-sm font-bold">
+                                    {allocations.find(a => a.id === timer.allocationId)?.activityName || 'Allocation'}
+                                </p>
+                                <p className="text-xs text-muted-foreground">Started {format(new Date(timer.startedAt), 'EEE HH:mm')}</p>
+                            </div>
+                        </div>
+                        <div className="flex items-center gap-3">
+                            <span className="text-xl font-black tabular-nums">{formatElapsed(now - new Date(timer.startedAt))}</span>
+                            <Button size="sm" variant="outline" className="gap-2" onClick={handleDiscardTimer}>
+                                <Trash2 className="h-3 w-3" />
+                                Discard
+                            </Button>
+                            <Button size="sm" variant="destructive" className="gap-2" onClick={handleStopTimer}>
+                                <Square className="h-3 w-3" />
+                                Stop
+                            </Button>
+                        </div>
+                    </CardContent>
+                </Card>
+            )}
+
+            <Card>
+                <CardHeader>
+                    <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+                        <div>
+                            <CardTitle className="flex items-center gap-3">
+                                Week of {format(parseISO(weekStart), 'MMM d, yyyy')}
+                                <Badge variant={statusOption.variant} className="text-[10px] uppercase">{statusOption.label}</Badge>
+                            </CardTitle>
+                            <CardDescription>
+                                {timesheet?.submittedAt && `Submitted ${format(parseISO(timesheet.submittedAt), 'MMM d, HH:mm')}`}
+                                {timesheet?.reviewedAt && ` · Reviewed ${format(parseISO(timesheet.reviewedAt), 'MMM d, HH:mm')}`}
+                                {!timesheet && 'Hours in quarter-hour steps; submit the week when it is complete'}
+                            </CardDescription>
+                        </div>
+                        <div className="flex items-center gap-1">
+                            <Button variant="outline" size="icon" className="h-9 w-9" onClick={() => setWeekStart(getWeekStart(addWeeks(parseISO(weekStart), -1)))}>
+                                <ChevronLeft className="h-4 w-4" />
+                            </Button>
+                            <Button variant="outline" size="sm" className="h-9 font-bold px-3" onClick={() => setWeekStart(getWeekStart(new Date()))}>
+                                This Week
+                            </Button>
+                            <Button variant="outline" size="icon" className="h-9 w-9" onClick={() => setWeekStart(getWeekStart(addWeeks(parseISO(weekStart), 1)))}>
+                                <ChevronRight className="h-4 w-4" />
+                            </Button>
+                        </div>
+                    </div>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                    {status === TIMESHEET_STATUS.REJECTED && timesheet.reviewNote && (
+                        <div className="flex items-center gap-2 p-3 rounded-lg bg-rose-50 border border-rose-200 text-xs text-rose-700">
+                            <AlertTriangle className="h-4 w-4 shrink-0" />
+                            Rejected: {timesheet.reviewNote}
+                        </div>
+                    )}
+
+                    {rows.length === 0 ? (
+                        <p className="text-sm text-muted-foreground">No allocations planned for {member?.name} this week.</p>
+                    ) : (
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>Allocation</TableHead>
+                                    {weekDates.map(date => (
+                                        <TableHead key={date} className="text-center w-20">
+                                            <div>{format(parseISO(date), 'EEE')}</div>
+                                            <div className="text-[10px] font-normal">{format(parseISO(date), 'MMM d')}</div>
+                                        </TableHead>
+                                    ))}
+                                    <TableHead className="text-right">Total</TableHead>
+                                    <TableHead className="w-12" />
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {rows.map(allocation => {
+                                    const rowTotal = weekDates.reduce((sum, date) => sum + getHours(allocation.id, date), 0);
+                                    const isTiming = timer?.allocationId === allocation.id;
+                                    return (
+                                        <TableRow key={allocation.id}>
+                                            <TableCell>
+                                                <div className="font-medium">{allocation.activityName}</div>
+                                                <div className="text-[10px] text-muted-foreground">{allocation.demandNumber || allocation.category}</div>
+                                            </TableCell>
+                                            {weekDates.map(date => (
+                                                <TableCell key={date} className="text-center p-1">
+                                                    <HoursCell
+                                                        value={getHours(allocation.id, date)}
+                                                        disabled={!isEditable}
+                                                        onCommit={(hours) => handleCommit(allocation.id, date, hours)}
+                                                    />
+                                                </TableCell>
+                                            ))}
+                                            <TableCell className="text-right font-bold tabular-nums">{formatHours(rowTotal) || '0'}</TableCell>
+                                            <TableCell>
+                                                <Button
+                                                    variant="ghost"
+                                                    size="icon"
+                                                    className={cn("h-8 w-8", isTiming && "text-primary")}
+                                                    disabled={!isEditable || (timer && !isTiming)}
+                                                    onClick={() => (isTiming ? handleStopTimer() : handleStartTimer(allocation))}
+                                                    title={isTiming ? 'Stop timer' : 'Start timer'}
+                                                >
+                                                    {isTiming ? <Square className="h-4 w-4" /> : <Play className="h-4 w-4" />}
+                                                </Button>
+                                            </TableCell>
+                                        </TableRow>
+                                    );
+                                })}
+                            </TableBody>
+                            <TableFooter>
+                                <TableRow>
+                                    <TableCell className="font-bold">Total</TableCell>
+                                    {dayTotals.map((hours, i) => (
+                                        <TableCell key={weekDates[i]} className="text-center font-bold tabular-nums">{formatHours(hours) || '—'}</TableCell>
+                                    ))}
+                                    <TableCell className="text-right font-black tabular-nums">{formatHours(weekTotal) || '0'}</TableCell>
+                                    <TableCell />
+                                </TableRow>
+                            </TableFooter>
+                        </Table>
+                    )}
+
+                    <div className="flex justify-end gap-2">
+                        {isEditable && (
+                            <Button className="gap-2" onClick={handleSubmit} disabled={weekTotal === 0 || !!timer}>
+                                <Send className="h-4 w-4" />
+                                Submit Week
+                            </Button>
+                        )}
+                        {status === TIMESHEET_STATUS.SUBMITTED && (
+                            <>
+                                <Button variant="outline" className="gap-2 text-rose-600" onClick={() => setIsRejectOpen(true)}>
+                                    <X className="h-4 w-4" />
+                                    Reject
+                                </Button>
+                                <Button className="gap-2" onClick={() => handleApprove()}>
+                                    <Check className="h-4 w-4" />
+                                    Approve
+                                </Button>
+                            </>
+                        )}
+                    </div>
+                </CardContent>
+            </Card>
+
+            <Card>
+                <CardHeader>
+                    <CardTitle>Awaiting Approval</CardTitle>
+                    <CardDescription>Submitted weeks across the team</CardDescription>
+                </CardHeader>
+                <CardContent>
+                    {pending.length === 0 ? (
+                        <p className="text-sm text-muted-foreground">No timesheets are waiting for approval.</p>
+                    ) : (
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>Member</TableHead>
+                                    <TableHead>Week</TableHead>
+                                    <TableHead className="text-right">Hours</TableHead>
+                                    <TableHead>Submitted</TableHead>
+                                    <TableHead />
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {pending.map(t => {
+                                    const dates = getWeekDates(t.weekStart);
+                                    const hours = timeEntries
+                                        .filter(e => e.memberId === t.memberId && e.date >= dates[0] && e.date <= dates[6])
+                                        .reduce((sum, e) => sum + e.hours, 0);
+                                    return (
+                                        <TableRow key={t.id}>
+                                            <TableCell className="font-medium">{state.members.find(m => m.id === t.memberId)?.name || t.memberId}</TableCell>
+                                            <TableCell>{format(parseISO(t.weekStart), 'MMM d, yyyy')}</TableCell>
+                                            <TableCell className="text-right tabular-nums">{formatHours(hours)}</TableCell>
+                                            <TableCell className="text-xs text-muted-foreground">{format(parseISO(t.submittedAt), 'MMM d, HH:mm')}</TableCell>
+                                            <TableCell className="text-right space-x-1">
+                                                <Button variant="ghost" size="sm" className="h-8" onClick={() => openTimesheet(t)}>Open</Button>
+                                                <Button size="sm" className="h-8 gap-1" onClick={() => handleApprove({ memberId: t.memberId, weekStart: t.weekStart })}>
+                                                    <Check className="h-3 w-3" />
+                                                    Approve
+                                                </Button>
+                                            </TableCell>
+                                        </TableRow>
+                                    );
+                                })}
+                            </TableBody>
+                        </Table>
+                    )}
+                </CardContent>
+            </Card>
+
+            <Dialog open={isRejectOpen} onOpenChange={setIsRejectOpen}>
+                <DialogContent className="sm:max-w-md">
+                    <DialogHeader>
+                        <DialogTitle>Reject Timesheet</DialogTitle>
+                        <DialogDescription>
+                            The week goes back to {member?.name} for correction and must be submitted again.
+                        </DialogDescription>
+                    </DialogHeader>
+                    <div className="space-y-2 py-2">
+                        <Label htmlFor="reject-reason">Reason</Label>
+                        <Textarea
+                            id="reject-reason"
+                            value={rejectReason}
+                            onChange={(e) => setRejectReason(e.target.value)}
+                            placeholder="What needs to change?"
+                            rows={3}
+                        />
+                    </div>
+                    <DialogFooter>
+                        <Button variant="ghost" onClick={() => setIsRejectOpen(false)}>Cancel</Button>
+                        <Button variant="destructive" onClick={handleReject} disabled={!rejectReason.trim()}>Reject</Button>
+                    </DialogFooter>
+                </DialogContent>
+            </Dialog>
+        </div>
+    );
+}
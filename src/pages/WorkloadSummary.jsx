@@ -6,8 +6,11 @@ import {
     getMemberWorkloads,
     formatCurrency,
     calculateMonthlyTrend,
-    getMemberTaskAvailability
+    getMemberTaskAvailability,
+    isLeaveForMember,
+    getMemberDailyLoad
 } from '../utils/calculations';
+import { getMemberCalendars, isWorkingDay } from '../utils/workCalendar';
 import {
     parseISO,
     startOfDay,
@@ -26,7 +29,8 @@ import {
     WorkloadUtilizationChart,
     DistributionPieChart,
     ProjectedCostChart,
-    TeamPreview
+    TeamPreview,
+    ResourceLevelingDialog
 } from "@/components/dashboard";
 import { CollapsibleSection } from "@/components/ui/CollapsibleSection";
 import { Button } from "@/components/ui/button";
@@ -40,7 +44,8 @@ import {
     TrendingUp,
     Clock,
     FilterX,
-    Download
+    Download,
+    Scale
 } from "lucide-react";
 import { exportElementAsPng } from "@/utils/export";
 import { cn } from "@/lib/utils"; // Assuming cn utility is available
@@ -76,6 +81,7 @@ export default function WorkloadSummary() {
 
     // Date range filter state
     const [dateFilter, setDateFilter] = useState({ start: '', end: '' });
+    const [isLevelingOpen, setIsLevelingOpen] = useState(false);
 
     // Filter allocations by date range
     const filteredAllocations = useMemo(() => {
@@ -98,7 +104,7 @@ export default function WorkloadSummary() {
         });
     }, [allocations, dateFilter]);
 
-    const memberWorkloads = getMemberWorkloads(filteredAllocations, members);
+    const memberWorkloads = getMemberWorkloads(filteredAllocations, members, dateFilter.start || new Date());
     const taskAvailability = getMemberTaskAvailability(filteredAllocations, members, 5);
 
     // Period Formatting for display
@@ -136,6 +142,7 @@ export default function WorkloadSummary() {
     // Chart Data: Workload Utilization
     const workloadChartData = useMemo(() => {
         return memberWorkloads.map(w => ({
+            memberId: w.memberId,
             name: w.name,
             workload: parseFloat(w.percentage.toFixed(1))
         }));
@@ -190,10 +197,12 @@ export default function WorkloadSummary() {
         }
 
         return members.map(member => {
-            const memberAllocations = filteredAllocations.filter(a => a.resource === member.name);
-            const memberLeaves = (leaves || []).filter(l => l.memberName === member.name);
+            const memberLeaves = (leaves || []).filter(l => isLeaveForMember(l, member));
+            const calendars = getMemberCalendars(member);
 
             const daysData = days.map(day => {
+                if (!isWorkingDay(day.date, calendars)) return { date: day.label, count: 0, status: 'off' };
+
                 const isOnLeave = memberLeaves.some(l => {
                     const start = l.startDate ? new Date(l.startDate) : null;
                     const end = l.endDate ? new Date(l.endDate) : null;
@@ -206,23 +215,19 @@ export default function WorkloadSummary() {
 
                 if (isOnLeave) return { date: day.label, count: 0, status: 'leave' };
 
-                const activeCount = memberAllocations.filter(a => {
-                    const start = a.plan?.taskStart ? new Date(a.plan.taskStart) : null;
-                    const end = a.plan?.taskEnd ? new Date(a.plan.taskEnd) : null;
-                    if (!start || !end) return false;
-                    return day.date >= start && day.date <= end;
-                }).length;
+                // Load is the summed assignment share, so two half-time tasks read as 100%
+                const { count, percentage } = getMemberDailyLoad(member, filteredAllocations, format(day.date, 'yyyy-MM-dd'));
 
                 let status = 'available';
-                if (activeCount >= 5) status = 'over-capacity';
-                else if (activeCount >= 4) status = 'heavy';
-                else if (activeCount >= 3) status = 'moderate';
-                else if (activeCount >= 1) status = 'light';
+                if (percentage > 100) status = 'over-capacity';
+                else if (percentage >= 80) status = 'heavy';
+                else if (percentage >= 50) status = 'moderate';
+                else if (count > 0) status = 'light';
 
-                return { date: day.label, count: activeCount, status };
+                return { date: day.label, count, load: Math.round(percentage), status };
             });
 
-            return { member: member.name, days: daysData };
+            return { memberId: member.id, member: member.name, days: daysData };
         });
     }, [members, allocations, leaves]);
 
@@ -314,6 +319,10 @@ export default function WorkloadSummary() {
                                 Next 90D
                             </Button>
                         </div>
+                        <Button variant="outline" className="rounded-xl h-10 px-4 gap-2" onClick={() => setIsLevelingOpen(true)}>
+                            <Scale className="h-4 w-4" />
+                            Level Resources
+                        </Button>
                         <Button className="rounded-xl shadow-md h-10 px-6 gap-2" onClick={() => navigate('/allocation?action=add')}>
                             <Plus className="h-4 w-4" />
                             Add Allocation
@@ -419,7 +428,7 @@ export default function WorkloadSummary() {
                 )}>
                     <WorkloadUtilizationChart
                         data={workloadChartData}
-                        onMemberClick={(data) => navigate(`/allocation?resource=${encodeURIComponent(data.name)}`)}
+                        onMemberClick={(data) => navigate(`/allocation?resourceId=${encodeURIComponent(data.memberId)}`)}
                     />
                     <DistributionPieChart
                         title="Work Category Distribution"
@@ -450,6 +459,12 @@ export default function WorkloadSummary() {
                     subTitle={`${heatmapTitle} (max 5 concurrent tasks)`}
                 />
             </CollapsibleSection>
+
+            <ResourceLevelingDialog
+                open={isLevelingOpen}
+                onOpenChange={setIsLevelingOpen}
+                defaultRange={dateFilter}
+            />
         </div>
     );
 }
@@ -0,0 +1,110 @@
+/**
+ * Accrual Tests
+ * Test working-day proration of allocation cost across calendar months and
+ * the monthly trend and budget actuals built on it
+ */
+
+import { describe, it, expect } from 'vitest';
+import { calculateMonthlyAccruals, getAccruedCost, getMonthlyAccruals } from '../utils/accruals';
+import {
+    calculateActualCostCenterCost,
+    calculateMonthlyCost,
+    calculateMonthlyTrend,
+} from '../utils/calculations';
+import { recalculateAllocations } from '../utils/recalculate';
+import { defaultComplexity } from '../data';
+
+const allocation = (id, taskStart, taskEnd, costProject, extra = {}) => ({
+    id,
+    costCenterId: 'CC-1',
+    plan: { taskStart, taskEnd, costProject },
+    ...extra,
+});
+
+describe('calculateMonthlyAccruals', () => {
+    it('splits a month-crossing task by working days', () => {
+        // Fri Jan 30 → Mon Feb 2: one working day in each month
+        expect(calculateMonthlyAccruals(1000, '2026-01-30', '2026-02-02')).toEqual({
+            '2026-01': 500,
+            '2026-02': 500,
+        });
+    });
+
+    it('skips holidays, leaves and the member calendar', () => {
+        // Jan 30 is a holiday: the whole cost lands in February
+        expect(calculateMonthlyAccruals(1000, '2026-01-30', '2026-02-02', { excludedDates: ['2026-01-30'] })).toEqual({
+            '2026-02': 1000,
+        });
+        // Mon–Thu calendar: Thu Jan 29 and Mon Feb 2 are worked, Fri Jan 30 is not
+        const calendars = [{ id: 'CAL-1', workdays: [1, 2, 3, 4], hoursPerDay: 8, effectiveFrom: '', effectiveTo: '' }];
+        expect(calculateMonthlyAccruals(1000, '2026-01-29', '2026-02-02', { calendars })).toEqual({
+            '2026-01': 500,
+            '2026-02': 500,
+        });
+    });
+
+    it('accrues everything in the start month without working days', () => {
+        expect(calculateMonthlyAccruals(1000, '2026-01-31', '2026-02-01')).toEqual({ '2026-01': 1000 });
+        expect(calculateMonthlyAccruals(0, '2026-01-05', '2026-01-09')).toEqual({});
+    });
+
+    it('follows the priced cost per month when given', () => {
+        // Loaded cost of 1,200 on a base priced 300 in January and 500 in February
+        const pricedByMonth = { '2026-01': 300, '2026-02': 500 };
+        expect(calculateMonthlyAccruals(1200, '2026-01-30', '2026-02-02', { pricedByMonth })).toEqual({
+            '2026-01': 450,
+            '2026-02': 750,
+        });
+        // Nothing priced: back to working days
+        expect(calculateMonthlyAccruals(1000, '2026-01-30', '2026-02-02', { pricedByMonth: {} })).toEqual({
+            '2026-01': 500,
+            '2026-02': 500,
+        });
+    });
+});
+
+describe('monthly figures', () => {
+    const allocations = [
+        allocation('A1', '2026-01-30', '2026-02-02', 1000),
+        allocation('A2', '2026-04-01', '2026-04-30', 3000),
+        allocation('A3', '2025-12-15', '2025-12-19', 700, { status: 'cancelled' }),
+    ];
+
+    it('trends each month once with gaps filled', () => {
+        expect(calculateMonthlyTrend(allocations.slice(0, 2))).toEqual([
+            { month: 'Jan 26', cost: 500 },
+            { month: 'Feb 26', cost: 500 },
+            { month: 'Mar 26', cost: 0 },
+            { month: 'Apr 26', cost: 3000 },
+        ]);
+        expect(getMonthlyAccruals([])).toEqual([]);
+    });
+
+    it('reports cost center actuals for the month and the year', () => {
+        expect(calculateActualCostCenterCost('CC-1', allocations, 'monthly', '2026-02').actualCost).toBe(500);
+        expect(calculateActualCostCenterCost('CC-1', allocations, 'yearly', '2026-02').actualCost).toBe(4000);
+        // Cancelled work does not count
+        expect(calculateActualCostCenterCost('CC-1', allocations, 'yearly', '2025-12').actualCost).toBe(0);
+        expect(getAccruedCost(allocations, '2025-12')).toBe(700);
+    });
+
+    it('averages the monthly cost over the calendar months touched', () => {
+        expect(calculateMonthlyCost(900, '2026-01-01', '2026-03-31')).toBe(300);
+        expect(calculateMonthlyCost(1000, '2026-01-30', '2026-02-02')).toBe(500);
+    });
+});
+
+describe('recalculateAllocations', () => {
+    it('stores the working-day accruals of the planned cost', () => {
+        const costs = [{ id: 'T1', resourceName: 'Senior', perHourCost: 100000, currency: 'IDR' }];
+        const members = [{ id: 'M1', name: 'Ana', costTierId: 'T1' }];
+        const [recalculated] = recalculateAllocations(
+            [{ id: 'A1', resourceId: 'M1', category: 'Project', complexity: 'small', plan: { taskStart: '2026-01-29' } }],
+            defaultComplexity, costs, [], [], [], members, [], [], { currency: 'IDR', capacityFactor: 1 }
+        );
+
+        const accrued = Object.values(recalculated.plan.costByMonth).reduce((sum, amount) => sum + amount, 0);
+        expect(Object.keys(recalculated.plan.costByMonth)).toEqual(['2026-01', '2026-02']);
+        expect(accrued).toBeCloseTo(recalculated.plan.costProject);
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * Assignment Percentage Tests
+ * Test effort-driven durations, assignment workload and daily load
+ */
+
+import { describe, it, expect } from 'vitest';
+import { format } from 'date-fns';
+import {
+    calculatePlanEndDate,
+    getDefaultAssignmentPercent,
+    getMemberDailyLoad,
+} from '../utils/calculations';
+import { recalculateAllocations } from '../utils/recalculate';
+import { defaultComplexity } from '../data';
+
+const toDate = (date) => format(date, 'yyyy-MM-dd');
+const settings = { capacityFactor: 1, includeCutiBersama: true };
+const tasks = [{ id: 'T1', name: 'Build', category: 'Project', estimates: { low: { days: 8, hours: 32 } } }];
+const members = [{ id: 'MEM-001', name: 'Alice', type: 'FULLSTACK' }];
+
+const makeAllocation = (id, assignmentPercent) => ({
+    id,
+    activityName: id,
+    category: 'Project',
+    taskName: 'Build',
+    resourceId: 'MEM-001',
+    complexity: 'low',
+    status: 'open',
+    assignmentPercent,
+    plan: { taskStart: '2026-01-05', taskEnd: '' },
+    dependencies: [],
+});
+
+const endFor = (assignmentPercent) => toDate(calculatePlanEndDate(
+    '2026-01-05', 'low', 'MEM-001', [], [], defaultComplexity, 'Project', 1, true, [], assignmentPercent
+));
+
+describe('Assignment percentage', () => {
+    it('should derive duration from effort hours, daily hours and assignment', () => {
+        // Low is 32 effort hours: 4 days full time, 8 days at 50%, 16 days at 25%
+        expect(endFor(100)).toBe('2026-01-09');
+        expect(endFor(50)).toBe('2026-01-15');
+        expect(endFor(25)).toBe('2026-01-27');
+    });
+
+    it('should keep complexity durations when no assignment is set', () => {
+        expect(getDefaultAssignmentPercent(defaultComplexity.low)).toBe(50);
+        expect(endFor(null)).toBe(endFor(50));
+    });
+
+    it('should set workload from the assignment', () => {
+        const [explicit, template] = recalculateAllocations(
+            [makeAllocation('A', 30), makeAllocation('B', null)],
+            defaultComplexity, [], tasks, [], [], members, [], [], settings
+        );
+
+        expect(explicit.workload).toBeCloseTo(0.3);
+        // Template estimate: 32 hours over 8 days
+        expect(template.workload).toBe(0.5);
+    });
+
+    it('should add overlapping half-time assignments up to 100%', () => {
+        const allocations = recalculateAllocations(
+            [makeAllocation('A', 50), makeAllocation('B', 50)],
+            defaultComplexity, [], tasks, [], [], members, [], [], settings
+        );
+
+        const load = getMemberDailyLoad(members[0], allocations, '2026-01-07');
+
+        expect(load.count).toBe(2);
+        expect(load.percentage).toBe(100);
+        expect(getMemberDailyLoad(members[0], allocations, '2026-02-02').count).toBe(0);
+    });
+});
@@ -0,0 +1,108 @@
+/**
+ * Baseline Tests
+ * Test snapshot scope and plan-vs-baseline variance
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createBaseline, compareToBaseline } from '../utils/baselines';
+
+const members = [
+    { id: 'MEM-001', name: 'Alice', type: 'FULLSTACK' },
+    // Works Monday, Wednesday and Friday only
+    { id: 'MEM-002', name: 'Bob', type: 'FULLSTACK', workCalendars: [{ id: 'CAL-1', workdays: [1, 3, 5], hoursPerDay: 8, effectiveFrom: '', effectiveTo: '' }] },
+];
+
+const makeAllocation = (id, resourceId, taskStart, taskEnd, costProject, demandNumber = 'DEM-001') => ({
+    id,
+    demandNumber,
+    activityName: id,
+    resourceId,
+    status: 'open',
+    plan: { taskStart, taskEnd, costProject },
+});
+
+const allocations = [
+    makeAllocation('A', 'MEM-001', '2026-01-05', '2026-01-09', 1000),
+    makeAllocation('B', 'MEM-002', '2026-01-05', '2026-01-09', 2000),
+    makeAllocation('C', 'MEM-001', '2026-01-12', '2026-01-16', 500, 'DEM-002'),
+    { ...makeAllocation('D', 'MEM-001', '2026-01-12', '2026-01-16', 700), status: 'cancelled' },
+];
+
+describe('createBaseline', () => {
+    it('freezes plan dates and cost for the whole portfolio, skipping cancelled allocations', () => {
+        const baseline = createBaseline(allocations, { name: ' Kickoff ' });
+
+        expect(baseline.id).toMatch(/^BSL_/);
+        expect(baseline.name).toBe('Kickoff');
+        expect(baseline.demandNumber).toBeNull();
+        expect(Object.keys(baseline.entries).sort()).toEqual(['A', 'B', 'C']);
+        expect(baseline.entries.A).toMatchObject({ taskStart: '2026-01-05', taskEnd: '2026-01-09', costProject: 1000 });
+    });
+
+    it('limits a demand baseline to that demand', () => {
+        const baseline = createBaseline(allocations, { name: 'DEM-002 plan', demandNumber: 'DEM-002' });
+        expect(Object.keys(baseline.entries)).toEqual(['C']);
+    });
+});
+
+describe('compareToBaseline', () => {
+    it('reports slips in workdays and cost deltas', () => {
+        const baseline = createBaseline(allocations, { name: 'Kickoff', demandNumber: 'DEM-001' });
+        const current = allocations.map(a => a.id === 'A'
+            ? { ...a, plan: { taskStart: '2026-01-09', taskEnd: '2026-01-13', costProject: 1200 } }
+            : a
+        );
+
+        const { rows, totals } = compareToBaseline(current, baseline, { members });
+        const rowA = rows.find(r => r.id === 'A');
+
+        // Mon 5th -> Fri 9th is 4 workdays; Fri 9th -> Tue 13th skips the weekend
+        expect(rowA).toMatchObject({ startSlip: 4, finishSlip: 2, costDelta: 200, status: 'changed' });
+        expect(rows.find(r => r.id === 'B').status).toBe('unchanged');
+        // Out-of-scope demand is ignored
+        expect(rows.find(r => r.id === 'C')).toBeUndefined();
+        expect(totals).toMatchObject({ baselineCost: 3000, currentCost: 3200, costDelta: 200, maxFinishSlip: 2, slipped: 1 });
+    });
+
+    it('counts slips on the member working calendar', () => {
+        const baseline = createBaseline(allocations, { name: 'Kickoff' });
+        const current = allocations.map(a => a.id === 'B'
+            ? { ...a, plan: { ...a.plan, taskEnd: '2026-01-16' } }
+            : a
+        );
+
+        const rowB = compareToBaseline(current, baseline, { members }).rows.find(r => r.id === 'B');
+        // Fri 9th -> Fri 16th is Mon, Wed, Fri on Bob's calendar
+        expect(rowB.finishSlip).toBe(3);
+    });
+
+    it('flags allocations added or removed since the baseline', () => {
+        const baseline = createBaseline(allocations, { name: 'Kickoff' });
+        const current = [
+            ...allocations.filter(a => a.id !== 'C'),
+            makeAllocation('E', 'MEM-001', '2026-01-19', '2026-01-23', 800, 'DEM-002'),
+        ];
+
+        const { rows, totals } = compareToBaseline(current, baseline, { members });
+
+        expect(rows.find(r => r.id === 'C')).toMatchObject({ status: 'removed', current: null, costDelta: -500 });
+        expect(rows.find(r => r.id === 'E')).toMatchObject({ status: 'added', baseline: null, costDelta: 800 });
+        expect(totals).toMatchObject({ added: 1, removed: 1, costDelta: 300 });
+    });
+
+    it('compares costs in the reporting currency after it changes', () => {
+        // 1 USD = 16,000 IDR; baselined in IDR, replanned in USD at the same cost
+        const exchangeRates = [{ id: 'FX-1', currency: 'USD', rate: 16000, effectiveDate: '2026-01-01' }];
+        const baseline = createBaseline([makeAllocation('A', 'MEM-001', '2026-01-05', '2026-01-09', 1600000)], { name: 'Kickoff', currency: 'IDR' });
+        const current = [{
+            ...makeAllocation('A', 'MEM-001', '2026-01-05', '2026-01-09', 110),
+            plan: { taskStart: '2026-01-05', taskEnd: '2026-01-09', costProject: 110, currency: 'USD' },
+        }];
+
+        expect(baseline.entries.A.currency).toBe('IDR');
+        const { rows, totals } = compareToBaseline(current, baseline, { members, settings: { currency: 'USD' }, exchangeRates });
+        expect(rows[0].baseline.costProject).toBe(100);
+        expect(rows[0].costDelta).toBe(10);
+        expect(totals).toMatchObject({ baselineCost: 100, currentCost: 110, costDelta: 10 });
+    });
+});
@@ -0,0 +1,180 @@
+/**
+ * Budget Tests
+ * Test monthly phased budgets, revisions, forecast-to-complete and budget
+ * variance per month, year-to-date and full year
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    BUDGET_PERIODS,
+    applyBudgetRevision,
+    getBudgetForPeriod,
+    getBudgetGrid,
+    getBudgetMonths,
+    getPeriodMonths,
+    spreadYearlyBudget,
+    validateBudgetGrid,
+} from '../utils/budgets';
+import {
+    calculateBudgetVariance,
+    getCostCenterAccruals,
+    getCostCenterPeriodBudget,
+    getCostCenterPeriodCost,
+} from '../utils/calculations';
+
+// Lower in April (Lebaran), higher in Q4
+const phasedMonths = [100, 100, 100, 60, 100, 100, 100, 100, 100, 150, 150, 150];
+
+const costCenter = (extra = {}) => ({
+    id: 'CC-1',
+    name: 'Engineering',
+    currency: 'IDR',
+    monthlyBudget: 100,
+    yearlyBudget: 1200,
+    budgetPeriod: '2026',
+    ...extra,
+});
+
+const phased = () => costCenter({ budgets: { 2026: { months: phasedMonths, revisions: [] } } });
+
+describe('getBudgetMonths', () => {
+    it('uses the monthly budget for years without a grid', () => {
+        expect(getBudgetMonths(costCenter(), '2026')).toEqual(Array(12).fill(100));
+    });
+
+    it('returns the phased grid when there is one', () => {
+        expect(getBudgetMonths(phased(), '2026')).toEqual(phasedMonths);
+        expect(getBudgetMonths(phased(), '2027')).toEqual(Array(12).fill(100));
+    });
+});
+
+describe('getBudgetForPeriod', () => {
+    it('returns the month, year-to-date and full year budget', () => {
+        expect(getBudgetForPeriod(phased(), BUDGET_PERIODS.MONTH, '2026-04')).toBe(60);
+        expect(getBudgetForPeriod(phased(), BUDGET_PERIODS.YTD, '2026-04')).toBe(360);
+        expect(getBudgetForPeriod(phased(), BUDGET_PERIODS.YEAR, '2026-04')).toBe(1310);
+    });
+});
+
+describe('spreadYearlyBudget', () => {
+    it('puts the rounding difference in December', () => {
+        const months = spreadYearlyBudget(1000, 'IDR');
+        expect(months[0]).toBe(83);
+        expect(months[11]).toBe(87);
+        expect(months.reduce((sum, amount) => sum + amount, 0)).toBe(1000);
+    });
+});
+
+describe('validateBudgetGrid', () => {
+    it('needs twelve non-negative amounts', () => {
+        expect(validateBudgetGrid([100])).toHaveProperty('months');
+        expect(validateBudgetGrid([...Array(11).fill(100), -1]).months).toMatch(/Dec/);
+        expect(validateBudgetGrid(phasedMonths)).toEqual({});
+    });
+
+    it('needs a reason for a revision', () => {
+        expect(validateBudgetGrid(phasedMonths, { isRevision: true })).toHaveProperty('reason');
+        expect(validateBudgetGrid(phasedMonths, { isRevision: true, reason: 'Q4 hiring' })).toEqual({});
+    });
+});
+
+describe('applyBudgetRevision', () => {
+    it('records the original budget and later revisions with their reasons', () => {
+        const original = applyBudgetRevision(costCenter(), { year: '2026', months: phasedMonths });
+        const revisedMonths = [...phasedMonths.slice(0, 11), 200];
+        const revised = applyBudgetRevision(original, { year: '2026', months: revisedMonths, reason: 'Year-end campaign' });
+
+        const { months, revisions } = revised.budgets['2026'];
+        expect(months).toEqual(revisedMonths);
+        expect(revisions.map(r => r.reason)).toEqual(['Original budget', 'Year-end campaign']);
+        expect(revisions[1].previousMonths).toEqual(phasedMonths);
+    });
+
+    it('mirrors the budget period into the yearly and monthly budget', () => {
+        const updated = applyBudgetRevision(costCenter(), { year: '2026', months: phasedMonths });
+        expect(updated.yearlyBudget).toBe(1310);
+        expect(updated.monthlyBudget).toBe(109);
+
+        const otherYear = applyBudgetRevision(costCenter(), { year: '2027', months: phasedMonths });
+        expect(otherYear.yearlyBudget).toBe(1200);
+    });
+});
+
+describe('getBudgetGrid', () => {
+    const accruals = { '2026-03': 90, '2026-04': 80, '2026-11': 120 };
+
+    it('splits committed actuals from the forecast at the reporting month', () => {
+        const { rows, totals } = getBudgetGrid(phased(), accruals, { month: '2026-04' });
+
+        expect(rows[3]).toMatchObject({ month: '2026-04', budget: 60, actual: 80, variance: -20, isActual: true });
+        expect(rows[10]).toMatchObject({ actual: null, forecast: 120, isActual: false });
+        expect(totals).toMatchObject({ budget: 1310, ytdBudget: 360, ytdActual: 170, forecast: 290, variance: 1020 });
+    });
+});
+
+describe('calculateBudgetVariance with a period', () => {
+    it('compares against the phased budget of the month, year-to-date or full year', () => {
+        const month = calculateBudgetVariance(phased(), 80, null, { period: BUDGET_PERIODS.MONTH, month: '2026-04' });
+        expect(month).toMatchObject({ budget: 60, variance: -20, status: 'over-budget' });
+
+        const ytd = calculateBudgetVariance(phased(), 170, null, { period: BUDGET_PERIODS.YTD, month: '2026-04' });
+        expect(ytd).toMatchObject({ budget: 360, variance: 190, status: 'under-budget' });
+
+        const year = calculateBudgetVariance(phased(), 290, null, { period: BUDGET_PERIODS.YEAR, month: '2026-04' });
+        expect(year.budget).toBe(1310);
+    });
+
+    it('keeps the flat monthly budget without a period', () => {
+        expect(calculateBudgetVariance(phased(), 80).budget).toBe(100);
+    });
+});
+
+describe('getCostCenterAccruals', () => {
+    it('sums accrued cost per month for the cost center, skipping cancelled allocations', () => {
+        const allocations = [
+            { id: 'A1', costCenterId: 'CC-1', plan: { taskStart: '2026-01-30', taskEnd: '2026-02-02', costProject: 1000 } },
+            { id: 'A2', costCenterId: 'CC-1', status: 'cancelled', plan: { taskStart: '2026-02-02', taskEnd: '2026-02-02', costProject: 500 } },
+            { id: 'A3', costCenterId: 'CC-2', plan: { taskStart: '2026-02-02', taskEnd: '2026-02-02', costProject: 500 } },
+        ];
+        expect(getCostCenterAccruals('CC-1', allocations)).toEqual({ '2026-01': 500, '2026-02': 500 });
+    });
+});
+
+describe('getPeriodMonths', () => {
+    it('lists the months of the month, year-to-date and full year', () => {
+        expect(getPeriodMonths(BUDGET_PERIODS.MONTH, '2026-04')).toEqual(['2026-04']);
+        expect(getPeriodMonths(BUDGET_PERIODS.YTD, '2026-03')).toEqual(['2026-01', '2026-02', '2026-03']);
+        expect(getPeriodMonths(BUDGET_PERIODS.YEAR, '2026-03')).toHaveLength(12);
+    });
+});
+
+describe('period budget against accrued cost', () => {
+    // 120 in March, 80 in April, 200 in November
+    const allocations = [
+        { id: 'A1', costCenterId: 'CC-1', plan: { taskStart: '2026-03-02', taskEnd: '2026-03-02', costProject: 120 } },
+        { id: 'A2', costCenterId: 'CC-1', plan: { taskStart: '2026-04-01', taskEnd: '2026-04-01', costProject: 80 } },
+        { id: 'A3', costCenterId: 'CC-1', plan: { taskStart: '2026-11-02', taskEnd: '2026-11-02', costProject: 200 } },
+    ];
+
+    it('uses the phased grid instead of the flat monthly budget', () => {
+        const april = { period: BUDGET_PERIODS.MONTH, month: '2026-04' };
+        expect(getCostCenterPeriodBudget(phased(), null, april)).toBe(60);
+        expect(getCostCenterPeriodBudget(phased(), null, { ...april, period: BUDGET_PERIODS.YTD })).toBe(360);
+        expect(getCostCenterPeriodBudget(phased(), null, { ...april, period: BUDGET_PERIODS.YEAR })).toBe(1310);
+        expect(getCostCenterPeriodBudget(phased())).toBe(100);
+    });
+
+    it('sums the cost accrued to the same period', () => {
+        const april = { period: BUDGET_PERIODS.MONTH, month: '2026-04' };
+        expect(getCostCenterPeriodCost('CC-1', allocations, april)).toBe(80);
+        expect(getCostCenterPeriodCost('CC-1', allocations, { ...april, period: BUDGET_PERIODS.YTD })).toBe(200);
+        expect(getCostCenterPeriodCost('CC-1', allocations, { ...april, period: BUDGET_PERIODS.YEAR })).toBe(400);
+    });
+
+    it('flags an over-budget month that the flat budget would call under budget', () => {
+        const april = { period: BUDGET_PERIODS.MONTH, month: '2026-04' };
+        const actualCost = getCostCenterPeriodCost('CC-1', allocations, april);
+        expect(calculateBudgetVariance(phased(), actualCost).status).toBe('under-budget');
+        expect(calculateBudgetVariance(phased(), actualCost, null, april)).toMatchObject({ budget: 60, status: 'over-budget' });
+    });
+});
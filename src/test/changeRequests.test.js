@@ -0,0 +1,272 @@
+/**
+ * Change Request Tests
+ * Test the diff of governed fields, approvers, the approval workflow, stale
+ * requests and the audit trail entries
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    CHANGE_REQUEST_KINDS,
+    CHANGE_REQUEST_STATUS,
+    createChangeRequest,
+    getApprovedChange,
+    getChangeDiff,
+    getChangeRequestApprovers,
+    getChangeRequestAuditEntry,
+    getNextChangeRequestNumber,
+    getChangeRequestTarget,
+    getPendingChangeRequest,
+    getReviewError,
+    getStaleChangeError,
+    getSubmitError,
+    isApprovalRequired,
+    reviewChangeRequest,
+    validateChangeRequest,
+    withoutGovernedChanges,
+} from '../utils/changeRequests';
+import { addRateVersion } from '../utils/costRates';
+import { createHistoryState, HISTORY_ACTIONS, withHistory } from '../utils/history';
+
+const { COST_CENTER, BUDGET_GRID, COST_TIER } = CHANGE_REQUEST_KINDS;
+
+const costCenters = [
+    { id: 'CC-IT', name: 'IT', manager: 'Dewi', monthlyBudget: 100, yearlyBudget: 1200, currency: 'IDR', isActive: true },
+    { id: 'CC-FIN', name: 'Finance', manager: 'Rudi', monthlyBudget: 50, yearlyBudget: 600, currency: 'IDR', isActive: true },
+];
+const members = [
+    { id: 'M1', name: 'Ana', costCenterId: 'CC-FIN', costTierId: 'T1', isActive: true },
+];
+const tier = {
+    id: 'T1',
+    resourceName: 'Senior Backend',
+    monthlyCost: 20000000,
+    currency: 'IDR',
+    rateHistory: [{ id: 'R1', monthlyCost: 20000000, effectiveFrom: '', effectiveTo: '' }],
+};
+
+const budgetRequest = (overrides = {}) => createChangeRequest({
+    kind: COST_CENTER,
+    target: costCenters[0],
+    payload: { ...costCenters[0], monthlyBudget: 150, description: 'Platform team' },
+    requestedBy: 'Ana',
+    justification: 'New hires in Q3',
+    ...overrides,
+}, { changeRequests: [], costCenters, members });
+
+describe('isApprovalRequired', () => {
+    it('follows the cost center setting', () => {
+        expect(isApprovalRequired({ costCenterSettings: { requireManagerApproval: true } })).toBe(true);
+        expect(isApprovalRequired({ costCenterSettings: { requireManagerApproval: false } })).toBe(false);
+        expect(isApprovalRequired({})).toBe(false);
+    });
+});
+
+describe('getChangeDiff', () => {
+    it('lists budget and manager changes only', () => {
+        const edited = { ...costCenters[0], monthlyBudget: '150', manager: ' Rudi ', name: 'Information Technology' };
+        expect(getChangeDiff(COST_CENTER, costCenters[0], edited)).toEqual([
+            { field: 'monthlyBudget', label: 'Monthly budget', from: 100, to: 150 },
+            { field: 'manager', label: 'Manager', from: 'Dewi', to: 'Rudi' },
+        ]);
+        expect(getChangeDiff(COST_CENTER, costCenters[0], { ...costCenters[0], name: 'Tech' })).toEqual([]);
+    });
+
+    it('lists the changed months of a budget grid', () => {
+        const months = Array(12).fill(100);
+        months[2] = 180;
+        expect(getChangeDiff(BUDGET_GRID, costCenters[0], { year: '2026', months })).toEqual([
+            { field: 'budgets.2026.2', label: 'Mar 2026', from: 100, to: 180 },
+        ]);
+    });
+
+    it('lists rate changes of a cost tier', () => {
+        const raised = addRateVersion(tier, { monthlyCost: 22000000, effectiveFrom: '2026-07-01' });
+        expect(getChangeDiff(COST_TIER, tier, raised)).toEqual([
+            { field: 'monthlyCost', label: 'Monthly cost', from: 20000000, to: 22000000 },
+        ]);
+    });
+
+    it('keeps the rest of an edit without the governed fields', () => {
+        const edited = { ...costCenters[0], monthlyBudget: 150, description: 'Platform team' };
+        expect(withoutGovernedChanges(COST_CENTER, edited, costCenters[0])).toEqual({
+            ...costCenters[0],
+            description: 'Platform team',
+        });
+    });
+});
+
+describe('getChangeRequestApprovers', () => {
+    it('is the cost center manager for cost center changes', () => {
+        expect(getChangeRequestApprovers(COST_CENTER, 'CC-IT', { costCenters, members })).toEqual(['Dewi']);
+        expect(getChangeRequestApprovers(BUDGET_GRID, 'CC-FIN', { costCenters, members })).toEqual(['Rudi']);
+    });
+
+    it('is the manager of the cost centers charged for a tier', () => {
+        expect(getChangeRequestApprovers(COST_TIER, 'T1', { costCenters, members })).toEqual(['Rudi']);
+        // Nobody on the tier: any active cost center manager
+        expect(getChangeRequestApprovers(COST_TIER, 'T2', { costCenters, members })).toEqual(['Dewi', 'Rudi']);
+    });
+});
+
+describe('createChangeRequest', () => {
+    it('records the requester, justification, diff and approvers', () => {
+        const request = budgetRequest();
+        expect(request).toMatchObject({
+            number: 'CR-0001',
+            kind: COST_CENTER,
+            targetId: 'CC-IT',
+            targetName: 'IT',
+            status: CHANGE_REQUEST_STATUS.PENDING,
+            requestedBy: 'Ana',
+            justification: 'New hires in Q3',
+            approvers: ['Dewi'],
+            diff: [{ field: 'monthlyBudget', from: 100, to: 150 }],
+        });
+        expect(getNextChangeRequestNumber([request])).toBe('CR-0002');
+    });
+
+    it('records when a requested rate takes effect', () => {
+        const raised = addRateVersion(tier, { monthlyCost: 22000000, effectiveFrom: '2026-07-01' });
+        const request = createChangeRequest(
+            { kind: COST_TIER, target: tier, payload: raised, requestedBy: 'Ana', justification: 'Market rate' },
+            { costCenters, members }
+        );
+        expect(request).toMatchObject({ targetName: 'Senior Backend', effectiveFrom: '2026-07-01', approvers: ['Rudi'] });
+    });
+
+    it('requires a requester, a justification and a change', () => {
+        expect(validateChangeRequest({ requestedBy: '', justification: ' ', diff: [] })).toEqual({
+            requestedBy: 'Requester is required',
+            justification: 'A justification is required',
+            diff: 'Nothing that needs approval has changed',
+        });
+        expect(validateChangeRequest(budgetRequest())).toEqual({});
+    });
+
+    it('refuses a second pending request for the same record', () => {
+        const request = budgetRequest();
+        expect(getSubmitError([], request)).toBeNull();
+        expect(getSubmitError([request], budgetRequest())).toBe('IT already has a pending change request (CR-0001)');
+        expect(getSubmitError([], { ...request, justification: '' })).toBe('A justification is required');
+    });
+
+    it('finds the pending request of a cost center across budget kinds', () => {
+        const request = budgetRequest();
+        expect(getPendingChangeRequest([request], BUDGET_GRID, 'CC-IT')).toBe(request);
+        expect(getPendingChangeRequest([request], COST_TIER, 'CC-IT')).toBeUndefined();
+    });
+});
+
+describe('reviewChangeRequest', () => {
+    it('lets an approver approve a pending request', () => {
+        const request = budgetRequest();
+        const [approved] = reviewChangeRequest([request], {
+            id: request.id, status: CHANGE_REQUEST_STATUS.APPROVED, reviewer: 'Dewi',
+        });
+        expect(approved).toMatchObject({ status: CHANGE_REQUEST_STATUS.APPROVED, reviewedBy: 'Dewi' });
+        expect(approved.reviewedAt).toBeTruthy();
+    });
+
+    it('rejects reviewers who are not approvers and decided requests', () => {
+        const request = budgetRequest();
+        expect(() => reviewChangeRequest([request], { id: request.id, status: CHANGE_REQUEST_STATUS.APPROVED, reviewer: 'Rudi' }))
+            .toThrow(/cannot approve/);
+
+        const decided = reviewChangeRequest([request], { id: request.id, status: CHANGE_REQUEST_STATUS.APPROVED, reviewer: 'Dewi' });
+        expect(() => reviewChangeRequest(decided, { id: request.id, status: CHANGE_REQUEST_STATUS.REJECTED, reviewer: 'Dewi', note: 'No' }))
+            .toThrow(/already approved/);
+    });
+
+    it('requires a reason to reject', () => {
+        const request = budgetRequest();
+        expect(() => reviewChangeRequest([request], { id: request.id, status: CHANGE_REQUEST_STATUS.REJECTED, reviewer: 'Dewi' }))
+            .toThrow(/reason is required/);
+    });
+});
+
+describe('getReviewError', () => {
+    it('explains why a review cannot be recorded instead of throwing', () => {
+        const request = budgetRequest();
+        const approve = { id: request.id, status: CHANGE_REQUEST_STATUS.APPROVED, reviewer: 'Dewi' };
+        const target = getChangeRequestTarget(request, { costCenters, costs: [] });
+        expect(target).toBe(costCenters[0]);
+
+        expect(getReviewError([request], approve, target)).toBeNull();
+        expect(getReviewError([request], { ...approve, reviewer: 'Rudi' }, target)).toMatch(/cannot approve/);
+        // Budget edited directly while approval was off
+        expect(getReviewError([request], approve, { ...target, monthlyBudget: 120 })).toMatch(/has changed since CR-0001/);
+        // A stale request can still be rejected
+        expect(getReviewError([request], {
+            ...approve, status: CHANGE_REQUEST_STATUS.REJECTED, note: 'Superseded',
+        }, { ...target, monthlyBudget: 120 })).toBeNull();
+    });
+});
+
+describe('applying an approved request', () => {
+    it('applies only the governed fields to the current record', () => {
+        const request = budgetRequest();
+        const current = { ...costCenters[0], name: 'Information Technology' };
+        const approved = getApprovedChange(request, current);
+        expect(approved).toMatchObject({ name: 'Information Technology', monthlyBudget: 150 });
+        expect(approved.description).toBeUndefined();
+    });
+
+    it('refuses a request whose values changed since it was raised', () => {
+        const request = budgetRequest();
+        expect(getStaleChangeError(request, costCenters[0])).toBeNull();
+        expect(getStaleChangeError(request, { ...costCenters[0], monthlyBudget: 120 })).toMatch(/has changed since CR-0001/);
+        expect(getStaleChangeError(request, undefined)).toMatch(/no longer exists/);
+    });
+
+    it('keeps the approved values when an earlier edit is undone', () => {
+        // Mirrors the AppContext actions; approvals are never recorded
+        const reducer = (state, action) => {
+            switch (action.type) {
+                case 'UPDATE_COST_CENTER':
+                    return { ...state, costCenters: state.costCenters.map(cc => (cc.id === action.payload.id ? action.payload : cc)) };
+                case 'APPROVE_CHANGE_REQUEST': {
+                    const request = state.changeRequests.find(r => r.id === action.payload.id);
+                    const target = getChangeRequestTarget(request, state);
+                    const approved = getApprovedChange(request, target);
+                    return {
+                        ...state,
+                        costCenters: state.costCenters.map(cc => (cc.id === approved.id ? approved : cc)),
+                        changeRequests: reviewChangeRequest(state.changeRequests, { ...action.payload, status: CHANGE_REQUEST_STATUS.APPROVED }),
+                    };
+                }
+                default:
+                    return state;
+            }
+        };
+        const historyReducer = withHistory(reducer, { skipActions: ['APPROVE_CHANGE_REQUEST'] });
+
+        const request = { ...budgetRequest(), payload: { ...costCenters[0], name: 'Tech', monthlyBudget: 500 } };
+        let history = createHistoryState({ costCenters, costs: [], changeRequests: [request] });
+        history = historyReducer(history, { type: 'UPDATE_COST_CENTER', payload: { ...costCenters[0], name: 'Tech' } });
+        history = historyReducer(history, { type: 'APPROVE_CHANGE_REQUEST', payload: { id: request.id, reviewer: 'Dewi' } });
+        expect(history.present.costCenters[0]).toMatchObject({ name: 'Tech', monthlyBudget: 500 });
+
+        history = historyReducer(history, { type: HISTORY_ACTIONS.UNDO });
+        expect(history.present.costCenters[0]).toMatchObject({ name: 'IT', monthlyBudget: 500 });
+        expect(history.present.changeRequests[0].status).toBe(CHANGE_REQUEST_STATUS.APPROVED);
+    });
+});
+
+describe('getChangeRequestAuditEntry', () => {
+    it('logs submission with the diff and justification', () => {
+        const entry = getChangeRequestAuditEntry(budgetRequest());
+        expect(entry).toMatchObject({ type: 'info', changedBy: 'Ana', changeType: 'create', newValue: 'pending' });
+        expect(entry.message).toMatch(/CR-0001 \(Cost center IT\) submitted by Ana: Monthly budget .*100.* → .*150/);
+        expect(entry.message).toMatch(/Justification: New hires in Q3/);
+    });
+
+    it('logs the decision with the reviewer', () => {
+        const request = budgetRequest();
+        const [rejected] = reviewChangeRequest([request], {
+            id: request.id, status: CHANGE_REQUEST_STATUS.REJECTED, reviewer: 'Dewi', note: 'Over plan',
+        });
+        const entry = getChangeRequestAuditEntry(rejected);
+        expect(entry).toMatchObject({ type: 'warning', changedBy: 'Dewi', oldValue: 'pending', newValue: 'rejected' });
+        expect(entry.message).toBe('CR-0001 (Cost center IT) rejected by Dewi: Over plan');
+    });
+});
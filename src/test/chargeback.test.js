@@ -0,0 +1,251 @@
+/**
+ * Chargeback Tests
+ * Test the monthly chargeback lines, statements per receiving cost center,
+ * reruns around locked statements, finalize numbering and the exports
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    CHARGEBACK_STATUS,
+    buildChargebackStatements,
+    getChargebackAuditEntry,
+    getChargebackExportRows,
+    getChargebackLines,
+    getChargebackStatementHtml,
+    getChargebackTransitionError,
+    getNextChargebackNumber,
+    getRunChargebackError,
+    isChargebackMonthClosed,
+    runChargeback,
+    transitionChargeback,
+} from '../utils/chargeback';
+import { HISTORY_ACTIONS, createHistoryState, withHistory } from '../utils/history';
+
+const costCenters = [
+    { id: 'CC-IT', code: 'IT', name: 'Information Technology', manager: 'Dewi' },
+    { id: 'CC-OPS', code: 'OPS', name: 'Operations', manager: 'Budi' },
+    { id: 'CC-FIN', code: 'FIN', name: 'Finance', manager: 'Rudi' },
+];
+const coa = [
+    { id: 'COA-5001', code: '5001', name: 'Salaries' },
+    { id: 'COA-5002', code: '5002', name: 'Employee Benefits' },
+];
+const projects = [
+    { id: 'P1', code: 'PRJ-001', name: 'Billing Revamp', sponsorCostCenterId: 'CC-FIN' },
+    { id: 'P2', code: 'PRJ-002', name: 'Infra Upgrade', sponsorCostCenterId: 'CC-IT' },
+    { id: 'P3', code: 'PRJ-003', name: 'Unsponsored', sponsorCostCenterId: '' },
+];
+
+const allocation = (overrides = {}) => ({
+    id: 'A1',
+    projectId: 'P1',
+    resourceId: 'M1',
+    resource: 'Ana',
+    costCenterId: 'CC-IT',
+    coaId: 'COA-5001',
+    ...overrides,
+    plan: {
+        costProject: 1000,
+        costBillable: 1000,
+        costByMonth: { '2026-03': 600, '2026-04': 400 },
+        costLines: [
+            { component: 'base', coaId: 'COA-5001', amount: 800 },
+            { component: 'benefits', coaId: 'COA-5002', amount: 200 },
+        ],
+        ...overrides.plan,
+    },
+});
+
+const data = { month: '2026-03', projects, costCenters, coa, currency: 'USD' };
+
+describe('getChargebackLines', () => {
+    it('charges the month accrual per account to the sponsor cost center', () => {
+        const { lines } = getChargebackLines([allocation()], data);
+        expect(lines).toEqual([
+            expect.objectContaining({
+                receiverId: 'CC-FIN', projectCode: 'PRJ-001', memberName: 'Ana', providerName: 'IT Information Technology',
+                coaCode: '5001', description: 'Salaries', amount: 480,
+            }),
+            expect.objectContaining({ coaCode: '5002', description: 'Employee Benefits', amount: 120 }),
+        ]);
+    });
+
+    it('splits by provider cost center and leaves out shares a cost center charges itself', () => {
+        const { lines } = getChargebackLines([allocation({
+            plan: { costCenterSplits: [{ costCenterId: 'CC-IT', percentage: 75 }, { costCenterId: 'CC-FIN', percentage: 25 }] },
+        })], data);
+        expect(lines.map(l => [l.providerCostCenterId, l.amount])).toEqual([['CC-IT', 360], ['CC-IT', 90]]);
+    });
+
+    it('adds the markup as its own line', () => {
+        const { lines } = getChargebackLines([allocation({ plan: { costBillable: 1100 } })], data);
+        expect(lines.find(l => l.description === 'Markup')).toMatchObject({ coaId: '', amount: 60 });
+    });
+
+    it('reports cost it cannot charge', () => {
+        const { lines, unbilled } = getChargebackLines([
+            allocation({ id: 'A2', projectId: 'P3' }),
+            allocation({ id: 'A3', projectId: '', activityName: 'Support' }),
+            allocation({ id: 'A4', plan: { costByMonth: { '2026-04': 500 } } }),
+        ], data);
+        expect(lines).toEqual([]);
+        expect(unbilled).toEqual([
+            { allocationId: 'A2', projectName: 'Unsponsored', memberName: 'Ana', amount: 600, reason: 'Project has no sponsor cost center' },
+            { allocationId: 'A3', projectName: 'Support', memberName: 'Ana', amount: 600, reason: 'Not assigned to a project' },
+        ]);
+    });
+});
+
+describe('buildChargebackStatements', () => {
+    it('gives one draft statement per receiver with subtotals', () => {
+        const { statements } = buildChargebackStatements([
+            allocation(),
+            allocation({ id: 'A2', resourceId: 'M2', resource: 'Budi', costCenterId: 'CC-OPS' }),
+            allocation({ id: 'A3', projectId: 'P2', costCenterId: 'CC-OPS', resourceId: 'M2', resource: 'Budi' }),
+        ], data);
+
+        expect(statements.map(s => [s.costCenterSnapshot.code, s.status, s.documentNumber, s.total])).toEqual([
+            ['FIN', CHARGEBACK_STATUS.DRAFT, '', 1200],
+            ['IT', CHARGEBACK_STATUS.DRAFT, '', 600],
+        ]);
+        expect(statements[0].lines).toHaveLength(4);
+        expect(statements[0].subtotals.byProject).toEqual([
+            { projectId: 'P1', projectCode: 'PRJ-001', projectName: 'Billing Revamp', amount: 1200 },
+        ]);
+        expect(statements[0].subtotals.byAccount.map(a => [a.coaCode, a.amount])).toEqual([['5001', 960], ['5002', 240]]);
+    });
+});
+
+describe('runChargeback', () => {
+    const state = { allocations: [allocation()], projects, costCenters, coa, currency: 'USD' };
+
+    it('replaces drafts and keeps locked statements', () => {
+        const first = runChargeback([], state, '2026-03');
+        const rerun = runChargeback(first, state, '2026-03');
+        expect(rerun).toHaveLength(1);
+        expect(rerun[0].id).not.toBe(first[0].id);
+
+        const locked = transitionChargeback(first, { id: first[0].id, status: CHARGEBACK_STATUS.LOCKED });
+        const changed = { ...state, allocations: [allocation({ plan: { costByMonth: { '2026-03': 900 } } })] };
+        const afterLock = runChargeback(locked, changed, '2026-03');
+        expect(afterLock).toEqual(locked);
+    });
+
+    it('refuses to rerun a closed month', () => {
+        const [statement] = runChargeback([], state, '2026-03');
+        let chargebacks = transitionChargeback([statement], { id: statement.id, status: CHARGEBACK_STATUS.LOCKED });
+        expect(isChargebackMonthClosed(chargebacks, '2026-03')).toBe(false);
+
+        chargebacks = transitionChargeback(chargebacks, { id: statement.id, status: CHARGEBACK_STATUS.FINALIZED });
+        expect(isChargebackMonthClosed(chargebacks, '2026-03')).toBe(true);
+        expect(() => runChargeback(chargebacks, state, '2026-03')).toThrow(/March 2026 chargeback is closed/);
+        expect(() => runChargeback(chargebacks, state, '')).toThrow(/Choose a month/);
+        expect(getRunChargebackError(chargebacks, '2026-03')).toMatch(/closed/);
+        expect(getRunChargebackError(chargebacks, '2026-04')).toBeNull();
+    });
+});
+
+describe('transitionChargeback', () => {
+    const drafts = buildChargebackStatements([
+        allocation(),
+        allocation({ id: 'A2', projectId: 'P2', costCenterId: 'CC-OPS' }),
+    ], data).statements;
+
+    it('numbers statements in the order they are finalized', () => {
+        let chargebacks = drafts;
+        [drafts[1], drafts[0]].forEach(s => {
+            chargebacks = transitionChargeback(chargebacks, { id: s.id, status: CHARGEBACK_STATUS.LOCKED });
+            chargebacks = transitionChargeback(chargebacks, { id: s.id, status: CHARGEBACK_STATUS.FINALIZED });
+        });
+        expect(chargebacks.map(s => s.documentNumber)).toEqual(['CB-2026-0002', 'CB-2026-0001']);
+        expect(chargebacks[0].finalizedAt).toBeTruthy();
+        expect(getNextChargebackNumber(chargebacks, '2026')).toBe('CB-2026-0003');
+        expect(getNextChargebackNumber(chargebacks, '2027')).toBe('CB-2027-0001');
+    });
+
+    it('only finalizes locked statements and never reopens finalized ones', () => {
+        expect(() => transitionChargeback(drafts, { id: drafts[0].id, status: CHARGEBACK_STATUS.FINALIZED }))
+            .toThrow(/draft chargeback statement cannot be finalized/);
+        expect(getChargebackTransitionError(drafts, { id: drafts[0].id, status: CHARGEBACK_STATUS.LOCKED })).toBeNull();
+        expect(getChargebackTransitionError(drafts, { id: 'missing', status: CHARGEBACK_STATUS.LOCKED })).toMatch(/not found/);
+
+        const locked = transitionChargeback(drafts, { id: drafts[0].id, status: CHARGEBACK_STATUS.LOCKED });
+        const unlocked = transitionChargeback(locked, { id: drafts[0].id, status: CHARGEBACK_STATUS.DRAFT });
+        expect(unlocked[0]).toMatchObject({ status: CHARGEBACK_STATUS.DRAFT, lockedAt: null });
+
+        const finalized = transitionChargeback(locked, { id: drafts[0].id, status: CHARGEBACK_STATUS.FINALIZED });
+        expect(() => transitionChargeback(finalized, { id: drafts[0].id, status: CHARGEBACK_STATUS.DRAFT }))
+            .toThrow(/finalized chargeback statement cannot be unlocked/);
+    });
+
+    it('logs the status change', () => {
+        const locked = transitionChargeback(drafts, { id: drafts[0].id, status: CHARGEBACK_STATUS.LOCKED });
+        const [statement] = transitionChargeback(locked, { id: drafts[0].id, status: CHARGEBACK_STATUS.FINALIZED });
+        const entry = getChargebackAuditEntry(statement, CHARGEBACK_STATUS.LOCKED);
+        expect(entry).toMatchObject({ type: 'info', oldValue: 'locked', newValue: 'finalized' });
+        expect(entry.message).toMatch(/^CB-2026-0001 to FIN Finance for March 2026 finalized/);
+    });
+});
+
+describe('undo history', () => {
+    // Mirrors the AppContext chargeback actions
+    const reducer = (state, action) => {
+        switch (action.type) {
+            case 'RUN_CHARGEBACK':
+                return { ...state, chargebacks: runChargeback(state.chargebacks, state, action.payload.month) };
+            case 'TRANSITION_CHARGEBACK':
+                return { ...state, chargebacks: transitionChargeback(state.chargebacks, action.payload) };
+            case 'ADD_ALLOCATION':
+                return { ...state, allocations: [...state.allocations, action.payload] };
+            default:
+                return state;
+        }
+    };
+    const historyReducer = withHistory(reducer);
+
+    it('never rewinds a finalized statement', () => {
+        const start = { allocations: [allocation()], projects, costCenters, coa, currency: 'USD', chargebacks: [] };
+        let history = historyReducer(createHistoryState(start), { type: 'ADD_ALLOCATION', payload: allocation({ id: 'A2' }) });
+        history = historyReducer(history, { type: 'RUN_CHARGEBACK', payload: { month: '2026-03' } });
+        const { id } = history.present.chargebacks[0];
+        history = historyReducer(history, { type: 'TRANSITION_CHARGEBACK', payload: { id, status: CHARGEBACK_STATUS.LOCKED } });
+        history = historyReducer(history, { type: 'TRANSITION_CHARGEBACK', payload: { id, status: CHARGEBACK_STATUS.FINALIZED } });
+
+        history = historyReducer(history, { type: HISTORY_ACTIONS.UNDO });
+        history = historyReducer(history, { type: HISTORY_ACTIONS.UNDO });
+        expect(history.present.allocations).toHaveLength(1);
+        expect(history.present.chargebacks).toEqual([
+            expect.objectContaining({ id, status: CHARGEBACK_STATUS.FINALIZED, documentNumber: 'CB-2026-0001' }),
+        ]);
+    });
+});
+
+describe('exports', () => {
+    const [statement] = buildChargebackStatements([allocation()], data).statements;
+
+    it('gives one CSV row per line item', () => {
+        const rows = getChargebackExportRows([statement]);
+        expect(rows).toHaveLength(2);
+        expect(rows[0]).toMatchObject({
+            'Document #': 'Draft',
+            Month: '2026-03',
+            'Receiving Cost Center': 'FIN Finance',
+            Project: 'Billing Revamp',
+            Member: 'Ana',
+            'Account Code': '5001',
+            Amount: 480,
+        });
+    });
+
+    it('renders a printable statement with escaped text', () => {
+        const html = getChargebackStatementHtml({
+            ...statement,
+            lines: [{ ...statement.lines[0], projectName: '<script>alert(1)</script>' }],
+        });
+        expect(html).toMatch(/^<!DOCTYPE html>/);
+        expect(html).toContain('Chargeback Statement (Draft)');
+        expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+        expect(html).not.toContain('<script>');
+        expect(html).toContain('@media print');
+    });
+});
@@ -0,0 +1,156 @@
+/**
+ * Cost Center Hierarchy Tests
+ * Test tree ordering, reparent checks and roll-up of costs, members and
+ * utilization from child cost centers to their parents
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    flattenCostCenterTree,
+    getDescendantIds,
+    getReparentError,
+    getSubtreeDepth,
+    rollUpCostCenterValue,
+} from '../utils/costCenterHierarchy';
+import { aggregateCostsByCostCenter, getCostCenterUtilization } from '../utils/calculations';
+import { memoizedAggregateCostsByCostCenter, memoizedGetCostCenterUtilization } from '../utils/memoizedCalculations';
+
+const cc = (id, parentCostCenterId = null, extra = {}) => ({
+    id,
+    name: id,
+    parentCostCenterId,
+    isActive: true,
+    monthlyBudget: 100,
+    ...extra,
+});
+
+// ENG → (WEB → FE), (MOB); OPS
+const costCenters = [
+    cc('ENG'),
+    cc('WEB', 'ENG'),
+    cc('FE', 'WEB'),
+    cc('MOB', 'ENG'),
+    cc('OPS'),
+];
+
+describe('flattenCostCenterTree', () => {
+    it('orders cost centers depth-first with their level', () => {
+        const rows = flattenCostCenterTree(costCenters);
+        expect(rows.map(r => [r.costCenter.id, r.depth])).toEqual([
+            ['ENG', 0], ['WEB', 1], ['FE', 2], ['MOB', 1], ['OPS', 0],
+        ]);
+        expect(rows[0]).toMatchObject({ hasChildren: true, isExpanded: true });
+    });
+
+    it('hides the children of collapsed cost centers', () => {
+        const rows = flattenCostCenterTree(costCenters, new Set(['WEB']));
+        expect(rows.map(r => r.costCenter.id)).toEqual(['ENG', 'WEB', 'MOB', 'OPS']);
+        expect(rows[1].isExpanded).toBe(false);
+    });
+
+    it('treats cost centers with a missing parent as roots', () => {
+        const rows = flattenCostCenterTree(costCenters.filter(c => c.id !== 'ENG'));
+        expect(rows.filter(r => r.depth === 0).map(r => r.costCenter.id)).toEqual(['WEB', 'MOB', 'OPS']);
+    });
+});
+
+describe('getReparentError', () => {
+    it('allows moving to the top level or under an unrelated cost center', () => {
+        expect(getReparentError(costCenters, 'WEB', null)).toBeNull();
+        expect(getReparentError(costCenters, 'MOB', 'OPS')).toBeNull();
+    });
+
+    it('rejects moving a cost center under itself or a descendant', () => {
+        expect(getReparentError(costCenters, 'ENG', 'ENG')).toMatch(/descendants/);
+        expect(getReparentError(costCenters, 'ENG', 'FE')).toMatch(/descendants/);
+    });
+
+    it('rejects inactive parents', () => {
+        const withInactive = [...costCenters, cc('OLD', null, { isActive: false })];
+        expect(getReparentError(withInactive, 'MOB', 'OLD')).toMatch(/active/);
+    });
+
+    it('counts the depth of the subtree that moves along', () => {
+        const chain = [cc('L1'), cc('L2', 'L1'), cc('L3', 'L2'), cc('L4', 'L3'), ...costCenters];
+        expect(getSubtreeDepth(chain, 'WEB', 'L4')).toBe(6);
+        expect(getReparentError(chain, 'WEB', 'L4')).toMatch(/maximum hierarchy depth/);
+        expect(getReparentError(chain, 'FE', 'L4')).toBeNull();
+    });
+});
+
+describe('rollUpCostCenterValue', () => {
+    it('sums a figure over a cost center and its descendants', () => {
+        expect(getDescendantIds(costCenters, 'ENG')).toEqual(['WEB', 'FE', 'MOB']);
+        expect(rollUpCostCenterValue(costCenters, 'ENG', c => c.monthlyBudget)).toBe(400);
+        expect(rollUpCostCenterValue(costCenters, 'WEB', c => c.monthlyBudget)).toBe(200);
+        expect(rollUpCostCenterValue(costCenters, 'OPS', c => c.monthlyBudget)).toBe(100);
+    });
+});
+
+describe('roll-up in cost center aggregations', () => {
+    const allocations = [
+        { id: 'A1', costCenterId: 'ENG', resourceId: 'M1', workload: 1, plan: { costProject: 100 } },
+        { id: 'A2', costCenterId: 'FE', resourceId: 'M2', workload: 1, plan: { costProject: 50 } },
+        { id: 'A3', costCenterId: 'MOB', resourceId: 'M3', workload: 0.5, plan: { costProject: 25 } },
+    ];
+    const members = [
+        { id: 'M1', name: 'Ana', costCenterId: 'ENG', isActive: true },
+        { id: 'M2', name: 'Budi', costCenterId: 'FE', isActive: true },
+        { id: 'M3', name: 'Citra', costCenterId: 'MOB', isActive: true },
+    ];
+
+    it('keeps own figures by default', () => {
+        const aggregation = aggregateCostsByCostCenter(allocations, costCenters, '2026-01');
+        expect(aggregation.find(a => a.costCenter.id === 'ENG').totalProjectCost).toBe(100);
+    });
+
+    it('rolls allocation costs up into parents', () => {
+        const aggregation = aggregateCostsByCostCenter(allocations, costCenters, '2026-01', { includeDescendants: true });
+        const byId = Object.fromEntries(aggregation.map(a => [a.costCenter.id, a]));
+        expect(byId.ENG).toMatchObject({ totalProjectCost: 175, allocationCount: 3 });
+        expect(byId.WEB).toMatchObject({ totalProjectCost: 50, allocationCount: 1 });
+        expect(byId.OPS).toBeUndefined();
+    });
+
+    it('counts grandchildren once when a child is listed before its parent', () => {
+        // G under C under P, with C first
+        const chain = [cc('C', 'P'), cc('P'), cc('G', 'C')];
+        const chainAllocations = [
+            { id: 'A1', costCenterId: 'P', plan: { costProject: 100 } },
+            { id: 'A2', costCenterId: 'C', plan: { costProject: 10 } },
+            { id: 'A3', costCenterId: 'G', plan: { costProject: 1 } },
+        ];
+
+        const aggregation = aggregateCostsByCostCenter(chainAllocations, chain, '2026-01', { includeDescendants: true });
+        const byId = Object.fromEntries(aggregation.map(a => [a.costCenter.id, a]));
+        expect(byId.P).toMatchObject({ totalProjectCost: 111, allocationCount: 3 });
+        expect(byId.C).toMatchObject({ totalProjectCost: 11, allocationCount: 2 });
+        expect(byId.G).toMatchObject({ totalProjectCost: 1, allocationCount: 1 });
+    });
+
+    it('rolls member counts and utilization up into parents', () => {
+        const own = getCostCenterUtilization(allocations, members, costCenters, '2026-01');
+        const rolled = getCostCenterUtilization(allocations, members, costCenters, '2026-01', { includeDescendants: true });
+
+        expect(own.find(u => u.costCenter.id === 'ENG').totalMembers).toBe(1);
+        const eng = rolled.find(u => u.costCenter.id === 'ENG');
+        expect(eng.totalMembers).toBe(3);
+        expect(eng.totalWorkload).toBe(2.5);
+        expect(eng.utilizationRate).toBeCloseTo(83.33, 1);
+    });
+
+    it('recomputes memoized roll-ups after a reparent', () => {
+        const options = { includeDescendants: true };
+        const engTotal = (list) => memoizedAggregateCostsByCostCenter(allocations, list, '2026-01', options)
+            .find(a => a.costCenter.id === 'ENG').totalProjectCost;
+        const engMembers = (list) => memoizedGetCostCenterUtilization(allocations, members, list, '2026-01', options)
+            .find(u => u.costCenter.id === 'ENG').totalMembers;
+
+        // MOB moves from ENG to OPS
+        const moved = costCenters.map(c => (c.id === 'MOB' ? { ...c, parentCostCenterId: 'OPS' } : c));
+        expect(engTotal(costCenters)).toBe(175);
+        expect(engTotal(moved)).toBe(150);
+        expect(engMembers(costCenters)).toBe(3);
+        expect(engMembers(moved)).toBe(2);
+    });
+});
@@ -0,0 +1,178 @@
+/**
+ * Cost Center Split Tests
+ * Test splitting an allocation's cost across cost centers, member default
+ * splits, and split-aware cost center aggregations
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    getAllocationCostCenterSplits,
+    getCostCenterShare,
+    resolveCostCenterSplits,
+    validateCostCenterSplits,
+} from '../utils/costCenterSplits';
+import {
+    aggregateCostsByCostCenter,
+    calculateActualCostCenterCost,
+    getCostCenterAccruals,
+    getCostCenterUtilization,
+    splitAllocationCost,
+} from '../utils/calculations';
+import { memoizedAggregateCostsByCostCenter, memoizedGetCostCenterUtilization } from '../utils/memoizedCalculations';
+import { recalculateAllocations } from '../utils/recalculate';
+import { defaultComplexity } from '../data';
+
+const costCenters = [
+    { id: 'CC-IT', code: 'IT', name: 'IT', isActive: true },
+    { id: 'CC-FIN', code: 'FIN', name: 'Finance', isActive: true },
+    { id: 'CC-HR', code: 'HR', name: 'HR', isActive: true },
+];
+
+const sharedSplits = [
+    { costCenterId: 'CC-FIN', percentage: 60 },
+    { costCenterId: 'CC-HR', percentage: 40 },
+];
+
+// Jan 2026 work, fully accrued in January
+const allocation = (id, extra = {}) => ({
+    id,
+    costCenterId: 'CC-IT',
+    resourceId: 'M1',
+    workload: 1,
+    plan: { taskStart: '2026-01-05', taskEnd: '2026-01-09', costProject: 1000, costByMonth: { '2026-01': 1000 } },
+    ...extra,
+});
+
+describe('validateCostCenterSplits', () => {
+    it('accepts no splits and splits totalling 100%', () => {
+        expect(validateCostCenterSplits([])).toBeNull();
+        expect(validateCostCenterSplits(sharedSplits, costCenters)).toBeNull();
+    });
+
+    it('rejects totals other than 100%, duplicates and unknown cost centers', () => {
+        expect(validateCostCenterSplits([{ costCenterId: 'CC-FIN', percentage: 60 }])).toMatch(/total 100%/);
+        expect(validateCostCenterSplits([
+            { costCenterId: 'CC-FIN', percentage: 50 },
+            { costCenterId: 'CC-FIN', percentage: 50 },
+        ])).toMatch(/only once/);
+        expect(validateCostCenterSplits([{ costCenterId: 'CC-X', percentage: 100 }], costCenters)).toMatch(/does not exist/);
+        expect(validateCostCenterSplits([{ costCenterId: '', percentage: 100 }])).toMatch(/needs a cost center/);
+    });
+});
+
+describe('resolveCostCenterSplits', () => {
+    const member = { id: 'M1', costCenterId: 'CC-IT', costCenterSplits: sharedSplits };
+
+    it('prefers the allocation splits over the member defaults', () => {
+        const own = [{ costCenterId: 'CC-HR', percentage: 100 }];
+        expect(resolveCostCenterSplits({ costCenterSplits: own }, member)).toBe(own);
+        expect(resolveCostCenterSplits({ costCenterSplits: [] }, member)).toBe(sharedSplits);
+        expect(resolveCostCenterSplits({}, { id: 'M2' })).toEqual([]);
+    });
+
+    it('is stored on the plan by recalculation', () => {
+        const members = [{ id: 'M1', name: 'Ana', costCenterId: 'CC-IT', costCenterSplits: sharedSplits }];
+        const [recalculated] = recalculateAllocations(
+            [{ id: 'A1', resourceId: 'M1', complexity: 'low', category: 'Project', plan: { taskStart: '2026-01-05' } }],
+            defaultComplexity, [], [], [], [], members, costCenters
+        );
+        expect(recalculated.costCenterId).toBe('CC-IT');
+        expect(recalculated.plan.costCenterSplits).toEqual(sharedSplits);
+    });
+
+    it('moves cost center totals when the member default splits are edited', () => {
+        const costs = [{ id: 'T1', resourceName: 'Senior', perHourCost: 100000, currency: 'IDR' }];
+        const allocations = [{ id: 'A1', resourceId: 'M1', category: 'Project', complexity: 'small', plan: { taskStart: '2026-01-05' } }];
+        const totalsFor = costCenterSplits => {
+            const members = [{ id: 'M1', name: 'Ana', costTierId: 'T1', costCenterId: 'CC-IT', costCenterSplits }];
+            const [recalculated] = recalculateAllocations(
+                allocations, defaultComplexity, costs, [], [], [], members, costCenters, [], { currency: 'IDR', capacityFactor: 1 }
+            );
+            const byId = Object.fromEntries(
+                aggregateCostsByCostCenter([recalculated], costCenters).map(a => [a.costCenter.id, a.totalProjectCost])
+            );
+            return { cost: recalculated.plan.costProject, byId };
+        };
+
+        const single = totalsFor([]);
+        expect(single.cost).toBeGreaterThan(0);
+        expect(single.byId).toMatchObject({ 'CC-IT': single.cost });
+
+        const split = totalsFor(sharedSplits);
+        expect(split.byId['CC-IT']).toBeUndefined();
+        expect(split.byId['CC-FIN']).toBeCloseTo(split.cost * 0.6);
+        expect(split.byId['CC-HR']).toBeCloseTo(split.cost * 0.4);
+    });
+});
+
+describe('cost center shares', () => {
+    it('charges an allocation without splits in full to its cost center', () => {
+        expect(getAllocationCostCenterSplits(allocation('A1'))).toEqual([{ costCenterId: 'CC-IT', percentage: 100 }]);
+        expect(getCostCenterShare(allocation('A1'), 'CC-IT')).toBe(1);
+    });
+
+    it('uses the recalculated splits', () => {
+        const split = allocation('A1', { plan: { ...allocation('A1').plan, costCenterSplits: sharedSplits } });
+        expect(getCostCenterShare(split, 'CC-FIN')).toBe(0.6);
+        expect(getCostCenterShare(split, 'CC-IT')).toBe(0);
+    });
+
+    it('splits project and monthly cost', () => {
+        const split = allocation('A1', { plan: { ...allocation('A1').plan, costCenterSplits: sharedSplits } });
+        expect(splitAllocationCost(split, undefined, '2026-01')).toEqual([
+            { allocationId: 'A1', costCenterId: 'CC-FIN', percentage: 60, projectCost: 600, monthlyCost: 600 },
+            { allocationId: 'A1', costCenterId: 'CC-HR', percentage: 40, projectCost: 400, monthlyCost: 400 },
+        ]);
+    });
+});
+
+describe('split-aware aggregations', () => {
+    const allocations = [
+        allocation('A1'),
+        allocation('A2', { plan: { ...allocation('A2').plan, costCenterSplits: sharedSplits } }),
+    ];
+
+    it('aggregates each share under its cost center', () => {
+        const byId = Object.fromEntries(
+            aggregateCostsByCostCenter(allocations, costCenters, '2026-01').map(a => [a.costCenter.id, a])
+        );
+        expect(byId['CC-IT']).toMatchObject({ totalProjectCost: 1000, totalMonthlyCost: 1000, allocationCount: 1 });
+        expect(byId['CC-FIN']).toMatchObject({ totalProjectCost: 600, totalMonthlyCost: 600, allocationCount: 1 });
+        expect(byId['CC-HR']).toMatchObject({ totalProjectCost: 400, totalMonthlyCost: 400 });
+    });
+
+    it('charges the actual cost and accruals by share', () => {
+        expect(calculateActualCostCenterCost('CC-FIN', allocations, 'monthly', '2026-01')).toMatchObject({
+            actualCost: 600,
+            allocationCount: 1,
+        });
+        expect(calculateActualCostCenterCost('CC-IT', allocations, 'yearly', '2026-01').actualCost).toBe(1000);
+        expect(getCostCenterAccruals('CC-HR', allocations)).toEqual({ '2026-01': 400 });
+    });
+
+    it('reports utilization costs by share, whoever the member is', () => {
+        const members = [{ id: 'M1', name: 'Ana', costCenterId: 'CC-IT', isActive: true }];
+        const utilization = getCostCenterUtilization(allocations, members, costCenters, '2026-01');
+        const byId = Object.fromEntries(utilization.map(u => [u.costCenter.id, u]));
+
+        expect(byId['CC-IT'].totalProjectCost).toBe(1000);
+        expect(byId['CC-IT'].totalMembers).toBe(1);
+        expect(byId['CC-FIN']).toMatchObject({ totalProjectCost: 600, totalMonthlyCost: 600, totalMembers: 0 });
+    });
+
+    it('recomputes memoized aggregations after a split is edited', () => {
+        const members = [{ id: 'M1', name: 'Ana', costCenterId: 'CC-IT', isActive: true }];
+        const edited = allocations.map(a => (a.id === 'A2'
+            ? { ...a, plan: { ...a.plan, costCenterSplits: [{ costCenterId: 'CC-HR', percentage: 100 }] } }
+            : a));
+        const hrCost = (list) => memoizedAggregateCostsByCostCenter(list, costCenters, '2026-01')
+            .find(a => a.costCenter.id === 'CC-HR').totalProjectCost;
+        const hrUtilization = (list) => memoizedGetCostCenterUtilization(list, members, costCenters, '2026-01')
+            .find(u => u.costCenter.id === 'CC-HR').totalProjectCost;
+
+        expect(hrCost(allocations)).toBe(400);
+        expect(hrCost(edited)).toBe(1000);
+        expect(hrUtilization(allocations)).toBe(400);
+        expect(hrUtilization(edited)).toBe(1000);
+    });
+});
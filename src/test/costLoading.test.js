@@ -0,0 +1,137 @@
+/**
+ * Cost Loading Tests
+ * Test loading profile resolution, loaded cost components, their posting to
+ * COA accounts and loaded actual cost from timesheets
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    applyCostLoading,
+    defaultCostLoading,
+    getCostLines,
+    getLoadingProfile,
+    validateLoadingProfile,
+} from '../utils/costLoading';
+import { aggregateCostsByCOA, calculateProjectCost } from '../utils/calculations';
+import { recalculateAllocations } from '../utils/recalculate';
+import { applyTimesheetActuals, TIMESHEET_STATUS, transitionTimesheet } from '../utils/timesheets';
+import { defaultCOA, defaultComplexity } from '../data';
+
+const costLoading = {
+    ...defaultCostLoading,
+    default: { benefitsPercent: 10, bpjsPercent: 5, overheadPercent: 5, markupPercent: 0 },
+    roles: { QA: { benefitsPercent: 8, bpjsPercent: 4, overheadPercent: 3, markupPercent: 10 } },
+    costCenters: { 'CC-OPS': { benefitsPercent: 12, bpjsPercent: 6, overheadPercent: 2, markupPercent: 20 } },
+};
+
+const costs = [
+    { id: 'T1', resourceName: 'Senior Fullstack', roleType: 'FULLSTACK', perHourCost: 100000, currency: 'IDR', coaId: 'COA-5001' },
+];
+
+describe('getLoadingProfile', () => {
+    it('prefers the cost center, then the role, then the default profile', () => {
+        expect(getLoadingProfile(costLoading, { roleType: 'QA', costCenterId: 'CC-OPS' }).source).toBe('costCenter');
+        expect(getLoadingProfile(costLoading, { roleType: 'QA', costCenterId: 'CC-OTHER' }).benefitsPercent).toBe(8);
+        expect(getLoadingProfile(costLoading, { roleType: 'FULLSTACK' }).source).toBe('default');
+        expect(getLoadingProfile(undefined, { roleType: 'QA' })).toBeNull();
+    });
+});
+
+describe('applyCostLoading', () => {
+    it('adds each loading component and the markup on the loaded cost', () => {
+        const breakdown = applyCostLoading(1000000, getLoadingProfile(costLoading, { costCenterId: 'CC-OPS' }), 'IDR');
+
+        expect(breakdown).toEqual({
+            base: 1000000,
+            benefits: 120000,
+            bpjs: 60000,
+            overhead: 20000,
+            total: 1200000,
+            markup: 240000,
+            billable: 1440000,
+        });
+        expect(applyCostLoading(500, null).total).toBe(500);
+    });
+
+    it('posts the base and each component to its COA account', () => {
+        const lines = getCostLines(applyCostLoading(1000000, getLoadingProfile(costLoading), 'IDR'), 'COA-5001', costLoading.accounts);
+
+        expect(lines).toEqual([
+            { component: 'base', coaId: 'COA-5001', amount: 1000000 },
+            { component: 'benefits', coaId: 'COA-5002', amount: 100000 },
+            { component: 'bpjs', coaId: 'COA-5002', amount: 50000 },
+            { component: 'overhead', coaId: 'COA-6002', amount: 50000 },
+        ]);
+    });
+
+    it('rejects percentages outside 0–100 and negative markup', () => {
+        const errors = validateLoadingProfile({ benefitsPercent: 120, bpjsPercent: 4, overheadPercent: -1, markupPercent: -5 });
+        expect(Object.keys(errors).sort()).toEqual(['benefitsPercent', 'markupPercent', 'overheadPercent']);
+    });
+});
+
+describe('loaded project cost', () => {
+    it('loads the cost in calculateProjectCost', () => {
+        // small = 12 hours × 100,000 = 1,200,000 base, ×1.2 loaded
+        expect(calculateProjectCost('small', 'T1', defaultComplexity, costs, 'Project', {
+            currency: 'IDR',
+            loading: getLoadingProfile(costLoading, { roleType: 'FULLSTACK' }),
+        })).toBe(1440000);
+    });
+
+    it('stores loaded cost, billable amount and COA lines on recalculated allocations', () => {
+        const members = [{ id: 'M1', name: 'Ana', costTierId: 'T1', costCenterId: 'CC-OPS' }];
+        const allocation = {
+            id: 'A1',
+            resourceId: 'M1',
+            resource: 'Ana',
+            category: 'Project',
+            complexity: 'small',
+            plan: { taskStart: '2026-03-02' },
+        };
+
+        const [recalculated] = recalculateAllocations(
+            [allocation], defaultComplexity, costs, [], [], [], members, [], defaultCOA, { currency: 'IDR', costLoading }
+        );
+
+        expect(recalculated.plan.costProject).toBe(1440000);
+        expect(recalculated.plan.costBillable).toBe(1728000);
+        expect(recalculated.coaId).toBe('COA-5001');
+
+        const byAccount = Object.fromEntries(
+            aggregateCostsByCOA([recalculated], defaultCOA).map(agg => [agg.account.code, agg.totalProjectCost])
+        );
+        expect(byAccount).toEqual({ 5001: 1200000, 5002: 216000, 6002: 24000 });
+    });
+
+    it('keeps allocations without cost lines on their single account', () => {
+        const legacy = { id: 'A2', coaId: 'COA-5004', plan: { costProject: 500000, costMonthly: 500000 } };
+        const [aggregation] = aggregateCostsByCOA([legacy], defaultCOA);
+
+        expect(aggregation.account.code).toBe('5004');
+        expect(aggregation.totalProjectCost).toBe(500000);
+    });
+});
+
+describe('applyTimesheetActuals', () => {
+    it('loads actual cost like planned cost', () => {
+        const members = [{ id: 'M1', name: 'Ana', costTierId: 'T1' }];
+        const allocation = {
+            id: 'A1',
+            resourceId: 'M1',
+            category: 'Project',
+            plan: { costProject: 0 },
+            actual: { taskStart: '', taskEnd: '' },
+            variance: {},
+        };
+        const entries = [{ memberId: 'M1', allocationId: 'A1', date: '2026-03-03', hours: 8 }];
+        const timesheets = transitionTimesheet(
+            transitionTimesheet([], { memberId: 'M1', weekStart: '2026-03-02', status: TIMESHEET_STATUS.SUBMITTED }),
+            { memberId: 'M1', weekStart: '2026-03-02', status: TIMESHEET_STATUS.APPROVED }
+        );
+
+        const [result] = applyTimesheetActuals([allocation], entries, timesheets, members, costs, { currency: 'IDR', costLoading });
+
+        expect(result.actual.costProject).toBe(960000);
+    });
+});
@@ -0,0 +1,146 @@
+/**
+ * Cost Rate Tests
+ * Test effective-dated rate versions of cost tiers and per-day pricing of
+ * allocations and timesheet actuals at the rate in force
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    addRateVersion,
+    calculateDatedCost,
+    calculateDatedCostByMonth,
+    getRateOnDate,
+    validateRateChange,
+    validateRateHistory,
+} from '../utils/costRates';
+import { recalculateAllocations } from '../utils/recalculate';
+import { applyTimesheetActuals, TIMESHEET_STATUS, transitionTimesheet } from '../utils/timesheets';
+import { defaultComplexity } from '../data';
+
+// 8,000,000 / month = 50,000 / hour; raised to 9,600,000 (60,000 / hour) on 2026-03-09
+const tier = addRateVersion(
+    {
+        id: 'T1',
+        resourceName: 'Senior',
+        currency: 'IDR',
+        monthlyCost: 8000000,
+        perDayCost: 400000,
+        perHourCost: 50000,
+    },
+    { monthlyCost: 9600000, effectiveFrom: '2026-03-09' }
+);
+
+describe('rate versions', () => {
+    it('closes the version in force the day before a change', () => {
+        expect(tier.rateHistory).toHaveLength(2);
+        expect(tier.rateHistory[0].effectiveTo).toBe('2026-03-08');
+        expect(tier.rateHistory[1]).toMatchObject({ effectiveFrom: '2026-03-09', effectiveTo: '', perHourCost: 60000 });
+        // The tier mirrors its latest version
+        expect(tier.perHourCost).toBe(60000);
+        expect(validateRateHistory(tier.rateHistory)).toBeNull();
+    });
+
+    it('looks up the rate in force on a date', () => {
+        expect(getRateOnDate(tier, '2026-03-08').perHourCost).toBe(50000);
+        expect(getRateOnDate(tier, '2026-03-09').perHourCost).toBe(60000);
+        expect(getRateOnDate(tier, '2025-01-01').perHourCost).toBe(50000);
+    });
+
+    it('only accepts changes after the latest version started', () => {
+        expect(validateRateChange(tier, { monthlyCost: 10000000, effectiveFrom: '' }).effectiveFrom).toBeDefined();
+        expect(validateRateChange(tier, { monthlyCost: 10000000, effectiveFrom: '2026-03-01' }).effectiveFrom).toBeDefined();
+        expect(validateRateChange(tier, { monthlyCost: 10000000, effectiveFrom: '2026-04-01' })).toEqual({});
+    });
+
+    it('rejects overlapping versions', () => {
+        const overlapping = [
+            { id: 'R1', effectiveFrom: '', effectiveTo: '' },
+            { id: 'R2', effectiveFrom: '2026-03-09', effectiveTo: '' },
+        ];
+        expect(validateRateHistory(overlapping)).toMatch(/overlap/);
+    });
+});
+
+describe('calculateDatedCost', () => {
+    it('prices each working day at the rate in force', () => {
+        // Mon 2026-03-02 → Fri 2026-03-13: 10 working days, 8 hours each
+        // 5 days × 8h × 50,000 + 5 days × 8h × 60,000
+        expect(calculateDatedCost(80, tier, { startDate: '2026-03-02', endDate: '2026-03-13' })).toBe(4400000);
+        expect(calculateDatedCost(8, tier, { startDate: '2026-03-02' })).toBe(400000);
+    });
+
+    it('keeps past allocations at the old rate when recalculated', () => {
+        const members = [{ id: 'M1', name: 'Ana', costTierId: 'T1' }];
+        const allocation = {
+            id: 'A1',
+            resourceId: 'M1',
+            resource: 'Ana',
+            category: 'Project',
+            complexity: 'small',
+            plan: { taskStart: '2026-02-02' },
+        };
+
+        const [recalculated] = recalculateAllocations(
+            [allocation], defaultComplexity, [tier], [], [], [], members, [], [], { currency: 'IDR' }
+        );
+
+        // small = 12 hours, all worked before the change
+        expect(recalculated.plan.costProject).toBe(600000);
+    });
+
+    it('breaks the priced cost down by month', () => {
+        // Mon 2026-02-23 → Fri 2026-03-13: 5 February days at 50,000 / hour,
+        // then 5 March days at 50,000 and 5 at 60,000
+        expect(calculateDatedCostByMonth(120, tier, { startDate: '2026-02-23', endDate: '2026-03-13' })).toEqual({
+            '2026-02': 2000000,
+            '2026-03': 4400000,
+        });
+    });
+
+    it('accrues each month at the rate in force when recalculated', () => {
+        // 8,000,000 / month until January, 16,000,000 (100,000 / hour) from February
+        const raised = addRateVersion(
+            { id: 'T1', resourceName: 'Senior', currency: 'IDR', monthlyCost: 8000000, perDayCost: 400000, perHourCost: 50000 },
+            { monthlyCost: 16000000, effectiveFrom: '2026-02-01' }
+        );
+        const members = [{ id: 'M1', name: 'Ana', costTierId: 'T1' }];
+        const [recalculated] = recalculateAllocations(
+            [{ id: 'A1', resourceId: 'M1', category: 'Project', complexity: 'small', plan: { taskStart: '2026-01-30' } }],
+            defaultComplexity, [raised], [], [], [], members, [], [], { currency: 'IDR', capacityFactor: 1 }
+        );
+
+        // small = 12 hours over 4 working days, Fri Jan 30 → Wed Feb 4: one day at
+        // the old rate, 3 at the new (an even split would accrue 262,500 in January)
+        expect(recalculated.plan.taskEnd).toBe('2026-02-04');
+        expect(recalculated.plan.costProject).toBe(1050000);
+        expect(recalculated.plan.costByMonth['2026-01']).toBeCloseTo(150000);
+        expect(recalculated.plan.costByMonth['2026-02']).toBeCloseTo(900000);
+    });
+});
+
+describe('applyTimesheetActuals', () => {
+    it('prices approved hours at the rate on the day they were worked', () => {
+        const members = [{ id: 'M1', name: 'Ana', costTierId: 'T1' }];
+        const allocation = {
+            id: 'A1',
+            resourceId: 'M1',
+            category: 'Project',
+            plan: { costProject: 0 },
+            actual: { taskStart: '', taskEnd: '' },
+            variance: {},
+        };
+        const entries = [
+            { memberId: 'M1', allocationId: 'A1', date: '2026-03-06', hours: 8 },
+            { memberId: 'M1', allocationId: 'A1', date: '2026-03-09', hours: 8 },
+        ];
+        let timesheets = [];
+        for (const weekStart of ['2026-03-02', '2026-03-09']) {
+            timesheets = transitionTimesheet(timesheets, { memberId: 'M1', weekStart, status: TIMESHEET_STATUS.SUBMITTED });
+            timesheets = transitionTimesheet(timesheets, { memberId: 'M1', weekStart, status: TIMESHEET_STATUS.APPROVED });
+        }
+
+        const [result] = applyTimesheetActuals([allocation], entries, timesheets, members, [tier]);
+
+        expect(result.actual.costProject).toBe(880000);
+    });
+});
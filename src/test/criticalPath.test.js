@@ -0,0 +1,104 @@
+/**
+ * Critical Path Tests
+ * Test forward/backward pass scheduling and float per demand
+ */
+
+import { describe, it, expect } from 'vitest';
+import { calculateCriticalPath, getDemandNumbers } from '../utils/criticalPath';
+import { recalculateAllocations } from '../utils/recalculate';
+import { defaultComplexity } from '../data';
+
+const members = [
+    { id: 'MEM-001', name: 'Alice Developer' },
+    { id: 'MEM-002', name: 'Bob Analyst' },
+];
+const settings = { capacityFactor: 1, includeCutiBersama: true };
+
+// 'small' complexity is 3 workdays at a capacity factor of 1
+const makeAllocation = (id, resourceId, taskStart, dependencies = [], demandNumber = 'DEM-001') => ({
+    id,
+    demandNumber,
+    activityName: id,
+    category: 'Project',
+    resourceId,
+    complexity: 'small',
+    status: 'open',
+    plan: { taskStart, taskEnd: '' },
+    dependencies,
+});
+
+const schedule = (allocations, holidays = [], leaves = []) => recalculateAllocations(
+    allocations, defaultComplexity, [], [], holidays, leaves, members, [], [], settings
+);
+
+describe('Critical path analysis', () => {
+    it('should find the zero-float chain and float of parallel tasks', () => {
+        const allocations = schedule([
+            makeAllocation('A', 'MEM-001', '2026-01-05'),
+            makeAllocation('B', 'MEM-001', '', [{ predecessorId: 'A', type: 'FS', lag: 0 }]),
+            makeAllocation('C', 'MEM-002', '', [{ predecessorId: 'A', type: 'SS', lag: 2 }]),
+            makeAllocation('X', 'MEM-002', '2026-01-05', [], 'DEM-002'),
+        ]);
+
+        const result = calculateCriticalPath(allocations, 'DEM-001', [], [], settings);
+        const byId = Object.fromEntries(result.tasks.map(t => [t.id, t]));
+
+        expect(result.projectStart).toBe('2026-01-05');
+        expect(result.projectFinish).toBe('2026-01-14');
+        expect(result.durationWorkdays).toBe(7);
+        expect(result.criticalPath).toEqual(['A', 'B']);
+
+        expect(byId.C).toMatchObject({
+            earlyStart: '2026-01-07',
+            earlyFinish: '2026-01-12',
+            lateStart: '2026-01-09',
+            lateFinish: '2026-01-14',
+            totalFloat: 2,
+            isCritical: false,
+        });
+        expect(result.tasks).toHaveLength(3);
+    });
+
+    it('should measure float in workdays on the member calendar', () => {
+        // Bob is on leave Monday the 12th, so C's float shrinks by a day
+        const leaves = [{ memberId: 'MEM-002', startDate: '2026-01-12', endDate: '2026-01-12', category: 'full-day' }];
+        const allocations = schedule([
+            makeAllocation('A', 'MEM-001', '2026-01-05'),
+            makeAllocation('B', 'MEM-001', '', [{ predecessorId: 'A', type: 'FS', lag: 0 }]),
+            makeAllocation('C', 'MEM-002', '2026-01-06'),
+        ], [], leaves);
+
+        const result = calculateCriticalPath(allocations, 'DEM-001', [], leaves, settings);
+        const c = result.tasks.find(t => t.id === 'C');
+
+        expect(c.earlyFinish).toBe('2026-01-09');
+        expect(c.lateFinish).toBe('2026-01-14');
+        expect(c.totalFloat).toBe(2);
+    });
+
+    it('should exclude cancelled and cyclic allocations', () => {
+        const allocations = schedule([
+            makeAllocation('A', 'MEM-001', '2026-01-05'),
+            { ...makeAllocation('Z', 'MEM-001', '2026-01-05'), status: 'cancelled' },
+        ]);
+        allocations.push(
+            { ...makeAllocation('P', 'MEM-002', '2026-01-05', [{ predecessorId: 'Q', type: 'FS', lag: 0 }]), plan: { taskStart: '2026-01-05', taskEnd: '2026-01-08' } },
+            { ...makeAllocation('Q', 'MEM-002', '2026-01-05', [{ predecessorId: 'P', type: 'FS', lag: 0 }]), plan: { taskStart: '2026-01-05', taskEnd: '2026-01-08' } },
+        );
+
+        const result = calculateCriticalPath(allocations, 'DEM-001', [], [], settings);
+
+        expect(result.tasks.map(t => t.id)).toEqual(['A']);
+        expect(result.cyclic).toEqual(['P', 'Q']);
+    });
+
+    it('should list demand numbers with scheduled allocations', () => {
+        const allocations = schedule([
+            makeAllocation('A', 'MEM-001', '2026-01-05', [], 'DEM-002'),
+            makeAllocation('B', 'MEM-001', '2026-01-05', [], 'DEM-001'),
+            makeAllocation('C', 'MEM-001', '2026-01-05', [], ''),
+        ]);
+
+        expect(getDemandNumbers(allocations)).toEqual(['DEM-001', 'DEM-002']);
+    });
+});
@@ -0,0 +1,141 @@
+/**
+ * Currency Tests
+ * Test dated exchange rate lookup, conversion into the reporting currency,
+ * currency-aware formatting and CSV import of rate tables
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+    convertAmount,
+    getExchangeRate,
+    mergeExchangeRates,
+    parseExchangeRatesCsv,
+    setReportingCurrency,
+    subscribeReportingCurrency,
+    validateExchangeRate,
+} from '../utils/currency';
+import { calculateBudgetVariance, calculateProjectCost, formatCurrency } from '../utils/calculations';
+import { recalculateAllocations } from '../utils/recalculate';
+import { defaultComplexity } from '../data';
+
+const rates = [
+    { id: 'FX-1', currency: 'USD', rate: 16000, effectiveDate: '2026-01-01' },
+    { id: 'FX-2', currency: 'USD', rate: 16500, effectiveDate: '2026-07-01' },
+    { id: 'FX-3', currency: 'SGD', rate: 12000, effectiveDate: '2026-01-01' },
+];
+
+describe('getExchangeRate', () => {
+    it('uses the latest rate effective on the date', () => {
+        expect(getExchangeRate(rates, 'USD', '2026-03-15')).toBe(16000);
+        expect(getExchangeRate(rates, 'USD', '2026-07-01')).toBe(16500);
+        // Before the first rate the earliest one applies
+        expect(getExchangeRate(rates, 'USD', '2025-06-01')).toBe(16000);
+        expect(getExchangeRate(rates, 'IDR', '2026-03-15')).toBe(1);
+        expect(getExchangeRate(rates, 'EUR', '2026-03-15')).toBeNull();
+    });
+});
+
+describe('convertAmount', () => {
+    it('converts through the base currency at the dated rate', () => {
+        expect(convertAmount(100, 'USD', 'IDR', rates, '2026-02-01')).toBe(1600000);
+        expect(convertAmount(1650000, 'IDR', 'USD', rates, '2026-08-01')).toBe(100);
+        expect(convertAmount(120, 'SGD', 'USD', rates, '2026-02-01')).toBe(90);
+        expect(convertAmount(500, 'IDR', 'IDR', rates)).toBe(500);
+    });
+});
+
+describe('formatCurrency', () => {
+    it('formats in the currency and locale given', () => {
+        expect(formatCurrency(1234.5, 'USD')).toBe('$1,234.50');
+        expect(formatCurrency(1500000, 'IDR').replace(/\s/g, ' ')).toBe('Rp 1.500.000');
+    });
+
+    it('defaults to the reporting currency and notifies subscribers when it changes', () => {
+        const listener = vi.fn();
+        const unsubscribe = subscribeReportingCurrency(listener);
+
+        setReportingCurrency('USD');
+        setReportingCurrency('USD');
+        expect(formatCurrency(1234.5)).toBe('$1,234.50');
+        expect(listener).toHaveBeenCalledTimes(1);
+
+        unsubscribe();
+        setReportingCurrency('IDR');
+        expect(listener).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('calculateProjectCost', () => {
+    const costs = [{ id: 'COST-USD', resourceName: 'Contractor', perHourCost: 50, currency: 'USD' }];
+
+    it('reports a foreign-currency tier in the reporting currency', () => {
+        // small = 12 hours × $50 = $600
+        expect(calculateProjectCost('small', 'COST-USD', defaultComplexity, costs)).toBe(600);
+        expect(calculateProjectCost('small', 'COST-USD', defaultComplexity, costs, 'Project', {
+            currency: 'IDR',
+            exchangeRates: rates,
+            date: '2026-08-01',
+        })).toBe(9900000);
+    });
+
+    it('prices allocations during recalculation at their start date rate', () => {
+        const members = [{ id: 'MEM-1', name: 'Vendor Dev', costTierId: 'COST-USD' }];
+        const allocation = {
+            id: 'A1',
+            resourceId: 'MEM-1',
+            resource: 'Vendor Dev',
+            category: 'Project',
+            complexity: 'small',
+            plan: { taskStart: '2026-03-02' },
+        };
+
+        const [recalculated] = recalculateAllocations(
+            [allocation], defaultComplexity, costs, [], [], [], members, [], [], { currency: 'IDR' }, rates
+        );
+
+        expect(recalculated.plan.costProject).toBe(9600000);
+    });
+});
+
+describe('calculateBudgetVariance', () => {
+    it('compares a cost center budget in its own currency against reporting-currency actuals', () => {
+        const costCenter = { id: 'CC-1', name: 'Vendor Ops', monthlyBudget: 10000, currency: 'USD' };
+        const variance = calculateBudgetVariance(costCenter, 176000000, {
+            currency: 'IDR',
+            exchangeRates: rates,
+            date: '2026-03-01',
+        });
+
+        expect(variance.budget).toBe(160000000);
+        expect(variance.status).toBe('over-budget');
+        expect(variance.variancePercent).toBe(-10);
+    });
+});
+
+describe('parseExchangeRatesCsv', () => {
+    it('imports valid rows and reports invalid ones by line', () => {
+        const csv = [
+            'effectiveDate,currency,rate',
+            '2026-01-01,usd,16200',
+            '2026-01-01,SGD,-1',
+            '2026-02-01,JPY,110',
+            '2026-04-01,SGD,12700',
+        ].join('\n');
+
+        const { rates: parsed, errors } = parseExchangeRatesCsv(csv);
+
+        expect(parsed.map(r => [r.currency, r.rate, r.effectiveDate])).toEqual([
+            ['USD', 16200, '2026-01-01'],
+            ['SGD', 12700, '2026-04-01'],
+        ]);
+        expect(errors).toHaveLength(2);
+        expect(errors[0]).toMatch(/^Line 3/);
+        expect(parseExchangeRatesCsv('currency,rate\nUSD,1').errors[0]).toMatch(/effectiveDate/);
+    });
+
+    it('replaces existing rates for the same currency and date when merged', () => {
+        const merged = mergeExchangeRates(rates, [{ id: 'FX-9', currency: 'USD', rate: 16100, effectiveDate: '2026-01-01' }]);
+        expect(merged.filter(r => r.currency === 'USD').map(r => r.rate)).toEqual([16100, 16500]);
+        expect(validateExchangeRate({ id: 'FX-10', currency: 'USD', rate: 1, effectiveDate: '2026-07-01' }, rates).effectiveDate).toBeDefined();
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * Allocation Dependency Tests
+ * Test FS/SS/FF start date cascading and cycle detection
+ */
+
+import { describe, it, expect } from 'vitest';
+import { recalculateAllocations } from '../utils/recalculate';
+import { sortAllocationsByDependencies, findDependencyCycle } from '../utils/dependencies';
+import { addWorkdays } from '../utils/calculations';
+import { defaultComplexity } from '../data';
+
+const members = [{ id: 'MEM-001', name: 'Alice Developer', costTierId: 'COST-001' }];
+const settings = { capacityFactor: 1, includeCutiBersama: true };
+
+// 'small' complexity is 3 workdays at a capacity factor of 1
+const makeAllocation = (id, taskStart, dependencies = []) => ({
+    id,
+    activityName: id,
+    category: 'Project',
+    resourceId: 'MEM-001',
+    resource: 'Alice Developer',
+    complexity: 'small',
+    plan: { taskStart, taskEnd: '' },
+    dependencies,
+});
+
+const recalc = (allocations, holidays = [], leaves = []) => recalculateAllocations(
+    allocations, defaultComplexity, [], [], holidays, leaves, members, [], [], settings
+);
+
+describe('Allocation dependencies', () => {
+    it('should step backwards for negative workdays', () => {
+        const date = addWorkdays('2026-01-12', -1); // Monday -> previous Friday
+        expect(date.getDate()).toBe(9);
+    });
+
+    it('should cascade start dates through FS, SS and FF links in dependency order', () => {
+        const result = recalc([
+            makeAllocation('D', '2026-03-01', [{ predecessorId: 'B', type: 'FF', lag: 0 }]),
+            makeAllocation('B', '2026-03-01', [{ predecessorId: 'A', type: 'FS', lag: 0 }]),
+            makeAllocation('C', '2026-03-01', [{ predecessorId: 'A', type: 'SS', lag: 2 }]),
+            makeAllocation('A', '2026-01-05'),
+        ]);
+        const byId = Object.fromEntries(result.map(a => [a.id, a.plan]));
+
+        expect(byId.A).toMatchObject({ taskStart: '2026-01-05', taskEnd: '2026-01-08' });
+        expect(byId.B).toMatchObject({ taskStart: '2026-01-09', taskEnd: '2026-01-14' });
+        expect(byId.C.taskStart).toBe('2026-01-07');
+        expect(byId.D).toMatchObject({ taskStart: '2026-01-09', taskEnd: '2026-01-14' });
+        // Original order is preserved
+        expect(result.map(a => a.id)).toEqual(['D', 'B', 'C', 'A']);
+    });
+
+    it('should skip holidays and successor leaves when propagating', () => {
+        const holidays = [{ date: '2026-01-09', type: 'national' }];
+        const leaves = [{ memberId: 'MEM-001', startDate: '2026-01-12', endDate: '2026-01-12', category: 'full-day' }];
+
+        const result = recalc([
+            makeAllocation('A', '2026-01-05'),
+            makeAllocation('B', '', [{ predecessorId: 'A', type: 'FS', lag: 1 }]),
+        ], holidays, leaves);
+
+        // A ends Thu 8th; Fri 9th is a holiday and Mon 12th a leave day, so one day of lag lands on Wed 14th
+        expect(result[1].plan.taskStart).toBe('2026-01-14');
+    });
+
+    it('should detect cycles and leave cyclic allocations on their own start date', () => {
+        const allocations = [
+            makeAllocation('A', '2026-01-05', [{ predecessorId: 'C', type: 'FS', lag: 0 }]),
+            makeAllocation('B', '2026-01-05', [{ predecessorId: 'A', type: 'FS', lag: 0 }]),
+            makeAllocation('C', '2026-01-05', [{ predecessorId: 'B', type: 'FS', lag: 0 }]),
+            makeAllocation('D', '2026-01-05'),
+        ];
+
+        expect(findDependencyCycle(allocations)).toEqual(['A', 'C', 'B', 'A']);
+        expect([...sortAllocationsByDependencies(allocations).cyclic]).toEqual(['A', 'B', 'C']);
+        expect(findDependencyCycle(allocations.slice(1))).toBeNull();
+
+        const result = recalc(allocations);
+        expect(result.map(a => a.plan.taskStart)).toEqual(['2026-01-05', '2026-01-05', '2026-01-05', '2026-01-05']);
+    });
+
+    it('should ignore links to allocations that no longer exist', () => {
+        const result = recalc([makeAllocation('B', '2026-01-05', [{ predecessorId: 'GONE', type: 'FS', lag: 0 }])]);
+        expect(result[0].plan.taskStart).toBe('2026-01-05');
+    });
+});
@@ -0,0 +1,131 @@
+/**
+ * Earned Value Management Tests
+ * Test PV/EV/AC accrual, derived indices, progress history and grouping
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    calculateEarnedValue,
+    calculateEvmSeries,
+    deriveEvmMetrics,
+    getEvmBreakdown,
+    recordProgress,
+} from '../utils/evm';
+
+const makeAllocation = (id, overrides = {}) => ({
+    id,
+    demandNumber: 'DEM-001',
+    activityName: id,
+    category: 'Project',
+    status: 'in-progress',
+    costCenterId: 'CC-1',
+    costCenterSnapshot: { id: 'CC-1', name: 'Engineering' },
+    percentComplete: 0,
+    // 10 calendar days, 1,000,000 budget
+    plan: { taskStart: '2026-03-01', taskEnd: '2026-03-10', costProject: 1000000 },
+    actual: { taskStart: '', taskEnd: '', costProject: 0 },
+    ...overrides,
+});
+
+describe('calculateEarnedValue', () => {
+    it('accrues PV over the planned days and EV from percent complete', () => {
+        const allocation = makeAllocation('A', {
+            percentComplete: 40,
+            actual: { taskStart: '2026-03-01', taskEnd: '', costProject: 500000 },
+        });
+
+        const evm = calculateEarnedValue([allocation], '2026-03-05');
+
+        expect(evm.bac).toBe(1000000);
+        expect(evm.pv).toBe(500000);
+        expect(evm.ev).toBe(400000);
+        expect(evm.ac).toBe(500000);
+        expect(evm.spi).toBeCloseTo(0.8);
+        expect(evm.cpi).toBeCloseTo(0.8);
+        expect(evm.eac).toBeCloseTo(1250000);
+        expect(evm.etc).toBeCloseTo(750000);
+        expect(evm.vac).toBeCloseTo(-250000);
+    });
+
+    it('ignores non-Project and cancelled allocations and counts completed work as 100%', () => {
+        const evm = calculateEarnedValue([
+            makeAllocation('A', { status: 'completed', percentComplete: 30 }),
+            makeAllocation('B', { status: 'cancelled' }),
+            makeAllocation('C', { category: 'Support' }),
+        ], '2026-03-20');
+
+        expect(evm.bac).toBe(1000000);
+        expect(evm.ev).toBe(1000000);
+    });
+
+    it('forecasts remaining work at budget while there is no actual cost', () => {
+        const evm = deriveEvmMetrics({ bac: 100, pv: 0, ev: 20, ac: 0 });
+        expect(evm.spi).toBeNull();
+        expect(evm.cpi).toBeNull();
+        expect(evm.eac).toBe(80);
+    });
+
+    it('converts planned and actual cost into the reporting currency', () => {
+        // 1 USD = 16,000 IDR; planned in IDR, actuals costed in USD
+        const exchangeRates = [{ id: 'FX-1', currency: 'USD', rate: 16000, effectiveDate: '2026-01-01' }];
+        const allocation = makeAllocation('A', {
+            percentComplete: 50,
+            plan: { taskStart: '2026-03-01', taskEnd: '2026-03-10', costProject: 1600000, currency: 'IDR' },
+            actual: { taskStart: '2026-03-01', taskEnd: '2026-03-05', costProject: 60, currency: 'USD' },
+        });
+
+        const evm = calculateEarnedValue([allocation], '2026-03-05', { currency: 'USD', exchangeRates });
+
+        expect(evm.bac).toBe(100);
+        expect(evm.ev).toBe(50);
+        expect(evm.ac).toBe(60);
+        expect(evm.cpi).toBeCloseTo(50 / 60);
+    });
+});
+
+describe('recordProgress', () => {
+    it('logs one dated entry per day when percent complete changes', () => {
+        const previous = makeAllocation('A');
+        const first = recordProgress({ ...previous, percentComplete: 20 }, previous, new Date(2026, 2, 3));
+        const second = recordProgress({ ...first, percentComplete: 30 }, first, new Date(2026, 2, 3));
+        const unchanged = recordProgress({ ...second, remarks: 'note' }, second, new Date(2026, 2, 4));
+
+        expect(second.progressLog).toEqual([{ date: '2026-03-03', percentComplete: 30 }]);
+        expect(unchanged.progressLog).toBe(second.progressLog);
+    });
+});
+
+describe('calculateEvmSeries', () => {
+    it('reads EV history from the progress log and stops EV/AC at the status date', () => {
+        const allocation = makeAllocation('A', {
+            percentComplete: 60,
+            progressLog: [{ date: '2026-03-02', percentComplete: 25 }, { date: '2026-03-09', percentComplete: 60 }],
+        });
+
+        const series = calculateEvmSeries([allocation], '2026-03-09');
+        const byDate = Object.fromEntries(series.map(p => [p.date, p]));
+
+        // Week ending Saturday Mar 7, the status date, then the planned finish
+        expect(series.map(p => p.date)).toEqual(['2026-03-07', '2026-03-09', '2026-03-10']);
+        expect(byDate['2026-03-07'].ev).toBe(250000);
+        expect(byDate['2026-03-09'].ev).toBe(600000);
+        expect(byDate['2026-03-10'].ev).toBeNull();
+        expect(byDate['2026-03-10'].pv).toBe(1000000);
+    });
+});
+
+describe('getEvmBreakdown', () => {
+    it('groups by demand and by cost center', () => {
+        const allocations = [
+            makeAllocation('A'),
+            makeAllocation('B', { demandNumber: 'DEM-002' }),
+            makeAllocation('C', { demandNumber: 'DEM-002', costCenterId: '', costCenterSnapshot: null }),
+        ];
+
+        const byDemand = getEvmBreakdown(allocations, 'demand', '2026-03-10');
+        const byCostCenter = getEvmBreakdown(allocations, 'costCenter', '2026-03-10');
+
+        expect(byDemand.map(r => [r.label, r.bac])).toEqual([['DEM-001', 1000000], ['DEM-002', 2000000]]);
+        expect(byCostCenter.map(r => [r.label, r.allocationCount])).toEqual([['Engineering', 2], ['Unassigned', 1]]);
+    });
+});
@@ -0,0 +1,203 @@
+/**
+ * Undo/Redo History Tests
+ * Test inverse patches and the history reducer wrapper
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    withHistory,
+    createHistoryState,
+    createPatches,
+    applyPatches,
+    getActionLabel,
+    HISTORY_ACTIONS,
+} from '../utils/history';
+
+// Minimal reducer mirroring the AppContext collection actions
+function testReducer(state, action) {
+    switch (action.type) {
+        case 'LOAD_DATA':
+            return { ...state, ...action.payload };
+        case 'ADD_ALLOCATION':
+            return { ...state, allocations: [...state.allocations, action.payload] };
+        case 'UPDATE_ALLOCATION':
+            return {
+                ...state,
+                allocations: state.allocations.map(a => (a.id === action.payload.id ? action.payload : a)),
+            };
+        case 'DELETE_ALLOCATION':
+            return { ...state, allocations: state.allocations.filter(a => a.id !== action.payload) };
+        case 'ADD_AUDIT_LOG':
+            return { ...state, auditLog: [action.payload, ...state.auditLog] };
+        case 'UPDATE_SETTINGS':
+            return { ...state, settings: { ...state.settings, ...action.payload } };
+        default:
+            return state;
+    }
+}
+
+const baseState = {
+    allocations: [
+        { id: 'ALLOC-1', activityName: 'Design' },
+        { id: 'ALLOC-2', activityName: 'Build' },
+        { id: 'ALLOC-3', activityName: 'Test' },
+    ],
+    settings: { capacityFactor: 0.85 },
+    auditLog: [],
+};
+
+const reducer = withHistory(testReducer, { resetActions: ['LOAD_DATA'] });
+
+describe('History patches', () => {
+    it('should record per-entity operations and restore deleted entities in place', () => {
+        const next = testReducer(baseState, { type: 'DELETE_ALLOCATION', payload: 'ALLOC-2' });
+        const patches = createPatches(baseState, next, ['allocations']);
+
+        expect(patches).toHaveLength(1);
+        expect(patches[0].ops).toEqual([
+            { id: 'ALLOC-2', index: 1, before: baseState.allocations[1], after: undefined },
+        ]);
+
+        const restored = applyPatches(next, patches, 'undo');
+        expect(restored.allocations).toEqual(baseState.allocations);
+        expect(applyPatches(restored, patches, 'redo').allocations).toEqual(next.allocations);
+    });
+
+    it('should fall back to whole-slice patches for objects and reorders', () => {
+        const reordered = { ...baseState, allocations: [...baseState.allocations].reverse() };
+        const settings = { ...baseState, settings: { capacityFactor: 0.5 } };
+
+        expect(createPatches(baseState, reordered, ['allocations'])[0]).toHaveProperty('before', baseState.allocations);
+        expect(createPatches(baseState, settings, ['settings'])[0]).toEqual({
+            key: 'settings',
+            before: baseState.settings,
+            after: settings.settings,
+        });
+    });
+
+    it('should build readable labels from action types', () => {
+        expect(getActionLabel('DELETE_ALLOCATION')).toBe('Delete allocation');
+    });
+});
+
+describe('History reducer', () => {
+    it('should undo and redo data-mutating actions', () => {
+        let history = createHistoryState(baseState);
+        history = reducer(history, { type: 'DELETE_ALLOCATION', payload: 'ALLOC-1' });
+        history = reducer(history, {
+            type: 'UPDATE_ALLOCATION',
+            payload: { id: 'ALLOC-3', activityName: 'UAT' },
+        });
+
+        expect(history.past).toHaveLength(2);
+        expect(history.past[1].label).toBe('Update allocation');
+
+        history = reducer(history, { type: HISTORY_ACTIONS.UNDO });
+        expect(history.present.allocations[1].activityName).toBe('Test');
+
+        history = reducer(history, { type: HISTORY_ACTIONS.UNDO });
+        expect(history.present.allocations).toEqual(baseState.allocations);
+        expect(history.future).toHaveLength(2);
+
+        history = reducer(history, { type: HISTORY_ACTIONS.REDO });
+        expect(history.present.allocations.map(a => a.id)).toEqual(['ALLOC-2', 'ALLOC-3']);
+    });
+
+    it('should clear the redo stack on a new change but not on derived updates', () => {
+        let history = createHistoryState(baseState);
+        history = reducer(history, { type: 'DELETE_ALLOCATION', payload: 'ALLOC-1' });
+        history = reducer(history, { type: HISTORY_ACTIONS.UNDO });
+
+        history = reducer(history, {
+            type: 'UPDATE_SETTINGS',
+            payload: { capacityFactor: 0.9 },
+            meta: { skipHistory: true },
+        });
+        expect(history.future).toHaveLength(1);
+        expect(history.past).toHaveLength(0);
+
+        history = reducer(history, { type: 'ADD_ALLOCATION', payload: { id: 'ALLOC-4' } });
+        expect(history.future).toHaveLength(0);
+        expect(history.past).toHaveLength(1);
+    });
+
+    it('should never record skipped action types', () => {
+        const skipping = withHistory(testReducer, { skipActions: ['UPDATE_ALLOCATION'] });
+        let history = createHistoryState(baseState);
+        history = skipping(history, { type: 'UPDATE_ALLOCATION', payload: { ...baseState.allocations[0], status: 'done' } });
+        expect(history.past).toHaveLength(0);
+
+        history = skipping(history, { type: HISTORY_ACTIONS.UNDO });
+        expect(history.present.allocations[0].status).toBe('done');
+    });
+
+    it('should keep the fields of a skipped action when earlier edits are undone', () => {
+        const approve = (state, action) => (action.type === 'APPROVE'
+            ? testReducer(state, { ...action, type: 'UPDATE_ALLOCATION' })
+            : testReducer(state, action));
+        const approving = withHistory(approve, { skipActions: ['APPROVE'] });
+
+        let history = createHistoryState(baseState);
+        history = approving(history, { type: 'UPDATE_ALLOCATION', payload: { ...baseState.allocations[0], activityName: 'Design v2', budget: 100 } });
+        history = approving(history, { type: 'APPROVE', payload: { ...history.present.allocations[0], budget: 500 } });
+        expect(history.past).toHaveLength(1);
+
+        history = approving(history, { type: HISTORY_ACTIONS.UNDO });
+        expect(history.present.allocations[0]).toEqual({ id: 'ALLOC-1', activityName: 'Design', budget: 500 });
+
+        history = approving(history, { type: HISTORY_ACTIONS.REDO });
+        expect(history.present.allocations[0]).toEqual({ id: 'ALLOC-1', activityName: 'Design v2', budget: 500 });
+    });
+
+    it('should drop undoable inserts of an entity a skipped action changed', () => {
+        const approve = (state, action) => (action.type === 'APPROVE'
+            ? testReducer(state, { ...action, type: 'UPDATE_ALLOCATION' })
+            : testReducer(state, action));
+        const approving = withHistory(approve, { skipActions: ['APPROVE'] });
+
+        let history = createHistoryState(baseState);
+        history = approving(history, { type: 'ADD_ALLOCATION', payload: { id: 'ALLOC-4', status: 'pending' } });
+        history = approving(history, { type: 'APPROVE', payload: { id: 'ALLOC-4', status: 'approved' } });
+        expect(history.past).toHaveLength(0);
+
+        history = approving(history, { type: HISTORY_ACTIONS.UNDO });
+        expect(history.present.allocations.find(a => a.id === 'ALLOC-4').status).toBe('approved');
+    });
+
+    it('should not record untracked slices or no-op actions', () => {
+        let history = createHistoryState(baseState);
+        history = reducer(history, { type: 'ADD_AUDIT_LOG', payload: { message: 'hello' } });
+        history = reducer(history, { type: 'UNKNOWN' });
+
+        expect(history.present.auditLog).toHaveLength(1);
+        expect(history.past).toHaveLength(0);
+    });
+
+    it('should record a batch as a single step', () => {
+        let history = createHistoryState(baseState);
+        history = reducer(history, {
+            type: HISTORY_ACTIONS.BATCH,
+            payload: [
+                { type: 'DELETE_ALLOCATION', payload: 'ALLOC-1' },
+                { type: 'DELETE_ALLOCATION', payload: 'ALLOC-3' },
+            ],
+            meta: { label: 'Delete 2 allocations' },
+        });
+
+        expect(history.past).toHaveLength(1);
+        expect(history.past[0].label).toBe('Delete 2 allocations');
+        expect(history.present.allocations).toHaveLength(1);
+
+        history = reducer(history, { type: HISTORY_ACTIONS.UNDO });
+        expect(history.present.allocations).toEqual(baseState.allocations);
+    });
+
+    it('should reset history when data is loaded', () => {
+        let history = createHistoryState(baseState);
+        history = reducer(history, { type: 'DELETE_ALLOCATION', payload: 'ALLOC-1' });
+        history = reducer(history, { type: 'LOAD_DATA', payload: { allocations: [] } });
+
+        expect(history.past).toHaveLength(0);
+        expect(history.present.allocations).toEqual([]);
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * Resource Leveling Tests
+ * Test reassignment, delays and priority/status rules of the leveling engine
+ */
+
+import { describe, it, expect } from 'vitest';
+import { levelResources, findOverloads, LEVELING_ACTIONS } from '../utils/leveling';
+import { recalculateAllocations } from '../utils/recalculate';
+import { defaultComplexity } from '../data';
+
+const settings = { capacityFactor: 1, includeCutiBersama: true };
+// 'Build' on small complexity loads a member at 60% a day, over 3 workdays
+const tasks = [{ id: 'T1', name: 'Build', category: 'Project', estimates: { small: { days: 3, hours: 14.4 } } }];
+const range = { start: '2026-01-05', end: '2026-01-30' };
+
+const makeMember = (id, name, type = 'FULLSTACK') => ({ id, name, type, maxCapacity: 1.0, isActive: true });
+
+const makeAllocation = (id, resourceId, taskStart, overrides = {}) => ({
+    id,
+    activityName: id,
+    category: 'Project',
+    taskName: 'Build',
+    resourceId,
+    complexity: 'small',
+    status: 'open',
+    priority: 'P3',
+    plan: { taskStart, taskEnd: '' },
+    dependencies: [],
+    ...overrides,
+});
+
+const level = (allocations, members) => levelResources(allocations, {
+    members,
+    complexity: defaultComplexity,
+    tasks,
+    settings,
+}, range);
+
+describe('Resource leveling', () => {
+    it('should find days where a member is over capacity', () => {
+        const members = [makeMember('MEM-001', 'Alice')];
+        const allocations = recalculateAllocations([
+            makeAllocation('A', 'MEM-001', '2026-01-05'),
+            makeAllocation('B', 'MEM-001', '2026-01-07'),
+        ], defaultComplexity, [], tasks, [], [], members, [], [], settings);
+
+        // A runs Jan 5-8 and B Jan 7-12: they overlap on the 7th and 8th
+        expect(findOverloads(allocations, members, range).map(o => o.date)).toEqual(['2026-01-07', '2026-01-08']);
+    });
+
+    it('should reassign the lower-priority allocation to a free member of the same type', () => {
+        const members = [
+            makeMember('MEM-001', 'Alice'),
+            makeMember('MEM-002', 'Bob'),
+            makeMember('MEM-003', 'Dina', 'DBA'),
+        ];
+        const result = level([
+            makeAllocation('A', 'MEM-001', '2026-01-05', { priority: 'P4' }),
+            makeAllocation('B', 'MEM-001', '2026-01-05', { priority: 'P1' }),
+        ], members);
+
+        expect(result.overloadsBefore).toHaveLength(4);
+        expect(result.overloadsAfter).toHaveLength(0);
+        expect(result.changes).toHaveLength(1);
+        expect(result.changes[0]).toMatchObject({
+            id: 'A',
+            action: LEVELING_ACTIONS.REASSIGN,
+            before: { resourceId: 'MEM-001', taskStart: '2026-01-05' },
+            after: { resourceId: 'MEM-002', resource: 'Bob', taskStart: '2026-01-05' },
+        });
+    });
+
+    it('should delay when no member of the same type has room, cascading to successors', () => {
+        const members = [makeMember('MEM-001', 'Alice'), makeMember('MEM-003', 'Dina', 'DBA')];
+        const result = level([
+            makeAllocation('A', 'MEM-001', '2026-01-05', { priority: 'P1' }),
+            makeAllocation('B', 'MEM-001', '2026-01-05', { priority: '' }),
+            makeAllocation('C', 'MEM-003', '', { dependencies: [{ predecessorId: 'B', type: 'FS', lag: 0 }] }),
+        ], members);
+
+        const byId = Object.fromEntries(result.changes.map(c => [c.id, c]));
+        expect(result.overloadsAfter).toHaveLength(0);
+        expect(byId.A).toBeUndefined();
+        // A ends Thu 8th, so B moves to Fri 9th and C follows it
+        expect(byId.B).toMatchObject({ action: LEVELING_ACTIONS.DELAY, after: { taskStart: '2026-01-09', taskEnd: '2026-01-14' } });
+        expect(byId.C).toMatchObject({ action: LEVELING_ACTIONS.CASCADE, after: { taskStart: '2026-01-15' } });
+    });
+
+    it('should never move completed allocations or those starting outside the range', () => {
+        const members = [makeMember('MEM-001', 'Alice')];
+        const result = level([
+            makeAllocation('A', 'MEM-001', '2026-01-05', { status: 'completed', priority: 'P4' }),
+            makeAllocation('B', 'MEM-001', '2026-01-02', { priority: 'P4' }),
+            makeAllocation('C', 'MEM-001', '2026-01-06', { priority: 'P1' }),
+        ], members);
+
+        expect(result.changes.map(c => c.id)).toEqual(['C']);
+        expect(result.changes[0].after.taskStart).toBe('2026-01-09');
+        // A and B overlap on the 5th-7th and neither may move, so those days are reported
+        expect(result.overloadsAfter.map(o => o.date)).toEqual(['2026-01-05', '2026-01-06', '2026-01-07']);
+    });
+});
@@ -148,7 +148,7 @@ describe('Data Migration System', () => {
         expect(status.currentVersion).toBe('1.2.0');
         expect(status.targetVersion).toBe(CURRENT_VERSION);
         expect(status.needsMigration).toBe(true);
-        expect(status.migrationPath).toHaveLength(5);
+        expect(status.migrationPath).toHaveLength(12);
         expect(status.migrationPath[0].from).toBe('1.2.0');
         expect(status.migrationPath[0].to).toBe('1.3.0');
     });
@@ -225,7 +225,7 @@ describe('Data Migration System', () => {
 
         // Verify migration result
         expect(result.migrated).toBe(true);
-        expect(result.version).toBe('2.2.0');
+        expect(result.version).toBe(CURRENT_VERSION);
         expect(result.from).toBe('2.1.0');
 
         // Verify migrated data
@@ -240,4 +240,152 @@ describe('Data Migration System', () => {
         expect(a).toHaveProperty('slaDeadline', '');
         expect(a).toHaveProperty('slaStatus', 'Within SLA');
     });
-});
\ No newline at end of file
+
+    it('should migrate from version 2.2.0 to 2.3.0 linking records to member IDs', () => {
+        const v22Members = [
+            { id: 'MEM-001', name: 'Alice Developer', costCenterId: 'CC-001', costCenterHistory: [] },
+        ];
+        const v22Allocations = [
+            { id: 'ALLOC-220', resource: 'Alice Developer', complexity: 'medium', costCenterId: 'CC-001' },
+            { id: 'ALLOC-221', resource: 'Former Member', complexity: 'low', costCenterId: '' },
+        ];
+        const v22Leaves = [
+            { id: 'LV-001', memberName: 'Alice Developer', startDate: '2026-01-05', endDate: '2026-01-06' },
+        ];
+
+        saveToStorage('version', '2.2.0');
+        saveToStorage('members', v22Members);
+        saveToStorage('allocations', v22Allocations);
+        saveToStorage('leaves', v22Leaves);
+
+        const result = migrateData();
+
+        expect(result.migrated).toBe(true);
+        expect(result.from).toBe('2.2.0');
+
+        const migratedAllocations = loadFromStorage('allocations', []);
+        const migratedLeaves = loadFromStorage('leaves', []);
+
+        expect(migratedAllocations[0]).toHaveProperty('resourceId', 'MEM-001');
+        // Name is preserved as a display snapshot
+        expect(migratedAllocations[0]).toHaveProperty('resource', 'Alice Developer');
+        expect(migratedAllocations[1]).toHaveProperty('resourceId', '');
+        expect(migratedLeaves[0]).toHaveProperty('memberId', 'MEM-001');
+    });
+
+    it('should migrate from version 2.3.0 to 2.4.0 adding dependency links', () => {
+        saveToStorage('version', '2.3.0');
+        saveToStorage('allocations', [
+            { id: 'ALLOC-230', resourceId: 'MEM-001', complexity: 'medium' },
+            { id: 'ALLOC-231', resourceId: 'MEM-001', complexity: 'low', dependencies: [{ predecessorId: 'ALLOC-230', type: 'FS', lag: 0 }] },
+        ]);
+
+        const result = migrateData();
+
+        expect(result.migrated).toBe(true);
+        expect(result.version).toBe(CURRENT_VERSION);
+
+        const migratedAllocations = loadFromStorage('allocations', []);
+        expect(migratedAllocations[0].dependencies).toEqual([]);
+        expect(migratedAllocations[1].dependencies).toHaveLength(1);
+    });
+
+    it('should migrate from version 2.4.0 to 2.5.0 adding working calendars', () => {
+        const partTime = { id: 'CAL-1', workdays: [1, 3, 5], hoursPerDay: 6, effectiveFrom: '', effectiveTo: '' };
+        saveToStorage('version', '2.4.0');
+        saveToStorage('members', [
+            { id: 'MEM-001', name: 'Alice', type: 'FULLSTACK' },
+            { id: 'MEM-002', name: 'Bob', type: 'FULLSTACK', workCalendars: [partTime] },
+        ]);
+
+        const result = migrateData();
+
+        expect(result.migrated).toBe(true);
+        expect(result.version).toBe(CURRENT_VERSION);
+
+        const migratedMembers = loadFromStorage('members', []);
+        expect(migratedMembers[0].workCalendars).toEqual([]);
+        expect(migratedMembers[1].workCalendars).toEqual([partTime]);
+    });
+
+    it('should migrate from version 2.5.0 to 2.6.0 grouping allocations into projects by demand number', () => {
+        saveToStorage('version', '2.5.0');
+        saveToStorage('allocations', [
+            { id: 'ALLOC-1', demandNumber: 'DM-001', activityName: 'Portal', status: 'open', plan: { taskStart: '2026-01-05', taskEnd: '2026-01-20', costProject: 1000 } },
+            { id: 'ALLOC-2', demandNumber: 'DM-001', activityName: 'Portal', status: 'completed', plan: { taskStart: '2026-01-02', taskEnd: '2026-02-10', costProject: 500 } },
+            { id: 'ALLOC-3', demandNumber: 'DM-002', activityName: 'API', status: 'completed', plan: { taskStart: '2026-03-01', taskEnd: '2026-03-05', costProject: 0 } },
+            { id: 'ALLOC-4', demandNumber: '', activityName: 'Helpdesk', status: 'open', plan: {} },
+        ]);
+
+        const result = migrateData();
+
+        expect(result.migrated).toBe(true);
+
+        const projects = loadFromStorage('projects', []);
+        expect(projects).toHaveLength(2);
+        const portal = projects.find(p => p.code === 'DM-001');
+        expect(portal).toMatchObject({
+            name: 'Portal',
+            budget: 1500,
+            status: 'active',
+            startDate: '2026-01-02',
+            targetDate: '2026-02-10',
+        });
+        expect(projects.find(p => p.code === 'DM-002').status).toBe('completed');
+
+        const allocations = loadFromStorage('allocations', []);
+        expect(allocations[0].projectId).toBe(portal.id);
+        expect(allocations[1].projectId).toBe(portal.id);
+        expect(allocations[3].projectId).toBe('');
+    });
+
+    it('should migrate from version 2.6.0 to 2.7.0 adding default roles to task templates', () => {
+        saveToStorage('version', '2.6.0');
+        saveToStorage('tasks', [
+            { id: 'T001', name: 'Project Charter', phaseId: 1 },
+            { id: 'T050', name: 'Custom Task', phaseId: 3 },
+            { id: 'T051', name: 'Deployment', phaseId: 5, role: 'FULLSTACK' },
+        ]);
+
+        const result = migrateData();
+
+        expect(result.migrated).toBe(true);
+        expect(loadFromStorage('tasks', []).map(t => t.role)).toEqual(['ARCHITECT', '', 'FULLSTACK']);
+    });
+
+    it('should migrate from version 2.7.0 to 2.8.0 marking existing amounts as IDR', () => {
+        saveToStorage('version', '2.7.0');
+        saveToStorage('costs', [
+            { id: 'COST-1', resourceName: 'Tier 1', perHourCost: 50000 },
+            { id: 'COST-2', resourceName: 'Contractor', perHourCost: 40, currency: 'USD' },
+        ]);
+        saveToStorage('costCenters', [{ id: 'CC-1', code: 'ENG', monthlyBudget: 1000 }]);
+        saveToStorage('projects', [{ id: 'PRJ_1', code: 'DM-001', budget: 5000 }]);
+
+        const result = migrateData();
+
+        expect(result.migrated).toBe(true);
+        expect(loadFromStorage('costs', []).map(c => c.currency)).toEqual(['IDR', 'USD']);
+        expect(loadFromStorage('costCenters', [])[0].currency).toBe('IDR');
+        expect(loadFromStorage('projects', [])[0].currency).toBe('IDR');
+    });
+
+    it('should migrate from version 2.8.0 to 2.9.0 starting each tier rate history at its current rate', () => {
+        saveToStorage('version', '2.8.0');
+        saveToStorage('costs', [
+            { id: 'COST-1', resourceName: 'Tier 1', monthlyCost: 8000000, perDayCost: 400000, perHourCost: 50000, currency: 'IDR' },
+        ]);
+
+        const result = migrateData();
+
+        expect(result.migrated).toBe(true);
+        expect(loadFromStorage('costs', [])[0].rateHistory).toEqual([{
+            id: 'COST-1-R1',
+            monthlyCost: 8000000,
+            perDayCost: 400000,
+            perHourCost: 50000,
+            effectiveFrom: '',
+            effectiveTo: '',
+        }]);
+    });
+});
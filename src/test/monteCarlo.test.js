@@ -0,0 +1,92 @@
+/**
+ * Monte Carlo Schedule Risk Tests
+ * Test sampling bounds, reproducibility and dependency-aware percentiles
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    createRandom,
+    sampleTriangular,
+    samplePert,
+    runMonteCarlo,
+    DISTRIBUTIONS,
+} from '../utils/monteCarlo';
+import { recalculateAllocations } from '../utils/recalculate';
+import { defaultComplexity } from '../data';
+
+const settings = { capacityFactor: 1, includeCutiBersama: true };
+const costs = [{ id: 'COST-001', resourceName: 'Senior', perHourCost: 100000 }];
+const members = [{ id: 'MEM-001', name: 'Alice', type: 'FULLSTACK', costTierId: 'COST-001' }];
+const context = { members, complexity: defaultComplexity, holidays: [], leaves: [], settings };
+
+const makeAllocation = (id, taskStart, dependencies = [], status = 'open') => ({
+    id,
+    demandNumber: 'DEM-001',
+    activityName: id,
+    category: 'Project',
+    taskName: 'Build',
+    resourceId: 'MEM-001',
+    complexity: 'medium',
+    status,
+    plan: { taskStart, taskEnd: '' },
+    dependencies,
+});
+
+const schedule = (allocations) =>
+    recalculateAllocations(allocations, defaultComplexity, costs, [], [], [], members, [], [], settings);
+
+describe('Monte Carlo schedule risk', () => {
+    it('should sample within the three-point bounds', () => {
+        const random = createRandom(42);
+        for (let i = 0; i < 500; i++) {
+            const triangular = sampleTriangular(7, 10, 15, random);
+            const pert = samplePert(7, 10, 15, random);
+            expect(triangular).toBeGreaterThanOrEqual(7);
+            expect(triangular).toBeLessThanOrEqual(15);
+            expect(pert).toBeGreaterThanOrEqual(7);
+            expect(pert).toBeLessThanOrEqual(15);
+        }
+    });
+
+    it('should be reproducible for the same seed', () => {
+        const allocations = schedule([makeAllocation('A', '2026-01-05')]);
+        const first = runMonteCarlo(allocations, context, { iterations: 300, seed: 7 });
+        const second = runMonteCarlo(allocations, context, { iterations: 300, seed: 7 });
+
+        expect(second).toEqual(first);
+        expect(first.demands[0].histogram.reduce((sum, bin) => sum + bin.count, 0)).toBe(300);
+        expect(first.demands[0].sCurve.at(-1).probability).toBe(1);
+    });
+
+    it('should order percentiles and cascade sampled finishes through dependencies', () => {
+        const allocations = schedule([
+            makeAllocation('A', '2026-01-05'),
+            makeAllocation('B', '2026-01-05', [{ predecessorId: 'A', type: 'FS', lag: 0 }]),
+        ]);
+        const result = runMonteCarlo(allocations, context, {
+            iterations: 1000,
+            distribution: DISTRIBUTIONS.TRIANGULAR,
+            seed: 1,
+        });
+        const [demand] = result.demands;
+
+        expect(demand.plannedFinish).toBe(allocations.find(a => a.id === 'B').plan.taskEnd);
+        expect(demand.finish.p50 <= demand.finish.p80).toBe(true);
+        expect(demand.finish.p80 <= demand.finish.p95).toBe(true);
+        expect(demand.cost.p50).toBeLessThanOrEqual(demand.cost.p95);
+
+        // Two chained tasks can't finish before both run optimistic back to back
+        const single = runMonteCarlo(schedule([makeAllocation('A', '2026-01-05')]), context, { iterations: 1000, seed: 1 });
+        expect(demand.finish.min > single.demands[0].finish.min).toBe(true);
+    });
+
+    it('should keep completed allocations at their planned dates and cost', () => {
+        const allocations = schedule([makeAllocation('A', '2026-01-05', [], 'completed')]);
+        const result = runMonteCarlo(allocations, context, { iterations: 200, seed: 3 });
+        const [demand] = result.demands;
+
+        expect(demand.finish.p95).toBe(allocations[0].plan.taskEnd);
+        expect(demand.onTimeProbability).toBe(1);
+        expect(demand.cost.p50).toBe(allocations[0].plan.costProject);
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * Project Template Tests
+ * Test task ordering, role assignment and chained scheduling of generated allocations
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    OTHER_ROLE,
+    generateTemplateAllocations,
+    getTemplateRoles,
+    getTemplateTasks,
+    validateTemplateSelection,
+} from '../utils/projectTemplates';
+import { defaultComplexity, defaultPhases, defaultTaskTemplates } from '../data';
+
+const members = [
+    { id: 'MEM-001', name: 'Alice Architect', type: 'ARCHITECT', costTierId: 'COST-001' },
+    { id: 'MEM-002', name: 'Bob Developer', type: 'FULLSTACK', costTierId: 'COST-001' },
+];
+
+const state = {
+    phases: defaultPhases,
+    tasks: defaultTaskTemplates,
+    members,
+    complexity: defaultComplexity,
+    costs: [{ id: 'COST-001', resourceName: 'Tier 1', perHourCost: 100000 }],
+    holidays: [],
+    leaves: [],
+    costCenters: [],
+    coa: [],
+    settings: { capacityFactor: 1, includeCutiBersama: true },
+};
+
+const project = { id: 'PRJ_1', code: 'DM-001' };
+
+const selection = {
+    phaseIds: [2, 1],
+    complexity: 'small',
+    startDate: '2026-01-05',
+    assignments: { ARCHITECT: 'MEM-001', FULLSTACK: 'MEM-002' },
+};
+
+describe('getTemplateTasks', () => {
+    it('orders tasks by phase sort order, then the phase task list', () => {
+        const templateTasks = getTemplateTasks(defaultPhases, defaultTaskTemplates, [2, 1]);
+        expect(templateTasks.map(({ task }) => task.id)).toEqual(['T001', 'T002', 'T003', 'T004', 'T005']);
+        expect(getTemplateRoles(templateTasks)).toEqual(['ARCHITECT', 'FULLSTACK']);
+    });
+
+    it('includes templates linked by phase ID and groups tasks without a role', () => {
+        const extra = { id: 'T200', name: 'Kickoff', phaseId: 1, category: 'Project', estimates: {} };
+        const templateTasks = getTemplateTasks(defaultPhases, [...defaultTaskTemplates, extra], [1]);
+        expect(templateTasks.map(({ task }) => task.id)).toEqual(['T001', 'T002', 'T200']);
+        expect(getTemplateRoles(templateTasks)).toEqual(['ARCHITECT', OTHER_ROLE]);
+    });
+});
+
+describe('validateTemplateSelection', () => {
+    it('requires phases, a start date and a member for every role', () => {
+        const templateTasks = getTemplateTasks(defaultPhases, defaultTaskTemplates, selection.phaseIds);
+        expect(validateTemplateSelection(selection, templateTasks)).toEqual({});
+
+        const errors = validateTemplateSelection({ ...selection, startDate: '', assignments: { ARCHITECT: 'MEM-001' } }, templateTasks);
+        expect(errors.startDate).toBeDefined();
+        expect(errors.assignments).toMatch(/Fullstack Engineer/);
+        expect(validateTemplateSelection(selection, []).phaseIds).toBeDefined();
+    });
+});
+
+describe('generateTemplateAllocations', () => {
+    it('chains allocations finish-to-start from the start date', () => {
+        const allocations = generateTemplateAllocations(selection, project, state);
+
+        expect(allocations).toHaveLength(5);
+        expect(allocations[0].plan.taskStart).toBe('2026-01-05');
+        expect(allocations[0].dependencies).toEqual([]);
+        allocations.slice(1).forEach((allocation, i) => {
+            const previous = allocations[i];
+            expect(allocation.dependencies).toEqual([{ predecessorId: previous.id, type: 'FS', lag: 0 }]);
+            expect(allocation.plan.taskStart > previous.plan.taskEnd).toBe(true);
+        });
+    });
+
+    it('assigns members by role and references the project', () => {
+        const allocations = generateTemplateAllocations(selection, project, state);
+
+        expect(allocations.map(a => a.resourceId)).toEqual(['MEM-001', 'MEM-001', 'MEM-001', 'MEM-001', 'MEM-002']);
+        expect(allocations[4]).toMatchObject({
+            projectId: 'PRJ_1',
+            demandNumber: 'DM-001',
+            phase: 'Planning',
+            taskName: 'Sprint Planning',
+            resource: 'Bob Developer',
+            complexity: 'small',
+        });
+        expect(allocations.every(a => a.plan.costProject > 0)).toBe(true);
+    });
+});
@@ -0,0 +1,99 @@
+/**
+ * Project Tests
+ * Test project validation, demand number snapshots, health checks and the
+ * project cost center breakdown
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getProjectHealth, validateProject, withProjectSnapshot } from '../utils/projects';
+import { getProjectCostCenterBreakdown } from '../utils/calculations';
+
+const project = {
+    id: 'PRJ_1',
+    code: 'DM-001',
+    name: 'Portal',
+    budget: 1000000,
+    startDate: '2026-03-01',
+    targetDate: '2026-03-31',
+};
+
+const makeAllocation = (id, overrides = {}) => ({
+    id,
+    projectId: 'PRJ_1',
+    demandNumber: 'DM-001',
+    activityName: id,
+    category: 'Project',
+    status: 'open',
+    percentComplete: 0,
+    plan: { taskStart: '2026-03-01', taskEnd: '2026-03-10', costProject: 400000 },
+    actual: { taskStart: '', taskEnd: '', costProject: 0 },
+    ...overrides,
+});
+
+describe('validateProject', () => {
+    it('requires a unique code and a name', () => {
+        expect(validateProject(project, [project])).toEqual({});
+        expect(validateProject({ ...project, id: 'PRJ_2', code: 'dm-001 ' }, [project]).code).toMatch(/already used/);
+        expect(validateProject({ ...project, name: ' ' }, []).name).toBeDefined();
+    });
+
+    it('rejects a negative budget and a target before the start', () => {
+        const errors = validateProject({ ...project, budget: -1, targetDate: '2026-02-01' }, []);
+        expect(Object.keys(errors).sort()).toEqual(['budget', 'targetDate']);
+    });
+});
+
+describe('withProjectSnapshot', () => {
+    it('copies the project code into the demand number', () => {
+        const allocation = makeAllocation('A', { demandNumber: 'OLD' });
+        expect(withProjectSnapshot(allocation, [project]).demandNumber).toBe('DM-001');
+
+        const unassigned = makeAllocation('B', { projectId: '', demandNumber: '' });
+        expect(withProjectSnapshot(unassigned, [project])).toBe(unassigned);
+    });
+});
+
+describe('getProjectHealth', () => {
+    it('is on track when cost, dates and earned value are within plan', () => {
+        const health = getProjectHealth(project, [makeAllocation('A'), makeAllocation('B', { projectId: 'PRJ_2' })], '2026-02-20');
+        expect(health.status).toBe('on-track');
+        expect(health.allocationCount).toBe(1);
+        expect(health.plannedCost).toBe(400000);
+    });
+
+    it('flags budget and target date overruns', () => {
+        const allocations = [
+            makeAllocation('A', { plan: { taskStart: '2026-03-01', taskEnd: '2026-04-10', costProject: 950000 } }),
+            makeAllocation('B', { status: 'cancelled', plan: { taskStart: '2026-03-01', taskEnd: '2026-03-10', costProject: 900000 } }),
+        ];
+
+        const health = getProjectHealth(project, allocations, '2026-02-20');
+
+        expect(health.status).toBe('off-track');
+        expect(health.plannedCost).toBe(950000);
+        expect(health.issues.map(i => i.level)).toEqual(['at-risk', 'off-track']);
+    });
+
+    it('is at risk when work falls slightly behind plan', () => {
+        // Half the planned days elapsed, 45% complete → SPI 0.9
+        const health = getProjectHealth(project, [makeAllocation('A', { percentComplete: 45 })], '2026-03-05');
+        expect(health.status).toBe('at-risk');
+        expect(health.spi).toBeCloseTo(0.9);
+    });
+});
+
+describe('getProjectCostCenterBreakdown', () => {
+    it('matches allocations by project ID only', () => {
+        const allocations = [
+            makeAllocation('A'),
+            // Same demand number, different project: not part of the breakdown
+            makeAllocation('B', { projectId: 'PRJ_2' }),
+            makeAllocation('PRJ_1', { projectId: '' }),
+        ];
+
+        const breakdown = getProjectCostCenterBreakdown(allocations, 'PRJ_1', []);
+
+        expect(breakdown.projectId).toBe('PRJ_1');
+        expect(breakdown.totalCost).toBe(400000);
+    });
+});
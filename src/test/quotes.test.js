@@ -0,0 +1,121 @@
+/**
+ * Quote Tests
+ * Test estimate costing with contingency, quote versioning, comparison and
+ * conversion of a quote into a project with placeholder allocations
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    calculateQuote,
+    compareQuotes,
+    createProjectFromQuote,
+    createQuote,
+    getPlaceholderLabel,
+    isPlaceholderAllocation,
+    validateQuote,
+} from '../utils/quotes';
+import { recalculateAllocations } from '../utils/recalculate';
+import { defaultComplexity, defaultPhases } from '../data';
+
+// Monitoring & Controlling through Closing: two phases of 'small' work (12 hours, 3 days)
+const estimate = {
+    name: 'Portal revamp',
+    client: 'Retail',
+    startPhaseId: 4,
+    complexity: 'small',
+    contingencyPercent: 10,
+    resources: [
+        { id: 'R1', roleType: 'FULLSTACK', tierLevel: 2 }, // 14,000,000/month → 87,500/hour
+        { id: 'R2', roleType: 'DEVOPS', tierLevel: 1 },    // 12,000,000/month → 75,000/hour
+    ],
+};
+
+const summary = calculateQuote(estimate, defaultComplexity, defaultPhases);
+
+describe('calculateQuote', () => {
+    it('costs each resource per covered phase and adds contingency to cost and duration', () => {
+        expect(summary.phases).toEqual(['Monitoring & Controlling', 'Closing']);
+        expect(summary.breakdown.map(line => line.cost)).toEqual([2100000, 1800000]);
+        expect(summary.baseCost).toBe(3900000);
+        expect(summary.contingencyCost).toBe(390000);
+        expect(summary.totalCost).toBe(4290000);
+        expect(summary.totalMandays).toBe(6);
+        // 3 days + ceil(10%) buffer day, per phase
+        expect(summary.totalDays).toBe(8);
+    });
+});
+
+describe('createQuote', () => {
+    it('numbers new quotes and versions revisions of the same quote', () => {
+        const first = createQuote(estimate, summary, []);
+        expect(first).toMatchObject({ quoteNumber: 'Q-0001', version: 1, status: 'draft', projectId: '' });
+
+        const revision = createQuote({ ...estimate, contingencyPercent: 20 }, summary, [first], first);
+        expect(revision).toMatchObject({ quoteNumber: 'Q-0001', version: 2, contingencyPercent: 20 });
+
+        // Revising an older version still continues after the latest one
+        const third = createQuote(estimate, summary, [first, revision], first);
+        expect(third.version).toBe(3);
+        expect(createQuote(estimate, summary, [first, revision]).quoteNumber).toBe('Q-0002');
+    });
+
+    it('requires a name, resources and a contingency within 0-100%', () => {
+        expect(validateQuote(estimate)).toEqual({});
+        const errors = validateQuote({ ...estimate, name: ' ', resources: [], contingencyPercent: 120 });
+        expect(Object.keys(errors).sort()).toEqual(['contingencyPercent', 'name', 'resources']);
+    });
+});
+
+describe('compareQuotes', () => {
+    it('reports total and per-resource changes between two versions', () => {
+        const a = createQuote(estimate, summary, []);
+        const bEstimate = { ...estimate, resources: [estimate.resources[0]] };
+        const b = createQuote(bEstimate, calculateQuote(bEstimate, defaultComplexity, defaultPhases), [a], a);
+
+        const { totals, resources } = compareQuotes(a, b);
+
+        expect(totals.find(t => t.key === 'baseCost').delta).toBe(-1800000);
+        expect(resources).toEqual([
+            { label: 'Fullstack Engineer', a: 2100000, b: 2100000, delta: 0 },
+            { label: 'Junior DevOps', a: 1800000, b: 0, delta: -1800000 },
+        ]);
+    });
+});
+
+describe('createProjectFromQuote', () => {
+    const quote = { ...createQuote(estimate, summary, []), status: 'accepted' };
+    const { project, allocations } = createProjectFromQuote(quote, {
+        id: 'PRJ_1',
+        code: 'DM-100',
+        name: 'Portal revamp',
+        startDate: '2026-01-05',
+    });
+
+    it('budgets the project at the quoted total and adds a placeholder per resource', () => {
+        expect(project).toMatchObject({ id: 'PRJ_1', code: 'DM-100', budget: 4290000, startDate: '2026-01-05', targetDate: '2026-01-14' });
+        expect(allocations).toHaveLength(2);
+        expect(allocations[0]).toMatchObject({
+            projectId: 'PRJ_1',
+            demandNumber: 'DM-100',
+            resourceId: '',
+            placeholderRole: 'FULLSTACK',
+            plan: { taskStart: '2026-01-05', taskEnd: '2026-01-14', costProject: 2100000 },
+        });
+        expect(allocations.every(isPlaceholderAllocation)).toBe(true);
+        expect(getPlaceholderLabel(allocations[1])).toBe('Unassigned · Junior DevOps');
+    });
+
+    it('keeps the quoted cost until a member is assigned', () => {
+        const members = [{ id: 'MEM-1', name: 'Alice', costTierId: 'COST-1' }];
+        const costs = [{ id: 'COST-1', resourceName: 'Tier', perHourCost: 100000 }];
+        const bound = { ...allocations[0], resourceId: 'MEM-1', resource: 'Alice' };
+
+        const [placeholder, assigned] = recalculateAllocations(
+            [allocations[1], bound], defaultComplexity, costs, [], [], [], members, [], [], {}
+        );
+
+        expect(placeholder.plan.costProject).toBe(1800000);
+        expect(isPlaceholderAllocation(assigned)).toBe(false);
+        expect(assigned.plan.costProject).toBe(1200000);
+    });
+});
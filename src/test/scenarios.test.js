@@ -0,0 +1,189 @@
+/**
+ * What-if Scenario Tests
+ * Test forking, isolated edits and comparison against live data
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    createScenario,
+    getScenarioState,
+    recalculateScenarioData,
+    compareScenario,
+    getPromotionConflicts,
+    getScenarioChanges,
+    mergeScenarioChanges,
+    SCENARIO_KEYS,
+} from '../utils/scenarios';
+import { recalculateAllocations } from '../utils/recalculate';
+import { defaultComplexity } from '../data';
+
+const settings = { capacityFactor: 1, includeCutiBersama: true };
+// 'small' is 12 hours over 3 workdays; 'Build' loads a member at 50% a day
+const tasks = [{ id: 'T1', name: 'Build', category: 'Project', estimates: { small: { days: 3, hours: 12 } } }];
+const costs = [
+    { id: 'COST-001', resourceName: 'Senior', perHourCost: 100000 },
+    { id: 'COST-002', resourceName: 'Junior', perHourCost: 50000 },
+];
+const members = [
+    { id: 'MEM-001', name: 'Alice', type: 'FULLSTACK', costTierId: 'COST-001' },
+    { id: 'MEM-002', name: 'Bob', type: 'FULLSTACK', costTierId: 'COST-002' },
+];
+
+const makeAllocation = (id, resourceId, taskStart, demandNumber = 'DEM-001') => ({
+    id,
+    demandNumber,
+    activityName: id,
+    category: 'Project',
+    taskName: 'Build',
+    resourceId,
+    complexity: 'small',
+    status: 'open',
+    plan: { taskStart, taskEnd: '' },
+    dependencies: [],
+});
+
+const buildState = () => {
+    const state = {
+        members,
+        costs,
+        tasks,
+        complexity: defaultComplexity,
+        holidays: [],
+        leaves: [],
+        costCenters: [],
+        coa: [],
+        settings,
+        scenarios: [],
+    };
+    state.allocations = recalculateAllocations([
+        makeAllocation('A', 'MEM-001', '2026-01-05'),
+        makeAllocation('B', 'MEM-002', '2026-01-05', 'DEM-002'),
+    ], defaultComplexity, costs, tasks, [], [], members, [], [], settings);
+    return state;
+};
+
+describe('What-if scenarios', () => {
+    it('should fork only the planning slices', () => {
+        const state = buildState();
+        const scenario = createScenario(state, { name: '  Hire a senior ', description: '' });
+
+        expect(scenario.name).toBe('Hire a senior');
+        expect(Object.keys(scenario.data)).toEqual(SCENARIO_KEYS);
+        expect(scenario.data.allocations).toBe(state.allocations);
+        expect(scenario.promotedAt).toBeNull();
+
+        const view = getScenarioState(state, scenario);
+        expect(view.holidays).toBe(state.holidays);
+        expect(view.members).toBe(scenario.data.members);
+    });
+
+    it('should recalculate scenario allocations without touching live data', () => {
+        const state = buildState();
+        const scenario = createScenario(state, { name: 'Cheaper seniors' });
+        const edited = {
+            ...getScenarioState(state, scenario),
+            costs: costs.map(c => c.id === 'COST-001' ? { ...c, perHourCost: 50000 } : c),
+        };
+
+        const data = recalculateScenarioData(edited);
+
+        expect(data.allocations.find(a => a.id === 'A').plan.costProject).toBe(600000);
+        expect(state.allocations.find(a => a.id === 'A').plan.costProject).toBe(1200000);
+    });
+
+    it('should report deltas in cost, monthly burn, utilization and demand end dates', () => {
+        const state = buildState();
+        const scenario = createScenario(state, { name: 'Push DEM-002 by two weeks' });
+        const edited = getScenarioState(state, scenario);
+        edited.allocations = edited.allocations.map(a =>
+            a.id === 'B' ? { ...a, resourceId: 'MEM-001', plan: { ...a.plan, taskStart: '2026-01-19' } } : a
+        );
+        scenario.data = recalculateScenarioData(edited);
+
+        const result = compareScenario(state, scenario);
+
+        // B moves from the junior to the senior rate
+        expect(result.totalCost).toEqual({ live: 1800000, scenario: 2400000, delta: 600000 });
+        expect(result.monthlyTrend).toEqual([{ month: 'Jan 26', live: 1800000, scenario: 2400000, delta: 600000 }]);
+
+        const byMember = Object.fromEntries(result.utilization.map(u => [u.memberId, u]));
+        expect(byMember['MEM-001']).toMatchObject({ live: 50, scenario: 100, delta: 50 });
+        expect(byMember['MEM-002']).toMatchObject({ live: 50, scenario: 0, delta: -50 });
+
+        expect(result.demandEndDates).toEqual([
+            { demandNumber: 'DEM-001', live: '2026-01-08', scenario: '2026-01-08', delta: 0 },
+            { demandNumber: 'DEM-002', live: '2026-01-08', scenario: '2026-01-22', delta: 10 },
+        ]);
+    });
+
+    describe('promotion', () => {
+        // Scenario moves B to the senior; live meanwhile reschedules A
+        const fork = () => {
+            const state = buildState();
+            const scenario = createScenario(state, { name: 'Move B' });
+            const edited = getScenarioState(state, scenario);
+            edited.allocations = edited.allocations.map(a => (a.id === 'B' ? { ...a, resourceId: 'MEM-001' } : a));
+            scenario.data = recalculateScenarioData(edited);
+            return { state, scenario };
+        };
+
+        it('applies only what the scenario changed', () => {
+            const { state, scenario } = fork();
+            expect(getScenarioChanges(scenario).allocations.map(c => c.id)).toEqual(['B']);
+            // Recalculated costs alone are not a change
+            expect(getScenarioChanges(scenario).costs).toEqual([]);
+
+            const live = {
+                ...state,
+                allocations: state.allocations.map(a => (a.id === 'A' ? { ...a, plan: { ...a.plan, taskStart: '2026-02-02' } } : a)),
+            };
+            expect(getPromotionConflicts(live, scenario)).toEqual([]);
+
+            const merged = mergeScenarioChanges(live, scenario);
+            expect(merged.allocations.find(a => a.id === 'A').plan.taskStart).toBe('2026-02-02');
+            expect(merged.allocations.find(a => a.id === 'B').resourceId).toBe('MEM-001');
+            expect(merged.members).toBe(live.members);
+        });
+
+        it('blocks records changed on both sides since the fork', () => {
+            const { state, scenario } = fork();
+            const live = {
+                ...state,
+                allocations: state.allocations.map(a => (a.id === 'B' ? { ...a, complexity: 'trivial' } : a)),
+            };
+            expect(getPromotionConflicts(live, scenario)).toEqual([
+                'B (allocations) was also changed in live data since the fork',
+            ]);
+        });
+
+        it('blocks removing allocations with logged time', () => {
+            const state = buildState();
+            const scenario = createScenario(state, { name: 'Drop A' });
+            scenario.data = { ...scenario.data, allocations: scenario.data.allocations.filter(a => a.id !== 'A') };
+
+            expect(getPromotionConflicts(state, scenario)).toEqual([]);
+            expect(getPromotionConflicts({ ...state, timeEntries: [{ memberId: 'MEM-001', allocationId: 'A', date: '2026-01-05', hours: 4 }] }, scenario))
+                .toEqual(['A has logged time and cannot be removed']);
+        });
+
+        it('blocks rate changes that need manager approval', () => {
+            const state = { ...buildState(), timeEntries: [] };
+            const scenario = createScenario(state, { name: 'Cheaper seniors' });
+            scenario.data = {
+                ...scenario.data,
+                costs: costs.map(c => (c.id === 'COST-001' ? { ...c, monthlyCost: 15000000 } : c)),
+            };
+
+            expect(getPromotionConflicts(state, scenario)).toEqual([]);
+            const governed = { ...state, settings: { ...settings, costCenterSettings: { requireManagerApproval: true } } };
+            expect(getPromotionConflicts(governed, scenario)).toEqual([
+                'Senior rate change needs manager approval; submit a change request for it in Resource Costs',
+            ]);
+        });
+
+        it('cannot promote a scenario without its fork base', () => {
+            const { state, scenario } = fork();
+            expect(getPromotionConflicts(state, { ...scenario, base: undefined })).toHaveLength(1);
+        });
+    });
+});
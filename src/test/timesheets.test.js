@@ -0,0 +1,200 @@
+/**
+ * Timesheet Tests
+ * Test time entry editing and validation, the approval workflow, the timer and
+ * how approved hours become actual cost
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    TIMESHEET_STATUS,
+    applyTimesheetActuals,
+    getTimerEntries,
+    getTimerHours,
+    getTimesheetTransitionError,
+    getWeekDates,
+    getWeekStart,
+    setTimeEntry,
+    transitionTimesheet,
+    validateTimeEntry,
+} from '../utils/timesheets';
+
+// Week of Monday 2026-03-02
+const WEEK = '2026-03-02';
+
+const entry = (overrides = {}) => ({
+    memberId: 'M1',
+    allocationId: 'A1',
+    date: '2026-03-03',
+    hours: 4,
+    ...overrides,
+});
+
+describe('weeks', () => {
+    it('starts weeks on Monday', () => {
+        expect(getWeekStart('2026-03-08')).toBe(WEEK);
+        expect(getWeekStart('2026-03-02')).toBe(WEEK);
+        expect(getWeekDates(WEEK)).toHaveLength(7);
+        expect(getWeekDates(WEEK)[6]).toBe('2026-03-08');
+    });
+});
+
+describe('setTimeEntry', () => {
+    it('adds, updates and removes a day entry', () => {
+        const added = setTimeEntry([], entry());
+        expect(added).toHaveLength(1);
+        expect(added[0].id).toMatch(/^TIME_/);
+
+        const updated = setTimeEntry(added, entry({ hours: 6 }));
+        expect(updated).toHaveLength(1);
+        expect(updated[0].hours).toBe(6);
+
+        expect(setTimeEntry(updated, entry({ hours: 0 }))).toEqual([]);
+    });
+});
+
+describe('validateTimeEntry', () => {
+    it('limits a day to 24 hours across allocations', () => {
+        const entries = setTimeEntry([], entry({ allocationId: 'A2', hours: 20 }));
+        expect(validateTimeEntry(entries, [], entry({ hours: 4 }))).toBeNull();
+        expect(validateTimeEntry(entries, [], entry({ hours: 5 }))).toMatch(/24 hours/);
+        expect(validateTimeEntry([], [], entry({ hours: -1 }))).toMatch(/between 0 and 24/);
+    });
+
+    it('locks submitted and approved weeks', () => {
+        const submitted = transitionTimesheet([], { memberId: 'M1', weekStart: WEEK, status: TIMESHEET_STATUS.SUBMITTED });
+        expect(validateTimeEntry([], submitted, entry())).toMatch(/locked/);
+        // Other members and other weeks stay open
+        expect(validateTimeEntry([], submitted, entry({ memberId: 'M2' }))).toBeNull();
+        expect(validateTimeEntry([], submitted, entry({ date: '2026-03-09' }))).toBeNull();
+    });
+});
+
+describe('transitionTimesheet', () => {
+    it('submits, rejects with a reason and resubmits before approval', () => {
+        const key = { memberId: 'M1', weekStart: WEEK };
+        let timesheets = transitionTimesheet([], { ...key, status: TIMESHEET_STATUS.SUBMITTED });
+        expect(timesheets[0].status).toBe(TIMESHEET_STATUS.SUBMITTED);
+
+        expect(() => transitionTimesheet(timesheets, { ...key, status: TIMESHEET_STATUS.REJECTED }))
+            .toThrow(/reason/);
+
+        timesheets = transitionTimesheet(timesheets, { ...key, status: TIMESHEET_STATUS.REJECTED, note: 'Split Tuesday' });
+        expect(timesheets[0].reviewNote).toBe('Split Tuesday');
+
+        timesheets = transitionTimesheet(timesheets, { ...key, status: TIMESHEET_STATUS.SUBMITTED });
+        timesheets = transitionTimesheet(timesheets, { ...key, status: TIMESHEET_STATUS.APPROVED });
+        expect(timesheets).toHaveLength(1);
+        expect(timesheets[0].status).toBe(TIMESHEET_STATUS.APPROVED);
+    });
+
+    it('rejects invalid transitions', () => {
+        const key = { memberId: 'M1', weekStart: WEEK };
+        expect(() => transitionTimesheet([], { ...key, status: TIMESHEET_STATUS.APPROVED })).toThrow();
+
+        const approved = transitionTimesheet(
+            transitionTimesheet([], { ...key, status: TIMESHEET_STATUS.SUBMITTED }),
+            { ...key, status: TIMESHEET_STATUS.APPROVED }
+        );
+        expect(() => transitionTimesheet(approved, { ...key, status: TIMESHEET_STATUS.SUBMITTED })).toThrow();
+    });
+});
+
+describe('getTimesheetTransitionError', () => {
+    const key = { memberId: 'M1', weekStart: WEEK };
+
+    it('returns null for an allowed transition', () => {
+        expect(getTimesheetTransitionError([], { ...key, status: TIMESHEET_STATUS.SUBMITTED })).toBeNull();
+    });
+
+    it('explains a transition the current status does not allow', () => {
+        expect(getTimesheetTransitionError([], { ...key, status: TIMESHEET_STATUS.APPROVED }))
+            .toBe('A draft timesheet cannot be approved');
+    });
+
+    it('requires a reason to reject', () => {
+        const submitted = transitionTimesheet([], { ...key, status: TIMESHEET_STATUS.SUBMITTED });
+        expect(getTimesheetTransitionError(submitted, { ...key, status: TIMESHEET_STATUS.REJECTED, note: ' ' }))
+            .toBe('A reason is required to reject a timesheet');
+        expect(getTimesheetTransitionError(submitted, { ...key, status: TIMESHEET_STATUS.REJECTED, note: 'Split Tuesday' }))
+            .toBeNull();
+    });
+});
+
+describe('getTimerHours', () => {
+    it('rounds up to the next quarter hour with a minimum of one', () => {
+        const timer = { startedAt: '2026-03-03T09:00:00.000Z' };
+        expect(getTimerHours(timer, '2026-03-03T09:02:00.000Z')).toBe(0.25);
+        expect(getTimerHours(timer, '2026-03-03T10:20:00.000Z')).toBe(1.5);
+        expect(getTimerHours(timer, '2026-03-03T11:00:00.000Z')).toBe(2);
+    });
+});
+
+describe('getTimerEntries', () => {
+    const timer = (startedAt) => ({ memberId: 'M1', allocationId: 'A1', startedAt });
+
+    it('splits a timer that runs past midnight over both days', () => {
+        const result = getTimerEntries([], [], timer('2026-03-03T22:00:00'), '2026-03-04T02:10:00');
+        expect(result.entries.map(e => [e.date, e.hours])).toEqual([['2026-03-03', 2], ['2026-03-04', 2.25]]);
+        expect(result.hours).toBe(4.25);
+        expect(result.unbookedHours).toBe(0);
+    });
+
+    it('adds to hours already logged and caps each day at 24 hours', () => {
+        const logged = [
+            { id: 'T1', memberId: 'M1', allocationId: 'A1', date: '2026-03-03', hours: 1 },
+            { id: 'T2', memberId: 'M1', allocationId: 'A2', date: '2026-03-04', hours: 4 },
+        ];
+        const result = getTimerEntries(logged, [], timer('2026-03-03T09:00:00'), '2026-03-05T09:00:00');
+        expect(result.entries.map(e => [e.date, e.hours])).toEqual([
+            ['2026-03-03', 16],
+            ['2026-03-04', 20],
+            ['2026-03-05', 9],
+        ]);
+        expect(result.hours).toBe(44);
+        expect(result.unbookedHours).toBe(4);
+    });
+
+    it('skips days in locked weeks', () => {
+        const submitted = transitionTimesheet([], { memberId: 'M1', weekStart: WEEK, status: TIMESHEET_STATUS.SUBMITTED });
+        const result = getTimerEntries([], submitted, timer('2026-03-08T22:00:00'), '2026-03-09T01:00:00');
+        expect(result.entries.map(e => [e.date, e.hours])).toEqual([['2026-03-09', 1]]);
+        expect(result.unbookedHours).toBe(2);
+    });
+});
+
+describe('applyTimesheetActuals', () => {
+    const members = [{ id: 'M1', name: 'Ana', costTierId: 'T1' }];
+    const costs = [{ id: 'T1', resourceName: 'Senior', perHourCost: 100000 }];
+    const allocation = {
+        id: 'A1',
+        resourceId: 'M1',
+        category: 'Project',
+        plan: { costProject: 1000000 },
+        actual: { taskStart: '', taskEnd: '' },
+        variance: {},
+    };
+
+    it('costs approved hours at the member tier rate and leaves other weeks out', () => {
+        const entries = [
+            entry({ hours: 8 }),
+            entry({ date: '2026-03-04', hours: 4 }),
+            entry({ date: '2026-03-10', hours: 6 }),
+        ];
+        const timesheets = transitionTimesheet(
+            transitionTimesheet([], { memberId: 'M1', weekStart: WEEK, status: TIMESHEET_STATUS.SUBMITTED }),
+            { memberId: 'M1', weekStart: WEEK, status: TIMESHEET_STATUS.APPROVED }
+        );
+
+        const [result] = applyTimesheetActuals([allocation], entries, timesheets, members, costs);
+
+        expect(result.actual.hours).toBe(12);
+        expect(result.actual.costProject).toBe(1200000);
+        expect(result.variance.costAmount).toBe(200000);
+    });
+
+    it('keeps allocations without approved hours unchanged', () => {
+        const untouched = { ...allocation, actual: { hours: 0, costProject: 0 }, variance: { costAmount: 0 } };
+        const [result] = applyTimesheetActuals([untouched], [entry()], [], members, costs);
+        expect(result).toBe(untouched);
+    });
+});
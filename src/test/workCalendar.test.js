@@ -0,0 +1,83 @@
+/**
+ * Working Calendar Tests
+ * Test part-time weekdays, custom weekends, hours per day and effective ranges
+ */
+
+import { describe, it, expect } from 'vitest';
+import { format } from 'date-fns';
+import {
+    addWorkdays,
+    countWorkdays,
+    calculatePlanEndDate,
+    getMemberWorkloads,
+} from '../utils/calculations';
+import { getCalendarForDate, validateWorkCalendars, STANDARD_CALENDAR } from '../utils/workCalendar';
+
+const toDate = (date) => format(date, 'yyyy-MM-dd');
+
+// Monday/Wednesday/Friday only
+const partTime = { id: 'CAL-1', workdays: [1, 3, 5], hoursPerDay: 8, effectiveFrom: '', effectiveTo: '' };
+// Sunday to Thursday
+const sundayWeek = { id: 'CAL-2', workdays: [0, 1, 2, 3, 4], hoursPerDay: 8, effectiveFrom: '', effectiveTo: '' };
+
+describe('Working calendars', () => {
+    it('should skip non-working weekdays of a part-time calendar', () => {
+        // 2026-01-05 is a Monday
+        expect(toDate(addWorkdays('2026-01-05', 3, [], [partTime]))).toBe('2026-01-12');
+        expect(toDate(addWorkdays('2026-01-12', -3, [], [partTime]))).toBe('2026-01-05');
+        expect(countWorkdays('2026-01-05', '2026-01-11', [], [partTime])).toBe(3);
+    });
+
+    it('should honor custom weekends', () => {
+        // Thursday + 1 lands on Sunday for a Sunday–Thursday week
+        expect(toDate(addWorkdays('2026-01-08', 1, [], [sundayWeek]))).toBe('2026-01-11');
+        expect(toDate(addWorkdays('2026-01-08', 1))).toBe('2026-01-09');
+    });
+
+    it('should only apply a calendar inside its effective range', () => {
+        const fromFebruary = { ...partTime, effectiveFrom: '2026-02-01' };
+
+        expect(getCalendarForDate([fromFebruary], '2026-01-31')).toBe(STANDARD_CALENDAR);
+        expect(getCalendarForDate([fromFebruary], '2026-02-02')).toBe(fromFebruary);
+        // Friday 2026-01-30 + 2 workdays: standard Monday, then part-time skips Tuesday
+        expect(toDate(addWorkdays('2026-01-30', 2, [], [fromFebruary]))).toBe('2026-02-04');
+    });
+
+    it('should stretch plan end dates for shorter working days', () => {
+        const complexity = { medium: { level: 'medium', days: 4, hours: 32 } };
+        const halfDays = { ...STANDARD_CALENDAR, id: 'CAL-3', hoursPerDay: 4 };
+
+        const standard = calculatePlanEndDate('2026-01-05', 'medium', 'MEM-001', [], [], complexity, 'Project', 1, true);
+        const halfTime = calculatePlanEndDate('2026-01-05', 'medium', 'MEM-001', [], [], complexity, 'Project', 1, true, [halfDays]);
+
+        expect(toDate(standard)).toBe('2026-01-09');
+        // 4 effort days at 4h/day take 8 workdays
+        expect(toDate(halfTime)).toBe('2026-01-15');
+    });
+
+    it('should measure workload against the member calendar', () => {
+        const allocations = [{ resourceId: 'MEM-001', taskName: 'Build', workload: 0.5 }];
+        const members = [
+            { id: 'MEM-001', name: 'Alice', maxHoursPerWeek: 40, workCalendars: [{ ...partTime, hoursPerDay: 4 }] },
+        ];
+
+        const [workload] = getMemberWorkloads(allocations, members, '2026-01-05');
+
+        expect(workload.currentHours).toBe(12);
+        expect(workload.maxHours).toBe(12);
+        expect(workload.percentage).toBe(100);
+    });
+
+    it('should reject empty weekdays and overlapping ranges', () => {
+        expect(validateWorkCalendars([partTime])).toBeNull();
+        expect(validateWorkCalendars([{ ...partTime, workdays: [] }])).toMatch(/at least one working day/);
+        expect(validateWorkCalendars([
+            { ...partTime, effectiveTo: '2026-03-31' },
+            { ...sundayWeek, effectiveFrom: '2026-03-01' },
+        ])).toMatch(/overlap/);
+        expect(validateWorkCalendars([
+            { ...partTime, effectiveTo: '2026-02-28' },
+            { ...sundayWeek, effectiveFrom: '2026-03-01' },
+        ])).toBeNull();
+    });
+});
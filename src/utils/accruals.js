@@ -0,0 +1,114 @@
+/**
+ * Accruals
+ * Spreads an allocation's cost over calendar months in proportion to the
+ * member's working days in each month, so a task from Jan 30 to Feb 2 books
+ * its cost across both months instead of a full month in each. Recalculation
+ * weights each working day by the cost tier rate in force on it, so a rate
+ * change moves cost into the months after it.
+ *
+ * Recalculation stores the result on the allocation as plan.costByMonth
+ * ({ 'yyyy-MM': amount }); allocations without it are spread over the
+ * standard calendar when read.
+ */
+
+import { addMonths, format, parseISO } from 'date-fns';
+import { getWorkingDates } from './workCalendar';
+
+/**
+ * Calendar month of a date as 'yyyy-MM'
+ */
+export function getMonthKey(date = new Date()) {
+    return typeof date === 'string' ? date.slice(0, 7) : format(date, 'yyyy-MM');
+}
+
+/**
+ * Spread a cost over the months of a period by working days
+ * Without an end date, or when the period has no working days, the whole cost
+ * accrues in the start month. With pricedByMonth (the day-by-day priced cost
+ * per month, see calculateDatedCostByMonth) the cost is spread in proportion
+ * to it instead, so months after a rate change accrue at the new rate.
+ *
+ * @param {number} cost - Cost to spread
+ * @param {Date|string} startDate - First day of the work
+ * @param {Date|string} endDate - Last day of the work
+ * @param {Object} options - { excludedDates, calendars } of the member, and pricedByMonth
+ * @returns {Object} Month ('yyyy-MM') → accrued cost
+ */
+export function calculateMonthlyAccruals(cost, startDate, endDate, { excludedDates = [], calendars = [], pricedByMonth = null } = {}) {
+    const amount = Number(cost) || 0;
+    if (!amount || !startDate) return {};
+
+    const priced = Object.entries(pricedByMonth || {}).filter(([, value]) => value > 0);
+    const pricedTotal = priced.reduce((sum, [, value]) => sum + value, 0);
+    if (pricedTotal > 0) {
+        return Object.fromEntries(priced.map(([month, value]) => [month, (amount * value) / pricedTotal]));
+    }
+
+    const days = endDate ? getWorkingDates(startDate, endDate, excludedDates, calendars) : [];
+    if (days.length === 0) return { [getMonthKey(startDate)]: amount };
+
+    const daysByMonth = days.reduce((counts, day) => {
+        const month = getMonthKey(day);
+        counts[month] = (counts[month] || 0) + 1;
+        return counts;
+    }, {});
+
+    return Object.fromEntries(Object.entries(daysByMonth).map(([month, count]) => [
+        month,
+        (amount * count) / days.length,
+    ]));
+}
+
+/**
+ * Monthly accruals of an allocation's planned cost
+ *
+ * @param {Object} allocation - Allocation record
+ * @returns {Object} Month ('yyyy-MM') → accrued cost
+ */
+export function getAllocationAccruals(allocation) {
+    const plan = allocation?.plan;
+    if (!plan) return {};
+    if (plan.costByMonth) return plan.costByMonth;
+    return calculateMonthlyAccruals(plan.costProject, plan.taskStart, plan.taskEnd);
+}
+
+/**
+ * Cost accrued by allocations in a month or range of months (inclusive)
+ *
+ * @param {Array} allocations - Allocation records
+ * @param {string} fromMonth - First month ('yyyy-MM')
+ * @param {string} toMonth - Last month ('yyyy-MM', default fromMonth)
+ * @returns {number} Accrued cost
+ */
+export function getAccruedCost(allocations = [], fromMonth, toMonth = fromMonth) {
+    return allocations.reduce((sum, allocation) => (
+        sum + Object.entries(getAllocationAccruals(allocation))
+            .filter(([month]) => month >= fromMonth && month <= toMonth)
+            .reduce((monthSum, [, amount]) => monthSum + amount, 0)
+    ), 0);
+}
+
+/**
+ * Accrued cost per month across allocations, with every month between the
+ * first and last accrual present
+ *
+ * @param {Array} allocations - Allocation records
+ * @returns {Array} [{ month: 'yyyy-MM', cost }] in month order
+ */
+export function getMonthlyAccruals(allocations = []) {
+    const totals = new Map();
+    allocations.forEach(allocation => {
+        Object.entries(getAllocationAccruals(allocation)).forEach(([month, amount]) => {
+            totals.set(month, (totals.get(month) || 0) + amount);
+        });
+    });
+    if (totals.size === 0) return [];
+
+    const months = [...totals.keys()].sort();
+    const last = months[months.length - 1];
+    const result = [];
+    for (let month = months[0]; month <= last; month = getMonthKey(addMonths(parseISO(`${month}-01`), 1))) {
+        result.push({ month, cost: totals.get(month) || 0 });
+    }
+    return result;
+}
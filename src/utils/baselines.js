@@ -0,0 +1,181 @@
+/**
+ * Baselines
+ * Named, frozen copies of the planned dates and cost of each allocation (for one
+ * demand or the whole portfolio) and the variance of the current plan against them
+ *
+ * Each entry keeps the currency its cost was planned in; comparisons convert
+ * both sides into the reporting currency at the exchange rate of the planned
+ * start. Baselines saved without a currency were planned in the base currency.
+ */
+
+import {
+    findAllocationMember,
+    getExcludedDates,
+    workdaysBetween,
+} from './calculations';
+import { getMemberCalendars } from './workCalendar';
+import { BASE_CURRENCY, convertAmount } from './currency';
+import { generateId } from './storage';
+
+/**
+ * Freeze the current plan into a baseline
+ * Cancelled allocations and allocations without plan dates are left out.
+ *
+ * @param {Array} allocations - Allocation records
+ * @param {Object} details - { name, demandNumber (no demandNumber = whole portfolio),
+ *   currency (reporting currency the plan is costed in) }
+ * @returns {Object} Baseline record
+ */
+export function createBaseline(allocations, { name, demandNumber = null, currency = BASE_CURRENCY }) {
+    const entries = {};
+    allocations
+        .filter(a => a.status !== 'cancelled' && a.plan?.taskStart && a.plan?.taskEnd)
+        .filter(a => !demandNumber || a.demandNumber === demandNumber)
+        .forEach(a => {
+            entries[a.id] = {
+                demandNumber: a.demandNumber || '',
+                activityName: a.activityName || '',
+                resourceId: a.resourceId || null,
+                resource: a.resource || '',
+                taskStart: a.plan.taskStart,
+                taskEnd: a.plan.taskEnd,
+                costProject: a.plan.costProject || 0,
+                currency: a.plan.currency || currency,
+            };
+        });
+
+    return {
+        id: generateId('BSL'),
+        name: name.trim(),
+        demandNumber: demandNumber || null,
+        currency,
+        createdAt: new Date().toISOString(),
+        entries,
+    };
+}
+
+/**
+ * Check whether an allocation falls within a baseline's scope
+ */
+export function isInBaselineScope(allocation, baseline) {
+    return !baseline.demandNumber || allocation.demandNumber === baseline.demandNumber;
+}
+
+/**
+ * Compare the current plan against a baseline
+ * Slips are counted in the assigned member's workdays (holidays, leaves and working
+ * calendar); positive values mean later than baselined, positive cost deltas mean
+ * more expensive.
+ *
+ * @param {Array} allocations - Current allocation records
+ * @param {Object} baseline - Baseline record
+ * @param {Object} context - { members, holidays, leaves, settings, exchangeRates };
+ *   costs are compared in settings.currency
+ * @returns {Object} { rows, totals }
+ *   Row status is 'unchanged', 'changed', 'added' (not in the baseline) or 'removed'
+ *   (baselined but since deleted or cancelled).
+ */
+export function compareToBaseline(allocations, baseline, { members = [], holidays = [], leaves = [], settings = {}, exchangeRates = [] } = {}) {
+    const includeCutiBersama = settings?.includeCutiBersama ?? true;
+    const reportingCurrency = settings?.currency || BASE_CURRENCY;
+    const workdayCache = new Map();
+
+    // Costs in the reporting currency, whichever currency they were planned in
+    const toReporting = (amount, currency, date) =>
+        convertAmount(amount || 0, currency || reportingCurrency, reportingCurrency, exchangeRates, date);
+    const getEntryCost = (entry) =>
+        toReporting(entry.costProject, entry.currency || baseline.currency || BASE_CURRENCY, entry.taskStart);
+    const getBaselineValues = (entry) => ({ taskStart: entry.taskStart, taskEnd: entry.taskEnd, costProject: getEntryCost(entry) });
+
+    // Excluded dates and calendars per member, built once
+    const getWorkdays = (allocation) => {
+        const member = findAllocationMember(allocation, members);
+        const key = member?.id || allocation.resourceId || '';
+        if (!workdayCache.has(key)) {
+            workdayCache.set(key, {
+                excluded: getExcludedDates(member?.id || allocation.resourceId, holidays, leaves, includeCutiBersama),
+                calendars: getMemberCalendars(member),
+            });
+        }
+        return workdayCache.get(key);
+    };
+
+    const rows = [];
+    const seen = new Set();
+
+    allocations
+        .filter(a => isInBaselineScope(a, baseline) && a.status !== 'cancelled' && a.plan?.taskStart)
+        .forEach(allocation => {
+            const entry = baseline.entries[allocation.id];
+            const current = {
+                taskStart: allocation.plan.taskStart,
+                taskEnd: allocation.plan.taskEnd,
+                costProject: toReporting(allocation.plan.costProject, allocation.plan.currency, allocation.plan.taskStart),
+            };
+            const baselineValues = entry ? getBaselineValues(entry) : null;
+            const row = {
+                id: allocation.id,
+                demandNumber: allocation.demandNumber || '',
+                activityName: allocation.activityName || '',
+                resource: allocation.resource || '',
+                baseline: baselineValues,
+                current,
+                startSlip: null,
+                finishSlip: null,
+                costDelta: entry ? current.costProject - baselineValues.costProject : current.costProject,
+                status: 'added',
+            };
+
+            if (entry) {
+                seen.add(allocation.id);
+                const { excluded, calendars } = getWorkdays(allocation);
+                row.startSlip = workdaysBetween(entry.taskStart, current.taskStart, excluded, calendars);
+                row.finishSlip = current.taskEnd
+                    ? workdaysBetween(entry.taskEnd, current.taskEnd, excluded, calendars)
+                    : null;
+                row.status = row.startSlip || row.finishSlip || row.costDelta ? 'changed' : 'unchanged';
+            }
+
+            rows.push(row);
+        });
+
+    Object.entries(baseline.entries)
+        .filter(([id]) => !seen.has(id))
+        .forEach(([id, entry]) => {
+            const baselineValues = getBaselineValues(entry);
+            rows.push({
+                id,
+                demandNumber: entry.demandNumber,
+                activityName: entry.activityName,
+                resource: entry.resource,
+                baseline: baselineValues,
+                current: null,
+                startSlip: null,
+                finishSlip: null,
+                costDelta: -baselineValues.costProject,
+                status: 'removed',
+            });
+        });
+
+    rows.sort((a, b) =>
+        a.demandNumber.localeCompare(b.demandNumber) ||
+        (a.baseline?.taskStart || a.current.taskStart).localeCompare(b.baseline?.taskStart || b.current.taskStart)
+    );
+
+    const slips = rows.map(r => r.finishSlip).filter(s => s !== null);
+    const baselineCost = Object.values(baseline.entries).reduce((sum, e) => sum + getEntryCost(e), 0);
+    const currentCost = rows.reduce((sum, r) => sum + (r.current?.costProject || 0), 0);
+
+    return {
+        rows,
+        totals: {
+            baselineCost,
+            currentCost,
+            costDelta: currentCost - baselineCost,
+            maxFinishSlip: slips.length ? Math.max(...slips) : 0,
+            slipped: rows.filter(r => r.finishSlip > 0).length,
+            added: rows.filter(r => r.status === 'added').length,
+            removed: rows.filter(r => r.status === 'removed').length,
+        },
+    };
+}
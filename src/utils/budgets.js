@@ -0,0 +1,196 @@
+/**
+ * Budgets
+ * Monthly phased budgets of cost centers per fiscal (calendar) year, their
+ * revisions, and budget against actual and forecast cost per month,
+ * year-to-date and full year.
+ *
+ * Cost center shape:
+ *   budgets: { [year]: { months: [12 amounts, Jan → Dec], revisions: [Revision] } }
+ *   Revision: { id, revisedAt, reason, months, previousMonths }
+ * Budget amounts are in the cost center's currency. Years without a grid use
+ * monthlyBudget in every month.
+ */
+
+import { convertAmount, roundCurrency } from './currency';
+import { getMonthKey } from './accruals';
+import { generateId } from './storage';
+
+export const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+export const BUDGET_PERIODS = {
+    MONTH: 'month',
+    YTD: 'ytd',
+    YEAR: 'year',
+};
+
+/**
+ * Whether a cost center has a phased budget grid for a year
+ */
+export function hasPhasedBudget(costCenter, year) {
+    return Array.isArray(costCenter?.budgets?.[year]?.months);
+}
+
+/**
+ * Twelve monthly budget amounts of a year (Jan → Dec)
+ *
+ * @param {Object} costCenter - Cost center record
+ * @param {string|number} year - Fiscal year
+ * @returns {Array<number>} Budget per month in the cost center's currency
+ */
+export function getBudgetMonths(costCenter, year) {
+    if (hasPhasedBudget(costCenter, year)) {
+        return costCenter.budgets[year].months.map(amount => Number(amount) || 0);
+    }
+    return Array(12).fill(Number(costCenter?.monthlyBudget) || 0);
+}
+
+/**
+ * Spread a yearly budget evenly over 12 months; rounding is absorbed by December
+ */
+export function spreadYearlyBudget(yearlyBudget, currency) {
+    const total = Number(yearlyBudget) || 0;
+    const monthly = roundCurrency(total / 12, currency);
+    return [...Array(11).fill(monthly), roundCurrency(total - monthly * 11, currency)];
+}
+
+/**
+ * Budget of a cost center for a period
+ *
+ * @param {Object} costCenter - Cost center record
+ * @param {string} period - BUDGET_PERIODS value
+ * @param {string} month - Reporting month ('yyyy-MM', default current)
+ * @returns {number} Budget in the cost center's currency
+ */
+export function getBudgetForPeriod(costCenter, period = BUDGET_PERIODS.MONTH, month = getMonthKey()) {
+    const months = getBudgetMonths(costCenter, month.slice(0, 4));
+    const monthIndex = Number(month.slice(5, 7)) - 1;
+
+    if (period === BUDGET_PERIODS.YEAR) return months.reduce((sum, amount) => sum + amount, 0);
+    if (period === BUDGET_PERIODS.YTD) return months.slice(0, monthIndex + 1).reduce((sum, amount) => sum + amount, 0);
+    return months[monthIndex];
+}
+
+/**
+ * Months ('yyyy-MM') a period covers
+ *
+ * @param {string} period - BUDGET_PERIODS value
+ * @param {string} month - Reporting month ('yyyy-MM', default current)
+ * @returns {Array<string>} Month keys, oldest first
+ */
+export function getPeriodMonths(period = BUDGET_PERIODS.MONTH, month = getMonthKey()) {
+    const year = month.slice(0, 4);
+    const last = period === BUDGET_PERIODS.YEAR ? 12 : Number(month.slice(5, 7));
+    const first = period === BUDGET_PERIODS.MONTH ? last : 1;
+    return Array.from({ length: last - first + 1 }, (_, i) => `${year}-${String(first + i).padStart(2, '0')}`);
+}
+
+/**
+ * Validate a budget grid before it is saved
+ * Changing an existing grid is a revision and needs a reason.
+ *
+ * @param {Array} months - 12 monthly amounts
+ * @param {Object} options - { reason, isRevision }
+ * @returns {Object} Field → error message (empty when valid)
+ */
+export function validateBudgetGrid(months, { reason, isRevision = false } = {}) {
+    const errors = {};
+    if (!Array.isArray(months) || months.length !== 12) {
+        errors.months = 'A budget needs an amount for each of the 12 months';
+    } else {
+        const invalid = months.findIndex(amount => !Number.isFinite(Number(amount)) || Number(amount) < 0);
+        if (invalid !== -1) {
+            errors.months = `${MONTH_LABELS[invalid]} budget must be zero or more`;
+        }
+    }
+    if (isRevision && !reason?.trim()) {
+        errors.reason = 'Explain why the budget is revised';
+    }
+    return errors;
+}
+
+/**
+ * Save a budget grid for a year, recording the change as a revision
+ * The budget period's grid is mirrored into monthlyBudget (average) and
+ * yearlyBudget (total) for views that show a single figure.
+ *
+ * @param {Object} costCenter - Cost center record
+ * @param {Object} change - { year, months, reason }
+ * @returns {Object} Updated cost center
+ */
+export function applyBudgetRevision(costCenter, { year, months, reason }) {
+    const current = costCenter.budgets?.[year];
+    const amounts = months.map(amount => Number(amount) || 0);
+    const revision = {
+        id: generateId('BREV'),
+        revisedAt: new Date().toISOString(),
+        reason: reason?.trim() || (current ? '' : 'Original budget'),
+        months: amounts,
+        previousMonths: current?.months || null,
+    };
+
+    const updated = {
+        ...costCenter,
+        budgets: {
+            ...costCenter.budgets,
+            [year]: {
+                months: amounts,
+                revisions: [...(current?.revisions || []), revision],
+            },
+        },
+    };
+
+    if (String(year) === String(costCenter.budgetPeriod)) {
+        const yearlyBudget = amounts.reduce((sum, amount) => sum + amount, 0);
+        updated.yearlyBudget = yearlyBudget;
+        updated.monthlyBudget = roundCurrency(yearlyBudget / 12, costCenter.currency);
+    }
+
+    return updated;
+}
+
+/**
+ * Month-by-month budget, actual and forecast of a cost center for a year
+ * Months up to the reporting month are committed actuals; later months are
+ * forecast from the cost already accrued to them by planned allocations.
+ * Budgets convert into the reporting currency at each month's exchange rate.
+ *
+ * @param {Object} costCenter - Cost center record
+ * @param {Object} accruals - Month ('yyyy-MM') → accrued cost in the reporting currency
+ * @param {Object} options - { year, month (reporting month), conversion: { currency, exchangeRates } }
+ * @returns {Object} { rows: [{ month, label, budget, actual, forecast, variance }], totals }
+ */
+export function getBudgetGrid(costCenter, accruals = {}, { year, month = getMonthKey(), conversion = null } = {}) {
+    const fiscalYear = String(year || month.slice(0, 4));
+    const budgetMonths = getBudgetMonths(costCenter, fiscalYear);
+
+    const rows = budgetMonths.map((amount, index) => {
+        const key = `${fiscalYear}-${String(index + 1).padStart(2, '0')}`;
+        const budget = conversion?.currency
+            ? convertAmount(amount, costCenter.currency, conversion.currency, conversion.exchangeRates, `${key}-01`)
+            : amount;
+        const accrued = accruals[key] || 0;
+        const isActual = key <= month;
+
+        return {
+            month: key,
+            label: MONTH_LABELS[index],
+            budget,
+            actual: isActual ? accrued : null,
+            forecast: accrued,
+            variance: budget - accrued,
+            isActual,
+        };
+    });
+
+    const sum = (list, field) => list.reduce((total, row) => total + (row[field] || 0), 0);
+    const ytdRows = rows.filter(row => row.isActual);
+    const totals = {
+        budget: sum(rows, 'budget'),
+        ytdBudget: sum(ytdRows, 'budget'),
+        ytdActual: sum(ytdRows, 'actual'),
+        forecast: sum(rows, 'forecast'),
+    };
+    totals.variance = totals.budget - totals.forecast;
+
+    return { rows, totals };
+}
@@ -3,28 +3,47 @@
  * All formulas from Excel prototype translated to JavaScript
  */
 
-import { addDays, differenceInMonths, isWeekend, isSameDay, parseISO } from 'date-fns';
+import { addDays, differenceInCalendarMonths, format, isSameDay, parseISO, startOfDay } from 'date-fns';
+import {
+    STANDARD_HOURS_PER_DAY,
+    isWorkingDay,
+    getHoursPerDay,
+    getCalendarForDate,
+    getMemberCalendars,
+} from './workCalendar';
+import { convertAmount, getCurrencyInfo, getReportingCurrency } from './currency';
+import { calculateDatedCost, calculateDatedCostByMonth } from './costRates';
+import { applyCostLoading } from './costLoading';
+import { getAccruedCost, getAllocationAccruals, getMonthKey, getMonthlyAccruals } from './accruals';
+import { getBudgetForPeriod, getPeriodMonths } from './budgets';
+import { getSubtreeIds } from './costCenterHierarchy';
+import { getAllocationCostCenterSplits, getCostCenterShare } from './costCenterSplits';
 
 /**
  * Add working days to a date (WORKDAY equivalent)
- * Skips weekends and excluded dates (holidays + leaves)
+ * Skips non-working weekdays (Saturday/Sunday unless the member's calendar says
+ * otherwise) and excluded dates (holidays + leaves)
+ * Negative values step backwards, like WORKDAY with a negative day count
  * 
  * @param {Date|string} startDate - Start date
  * @param {number} numDays - Number of working days to add
  * @param {Array<string|Date>} excludedDates - Dates to skip (holidays, leaves)
+ * @param {Array} calendars - Member working calendars (see workCalendar.js)
  * @returns {Date} The resulting date
  */
-export function addWorkdays(startDate, numDays, excludedDates = []) {
+export function addWorkdays(startDate, numDays, excludedDates = [], calendars = []) {
     const start = typeof startDate === 'string' ? parseISO(startDate) : new Date(startDate);
     const excluded = excludedDates.map(d => typeof d === 'string' ? parseISO(d) : new Date(d));
+    const step = numDays < 0 ? -1 : 1;
+    const target = Math.abs(numDays);
 
     let current = new Date(start);
     let daysAdded = 0;
 
-    while (daysAdded < numDays) {
-        current = addDays(current, 1);
+    while (daysAdded < target) {
+        current = addDays(current, step);
 
-        if (!isWeekend(current) && !isExcludedDate(current, excluded)) {
+        if (isWorkingDay(current, calendars) && !isExcludedDate(current, excluded)) {
             daysAdded++;
         }
     }
@@ -39,15 +58,55 @@ function isExcludedDate(date, excludedDates) {
     return excludedDates.some(excluded => isSameDay(date, excluded));
 }
 
+/**
+ * Check whether an allocation is assigned to a team member
+ * Matches on resourceId; records saved before v2.3.0 without an ID fall back to the name snapshot
+ *
+ * @param {Object} allocation - Allocation record
+ * @param {Object} member - Team member record
+ * @returns {boolean} True if the allocation belongs to the member
+ */
+export function isAllocationForMember(allocation, member) {
+    if (!allocation || !member) return false;
+    if (allocation.resourceId) return allocation.resourceId === member.id;
+    return allocation.resource === member.name;
+}
+
+/**
+ * Find the team member an allocation is assigned to
+ *
+ * @param {Object} allocation - Allocation record
+ * @param {Array} members - Team member records
+ * @returns {Object|undefined} Team member record
+ */
+export function findAllocationMember(allocation, members = []) {
+    return members.find(m => isAllocationForMember(allocation, m));
+}
+
+/**
+ * Check whether a leave record belongs to a team member
+ * Matches on memberId; legacy records without an ID fall back to the name snapshot
+ *
+ * @param {Object} leave - Leave record
+ * @param {Object} member - Team member record ({ id, name })
+ * @returns {boolean} True if the leave belongs to the member
+ */
+export function isLeaveForMember(leave, member) {
+    if (!leave || !member) return false;
+    if (leave.memberId) return leave.memberId === member.id;
+    return !!member.name && leave.memberName === member.name;
+}
+
 /**
  * Count working days between two dates (NETWORKDAYS equivalent)
  * 
  * @param {Date|string} startDate - Start date
  * @param {Date|string} endDate - End date
  * @param {Array<string|Date>} holidays - Holiday dates to exclude
+ * @param {Array} calendars - Member working calendars (see workCalendar.js)
  * @returns {number} Number of working days
  */
-export function countWorkdays(startDate, endDate, holidays = []) {
+export function countWorkdays(startDate, endDate, holidays = [], calendars = []) {
     const start = typeof startDate === 'string' ? parseISO(startDate) : new Date(startDate);
     const end = typeof endDate === 'string' ? parseISO(endDate) : new Date(endDate);
     const excluded = holidays.map(d => typeof d === 'string' ? parseISO(d) : new Date(d));
@@ -56,7 +115,7 @@ export function countWorkdays(startDate, endDate, holidays = []) {
     let current = new Date(start);
 
     while (current <= end) {
-        if (!isWeekend(current) && !isExcludedDate(current, excluded)) {
+        if (isWorkingDay(current, calendars) && !isExcludedDate(current, excluded)) {
             count++;
         }
         current = addDays(current, 1);
@@ -66,18 +125,75 @@ export function countWorkdays(startDate, endDate, holidays = []) {
 }
 
 /**
- * Calculate Plan End Date
- * =WORKDAY(TaskStart, ComplexityDays, Holidays+Leaves)
- * 
- * @param {string} startDate - Plan TaskStart date
- * @param {string} complexity - Complexity level (low/medium/high)
- * @param {string} resourceName - Team member name
+ * Expand a member's leave ranges into individual dates
+ *
+ * @param {string} memberId - Team member ID
+ * @param {Array} leaves - Leave records
+ * @returns {Array<{date: string, type: string, leaveType: string}>} Leave days ('Full' or 'Half')
+ */
+export function expandMemberLeaves(memberId, leaves = []) {
+    const memberLeaves = [];
+    leaves
+        .filter(l => l.memberId === memberId)
+        .forEach(l => {
+            const start = parseISO(l.startDate);
+            const end = parseISO(l.endDate);
+            let current = new Date(start);
+            while (current <= end) {
+                memberLeaves.push({
+                    date: current.toISOString().split('T')[0],
+                    type: l.category === 'half-day' ? 'Half' : 'Full',
+                    leaveType: l.type // e.g. 'annual', 'sick', 'unpaid'
+                });
+                current.setDate(current.getDate() + 1);
+            }
+        });
+    return memberLeaves;
+}
+
+/**
+ * Get the non-working dates for a member: national holidays, Cuti Bersama
+ * (if enabled) and full-day leaves (Recommendation 3.3)
+ *
+ * @param {string} memberId - Team member ID
  * @param {Array} holidays - Holiday records
  * @param {Array} leaves - Leave records
- * @param {Object} complexitySettings - Complexity settings object
- * @param {string} category - Work category (Project, Support, Maintenance)
- * @returns {Date} Calculated end date
+ * @param {boolean} includeCutiBersama - Whether to include cuti bersama (default true)
+ * @returns {Array<string>} Excluded dates (yyyy-MM-dd)
  */
+export function getExcludedDates(memberId, holidays = [], leaves = [], includeCutiBersama = true) {
+    const nationalHolidays = holidays.filter(h => h.type === 'national' || !h.type).map(h => h.date);
+    const cutiBersama = includeCutiBersama ? holidays.filter(h => h.type === 'collective').map(h => h.date) : [];
+    const fullLeaves = expandMemberLeaves(memberId, leaves)
+        .filter(l => l.type !== 'Half')
+        .map(l => l.date);
+
+    return [
+        ...nationalHolidays,
+        ...cutiBersama,
+        ...fullLeaves,
+    ];
+}
+
+/**
+ * Count the workdays needed to move from one date to another
+ * Signed counterpart of addWorkdays: addWorkdays(from, result) lands on `to` when `to` is a workday
+ *
+ * @param {Date|string} fromDate - Start date
+ * @param {Date|string} toDate - Target date
+ * @param {Array<string|Date>} excludedDates - Dates to skip (holidays, leaves)
+ * @param {Array} calendars - Member working calendars (see workCalendar.js)
+ * @returns {number} Workdays (negative when the target is earlier)
+ */
+export function workdaysBetween(fromDate, toDate, excludedDates = [], calendars = []) {
+    const from = startOfDay(typeof fromDate === 'string' ? parseISO(fromDate) : new Date(fromDate));
+    const to = startOfDay(typeof toDate === 'string' ? parseISO(toDate) : new Date(toDate));
+
+    if (to > from) return countWorkdays(addDays(from, 1), to, excludedDates, calendars);
+    if (to < from) return -countWorkdays(addDays(to, 1), from, excludedDates, calendars);
+    return 0;
+}
+
 /**
  * Calculate Plan End Date
  * Excel formula: =WORKDAY(StartDate, Days, ExcludedDates)
@@ -85,60 +201,39 @@ export function countWorkdays(startDate, endDate, holidays = []) {
  * 
  * @param {string|Date} startDate - Plan start date
  * @param {string} complexity - Complexity level
- * @param {string} resourceName - Resource name (to find member-specific leaves)
+ * @param {string} memberId - Team member ID (to find member-specific leaves)
  * @param {Array} holidays - Holiday records 
  * @param {Array} leaves - Leave records
  * @param {Object} complexitySettings - Complexity settings
  * @param {string} category - Project or Support
  * @param {number} capacityFactor - Capacity factor (default 0.85)
  * @param {boolean} includeCutiBersama - Whether to include cuti bersama (default true)
+ * @param {Array} calendars - Member working calendars (working weekdays, hours per day)
+ * @param {number|null} assignmentPercent - Share of the member's day on this allocation (null = complexity default)
  * @returns {Date} Calculated end date
  */
-export function calculatePlanEndDate(startDate, complexity, resourceName, holidays, leaves, complexitySettings, category = 'Project', capacityFactor = 0.85, includeCutiBersama = true) {
+export function calculatePlanEndDate(startDate, complexity, memberId, holidays, leaves, complexitySettings, category = 'Project', capacityFactor = 0.85, includeCutiBersama = true, calendars = [], assignmentPercent = null) {
     const isProject = category === 'Project';
     const complexityLevel = complexitySettings[complexity.toLowerCase()];
 
-    // 1. Get base effort days
-    let effortDays = isProject ? (complexityLevel?.days || 0) : 1;
+    // 1. Get the days of work at the member's daily hours and assignment
+    const effortDays = isProject
+        ? getScheduledEffortDays(complexityLevel, assignmentPercent, getHoursPerDay(calendars, startDate))
+        : 1;
 
     // 2. Adjust for Capacity Factor (Recommendation 1.3)
     const realisticDays = calculateRealisticDuration(effortDays, capacityFactor);
 
-    // 3. Get member-specific leaves and expand ranges to individual dates
-    const memberLeaves = [];
-    leaves
-        .filter(l => l.memberName === resourceName)
-        .forEach(l => {
-            const start = parseISO(l.startDate);
-            const end = parseISO(l.endDate);
-            let current = new Date(start);
-            while (current <= end) {
-                memberLeaves.push({
-                    date: current.toISOString().split('T')[0],
-                    type: l.category === 'half-day' ? 'Half' : 'Full',
-                    leaveType: l.type // e.g. 'annual', 'sick', 'unpaid'
-                });
-                current.setDate(current.getDate() + 1);
-            }
-        });
-
-    // 4. Extract full leaves and half-day leaves (Recommendation 3.2)
-    const fullLeaves = memberLeaves.filter(l => l.type !== 'Half').map(l => l.date);
-    const halfLeaves = memberLeaves.filter(l => l.type === 'Half').map(l => ({ date: l.date, period: 'AM' }));
-
-    // 5. Get Indonesian holidays (including Cuti Bersama if enabled) (Recommendation 3.3)
-    const nationalHolidays = holidays.filter(h => h.type === 'national' || !h.type).map(h => h.date);
-    const cutiBersama = includeCutiBersama ? holidays.filter(h => h.type === 'collective').map(h => h.date) : [];
+    // 3-6. Holidays (incl. Cuti Bersama if enabled) and the member's full-day leaves
+    const excludedDates = getExcludedDates(memberId, holidays, leaves, includeCutiBersama);
 
-    // 6. Combine all excluded dates
-    const excludedDates = [
-        ...nationalHolidays,
-        ...cutiBersama,
-        ...fullLeaves,
-    ];
+    // Half-day leaves add padding instead (Recommendation 3.2)
+    const halfLeaves = expandMemberLeaves(memberId, leaves)
+        .filter(l => l.type === 'Half')
+        .map(l => ({ date: l.date, period: 'AM' }));
 
-    // 7. Calculate end date using workdays
-    let endDate = addWorkdays(startDate, realisticDays, excludedDates);
+    // 7. Calculate end date using the member's workdays
+    let endDate = addWorkdays(startDate, realisticDays, excludedDates, calendars);
 
     // 8. Adjust for half-day leaves (extra padding if leave occurs during project)
     const projectHalfDays = halfLeaves.filter(hl => {
@@ -149,12 +244,74 @@ export function calculatePlanEndDate(startDate, complexity, resourceName, holida
 
     if (projectHalfDays > 0) {
         const extraDays = Math.ceil(projectHalfDays * 0.5);
-        endDate = addWorkdays(endDate, extraDays, excludedDates);
+        endDate = addWorkdays(endDate, extraDays, excludedDates, calendars);
     }
 
     return endDate;
 }
 
+/**
+ * Assignment percentage a complexity level's duration assumes
+ * e.g. Medium is 80 effort hours over 20 days, i.e. 50% of an 8-hour day
+ *
+ * @param {Object} complexityLevel - Complexity settings entry ({ days, hours })
+ * @returns {number} Assignment percentage (100 when the level has no hours)
+ */
+export function getDefaultAssignmentPercent(complexityLevel) {
+    if (!complexityLevel?.days || !complexityLevel?.hours) return 100;
+    return (complexityLevel.hours / (complexityLevel.days * STANDARD_HOURS_PER_DAY)) * 100;
+}
+
+/**
+ * Days of work needed for a complexity level, before the capacity factor
+ * Effort-driven: effort hours ÷ (daily hours × assignment). Without an explicit
+ * assignment the complexity's own days apply, stretched for shorter working days.
+ *
+ * @param {Object} complexityLevel - Complexity settings entry ({ days, hours })
+ * @param {number|null} assignmentPercent - Share of the member's day (1-100), or null
+ * @param {number} hoursPerDay - Member's working hours per day
+ * @returns {number} Workdays of effort
+ */
+export function getScheduledEffortDays(complexityLevel, assignmentPercent = null, hoursPerDay = STANDARD_HOURS_PER_DAY) {
+    if (!complexityLevel?.days) return 0;
+    if (!(assignmentPercent > 0) || !complexityLevel.hours) {
+        return complexityLevel.days * STANDARD_HOURS_PER_DAY / hoursPerDay;
+    }
+    // Multiply first so whole-number inputs divide exactly
+    return (complexityLevel.hours * 100) / (hoursPerDay * assignmentPercent);
+}
+
+/**
+ * Daily workload of an explicit assignment, in 8-hour days
+ * 50% of a full-time day is 0.5; 50% of a 4-hour day is 0.25
+ *
+ * @param {number} assignmentPercent - Share of the member's day (1-100)
+ * @param {number} hoursPerDay - Member's working hours per day
+ * @returns {number} Workload
+ */
+export function calculateAssignmentWorkload(assignmentPercent, hoursPerDay = STANDARD_HOURS_PER_DAY) {
+    return (assignmentPercent / 100) * (hoursPerDay / STANDARD_HOURS_PER_DAY);
+}
+
+/**
+ * Daily workload of an allocation
+ * An explicit assignmentPercent on project work wins; otherwise the task template estimate applies
+ *
+ * @param {Object} allocation - Allocation record
+ * @param {Array} taskTemplates - Task templates
+ * @param {Array} calendars - Member working calendars
+ * @returns {number} Workload in 8-hour days per working day
+ */
+export function calculateAllocationWorkload(allocation, taskTemplates, calendars = []) {
+    if (allocation.category === 'Project' && allocation.assignmentPercent > 0) {
+        return calculateAssignmentWorkload(
+            allocation.assignmentPercent,
+            getHoursPerDay(calendars, allocation.plan?.taskStart || new Date())
+        );
+    }
+    return calculateWorkloadPercentage(allocation.taskName, allocation.complexity, taskTemplates, allocation.category);
+}
+
 /**
  * Calculate Project Cost
  * Excel formula: =XLOOKUP(Category, ComplexityLevel, Hours) × XLOOKUP(Resource, ResourceName, PerHourCost)
@@ -163,13 +320,47 @@ export function calculatePlanEndDate(startDate, complexity, resourceName, holida
  * @param {string} resourceReference - Team member name or cost tier ID
  * @param {Object} complexitySettings - Complexity settings
  * @param {Array} resourceCosts - Resource cost records
- * @returns {number} Project cost in IDR
+ * @param {string} category - Allocation category (only Project work has cost)
+ * @param {Object} options - Dated pricing (optional): { currency, exchangeRates, date, endDate,
+ *   excludedDates, calendars, loading }. With a date the hours are spread over the working days
+ *   up to endDate, each priced at the tier rate and exchange rate in force that day. With a
+ *   loading profile (see costLoading.js) the cost is fully loaded.
+ * @returns {number} Project cost in the reporting currency (the tier's currency without one)
+ */
+export function calculateProjectCost(complexity, resourceReference, complexitySettings, resourceCosts, category = 'Project', options = null) {
+    return calculateProjectCostBreakdown(complexity, resourceReference, complexitySettings, resourceCosts, category, options).total;
+}
+
+/**
+ * Calculate Project Cost by component
+ * Same arguments as calculateProjectCost; returns the base cost, each loading
+ * component, the loaded total and the billable amount after markup.
+ *
+ * @returns {Object} { base, benefits, bpjs, overhead, total, markup, billable }
  */
-export function calculateProjectCost(complexity, resourceReference, complexitySettings, resourceCosts, category = 'Project') {
-    if (!complexity || !resourceReference) return 0;
+export function calculateProjectCostBreakdown(complexity, resourceReference, complexitySettings, resourceCosts, category = 'Project', options = null) {
+    const base = calculateBaseProjectCost(complexity, resourceReference, complexitySettings, resourceCosts, category, options);
+    return applyCostLoading(base, options?.loading, options?.currency);
+}
+
+/**
+ * Base (unloaded) project cost by calendar month, each working day priced at
+ * the tier rate and exchange rate in force that day
+ * Same arguments as calculateProjectCost; needs a dated options.date.
+ *
+ * @returns {Object} Month ('yyyy-MM') → base cost in the reporting currency
+ */
+export function calculateBaseProjectCostByMonth(complexity, resourceReference, complexitySettings, resourceCosts, category = 'Project', options = null) {
+    const pricing = getProjectPricing(complexity, resourceReference, complexitySettings, resourceCosts, category);
+    if (!pricing || !options?.date) return {};
+    return calculateDatedCostByMonth(pricing.hours, pricing.resource, getDatedCostOptions(options));
+}
+
+function getProjectPricing(complexity, resourceReference, complexitySettings, resourceCosts, category) {
+    if (!complexity || !resourceReference) return null;
 
     const isProject = category === 'Project';
-    if (!isProject) return 0;
+    if (!isProject) return null;
 
     // Get hours (BA rate) from complexity settings - this is the multiplier
     const hours = complexitySettings[complexity.toLowerCase()]?.hours || 0;
@@ -180,16 +371,39 @@ export function calculateProjectCost(complexity, resourceReference, complexitySe
         r.resourceName.toLowerCase() === resourceReference.toLowerCase()
     );
 
-    if (!resource) return 0;
+    if (!resource) return null;
+    return { hours, resource };
+}
+
+function getDatedCostOptions(options) {
+    return {
+        startDate: options.date,
+        endDate: options.endDate,
+        excludedDates: options.excludedDates,
+        calendars: options.calendars,
+        currency: options.currency,
+        exchangeRates: options.exchangeRates,
+    };
+}
+
+function calculateBaseProjectCost(complexity, resourceReference, complexitySettings, resourceCosts, category, options) {
+    const pricing = getProjectPricing(complexity, resourceReference, complexitySettings, resourceCosts, category);
+    if (!pricing) return 0;
+    const { hours, resource } = pricing;
 
-    // Cost = Hours × Per Hour Cost
-    return hours * resource.perHourCost;
+    // Cost = Hours × Per Hour Cost (at the current rate when undated)
+    if (!options?.date && !options?.currency) {
+        return hours * resource.perHourCost;
+    }
+
+    return calculateDatedCost(hours, resource, getDatedCostOptions(options));
 }
 
 
 /**
  * Calculate Monthly Cost
- * =CostProject / DATEDIF(StartDate, EndDate, "m")
+ * Average cost per calendar month the work touches. Month-by-month figures
+ * (charts, budget variance) use the working-day accruals in accruals.js instead.
  * 
  * @param {number} projectCost - Total project cost
  * @param {string|Date} startDate - Plan start date
@@ -200,7 +414,7 @@ export function calculateMonthlyCost(projectCost, startDate, endDate) {
     const start = typeof startDate === 'string' ? parseISO(startDate) : new Date(startDate);
     const end = typeof endDate === 'string' ? parseISO(endDate) : new Date(endDate);
 
-    const months = differenceInMonths(end, start) || 1; // Minimum 1 month
+    const months = Math.max(differenceInCalendarMonths(end, start) + 1, 1);
 
     return projectCost / months;
 }
@@ -242,50 +456,76 @@ export function calculateWorkloadPercentage(taskName, complexity, taskTemplates,
  * Count tasks by member (COUNTIFS equivalent)
  * 
  * @param {string} taskName - Task name to count
- * @param {string} memberName - Member name to filter
+ * @param {Object} member - Team member record
  * @param {Array} allocations - Allocation records
  * @returns {number} Count of matching allocations
  */
-export function countTasksByMember(taskName, memberName, allocations) {
+export function countTasksByMember(taskName, member, allocations) {
     return allocations.filter(a =>
-        a.taskName === taskName && a.resource === memberName
+        a.taskName === taskName && isAllocationForMember(a, member)
     ).length;
 }
 
 /**
  * Get total workload per member (SUMIFS equivalent)
  * 
- * @param {string} memberName - Member name
+ * @param {Object} member - Team member record
  * @param {Array} allocations - Allocation records
  * @returns {number} Total workload percentage
  */
-export function getTotalWorkload(memberName, allocations) {
+export function getTotalWorkload(member, allocations) {
     return allocations
         .filter(a =>
-            a.resource === memberName &&
+            isAllocationForMember(a, member) &&
             a.taskName !== 'Completed' &&
             a.taskName !== 'Idle'
         )
         .reduce((sum, a) => sum + (a.workload || 0), 0);
 }
 
+/**
+ * Get a member's load on a single day as a share of their capacity
+ * Two overlapping 50% assignments make 100%, regardless of the task count
+ *
+ * @param {Object} member - Team member record
+ * @param {Array} allocations - Allocation records
+ * @param {string} date - Day to check (yyyy-MM-dd)
+ * @returns {Object} { count, load, percentage }
+ */
+export function getMemberDailyLoad(member, allocations, date) {
+    const active = allocations.filter(a =>
+        isAllocationForMember(a, member) &&
+        a.taskName !== 'Completed' &&
+        a.taskName !== 'Idle' &&
+        a.plan?.taskStart && a.plan?.taskEnd &&
+        a.plan.taskStart <= date && a.plan.taskEnd >= date
+    );
+    const load = active.reduce((sum, a) => sum + (a.workload || 0), 0);
+    // Workload is in 8-hour days; capacity follows the member's hours that day
+    const capacity = (member.maxCapacity || 1.0) * getHoursPerDay(getMemberCalendars(member), date) / STANDARD_HOURS_PER_DAY;
+
+    return {
+        count: active.length,
+        load,
+        percentage: capacity > 0 ? (load / capacity) * 100 : 0,
+    };
+}
+
 /**
  * Get active workload ratio
  * Sum of monthly costs for non-completed tasks / Member monthly cost
  * 
- * @param {string} memberName - Member name
+ * @param {Object} member - Team member record
  * @param {Array} allocations - Allocation records
  * @param {Array} resourceCosts - Resource cost records
  * @returns {number} Workload ratio
  */
-export function getActiveWorkloadRatio(memberName, allocations, resourceCosts) {
+export function getActiveWorkloadRatio(member, allocations, resourceCosts) {
     const activeMonthlyCost = allocations
-        .filter(a => a.resource === memberName && a.taskName !== 'Completed')
+        .filter(a => isAllocationForMember(a, member) && a.taskName !== 'Completed')
         .reduce((sum, a) => sum + (a.plan?.costMonthly || 0), 0);
 
-    const resource = resourceCosts.find(r =>
-        r.resourceName.toLowerCase() === memberName.toLowerCase()
-    );
+    const resource = resourceCosts.find(r => r.id === member.costTierId);
 
     if (!resource || resource.monthlyCost === 0) return 0;
 
@@ -298,7 +538,7 @@ export function getActiveWorkloadRatio(memberName, allocations, resourceCosts) {
  * @param {Array} allocations - Allocation records
  * @param {Array} teamMembers - Team member records
  * @param {Array} taskTemplates - Task template records
- * @returns {Object} Matrix object { taskName: { memberName: count } }
+ * @returns {Object} Matrix object { taskName: { memberId: count } }
  */
 export function getTaskMatrix(allocations, teamMembers, taskTemplates) {
     const matrix = {};
@@ -306,7 +546,7 @@ export function getTaskMatrix(allocations, teamMembers, taskTemplates) {
     taskTemplates.forEach(task => {
         matrix[task.name] = {};
         teamMembers.forEach(member => {
-            matrix[task.name][member.name] = countTasksByMember(task.name, member.name, allocations);
+            matrix[task.name][member.id] = countTasksByMember(task.name, member, allocations);
         });
     });
 
@@ -315,49 +555,67 @@ export function getTaskMatrix(allocations, teamMembers, taskTemplates) {
 
 /**
  * Get member workload summaries
+ * Workload is in 8-hour days; members with a working calendar are measured against
+ * their own weekdays and hours per day, others against maxHoursPerWeek
  * 
  * @param {Array} allocations - Allocation records
  * @param {Array} teamMembers - Team member records
+ * @param {Date|string} date - Date whose working calendar applies (default today)
  * @returns {Array} Array of member workload objects
  */
-export function getMemberWorkloads(allocations, teamMembers) {
+export function getMemberWorkloads(allocations, teamMembers, date = new Date()) {
     return teamMembers.map(member => {
-        const totalWorkload = getTotalWorkload(member.name, allocations);
+        const totalWorkload = getTotalWorkload(member, allocations);
         const maxCapacity = member.maxCapacity || 1.0;
-        const baseHours = member.maxHoursPerWeek || 40;
-
-        const currentHours = totalWorkload * baseHours;
-        const maxHours = maxCapacity * baseHours;
+        const calendars = getMemberCalendars(member);
+
+        let currentHours;
+        let maxHours;
+        if (calendars.length > 0) {
+            const calendar = getCalendarForDate(calendars, date);
+            currentHours = totalWorkload * STANDARD_HOURS_PER_DAY * calendar.workdays.length;
+            maxHours = maxCapacity * calendar.hoursPerDay * calendar.workdays.length;
+        } else {
+            const baseHours = member.maxHoursPerWeek || 40;
+            currentHours = totalWorkload * baseHours;
+            maxHours = maxCapacity * baseHours;
+        }
 
         return {
+            memberId: member.id,
             name: member.name,
             totalWorkload,
             maxCapacity,
             currentHours,
             maxHours,
-            percentage: maxCapacity > 0 ? (totalWorkload / maxCapacity) * 100 : 0,
+            percentage: maxHours > 0 ? (currentHours / maxHours) * 100 : 0,
             activeCount: allocations
-                .filter(a => a.resource === member.name && a.taskName !== 'Completed' && a.taskName !== 'Idle')
+                .filter(a => isAllocationForMember(a, member) && a.taskName !== 'Completed' && a.taskName !== 'Idle')
                 .length,
             completedCount: allocations
-                .filter(a => a.resource === member.name && a.taskName === 'Completed')
+                .filter(a => isAllocationForMember(a, member) && a.taskName === 'Completed')
                 .length,
         };
     });
 }
 
 /**
- * Format currency as Indonesian Rupiah
+ * Format an amount in its currency's locale
+ * Amounts default to the reporting currency (settings.currency).
  * 
  * @param {number} amount - Amount to format
+ * @param {string} currency - Currency code (default reporting currency)
+ * @param {Object} options - Extra Intl.NumberFormat options, e.g. { notation: 'compact' }
  * @returns {string} Formatted currency string
  */
-export function formatCurrency(amount) {
-    return new Intl.NumberFormat('id-ID', {
+export function formatCurrency(amount, currency = getReportingCurrency(), options = {}) {
+    const { code, locale, decimals } = getCurrencyInfo(currency);
+    return new Intl.NumberFormat(locale, {
         style: 'currency',
-        currency: 'IDR',
-        minimumFractionDigits: 0,
-        maximumFractionDigits: 0,
+        currency: code,
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals,
+        ...options,
     }).format(amount);
 }
 
@@ -375,60 +633,16 @@ export function formatPercentage(value, isDecimal = true) {
 
 /**
  * Calculate Monthly Cost Trend
- * Aggregates monthly costs across all allocations over time
+ * Cost accrued per calendar month, each allocation spread over its working days
  * 
  * @param {Array} allocations - Allocation records
  * @returns {Array} Array of { month, cost } objects
  */
 export function calculateMonthlyTrend(allocations) {
-    if (!allocations.length) return [];
-
-    // Find min start and max end dates
-    const dates = allocations.flatMap(a => {
-        const d = [];
-        if (a.plan?.taskStart) d.push(new Date(a.plan.taskStart));
-        if (a.plan?.taskEnd) d.push(new Date(a.plan.taskEnd));
-        return d;
-    });
-
-    if (!dates.length) return [];
-
-    const minDate = new Date(Math.min(...dates));
-    const maxDate = new Date(Math.max(...dates));
-
-    // Generate array of all months in range
-    const months = [];
-    let current = new Date(minDate.getFullYear(), minDate.getMonth(), 1);
-    const end = new Date(maxDate.getFullYear(), maxDate.getMonth(), 1);
-
-    while (current <= end) {
-        months.push(new Date(current));
-        current.setMonth(current.getMonth() + 1);
-    }
-
-    // Calculate cost for each month
-    return months.map(monthDate => {
-        const monthStart = new Date(monthDate.getFullYear(), monthDate.getMonth(), 1);
-        const monthEnd = new Date(monthDate.getFullYear(), monthDate.getMonth() + 1, 0);
-
-        const monthlyTotal = allocations.reduce((sum, a) => {
-            if (!a.plan?.taskStart || !a.plan?.taskEnd || !a.plan?.costMonthly) return sum;
-
-            const taskStart = new Date(a.plan.taskStart);
-            const taskEnd = new Date(a.plan.taskEnd);
-
-            // Check if task is active in this month (overlaps)
-            if (taskStart <= monthEnd && taskEnd >= monthStart) {
-                return sum + a.plan.costMonthly;
-            }
-            return sum;
-        }, 0);
-
-        return {
-            month: monthDate.toLocaleDateString('en-US', { month: 'short', year: '2-digit' }),
-            cost: monthlyTotal
-        };
-    });
+    return getMonthlyAccruals(allocations).map(({ month, cost }) => ({
+        month: format(parseISO(`${month}-01`), 'MMM yy'),
+        cost,
+    }));
 }
 
 /**
@@ -445,7 +659,7 @@ export function getMemberTaskAvailability(allocations, teamMembers, maxConcurren
         // Get active tasks (not Completed or Idle), sorted by end date
         const activeTasks = allocations
             .filter(a =>
-                a.resource === member.name &&
+                isAllocationForMember(a, member) &&
                 a.taskName !== 'Completed' &&
                 a.taskName !== 'Idle'
             )
@@ -490,9 +704,11 @@ export function getMemberTaskAvailability(allocations, teamMembers, maxConcurren
  * 
  * @param {Array} allocations - Allocation records
  * @param {Array} costCenters - Cost center records
+ * @param {string} month - Month the monthly cost is accrued in ('yyyy-MM', default current)
+ * @param {Object} options - { includeDescendants } rolls child cost centers up into their parents
  * @returns {Array} Array of cost center aggregation objects
  */
-export function aggregateCostsByCostCenter(allocations, costCenters) {
+export function aggregateCostsByCostCenter(allocations, costCenters, month = getMonthKey(), { includeDescendants = false } = {}) {
     const costCenterMap = new Map();
 
     // Initialize cost centers
@@ -517,14 +733,15 @@ export function aggregateCostsByCostCenter(allocations, costCenters) {
         allocations: []
     });
 
-    // Aggregate allocations by cost center
+    // Aggregate allocations by cost center; a split allocation adds its share
+    // of the cost to each of its cost centers
     allocations.forEach(allocation => {
-        const costCenterId = allocation.costCenterId || 'unassigned';
-        const aggregation = costCenterMap.get(costCenterId);
+        splitAllocationCost(allocation, getAllocationCostCenterSplits(allocation), month).forEach(split => {
+            const aggregation = costCenterMap.get(split.costCenterId);
+            if (!aggregation) return;
 
-        if (aggregation) {
-            aggregation.totalProjectCost += allocation.plan?.costProject || 0;
-            aggregation.totalMonthlyCost += allocation.plan?.costMonthly || 0;
+            aggregation.totalProjectCost += split.projectCost;
+            aggregation.totalMonthlyCost += split.monthlyCost;
             aggregation.allocationCount += 1;
 
             if (allocation.status !== 'completed' && allocation.status !== 'cancelled') {
@@ -532,9 +749,27 @@ export function aggregateCostsByCostCenter(allocations, costCenters) {
             }
 
             aggregation.allocations.push(allocation);
-        }
+        });
     });
 
+    if (includeDescendants) {
+        // Roll up from each cost center's own figures, never from a total already rolled up
+        const ownAggregates = new Map(costCenterMap);
+        costCenters.forEach(cc => {
+            const subtree = getSubtreeIds(costCenters, cc.id).map(id => ownAggregates.get(id));
+            // An allocation split within the subtree counts once
+            const subtreeAllocations = [...new Set(subtree.flatMap(agg => agg.allocations))];
+            costCenterMap.set(cc.id, {
+                costCenter: cc,
+                totalProjectCost: subtree.reduce((sum, agg) => sum + agg.totalProjectCost, 0),
+                totalMonthlyCost: subtree.reduce((sum, agg) => sum + agg.totalMonthlyCost, 0),
+                allocationCount: subtreeAllocations.length,
+                activeAllocationCount: subtreeAllocations.filter(a => a.status !== 'completed' && a.status !== 'cancelled').length,
+                allocations: subtreeAllocations,
+            });
+        });
+    }
+
     return Array.from(costCenterMap.values()).filter(agg => agg.allocationCount > 0);
 }
 
@@ -542,20 +777,17 @@ export function aggregateCostsByCostCenter(allocations, costCenters) {
  * Get project-level cost center breakdown
  * 
  * @param {Array} allocations - Allocation records
- * @param {string} projectIdentifier - Project identifier (demandNumber or activityName)
+ * @param {string} projectId - Project ID the allocations reference
  * @param {Array} costCenters - Cost center records
  * @returns {Object} Project cost center breakdown
  */
-export function getProjectCostCenterBreakdown(allocations, projectIdentifier, costCenters) {
+export function getProjectCostCenterBreakdown(allocations, projectId, costCenters) {
     // Filter allocations for this project
-    const projectAllocations = allocations.filter(a =>
-        a.demandNumber === projectIdentifier ||
-        a.activityName === projectIdentifier
-    );
+    const projectAllocations = allocations.filter(a => a.projectId === projectId);
 
     if (projectAllocations.length === 0) {
         return {
-            projectIdentifier,
+            projectId,
             totalCost: 0,
             totalMonthlyCost: 0,
             costCenterBreakdown: []
@@ -576,7 +808,7 @@ export function getProjectCostCenterBreakdown(allocations, projectIdentifier, co
     }));
 
     return {
-        projectIdentifier,
+        projectId,
         totalCost,
         totalMonthlyCost,
         costCenterBreakdown
@@ -589,16 +821,19 @@ export function getProjectCostCenterBreakdown(allocations, projectIdentifier, co
  * @param {Array} allocations - Allocation records
  * @param {Array} teamMembers - Team member records
  * @param {Array} costCenters - Cost center records
+ * @param {string} month - Month the monthly cost is accrued in ('yyyy-MM', default current)
+ * @param {Object} options - { includeDescendants } counts members of child cost centers in their parents
  * @returns {Array} Array of cost center utilization objects
  */
-export function getCostCenterUtilization(allocations, teamMembers, costCenters) {
+export function getCostCenterUtilization(allocations, teamMembers, costCenters, month = getMonthKey(), { includeDescendants = false } = {}) {
     return costCenters.map(costCenter => {
-        // Get members assigned to this cost center
-        const assignedMembers = teamMembers.filter(m => m.costCenterId === costCenter.id);
+        // Get members assigned to this cost center (and its descendants when rolling up)
+        const costCenterIds = includeDescendants ? getSubtreeIds(costCenters, costCenter.id) : [costCenter.id];
+        const assignedMembers = teamMembers.filter(m => costCenterIds.includes(m.costCenterId));
 
         // Get allocations for members in this cost center
         const costCenterAllocations = allocations.filter(a =>
-            assignedMembers.some(m => m.name === a.resource)
+            assignedMembers.some(m => isAllocationForMember(a, m))
         );
 
         // Calculate metrics
@@ -615,9 +850,12 @@ export function getCostCenterUtilization(allocations, teamMembers, costCenters)
 
         const utilizationRate = maxCapacity > 0 ? (totalWorkload / maxCapacity) * 100 : 0;
 
-        // Calculate costs
-        const totalProjectCost = costCenterAllocations.reduce((sum, a) => sum + (a.plan?.costProject || 0), 0);
-        const totalMonthlyCost = costCenterAllocations.reduce((sum, a) => sum + (a.plan?.costMonthly || 0), 0);
+        // Calculate costs from each allocation's share charged here, whoever the member is
+        const costShares = allocations
+            .map(a => ({ allocation: a, share: costCenterIds.reduce((sum, id) => sum + getCostCenterShare(a, id), 0) }))
+            .filter(({ share }) => share > 0);
+        const totalProjectCost = costShares.reduce((sum, { allocation, share }) => sum + (allocation.plan?.costProject || 0) * share, 0);
+        const totalMonthlyCost = costShares.reduce((sum, { allocation, share }) => sum + getAccruedCost([allocation], month) * share, 0);
 
         return {
             costCenter,
@@ -640,9 +878,10 @@ export function getCostCenterUtilization(allocations, teamMembers, costCenters)
  * 
  * @param {Array} allocations - Allocation records
  * @param {Array} coa - Chart of accounts records
+ * @param {string} month - Month the monthly cost is accrued in ('yyyy-MM', default current)
  * @returns {Array} Array of COA aggregation objects
  */
-export function aggregateCostsByCOA(allocations, coa) {
+export function aggregateCostsByCOA(allocations, coa, month = getMonthKey()) {
     const coaMap = new Map();
 
     // Initialize COA accounts
@@ -665,17 +904,29 @@ export function aggregateCostsByCOA(allocations, coa) {
         allocations: []
     });
 
-    // Aggregate allocations by COA
+    // Aggregate allocations by COA; loaded costs post each component to its own
+    // account, with the monthly cost split in the same proportions
     allocations.forEach(allocation => {
-        const coaId = allocation.coaId || 'unmapped';
-        const aggregation = coaMap.get(coaId);
-
-        if (aggregation) {
-            aggregation.totalProjectCost += allocation.plan?.costProject || 0;
-            aggregation.totalMonthlyCost += allocation.plan?.costMonthly || 0;
-            aggregation.allocationCount += 1;
-            aggregation.allocations.push(allocation);
-        }
+        const costProject = allocation.plan?.costProject || 0;
+        const costMonthly = getAllocationAccruals(allocation)[month] || 0;
+        const lines = allocation.plan?.costLines?.length
+            ? allocation.plan.costLines
+            : [{ coaId: allocation.coaId, amount: costProject }];
+
+        const posted = new Set();
+        lines.forEach(line => {
+            const aggregation = coaMap.get(line.coaId || 'unmapped');
+            if (!aggregation) return;
+
+            const share = lines.length === 1 || !costProject ? 1 : line.amount / costProject;
+            aggregation.totalProjectCost += lines.length === 1 ? costProject : line.amount;
+            aggregation.totalMonthlyCost += costMonthly * share;
+            if (!posted.has(aggregation)) {
+                posted.add(aggregation);
+                aggregation.allocationCount += 1;
+                aggregation.allocations.push(allocation);
+            }
+        });
     });
 
     return Array.from(coaMap.values())
@@ -692,22 +943,24 @@ export function aggregateCostsByCOA(allocations, coa) {
  * 
  * @param {string} costCenterId - Cost center ID
  * @param {Array} allocations - All allocations
- * @param {string} period - 'monthly' or 'yearly'
+ * @param {string} period - 'monthly' (cost accrued in the month) or 'yearly' (in its calendar year)
+ * @param {string} month - Reporting month ('yyyy-MM', default current)
  * @returns {Object} Cost breakdown with actual cost and allocation details
  */
-export function calculateActualCostCenterCost(costCenterId, allocations, period = 'monthly') {
-    const costCenterAllocations = allocations.filter(a =>
-        a.costCenterId === costCenterId &&
-        a.status !== 'cancelled'
-    );
+export function calculateActualCostCenterCost(costCenterId, allocations, period = 'monthly', month = getMonthKey()) {
+    const costCenterAllocations = getCostCenterAllocations(costCenterId, allocations);
 
-    const actualCost = costCenterAllocations.reduce((sum, a) => {
-        return sum + (period === 'monthly' ? (a.plan?.costMonthly || 0) : (a.plan?.costProject || 0));
-    }, 0);
+    const year = month.slice(0, 4);
+    const actualCost = costCenterAllocations.reduce((sum, allocation) => (
+        sum + getCostCenterShare(allocation, costCenterId) * (period === 'monthly'
+            ? getAccruedCost([allocation], month)
+            : getAccruedCost([allocation], `${year}-01`, `${year}-12`))
+    ), 0);
 
     return {
         costCenterId,
         period,
+        month,
         actualCost,
         allocationCount: costCenterAllocations.length,
         activeAllocationCount: costCenterAllocations.filter(a =>
@@ -717,15 +970,49 @@ export function calculateActualCostCenterCost(costCenterId, allocations, period
     };
 }
 
+/**
+ * Non-cancelled allocations charged (in full or in part) to a cost center
+ */
+function getCostCenterAllocations(costCenterId, allocations) {
+    return allocations.filter(a =>
+        getCostCenterShare(a, costCenterId) > 0 &&
+        a.status !== 'cancelled'
+    );
+}
+
+/**
+ * Cost accrued to a cost center per month
+ *
+ * @param {string} costCenterId - Cost center ID
+ * @param {Array} allocations - All allocations
+ * @returns {Object} Month ('yyyy-MM') → accrued cost
+ */
+export function getCostCenterAccruals(costCenterId, allocations) {
+    const accruals = {};
+    getCostCenterAllocations(costCenterId, allocations).forEach(allocation => {
+        const share = getCostCenterShare(allocation, costCenterId);
+        Object.entries(getAllocationAccruals(allocation)).forEach(([month, amount]) => {
+            accruals[month] = (accruals[month] || 0) + amount * share;
+        });
+    });
+    return accruals;
+}
+
 /**
  * Calculate budget variance for a cost center
+ * The budget is kept in the cost center's currency; with a conversion it is
+ * compared in the reporting currency the actual cost is in. With a scope the
+ * budget comes from the phased budget grid for that month, year-to-date or
+ * full year (see budgets.js), and actualCost must cover the same period.
  * 
  * @param {Object} costCenter - Cost center object with monthlyBudget
  * @param {number} actualCost - Actual cost from allocations
+ * @param {Object} conversion - { currency, exchangeRates, date } (optional)
+ * @param {Object} scope - { period: 'month' | 'ytd' | 'year', month: 'yyyy-MM' } (optional)
  * @returns {Object} Variance analysis with status and severity
  */
-export function calculateBudgetVariance(costCenter, actualCost) {
-    const budget = costCenter.monthlyBudget || 0;
+export function calculateBudgetVariance(costCenter, actualCost, conversion = null, scope = null) {
+    const budget = getCostCenterPeriodBudget(costCenter, conversion, scope);
 
     if (budget === 0) {
         return {
@@ -766,6 +1053,54 @@ export function calculateBudgetVariance(costCenter, actualCost) {
     };
 }
 
+/**
+ * Budget of a cost center for a period in the reporting currency
+ * With a scope it comes from the phased budget grid (see budgets.js);
+ * without one it is the flat monthly budget.
+ *
+ * @param {Object} costCenter - Cost center record
+ * @param {Object} conversion - { currency, exchangeRates, date } (optional)
+ * @param {Object} scope - { period: 'month' | 'ytd' | 'year', month: 'yyyy-MM' } (optional)
+ * @returns {number} Budget amount
+ */
+export function getCostCenterPeriodBudget(costCenter, conversion = null, scope = null) {
+    if (!scope) return getCostCenterBudget(costCenter, 'monthlyBudget', conversion);
+
+    const month = scope.month || getMonthKey();
+    const budget = getBudgetForPeriod(costCenter, scope.period, month);
+    return conversion?.currency
+        ? convertAmount(budget, costCenter.currency, conversion.currency, conversion.exchangeRates, conversion.date || `${month}-01`)
+        : budget;
+}
+
+/**
+ * Cost accrued to a cost center over a period
+ * A full year also counts the cost planned for months after the reporting month.
+ *
+ * @param {string} costCenterId - Cost center ID
+ * @param {Array} allocations - All allocations
+ * @param {Object} scope - { period: 'month' | 'ytd' | 'year', month: 'yyyy-MM' }
+ * @returns {number} Accrued cost
+ */
+export function getCostCenterPeriodCost(costCenterId, allocations, scope = {}) {
+    const accruals = getCostCenterAccruals(costCenterId, allocations);
+    return getPeriodMonths(scope.period, scope.month).reduce((sum, month) => sum + (accruals[month] || 0), 0);
+}
+
+/**
+ * A cost center budget in the reporting currency
+ *
+ * @param {Object} costCenter - Cost center record
+ * @param {string} field - 'monthlyBudget' or 'yearlyBudget'
+ * @param {Object} conversion - { currency, exchangeRates, date } (optional)
+ * @returns {number} Budget amount
+ */
+export function getCostCenterBudget(costCenter, field = 'monthlyBudget', conversion = null) {
+    const budget = costCenter?.[field] || 0;
+    if (!conversion?.currency) return budget;
+    return convertAmount(budget, costCenter.currency, conversion.currency, conversion.exchangeRates, conversion.date);
+}
+
 // ============================================================================
 // CAPACITY-ADJUSTED MANDAYS CALCULATION
 // ============================================================================
@@ -876,18 +1211,21 @@ export function validateResourceCostCenterAssignment(teamMember, costCenters) {
  * Supports proportional cost distribution for shared resources
  * 
  * @param {Object} allocation - Allocation record
- * @param {Array} costCenterSplits - Array of {costCenterId, percentage} objects
+ * @param {Array} costCenterSplits - Array of {costCenterId, percentage} objects (default: the allocation's splits)
+ * @param {string} month - Month the monthly cost is accrued in ('yyyy-MM', default current)
  * @returns {Array} Array of split cost records
  * @throws {Error} If percentages don't total 100%
  */
-export function splitAllocationCost(allocation, costCenterSplits) {
+export function splitAllocationCost(allocation, costCenterSplits = getAllocationCostCenterSplits(allocation), month = getMonthKey()) {
+    const monthlyCost = getAccruedCost([allocation], month);
+
     if (!costCenterSplits || costCenterSplits.length === 0) {
         return [{
             allocationId: allocation.id,
             costCenterId: allocation.costCenterId || 'unassigned',
             percentage: 100,
             projectCost: allocation.plan?.costProject || 0,
-            monthlyCost: allocation.plan?.costMonthly || 0
+            monthlyCost
         }];
     }
 
@@ -902,7 +1240,7 @@ export function splitAllocationCost(allocation, costCenterSplits) {
         costCenterId: split.costCenterId,
         percentage: split.percentage,
         projectCost: (allocation.plan?.costProject || 0) * (split.percentage / 100),
-        monthlyCost: (allocation.plan?.costMonthly || 0) * (split.percentage / 100)
+        monthlyCost: monthlyCost * (split.percentage / 100)
     }));
 }
 
@@ -0,0 +1,370 @@
+/**
+ * Change Requests
+ * With settings.costCenterSettings.requireManagerApproval on, budget and
+ * manager edits to a cost center, phased budget revisions and cost tier rate
+ * changes are held as pending requests until an approver accepts them. Only an
+ * approved request applies the change.
+ *
+ * Approvers are the cost center's manager; for a cost tier, the managers of
+ * the cost centers whose active members are on the tier (any active cost
+ * center's manager when nobody is).
+ *
+ * Shape:
+ *   { id, number, kind, targetId, targetName, currency, effectiveFrom, status, payload,
+ *     diff: [{ field, label, from, to }], approvers: [name],
+ *     requestedBy, requestedAt, justification, reviewedBy, reviewedAt, reviewNote }
+ *
+ * payload is what the approval applies: the edited cost center or cost tier,
+ * or { costCenterId, year, months, reason } for a budget grid.
+ */
+
+import { formatCurrency, logCostChange } from './calculations';
+import { MONTH_LABELS, getBudgetMonths } from './budgets';
+import { generateId } from './storage';
+
+export const CHANGE_REQUEST_STATUS = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+};
+
+export const changeRequestStatusOptions = [
+    { value: CHANGE_REQUEST_STATUS.PENDING, label: 'Pending', variant: 'warning' },
+    { value: CHANGE_REQUEST_STATUS.APPROVED, label: 'Approved', variant: 'success' },
+    { value: CHANGE_REQUEST_STATUS.REJECTED, label: 'Rejected', variant: 'destructive' },
+];
+
+export const CHANGE_REQUEST_KINDS = {
+    COST_CENTER: 'costCenter',
+    BUDGET_GRID: 'budgetGrid',
+    COST_TIER: 'costTier',
+};
+
+export const changeRequestKindLabels = {
+    [CHANGE_REQUEST_KINDS.COST_CENTER]: 'Cost center',
+    [CHANGE_REQUEST_KINDS.BUDGET_GRID]: 'Phased budget',
+    [CHANGE_REQUEST_KINDS.COST_TIER]: 'Cost tier rate',
+};
+
+// Fields that need approval, and the fields an approval carries over
+const GOVERNED_FIELDS = {
+    [CHANGE_REQUEST_KINDS.COST_CENTER]: {
+        diff: [
+            { field: 'monthlyBudget', label: 'Monthly budget' },
+            { field: 'yearlyBudget', label: 'Yearly budget' },
+            { field: 'manager', label: 'Manager', isText: true },
+        ],
+        applied: ['monthlyBudget', 'yearlyBudget', 'manager'],
+    },
+    [CHANGE_REQUEST_KINDS.COST_TIER]: {
+        diff: [
+            { field: 'monthlyCost', label: 'Monthly cost' },
+            { field: 'currency', label: 'Currency', isText: true },
+        ],
+        applied: ['monthlyCost', 'perDayCost', 'perHourCost', 'currency', 'rateHistory'],
+    },
+};
+
+const normalize = (value, isText) => (isText ? (value || '').trim() : Number(value) || 0);
+
+/**
+ * Whether budget, manager and rate changes need approval
+ */
+export function isApprovalRequired(settings) {
+    return Boolean(settings?.costCenterSettings?.requireManagerApproval);
+}
+
+/**
+ * Governed fields that differ between a record and its edited version
+ *
+ * @param {string} kind - CHANGE_REQUEST_KINDS value
+ * @param {Object} before - Current cost center or cost tier
+ * @param {Object} after - Edited record, or { year, months } for a budget grid
+ * @returns {Array} [{ field, label, from, to }]
+ */
+export function getChangeDiff(kind, before, after) {
+    if (!before || !after) return [];
+
+    if (kind === CHANGE_REQUEST_KINDS.BUDGET_GRID) {
+        const current = getBudgetMonths(before, after.year);
+        return after.months
+            .map((amount, i) => ({
+                field: `budgets.${after.year}.${i}`,
+                label: `${MONTH_LABELS[i]} ${after.year}`,
+                from: current[i],
+                to: Number(amount) || 0,
+            }))
+            .filter(entry => entry.from !== entry.to);
+    }
+
+    return (GOVERNED_FIELDS[kind]?.diff || [])
+        .map(({ field, label, isText }) => ({
+            field,
+            label,
+            from: normalize(before[field], isText),
+            to: normalize(after[field], isText),
+        }))
+        .filter(entry => entry.from !== entry.to);
+}
+
+/**
+ * Date a requested rate change takes effect: the start of the rate version the
+ * edit adds ('' for cost center changes and restated rates)
+ */
+export function getChangeEffectiveFrom(kind, target, payload) {
+    if (kind !== CHANGE_REQUEST_KINDS.COST_TIER) return '';
+    const known = new Set((target?.rateHistory || []).map(v => v.id));
+    return (payload?.rateHistory || []).find(v => !known.has(v.id))?.effectiveFrom || '';
+}
+
+/**
+ * An edited record with its governed fields put back to their current values,
+ * so the rest of the edit can be saved while the governed part waits for approval
+ */
+export function withoutGovernedChanges(kind, after, before) {
+    const fields = GOVERNED_FIELDS[kind]?.applied || [];
+    return fields.reduce((record, field) => ({ ...record, [field]: before[field] }), after);
+}
+
+/**
+ * Names of the people who can approve a change
+ *
+ * @param {string} kind - CHANGE_REQUEST_KINDS value
+ * @param {string} targetId - Cost center or cost tier ID
+ * @param {Object} data - { costCenters, members }
+ * @returns {Array<string>} Approver names
+ */
+export function getChangeRequestApprovers(kind, targetId, { costCenters = [], members = [] } = {}) {
+    let managers;
+    if (kind === CHANGE_REQUEST_KINDS.COST_TIER) {
+        const chargedIds = new Set(members
+            .filter(m => m.isActive !== false && m.costTierId === targetId)
+            .map(m => m.costCenterId));
+        const charged = costCenters.filter(cc => chargedIds.has(cc.id));
+        managers = (charged.length > 0 ? charged : costCenters.filter(cc => cc.isActive)).map(cc => cc.manager);
+    } else {
+        managers = [costCenters.find(cc => cc.id === targetId)?.manager];
+    }
+    return [...new Set(managers.map(name => name?.trim()).filter(Boolean))];
+}
+
+/**
+ * Cost center or cost tier a change request edits
+ *
+ * @param {Object} request - Change request, or { kind, targetId }
+ * @param {Object} data - { costs, costCenters }
+ * @returns {Object|undefined} Current record
+ */
+export function getChangeRequestTarget(request, { costs = [], costCenters = [] } = {}) {
+    return request.kind === CHANGE_REQUEST_KINDS.COST_TIER
+        ? costs.find(c => c.id === request.targetId)
+        : costCenters.find(cc => cc.id === request.targetId);
+}
+
+/**
+ * Next free change request number (CR-0001, CR-0002, ...)
+ */
+export function getNextChangeRequestNumber(changeRequests = []) {
+    const highest = changeRequests.reduce((max, r) => {
+        const n = parseInt(r.number?.replace(/^CR-/, ''), 10);
+        return Number.isFinite(n) && n > max ? n : max;
+    }, 0);
+    return `CR-${String(highest + 1).padStart(4, '0')}`;
+}
+
+/**
+ * Pending request for a record, if any (a record has at most one)
+ */
+export function getPendingChangeRequest(changeRequests = [], kind, targetId) {
+    return changeRequests.find(r =>
+        r.status === CHANGE_REQUEST_STATUS.PENDING && r.targetId === targetId &&
+        // Budget edits and budget grids of a cost center compete for the same figures
+        (r.kind === kind || (kind !== CHANGE_REQUEST_KINDS.COST_TIER && r.kind !== CHANGE_REQUEST_KINDS.COST_TIER))
+    );
+}
+
+/**
+ * Validate a change request before it is submitted
+ *
+ * @returns {Object} Field → error message (empty when valid)
+ */
+export function validateChangeRequest({ requestedBy, justification, diff }) {
+    const errors = {};
+    if (!requestedBy?.trim()) {
+        errors.requestedBy = 'Requester is required';
+    }
+    if (!justification?.trim()) {
+        errors.justification = 'A justification is required';
+    }
+    if (!(diff?.length > 0)) {
+        errors.diff = 'Nothing that needs approval has changed';
+    }
+    return errors;
+}
+
+/**
+ * Why a change request cannot be submitted: invalid details, or the record
+ * already has a pending request
+ *
+ * @param {Array} changeRequests - Change request records
+ * @param {Object} request - Request to submit ({ kind, targetId, targetName, requestedBy, justification, diff })
+ * @returns {string|null} Error message, or null when the request can be submitted
+ */
+export function getSubmitError(changeRequests = [], request) {
+    const errors = Object.values(validateChangeRequest(request));
+    if (errors.length > 0) {
+        return errors.join('; ');
+    }
+    const pending = getPendingChangeRequest(changeRequests, request.kind, request.targetId);
+    return pending ? `${request.targetName} already has a pending change request (${pending.number})` : null;
+}
+
+/**
+ * Build a pending change request
+ *
+ * @param {Object} details - { kind, target, payload, requestedBy, justification }
+ * @param {Object} data - { changeRequests, costCenters, members }
+ * @returns {Object} Change request record
+ */
+export function createChangeRequest({ kind, target, payload, requestedBy, justification }, data = {}) {
+    return {
+        id: generateId('CR'),
+        number: getNextChangeRequestNumber(data.changeRequests),
+        kind,
+        targetId: target.id,
+        targetName: target.name || target.resourceName || target.id,
+        currency: payload.currency || target.currency,
+        effectiveFrom: getChangeEffectiveFrom(kind, target, payload),
+        status: CHANGE_REQUEST_STATUS.PENDING,
+        payload,
+        diff: getChangeDiff(kind, target, payload),
+        approvers: getChangeRequestApprovers(kind, target.id, data),
+        requestedBy: requestedBy.trim(),
+        requestedAt: new Date().toISOString(),
+        justification: justification.trim(),
+        reviewedBy: '',
+        reviewedAt: null,
+        reviewNote: '',
+    };
+}
+
+/**
+ * Why a request can no longer be applied as requested
+ * The values it changes must still be the ones it was raised against.
+ *
+ * @param {Object} request - Change request
+ * @param {Object} target - Current cost center or cost tier
+ * @returns {string|null} Error message, or null when the request still applies
+ */
+export function getStaleChangeError(request, target) {
+    if (!target) return `${request.targetName} no longer exists`;
+
+    const current = getChangeDiff(request.kind, target, request.payload);
+    const changed = request.diff.find(entry => {
+        const now = current.find(e => e.field === entry.field);
+        return (now ? now.from : entry.to) !== entry.from;
+    });
+    return changed
+        ? `${changed.label} of ${request.targetName} has changed since ${request.number} was raised; reject it and raise a new request`
+        : null;
+}
+
+/**
+ * The record an approved request saves: the current record with the approved fields
+ * (budget grid payloads are applied as they are)
+ */
+export function getApprovedChange(request, target) {
+    const fields = GOVERNED_FIELDS[request.kind]?.applied;
+    if (!fields) return request.payload;
+    return fields.reduce((record, field) => ({ ...record, [field]: request.payload[field] }), target);
+}
+
+/**
+ * Approve or reject a pending request
+ * Throws when the request is not pending, the reviewer is not an approver, or a
+ * rejection has no reason.
+ *
+ * @param {Array} changeRequests - Change request records
+ * @param {Object} review - { id, status, reviewer, note }
+ * @returns {Array} Updated change requests
+ */
+export function reviewChangeRequest(changeRequests = [], { id, status, reviewer = '', note = '' }) {
+    const request = changeRequests.find(r => r.id === id);
+    if (!request) {
+        throw new Error(`Change request ${id} not found`);
+    }
+    if (request.status !== CHANGE_REQUEST_STATUS.PENDING) {
+        throw new Error(`${request.number} is already ${request.status}`);
+    }
+    if (!request.approvers.includes(reviewer.trim())) {
+        throw new Error(`${reviewer || 'Reviewer'} cannot approve ${request.number}; approvers: ${request.approvers.join(', ') || 'none'}`);
+    }
+    if (status === CHANGE_REQUEST_STATUS.REJECTED && !note.trim()) {
+        throw new Error('A reason is required to reject a change request');
+    }
+
+    return changeRequests.map(r => (r === request ? {
+        ...r,
+        status,
+        reviewedBy: reviewer.trim(),
+        reviewedAt: new Date().toISOString(),
+        reviewNote: note.trim(),
+    } : r));
+}
+
+/**
+ * Why a review cannot be recorded: the request is not pending, the reviewer is
+ * not an approver, a rejection has no reason, or an approval is stale
+ *
+ * @param {Array} changeRequests - Change request records
+ * @param {Object} review - { id, status, reviewer, note }
+ * @param {Object} target - Current cost center or cost tier the request edits
+ * @returns {string|null} Error message, or null when the review can be recorded
+ */
+export function getReviewError(changeRequests = [], review, target) {
+    try {
+        reviewChangeRequest(changeRequests, review);
+    } catch (error) {
+        return error.message;
+    }
+    if (review.status !== CHANGE_REQUEST_STATUS.APPROVED) return null;
+    return getStaleChangeError(changeRequests.find(r => r.id === review.id), target);
+}
+
+/**
+ * Display value of a diff entry
+ */
+export function formatChangeValue(value, currency) {
+    return typeof value === 'number' ? formatCurrency(value, currency) : (value || '—');
+}
+
+/**
+ * Audit log entry for a request's current status
+ *
+ * @param {Object} request - Change request after the step
+ * @returns {Object} Audit log entry
+ */
+export function getChangeRequestAuditEntry(request) {
+    const changes = request.diff
+        .map(entry => `${entry.label} ${formatChangeValue(entry.from, request.currency)} → ${formatChangeValue(entry.to, request.currency)}`)
+        .join(', ');
+    const subject = `${request.number} (${changeRequestKindLabels[request.kind]} ${request.targetName})`;
+
+    const isSubmitted = request.status === CHANGE_REQUEST_STATUS.PENDING;
+    const actor = isSubmitted ? request.requestedBy : request.reviewedBy;
+    const message = isSubmitted
+        ? `${subject} submitted by ${actor}: ${changes}. Justification: ${request.justification}`
+        : `${subject} ${request.status} by ${actor}${request.reviewNote ? `: ${request.reviewNote}` : ''}`;
+
+    return {
+        ...logCostChange(
+            { type: request.kind, id: request.targetId, name: request.targetName },
+            request.number,
+            isSubmitted ? null : CHANGE_REQUEST_STATUS.PENDING,
+            request.status,
+            actor
+        ),
+        type: request.status === CHANGE_REQUEST_STATUS.REJECTED ? 'warning' : 'info',
+        message,
+    };
+}
@@ -0,0 +1,459 @@
+/**
+ * Chargeback
+ * Monthly recharge of project work to the departments that consume it. The
+ * month's accrued cost of each allocation (plus markup) is charged from the
+ * member's cost center (the provider, by its cost center splits) to the
+ * project's sponsor cost center (the receiver), posted to the COA accounts of
+ * the allocation's cost lines. Shares a cost center would charge to itself are
+ * internal and left out.
+ *
+ * A run gives one draft statement per receiving cost center. Locking a
+ * statement keeps it out of later runs; finalizing a locked statement gives it
+ * the next document number and it can no longer change. A month is closed once
+ * all its statements are finalized.
+ *
+ * Shape:
+ *   { id, documentNumber, month, costCenterId, costCenterSnapshot, currency, status,
+ *     lines: [{ key, receiverId, projectId, projectCode, projectName, memberId, memberName,
+ *               providerCostCenterId, providerName, coaId, coaCode, coaName, description, amount }],
+ *     subtotals: { byProject: [{ projectId, projectCode, projectName, amount }],
+ *                  byAccount: [{ coaId, coaCode, coaName, description, amount }] },
+ *     total, createdAt, lockedAt, finalizedAt }
+ */
+
+import { format, parseISO } from 'date-fns';
+import { formatCurrency, logCostChange } from './calculations';
+import { roundCurrency } from './currency';
+import { getAllocationAccruals } from './accruals';
+import { getAllocationCostCenterSplits } from './costCenterSplits';
+import { LOADING_COMPONENTS } from './costLoading';
+import { generateId } from './storage';
+
+export const CHARGEBACK_STATUS = {
+    DRAFT: 'draft',
+    LOCKED: 'locked',
+    FINALIZED: 'finalized',
+};
+
+export const chargebackStatusOptions = [
+    { value: CHARGEBACK_STATUS.DRAFT, label: 'Draft', variant: 'secondary' },
+    { value: CHARGEBACK_STATUS.LOCKED, label: 'Locked', variant: 'warning' },
+    { value: CHARGEBACK_STATUS.FINALIZED, label: 'Finalized', variant: 'success' },
+];
+
+// Allowed status changes; a finalized statement is final
+const TRANSITIONS = {
+    [CHARGEBACK_STATUS.DRAFT]: [CHARGEBACK_STATUS.LOCKED],
+    [CHARGEBACK_STATUS.LOCKED]: [CHARGEBACK_STATUS.DRAFT, CHARGEBACK_STATUS.FINALIZED],
+    [CHARGEBACK_STATUS.FINALIZED]: [],
+};
+
+const COMPONENT_LABELS = {
+    base: 'Salary',
+    ...Object.fromEntries(LOADING_COMPONENTS.map(({ key, label }) => [key, label])),
+};
+
+const MARKUP = 'markup';
+
+// Share of an allocation's cost per COA account, from its cost lines
+function getAccountShares(allocation) {
+    const { costProject, costLines } = allocation.plan;
+    if (!costLines?.length || !costProject) {
+        return [{ coaId: allocation.coaId || '', component: 'base', share: 1 }];
+    }
+    return costLines.map(line => ({ coaId: line.coaId || '', component: line.component, share: line.amount / costProject }));
+}
+
+const sumAmounts = (items, currency) => roundCurrency(items.reduce((sum, item) => sum + item.amount, 0), currency);
+
+/**
+ * Chargeback lines of a month, before they are grouped into statements
+ * Allocations with cost in the month that have no project, or whose project has
+ * no sponsor cost center, are returned as unbilled.
+ *
+ * @param {Array} allocations - Recalculated allocation records
+ * @param {Object} data - { month ('yyyy-MM'), projects, costCenters, coa, currency }
+ * @returns {Object} { lines, unbilled: [{ allocationId, projectName, memberName, amount, reason }] }
+ */
+export function getChargebackLines(allocations = [], { month, projects = [], costCenters = [], coa = [], currency }) {
+    const linesByKey = new Map();
+    const unbilled = [];
+
+    allocations.forEach(allocation => {
+        const accrued = getAllocationAccruals(allocation)[month] || 0;
+        if (!accrued) return;
+
+        const project = projects.find(p => p.id === allocation.projectId);
+        const receiverId = project?.sponsorCostCenterId;
+        if (!receiverId) {
+            unbilled.push({
+                allocationId: allocation.id,
+                projectName: project?.name || allocation.activityName || '',
+                memberName: allocation.resource || '',
+                amount: roundCurrency(accrued, currency),
+                reason: project ? 'Project has no sponsor cost center' : 'Not assigned to a project',
+            });
+            return;
+        }
+
+        const { costProject, costBillable } = allocation.plan;
+        const markupRatio = costProject > 0 && costBillable > costProject ? (costBillable - costProject) / costProject : 0;
+        const accounts = [
+            ...getAccountShares(allocation),
+            ...(markupRatio > 0 ? [{ coaId: '', component: MARKUP, share: markupRatio }] : []),
+        ];
+
+        getAllocationCostCenterSplits(allocation).forEach(split => {
+            const providerId = split.costCenterId;
+            if (providerId === receiverId) return;
+            const provider = costCenters.find(cc => cc.id === providerId);
+
+            accounts.forEach(({ coaId, component, share }) => {
+                const amount = accrued * share * (Number(split.percentage) || 0) / 100;
+                if (!amount) return;
+
+                const account = component === MARKUP ? MARKUP : coaId;
+                const key = [project.id, allocation.resourceId || allocation.resource, providerId, account].join('|');
+                const existing = linesByKey.get(key);
+                if (existing) {
+                    existing.amount += amount;
+                    return;
+                }
+
+                const entry = coa.find(c => c.id === coaId);
+                linesByKey.set(key, {
+                    key,
+                    receiverId,
+                    projectId: project.id,
+                    projectCode: project.code || '',
+                    projectName: project.name,
+                    memberId: allocation.resourceId || '',
+                    memberName: allocation.resource || '',
+                    providerCostCenterId: providerId,
+                    providerName: provider ? `${provider.code} ${provider.name}` : 'Unassigned',
+                    coaId: component === MARKUP ? '' : coaId,
+                    coaCode: component === MARKUP ? '' : entry?.code || '',
+                    coaName: component === MARKUP ? '' : entry?.name || '',
+                    description: component === MARKUP ? 'Markup' : entry?.name || COMPONENT_LABELS[component] || component,
+                    amount,
+                });
+            });
+        });
+    });
+
+    const lines = [...linesByKey.values()]
+        .map(line => ({ ...line, amount: roundCurrency(line.amount, currency) }))
+        .filter(line => line.amount !== 0);
+    return { lines, unbilled };
+}
+
+/**
+ * Project and account subtotals of statement lines
+ */
+export function getChargebackSubtotals(lines = [], currency) {
+    const group = (keyOf, fields) => {
+        const groups = new Map();
+        lines.forEach(line => {
+            const key = keyOf(line);
+            if (!groups.has(key)) {
+                groups.set(key, { ...Object.fromEntries(fields.map(f => [f, line[f]])), items: [] });
+            }
+            groups.get(key).items.push(line);
+        });
+        return [...groups.values()].map(({ items, ...rest }) => ({ ...rest, amount: sumAmounts(items, currency) }));
+    };
+
+    return {
+        byProject: group(line => line.projectId, ['projectId', 'projectCode', 'projectName']),
+        byAccount: group(line => line.coaId || line.description, ['coaId', 'coaCode', 'coaName', 'description']),
+    };
+}
+
+/**
+ * Draft statements of a month, one per receiving cost center
+ *
+ * @param {Array} allocations - Recalculated allocation records
+ * @param {Object} data - { month, projects, costCenters, coa, currency }
+ * @returns {Object} { statements, unbilled }
+ */
+export function buildChargebackStatements(allocations = [], data) {
+    const { month, costCenters = [], currency } = data;
+    const { lines, unbilled } = getChargebackLines(allocations, data);
+    const receiverIds = [...new Set(lines.map(line => line.receiverId))];
+
+    const statements = receiverIds.map(receiverId => {
+        const receiver = costCenters.find(cc => cc.id === receiverId);
+        const statementLines = lines
+            .filter(line => line.receiverId === receiverId)
+            .sort((a, b) =>
+                a.projectName.localeCompare(b.projectName) ||
+                a.memberName.localeCompare(b.memberName) ||
+                a.providerName.localeCompare(b.providerName) ||
+                (a.coaCode || '~').localeCompare(b.coaCode || '~')
+            );
+
+        return {
+            id: generateId('CB'),
+            documentNumber: '',
+            month,
+            costCenterId: receiverId,
+            costCenterSnapshot: receiver
+                ? { id: receiver.id, code: receiver.code, name: receiver.name, manager: receiver.manager || '' }
+                : { id: receiverId, code: '', name: receiverId, manager: '' },
+            currency,
+            status: CHARGEBACK_STATUS.DRAFT,
+            lines: statementLines,
+            subtotals: getChargebackSubtotals(statementLines, currency),
+            total: sumAmounts(statementLines, currency),
+            createdAt: new Date().toISOString(),
+            lockedAt: null,
+            finalizedAt: null,
+        };
+    });
+
+    return {
+        statements: statements.sort((a, b) => (a.costCenterSnapshot.code || '').localeCompare(b.costCenterSnapshot.code || '')),
+        unbilled,
+    };
+}
+
+/**
+ * Whether a month's chargeback is closed: it has statements and all are finalized
+ */
+export function isChargebackMonthClosed(chargebacks = [], month) {
+    const statements = chargebacks.filter(s => s.month === month);
+    return statements.length > 0 && statements.every(s => s.status === CHARGEBACK_STATUS.FINALIZED);
+}
+
+/**
+ * Why a month's chargeback cannot be run (null when it can)
+ */
+export function getRunChargebackError(chargebacks = [], month) {
+    if (!/^\d{4}-\d{2}$/.test(month || '')) {
+        return 'Choose a month to run the chargeback for';
+    }
+    if (isChargebackMonthClosed(chargebacks, month)) {
+        return `The ${formatChargebackMonth(month)} chargeback is closed`;
+    }
+    return null;
+}
+
+/**
+ * Run a month's chargeback
+ * Replaces the month's draft statements; receivers with a locked or finalized
+ * statement keep it. Throws when the month is closed.
+ *
+ * @param {Array} chargebacks - Chargeback statements
+ * @param {Object} data - { allocations, projects, costCenters, coa, currency }
+ * @param {string} month - Month to charge ('yyyy-MM')
+ * @returns {Array} Updated chargeback statements
+ */
+export function runChargeback(chargebacks = [], { allocations = [], ...data }, month) {
+    const runError = getRunChargebackError(chargebacks, month);
+    if (runError) {
+        throw new Error(runError);
+    }
+
+    const kept = chargebacks.filter(s => s.month !== month || s.status !== CHARGEBACK_STATUS.DRAFT);
+    const keptReceivers = new Set(kept.filter(s => s.month === month).map(s => s.costCenterId));
+    const { statements } = buildChargebackStatements(allocations, { ...data, month });
+
+    return [...kept, ...statements.filter(s => !keptReceivers.has(s.costCenterId))];
+}
+
+/**
+ * Next free document number of a year (CB-2026-0001, CB-2026-0002, ...)
+ */
+export function getNextChargebackNumber(chargebacks = [], year) {
+    const prefix = `CB-${year}-`;
+    const highest = chargebacks.reduce((max, s) => {
+        if (!s.documentNumber?.startsWith(prefix)) return max;
+        const n = parseInt(s.documentNumber.slice(prefix.length), 10);
+        return Number.isFinite(n) && n > max ? n : max;
+    }, 0);
+    return `${prefix}${String(highest + 1).padStart(4, '0')}`;
+}
+
+/**
+ * Why a statement cannot move to a status (null when it can)
+ *
+ * @param {Array} chargebacks - Chargeback statements
+ * @param {Object} change - { id, status }
+ * @returns {string|null} Error message
+ */
+export function getChargebackTransitionError(chargebacks = [], { id, status }) {
+    const statement = chargebacks.find(s => s.id === id);
+    if (!statement) {
+        return `Chargeback statement ${id} not found`;
+    }
+    if (!TRANSITIONS[statement.status]?.includes(status)) {
+        return `A ${statement.status} chargeback statement cannot be ${status === CHARGEBACK_STATUS.DRAFT ? 'unlocked' : status}`;
+    }
+    return null;
+}
+
+/**
+ * Lock, unlock or finalize a statement
+ * Finalizing numbers the statement, so document numbers have no gaps.
+ *
+ * @param {Array} chargebacks - Chargeback statements
+ * @param {Object} change - { id, status }
+ * @returns {Array} Updated chargeback statements
+ */
+export function transitionChargeback(chargebacks = [], { id, status }) {
+    const transitionError = getChargebackTransitionError(chargebacks, { id, status });
+    if (transitionError) {
+        throw new Error(transitionError);
+    }
+
+    const statement = chargebacks.find(s => s.id === id);
+
+    const now = new Date().toISOString();
+    const updated = {
+        ...statement,
+        status,
+        ...(status === CHARGEBACK_STATUS.DRAFT && { lockedAt: null }),
+        ...(status === CHARGEBACK_STATUS.LOCKED && { lockedAt: now }),
+        ...(status === CHARGEBACK_STATUS.FINALIZED && {
+            finalizedAt: now,
+            documentNumber: getNextChargebackNumber(chargebacks, statement.month.slice(0, 4)),
+        }),
+    };
+    return chargebacks.map(s => (s === statement ? updated : s));
+}
+
+/**
+ * Display label of a chargeback month ('2026-03' → 'March 2026')
+ */
+export function formatChargebackMonth(month) {
+    return format(parseISO(`${month}-01`), 'MMMM yyyy');
+}
+
+/**
+ * Audit log entry for a statement's status change
+ *
+ * @param {Object} statement - Statement after the change
+ * @param {string} previousStatus - Status before the change
+ * @returns {Object} Audit log entry
+ */
+export function getChargebackAuditEntry(statement, previousStatus) {
+    const { code, name } = statement.costCenterSnapshot;
+    const subject = `${statement.documentNumber || 'Chargeback'} to ${code ? `${code} ` : ''}${name} for ${formatChargebackMonth(statement.month)}`;
+    const verb = statement.status === CHARGEBACK_STATUS.DRAFT ? 'unlocked' : statement.status;
+
+    return {
+        ...logCostChange(
+            { type: 'chargeback', id: statement.id, name: statement.documentNumber || statement.id },
+            'status',
+            previousStatus,
+            statement.status,
+        ),
+        type: statement.status === CHARGEBACK_STATUS.DRAFT ? 'warning' : 'info',
+        message: `${subject} ${verb} (${formatCurrency(statement.total, statement.currency)})`,
+    };
+}
+
+/**
+ * Rows for exporting statements to CSV, one per line item
+ */
+export function getChargebackExportRows(statements = []) {
+    return statements.flatMap(s => s.lines.map(line => ({
+        'Document #': s.documentNumber || 'Draft',
+        Month: s.month,
+        Status: chargebackStatusOptions.find(o => o.value === s.status)?.label || s.status,
+        'Receiving Cost Center': `${s.costCenterSnapshot.code || ''} ${s.costCenterSnapshot.name}`.trim(),
+        'Project Code': line.projectCode,
+        Project: line.projectName,
+        Member: line.memberName,
+        'Provider Cost Center': line.providerName,
+        'Account Code': line.coaCode,
+        Account: line.description,
+        Currency: s.currency,
+        Amount: line.amount,
+    })));
+}
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Printable HTML document of a statement
+ *
+ * @param {Object} statement - Chargeback statement
+ * @returns {string} Standalone HTML page
+ */
+export function getChargebackStatementHtml(statement) {
+    const { code, name, manager } = statement.costCenterSnapshot;
+    const money = (amount) => escapeHtml(formatCurrency(amount, statement.currency));
+    const title = `${statement.documentNumber || 'Draft'} – ${code ? `${code} ` : ''}${name}`;
+    const status = chargebackStatusOptions.find(o => o.value === statement.status)?.label || statement.status;
+
+    const lineRows = statement.lines.map(line => `
+            <tr>
+                <td>${escapeHtml(line.projectCode)} ${escapeHtml(line.projectName)}</td>
+                <td>${escapeHtml(line.memberName)}</td>
+                <td>${escapeHtml(line.providerName)}</td>
+                <td>${escapeHtml(line.coaCode)}</td>
+                <td>${escapeHtml(line.description)}</td>
+                <td class="num">${money(line.amount)}</td>
+            </tr>`).join('');
+    const subtotalRows = (items, label) => items.map(item => `
+            <tr>
+                <td>${label(item)}</td>
+                <td class="num">${money(item.amount)}</td>
+            </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>Chargeback ${escapeHtml(title)}</title>
+    <style>
+        body { font-family: system-ui, sans-serif; color: #0f172a; margin: 32px; font-size: 12px; }
+        h1 { font-size: 20px; margin: 0 0 4px; }
+        h2 { font-size: 14px; margin: 24px 0 8px; }
+        .meta { color: #475569; margin: 2px 0; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e2e8f0; }
+        th { background: #f1f5f9; font-size: 11px; text-transform: uppercase; letter-spacing: 0.04em; }
+        .num { text-align: right; font-variant-numeric: tabular-nums; white-space: nowrap; }
+        tfoot td { font-weight: 700; border-top: 2px solid #0f172a; }
+        @media print { body { margin: 0; } }
+    </style>
+</head>
+<body>
+    <h1>Chargeback Statement ${escapeHtml(statement.documentNumber || '(Draft)')}</h1>
+    <p class="meta">Charged to: <strong>${escapeHtml(code)} ${escapeHtml(name)}</strong>${manager ? ` (attn. ${escapeHtml(manager)})` : ''}</p>
+    <p class="meta">Period: ${escapeHtml(formatChargebackMonth(statement.month))} • Status: ${escapeHtml(status)} • Currency: ${escapeHtml(statement.currency)}</p>
+
+    <h2>Line Items</h2>
+    <table>
+        <thead>
+            <tr><th>Project</th><th>Member</th><th>Provider</th><th>Account</th><th>Description</th><th class="num">Amount</th></tr>
+        </thead>
+        <tbody>${lineRows}
+        </tbody>
+        <tfoot>
+            <tr><td colspan="5">Total</td><td class="num">${money(statement.total)}</td></tr>
+        </tfoot>
+    </table>
+
+    <h2>Subtotal by Project</h2>
+    <table>
+        <tbody>${subtotalRows(statement.subtotals.byProject, item => `${escapeHtml(item.projectCode)} ${escapeHtml(item.projectName)}`)}
+        </tbody>
+    </table>
+
+    <h2>Subtotal by Account</h2>
+    <table>
+        <tbody>${subtotalRows(statement.subtotals.byAccount, item => `${escapeHtml(item.coaCode)} ${escapeHtml(item.description)}`)}
+        </tbody>
+    </table>
+</body>
+</html>
+`;
+}
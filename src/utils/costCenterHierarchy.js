@@ -0,0 +1,157 @@
+/**
+ * Cost Center Hierarchy
+ * Parent/child structure of cost centers (parentCostCenterId): tree order for
+ * the tree view, reparent checks, and roll-up of figures from descendants to
+ * their parents.
+ *
+ * A cost center whose parent is not in the list is treated as a root, so a
+ * hierarchy filtered to active cost centers stays a forest.
+ */
+
+export const MAX_HIERARCHY_DEPTH = 5;
+
+/**
+ * Whether making parentId the parent of costCenterId would create a cycle
+ */
+export function hasCircularReference(costCenters, costCenterId, parentId) {
+    if (!parentId || costCenterId === parentId) return true;
+
+    const visited = new Set();
+    let currentId = parentId;
+
+    while (currentId && !visited.has(currentId)) {
+        if (currentId === costCenterId) return true;
+        visited.add(currentId);
+
+        const current = costCenters.find(cc => cc.id === currentId);
+        currentId = current?.parentCostCenterId;
+    }
+
+    return false;
+}
+
+/**
+ * Level of a cost center in the hierarchy (roots are level 1)
+ */
+export function getHierarchyDepth(costCenters, costCenterId) {
+    let depth = 1;
+    let currentId = costCenterId;
+
+    while (currentId) {
+        const current = costCenters.find(cc => cc.id === currentId);
+        if (!current?.parentCostCenterId) break;
+
+        currentId = current.parentCostCenterId;
+        depth++;
+
+        // Prevent infinite loops
+        if (depth > 10) break;
+    }
+
+    return depth;
+}
+
+/**
+ * Direct children of a cost center (roots for a null parent)
+ */
+export function getChildCostCenters(costCenters, parentId = null) {
+    const ids = new Set(costCenters.map(cc => cc.id));
+    return costCenters.filter(cc => (parentId
+        ? cc.parentCostCenterId === parentId
+        : !cc.parentCostCenterId || !ids.has(cc.parentCostCenterId)));
+}
+
+/**
+ * IDs of every cost center below a cost center, depth-first
+ */
+export function getDescendantIds(costCenters, costCenterId) {
+    const descendants = [];
+    const visit = (parentId) => {
+        getChildCostCenters(costCenters, parentId).forEach(child => {
+            // Guard against cycles in stored data
+            if (child.id === costCenterId || descendants.includes(child.id)) return;
+            descendants.push(child.id);
+            visit(child.id);
+        });
+    };
+    visit(costCenterId);
+    return descendants;
+}
+
+/**
+ * A cost center's ID followed by its descendants' IDs
+ */
+export function getSubtreeIds(costCenters, costCenterId) {
+    return [costCenterId, ...getDescendantIds(costCenters, costCenterId)];
+}
+
+/**
+ * Cost centers in tree order with their level, skipping children of collapsed rows
+ *
+ * @param {Array} costCenters - Cost center records
+ * @param {Set} collapsedIds - IDs of collapsed cost centers
+ * @returns {Array} [{ costCenter, depth, hasChildren, isExpanded }] (roots are depth 0)
+ */
+export function flattenCostCenterTree(costCenters, collapsedIds = new Set()) {
+    const rows = [];
+    const visited = new Set();
+    const visit = (parentId, depth) => {
+        getChildCostCenters(costCenters, parentId).forEach(costCenter => {
+            if (visited.has(costCenter.id)) return;
+            visited.add(costCenter.id);
+
+            const hasChildren = costCenters.some(cc => cc.parentCostCenterId === costCenter.id);
+            const isExpanded = hasChildren && !collapsedIds.has(costCenter.id);
+            rows.push({ costCenter, depth, hasChildren, isExpanded });
+            if (isExpanded) visit(costCenter.id, depth + 1);
+        });
+    };
+    visit(null, 0);
+    return rows;
+}
+
+/**
+ * Why a cost center cannot move under a new parent
+ * Checks the same rules as the reducer, including the depth of the moved subtree.
+ *
+ * @param {Array} costCenters - Cost center records
+ * @param {string} costCenterId - Cost center being moved
+ * @param {string|null} parentId - New parent (null for top level)
+ * @returns {string|null} Error message, or null when the move is allowed
+ */
+export function getReparentError(costCenters, costCenterId, parentId) {
+    if (!parentId) return null;
+
+    const parent = costCenters.find(cc => cc.id === parentId);
+    if (!parent || !parent.isActive) return 'Parent cost center must exist and be active';
+    if (hasCircularReference(costCenters, costCenterId, parentId)) {
+        return 'A cost center cannot move under itself or one of its descendants';
+    }
+    if (getSubtreeDepth(costCenters, costCenterId, parentId) > MAX_HIERARCHY_DEPTH) {
+        return `This would exceed the maximum hierarchy depth of ${MAX_HIERARCHY_DEPTH} levels`;
+    }
+    return null;
+}
+
+/**
+ * Level of the deepest cost center in a subtree once its root sits under parentId
+ */
+export function getSubtreeDepth(costCenters, costCenterId, parentId) {
+    const moved = costCenters.map(cc => (cc.id === costCenterId ? { ...cc, parentCostCenterId: parentId } : cc));
+    return Math.max(...getSubtreeIds(moved, costCenterId).map(id => getHierarchyDepth(moved, id)));
+}
+
+/**
+ * Sum a figure over a cost center and its descendants
+ *
+ * @param {Array} costCenters - Cost center records
+ * @param {string} costCenterId - Root of the subtree
+ * @param {Function} valueOf - costCenter → number
+ * @returns {number} Rolled-up total
+ */
+export function rollUpCostCenterValue(costCenters, costCenterId, valueOf) {
+    return getSubtreeIds(costCenters, costCenterId).reduce((sum, id) => {
+        const costCenter = costCenters.find(cc => cc.id === id);
+        return sum + (costCenter ? Number(valueOf(costCenter)) || 0 : 0);
+    }, 0);
+}
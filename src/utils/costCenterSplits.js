@@ -0,0 +1,82 @@
+/**
+ * Cost Center Splits
+ * Shared-services members charge their cost to several cost centers.
+ *
+ * Splits are [{ costCenterId, percentage }] totalling 100%. A member carries
+ * default splits (member.costCenterSplits); an allocation may override them
+ * (allocation.costCenterSplits). Recalculation stores the splits in force as
+ * plan.costCenterSplits; an allocation without splits is charged in full to
+ * its costCenterId.
+ */
+
+/**
+ * Validate cost center splits
+ * An empty list is valid: the cost goes to the single cost center.
+ *
+ * @param {Array} splits - [{ costCenterId, percentage }]
+ * @param {Array} costCenters - Cost center records (optional, checks the IDs exist)
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateCostCenterSplits(splits = [], costCenters = null) {
+    if (!splits || splits.length === 0) return null;
+
+    const seen = new Set();
+    for (const split of splits) {
+        if (!split.costCenterId) return 'Every split needs a cost center';
+        if (seen.has(split.costCenterId)) return 'A cost center can appear only once in the splits';
+        seen.add(split.costCenterId);
+
+        if (costCenters && !costCenters.some(cc => cc.id === split.costCenterId)) {
+            return `Cost center ${split.costCenterId} does not exist`;
+        }
+        const percentage = Number(split.percentage);
+        if (!(percentage > 0 && percentage <= 100)) return 'Each split must be between 1 and 100%';
+    }
+
+    const total = getSplitTotal(splits);
+    if (Math.abs(total - 100) > 0.01) {
+        return `Cost center splits must total 100% (got ${total}%)`;
+    }
+    return null;
+}
+
+/**
+ * Sum of the split percentages
+ */
+export function getSplitTotal(splits = []) {
+    return splits.reduce((sum, split) => sum + (Number(split.percentage) || 0), 0);
+}
+
+/**
+ * Splits in force for an allocation: its own, else the member's defaults
+ *
+ * @param {Object} allocation - Allocation record
+ * @param {Object} member - Allocated member
+ * @returns {Array} [{ costCenterId, percentage }] (empty for a single cost center)
+ */
+export function resolveCostCenterSplits(allocation, member) {
+    if (allocation?.costCenterSplits?.length) return allocation.costCenterSplits;
+    if (member?.costCenterSplits?.length) return member.costCenterSplits;
+    return [];
+}
+
+/**
+ * Cost center shares of an allocation as recalculated
+ *
+ * @param {Object} allocation - Allocation record
+ * @returns {Array} [{ costCenterId, percentage }] totalling 100%
+ */
+export function getAllocationCostCenterSplits(allocation) {
+    const splits = allocation?.plan?.costCenterSplits;
+    if (splits?.length) return splits;
+    return [{ costCenterId: allocation?.costCenterId || 'unassigned', percentage: 100 }];
+}
+
+/**
+ * Share (0–1) of an allocation's cost charged to a cost center
+ */
+export function getCostCenterShare(allocation, costCenterId) {
+    return getAllocationCostCenterSplits(allocation)
+        .filter(split => split.costCenterId === costCenterId)
+        .reduce((sum, split) => sum + (Number(split.percentage) || 0) / 100, 0);
+}
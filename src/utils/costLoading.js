@@ -0,0 +1,121 @@
+/**
+ * Cost Loading
+ * Fully loaded resource cost: the tier's base rate plus employee benefits, BPJS
+ * contributions and an equipment/overhead allocation, each posted to its own COA
+ * account. An optional markup on the loaded cost gives the billable (chargeback)
+ * amount; it is revenue for the provider, not an expense, so it has no account.
+ *
+ * settings.costLoading shape:
+ *   { default: Profile, roles: { [roleType]: Profile }, costCenters: { [costCenterId]: Profile },
+ *     accounts: { benefits, bpjs, overhead } }
+ *   Profile: { benefitsPercent, bpjsPercent, overheadPercent, markupPercent }
+ */
+
+import { roundCurrency } from './currency';
+
+// Loading components on top of the base rate, in posting order
+export const LOADING_COMPONENTS = [
+    { key: 'benefits', field: 'benefitsPercent', label: 'Employee Benefits' },
+    { key: 'bpjs', field: 'bpjsPercent', label: 'BPJS Contributions' },
+    { key: 'overhead', field: 'overheadPercent', label: 'Equipment & Overhead' },
+];
+
+export const emptyLoadingProfile = {
+    benefitsPercent: 0,
+    bpjsPercent: 0,
+    overheadPercent: 0,
+    markupPercent: 0,
+};
+
+export const defaultCostLoading = {
+    default: emptyLoadingProfile,
+    roles: {},
+    costCenters: {},
+    accounts: {
+        benefits: 'COA-5002',
+        bpjs: 'COA-5002',
+        overhead: 'COA-6002',
+    },
+};
+
+/**
+ * Loading profile that applies to a resource
+ * A cost center override wins over a role override, which wins over the default.
+ *
+ * @param {Object} costLoading - settings.costLoading
+ * @param {Object} scope - { roleType, costCenterId }
+ * @returns {Object|null} Profile with its `source` ('costCenter', 'role' or 'default'),
+ *   or null when cost loading is not configured
+ */
+export function getLoadingProfile(costLoading, { roleType, costCenterId } = {}) {
+    if (!costLoading) return null;
+
+    if (costCenterId && costLoading.costCenters?.[costCenterId]) {
+        return { ...emptyLoadingProfile, ...costLoading.costCenters[costCenterId], source: 'costCenter' };
+    }
+    if (roleType && costLoading.roles?.[roleType]) {
+        return { ...emptyLoadingProfile, ...costLoading.roles[roleType], source: 'role' };
+    }
+    return { ...emptyLoadingProfile, ...costLoading.default, source: 'default' };
+}
+
+/**
+ * Split a base cost into its loaded components
+ * Without a profile the cost is returned unloaded.
+ *
+ * @param {number} baseCost - Cost at the tier's base rate
+ * @param {Object|null} profile - Loading profile
+ * @param {string} currency - Currency the amounts are rounded to
+ * @returns {Object} { base, benefits, bpjs, overhead, total, markup, billable }
+ */
+export function applyCostLoading(baseCost, profile, currency) {
+    const base = Number(baseCost) || 0;
+    if (!profile) {
+        return { base, benefits: 0, bpjs: 0, overhead: 0, total: base, markup: 0, billable: base };
+    }
+
+    const components = Object.fromEntries(LOADING_COMPONENTS.map(({ key, field }) => [
+        key,
+        roundCurrency(base * (Number(profile[field]) || 0) / 100, currency),
+    ]));
+    const total = base + LOADING_COMPONENTS.reduce((sum, { key }) => sum + components[key], 0);
+    const markup = roundCurrency(total * (Number(profile.markupPercent) || 0) / 100, currency);
+
+    return { base, ...components, total, markup, billable: total + markup };
+}
+
+/**
+ * Post a loaded cost to COA accounts: the base to the tier's (or member's) account,
+ * each loading component to its configured account
+ *
+ * @param {Object} breakdown - Result of applyCostLoading
+ * @param {string} baseCoaId - Account of the base salary cost
+ * @param {Object} accounts - settings.costLoading.accounts
+ * @returns {Array} Cost lines [{ component, coaId, amount }] with a non-zero amount
+ */
+export function getCostLines(breakdown, baseCoaId, accounts = defaultCostLoading.accounts) {
+    return [
+        { component: 'base', coaId: baseCoaId || '', amount: breakdown.base },
+        ...LOADING_COMPONENTS.map(({ key }) => ({ component: key, coaId: accounts?.[key] || '', amount: breakdown[key] })),
+    ].filter(line => line.amount !== 0);
+}
+
+/**
+ * Validate a loading profile before it is saved
+ *
+ * @returns {Object} Field → error message (empty when valid)
+ */
+export function validateLoadingProfile(profile) {
+    const errors = {};
+    LOADING_COMPONENTS.forEach(({ field, label }) => {
+        const value = Number(profile[field]);
+        if (!Number.isFinite(value) || value < 0 || value > 100) {
+            errors[field] = `${label} must be between 0 and 100%`;
+        }
+    });
+    const markup = Number(profile.markupPercent);
+    if (!Number.isFinite(markup) || markup < 0) {
+        errors.markupPercent = 'Markup cannot be negative';
+    }
+    return errors;
+}
@@ -0,0 +1,192 @@
+/**
+ * Cost Rates
+ * Effective-dated rate history of resource cost tiers. A rate change starts a
+ * new version instead of overwriting the tier, so work done before the change
+ * keeps the rate that was in force at the time.
+ *
+ * Shape (cost tier rateHistory entry):
+ *   { id, monthlyCost, perDayCost, perHourCost, effectiveFrom, effectiveTo }
+ *   effectiveFrom '' = since the beginning; effectiveTo '' = still in force
+ *
+ * The tier's own monthlyCost/perDayCost/perHourCost mirror its latest version.
+ */
+
+import { addDays, format, parseISO } from 'date-fns';
+import { getWorkingDates } from './workCalendar';
+import { getMonthKey } from './accruals';
+import { convertAmount, roundCurrency } from './currency';
+import { generateId } from './storage';
+
+// Working constants used to turn monthly tier costs into day and hour rates
+const WORKING_DAYS_PER_MONTH = 20;
+const WORKING_HOURS_PER_DAY = 8;
+
+const toDateKey = (date) => {
+    if (!date) return '';
+    return typeof date === 'string' ? date.split('T')[0] : format(date, 'yyyy-MM-dd');
+};
+
+/**
+ * Day and hour rates of a monthly cost, rounded to the tier currency
+ */
+export function getRatesFromMonthly(monthlyCost, currency) {
+    return {
+        monthlyCost,
+        perDayCost: roundCurrency(monthlyCost / WORKING_DAYS_PER_MONTH, currency),
+        perHourCost: roundCurrency(monthlyCost / WORKING_DAYS_PER_MONTH / WORKING_HOURS_PER_DAY, currency),
+    };
+}
+
+/**
+ * Rate versions of a tier, oldest first
+ * Tiers saved before rate history existed have one open-ended version built
+ * from their current rates.
+ *
+ * @param {Object} tier - Cost tier record
+ * @returns {Array} Rate versions
+ */
+export function getRateHistory(tier) {
+    if (!tier) return [];
+    if (!tier.rateHistory?.length) {
+        return [{
+            id: `${tier.id}-R1`,
+            monthlyCost: tier.monthlyCost || 0,
+            perDayCost: tier.perDayCost || 0,
+            perHourCost: tier.perHourCost || 0,
+            effectiveFrom: '',
+            effectiveTo: '',
+        }];
+    }
+    return [...tier.rateHistory].sort((a, b) => (a.effectiveFrom || '').localeCompare(b.effectiveFrom || ''));
+}
+
+/**
+ * Rate version in force on a date
+ * Dates before the first version use the first one.
+ *
+ * @param {Object} tier - Cost tier record
+ * @param {Date|string} date - Date (default today)
+ * @returns {Object|null} Rate version
+ */
+export function getRateOnDate(tier, date = new Date()) {
+    const history = getRateHistory(tier);
+    if (history.length === 0) return null;
+
+    const dateKey = toDateKey(date);
+    const inForce = history.filter(v => !v.effectiveFrom || v.effectiveFrom <= dateKey).pop();
+    return inForce || history[0];
+}
+
+/**
+ * Validate a new rate version against a tier's history
+ * Versions only move forward: a change starts after the latest version did.
+ *
+ * @param {Object} tier - Cost tier record
+ * @param {Object} change - { monthlyCost, effectiveFrom }
+ * @returns {Object} Field → error message (empty when valid)
+ */
+export function validateRateChange(tier, change) {
+    const errors = {};
+    if (!(Number(change.monthlyCost) > 0)) {
+        errors.monthlyCost = 'Monthly cost must be greater than zero';
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(change.effectiveFrom || '')) {
+        errors.effectiveFrom = 'Choose the date the new rate takes effect';
+    } else {
+        const latest = getRateHistory(tier).pop();
+        if (latest?.effectiveFrom && change.effectiveFrom <= latest.effectiveFrom) {
+            errors.effectiveFrom = `Must be after the current rate's start (${latest.effectiveFrom})`;
+        }
+    }
+    return errors;
+}
+
+/**
+ * Start a new rate version on a tier
+ * The version in force closes the day before the change.
+ *
+ * @param {Object} tier - Cost tier record
+ * @param {Object} change - { monthlyCost, effectiveFrom }
+ * @returns {Object} Updated tier
+ */
+export function addRateVersion(tier, { monthlyCost, effectiveFrom }) {
+    const dayBefore = format(addDays(parseISO(effectiveFrom), -1), 'yyyy-MM-dd');
+    const history = getRateHistory(tier).map(v => (v.effectiveTo ? v : { ...v, effectiveTo: dayBefore }));
+    const rates = getRatesFromMonthly(Number(monthlyCost), tier.currency);
+
+    return {
+        ...tier,
+        ...rates,
+        rateHistory: [...history, { id: generateId('RATE'), ...rates, effectiveFrom, effectiveTo: '' }],
+    };
+}
+
+/**
+ * Check that a rate history has no overlapping or reversed versions
+ *
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateRateHistory(history = []) {
+    const sorted = [...history].sort((a, b) => (a.effectiveFrom || '').localeCompare(b.effectiveFrom || ''));
+    for (let i = 0; i < sorted.length; i++) {
+        const version = sorted[i];
+        if (version.effectiveTo && version.effectiveFrom && version.effectiveTo < version.effectiveFrom) {
+            return `Rate version ${version.id} ends before it starts`;
+        }
+        const next = sorted[i + 1];
+        if (next && (!version.effectiveTo || version.effectiveTo >= next.effectiveFrom)) {
+            return `Rate versions overlap from ${next.effectiveFrom}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Cost of hours spread evenly over the working days of a period, by calendar
+ * month, each day at the tier rate (and exchange rate) in force on that day
+ * Without an end date, or when the period has no working days, all hours are
+ * priced at the start date.
+ *
+ * @param {number} hours - Hours of work
+ * @param {Object} tier - Cost tier record
+ * @param {Object} options - { startDate, endDate, excludedDates, calendars, currency, exchangeRates }
+ * @returns {Object} Month ('yyyy-MM') → cost in `currency` (the tier's currency when none is given)
+ */
+export function calculateDatedCostByMonth(hours, tier, options = {}) {
+    const { startDate, endDate, excludedDates = [], calendars = [], currency, exchangeRates = [] } = options;
+    if (!hours || !tier) return {};
+
+    const targetCurrency = currency || tier.currency;
+    const costOn = (date, dayHours) => convertAmount(
+        dayHours * (getRateOnDate(tier, date)?.perHourCost || 0),
+        tier.currency,
+        targetCurrency,
+        exchangeRates,
+        date
+    );
+
+    const days = startDate && endDate ? getWorkingDates(startDate, endDate, excludedDates, calendars) : [];
+    if (days.length === 0) {
+        const date = startDate ? toDateKey(startDate) : undefined;
+        return { [getMonthKey(date || new Date())]: costOn(date, hours) };
+    }
+
+    return days.reduce((byMonth, day) => {
+        const month = getMonthKey(day);
+        byMonth[month] = (byMonth[month] || 0) + costOn(day, hours / days.length);
+        return byMonth;
+    }, {});
+}
+
+/**
+ * Cost of hours spread evenly over the working days of a period, each day at
+ * the tier rate (and exchange rate) in force on that day
+ * Same arguments as calculateDatedCostByMonth.
+ *
+ * @returns {number} Cost in `currency` (the tier's currency when none is given)
+ */
+export function calculateDatedCost(hours, tier, options = {}) {
+    if (!hours || !tier) return 0;
+    const cost = Object.values(calculateDatedCostByMonth(hours, tier, options)).reduce((sum, amount) => sum + amount, 0);
+    return roundCurrency(cost, options.currency || tier.currency);
+}
@@ -0,0 +1,195 @@
+/**
+ * Critical Path Analysis
+ * Forward/backward pass scheduling over the allocation network of a demand,
+ * computed in workdays on each member's calendar (holidays and leaves excluded)
+ */
+
+import { format } from 'date-fns';
+import { addWorkdays, workdaysBetween, getExcludedDates, findAllocationMember } from './calculations';
+import {
+    DEPENDENCY_TYPES,
+    getDependencies,
+    sortAllocationsByDependencies,
+    calculateDependencyStart,
+} from './dependencies';
+import { getMemberCalendars } from './workCalendar';
+
+const toDateString = (date) => format(date, 'yyyy-MM-dd');
+
+/**
+ * Get the allocations that belong to a demand and can be scheduled
+ *
+ * @param {Array} allocations - Allocation records
+ * @param {string} demandNumber - Demand/project number
+ * @returns {Array} Scheduled, non-cancelled allocations of the demand
+ */
+export function getDemandAllocations(allocations = [], demandNumber) {
+    return allocations.filter(a =>
+        a.demandNumber === demandNumber &&
+        a.status !== 'cancelled' &&
+        a.plan?.taskStart &&
+        a.plan?.taskEnd
+    );
+}
+
+/**
+ * List demand numbers that have scheduled allocations
+ *
+ * @param {Array} allocations - Allocation records
+ * @returns {Array<string>} Sorted demand numbers
+ */
+export function getDemandNumbers(allocations = []) {
+    const demands = new Set(
+        allocations
+            .filter(a => a.demandNumber && a.plan?.taskStart && a.plan?.taskEnd)
+            .map(a => a.demandNumber)
+    );
+    return [...demands].sort();
+}
+
+/**
+ * Calculate the critical path and total float for a demand
+ *
+ * Forward pass: tasks without predecessors keep their planned start; the others
+ * start as early as their FS/SS/FF links allow. Backward pass: late dates are
+ * derived from the project finish. Total float is the workday gap between the
+ * early and late start on the task owner's calendar; zero-float tasks are critical.
+ * Links to allocations outside the demand constrain the forward pass only.
+ *
+ * @param {Array} allocations - All allocation records
+ * @param {string} demandNumber - Demand/project number
+ * @param {Array} holidays - Holiday records
+ * @param {Array} leaves - Leave records
+ * @param {Object} settings - App settings (includeCutiBersama)
+ * @param {Array} members - Team member records (for their working calendars)
+ * @returns {Object} { demandNumber, projectStart, projectFinish, durationWorkdays, tasks, criticalPath, cyclic }
+ */
+export function calculateCriticalPath(allocations = [], demandNumber, holidays = [], leaves = [], settings = {}, members = []) {
+    const projectAllocations = getDemandAllocations(allocations, demandNumber);
+    const includeCutiBersama = settings?.includeCutiBersama ?? true;
+
+    const empty = {
+        demandNumber,
+        projectStart: null,
+        projectFinish: null,
+        durationWorkdays: 0,
+        tasks: [],
+        criticalPath: [],
+        cyclic: [],
+    };
+    if (projectAllocations.length === 0) return empty;
+
+    const { order, cyclic } = sortAllocationsByDependencies(projectAllocations);
+    if (cyclic.size > 0) {
+        console.warn(`[CriticalPath] Dependency cycle in ${demandNumber}, excluded: ${[...cyclic].join(', ')}`);
+    }
+
+    const projectIds = new Set(projectAllocations.map(a => a.id));
+    const externalById = new Map(
+        allocations.filter(a => !projectIds.has(a.id)).map(a => [a.id, a])
+    );
+
+    // Per-task calendar and planned duration in workdays
+    const nodes = new Map();
+    order.forEach(index => {
+        const allocation = projectAllocations[index];
+        if (cyclic.has(allocation.id)) return;
+
+        const excludedDates = getExcludedDates(allocation.resourceId, holidays, leaves, includeCutiBersama);
+        const calendars = getMemberCalendars(findAllocationMember(allocation, members));
+        nodes.set(allocation.id, {
+            allocation,
+            excludedDates,
+            calendars,
+            duration: Math.max(0, workdaysBetween(allocation.plan.taskStart, allocation.plan.taskEnd, excludedDates, calendars)),
+            successors: [],
+        });
+    });
+
+    // Successor links inside the demand, for the backward pass
+    nodes.forEach((node, id) => {
+        getDependencies(node.allocation).forEach(dep => {
+            if (nodes.has(dep.predecessorId)) {
+                nodes.get(dep.predecessorId).successors.push({ id, type: dep.type, lag: dep.lag });
+            }
+        });
+    });
+
+    const orderedIds = order
+        .map(index => projectAllocations[index].id)
+        .filter(id => nodes.has(id));
+
+    // Forward pass: early start / early finish
+    const scheduled = new Map(externalById);
+    orderedIds.forEach(id => {
+        const node = nodes.get(id);
+        const calculateEnd = (startDate) => addWorkdays(startDate, node.duration, node.excludedDates, node.calendars);
+
+        const dependencyStart = getDependencies(node.allocation).length > 0
+            ? calculateDependencyStart(node.allocation, scheduled, node.excludedDates, calculateEnd, node.calendars)
+            : null;
+
+        node.earlyStart = dependencyStart || node.allocation.plan.taskStart;
+        node.earlyFinish = toDateString(calculateEnd(node.earlyStart));
+        scheduled.set(id, { ...node.allocation, plan: { taskStart: node.earlyStart, taskEnd: node.earlyFinish } });
+    });
+
+    const projectStart = orderedIds.map(id => nodes.get(id).earlyStart).sort()[0];
+    const projectFinish = orderedIds.map(id => nodes.get(id).earlyFinish).sort().pop();
+
+    // Backward pass: late finish / late start
+    [...orderedIds].reverse().forEach(id => {
+        const node = nodes.get(id);
+        let lateFinish = projectFinish;
+
+        node.successors.forEach(link => {
+            const successor = nodes.get(link.id);
+            let constraint;
+            if (link.type === DEPENDENCY_TYPES.SS) {
+                const lateStart = addWorkdays(successor.lateStart, -link.lag, node.excludedDates, node.calendars);
+                constraint = toDateString(addWorkdays(lateStart, node.duration, node.excludedDates, node.calendars));
+            } else if (link.type === DEPENDENCY_TYPES.FF) {
+                constraint = toDateString(addWorkdays(successor.lateFinish, -link.lag, node.excludedDates, node.calendars));
+            } else {
+                constraint = toDateString(addWorkdays(successor.lateStart, -(1 + link.lag), node.excludedDates, node.calendars));
+            }
+            if (constraint < lateFinish) lateFinish = constraint;
+        });
+
+        node.lateFinish = lateFinish;
+        node.lateStart = toDateString(addWorkdays(lateFinish, -node.duration, node.excludedDates, node.calendars));
+        node.totalFloat = workdaysBetween(node.earlyStart, node.lateStart, node.excludedDates, node.calendars);
+    });
+
+    const tasks = orderedIds.map(id => {
+        const { allocation, duration, earlyStart, earlyFinish, lateStart, lateFinish, totalFloat } = nodes.get(id);
+        return {
+            id,
+            activityName: allocation.activityName,
+            resourceId: allocation.resourceId,
+            resource: allocation.resource,
+            duration,
+            earlyStart,
+            earlyFinish,
+            lateStart,
+            lateFinish,
+            totalFloat,
+            isCritical: totalFloat <= 0,
+        };
+    });
+
+    const criticalPath = tasks
+        .filter(t => t.isCritical)
+        .sort((a, b) => a.earlyStart.localeCompare(b.earlyStart) || a.earlyFinish.localeCompare(b.earlyFinish))
+        .map(t => t.id);
+
+    return {
+        demandNumber,
+        projectStart,
+        projectFinish,
+        durationWorkdays: workdaysBetween(projectStart, projectFinish, getExcludedDates(null, holidays, [], includeCutiBersama)),
+        tasks,
+        criticalPath,
+        cyclic: [...cyclic],
+    };
+}
@@ -0,0 +1,202 @@
+/**
+ * Currency
+ * Currencies, dated exchange rates and conversion into the reporting currency.
+ *
+ * Rates are quoted against the base currency (IDR): one unit of `currency`
+ * is worth `rate` IDR from `effectiveDate` until the next rate of that currency.
+ *
+ * Shape:
+ *   { id, currency, rate, effectiveDate }
+ */
+
+import { generateId } from './storage';
+
+export const BASE_CURRENCY = 'IDR';
+
+export const CURRENCIES = {
+    IDR: { code: 'IDR', name: 'Indonesian Rupiah', locale: 'id-ID', decimals: 0 },
+    USD: { code: 'USD', name: 'US Dollar', locale: 'en-US', decimals: 2 },
+    SGD: { code: 'SGD', name: 'Singapore Dollar', locale: 'en-SG', decimals: 2 },
+};
+
+export const currencyOptions = Object.values(CURRENCIES).map(c => ({
+    value: c.code,
+    label: `${c.code} · ${c.name}`,
+}));
+
+// Currency formatCurrency uses when none is given; follows settings.currency
+let reportingCurrency = BASE_CURRENCY;
+const reportingCurrencyListeners = new Set();
+
+/**
+ * Set the app-wide reporting currency used by formatCurrency
+ */
+export function setReportingCurrency(currency) {
+    const next = CURRENCIES[currency] ? currency : BASE_CURRENCY;
+    if (next === reportingCurrency) return;
+    reportingCurrency = next;
+    reportingCurrencyListeners.forEach(listener => listener());
+}
+
+export function getReportingCurrency() {
+    return reportingCurrency;
+}
+
+/**
+ * Subscribe to reporting currency changes (for useSyncExternalStore)
+ *
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeReportingCurrency(listener) {
+    reportingCurrencyListeners.add(listener);
+    return () => reportingCurrencyListeners.delete(listener);
+}
+
+/**
+ * Locale and decimals of a currency (unknown codes format like the base currency)
+ */
+export function getCurrencyInfo(currency) {
+    return CURRENCIES[currency] || { ...CURRENCIES[BASE_CURRENCY], code: currency || BASE_CURRENCY };
+}
+
+const toDateKey = (date) => {
+    if (!date) return new Date().toISOString().split('T')[0];
+    return typeof date === 'string' ? date.split('T')[0] : date.toISOString().split('T')[0];
+};
+
+/**
+ * Base-currency value of one unit of a currency on a date
+ * Uses the latest rate effective on or before the date; dates before the first
+ * rate fall back to the earliest one. Returns null when the currency has no rate.
+ *
+ * @param {Array} rates - Exchange rate records
+ * @param {string} currency - Currency code
+ * @param {Date|string} date - Conversion date (default today)
+ * @returns {number|null} Rate in base currency
+ */
+export function getExchangeRate(rates = [], currency, date) {
+    if (!currency || currency === BASE_CURRENCY) return 1;
+
+    const history = rates
+        .filter(r => r.currency === currency && r.rate > 0)
+        .sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate));
+    if (history.length === 0) return null;
+
+    const dateKey = toDateKey(date);
+    const effective = history.filter(r => r.effectiveDate <= dateKey).pop();
+    return (effective || history[0]).rate;
+}
+
+/**
+ * Convert an amount between currencies through the base currency
+ * A currency without any rate is treated as 1:1 (with a warning) so totals
+ * never silently drop to zero.
+ *
+ * @param {number} amount - Amount in `from`
+ * @param {string} from - Source currency (default base)
+ * @param {string} to - Target currency (default base)
+ * @param {Array} rates - Exchange rate records
+ * @param {Date|string} date - Conversion date (default today)
+ * @returns {number} Amount in `to`
+ */
+export function convertAmount(amount, from = BASE_CURRENCY, to = BASE_CURRENCY, rates = [], date) {
+    const value = Number(amount) || 0;
+    if ((from || BASE_CURRENCY) === (to || BASE_CURRENCY) || value === 0) return value;
+
+    const fromRate = getExchangeRate(rates, from, date);
+    const toRate = getExchangeRate(rates, to, date);
+    if (fromRate === null || toRate === null) {
+        console.warn(`[Currency] No exchange rate for ${fromRate === null ? from : to}, amount left unconverted`);
+        return value;
+    }
+
+    return (value * fromRate) / toRate;
+}
+
+/**
+ * Round an amount to the minor units its currency is shown with
+ */
+export function roundCurrency(amount, currency) {
+    const factor = 10 ** getCurrencyInfo(currency).decimals;
+    return Math.round(amount * factor) / factor;
+}
+
+/**
+ * Validate an exchange rate before it is saved
+ *
+ * @returns {Object} Field → error message (empty when valid)
+ */
+export function validateExchangeRate(rate, rates = []) {
+    const errors = {};
+    if (!CURRENCIES[rate.currency]) {
+        errors.currency = 'Unknown currency';
+    } else if (rate.currency === BASE_CURRENCY) {
+        errors.currency = `${BASE_CURRENCY} is the base currency`;
+    }
+    if (!(Number(rate.rate) > 0)) {
+        errors.rate = 'Rate must be greater than zero';
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(rate.effectiveDate || '')) {
+        errors.effectiveDate = 'Effective date is required (YYYY-MM-DD)';
+    } else if (rates.some(r => r.id !== rate.id && r.currency === rate.currency && r.effectiveDate === rate.effectiveDate)) {
+        errors.effectiveDate = `A ${rate.currency} rate already starts on this date`;
+    }
+    return errors;
+}
+
+/**
+ * Parse exchange rates from CSV text
+ * Expects a header with currency, rate and effectiveDate columns (any order);
+ * rows that fail validation are reported by line number instead of imported.
+ *
+ * @param {string} text - CSV content
+ * @returns {{rates: Array, errors: Array<string>}} Parsed rates and row errors
+ */
+export function parseExchangeRatesCsv(text) {
+    const lines = (text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (lines.length === 0) {
+        return { rates: [], errors: ['File is empty'] };
+    }
+
+    const header = lines[0].split(',').map(h => h.trim().toLowerCase());
+    const columns = {
+        currency: header.indexOf('currency'),
+        rate: header.indexOf('rate'),
+        effectiveDate: header.indexOf('effectivedate'),
+    };
+    const missing = Object.keys(columns).filter(key => columns[key] === -1);
+    if (missing.length > 0) {
+        return { rates: [], errors: [`Missing column(s): ${missing.join(', ')}`] };
+    }
+
+    const rates = [];
+    const errors = [];
+    lines.slice(1).forEach((line, i) => {
+        const cells = line.split(',').map(c => c.trim());
+        const rate = {
+            id: generateId('FX'),
+            currency: (cells[columns.currency] || '').toUpperCase(),
+            rate: Number(cells[columns.rate]),
+            effectiveDate: cells[columns.effectiveDate] || '',
+        };
+        const rowErrors = Object.values(validateExchangeRate(rate, rates));
+        if (rowErrors.length > 0) {
+            errors.push(`Line ${i + 2}: ${rowErrors.join('; ')}`);
+        } else {
+            rates.push(rate);
+        }
+    });
+
+    return { rates, errors };
+}
+
+/**
+ * Merge imported rates into the table; an import replaces the rate of the
+ * same currency and effective date
+ */
+export function mergeExchangeRates(rates = [], imported = []) {
+    const key = r => `${r.currency}:${r.effectiveDate}`;
+    const importedKeys = new Set(imported.map(key));
+    return [...rates.filter(r => !importedKeys.has(key(r))), ...imported]
+        .sort((a, b) => a.currency.localeCompare(b.currency) || a.effectiveDate.localeCompare(b.effectiveDate));
+}
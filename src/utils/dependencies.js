@@ -0,0 +1,175 @@
+/**
+ * Dependency Utilities
+ * Predecessor links between allocations (FS/SS/FF with a lag in workdays)
+ */
+
+import { format } from 'date-fns';
+import { addWorkdays, workdaysBetween } from './calculations';
+
+export const DEPENDENCY_TYPES = {
+    FS: 'FS', // Finish-to-Start: successor starts after the predecessor finishes
+    SS: 'SS', // Start-to-Start: successor starts when the predecessor starts
+    FF: 'FF', // Finish-to-Finish: successor finishes when the predecessor finishes
+};
+
+export const dependencyTypeOptions = [
+    { value: DEPENDENCY_TYPES.FS, label: 'Finish-to-Start' },
+    { value: DEPENDENCY_TYPES.SS, label: 'Start-to-Start' },
+    { value: DEPENDENCY_TYPES.FF, label: 'Finish-to-Finish' },
+];
+
+/**
+ * Get the valid dependency links of an allocation
+ *
+ * @param {Object} allocation - Allocation record
+ * @returns {Array<{predecessorId: string, type: string, lag: number}>} Dependencies
+ */
+export function getDependencies(allocation) {
+    if (!Array.isArray(allocation?.dependencies)) return [];
+
+    return allocation.dependencies
+        .filter(dep => dep?.predecessorId && dep.predecessorId !== allocation.id)
+        .map(dep => ({
+            predecessorId: dep.predecessorId,
+            type: DEPENDENCY_TYPES[dep.type] || DEPENDENCY_TYPES.FS,
+            lag: Number.isFinite(Number(dep.lag)) ? Math.round(Number(dep.lag)) : 0,
+        }));
+}
+
+/**
+ * Order allocations so every predecessor comes before its successors (Kahn's algorithm)
+ * Links to allocations that no longer exist are ignored.
+ *
+ * @param {Array} allocations - Allocation records
+ * @returns {{order: number[], cyclic: Set<string>}} Allocation indexes in dependency order,
+ *   and IDs that are part of (or wait on) a dependency cycle
+ */
+export function sortAllocationsByDependencies(allocations = []) {
+    const indexById = new Map();
+    allocations.forEach((a, index) => {
+        if (a?.id && !indexById.has(a.id)) indexById.set(a.id, index);
+    });
+
+    const inDegree = allocations.map(() => 0);
+    const successors = allocations.map(() => []);
+
+    allocations.forEach((allocation, index) => {
+        const predecessorIndexes = new Set(
+            getDependencies(allocation)
+                .map(dep => indexById.get(dep.predecessorId))
+                .filter(i => i !== undefined && i !== index)
+        );
+        predecessorIndexes.forEach(i => {
+            successors[i].push(index);
+            inDegree[index]++;
+        });
+    });
+
+    const queue = [];
+    inDegree.forEach((degree, index) => {
+        if (degree === 0) queue.push(index);
+    });
+
+    const order = [];
+    while (queue.length > 0) {
+        const index = queue.shift();
+        order.push(index);
+        successors[index].forEach(next => {
+            inDegree[next]--;
+            if (inDegree[next] === 0) queue.push(next);
+        });
+    }
+
+    // Anything left could not be ordered
+    const cyclic = new Set();
+    inDegree.forEach((degree, index) => {
+        if (degree > 0) {
+            cyclic.add(allocations[index].id);
+            order.push(index);
+        }
+    });
+
+    return { order, cyclic };
+}
+
+/**
+ * Find a dependency cycle, e.g. to validate a form before saving
+ *
+ * @param {Array} allocations - Allocation records
+ * @returns {Array<string>|null} IDs along the cycle (first ID repeated at the end), or null
+ */
+export function findDependencyCycle(allocations = []) {
+    const byId = new Map(allocations.filter(a => a?.id).map(a => [a.id, a]));
+    const state = new Map(); // id -> 'visiting' | 'done'
+    const path = [];
+
+    const visit = (id) => {
+        state.set(id, 'visiting');
+        path.push(id);
+
+        for (const dep of getDependencies(byId.get(id))) {
+            if (!byId.has(dep.predecessorId)) continue;
+            const predecessorState = state.get(dep.predecessorId);
+            if (predecessorState === 'visiting') {
+                return [...path.slice(path.indexOf(dep.predecessorId)), dep.predecessorId];
+            }
+            if (!predecessorState) {
+                const cycle = visit(dep.predecessorId);
+                if (cycle) return cycle;
+            }
+        }
+
+        path.pop();
+        state.set(id, 'done');
+        return null;
+    };
+
+    for (const id of byId.keys()) {
+        if (!state.has(id)) {
+            const cycle = visit(id);
+            if (cycle) return cycle;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Calculate the earliest start date allowed by an allocation's dependencies
+ * The latest constraint wins when there are several predecessors.
+ *
+ * @param {Object} allocation - Successor allocation
+ * @param {Map<string, Object>} predecessorsById - Already scheduled allocations by ID
+ * @param {Array<string>} excludedDates - Successor's non-working dates (holidays + leaves)
+ * @param {Function} calculateEnd - (startDate) => end date of the successor, used for FF links
+ * @param {Array} calendars - Successor's working calendars
+ * @returns {string|null} Start date (yyyy-MM-dd), or null if no dependency applies
+ */
+export function calculateDependencyStart(allocation, predecessorsById, excludedDates, calculateEnd, calendars = []) {
+    let latestStart = null;
+
+    getDependencies(allocation).forEach(dep => {
+        const predecessor = predecessorsById.get(dep.predecessorId);
+        const predecessorStart = predecessor?.plan?.taskStart;
+        const predecessorEnd = predecessor?.plan?.taskEnd;
+
+        let start = null;
+        if (dep.type === DEPENDENCY_TYPES.SS && predecessorStart) {
+            start = addWorkdays(predecessorStart, dep.lag, excludedDates, calendars);
+        } else if (dep.type === DEPENDENCY_TYPES.FS && predecessorEnd) {
+            // Start on the next workday after the predecessor finishes
+            start = addWorkdays(predecessorEnd, 1 + dep.lag, excludedDates, calendars);
+        } else if (dep.type === DEPENDENCY_TYPES.FF && predecessorEnd) {
+            // Shift back from the required finish by the successor's own duration
+            const requiredEnd = addWorkdays(predecessorEnd, dep.lag, excludedDates, calendars);
+            const duration = Math.max(0, workdaysBetween(requiredEnd, calculateEnd(requiredEnd), excludedDates, calendars));
+            start = addWorkdays(requiredEnd, -duration, excludedDates, calendars);
+        }
+
+        if (start && (!latestStart || start > latestStart)) {
+            latestStart = start;
+        }
+    });
+
+    return latestStart ? format(latestStart, 'yyyy-MM-dd') : null;
+}
@@ -0,0 +1,256 @@
+/**
+ * Earned Value Management
+ * Planned Value, Earned Value and Actual Cost of Project allocations over time,
+ * with the derived schedule/cost indices and forecasts (SPI, CPI, EAC, ETC, VAC)
+ *
+ * - PV accrues plan.costProject linearly across the planned start..end days
+ * - EV is plan.costProject × percent complete (from the allocation's progress log)
+ * - AC spreads actual.costProject across the actual start..end (or status date)
+ *
+ * With a conversion ({ currency, exchangeRates }) planned and actual cost are
+ * converted from the currency they were costed in (plan.currency, actual.currency)
+ * into the reporting currency first.
+ */
+
+import { addDays, differenceInDays, format, max as maxDate, parseISO, startOfDay, startOfWeek } from 'date-fns';
+import { convertAmount } from './currency';
+
+const toDate = (value) => startOfDay(typeof value === 'string' ? parseISO(value) : new Date(value));
+const toDateString = (date) => format(date, 'yyyy-MM-dd');
+
+/**
+ * Allocations that carry earned value (costed, scheduled and not cancelled)
+ */
+export function getEvmAllocations(allocations = []) {
+    return allocations.filter(a =>
+        a.category === 'Project' &&
+        a.status !== 'cancelled' &&
+        a.plan?.taskStart &&
+        a.plan?.taskEnd
+    );
+}
+
+/**
+ * Current percent complete of an allocation (completed status counts as 100%)
+ */
+export function getPercentComplete(allocation) {
+    if (allocation.status === 'completed') return 100;
+    return Math.min(100, Math.max(0, allocation.percentComplete || 0));
+}
+
+/**
+ * Append a dated progress entry when percent complete changes
+ * One entry per day is kept; a later change on the same day replaces it.
+ *
+ * @param {Object} allocation - Allocation being saved
+ * @param {Object|undefined} previous - Stored allocation before the change
+ * @param {Date} date - Date of the change (default today)
+ * @returns {Object} Allocation with an updated progressLog
+ */
+export function recordProgress(allocation, previous, date = new Date()) {
+    const percent = allocation.percentComplete || 0;
+    if (percent === (previous?.percentComplete || 0)) return allocation;
+
+    const day = toDateString(date);
+    const log = (allocation.progressLog || []).filter(entry => entry.date !== day);
+    return {
+        ...allocation,
+        progressLog: [...log, { date: day, percentComplete: percent }],
+    };
+}
+
+/**
+ * Share of a date span elapsed by a date (inclusive of both ends)
+ */
+function getElapsedFraction(start, end, date) {
+    if (date < start) return 0;
+    if (date >= end) return 1;
+    return (differenceInDays(date, start) + 1) / (differenceInDays(end, start) + 1);
+}
+
+/**
+ * Percent complete as recorded on or before a date
+ * The status date always uses the current value; earlier dates read the progress log,
+ * with completed allocations reaching 100% on their actual end date.
+ */
+function getPercentCompleteAt(allocation, date, statusDate) {
+    if (date >= statusDate) return getPercentComplete(allocation);
+
+    if (allocation.status === 'completed' && allocation.actual?.taskEnd && toDate(allocation.actual.taskEnd) <= date) {
+        return 100;
+    }
+
+    const day = toDateString(date);
+    const entry = (allocation.progressLog || [])
+        .filter(e => e.date <= day)
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .pop();
+    return entry ? entry.percentComplete : 0;
+}
+
+/**
+ * Amount in the reporting currency of a conversion (unchanged without one)
+ */
+function toReporting(amount, currency, date, conversion) {
+    if (!conversion?.currency) return amount || 0;
+    return convertAmount(amount, currency || conversion.currency, conversion.currency, conversion.exchangeRates, date);
+}
+
+/**
+ * Budget at completion of one allocation
+ */
+function getBudget(allocation, conversion) {
+    return toReporting(allocation.plan.costProject, allocation.plan.currency, allocation.plan.taskStart, conversion);
+}
+
+/**
+ * Planned Value of one allocation at a date
+ */
+function getPlannedValue(allocation, date, conversion) {
+    const budget = getBudget(allocation, conversion);
+    return budget * getElapsedFraction(toDate(allocation.plan.taskStart), toDate(allocation.plan.taskEnd), date);
+}
+
+/**
+ * Actual Cost of one allocation at a date
+ * Without an actual start the whole actual cost is counted at the status date.
+ */
+function getActualCost(allocation, date, statusDate, conversion) {
+    const actualCost = toReporting(
+        allocation.actual?.costProject,
+        allocation.actual?.currency,
+        allocation.actual?.taskStart || statusDate,
+        conversion
+    );
+    if (!actualCost) return 0;
+    if (!allocation.actual?.taskStart) return date >= statusDate ? actualCost : 0;
+
+    const start = toDate(allocation.actual.taskStart);
+    const end = allocation.actual.taskEnd ? toDate(allocation.actual.taskEnd) : statusDate;
+    return actualCost * getElapsedFraction(start, maxDate([start, end]), date);
+}
+
+/**
+ * Derive the EVM indices and forecasts from BAC, PV, EV and AC
+ * SPI/CPI are null while their denominator is zero; without a CPI the remaining
+ * work is forecast at budget (EAC = AC + BAC − EV).
+ */
+export function deriveEvmMetrics({ bac, pv, ev, ac }) {
+    const spi = pv > 0 ? ev / pv : null;
+    const cpi = ac > 0 ? ev / ac : null;
+    const eac = cpi ? bac / cpi : ac + (bac - ev);
+
+    return {
+        bac,
+        pv,
+        ev,
+        ac,
+        sv: ev - pv,
+        cv: ev - ac,
+        spi,
+        cpi,
+        eac,
+        etc: Math.max(0, eac - ac),
+        vac: bac - eac,
+    };
+}
+
+/**
+ * Earned value metrics of a set of allocations at a status date
+ *
+ * @param {Array} allocations - Allocation records
+ * @param {Date|string} statusDate - Date the values are measured at (default today)
+ * @param {Object} conversion - { currency, exchangeRates } to report in (optional)
+ * @returns {Object} { bac, pv, ev, ac, sv, cv, spi, cpi, eac, etc, vac }
+ */
+export function calculateEarnedValue(allocations = [], statusDate = new Date(), conversion = null) {
+    const date = toDate(statusDate);
+    const totals = { bac: 0, pv: 0, ev: 0, ac: 0 };
+
+    getEvmAllocations(allocations).forEach(a => {
+        const budget = getBudget(a, conversion);
+        totals.bac += budget;
+        totals.pv += getPlannedValue(a, date, conversion);
+        totals.ev += budget * getPercentComplete(a) / 100;
+        totals.ac += getActualCost(a, date, date, conversion);
+    });
+
+    return deriveEvmMetrics(totals);
+}
+
+/**
+ * PV, EV and AC week by week
+ * PV runs to the last planned finish; EV and AC stop at the status date (null after it).
+ *
+ * @param {Array} allocations - Allocation records
+ * @param {Date|string} statusDate - Status date (default today)
+ * @param {Object} conversion - { currency, exchangeRates } to report in (optional)
+ * @returns {Array} [{ date, pv, ev, ac }]
+ */
+export function calculateEvmSeries(allocations = [], statusDate = new Date(), conversion = null) {
+    const items = getEvmAllocations(allocations);
+    if (items.length === 0) return [];
+
+    const status = toDate(statusDate);
+    const firstStart = items.reduce((min, a) => (a.plan.taskStart < min ? a.plan.taskStart : min), items[0].plan.taskStart);
+    const lastEnd = items.reduce((max, a) => (a.plan.taskEnd > max ? a.plan.taskEnd : max), items[0].plan.taskEnd);
+    const end = maxDate([toDate(lastEnd), status]);
+
+    // Week ends (Saturdays) from the first planned week, plus the status date itself
+    const dates = [];
+    for (let date = addDays(startOfWeek(toDate(firstStart)), 6); date < end; date = addDays(date, 7)) {
+        dates.push(date);
+    }
+    dates.push(end);
+    if (!dates.some(d => d.getTime() === status.getTime())) {
+        dates.push(status);
+        dates.sort((a, b) => a - b);
+    }
+
+    return dates.map(date => {
+        const point = { date: toDateString(date), pv: 0, ev: null, ac: null };
+        items.forEach(a => { point.pv += getPlannedValue(a, date, conversion); });
+
+        if (date <= status) {
+            point.ev = 0;
+            point.ac = 0;
+            items.forEach(a => {
+                point.ev += getBudget(a, conversion) * getPercentCompleteAt(a, date, status) / 100;
+                point.ac += getActualCost(a, date, status, conversion);
+            });
+        }
+        return point;
+    });
+}
+
+/**
+ * Earned value metrics grouped by demand or cost center
+ *
+ * @param {Array} allocations - Allocation records
+ * @param {'demand'|'costCenter'} groupBy - Grouping
+ * @param {Date|string} statusDate - Status date (default today)
+ * @param {Object} conversion - { currency, exchangeRates } to report in (optional)
+ * @returns {Array} [{ key, label, allocationCount, ...metrics }] sorted by label
+ */
+export function getEvmBreakdown(allocations = [], groupBy = 'demand', statusDate = new Date(), conversion = null) {
+    const groups = new Map();
+
+    getEvmAllocations(allocations).forEach(a => {
+        const key = groupBy === 'costCenter' ? (a.costCenterId || '') : (a.demandNumber || '');
+        const label = groupBy === 'costCenter'
+            ? (a.costCenterSnapshot?.name || 'Unassigned')
+            : (a.demandNumber || 'No demand');
+
+        if (!groups.has(key)) groups.set(key, { key, label, allocations: [] });
+        groups.get(key).allocations.push(a);
+    });
+
+    return [...groups.values()]
+        .map(group => ({
+            key: group.key,
+            label: group.label,
+            allocationCount: group.allocations.length,
+            ...calculateEarnedValue(group.allocations, statusDate, conversion),
+        }))
+        .sort((a, b) => a.label.localeCompare(b.label));
+}
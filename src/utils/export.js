@@ -88,3 +88,34 @@ export function exportToJson(data, fileName = 'data.json') {
     
     toast.success(`Downloaded ${fileName}`);
 }
+
+/**
+ * Downloads an HTML document as a file
+ */
+export function exportToHtml(html, fileName = 'document.html') {
+    const blob = new Blob([html], { type: 'text/html;charset=utf-8;' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+
+    toast.success(`Downloaded ${fileName}`);
+}
+
+/**
+ * Opens an HTML document in a new window and prints it
+ */
+export function printHtml(html) {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+        toast.error('Allow pop-ups to print');
+        return;
+    }
+
+    printWindow.document.write(html);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+}
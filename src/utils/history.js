@@ -0,0 +1,332 @@
+/**
+ * Undo/Redo History
+ * Reducer wrapper that records inverse patches for data-mutating actions
+ */
+
+// History action types (handled by the wrapper, never reach the wrapped reducer)
+export const HISTORY_ACTIONS = {
+    UNDO: 'HISTORY_UNDO',
+    REDO: 'HISTORY_REDO',
+    BATCH: 'HISTORY_BATCH',
+    CLEAR: 'HISTORY_CLEAR',
+};
+
+// State slices tracked by history (audit log, UI state and chargeback statements,
+// whose locks and document numbers are final, are never rewound)
+export const HISTORY_KEYS = [
+    'members',
+    'phases',
+    'tasks',
+    'complexity',
+    'costs',
+    'holidays',
+    'leaves',
+    'allocations',
+    'projects',
+    'costCenters',
+    'coa',
+    'settings',
+    'scenarios',
+    'baselines',
+    'quotes',
+    'exchangeRates',
+    'timeEntries',
+    'timesheets',
+    'changeRequests',
+];
+
+export const HISTORY_LIMIT = 100;
+
+let entrySequence = 0;
+
+/**
+ * Check whether every item in a collection has a unique id
+ */
+function isEntityCollection(items) {
+    if (!Array.isArray(items)) return false;
+    const ids = new Set();
+    for (const item of items) {
+        if (!item || typeof item !== 'object' || item.id === undefined || ids.has(item.id)) {
+            return false;
+        }
+        ids.add(item.id);
+    }
+    return true;
+}
+
+/**
+ * Diff two entity collections into per-entity operations
+ * Returns null when the collections cannot be expressed as entity operations
+ * (no ids, or surviving entities were reordered)
+ *
+ * @param {Array} before - Collection before the action
+ * @param {Array} after - Collection after the action
+ * @returns {Array|null} Operations { id, index, before, after }
+ */
+function diffEntities(before, after) {
+    if (!isEntityCollection(before) || !isEntityCollection(after)) return null;
+
+    const beforeById = new Map(before.map((item, index) => [item.id, { item, index }]));
+    const afterById = new Map(after.map((item, index) => [item.id, { item, index }]));
+
+    // Entity operations cannot describe a reorder, fall back to a slice patch
+    const keptBefore = before.filter(item => afterById.has(item.id)).map(item => item.id);
+    const keptAfter = after.filter(item => beforeById.has(item.id)).map(item => item.id);
+    if (keptBefore.some((id, i) => id !== keptAfter[i])) return null;
+
+    const ops = [];
+    before.forEach((item, index) => {
+        const next = afterById.get(item.id);
+        if (!next) {
+            ops.push({ id: item.id, index, before: item, after: undefined });
+        } else if (next.item !== item) {
+            ops.push({ id: item.id, index: next.index, before: item, after: next.item });
+        }
+    });
+    after.forEach((item, index) => {
+        if (!beforeById.has(item.id)) {
+            ops.push({ id: item.id, index, before: undefined, after: item });
+        }
+    });
+
+    return ops;
+}
+
+/**
+ * Build the patches describing the change between two states
+ *
+ * @param {Object} prevState - State before the action
+ * @param {Object} nextState - State after the action
+ * @param {string[]} keys - Slices to compare
+ * @returns {Array} Patches ({ key, ops } or { key, before, after })
+ */
+export function createPatches(prevState, nextState, keys = HISTORY_KEYS) {
+    const patches = [];
+
+    keys.forEach(key => {
+        const before = prevState[key];
+        const after = nextState[key];
+        if (before === after) return;
+
+        const ops = diffEntities(before, after);
+        if (ops) {
+            if (ops.length > 0) patches.push({ key, ops });
+        } else {
+            patches.push({ key, before, after });
+        }
+    });
+
+    return patches;
+}
+
+/**
+ * Apply entity operations to a collection
+ *
+ * @param {Array} items - Current collection
+ * @param {Array} ops - Entity operations
+ * @param {string} from - Side the collection currently reflects ('before' | 'after')
+ * @param {string} to - Side to move the collection to
+ */
+function applyEntityOps(items, ops, from, to) {
+    const removed = new Set(ops.filter(op => op[to] === undefined).map(op => op.id));
+    const replaced = new Map(
+        ops.filter(op => op[from] !== undefined && op[to] !== undefined).map(op => [op.id, op[to]])
+    );
+    const inserted = ops
+        .filter(op => op[from] === undefined)
+        .sort((a, b) => a.index - b.index);
+
+    const result = items
+        .filter(item => !removed.has(item.id))
+        .map(item => (replaced.has(item.id) ? replaced.get(item.id) : item));
+
+    inserted.forEach(op => {
+        result.splice(Math.min(op.index, result.length), 0, op[to]);
+    });
+
+    return result;
+}
+
+/**
+ * Apply patches to a state in either direction
+ *
+ * @param {Object} state - Current state
+ * @param {Array} patches - Patches from createPatches
+ * @param {string} direction - 'undo' (inverse) or 'redo' (forward)
+ * @returns {Object} Patched state
+ */
+export function applyPatches(state, patches, direction = 'undo') {
+    const from = direction === 'undo' ? 'after' : 'before';
+    const to = direction === 'undo' ? 'before' : 'after';
+    const ordered = direction === 'undo' ? [...patches].reverse() : patches;
+
+    return ordered.reduce((next, patch) => ({
+        ...next,
+        [patch.key]: patch.ops
+            ? applyEntityOps(next[patch.key] || [], patch.ops, from, to)
+            : patch[to],
+    }), state);
+}
+
+/**
+ * Rebase history entries onto a final change (one that is never undone)
+ * Entity updates recorded before or after it keep the fields it changed, so
+ * undoing or redoing them cannot revert those fields; inserts and deletes of an
+ * entity it changed are dropped, so undo cannot remove or restore it either.
+ *
+ * @param {Array} entries - History entries (past or future)
+ * @param {Array} finalPatches - Patches of the final change
+ * @returns {Array} Rebased entries (entries left without patches are dropped)
+ */
+function rebaseEntries(entries, finalPatches) {
+    const changes = new Map(finalPatches
+        .filter(patch => patch.ops)
+        .map(patch => [patch.key, new Map(patch.ops.map(op => [op.id, op]))]));
+    if (changes.size === 0) return entries;
+
+    const rebaseOp = (op, change) => {
+        if (op.before === undefined || op.after === undefined ||
+            change.before === undefined || change.after === undefined) {
+            return null;
+        }
+        const fields = [...new Set([...Object.keys(change.before), ...Object.keys(change.after)])]
+            .filter(field => change.before[field] !== change.after[field]);
+        const kept = Object.fromEntries(fields.map(field => [field, change.after[field]]));
+        return { ...op, before: { ...op.before, ...kept }, after: { ...op.after, ...kept } };
+    };
+
+    return entries
+        .map(entry => ({
+            ...entry,
+            patches: entry.patches
+                .map(patch => {
+                    const changed = changes.get(patch.key);
+                    if (!changed || !patch.ops) return patch;
+                    const ops = patch.ops
+                        .map(op => (changed.has(op.id) ? rebaseOp(op, changed.get(op.id)) : op))
+                        .filter(Boolean);
+                    return ops.length > 0 ? { ...patch, ops } : null;
+                })
+                .filter(Boolean),
+        }))
+        .filter(entry => entry.patches.length > 0);
+}
+
+/**
+ * Readable label for an action type (e.g., DELETE_ALLOCATION -> "Delete allocation")
+ *
+ * @param {string} type - Action type
+ * @returns {string} Label
+ */
+export function getActionLabel(type = '') {
+    const words = type.toLowerCase().split('_').filter(Boolean);
+    if (words.length === 0) return '';
+    const label = words.join(' ');
+    return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+/**
+ * Create the initial history state around a present state
+ *
+ * @param {Object} present - Initial present state
+ * @returns {Object} History state { past, present, future }
+ */
+export function createHistoryState(present) {
+    return { past: [], present, future: [] };
+}
+
+/**
+ * Wrap a reducer with undo/redo history
+ *
+ * Actions are recorded when they change a tracked slice. Pass
+ * `meta: { skipHistory: true }` for derived updates (e.g., auto-recalculation)
+ * that should neither be recorded nor clear the redo stack; skipActions lists
+ * action types that are never recorded (final decisions such as approvals), and
+ * the rest of the history is rebased onto them so undo cannot revert them either.
+ *
+ * @param {Function} reducer - Reducer to wrap
+ * @param {Object} options - { keys, limit, resetActions, skipActions }
+ * @returns {Function} History reducer over { past, present, future }
+ */
+export function withHistory(reducer, options = {}) {
+    const {
+        keys = HISTORY_KEYS,
+        limit = HISTORY_LIMIT,
+        resetActions = [],
+        skipActions = [],
+    } = options;
+
+    return function historyReducer(history, action) {
+        const { past, present, future } = history;
+
+        switch (action.type) {
+            case HISTORY_ACTIONS.UNDO: {
+                if (past.length === 0) return history;
+                const entry = past[past.length - 1];
+                return {
+                    past: past.slice(0, -1),
+                    present: applyPatches(present, entry.patches, 'undo'),
+                    future: [entry, ...future],
+                };
+            }
+
+            case HISTORY_ACTIONS.REDO: {
+                if (future.length === 0) return history;
+                const [entry, ...rest] = future;
+                return {
+                    past: [...past, entry],
+                    present: applyPatches(present, entry.patches, 'redo'),
+                    future: rest,
+                };
+            }
+
+            case HISTORY_ACTIONS.CLEAR:
+                return createHistoryState(present);
+
+            default:
+                break;
+        }
+
+        // A batch runs several actions as one undoable step
+        const isBatch = action.type === HISTORY_ACTIONS.BATCH;
+        const nextPresent = isBatch
+            ? action.payload.reduce(reducer, present)
+            : reducer(present, action);
+
+        if (resetActions.includes(action.type)) {
+            return createHistoryState(nextPresent);
+        }
+        if (nextPresent === present) return history;
+        if (skipActions.includes(action.type)) {
+            const finalPatches = createPatches(present, nextPresent, keys);
+            return {
+                past: rebaseEntries(past, finalPatches),
+                present: nextPresent,
+                future: rebaseEntries(future, finalPatches),
+            };
+        }
+        if (action.meta?.skipHistory) {
+            return { past, present: nextPresent, future };
+        }
+
+        const patches = createPatches(present, nextPresent, keys);
+        if (patches.length === 0) {
+            return { past, present: nextPresent, future };
+        }
+
+        const type = isBatch ? action.payload[0]?.type : action.type;
+        const entry = {
+            id: ++entrySequence,
+            type,
+            label: action.meta?.label || getActionLabel(type),
+            timestamp: new Date().toISOString(),
+            patches,
+        };
+
+        return {
+            past: [...past, entry].slice(-limit),
+            present: nextPresent,
+            future: [],
+        };
+    };
+}
@@ -0,0 +1,322 @@
+/**
+ * Resource Leveling
+ * Resolves member over-allocation in a date range by reassigning or delaying
+ * lower-priority allocations until every member's daily load fits their capacity
+ */
+
+import { format, parseISO, eachDayOfInterval } from 'date-fns';
+import {
+    addWorkdays,
+    calculatePlanEndDate,
+    findAllocationMember,
+    getExcludedDates,
+} from './calculations';
+import { getDependencies } from './dependencies';
+import { recalculateAllocations } from './recalculate';
+import { getMemberCalendars, isWorkingDay } from './workCalendar';
+
+export const LEVELING_ACTIONS = {
+    REASSIGN: 'reassign', // Moved to another member of the same role type
+    DELAY: 'delay',       // Start pushed back on the same member's calendar
+    CASCADE: 'cascade',   // Shifted by a leveled predecessor
+};
+
+// P1 is the most important; allocations without a priority are leveled first
+const PRIORITY_RANK = { P1: 1, P2: 2, P3: 3, P4: 4 };
+const UNRANKED_PRIORITY = 5;
+
+// How far (in workdays) an allocation may be delayed looking for free capacity
+const MAX_DELAY_WORKDAYS = 260;
+const CAPACITY_EPSILON = 1e-9;
+
+const toDateString = (date) => format(date, 'yyyy-MM-dd');
+
+const getPriorityRank = (allocation) => PRIORITY_RANK[allocation.priority] || UNRANKED_PRIORITY;
+
+/**
+ * Check whether an allocation adds to its member's daily load
+ * Mirrors getTotalWorkload: Completed/Idle task types carry no load.
+ */
+function isLoadBearing(allocation) {
+    return allocation.status !== 'cancelled' &&
+        allocation.taskName !== 'Completed' &&
+        allocation.taskName !== 'Idle' &&
+        (allocation.workload || 0) > 0 &&
+        allocation.plan?.taskStart &&
+        allocation.plan?.taskEnd;
+}
+
+/**
+ * List a member's working dates between two dates (inclusive)
+ */
+function getWorkingDates(startDate, endDate, calendar) {
+    const start = parseISO(startDate);
+    const end = parseISO(endDate);
+    if (end < start) return [];
+
+    return eachDayOfInterval({ start, end })
+        .filter(day => isWorkingDay(day, calendar.calendars))
+        .map(toDateString)
+        .filter(date => !calendar.excluded.has(date));
+}
+
+/**
+ * Build the daily load of every member
+ *
+ * @param {Array} allocations - Allocation records
+ * @param {Array} members - Team member records
+ * @param {Function} getCalendar - (memberId) => { excluded: Set of dates, calendars }
+ * @returns {Map<string, Map<string, number>>} memberId -> (date -> summed workload)
+ */
+function buildDailyLoad(allocations, members, getCalendar) {
+    const loads = new Map(members.map(m => [m.id, new Map()]));
+
+    allocations.filter(isLoadBearing).forEach(allocation => {
+        const member = findAllocationMember(allocation, members);
+        if (!member) return;
+
+        const memberLoad = loads.get(member.id);
+        getWorkingDates(allocation.plan.taskStart, allocation.plan.taskEnd, getCalendar(member.id))
+            .forEach(date => memberLoad.set(date, (memberLoad.get(date) || 0) + allocation.workload));
+    });
+
+    return loads;
+}
+
+/**
+ * Find every over-allocated member day inside the range
+ *
+ * @param {Array} allocations - Allocation records
+ * @param {Array} members - Team member records
+ * @param {Object} range - { start, end } (yyyy-MM-dd)
+ * @param {Array} holidays - Holiday records
+ * @param {Array} leaves - Leave records
+ * @param {Object} settings - App settings (includeCutiBersama)
+ * @returns {Array<{memberId, member, date, load, capacity}>} Overloads sorted by date
+ */
+export function findOverloads(allocations = [], members = [], range, holidays = [], leaves = [], settings = {}) {
+    const getCalendar = createCalendarCache(members, holidays, leaves, settings);
+    return collectOverloads(buildDailyLoad(allocations, members, getCalendar), members, range);
+}
+
+function collectOverloads(loads, members, range) {
+    const overloads = [];
+
+    members.forEach(member => {
+        const capacity = member.maxCapacity || 1.0;
+        loads.get(member.id)?.forEach((load, date) => {
+            if (date < range.start || date > range.end) return;
+            if (load > capacity + CAPACITY_EPSILON) {
+                overloads.push({ memberId: member.id, member: member.name, date, load, capacity });
+            }
+        });
+    });
+
+    return overloads.sort((a, b) => a.date.localeCompare(b.date) || a.member.localeCompare(b.member));
+}
+
+function createCalendarCache(members, holidays, leaves, settings) {
+    const includeCutiBersama = settings?.includeCutiBersama ?? true;
+    const cache = new Map();
+
+    return (memberId) => {
+        if (!cache.has(memberId)) {
+            cache.set(memberId, {
+                excluded: new Set(getExcludedDates(memberId, holidays, leaves, includeCutiBersama)),
+                calendars: getMemberCalendars(members.find(m => m.id === memberId)),
+            });
+        }
+        return cache.get(memberId);
+    };
+}
+
+/**
+ * Level member workloads inside a date range
+ *
+ * The earliest overload is resolved first. Allocations active on that day are tried
+ * from lowest to highest priority (then not-yet-started before in-progress, later
+ * start first): reassign to a member of the same role type with free capacity for
+ * the whole task, otherwise delay the start to the first date the member can fit it.
+ * Only allocations starting inside the range are moved; completed ones never are.
+ * Allocations with predecessors are not delayed directly (their start is derived
+ * from the dependency chain) but follow their predecessors.
+ *
+ * @param {Array} allocations - Allocation records
+ * @param {Object} context - { members, complexity, costs, tasks, holidays, leaves, costCenters, coa, settings, exchangeRates }
+ * @param {Object} range - { start, end } (yyyy-MM-dd)
+ * @returns {Object} { changes, allocations, overloadsBefore, overloadsAfter }
+ */
+export function levelResources(allocations = [], context = {}, range) {
+    const {
+        members = [],
+        complexity = {},
+        costs = [],
+        tasks = [],
+        holidays = [],
+        leaves = [],
+        costCenters = [],
+        coa = [],
+        settings = {},
+        exchangeRates = [],
+    } = context;
+
+    const recalc = (list) => recalculateAllocations(list, complexity, costs, tasks, holidays, leaves, members, costCenters, coa, settings, exchangeRates);
+    const getCalendar = createCalendarCache(members, holidays, leaves, settings);
+    const includeCutiBersama = settings?.includeCutiBersama ?? true;
+
+    const calculateEnd = (allocation, startDate, memberId) => toDateString(calculatePlanEndDate(
+        startDate,
+        allocation.complexity,
+        memberId,
+        holidays,
+        leaves,
+        complexity,
+        allocation.category,
+        settings?.capacityFactor ?? 0.85,
+        includeCutiBersama,
+        getCalendar(memberId).calendars,
+        allocation.assignmentPercent
+    ));
+
+    // Would the member stay within capacity on every working day of the span?
+    const fits = (loads, member, allocation, startDate, endDate) => {
+        const capacity = member.maxCapacity || 1.0;
+        const memberLoad = loads.get(member.id) || new Map();
+        return getWorkingDates(startDate, endDate, getCalendar(member.id))
+            .every(date => (memberLoad.get(date) || 0) + allocation.workload <= capacity + CAPACITY_EPSILON);
+    };
+
+    const baseline = recalc(allocations);
+    let working = baseline;
+    let loads = buildDailyLoad(working, members, getCalendar);
+    const overloadsBefore = collectOverloads(loads, members, range);
+
+    const actions = new Map(); // allocation id -> LEVELING_ACTIONS
+    const unresolved = new Set(); // "memberId|date" that no move could fix
+    const maxIterations = allocations.length * 3 + 10;
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        const overload = collectOverloads(loads, members, range)
+            .find(o => !unresolved.has(`${o.memberId}|${o.date}`));
+        if (!overload) break;
+
+        const overloadedMember = members.find(m => m.id === overload.memberId);
+        const candidates = working
+            .filter(a =>
+                isLoadBearing(a) &&
+                a.status !== 'completed' &&
+                !actions.has(a.id) &&
+                a.plan.taskStart >= range.start &&
+                a.plan.taskStart <= range.end &&
+                a.plan.taskStart <= overload.date &&
+                a.plan.taskEnd >= overload.date &&
+                findAllocationMember(a, members)?.id === overload.memberId
+            )
+            .sort((a, b) =>
+                getPriorityRank(b) - getPriorityRank(a) ||
+                (a.status === 'in-progress') - (b.status === 'in-progress') ||
+                b.plan.taskStart.localeCompare(a.plan.taskStart)
+            );
+
+        let move = null;
+        for (const candidate of candidates) {
+            // Take the candidate out of the load before testing new placements
+            const remaining = buildDailyLoad(working.filter(a => a.id !== candidate.id), members, getCalendar);
+
+            // 1. Reassign to the least loaded member of the same role type
+            const alternatives = members
+                .filter(m =>
+                    m.id !== overload.memberId &&
+                    m.isActive !== false &&
+                    m.type &&
+                    m.type === overloadedMember?.type
+                )
+                .map(m => ({ member: m, taskEnd: calculateEnd(candidate, candidate.plan.taskStart, m.id) }))
+                .filter(({ member, taskEnd }) => fits(remaining, member, candidate, candidate.plan.taskStart, taskEnd))
+                .sort((a, b) => {
+                    const peak = ({ member, taskEnd }) => Math.max(0, ...getWorkingDates(candidate.plan.taskStart, taskEnd, getCalendar(member.id))
+                        .map(date => remaining.get(member.id)?.get(date) || 0));
+                    return peak(a) - peak(b) || a.member.name.localeCompare(b.member.name);
+                });
+
+            if (alternatives.length > 0) {
+                const { member } = alternatives[0];
+                move = {
+                    action: LEVELING_ACTIONS.REASSIGN,
+                    allocation: { ...candidate, resourceId: member.id, resource: member.name },
+                };
+                break;
+            }
+
+            // 2. Delay on the same member's calendar
+            if (getDependencies(candidate).length > 0) continue;
+
+            const { excluded, calendars } = getCalendar(overload.memberId);
+            const excludedDates = [...excluded];
+            for (let days = 1; days <= MAX_DELAY_WORKDAYS; days++) {
+                const taskStart = toDateString(addWorkdays(candidate.plan.taskStart, days, excludedDates, calendars));
+                const taskEnd = calculateEnd(candidate, taskStart, overload.memberId);
+                if (fits(remaining, overloadedMember, candidate, taskStart, taskEnd)) {
+                    move = {
+                        action: LEVELING_ACTIONS.DELAY,
+                        allocation: { ...candidate, plan: { ...candidate.plan, taskStart } },
+                    };
+                    break;
+                }
+            }
+            if (move) break;
+        }
+
+        if (!move) {
+            unresolved.add(`${overload.memberId}|${overload.date}`);
+            continue;
+        }
+
+        actions.set(move.allocation.id, move.action);
+        working = recalc(working.map(a => a.id === move.allocation.id ? move.allocation : a));
+        loads = buildDailyLoad(working, members, getCalendar);
+    }
+
+    const baselineById = new Map(baseline.map(a => [a.id, a]));
+    const changes = working
+        .filter(a => {
+            const before = baselineById.get(a.id);
+            return before && (
+                before.resourceId !== a.resourceId ||
+                before.plan?.taskStart !== a.plan?.taskStart ||
+                before.plan?.taskEnd !== a.plan?.taskEnd
+            );
+        })
+        .map(a => {
+            const before = baselineById.get(a.id);
+            return {
+                id: a.id,
+                activityName: a.activityName,
+                demandNumber: a.demandNumber,
+                priority: a.priority,
+                action: actions.get(a.id) || LEVELING_ACTIONS.CASCADE,
+                before: {
+                    resourceId: before.resourceId,
+                    resource: before.resource,
+                    taskStart: before.plan?.taskStart,
+                    taskEnd: before.plan?.taskEnd,
+                },
+                after: {
+                    resourceId: a.resourceId,
+                    resource: a.resource,
+                    taskStart: a.plan?.taskStart,
+                    taskEnd: a.plan?.taskEnd,
+                },
+            };
+        });
+
+    const overloadsAfter = collectOverloads(loads, members, range);
+    console.log(`[Leveling] ${range.start} → ${range.end}: ${overloadsBefore.length} overloaded days, ${changes.length} changes, ${overloadsAfter.length} left`);
+
+    return {
+        changes,
+        allocations: working,
+        overloadsBefore,
+        overloadsAfter,
+    };
+}
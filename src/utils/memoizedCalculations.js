@@ -13,6 +13,8 @@ import {
     getMemberTaskAvailability,
     aggregateCostsByCOA
 } from './calculations';
+import { getMonthKey } from './accruals';
+import { getChildCostCenters } from './costCenterHierarchy';
 
 // Simple memoization cache
 const memoCache = new Map();
@@ -66,15 +68,30 @@ export function clearMemoForFunction(functionName) {
     }
 }
 
+/**
+ * Cost center hierarchy (id → parent) for cache keys, so a reparent misses the cache
+ */
+function getHierarchyKey(costCenters) {
+    return costCenters.map(cc => `${cc.id}>${cc.parentCostCenterId || ''}`).join(',');
+}
+
+/**
+ * Cost center splits of allocations (and members, whose defaults they inherit) for
+ * cache keys, so an edited split misses the cache
+ */
+function getSplitsKey(records = []) {
+    return JSON.stringify(records.map(r => [r.id, r.plan?.costCenterSplits || r.costCenterSplits || []]));
+}
+
 // Memoized calculation functions
 export const memoizedAggregateCostsByCostCenter = memoize(
     aggregateCostsByCostCenter,
-    (allocations, costCenters) => `aggregateCosts:${allocations.length}:${costCenters.length}:${JSON.stringify(allocations.map(a => a.id + a.updatedAt).sort())}`
+    (allocations, costCenters, month, options) => `aggregateCosts:${allocations.length}:${costCenters.length}:${month}:${Boolean(options?.includeDescendants)}:${getHierarchyKey(costCenters)}:${getSplitsKey(allocations)}:${JSON.stringify(allocations.map(a => a.id + a.updatedAt).sort())}`
 );
 
 export const memoizedGetCostCenterUtilization = memoize(
     getCostCenterUtilization,
-    (allocations, teamMembers, costCenters) => `utilization:${allocations.length}:${teamMembers.length}:${costCenters.length}:${Date.now() - (Date.now() % 60000)}` // Cache for 1 minute
+    (allocations, teamMembers, costCenters, month, options) => `utilization:${allocations.length}:${teamMembers.length}:${costCenters.length}:${month}:${Boolean(options?.includeDescendants)}:${getHierarchyKey(costCenters)}:${getSplitsKey(allocations)}:${getSplitsKey(teamMembers)}:${Date.now() - (Date.now() % 60000)}` // Cache for 1 minute
 );
 
 export const memoizedGetProjectCostCenterBreakdown = memoize(
@@ -104,21 +121,28 @@ export const memoizedAggregateCostsByCOA = memoize(
 
 /**
  * React hook for memoized cost center metrics
+ * With includeDescendants each cost center's figures include its children;
+ * totals then count only top-level cost centers so nothing is counted twice.
  */
-export function useMemoizedCostCenterMetrics(state) {
+export function useMemoizedCostCenterMetrics(state, { includeDescendants = false } = {}) {
     return useMemo(() => {
         const activeCostCenters = state.costCenters.filter(cc => cc.isActive);
+        const month = getMonthKey();
 
         // Use memoized calculations
         const utilizationData = memoizedGetCostCenterUtilization(
             state.allocations,
             state.members,
-            activeCostCenters
+            activeCostCenters,
+            month,
+            { includeDescendants }
         );
 
         const costAggregation = memoizedAggregateCostsByCostCenter(
             state.allocations,
-            activeCostCenters
+            activeCostCenters,
+            month,
+            { includeDescendants }
         );
 
         const coaAggregation = memoizedAggregateCostsByCOA(
@@ -140,8 +164,12 @@ export function useMemoizedCostCenterMetrics(state) {
             ? utilizationData.reduce((sum, item) => sum + item.utilizationRate, 0) / utilizationData.length
             : 0;
 
-        const totalProjectCosts = utilizationData.reduce((sum, item) => sum + item.totalProjectCost, 0);
-        const totalMonthlyCosts = utilizationData.reduce((sum, item) => sum + item.totalMonthlyCost, 0);
+        const rootIds = new Set(getChildCostCenters(activeCostCenters).map(cc => cc.id));
+        const totalledData = includeDescendants
+            ? utilizationData.filter(item => rootIds.has(item.costCenter.id))
+            : utilizationData;
+        const totalProjectCosts = totalledData.reduce((sum, item) => sum + item.totalProjectCost, 0);
+        const totalMonthlyCosts = totalledData.reduce((sum, item) => sum + item.totalMonthlyCost, 0);
 
         return {
             totalCostCenters: state.costCenters.length,
@@ -158,6 +186,7 @@ export function useMemoizedCostCenterMetrics(state) {
             totalMonthlyCosts
         };
     }, [
+        includeDescendants,
         state.costCenters.length,
         state.members.length,
         state.allocations.length,
@@ -3,11 +3,11 @@
  * Handles schema versioning and migrations between versions
  */
 
-import { loadFromStorage, saveToStorage } from './storage';
+import { generateId, loadFromStorage, saveToStorage } from './storage';
 import { defaultComplexity, defaultCostCenters, defaultCOA, defaultTaskTemplates } from '../data';
 
 // Current data version - increment when schema changes
-export const CURRENT_VERSION = '2.2.0';
+export const CURRENT_VERSION = '2.9.0';
 
 /**
  * Migration functions - each migrates from previous version to target version
@@ -249,6 +249,165 @@ const migrations = {
             console.log(`[Migration] Updated ${data.allocations.length} allocations with new fields`);
         }
 
+        return data;
+    },
+    // Migration from 2.2.0 to 2.3.0: Reference members by ID (names kept as display snapshots)
+    '2.2.0_2.3.0': (data) => {
+        console.log('[Migration] Linking allocations and leaves to member IDs (v2.3.0)...');
+
+        const members = data.members || [];
+        const findMemberId = (name) => members.find(m => m.name === name)?.id || '';
+
+        if (data.allocations) {
+            let unresolved = 0;
+            data.allocations = data.allocations.map(allocation => {
+                const resourceId = allocation.resourceId || findMemberId(allocation.resource);
+                if (!resourceId && allocation.resource) unresolved++;
+                return { ...allocation, resourceId };
+            });
+            if (unresolved > 0) {
+                console.warn(`[Migration] ${unresolved} allocations reference unknown members`);
+            }
+        }
+
+        if (data.leaves) {
+            data.leaves = data.leaves.map(leave => ({
+                ...leave,
+                memberId: leave.memberId || findMemberId(leave.memberName),
+            }));
+        }
+
+        return data;
+    },
+
+    '2.3.0_2.4.0': (data) => {
+        console.log('[Migration] Adding dependency links to allocations (v2.4.0)...');
+
+        if (data.allocations) {
+            data.allocations = data.allocations.map(allocation => ({
+                ...allocation,
+                dependencies: Array.isArray(allocation.dependencies) ? allocation.dependencies : [],
+            }));
+        }
+
+        return data;
+    },
+
+    '2.4.0_2.5.0': (data) => {
+        console.log('[Migration] Adding working calendars to members (v2.5.0)...');
+
+        if (data.members) {
+            data.members = data.members.map(member => ({
+                ...member,
+                workCalendars: Array.isArray(member.workCalendars) ? member.workCalendars : [],
+            }));
+        }
+
+        return data;
+    },
+
+    // Migration from 2.5.0 to 2.6.0: Projects library, allocations grouped into projects by demand number
+    '2.5.0_2.6.0': (data) => {
+        console.log('[Migration] Creating projects from allocation demand numbers (v2.6.0)...');
+
+        const projects = Array.isArray(data.projects) ? [...data.projects] : [];
+        const now = new Date().toISOString();
+
+        const groups = new Map();
+        (data.allocations || []).forEach(allocation => {
+            const code = allocation.demandNumber?.trim();
+            if (!code || allocation.projectId) return;
+            if (!groups.has(code)) groups.set(code, []);
+            groups.get(code).push(allocation);
+        });
+
+        groups.forEach((allocations, code) => {
+            if (projects.some(p => p.code === code)) return;
+
+            // One shared activity name becomes the project name, otherwise the demand number
+            const activityNames = new Set(allocations.map(a => a.activityName).filter(Boolean));
+            const starts = allocations.map(a => a.plan?.taskStart).filter(Boolean).sort();
+            const ends = allocations.map(a => a.plan?.taskEnd).filter(Boolean).sort();
+            const statuses = new Set(allocations.map(a => a.status));
+
+            projects.push({
+                id: generateId('PRJ'),
+                code,
+                name: activityNames.size === 1 ? [...activityNames][0] : code,
+                ownerId: '',
+                sponsorCostCenterId: '',
+                budget: allocations.reduce((sum, a) => sum + (a.plan?.costProject || 0), 0),
+                status: statuses.size === 1 && (statuses.has('completed') || statuses.has('cancelled'))
+                    ? [...statuses][0]
+                    : 'active',
+                priority: 'medium',
+                startDate: starts[0] || '',
+                targetDate: ends[ends.length - 1] || '',
+                description: '',
+                createdAt: now,
+                updatedAt: now,
+            });
+        });
+
+        if (data.allocations) {
+            data.allocations = data.allocations.map(allocation => {
+                if (allocation.projectId) return allocation;
+                const project = projects.find(p => p.code === allocation.demandNumber?.trim());
+                return { ...allocation, projectId: project?.id || '' };
+            });
+        }
+
+        data.projects = projects;
+        console.log(`[Migration] ${groups.size} demand numbers linked to projects`);
+
+        return data;
+    },
+
+    // Migration from 2.6.0 to 2.7.0: Default roles on task templates, used by project templates
+    '2.6.0_2.7.0': (data) => {
+        console.log('[Migration] Adding default roles to task templates (v2.7.0)...');
+
+        if (data.tasks) {
+            data.tasks = data.tasks.map(task => {
+                if (task.role !== undefined) return task;
+                const defaultTask = defaultTaskTemplates.find(t => t.name === task.name);
+                return { ...task, role: defaultTask?.role || '' };
+            });
+        }
+
+        return data;
+    },
+
+    '2.7.0_2.8.0': (data) => {
+        console.log('[Migration] Adding currencies to cost tiers, cost centers and projects (v2.8.0)...');
+
+        // Every amount so far was entered in IDR
+        const withCurrency = (record) => (record.currency ? record : { ...record, currency: 'IDR' });
+        ['costs', 'costCenters', 'projects'].forEach(key => {
+            if (data[key]) data[key] = data[key].map(withCurrency);
+        });
+
+        return data;
+    },
+
+    '2.8.0_2.9.0': (data) => {
+        console.log('[Migration] Starting rate history for cost tiers (v2.9.0)...');
+
+        // The current rate becomes the first version, in force since the beginning
+        if (data.costs) {
+            data.costs = data.costs.map(cost => (cost.rateHistory ? cost : {
+                ...cost,
+                rateHistory: [{
+                    id: `${cost.id}-R1`,
+                    monthlyCost: cost.monthlyCost || 0,
+                    perDayCost: cost.perDayCost || 0,
+                    perHourCost: cost.perHourCost || 0,
+                    effectiveFrom: '',
+                    effectiveTo: '',
+                }],
+            }));
+        }
+
         return data;
     },
 };
@@ -268,6 +427,7 @@ function createBackup() {
         holidays: loadFromStorage('holidays', []),
         leaves: loadFromStorage('leaves', []),
         allocations: loadFromStorage('allocations', []),
+        projects: loadFromStorage('projects', []),
         costCenters: loadFromStorage('costCenters', []),
         coa: loadFromStorage('coa', []),
         settings: loadFromStorage('settings', {}),
@@ -306,6 +466,7 @@ function restoreFromBackup() {
         if (backup.holidays) saveToStorage('holidays', backup.holidays);
         if (backup.leaves) saveToStorage('leaves', backup.leaves);
         if (backup.allocations) saveToStorage('allocations', backup.allocations);
+        if (backup.projects) saveToStorage('projects', backup.projects);
         if (backup.costCenters) saveToStorage('costCenters', backup.costCenters);
         if (backup.coa) saveToStorage('coa', backup.coa);
         if (backup.settings) saveToStorage('settings', backup.settings);
@@ -344,7 +505,7 @@ function parseVersion(version) {
  */
 function getMigrationPath(fromVersion, toVersion) {
     const path = [];
-    const allVersions = ['1.0.0', '1.1.0', '1.2.0', '1.3.0', '1.4.0', '2.0.0', '2.1.0', '2.2.0']; // Add new versions here in order
+    const allVersions = ['1.0.0', '1.1.0', '1.2.0', '1.3.0', '1.4.0', '2.0.0', '2.1.0', '2.2.0', '2.3.0', '2.4.0', '2.5.0', '2.6.0', '2.7.0', '2.8.0', '2.9.0']; // Add new versions here in order
 
     const fromIndex = allVersions.indexOf(fromVersion);
     const toIndex = allVersions.indexOf(toVersion);
@@ -402,6 +563,7 @@ export function migrateData() {
             holidays: loadFromStorage('holidays', []),
             leaves: loadFromStorage('leaves', []),
             allocations: loadFromStorage('allocations', []),
+            projects: loadFromStorage('projects', []),
             costCenters: loadFromStorage('costCenters', []),
             coa: loadFromStorage('coa', []),
             settings: loadFromStorage('settings', {}),
@@ -439,6 +601,7 @@ export function migrateData() {
         if (data.holidays) saveToStorage('holidays', data.holidays);
         if (data.leaves) saveToStorage('leaves', data.leaves);
         if (data.allocations) saveToStorage('allocations', data.allocations);
+        if (data.projects) saveToStorage('projects', data.projects);
         if (data.costCenters) saveToStorage('costCenters', data.costCenters);
         if (data.coa) saveToStorage('coa', data.coa);
         if (data.settings) saveToStorage('settings', data.settings);
@@ -461,6 +624,58 @@ export function migrateData() {
     }
 }
 
+/**
+ * Run the migration chain on an in-memory data snapshot
+ * Used by storage backends that are not localStorage (e.g. IndexedDB).
+ * The snapshot is only returned on success, so a failed migration leaves storage untouched.
+ *
+ * @param {Object} snapshot - Stored data keyed by slice name
+ * @param {string} storedVersion - Version the snapshot was saved with
+ * @returns {{ migrated: boolean, version: string, from?: string, data: Object }}
+ */
+export function applyMigrations(snapshot, storedVersion = '1.0.0') {
+    let data = {
+        ...snapshot,
+        members: snapshot.members || [],
+        phases: snapshot.phases || [],
+        tasks: snapshot.tasks || [],
+        complexity: snapshot.complexity || defaultComplexity,
+        costs: snapshot.costs || [],
+        holidays: snapshot.holidays || [],
+        leaves: snapshot.leaves || [],
+        allocations: snapshot.allocations || [],
+        projects: snapshot.projects || [],
+        costCenters: snapshot.costCenters || [],
+        coa: snapshot.coa || [],
+        settings: snapshot.settings || {},
+    };
+
+    if (storedVersion === CURRENT_VERSION) {
+        return { migrated: false, version: CURRENT_VERSION, data: snapshot };
+    }
+
+    const migrationPath = getMigrationPath(storedVersion, CURRENT_VERSION);
+    if (migrationPath.length === 0) {
+        return { migrated: false, version: CURRENT_VERSION, data: snapshot };
+    }
+
+    console.log(`[Migration] Starting migration from v${storedVersion} to v${CURRENT_VERSION}`);
+
+    for (const migration of migrationPath) {
+        console.log(`[Migration] Running migration: v${migration.from} → v${migration.to}`);
+        try {
+            data = migration.migrate(data);
+        } catch (error) {
+            console.error(`[Migration] Failed at v${migration.from} → v${migration.to}:`, error);
+            throw new Error(`Migration failed at v${migration.from} → v${migration.to}. Stored data was left at v${storedVersion}.`);
+        }
+    }
+
+    console.log(`[Migration] Successfully migrated to v${CURRENT_VERSION}`);
+
+    return { migrated: true, version: CURRENT_VERSION, from: storedVersion, data };
+}
+
 /**
  * Check if migration is needed
  */
@@ -0,0 +1,397 @@
+/**
+ * Monte Carlo Schedule Risk
+ * Samples allocation durations from their three-point estimate (triangular or
+ * beta-PERT) and pushes them through the workday calendar and dependency network
+ * to get completion date and cost percentiles per demand
+ */
+
+import {
+    threePointEstimate,
+    calculateRealisticDuration,
+    findAllocationMember,
+    getExcludedDates,
+    getScheduledEffortDays,
+} from './calculations';
+import {
+    DEPENDENCY_TYPES,
+    getDependencies,
+    sortAllocationsByDependencies,
+} from './dependencies';
+import { getHoursPerDay, getMemberCalendars, isWorkingDay } from './workCalendar';
+
+export const DISTRIBUTIONS = {
+    PERT: 'pert',
+    TRIANGULAR: 'triangular',
+};
+
+export const distributionOptions = [
+    { value: DISTRIBUTIONS.PERT, label: 'Beta-PERT' },
+    { value: DISTRIBUTIONS.TRIANGULAR, label: 'Triangular' },
+];
+
+export const DEFAULT_ITERATIONS = 5000;
+export const PERCENTILES = [50, 80, 95];
+
+const MS_PER_DAY = 86400000;
+const HISTOGRAM_BINS = 20;
+
+// ============================================================================
+// RANDOM SAMPLING
+// ============================================================================
+
+/**
+ * Seeded pseudo-random generator (mulberry32), so runs can be reproduced
+ *
+ * @param {number} seed - Integer seed
+ * @returns {Function} () => number in [0, 1)
+ */
+export function createRandom(seed = Date.now()) {
+    let t = seed >>> 0;
+    return () => {
+        t = (t + 0x6D2B79F5) >>> 0;
+        let r = Math.imul(t ^ (t >>> 15), 1 | t);
+        r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+        return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Sample a triangular distribution
+ */
+export function sampleTriangular(min, mode, max, random) {
+    if (max <= min) return mode;
+    const u = random();
+    const cut = (mode - min) / (max - min);
+    return u < cut
+        ? min + Math.sqrt(u * (max - min) * (mode - min))
+        : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+}
+
+/**
+ * Standard normal sample (Box-Muller)
+ */
+function sampleNormal(random) {
+    const u = 1 - random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Gamma(shape, 1) sample for shape >= 1 (Marsaglia-Tsang)
+ */
+function sampleGamma(shape, random) {
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+
+    for (;;) {
+        let x;
+        let v;
+        do {
+            x = sampleNormal(random);
+            v = 1 + c * x;
+        } while (v <= 0);
+
+        v = v * v * v;
+        const u = random();
+        if (u < 1 - 0.0331 * x ** 4) return d * v;
+        if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+    }
+}
+
+/**
+ * Sample a beta-PERT distribution (mean = (min + 4·mode + max) / 6)
+ */
+export function samplePert(min, mode, max, random) {
+    if (max <= min) return mode;
+    const alpha = 1 + 4 * (mode - min) / (max - min);
+    const beta = 1 + 4 * (max - mode) / (max - min);
+    const x = sampleGamma(alpha, random);
+    const y = sampleGamma(beta, random);
+    return min + (x / (x + y)) * (max - min);
+}
+
+// ============================================================================
+// WORKDAY CALENDAR
+// ============================================================================
+
+const toDayNumber = (date) => {
+    const [year, month, day] = date.slice(0, 10).split('-').map(Number);
+    return Date.UTC(year, month - 1, day) / MS_PER_DAY;
+};
+
+const fromDayNumber = (dayNumber) => new Date(dayNumber * MS_PER_DAY).toISOString().split('T')[0];
+
+/**
+ * Precompute a member calendar so adding workdays is a lookup instead of a day-by-day walk
+ * Mirrors addWorkdays: non-working weekdays and excluded dates are skipped.
+ *
+ * @param {Array<string>} excludedDates - Holidays and leaves (yyyy-MM-dd)
+ * @param {Array} calendars - Member working calendars
+ * @param {number} fromDay - First day number covered
+ * @param {number} toDay - Last day number covered
+ * @returns {Function} (dayNumber, workdays) => dayNumber
+ */
+function createCalendar(excludedDates, calendars, fromDay, toDay) {
+    const excluded = new Set(excludedDates.map(toDayNumber));
+    const workdays = [];
+    // lastWorkday[i]: index in `workdays` of the last workday on or before fromDay + i
+    const lastWorkday = new Int32Array(toDay - fromDay + 1);
+
+    for (let day = fromDay; day <= toDay; day++) {
+        if (!excluded.has(day) && isWorkingDay(fromDayNumber(day), calendars)) workdays.push(day);
+        lastWorkday[day - fromDay] = workdays.length - 1;
+    }
+
+    return (day, count) => {
+        if (count === 0) return day;
+        const offset = Math.min(Math.max(day - fromDay, 0), lastWorkday.length - 1);
+        const index = lastWorkday[offset];
+        const isWorkday = index >= 0 && workdays[index] === day;
+        // Stepping back from a non-working day, the previous workday is already one step
+        const target = count < 0 && !isWorkday ? index + 1 + count : index + count;
+        return workdays[Math.min(Math.max(target, 0), workdays.length - 1)];
+    };
+}
+
+// ============================================================================
+// SIMULATION
+// ============================================================================
+
+/**
+ * Value at a percentile of a sorted array (nearest rank)
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const rank = Math.ceil((p / 100) * sorted.length) - 1;
+    return sorted[Math.min(Math.max(rank, 0), sorted.length - 1)];
+}
+
+/**
+ * Workdays needed per complexity effort day for an allocation
+ */
+function getDurationFactor(complexityLevel, allocation, calendars) {
+    if (!complexityLevel?.days) return 1;
+    const hoursPerDay = getHoursPerDay(calendars, allocation.plan.taskStart);
+    return getScheduledEffortDays(complexityLevel, allocation.assignmentPercent, hoursPerDay) / complexityLevel.days;
+}
+
+/**
+ * Build the per-allocation simulation inputs
+ */
+function prepareNodes(allocations, context) {
+    const { members = [], complexity = {}, holidays = [], leaves = [], settings = {} } = context;
+    const capacityFactor = settings?.capacityFactor ?? 0.85;
+    const includeCutiBersama = settings?.includeCutiBersama ?? true;
+
+    const scheduled = allocations.filter(a =>
+        a.status !== 'cancelled' &&
+        a.plan?.taskStart &&
+        a.plan?.taskEnd &&
+        a.complexity
+    );
+    const { order, cyclic } = sortAllocationsByDependencies(scheduled);
+
+    return order.map(index => {
+        const allocation = scheduled[index];
+        const member = findAllocationMember(allocation, members);
+        const memberId = member?.id || allocation.resourceId;
+        const calendars = getMemberCalendars(member);
+        const isProject = allocation.category === 'Project';
+        const estimate = isProject
+            ? threePointEstimate(allocation.complexity, complexity)
+            : { optimistic: 1, realistic: 1, pessimistic: 1 };
+
+        return {
+            allocation,
+            memberId,
+            // Completed work and cycles keep their planned dates
+            isFixed: allocation.status === 'completed' || cyclic.has(allocation.id),
+            dependencies: cyclic.has(allocation.id) ? [] : getDependencies(allocation),
+            excludedDates: getExcludedDates(memberId, holidays, leaves, includeCutiBersama),
+            calendars,
+            // Workdays per effort day at the member's daily hours and assignment, as in calculatePlanEndDate
+            durationFactor: isProject ? getDurationFactor(complexity[allocation.complexity.toLowerCase()], allocation, calendars) : 1,
+            plannedStart: toDayNumber(allocation.plan.taskStart),
+            plannedEnd: toDayNumber(allocation.plan.taskEnd),
+            plannedCost: allocation.plan?.costProject || 0,
+            // Effort days; cost scales with sampled effort against the most likely estimate
+            optimistic: Math.max(estimate.optimistic, 0.5),
+            realistic: estimate.realistic || 1,
+            pessimistic: Math.max(estimate.pessimistic, estimate.realistic || 1),
+            capacityFactor,
+        };
+    });
+}
+
+/**
+ * Run a Monte Carlo schedule risk simulation
+ *
+ * Each iteration samples effort days per allocation from its threePointEstimate,
+ * converts them to workdays with the capacity factor, and schedules allocations in
+ * dependency order (FS/SS/FF + lag) on the owner's calendar. Allocations without
+ * predecessors keep their planned start. Cost scales with sampled effort.
+ *
+ * @param {Array} allocations - Allocation records
+ * @param {Object} context - { members, complexity, holidays, leaves, settings }
+ * @param {Object} options - { iterations, distribution, seed, onProgress }
+ * @returns {Object} { iterations, distribution, demands }
+ */
+export function runMonteCarlo(allocations = [], context = {}, options = {}) {
+    const {
+        iterations = DEFAULT_ITERATIONS,
+        distribution = DISTRIBUTIONS.PERT,
+        seed = Date.now(),
+        onProgress,
+    } = options;
+
+    const nodes = prepareNodes(allocations, context);
+    const random = createRandom(seed);
+    const sample = distribution === DISTRIBUTIONS.TRIANGULAR ? sampleTriangular : samplePert;
+
+    if (nodes.length === 0) {
+        return { iterations, distribution, demands: [] };
+    }
+
+    // Calendar span: planned dates plus room for every task running pessimistic back to back,
+    // even for a member who works a single day a week
+    const fromDay = Math.min(...nodes.map(n => n.plannedStart)) - 366;
+    const slackDays = nodes.reduce((sum, n) => sum + Math.ceil(n.pessimistic * n.durationFactor / (n.capacityFactor || 1)) + 1, 0) * 7;
+    const toDay = Math.max(...nodes.map(n => n.plannedEnd)) + slackDays + 366;
+
+    const lookups = new Map();
+    nodes.forEach(node => {
+        if (!lookups.has(node.memberId)) {
+            lookups.set(node.memberId, createCalendar(node.excludedDates, node.calendars, fromDay, toDay));
+        }
+        node.addWorkdays = lookups.get(node.memberId);
+    });
+
+    const demandNumbers = [...new Set(nodes.map(n => n.allocation.demandNumber).filter(Boolean))].sort();
+    const finishes = new Map(demandNumbers.map(d => [d, new Float64Array(iterations)]));
+    const costs = new Map(demandNumbers.map(d => [d, new Float64Array(iterations)]));
+
+    const starts = new Map();
+    const ends = new Map();
+    const progressStep = Math.max(1, Math.floor(iterations / 20));
+
+    for (let i = 0; i < iterations; i++) {
+        const finishByDemand = new Map();
+        const costByDemand = new Map();
+
+        nodes.forEach(node => {
+            const { allocation } = node;
+            let start = node.plannedStart;
+            let end = node.plannedEnd;
+            let cost = node.plannedCost;
+
+            if (!node.isFixed) {
+                const effort = sample(node.optimistic, node.realistic, node.pessimistic, random);
+                const duration = Math.ceil(calculateRealisticDuration(effort * node.durationFactor, node.capacityFactor));
+                cost = node.plannedCost * (effort / node.realistic);
+
+                // Latest constraint across the predecessor links wins
+                let constrained = null;
+                node.dependencies.forEach(dep => {
+                    if (!ends.has(dep.predecessorId)) return;
+                    let candidate;
+                    if (dep.type === DEPENDENCY_TYPES.SS) {
+                        candidate = node.addWorkdays(starts.get(dep.predecessorId), dep.lag);
+                    } else if (dep.type === DEPENDENCY_TYPES.FF) {
+                        const requiredEnd = node.addWorkdays(ends.get(dep.predecessorId), dep.lag);
+                        candidate = node.addWorkdays(requiredEnd, -duration);
+                    } else {
+                        candidate = node.addWorkdays(ends.get(dep.predecessorId), 1 + dep.lag);
+                    }
+                    if (constrained === null || candidate > constrained) constrained = candidate;
+                });
+
+                start = constrained ?? node.plannedStart;
+                end = node.addWorkdays(start, duration);
+            }
+
+            if (allocation.id) {
+                starts.set(allocation.id, start);
+                ends.set(allocation.id, end);
+            }
+
+            const demand = allocation.demandNumber;
+            if (demand) {
+                finishByDemand.set(demand, Math.max(finishByDemand.get(demand) ?? end, end));
+                costByDemand.set(demand, (costByDemand.get(demand) || 0) + cost);
+            }
+        });
+
+        demandNumbers.forEach(demand => {
+            finishes.get(demand)[i] = finishByDemand.get(demand);
+            costs.get(demand)[i] = costByDemand.get(demand);
+        });
+
+        if (onProgress && (i + 1) % progressStep === 0) onProgress((i + 1) / iterations);
+    }
+
+    const demands = demandNumbers.map(demandNumber => {
+        const demandNodes = nodes.filter(n => n.allocation.demandNumber === demandNumber);
+        const plannedFinish = Math.max(...demandNodes.map(n => n.plannedEnd));
+        const plannedCost = demandNodes.reduce((sum, n) => sum + n.plannedCost, 0);
+
+        const sortedFinish = Array.from(finishes.get(demandNumber)).sort((a, b) => a - b);
+        const sortedCost = Array.from(costs.get(demandNumber)).sort((a, b) => a - b);
+        const onTime = sortedFinish.filter(day => day <= plannedFinish).length;
+
+        return {
+            demandNumber,
+            plannedFinish: fromDayNumber(plannedFinish),
+            plannedCost,
+            onTimeProbability: onTime / iterations,
+            finish: {
+                min: fromDayNumber(sortedFinish[0]),
+                max: fromDayNumber(sortedFinish[sortedFinish.length - 1]),
+                ...Object.fromEntries(PERCENTILES.map(p => [`p${p}`, fromDayNumber(percentile(sortedFinish, p))])),
+            },
+            cost: {
+                mean: sortedCost.reduce((sum, c) => sum + c, 0) / iterations,
+                ...Object.fromEntries(PERCENTILES.map(p => [`p${p}`, percentile(sortedCost, p)])),
+            },
+            histogram: buildHistogram(sortedFinish),
+            sCurve: buildSCurve(sortedFinish),
+        };
+    });
+
+    return { iterations, distribution, demands };
+}
+
+/**
+ * Bucket completion days into at most HISTOGRAM_BINS bins
+ */
+function buildHistogram(sortedDays) {
+    const min = sortedDays[0];
+    const max = sortedDays[sortedDays.length - 1];
+    const width = Math.max(1, Math.ceil((max - min + 1) / HISTOGRAM_BINS));
+
+    const bins = [];
+    for (let start = min; start <= max; start += width) {
+        bins.push({ date: fromDayNumber(start), endDate: fromDayNumber(Math.min(start + width - 1, max)), count: 0 });
+    }
+    sortedDays.forEach(day => {
+        bins[Math.floor((day - min) / width)].count++;
+    });
+
+    return bins;
+}
+
+/**
+ * Cumulative probability of finishing on or before each distinct completion date
+ */
+function buildSCurve(sortedDays) {
+    const points = [];
+    sortedDays.forEach((day, index) => {
+        const probability = (index + 1) / sortedDays.length;
+        if (points.length > 0 && points[points.length - 1].day === day) {
+            points[points.length - 1].probability = probability;
+        } else {
+            points.push({ day, probability });
+        }
+    });
+
+    return points.map(({ day, probability }) => ({ date: fromDayNumber(day), probability }));
+}
@@ -11,7 +11,8 @@ import {
     memoizedCalculateMonthlyTrend,
     clearMemoForFunction
 } from './memoizedCalculations';
-import { formatCurrency, formatPercentage } from './calculations';
+import { formatCurrency, formatPercentage, isAllocationForMember } from './calculations';
+import { getAccruedCost, getMonthKey } from './accruals';
 
 // Report generation status
 const REPORT_STATUS = {
@@ -178,11 +179,11 @@ class ReportGenerator {
         return costCenters.map(costCenter => {
             const assignedMembers = data.members.filter(m => m.costCenterId === costCenter.id);
             const costCenterAllocations = data.allocations.filter(a => 
-                assignedMembers.some(m => m.name === a.resource)
+                assignedMembers.some(m => isAllocationForMember(a, m))
             );
 
             const totalProjectCost = costCenterAllocations.reduce((sum, a) => sum + (a.plan?.costProject || 0), 0);
-            const totalMonthlyCost = costCenterAllocations.reduce((sum, a) => sum + (a.plan?.costMonthly || 0), 0);
+            const totalMonthlyCost = getAccruedCost(costCenterAllocations, getMonthKey());
             const totalWorkload = costCenterAllocations.reduce((sum, a) => sum + (a.workload || 0), 0);
             
             const maxCapacity = assignedMembers.reduce((sum, m) => sum + (m.maxHoursPerWeek || 40), 0) / 40;
@@ -209,13 +210,14 @@ class ReportGenerator {
                     name: m.name,
                     type: m.type,
                     isActive: m.isActive,
-                    allocations: costCenterAllocations.filter(a => a.resource === m.name).length
+                    allocations: costCenterAllocations.filter(a => isAllocationForMember(a, m)).length
                 })),
                 topAllocations: costCenterAllocations
                     .sort((a, b) => (b.plan?.costProject || 0) - (a.plan?.costProject || 0))
                     .slice(0, 5)
                     .map(a => ({
                         id: a.id,
+                        resourceId: a.resourceId,
                         resource: a.resource,
                         taskName: a.taskName,
                         projectCost: a.plan?.costProject || 0,
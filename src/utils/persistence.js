@@ -0,0 +1,389 @@
+/**
+ * Persistence Adapters
+ * Pluggable storage backends for application state (IndexedDB with localStorage fallback)
+ */
+
+import {
+    saveToStorage,
+    loadFromStorage,
+    removeFromStorage,
+    clearAllStorage,
+    STORAGE_KEYS,
+} from './storage';
+
+const DB_NAME = 'wrm';
+const DB_VERSION = 2;
+
+// Collections persisted as one record per entity (keyed by array position to keep ordering)
+const ENTITY_STORES = [
+    'members',
+    'phases',
+    'tasks',
+    'costs',
+    'holidays',
+    'leaves',
+    'allocations',
+    'projects',
+    'costCenters',
+    'coa',
+    'auditLog',
+];
+
+// Object store for scalar/object slices (settings, complexity, version, ...)
+const KV_STORE = 'kv';
+
+// Every slice the AppProvider loads and persists
+export const PERSISTED_KEYS = [
+    ...ENTITY_STORES,
+    'complexity',
+    'settings',
+    'scenarios',
+    'baselines',
+    'quotes',
+    'exchangeRates',
+    'timeEntries',
+    'timesheets',
+    'changeRequests',
+    'chargebacks',
+    'timers',
+    'version',
+];
+
+// Persisted slices holding an object rather than a list
+const OBJECT_KEYS = ['complexity', 'settings'];
+
+/**
+ * LocalStorage adapter - wraps the synchronous storage utilities
+ *
+ * @returns {Object} Storage adapter
+ */
+export function createLocalStorageAdapter() {
+    return {
+        name: 'localStorage',
+        label: 'LocalStorage',
+
+        async load(key, defaultValue = null) {
+            return loadFromStorage(key, defaultValue);
+        },
+
+        async loadAll(keys = PERSISTED_KEYS) {
+            const snapshot = {};
+            keys.forEach(key => {
+                const value = loadFromStorage(key, null);
+                if (value !== null) snapshot[key] = value;
+            });
+            return snapshot;
+        },
+
+        async save(key, data) {
+            saveToStorage(key, data);
+        },
+
+        async remove(key) {
+            removeFromStorage(key);
+        },
+
+        async clear() {
+            clearAllStorage();
+        },
+    };
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolve when a transaction commits
+ */
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Open (and upgrade) the application database
+ *
+ * @param {string} dbName - Database name
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openDatabase(dbName = DB_NAME) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            ENTITY_STORES.forEach(store => {
+                if (!db.objectStoreNames.contains(store)) {
+                    db.createObjectStore(store);
+                }
+            });
+            if (!db.objectStoreNames.contains(KV_STORE)) {
+                db.createObjectStore(KV_STORE);
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+    });
+}
+
+/**
+ * IndexedDB adapter - one object store per entity collection
+ *
+ * @param {IDBDatabase} db - Open database
+ * @returns {Object} Storage adapter
+ */
+export function createIndexedDBAdapter(db) {
+    const isEntityStore = (key) => ENTITY_STORES.includes(key);
+
+    const load = async (key, defaultValue = null) => {
+        try {
+            if (isEntityStore(key)) {
+                const records = await promisifyRequest(
+                    db.transaction(key, 'readonly').objectStore(key).getAll()
+                );
+                // An empty collection that was never written should fall back to the default
+                if (records.length === 0) {
+                    const written = await promisifyRequest(
+                        db.transaction(KV_STORE, 'readonly').objectStore(KV_STORE).get(`__written_${key}`)
+                    );
+                    return written ? [] : defaultValue;
+                }
+                return records;
+            }
+
+            const value = await promisifyRequest(
+                db.transaction(KV_STORE, 'readonly').objectStore(KV_STORE).get(key)
+            );
+            return value === undefined ? defaultValue : value;
+        } catch (error) {
+            console.error(`Error loading from IndexedDB: ${key}`, error);
+            return defaultValue;
+        }
+    };
+
+    return {
+        name: 'indexedDB',
+        label: 'IndexedDB',
+
+        load,
+
+        async loadAll(keys = PERSISTED_KEYS) {
+            const snapshot = {};
+            const values = await Promise.all(keys.map(key => load(key, null)));
+            keys.forEach((key, i) => {
+                if (values[i] !== null) snapshot[key] = values[i];
+            });
+            return snapshot;
+        },
+
+        async save(key, data) {
+            try {
+                if (isEntityStore(key) && Array.isArray(data)) {
+                    const transaction = db.transaction([key, KV_STORE], 'readwrite');
+                    const store = transaction.objectStore(key);
+                    store.clear();
+                    data.forEach((record, index) => store.put(record, index));
+                    transaction.objectStore(KV_STORE).put(true, `__written_${key}`);
+                    await transactionDone(transaction);
+                    return;
+                }
+
+                const transaction = db.transaction(KV_STORE, 'readwrite');
+                transaction.objectStore(KV_STORE).put(data, key);
+                await transactionDone(transaction);
+            } catch (error) {
+                console.error(`Error saving to IndexedDB: ${key}`, error);
+            }
+        },
+
+        async remove(key) {
+            try {
+                const stores = isEntityStore(key) ? [key, KV_STORE] : [KV_STORE];
+                const transaction = db.transaction(stores, 'readwrite');
+                if (isEntityStore(key)) {
+                    transaction.objectStore(key).clear();
+                    transaction.objectStore(KV_STORE).delete(`__written_${key}`);
+                } else {
+                    transaction.objectStore(KV_STORE).delete(key);
+                }
+                await transactionDone(transaction);
+            } catch (error) {
+                console.error(`Error removing from IndexedDB: ${key}`, error);
+            }
+        },
+
+        async clear() {
+            try {
+                const transaction = db.transaction([...ENTITY_STORES, KV_STORE], 'readwrite');
+                [...ENTITY_STORES, KV_STORE].forEach(store => transaction.objectStore(store).clear());
+                await transactionDone(transaction);
+            } catch (error) {
+                console.error('Error clearing IndexedDB', error);
+            }
+        },
+    };
+}
+
+/**
+ * Check whether any app data is still stored in localStorage
+ */
+function hasLocalStorageData() {
+    try {
+        return PERSISTED_KEYS.some(key => localStorage.getItem(STORAGE_KEYS[key]) !== null);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Copy existing localStorage data into IndexedDB, then free the localStorage quota
+ *
+ * @param {Object} adapter - IndexedDB adapter
+ * @returns {Promise<boolean>} Whether data was migrated
+ */
+async function migrateLocalStorageToAdapter(adapter) {
+    const existingVersion = await adapter.load('version', null);
+    if (existingVersion || !hasLocalStorageData()) return false;
+
+    console.log('[Persistence] Migrating localStorage data to IndexedDB...');
+    const snapshot = await createLocalStorageAdapter().loadAll(PERSISTED_KEYS);
+
+    for (const key of PERSISTED_KEYS) {
+        if (snapshot[key] !== undefined) {
+            await adapter.save(key, snapshot[key]);
+        }
+    }
+
+    // Only drop the localStorage copy once IndexedDB reads it back
+    const verified = await adapter.load('members', null);
+    if (snapshot.members && (!verified || verified.length !== snapshot.members.length)) {
+        throw new Error('IndexedDB verification failed after migration');
+    }
+
+    clearAllStorage();
+    console.log('[Persistence] localStorage data migrated to IndexedDB');
+    return true;
+}
+
+let activeAdapter = null;
+let initPromise = null;
+
+/**
+ * Initialize persistence: prefer IndexedDB, fall back to localStorage
+ *
+ * @returns {Promise<Object>} Active storage adapter
+ */
+export function initPersistence() {
+    if (initPromise) return initPromise;
+
+    initPromise = (async () => {
+        if (typeof indexedDB === 'undefined') {
+            console.warn('[Persistence] IndexedDB unavailable, using localStorage');
+            activeAdapter = createLocalStorageAdapter();
+            return activeAdapter;
+        }
+
+        try {
+            const db = await openDatabase();
+            const adapter = createIndexedDBAdapter(db);
+            await migrateLocalStorageToAdapter(adapter);
+            activeAdapter = adapter;
+        } catch (error) {
+            console.error('[Persistence] IndexedDB initialization failed, using localStorage:', error);
+            activeAdapter = createLocalStorageAdapter();
+        }
+
+        return activeAdapter;
+    })();
+
+    return initPromise;
+}
+
+/**
+ * Get the active storage adapter (localStorage until initPersistence resolves)
+ *
+ * @returns {Object} Storage adapter
+ */
+export function getPersistenceAdapter() {
+    if (!activeAdapter) {
+        activeAdapter = createLocalStorageAdapter();
+    }
+    return activeAdapter;
+}
+
+/**
+ * Export all persisted data as JSON
+ * Every slice in PERSISTED_KEYS is included, so a backup restores everything
+ * the app stores.
+ *
+ * @returns {Promise<Object>} All app data
+ */
+export async function exportPersistedData() {
+    const snapshot = await getPersistenceAdapter().loadAll(PERSISTED_KEYS);
+    const emptyValue = (key) => (OBJECT_KEYS.includes(key) ? {} : []);
+
+    return {
+        exportDate: new Date().toISOString(),
+        ...Object.fromEntries(PERSISTED_KEYS.map(key => [key, snapshot[key] ?? emptyValue(key)])),
+        version: snapshot.version || '1.0.0',
+    };
+}
+
+/**
+ * Import data into the active storage backend
+ *
+ * @param {Object} data - Data to import
+ * @returns {Promise<boolean>} Success status
+ */
+export async function importPersistedData(data) {
+    try {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Invalid data format');
+        }
+
+        const adapter = getPersistenceAdapter();
+        for (const key of PERSISTED_KEYS) {
+            if (data[key]) await adapter.save(key, data[key]);
+        }
+
+        return true;
+    } catch (error) {
+        console.error('Error importing data', error);
+        return false;
+    }
+}
+
+/**
+ * Clear all app data from the active backend (and any localStorage leftovers)
+ */
+export async function clearPersistedData() {
+    await getPersistenceAdapter().clear();
+    clearAllStorage();
+}
+
+/**
+ * Get browser storage usage estimate
+ *
+ * @returns {Promise<{usage: number, quota: number}|null>} Estimate in bytes
+ */
+export async function getStorageEstimate() {
+    try {
+        if (typeof navigator === 'undefined' || !navigator.storage?.estimate) return null;
+        const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+        return { usage, quota };
+    } catch {
+        return null;
+    }
+}
@@ -0,0 +1,158 @@
+/**
+ * Project Templates
+ * Generate a project's allocations from phases and their task templates.
+ * Tasks run in sequence (phase order, then task order), each linked
+ * Finish-to-Start to the one before, and are scheduled with the same
+ * recalculation used for every other allocation.
+ */
+
+import { recalculateAllocations } from './recalculate';
+import { DEPENDENCY_TYPES } from './dependencies';
+import { generateId } from './storage';
+import { defaultRoleTiers } from '../data';
+
+// Assignment key for task templates without a default role
+export const OTHER_ROLE = 'other';
+
+/**
+ * Role a task template is assigned by
+ */
+export function getTaskRole(task) {
+    return task?.role || OTHER_ROLE;
+}
+
+/**
+ * Display name of a template role
+ */
+export function getTemplateRoleLabel(role) {
+    if (role === OTHER_ROLE) return 'Other tasks';
+    return defaultRoleTiers[role]?.name || role;
+}
+
+/**
+ * Phases that can be used in a template (terminal phases such as Idle are not work)
+ */
+export function getTemplatePhases(phases = []) {
+    return phases
+        .filter(p => !p.isTerminal)
+        .sort((a, b) => (a.sortOrder ?? 0) - (b.sortOrder ?? 0));
+}
+
+/**
+ * Selected phases in sort order, each with its task templates
+ * A phase's tasks are those it lists, then any other templates linked to it by phaseId.
+ *
+ * @param {Array} phases - Phase records
+ * @param {Array} tasks - Task template records
+ * @param {Array} phaseIds - Selected phase IDs
+ * @returns {Array<{phase: Object, task: Object}>} Tasks in the order they run
+ */
+export function getTemplateTasks(phases = [], tasks = [], phaseIds = []) {
+    return getTemplatePhases(phases)
+        .filter(phase => phaseIds.includes(phase.id))
+        .flatMap(phase => {
+            const listed = (phase.tasks || [])
+                .map(id => tasks.find(t => t.id === id))
+                .filter(Boolean);
+            const linked = tasks.filter(t => t.phaseId === phase.id && !listed.includes(t));
+            return [...listed, ...linked].map(task => ({ phase, task }));
+        });
+}
+
+/**
+ * Distinct roles needed by the template tasks, in first-use order
+ */
+export function getTemplateRoles(templateTasks = []) {
+    return [...new Set(templateTasks.map(({ task }) => getTaskRole(task)))];
+}
+
+/**
+ * Validate a template selection
+ *
+ * @param {Object} selection - { phaseIds, complexity, startDate, assignments }
+ * @param {Array} templateTasks - Result of getTemplateTasks for the selection
+ * @returns {Object} Field → error message (empty when valid)
+ */
+export function validateTemplateSelection(selection, templateTasks = []) {
+    const errors = {};
+
+    if (templateTasks.length === 0) {
+        errors.phaseIds = 'Select at least one phase with task templates';
+    }
+    if (!selection.complexity) {
+        errors.complexity = 'Complexity is required';
+    }
+    if (!selection.startDate) {
+        errors.startDate = 'Start date is required';
+    }
+    const unassigned = getTemplateRoles(templateTasks).filter(role => !selection.assignments?.[role]);
+    if (unassigned.length > 0) {
+        errors.assignments = `Assign a member to ${unassigned.map(getTemplateRoleLabel).join(', ')}`;
+    }
+
+    return errors;
+}
+
+/**
+ * Generate the allocations of a project from a template selection
+ *
+ * @param {Object} selection - { phaseIds, complexity, startDate, assignments: { role: memberId } }
+ * @param {Object} project - Project the allocations belong to ({ id, code })
+ * @param {Object} state - App state (phases, tasks, members, complexity, costs, holidays,
+ *   leaves, costCenters, coa, settings)
+ * @returns {Array} Scheduled allocation records, in the order they run
+ */
+export function generateTemplateAllocations(selection, project, state) {
+    const templateTasks = getTemplateTasks(state.phases, state.tasks, selection.phaseIds);
+
+    let previousId = null;
+    const allocations = templateTasks.map(({ phase, task }) => {
+        const member = state.members.find(m => m.id === selection.assignments?.[getTaskRole(task)]);
+        const id = generateId();
+        const allocation = {
+            id,
+            projectId: project.id,
+            demandNumber: project.code,
+            activityName: task.name,
+            category: task.category || phase.category || 'Project',
+            resourceId: member?.id || '',
+            resource: member?.name || '',
+            complexity: selection.complexity,
+            priority: '',
+            ticketId: '',
+            slaDeadline: '',
+            slaStatus: 'Within SLA',
+            phase: phase.name,
+            taskName: task.name,
+            status: 'open',
+            tags: [],
+            // The first task starts on the chosen date, the rest follow their predecessor
+            dependencies: previousId ? [{ predecessorId: previousId, type: DEPENDENCY_TYPES.FS, lag: 0 }] : [],
+            assignmentPercent: null,
+            percentComplete: 0,
+            plan: { taskStart: selection.startDate, taskEnd: '', costProject: 0, costMonthly: 0 },
+            actual: { taskStart: '', taskEnd: '', costProject: 0 },
+            variance: { scheduleDays: 0, costAmount: 0 },
+            workload: 0,
+            remarks: '',
+            costCenterId: '',
+            costCenterSnapshot: null,
+        };
+        previousId = id;
+        return allocation;
+    });
+
+    return recalculateAllocations(
+        allocations,
+        state.complexity,
+        state.costs,
+        state.tasks,
+        state.holidays,
+        state.leaves,
+        state.members,
+        state.costCenters,
+        state.coa,
+        state.settings,
+        state.exchangeRates
+    );
+}
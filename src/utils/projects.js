@@ -0,0 +1,152 @@
+/**
+ * Projects
+ * Project records that allocations reference by projectId. The allocation's
+ * demandNumber is kept as a display snapshot of the project code.
+ *
+ * Shape:
+ *   { id, code, name, ownerId, sponsorCostCenterId, budget, currency, status, priority,
+ *     startDate, targetDate, description, createdAt, updatedAt }
+ */
+
+import { calculateEarnedValue } from './evm';
+import { convertAmount } from './currency';
+
+export const projectStatusOptions = [
+    { value: 'proposed', label: 'Proposed', variant: 'secondary' },
+    { value: 'active', label: 'Active', variant: 'info' },
+    { value: 'on-hold', label: 'On Hold', variant: 'warning' },
+    { value: 'completed', label: 'Completed', variant: 'success' },
+    { value: 'cancelled', label: 'Cancelled', variant: 'destructive' },
+];
+
+export const projectPriorityOptions = [
+    { value: 'low', label: 'Low' },
+    { value: 'medium', label: 'Medium' },
+    { value: 'high', label: 'High' },
+    { value: 'critical', label: 'Critical' },
+];
+
+export const projectHealthOptions = [
+    { value: 'on-track', label: 'On Track', variant: 'success' },
+    { value: 'at-risk', label: 'At Risk', variant: 'warning' },
+    { value: 'off-track', label: 'Off Track', variant: 'destructive' },
+];
+
+export const emptyProject = {
+    code: '',
+    name: '',
+    ownerId: '',
+    sponsorCostCenterId: '',
+    budget: 0,
+    currency: '',
+    status: 'active',
+    priority: 'medium',
+    startDate: '',
+    targetDate: '',
+    description: '',
+};
+
+/**
+ * Allocations that belong to a project
+ */
+export function getProjectAllocations(allocations = [], projectId) {
+    return allocations.filter(a => a.projectId === projectId);
+}
+
+/**
+ * Refresh an allocation's demandNumber snapshot from its project
+ *
+ * @param {Object} allocation - Allocation record
+ * @param {Array} projects - Project records
+ * @returns {Object} Allocation (unchanged when it has no project or the snapshot is current)
+ */
+export function withProjectSnapshot(allocation, projects = []) {
+    if (!allocation.projectId) return allocation;
+    const project = projects.find(p => p.id === allocation.projectId);
+    if (!project || allocation.demandNumber === project.code) return allocation;
+    return { ...allocation, demandNumber: project.code };
+}
+
+/**
+ * Validate a project record
+ *
+ * @param {Object} project - Project being saved
+ * @param {Array} projects - Existing projects
+ * @returns {Object} Field → error message (empty when valid)
+ */
+export function validateProject(project, projects = []) {
+    const errors = {};
+    const code = project.code?.trim() || '';
+
+    if (!code) {
+        errors.code = 'Project code is required';
+    } else if (projects.some(p => p.id !== project.id && p.code.toLowerCase() === code.toLowerCase())) {
+        errors.code = `Project code "${code}" is already used`;
+    }
+    if (!project.name?.trim()) {
+        errors.name = 'Project name is required';
+    }
+    if (!(Number(project.budget) >= 0)) {
+        errors.budget = 'Budget cannot be negative';
+    }
+    if (project.startDate && project.targetDate && project.targetDate < project.startDate) {
+        errors.targetDate = 'Target date must be on or after the start date';
+    }
+
+    return errors;
+}
+
+/**
+ * Cost, schedule and earned value health of a project
+ * Off track when the plan overruns the budget or target date, or SPI/CPI drop below 0.9;
+ * at risk when SPI/CPI are below 1 or the plan uses more than 90% of the budget.
+ *
+ * @param {Object} project - Project record
+ * @param {Array} allocations - All allocation records
+ * @param {Date|string} statusDate - Status date (default today)
+ * @param {Object} conversion - { currency, exchangeRates } to compare the budget in the
+ *   reporting currency allocation costs are in (optional)
+ * @returns {Object} { status, issues, allocationCount, budget, plannedCost, actualCost, plannedFinish, percentComplete, spi, cpi, eac }
+ */
+export function getProjectHealth(project, allocations = [], statusDate = new Date(), conversion = null) {
+    const active = getProjectAllocations(allocations, project.id).filter(a => a.status !== 'cancelled');
+    const plannedCost = active.reduce((sum, a) => sum + (a.plan?.costProject || 0), 0);
+    const actualCost = active.reduce((sum, a) => sum + (a.actual?.costProject || 0), 0);
+    const plannedFinish = active.reduce((max, a) => (a.plan?.taskEnd > max ? a.plan.taskEnd : max), '');
+    const evm = calculateEarnedValue(active, statusDate);
+    const budget = conversion?.currency
+        ? convertAmount(project.budget, project.currency, conversion.currency, conversion.exchangeRates, project.startDate)
+        : Number(project.budget) || 0;
+
+    const issues = [];
+    if (budget > 0 && plannedCost > budget) {
+        issues.push({ level: 'off-track', message: 'Planned cost exceeds the budget' });
+    } else if (budget > 0 && plannedCost > budget * 0.9) {
+        issues.push({ level: 'at-risk', message: 'Planned cost uses more than 90% of the budget' });
+    }
+    if (project.targetDate && plannedFinish > project.targetDate) {
+        issues.push({ level: 'off-track', message: 'Planned finish is after the target date' });
+    }
+    [['SPI', evm.spi, 'Behind schedule'], ['CPI', evm.cpi, 'Over cost']].forEach(([label, value, message]) => {
+        if (value === null || value >= 1) return;
+        issues.push({ level: value < 0.9 ? 'off-track' : 'at-risk', message: `${message} (${label} ${value.toFixed(2)})` });
+    });
+
+    const status = issues.some(i => i.level === 'off-track')
+        ? 'off-track'
+        : issues.length > 0 ? 'at-risk' : 'on-track';
+
+    return {
+        status,
+        issues,
+        allocationCount: active.length,
+        budget,
+        plannedCost,
+        actualCost,
+        plannedFinish,
+        percentComplete: evm.bac > 0 ? (evm.ev / evm.bac) * 100 : 0,
+        spi: evm.spi,
+        cpi: evm.cpi,
+        eac: evm.eac,
+    };
+}
@@ -0,0 +1,337 @@
+/**
+ * Quotes
+ * Saved Project Cost Calculator estimates. Each save of a quote is a new,
+ * frozen version under the same quote number; an accepted version can be
+ * turned into a project with one placeholder allocation per resource line.
+ *
+ * Shape:
+ *   { id, quoteNumber, version, name, client, demandNumber, status,
+ *     startPhaseId, complexity, resources: [{ id, roleType, tierLevel }],
+ *     assumptions, contingencyPercent, summary, projectId, createdAt, updatedAt }
+ */
+
+import { defaultRoleTiers, getTierByRoleAndLevel } from '../data';
+import { addWorkdays, calculateMonthlyCost, calculateWithBuffer } from './calculations';
+import { BASE_CURRENCY, convertAmount, roundCurrency } from './currency';
+import { generateId } from './storage';
+
+// Working constants used to turn monthly tier costs into hourly rates
+export const WORKING_HOURS_PER_DAY = 8;
+export const WORKING_DAYS_PER_MONTH = 20;
+
+export const DEFAULT_CONTINGENCY_PERCENT = 15;
+
+export const QUOTE_STATUS = {
+    DRAFT: 'draft',
+    SENT: 'sent',
+    ACCEPTED: 'accepted',
+    REJECTED: 'rejected',
+};
+
+export const quoteStatusOptions = [
+    { value: QUOTE_STATUS.DRAFT, label: 'Draft', variant: 'secondary' },
+    { value: QUOTE_STATUS.SENT, label: 'Sent', variant: 'info' },
+    { value: QUOTE_STATUS.ACCEPTED, label: 'Accepted', variant: 'success' },
+    { value: QUOTE_STATUS.REJECTED, label: 'Rejected', variant: 'destructive' },
+];
+
+/**
+ * Project phases a quote covers: the start phase through the last project phase
+ *
+ * @param {Array} phases - Phase records
+ * @param {number|string} startPhaseId - Phase the estimate starts in
+ * @returns {Array} Covered phases in order
+ */
+export function getQuotePhases(phases = [], startPhaseId) {
+    const projectPhases = phases
+        .filter(p => p.category === 'Project' && !p.isTerminal)
+        .sort((a, b) => a.sortOrder - b.sortOrder);
+    const startIndex = projectPhases.findIndex(p => p.id.toString() === String(startPhaseId));
+    return startIndex === -1 ? projectPhases : projectPhases.slice(startIndex);
+}
+
+/**
+ * Cost an estimate: each resource line costs the complexity hours at its tier's
+ * mid cost, once per covered phase. Contingency is added to the cost and, through
+ * calculateWithBuffer, to the duration. Tier costs are in the base currency; with a
+ * conversion the quote is priced in that currency at the date's exchange rate.
+ *
+ * @param {Object} estimate - { startPhaseId, complexity, resources, contingencyPercent }
+ * @param {Object} complexitySettings - Complexity settings
+ * @param {Array} phases - Phase records
+ * @param {Object} conversion - { currency, exchangeRates, date } (optional)
+ * @returns {Object} Quote summary
+ */
+export function calculateQuote(estimate, complexitySettings, phases = [], conversion = null) {
+    const currency = conversion?.currency || BASE_CURRENCY;
+    const coveredPhases = getQuotePhases(phases, estimate.startPhaseId);
+    const phaseSpan = coveredPhases.length;
+    const complexityData = complexitySettings[estimate.complexity] || { hours: 0, days: 0 };
+    const contingencyPercent = Number(estimate.contingencyPercent) || 0;
+
+    const breakdown = (estimate.resources || []).map(resource => {
+        const tier = getTierByRoleAndLevel(resource.roleType, resource.tierLevel);
+        if (!tier) return null;
+
+        const monthlyCost = roundCurrency(
+            convertAmount(tier.midCost, BASE_CURRENCY, currency, conversion?.exchangeRates, conversion?.date),
+            currency
+        );
+        const perHourCost = roundCurrency(monthlyCost / WORKING_DAYS_PER_MONTH / WORKING_HOURS_PER_DAY, currency);
+        const cost = complexityData.hours * perHourCost * phaseSpan;
+
+        return {
+            id: resource.id,
+            roleType: resource.roleType,
+            tierLevel: resource.tierLevel,
+            roleName: defaultRoleTiers[resource.roleType]?.name || resource.roleType,
+            tierName: tier.name,
+            monthlyCost,
+            perHourCost,
+            cost,
+            mandays: (complexityData.hours / WORKING_HOURS_PER_DAY) * phaseSpan,
+        };
+    }).filter(Boolean);
+
+    const baseCost = breakdown.reduce((sum, line) => sum + line.cost, 0);
+    const contingencyCost = roundCurrency(baseCost * contingencyPercent / 100, currency);
+    const buffer = calculateWithBuffer(estimate.complexity || '', complexitySettings, contingencyPercent / 100);
+
+    return {
+        currency,
+        phases: coveredPhases.map(p => p.name),
+        phaseSpan,
+        breakdown,
+        baseCost,
+        contingencyCost,
+        totalCost: baseCost + contingencyCost,
+        totalMandays: breakdown.reduce((sum, line) => sum + line.mandays, 0),
+        baseDays: buffer.baseDays * phaseSpan,
+        bufferDays: buffer.buffer * phaseSpan,
+        totalDays: buffer.totalDays * phaseSpan,
+    };
+}
+
+/**
+ * All versions of a quote, newest first
+ */
+export function getQuoteVersions(quotes = [], quoteNumber) {
+    return quotes
+        .filter(q => q.quoteNumber === quoteNumber)
+        .sort((a, b) => b.version - a.version);
+}
+
+/**
+ * Next free quote number (Q-0001, Q-0002, ...)
+ */
+export function getNextQuoteNumber(quotes = []) {
+    const highest = quotes.reduce((max, q) => {
+        const n = parseInt(q.quoteNumber?.replace(/^Q-/, ''), 10);
+        return Number.isFinite(n) && n > max ? n : max;
+    }, 0);
+    return `Q-${String(highest + 1).padStart(4, '0')}`;
+}
+
+/**
+ * Validate the details of a quote before it is saved
+ *
+ * @returns {Object} Field → error message (empty when valid)
+ */
+export function validateQuote(quote) {
+    const errors = {};
+    if (!quote.name?.trim()) {
+        errors.name = 'Quote name is required';
+    }
+    if (!(quote.resources?.length > 0)) {
+        errors.resources = 'Add at least one resource';
+    }
+    const contingency = Number(quote.contingencyPercent);
+    if (!(contingency >= 0 && contingency <= 100)) {
+        errors.contingencyPercent = 'Contingency must be between 0 and 100%';
+    }
+    return errors;
+}
+
+/**
+ * Save an estimate as a quote version
+ * Without a previous version this starts a new quote number at version 1.
+ *
+ * @param {Object} details - { name, client, demandNumber, startPhaseId, complexity, resources, assumptions, contingencyPercent }
+ * @param {Object} summary - Result of calculateQuote for the details
+ * @param {Array} quotes - Existing quotes
+ * @param {Object} previous - Quote version this one revises (optional)
+ * @returns {Object} Quote record
+ */
+export function createQuote(details, summary, quotes = [], previous = null) {
+    const now = new Date().toISOString();
+    const quoteNumber = previous?.quoteNumber || getNextQuoteNumber(quotes);
+    const version = previous ? getQuoteVersions(quotes, quoteNumber)[0].version + 1 : 1;
+
+    return {
+        id: generateId('QTE'),
+        quoteNumber,
+        version,
+        name: details.name.trim(),
+        client: details.client?.trim() || '',
+        demandNumber: details.demandNumber?.trim() || '',
+        status: QUOTE_STATUS.DRAFT,
+        startPhaseId: details.startPhaseId,
+        complexity: details.complexity,
+        resources: details.resources.map(r => ({ id: r.id, roleType: r.roleType, tierLevel: r.tierLevel })),
+        assumptions: details.assumptions?.trim() || '',
+        contingencyPercent: Number(details.contingencyPercent) || 0,
+        summary,
+        projectId: '',
+        createdAt: now,
+        updatedAt: now,
+    };
+}
+
+/**
+ * Compare two quote versions line by line
+ * Resource rows are grouped by role and tier; deltas are b - a. Costs of b are
+ * converted into a's currency when the versions were priced in different ones.
+ *
+ * @param {Object} a - Quote version
+ * @param {Object} b - Quote version
+ * @param {Array} exchangeRates - Exchange rate records (optional)
+ * @returns {Object} { currency, totals: [{ label, a, b, delta }], resources: [{ label, a, b, delta }] }
+ */
+export function compareQuotes(a, b, exchangeRates = []) {
+    const currency = a.summary.currency || BASE_CURRENCY;
+    const toCurrency = (quote, amount) => convertAmount(amount, quote.summary.currency || BASE_CURRENCY, currency, exchangeRates);
+    const value = (quote, key) => (key.endsWith('Cost') ? toCurrency(quote, quote.summary[key]) : quote.summary[key]);
+    const metric = (label, key) => ({ label, key, a: value(a, key), b: value(b, key), delta: value(b, key) - value(a, key) });
+    const totals = [
+        metric('Base Cost', 'baseCost'),
+        metric('Contingency', 'contingencyCost'),
+        metric('Total Cost', 'totalCost'),
+        metric('Mandays', 'totalMandays'),
+        metric('Duration (days)', 'totalDays'),
+        metric('Phases', 'phaseSpan'),
+    ];
+
+    const lines = new Map();
+    [['a', a], ['b', b]].forEach(([side, quote]) => {
+        quote.summary.breakdown.forEach(line => {
+            const key = `${line.roleType}:${line.tierLevel}`;
+            if (!lines.has(key)) lines.set(key, { label: line.tierName, a: 0, b: 0 });
+            lines.get(key)[side] += toCurrency(quote, line.cost);
+        });
+    });
+    const resources = [...lines.values()].map(line => ({ ...line, delta: line.b - line.a }));
+
+    return { currency, totals, resources };
+}
+
+/**
+ * Flat rows for a CSV export of quote versions
+ */
+export function getQuoteExportRows(quotes = []) {
+    return quotes.map(q => ({
+        'Quote #': q.quoteNumber,
+        Version: q.version,
+        Name: q.name,
+        Client: q.client,
+        'Demand #': q.demandNumber,
+        Status: quoteStatusOptions.find(o => o.value === q.status)?.label || q.status,
+        Complexity: q.complexity,
+        Phases: q.summary.phases.join(' > '),
+        Resources: q.summary.breakdown.map(line => line.tierName).join('; '),
+        Currency: q.summary.currency || BASE_CURRENCY,
+        'Base Cost': q.summary.baseCost,
+        'Contingency %': q.contingencyPercent,
+        Contingency: q.summary.contingencyCost,
+        'Total Cost': q.summary.totalCost,
+        Mandays: q.summary.totalMandays,
+        'Duration (days)': q.summary.totalDays,
+        Assumptions: q.assumptions,
+        Created: q.createdAt,
+    }));
+}
+
+/**
+ * Check whether an allocation is a quote placeholder still waiting for a member
+ */
+export function isPlaceholderAllocation(allocation) {
+    return Boolean(allocation?.placeholderRole) && !allocation.resourceId;
+}
+
+/**
+ * Display label of an unassigned allocation, naming the quoted role when there is one
+ */
+export function getPlaceholderLabel(allocation) {
+    if (!isPlaceholderAllocation(allocation)) return 'Unassigned';
+    const role = defaultRoleTiers[allocation.placeholderRole];
+    const tier = getTierByRoleAndLevel(allocation.placeholderRole, allocation.placeholderTierLevel);
+    return `Unassigned · ${tier?.name || role?.name || allocation.placeholderRole}`;
+}
+
+/**
+ * Turn an accepted quote into a project and one placeholder allocation per resource line
+ * The project budget includes the contingency; each placeholder carries its line's cost
+ * over the buffered duration until it is bound to a member, after which the usual
+ * recalculation takes over.
+ *
+ * @param {Object} quote - Accepted quote version
+ * @param {Object} details - { id, code, name, startDate } of the new project
+ * @returns {{project: Object, allocations: Array}} Records to add
+ */
+export function createProjectFromQuote(quote, { id, code, name, startDate }) {
+    const { summary } = quote;
+    const taskEnd = addWorkdays(startDate, Math.max(summary.totalDays - 1, 0)).toISOString().split('T')[0];
+
+    const project = {
+        id,
+        code: code.trim(),
+        name: name.trim(),
+        ownerId: '',
+        sponsorCostCenterId: '',
+        budget: summary.totalCost,
+        currency: summary.currency || BASE_CURRENCY,
+        status: 'active',
+        priority: 'medium',
+        startDate,
+        targetDate: taskEnd,
+        description: [`From quote ${quote.quoteNumber} v${quote.version}`, quote.assumptions].filter(Boolean).join('\n'),
+    };
+
+    const allocations = summary.breakdown.map(line => ({
+        id: generateId(),
+        projectId: project.id,
+        demandNumber: project.code,
+        activityName: `${project.name} · ${line.roleName}`,
+        category: 'Project',
+        resourceId: '',
+        resource: '',
+        // Role and tier the quote priced, until a member is assigned
+        placeholderRole: line.roleType,
+        placeholderTierLevel: line.tierLevel,
+        complexity: quote.complexity,
+        priority: '',
+        ticketId: '',
+        slaDeadline: '',
+        slaStatus: 'Within SLA',
+        phase: summary.phases[0] || '',
+        taskName: '',
+        status: 'open',
+        tags: [],
+        dependencies: [],
+        assignmentPercent: null,
+        percentComplete: 0,
+        plan: {
+            taskStart: startDate,
+            taskEnd,
+            costProject: line.cost,
+            costMonthly: calculateMonthlyCost(line.cost, startDate, taskEnd),
+        },
+        actual: { taskStart: '', taskEnd: '', costProject: 0 },
+        variance: { scheduleDays: 0, costAmount: 0 },
+        workload: 0,
+        remarks: `${line.tierName} from quote ${quote.quoteNumber} v${quote.version}`,
+        costCenterId: '',
+        costCenterSnapshot: null,
+    }));
+
+    return { project, allocations };
+}
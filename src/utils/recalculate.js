@@ -5,15 +5,32 @@
 
 import {
     calculatePlanEndDate,
-    calculateProjectCost,
+    calculateProjectCostBreakdown,
+    calculateBaseProjectCostByMonth,
     calculateMonthlyCost,
-    calculateWorkloadPercentage,
+    calculateAllocationWorkload,
+    findAllocationMember,
+    getExcludedDates,
 } from './calculations';
+import {
+    getDependencies,
+    sortAllocationsByDependencies,
+    calculateDependencyStart,
+} from './dependencies';
+import { getMemberCalendars } from './workCalendar';
+import { BASE_CURRENCY } from './currency';
+import { getCostLines, getLoadingProfile } from './costLoading';
+import { calculateMonthlyAccruals } from './accruals';
+import { resolveCostCenterSplits } from './costCenterSplits';
 
 /**
  * Recalculate all allocations based on current settings
  * Call this when costs, complexity, or task templates change
  * 
+ * Allocations are processed in dependency order so that start dates cascade
+ * from predecessors (FS/SS/FF + lag) through the holiday/leave-aware workday calendar.
+ * Allocations caught in a dependency cycle keep their own start date.
+ * 
  * @param {Array} allocations - Current allocation records
  * @param {Object} complexity - Complexity settings
  * @param {Array} costs - Resource cost records
@@ -23,105 +40,210 @@ import {
  * @param {Array} members - Team member records
  * @param {Array} costCenters - Cost center records (optional)
  * @param {Array} coa - Chart of accounts records (optional)
+ * @param {Object} settings - App settings; costs are reported in settings.currency
+ * @param {Array} exchangeRates - Exchange rate records for cost tiers in other currencies (optional)
  * @returns {Array} Updated allocations with recalculated values
  */
-export function recalculateAllocations(allocations, complexity, costs, tasks, holidays, leaves, members = [], costCenters = [], coa = [], settings = {}) {
-    return allocations.map(allocation => {
-        // Skip if missing required fields
-        if (!allocation.plan?.taskStart || !allocation.resource || !allocation.complexity) {
-            return allocation;
-        }
+export function recalculateAllocations(allocations, complexity, costs, tasks, holidays, leaves, members = [], costCenters = [], coa = [], settings = {}, exchangeRates = []) {
+    const { order, cyclic } = sortAllocationsByDependencies(allocations);
+    if (cyclic.size > 0) {
+        console.warn(`[Recalculate] Dependency cycle detected, start dates not propagated for: ${[...cyclic].join(', ')}`);
+    }
 
-        try {
-            // Find the member to get their costTierId, costCenterId, and defaultCoaId
-            const member = members.find(m => m.name === allocation.resource);
-            const costTierId = member?.costTierId;
-            const memberCostCenterId = member?.costCenterId;
-            const memberDefaultCoaId = member?.defaultCoaId;
-
-            // Find the cost tier and its COA mapping
-            const costTier = costs.find(c => c.id === costTierId);
-
-            // Determine effective COA ID (Member override > Tier default)
-            const effectiveCoaId = memberDefaultCoaId || costTier?.coaId;
-
-            // Find the cost center information
-            const costCenter = costCenters.find(cc => cc.id === memberCostCenterId);
-
-            // Find the COA information
-            const coaEntry = coa.find(c => c.id === effectiveCoaId);
-
-            // Recalculate end date with capacity factor and cuti bersama settings
-            const taskEnd = calculatePlanEndDate(
-                allocation.plan.taskStart,
-                allocation.complexity,
-                allocation.resource,
-                holidays,
-                leaves,
-                complexity,
-                allocation.category,
-                settings?.capacityFactor ?? 0.85,
-                settings?.includeCutiBersama ?? true
-            );
-
-            // Support tasks have zero cost
-            const isProject = allocation.category === 'Project';
-            const costProject = isProject ? calculateProjectCost(
-                allocation.complexity,
-                costTierId || allocation.resource, // Fallback to name if no ID (for legacy/custom)
-                complexity,
-                costs,
-                allocation.category
-            ) : 0;
-
-            // Recalculate monthly cost
-            const costMonthly = calculateMonthlyCost(
-                costProject,
-                allocation.plan.taskStart,
-                taskEnd
-            );
-
-            // Recalculate workload percentage
-            const workload = calculateWorkloadPercentage(
-                allocation.taskName,
-                allocation.complexity,
-                tasks,
-                allocation.category
-            );
-
-            // Update cost center information
-            const costCenterSnapshot = costCenter ? {
-                id: costCenter.id,
-                code: costCenter.code,
-                name: costCenter.name,
-            } : null;
+    const results = [...allocations];
+    const scheduledById = new Map();
 
-            // COA integration
-            const coaSnapshot = coaEntry ? {
-                id: coaEntry.id,
-                code: coaEntry.code,
-                name: coaEntry.name,
-            } : null;
-
-            return {
-                ...allocation,
-                plan: {
-                    ...allocation.plan,
-                    taskEnd: taskEnd.toISOString().split('T')[0],
-                    costProject,
-                    costMonthly,
-                },
-                workload,
-                // Cost center integration
-                costCenterId: memberCostCenterId || '',
-                costCenterSnapshot,
-                // COA integration
-                coaId: effectiveCoaId || '',
-                coaSnapshot,
-            };
-        } catch (error) {
-            console.error(`[Recalculate] Failed for allocation ${allocation.id}:`, error);
-            return allocation;
+    order.forEach(index => {
+        let allocation = allocations[index];
+
+        if (!cyclic.has(allocation.id) && getDependencies(allocation).length > 0) {
+            allocation = applyDependencyStart(allocation, scheduledById, complexity, holidays, leaves, members, settings);
         }
+
+        const updated = recalculateAllocation(allocation, complexity, costs, tasks, holidays, leaves, members, costCenters, coa, settings, exchangeRates);
+        results[index] = updated;
+        if (updated.id) scheduledById.set(updated.id, updated);
     });
+
+    return results;
+}
+
+/**
+ * Move an allocation's plan start to the date its predecessors allow
+ */
+function applyDependencyStart(allocation, scheduledById, complexity, holidays, leaves, members, settings) {
+    if (!(allocation.resourceId || allocation.resource) || !allocation.complexity) {
+        return allocation;
+    }
+
+    const member = findAllocationMember(allocation, members);
+    const memberId = member?.id || allocation.resourceId;
+    const includeCutiBersama = settings?.includeCutiBersama ?? true;
+    const excludedDates = getExcludedDates(memberId, holidays, leaves, includeCutiBersama);
+    const calendars = getMemberCalendars(member);
+
+    const calculateEnd = (startDate) => calculatePlanEndDate(
+        startDate,
+        allocation.complexity,
+        memberId,
+        holidays,
+        leaves,
+        complexity,
+        allocation.category,
+        settings?.capacityFactor ?? 0.85,
+        includeCutiBersama,
+        calendars,
+        allocation.assignmentPercent
+    );
+
+    const taskStart = calculateDependencyStart(allocation, scheduledById, excludedDates, calculateEnd, calendars);
+    if (!taskStart || taskStart === allocation.plan?.taskStart) {
+        return allocation;
+    }
+
+    return {
+        ...allocation,
+        plan: {
+            ...allocation.plan,
+            taskStart,
+        },
+    };
+}
+
+/**
+ * Recalculate plan dates, costs, workload and snapshots of a single allocation
+ */
+function recalculateAllocation(allocation, complexity, costs, tasks, holidays, leaves, members, costCenters, coa, settings, exchangeRates) {
+    // Skip if missing required fields
+    if (!allocation.plan?.taskStart || !(allocation.resourceId || allocation.resource) || !allocation.complexity) {
+        return allocation;
+    }
+
+    try {
+        // Find the member to get their costTierId, costCenterId, and defaultCoaId
+        const member = findAllocationMember(allocation, members);
+        const costTierId = member?.costTierId;
+        const memberCostCenterId = member?.costCenterId;
+        const memberDefaultCoaId = member?.defaultCoaId;
+        const calendars = getMemberCalendars(member);
+
+        // Find the cost tier and its COA mapping
+        const costTier = costs.find(c => c.id === costTierId);
+
+        // Determine effective COA ID (Member override > Tier default)
+        const effectiveCoaId = memberDefaultCoaId || costTier?.coaId;
+
+        // Find the cost center information
+        const costCenter = costCenters.find(cc => cc.id === memberCostCenterId);
+
+        // Find the COA information
+        const coaEntry = coa.find(c => c.id === effectiveCoaId);
+
+        // Recalculate end date with capacity factor and cuti bersama settings
+        const taskEnd = calculatePlanEndDate(
+            allocation.plan.taskStart,
+            allocation.complexity,
+            member?.id || allocation.resourceId,
+            holidays,
+            leaves,
+            complexity,
+            allocation.category,
+            settings?.capacityFactor ?? 0.85,
+            settings?.includeCutiBersama ?? true,
+            calendars,
+            allocation.assignmentPercent
+        );
+
+        // Support tasks have zero cost; each working day is priced at the tier
+        // rate and exchange rate in force on it, then loaded with the overheads of
+        // the member's cost center or role
+        const excludedDates = getExcludedDates(member?.id || allocation.resourceId, holidays, leaves, settings?.includeCutiBersama ?? true);
+        const loading = getLoadingProfile(settings?.costLoading, {
+            roleType: costTier?.roleType,
+            costCenterId: memberCostCenterId,
+        });
+        const pricing = {
+            currency: settings?.currency || BASE_CURRENCY,
+            exchangeRates,
+            date: allocation.plan.taskStart,
+            endDate: taskEnd,
+            excludedDates,
+            calendars,
+            loading,
+        };
+        const breakdown = calculateProjectCostBreakdown(
+            allocation.complexity,
+            costTierId,
+            complexity,
+            costs,
+            allocation.category,
+            pricing
+        );
+        const costProject = breakdown.total;
+
+        // Recalculate monthly cost, and accrue the cost to months as each
+        // working day was priced
+        const costMonthly = calculateMonthlyCost(
+            costProject,
+            allocation.plan.taskStart,
+            taskEnd
+        );
+        const pricedByMonth = calculateBaseProjectCostByMonth(
+            allocation.complexity,
+            costTierId,
+            complexity,
+            costs,
+            allocation.category,
+            pricing
+        );
+        const costByMonth = calculateMonthlyAccruals(costProject, allocation.plan.taskStart, taskEnd, { excludedDates, calendars, pricedByMonth });
+
+        // Recalculate workload (assignment share or task template estimate)
+        const workload = calculateAllocationWorkload(allocation, tasks, calendars);
+
+        // Update cost center information
+        const costCenterSnapshot = costCenter ? {
+            id: costCenter.id,
+            code: costCenter.code,
+            name: costCenter.name,
+        } : null;
+
+        // COA integration
+        const coaSnapshot = coaEntry ? {
+            id: coaEntry.id,
+            code: coaEntry.code,
+            name: coaEntry.name,
+        } : null;
+
+        return {
+            ...allocation,
+            // Keep the ID reference and refresh the display name snapshot
+            resourceId: member?.id || allocation.resourceId || '',
+            resource: member?.name || allocation.resource,
+            plan: {
+                ...allocation.plan,
+                taskEnd: taskEnd.toISOString().split('T')[0],
+                costProject,
+                costMonthly,
+                costByMonth,
+                // Currency the costs are in, for reports comparing them later
+                currency: pricing.currency,
+                // Billable amount after markup, and the cost posted per COA account
+                costBillable: breakdown.billable,
+                costLines: getCostLines(breakdown, effectiveCoaId, settings?.costLoading?.accounts),
+                // Cost center shares in force (the allocation's splits, else the member's)
+                costCenterSplits: resolveCostCenterSplits(allocation, member),
+            },
+            workload,
+            // Cost center integration
+            costCenterId: memberCostCenterId || '',
+            costCenterSnapshot,
+            // COA integration
+            coaId: effectiveCoaId || '',
+            coaSnapshot,
+        };
+    } catch (error) {
+        console.error(`[Recalculate] Failed for allocation ${allocation.id}:`, error);
+        return allocation;
+    }
 }
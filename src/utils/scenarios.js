@@ -0,0 +1,293 @@
+/**
+ * What-if Scenarios
+ * Isolated forks of the planning data (members, allocations, costs, complexity)
+ * and their comparison against live data
+ *
+ * A scenario keeps the data it was forked from (base). Promoting applies only
+ * what the scenario changed since the fork, so live edits made meanwhile are
+ * kept; a record changed on both sides is a conflict that blocks promotion.
+ */
+
+import {
+    calculateMonthlyTrend,
+    getMemberWorkloads,
+    getExcludedDates,
+    workdaysBetween,
+} from './calculations';
+import { recalculateAllocations } from './recalculate';
+import { generateId } from './storage';
+import { CHANGE_REQUEST_KINDS, getChangeDiff, isApprovalRequired } from './changeRequests';
+
+// State slices a scenario owns; everything else (holidays, leaves, tasks, ...) is read from live data
+export const SCENARIO_KEYS = ['members', 'allocations', 'costs', 'complexity'];
+
+/**
+ * Fork the current state into a new scenario
+ * Slices are shared by reference: the reducer never mutates them in place,
+ * so edits on either side stay isolated.
+ *
+ * @param {Object} state - Live app state
+ * @param {Object} details - { name, description }
+ * @returns {Object} Scenario record
+ */
+export function createScenario(state, { name, description = '' }) {
+    const now = new Date().toISOString();
+    const data = {};
+    SCENARIO_KEYS.forEach(key => {
+        data[key] = state[key];
+    });
+
+    return {
+        id: generateId('SCN'),
+        name: name.trim(),
+        description: description.trim(),
+        createdAt: now,
+        updatedAt: now,
+        promotedAt: null,
+        data,
+        base: data,
+    };
+}
+
+/**
+ * Build the full app state as seen from inside a scenario
+ *
+ * @param {Object} state - Live app state
+ * @param {Object} scenario - Scenario record
+ * @returns {Object} Live state with the scenario's slices swapped in
+ */
+export function getScenarioState(state, scenario) {
+    return { ...state, ...scenario.data };
+}
+
+/**
+ * Recalculate a scenario's allocations (dates, costs, workload) after an edit
+ *
+ * @param {Object} scenarioState - State from getScenarioState, with the edit applied
+ * @returns {Object} Scenario data slices
+ */
+export function recalculateScenarioData(scenarioState) {
+    const allocations = recalculateAllocations(
+        scenarioState.allocations,
+        scenarioState.complexity,
+        scenarioState.costs,
+        scenarioState.tasks,
+        scenarioState.holidays,
+        scenarioState.leaves,
+        scenarioState.members,
+        scenarioState.costCenters,
+        scenarioState.coa,
+        scenarioState.settings,
+        scenarioState.exchangeRates
+    );
+
+    return {
+        members: scenarioState.members,
+        allocations,
+        costs: scenarioState.costs,
+        complexity: scenarioState.complexity,
+    };
+}
+
+const isActiveAllocation = (a) => a.status !== 'cancelled';
+
+const getTotalCost = (allocations) => allocations.reduce((sum, a) => sum + (a.plan?.costProject || 0), 0);
+
+/**
+ * Latest plan end date per demand
+ */
+function getDemandEndDates(allocations) {
+    const ends = new Map();
+    allocations.forEach(a => {
+        if (!a.demandNumber || !a.plan?.taskEnd) return;
+        const current = ends.get(a.demandNumber);
+        if (!current || a.plan.taskEnd > current) ends.set(a.demandNumber, a.plan.taskEnd);
+    });
+    return ends;
+}
+
+/**
+ * Compare a scenario against live data
+ *
+ * @param {Object} liveState - Live app state
+ * @param {Object} scenario - Scenario record
+ * @returns {Object} { totalCost, monthlyTrend, utilization, demandEndDates }
+ *   Each row carries `live`, `scenario` and `delta` values; demand slips are in workdays.
+ */
+export function compareScenario(liveState, scenario) {
+    const scenarioState = getScenarioState(liveState, scenario);
+    const liveAllocations = liveState.allocations.filter(isActiveAllocation);
+    const scenarioAllocations = scenarioState.allocations.filter(isActiveAllocation);
+
+    // Total cost
+    const liveCost = getTotalCost(liveAllocations);
+    const scenarioCost = getTotalCost(scenarioAllocations);
+
+    // Monthly burn over the months covered by either side
+    const liveTrend = new Map(calculateMonthlyTrend(liveAllocations).map(m => [m.month, m.cost]));
+    const scenarioTrend = new Map(calculateMonthlyTrend(scenarioAllocations).map(m => [m.month, m.cost]));
+    const monthlyTrend = calculateMonthlyTrend([...liveAllocations, ...scenarioAllocations]).map(({ month }) => {
+        const live = liveTrend.get(month) || 0;
+        const forecast = scenarioTrend.get(month) || 0;
+        return { month, live, scenario: forecast, delta: forecast - live };
+    });
+
+    // Utilization per member (members only present on one side show null there)
+    const liveWorkloads = new Map(getMemberWorkloads(liveAllocations, liveState.members).map(w => [w.memberId, w]));
+    const scenarioWorkloads = new Map(getMemberWorkloads(scenarioAllocations, scenarioState.members).map(w => [w.memberId, w]));
+    const memberIds = [...new Set([...liveWorkloads.keys(), ...scenarioWorkloads.keys()])];
+    const utilization = memberIds.map(memberId => {
+        const live = liveWorkloads.get(memberId);
+        const forecast = scenarioWorkloads.get(memberId);
+        return {
+            memberId,
+            name: forecast?.name || live?.name,
+            live: live ? live.percentage : null,
+            scenario: forecast ? forecast.percentage : null,
+            delta: (forecast?.percentage || 0) - (live?.percentage || 0),
+        };
+    });
+
+    // End date per demand, with the slip in workdays
+    const excludedDates = getExcludedDates(null, liveState.holidays, [], liveState.settings?.includeCutiBersama ?? true);
+    const liveEnds = getDemandEndDates(liveAllocations);
+    const scenarioEnds = getDemandEndDates(scenarioAllocations);
+    const demandNumbers = [...new Set([...liveEnds.keys(), ...scenarioEnds.keys()])].sort();
+    const demandEndDates = demandNumbers.map(demandNumber => {
+        const live = liveEnds.get(demandNumber) || null;
+        const forecast = scenarioEnds.get(demandNumber) || null;
+        return {
+            demandNumber,
+            live,
+            scenario: forecast,
+            delta: live && forecast ? workdaysBetween(live, forecast, excludedDates) : null,
+        };
+    });
+
+    return {
+        totalCost: { live: liveCost, scenario: scenarioCost, delta: scenarioCost - liveCost },
+        monthlyTrend,
+        utilization,
+        demandEndDates,
+    };
+}
+
+// Allocation fields recalculation derives from the rest; they differ between
+// live and scenario whenever either side recalculates, so changes ignore them
+const DERIVED_ALLOCATION_FIELDS = ['resource', 'workload', 'costCenterId', 'costCenterSnapshot', 'coaSnapshot'];
+const DERIVED_PLAN_FIELDS = ['taskEnd', 'costProject', 'costMonthly', 'costByMonth', 'costBillable', 'costLines', 'costCenterSplits'];
+
+// Records of a slice by key: entity collections by id, complexity by level
+function toRecords(slice) {
+    if (Array.isArray(slice)) return new Map(slice.map(item => [item.id, item]));
+    return new Map(Object.entries(slice || {}));
+}
+
+function fromRecords(records, like) {
+    return Array.isArray(like) ? [...records.values()] : Object.fromEntries(records);
+}
+
+// Comparable form of a record, without derived fields
+function getRecordSignature(key, record) {
+    if (record === undefined) return undefined;
+    if (key !== 'allocations') return JSON.stringify(record);
+
+    const inputs = { ...record, plan: { ...record.plan } };
+    DERIVED_ALLOCATION_FIELDS.forEach(field => delete inputs[field]);
+    DERIVED_PLAN_FIELDS.forEach(field => delete inputs.plan[field]);
+    return JSON.stringify(inputs);
+}
+
+// Records of one slice that differ between two versions: [{ id, before, after }]
+function diffRecords(key, before, after) {
+    const beforeRecords = toRecords(before);
+    const afterRecords = toRecords(after);
+    const ids = [...new Set([...beforeRecords.keys(), ...afterRecords.keys()])];
+
+    return ids
+        .map(id => ({ id, before: beforeRecords.get(id), after: afterRecords.get(id) }))
+        .filter(change => getRecordSignature(key, change.before) !== getRecordSignature(key, change.after));
+}
+
+/**
+ * What a scenario changed since it was forked
+ *
+ * @param {Object} scenario - Scenario record
+ * @returns {Object} Slice key → [{ id, before, after }] (after is undefined for a removal)
+ */
+export function getScenarioChanges(scenario) {
+    return Object.fromEntries(SCENARIO_KEYS.map(key => [
+        key,
+        scenario.base ? diffRecords(key, scenario.base[key], scenario.data[key]) : [],
+    ]));
+}
+
+/**
+ * Why a scenario cannot be promoted
+ * A scenario without its fork base cannot tell its changes from live ones.
+ * Records the scenario changes must not have changed in live data since the
+ * fork, and allocations it removes must have no logged time. With manager
+ * approval on, rate changes must go through change requests instead.
+ *
+ * @param {Object} state - Live app state
+ * @param {Object} scenario - Scenario record
+ * @returns {Array<string>} Conflict messages (empty when it can be promoted)
+ */
+export function getPromotionConflicts(state, scenario) {
+    if (!scenario.base) {
+        return ['This scenario was created before promotion could keep live changes; fork a new scenario to promote these edits'];
+    }
+
+    const changes = getScenarioChanges(scenario);
+    const conflicts = [];
+    SCENARIO_KEYS.forEach(key => {
+        const liveChanged = new Map(diffRecords(key, scenario.base[key], state[key]).map(change => [change.id, change]));
+        changes[key].forEach(change => {
+            const live = liveChanged.get(change.id);
+            if (live && getRecordSignature(key, live.after) !== getRecordSignature(key, change.after)) {
+                const record = change.after || change.before;
+                conflicts.push(`${record.name || record.resourceName || record.activityName || record.label || change.id} (${key}) was also changed in live data since the fork`);
+            }
+        });
+    });
+
+    const loggedAllocationIds = new Set((state.timeEntries || []).map(entry => entry.allocationId));
+    changes.allocations
+        .filter(change => change.after === undefined && loggedAllocationIds.has(change.id))
+        .forEach(change => conflicts.push(`${change.before.activityName || change.id} has logged time and cannot be removed`));
+
+    if (isApprovalRequired(state.settings)) {
+        changes.costs.forEach(({ id, after }) => {
+            const live = state.costs.find(c => c.id === id);
+            if (after && live && getChangeDiff(CHANGE_REQUEST_KINDS.COST_TIER, live, after).length > 0) {
+                conflicts.push(`${after.resourceName} rate change needs manager approval; submit a change request for it in Resource Costs`);
+            }
+        });
+    }
+
+    return conflicts;
+}
+
+/**
+ * Live planning slices with a scenario's changes applied
+ *
+ * @param {Object} state - Live app state
+ * @param {Object} scenario - Scenario record without promotion conflicts
+ * @returns {Object} Scenario slices ({ members, allocations, costs, complexity })
+ */
+export function mergeScenarioChanges(state, scenario) {
+    const changes = getScenarioChanges(scenario);
+    return Object.fromEntries(SCENARIO_KEYS.map(key => {
+        if (changes[key].length === 0) return [key, state[key]];
+
+        const records = toRecords(state[key]);
+        changes[key].forEach(({ id, after }) => {
+            if (after === undefined) {
+                records.delete(id);
+            } else {
+                records.set(id, after);
+            }
+        });
+        return [key, fromRecords(records, state[key])];
+    }));
+}
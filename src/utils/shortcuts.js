@@ -79,6 +79,19 @@ export const APP_SHORTCUTS = {
         description: 'Cancel / Close modal',
         category: 'action',
     },
+    UNDO: {
+        key: 'z',
+        meta: true,
+        description: 'Undo last change',
+        category: 'edit',
+    },
+    REDO: {
+        key: 'z',
+        meta: true,
+        shift: true,
+        description: 'Redo last undone change',
+        category: 'edit',
+    },
     DELETE: {
         key: 'Backspace',
         meta: true,
@@ -14,9 +14,20 @@ const STORAGE_KEYS = {
     holidays: `${STORAGE_PREFIX}holidays`,
     leaves: `${STORAGE_PREFIX}leaves`,
     allocations: `${STORAGE_PREFIX}allocations`,
+    projects: `${STORAGE_PREFIX}projects`,
     costCenters: `${STORAGE_PREFIX}costCenters`,
     coa: `${STORAGE_PREFIX}coa`,
+    auditLog: `${STORAGE_PREFIX}auditLog`,
     settings: `${STORAGE_PREFIX}settings`,
+    scenarios: `${STORAGE_PREFIX}scenarios`,
+    baselines: `${STORAGE_PREFIX}baselines`,
+    quotes: `${STORAGE_PREFIX}quotes`,
+    exchangeRates: `${STORAGE_PREFIX}exchangeRates`,
+    timeEntries: `${STORAGE_PREFIX}timeEntries`,
+    timesheets: `${STORAGE_PREFIX}timesheets`,
+    changeRequests: `${STORAGE_PREFIX}changeRequests`,
+    chargebacks: `${STORAGE_PREFIX}chargebacks`,
+    timers: `${STORAGE_PREFIX}timers`,
     version: `${STORAGE_PREFIX}version`,
 };
 
@@ -97,9 +108,11 @@ export function exportAllData() {
         holidays: loadFromStorage('holidays', []),
         leaves: loadFromStorage('leaves', []),
         allocations: loadFromStorage('allocations', []),
+        projects: loadFromStorage('projects', []),
         costCenters: loadFromStorage('costCenters', []),
         coa: loadFromStorage('coa', []),
         settings: loadFromStorage('settings', {}),
+        exchangeRates: loadFromStorage('exchangeRates', []),
     };
 
     return data;
@@ -109,9 +122,9 @@ export function exportAllData() {
  * Download data as JSON file
  * 
  * @param {string} filename - File name (without extension)
+ * @param {Object} data - Data to download (defaults to localStorage export)
  */
-export function downloadAsJson(filename = 'wrm-export') {
-    const data = exportAllData();
+export function downloadAsJson(filename = 'wrm-export', data = exportAllData()) {
     const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
 
@@ -145,9 +158,11 @@ export function importData(data) {
         if (data.holidays) saveToStorage('holidays', data.holidays);
         if (data.leaves) saveToStorage('leaves', data.leaves);
         if (data.allocations) saveToStorage('allocations', data.allocations);
+        if (data.projects) saveToStorage('projects', data.projects);
         if (data.costCenters) saveToStorage('costCenters', data.costCenters);
         if (data.coa) saveToStorage('coa', data.coa);
         if (data.settings) saveToStorage('settings', data.settings);
+        if (data.exchangeRates) saveToStorage('exchangeRates', data.exchangeRates);
         if (data.version) saveToStorage('version', data.version);
 
         return true;
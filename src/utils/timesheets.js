@@ -0,0 +1,312 @@
+/**
+ * Timesheets
+ * Hours logged per member, allocation and day, grouped into weekly timesheets that
+ * move through draft → submitted → approved (or rejected back for correction).
+ * Approved hours become the allocation's actual effort and cost.
+ *
+ * Shapes:
+ *   time entry: { id, memberId, allocationId, date: 'yyyy-MM-dd', hours }
+ *   timesheet:  { id, memberId, weekStart: 'yyyy-MM-dd' (Monday), status, submittedAt, reviewedAt, reviewNote }
+ *   timer:      { memberId, allocationId, startedAt (ISO) }
+ */
+
+import { addDays, format, parseISO, startOfDay, startOfWeek } from 'date-fns';
+import { findAllocationMember } from './calculations';
+import { calculateDatedCost } from './costRates';
+import { applyCostLoading, getLoadingProfile } from './costLoading';
+import { BASE_CURRENCY } from './currency';
+import { generateId } from './storage';
+
+export const TIMESHEET_STATUS = {
+    DRAFT: 'draft',
+    SUBMITTED: 'submitted',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+};
+
+export const timesheetStatusOptions = [
+    { value: TIMESHEET_STATUS.DRAFT, label: 'Draft', variant: 'secondary' },
+    { value: TIMESHEET_STATUS.SUBMITTED, label: 'Submitted', variant: 'info' },
+    { value: TIMESHEET_STATUS.APPROVED, label: 'Approved', variant: 'success' },
+    { value: TIMESHEET_STATUS.REJECTED, label: 'Rejected', variant: 'destructive' },
+];
+
+// Allowed status changes; editing is only possible in draft or rejected weeks
+const TRANSITIONS = {
+    [TIMESHEET_STATUS.DRAFT]: [TIMESHEET_STATUS.SUBMITTED],
+    [TIMESHEET_STATUS.REJECTED]: [TIMESHEET_STATUS.SUBMITTED],
+    [TIMESHEET_STATUS.SUBMITTED]: [TIMESHEET_STATUS.APPROVED, TIMESHEET_STATUS.REJECTED],
+    [TIMESHEET_STATUS.APPROVED]: [],
+};
+
+// Timer time is booked in quarter hours
+const TIMER_INCREMENT = 0.25;
+
+/**
+ * Monday of the week containing a date
+ *
+ * @param {Date|string} date - Any date in the week
+ * @returns {string} Week start (yyyy-MM-dd)
+ */
+export function getWeekStart(date) {
+    const value = typeof date === 'string' ? parseISO(date) : date;
+    return format(startOfWeek(value, { weekStartsOn: 1 }), 'yyyy-MM-dd');
+}
+
+/**
+ * The seven dates (Monday..Sunday) of a week
+ */
+export function getWeekDates(weekStart) {
+    const start = parseISO(weekStart);
+    return Array.from({ length: 7 }, (_, i) => format(addDays(start, i), 'yyyy-MM-dd'));
+}
+
+/**
+ * Find a member's timesheet for a week
+ *
+ * @returns {Object|undefined} Timesheet record (none = draft)
+ */
+export function findTimesheet(timesheets = [], memberId, weekStart) {
+    return timesheets.find(t => t.memberId === memberId && t.weekStart === weekStart);
+}
+
+/**
+ * Status of a member's week (weeks without a record are drafts)
+ */
+export function getTimesheetStatus(timesheets = [], memberId, weekStart) {
+    return findTimesheet(timesheets, memberId, weekStart)?.status || TIMESHEET_STATUS.DRAFT;
+}
+
+/**
+ * Check whether a member can still change hours in a week
+ */
+export function isWeekEditable(timesheets = [], memberId, date) {
+    const status = getTimesheetStatus(timesheets, memberId, getWeekStart(date));
+    return status === TIMESHEET_STATUS.DRAFT || status === TIMESHEET_STATUS.REJECTED;
+}
+
+/**
+ * Set the hours of one member/allocation/day (0 removes the entry)
+ *
+ * @param {Array} timeEntries - Current entries
+ * @param {Object} entry - { memberId, allocationId, date, hours }
+ * @returns {Array} Updated entries
+ */
+export function setTimeEntry(timeEntries = [], { memberId, allocationId, date, hours }) {
+    const existing = timeEntries.find(e =>
+        e.memberId === memberId && e.allocationId === allocationId && e.date === date
+    );
+
+    if (!hours) {
+        return existing ? timeEntries.filter(e => e !== existing) : timeEntries;
+    }
+    if (existing) {
+        return timeEntries.map(e => (e === existing ? { ...e, hours } : e));
+    }
+    return [...timeEntries, { id: generateId('TIME'), memberId, allocationId, date, hours }];
+}
+
+/**
+ * Validate hours for a member/allocation/day against the week status and a 24-hour day
+ *
+ * @param {Array} timeEntries - Current entries
+ * @param {Array} timesheets - Timesheet records
+ * @param {Object} entry - { memberId, allocationId, date, hours }
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateTimeEntry(timeEntries = [], timesheets = [], entry) {
+    if (!(entry.hours >= 0 && entry.hours <= 24)) return 'Hours must be between 0 and 24';
+    if (!isWeekEditable(timesheets, entry.memberId, entry.date)) {
+        return `The timesheet for the week of ${getWeekStart(entry.date)} is locked`;
+    }
+
+    const otherHours = timeEntries
+        .filter(e => e.memberId === entry.memberId && e.date === entry.date && e.allocationId !== entry.allocationId)
+        .reduce((sum, e) => sum + e.hours, 0);
+    if (otherHours + entry.hours > 24) return `More than 24 hours logged on ${entry.date}`;
+
+    return null;
+}
+
+/**
+ * Hours a running timer has accumulated, rounded up to the next quarter hour
+ *
+ * @param {Object} timer - { startedAt }
+ * @param {Date|string} stoppedAt - Stop time
+ * @returns {number} Hours (at least one increment)
+ */
+export function getTimerHours(timer, stoppedAt) {
+    const elapsed = (new Date(stoppedAt) - new Date(timer.startedAt)) / 3600000;
+    return Math.max(TIMER_INCREMENT, Math.ceil(elapsed / TIMER_INCREMENT) * TIMER_INCREMENT);
+}
+
+/**
+ * Spread a stopped timer's time over the calendar days it ran
+ * The total is rounded up as in getTimerHours, with the rounding booked on the last day.
+ * Days in locked weeks are skipped and no day goes past 24 hours for the member;
+ * whatever cannot be booked is reported as unbooked.
+ *
+ * @param {Array} timeEntries - Current entries
+ * @param {Array} timesheets - Timesheet records
+ * @param {Object} timer - { memberId, allocationId, startedAt }
+ * @param {Date|string} stoppedAt - Stop time
+ * @returns {Object} { entries: [{ memberId, allocationId, date, hours }], hours, unbookedHours }
+ *   where each entry holds the day's new total for the timer's allocation
+ */
+export function getTimerEntries(timeEntries = [], timesheets = [], timer, stoppedAt) {
+    const { memberId, allocationId } = timer;
+    const start = new Date(timer.startedAt);
+    const end = new Date(stoppedAt);
+    const total = getTimerHours(timer, stoppedAt);
+
+    // Whole increments elapsed on each calendar day
+    const days = [];
+    for (let day = startOfDay(start); day < end || days.length === 0; day = addDays(day, 1)) {
+        const elapsed = Math.max(0, (Math.min(end, addDays(day, 1)) - Math.max(start, day)) / 3600000);
+        days.push({ date: format(day, 'yyyy-MM-dd'), hours: Math.floor(elapsed / TIMER_INCREMENT) * TIMER_INCREMENT });
+    }
+    days[days.length - 1].hours += total - days.reduce((sum, d) => sum + d.hours, 0);
+
+    const entries = [];
+    let booked = 0;
+    days.forEach(day => {
+        if (!day.hours || !isWeekEditable(timesheets, memberId, day.date)) return;
+
+        const dayEntries = timeEntries.filter(e => e.memberId === memberId && e.date === day.date);
+        const hours = Math.min(day.hours, 24 - dayEntries.reduce((sum, e) => sum + e.hours, 0));
+        if (hours <= 0) return;
+
+        const logged = dayEntries.find(e => e.allocationId === allocationId)?.hours || 0;
+        entries.push({ memberId, allocationId, date: day.date, hours: logged + hours });
+        booked += hours;
+    });
+
+    return { entries, hours: booked, unbookedHours: total - booked };
+}
+
+/**
+ * Why a member's week cannot move to a status
+ *
+ * @param {Array} timesheets - Timesheet records
+ * @param {Object} change - { memberId, weekStart, status, note }
+ * @returns {string|null} Error message, or null when the transition is allowed
+ */
+export function getTimesheetTransitionError(timesheets = [], { memberId, weekStart, status, note = '' }) {
+    const current = getTimesheetStatus(timesheets, memberId, weekStart);
+    if (!TRANSITIONS[current]?.includes(status)) {
+        return `A ${current} timesheet cannot be ${status}`;
+    }
+    if (status === TIMESHEET_STATUS.REJECTED && !note.trim()) {
+        return 'A reason is required to reject a timesheet';
+    }
+    return null;
+}
+
+/**
+ * Move a member's week to a new status
+ * Throws when the transition is not allowed (see getTimesheetTransitionError).
+ *
+ * @param {Array} timesheets - Timesheet records
+ * @param {Object} change - { memberId, weekStart, status, note }
+ * @returns {Array} Updated timesheets
+ */
+export function transitionTimesheet(timesheets = [], { memberId, weekStart, status, note = '' }) {
+    const error = getTimesheetTransitionError(timesheets, { memberId, weekStart, status, note });
+    if (error) {
+        throw new Error(error);
+    }
+
+    const existing = findTimesheet(timesheets, memberId, weekStart);
+    const now = new Date().toISOString();
+    const updated = {
+        ...(existing || { id: generateId('TS'), memberId, weekStart }),
+        status,
+        ...(status === TIMESHEET_STATUS.SUBMITTED
+            ? { submittedAt: now, reviewedAt: null, reviewNote: '' }
+            : { reviewedAt: now, reviewNote: note.trim() }),
+    };
+
+    return existing
+        ? timesheets.map(t => (t === existing ? updated : t))
+        : [...timesheets, updated];
+}
+
+/**
+ * Logged and approved hours per allocation
+ * approvedByDate keeps approved hours per day so actuals can be priced at the
+ * rate in force on the day the work was done.
+ *
+ * @returns {Map} allocationId → { logged, approved, approvedByDate: { date: hours } }
+ */
+export function getAllocationHours(timeEntries = [], timesheets = []) {
+    const approvedWeeks = new Set(
+        timesheets
+            .filter(t => t.status === TIMESHEET_STATUS.APPROVED)
+            .map(t => `${t.memberId}|${t.weekStart}`)
+    );
+
+    const hours = new Map();
+    timeEntries.forEach(entry => {
+        const totals = hours.get(entry.allocationId) || { logged: 0, approved: 0, approvedByDate: {} };
+        totals.logged += entry.hours;
+        if (approvedWeeks.has(`${entry.memberId}|${getWeekStart(entry.date)}`)) {
+            totals.approved += entry.hours;
+            totals.approvedByDate[entry.date] = (totals.approvedByDate[entry.date] || 0) + entry.hours;
+        }
+        hours.set(entry.allocationId, totals);
+    });
+    return hours;
+}
+
+/**
+ * Fill each allocation's actual hours, actual cost and cost variance from approved timesheets
+ * Cost is each day's approved hours × the member's tier rate in force that day, loaded
+ * like planned cost when a cost loading is given; like planned cost, only Project
+ * allocations carry cost. Allocations without approved hours keep a zero actual cost
+ * and variance.
+ *
+ * @param {Array} allocations - Allocation records
+ * @param {Array} timeEntries - Time entries
+ * @param {Array} timesheets - Timesheet records
+ * @param {Array} members - Team member records
+ * @param {Array} costs - Resource cost tiers
+ * @param {Object} conversion - { currency, exchangeRates, costLoading } to report actuals in,
+ *   converted at each day's exchange rate (optional)
+ * @returns {Array} Allocations with actual.hours, actual.costProject (in actual.currency) and variance.costAmount
+ */
+export function applyTimesheetActuals(allocations = [], timeEntries = [], timesheets = [], members = [], costs = [], conversion = null) {
+    const hoursByAllocation = getAllocationHours(timeEntries, timesheets);
+
+    return allocations.map(allocation => {
+        const totals = hoursByAllocation.get(allocation.id);
+        const hours = totals?.approved || 0;
+        const member = findAllocationMember(allocation, members);
+        const tier = costs.find(c => c.id === member?.costTierId);
+        const baseCost = allocation.category === 'Project' && tier
+            ? Object.entries(totals?.approvedByDate || {}).reduce((sum, [date, dayHours]) => sum + calculateDatedCost(dayHours, tier, {
+                startDate: date,
+                currency: conversion?.currency,
+                exchangeRates: conversion?.exchangeRates,
+            }), 0)
+            : 0;
+        const loading = getLoadingProfile(conversion?.costLoading, { roleType: tier?.roleType, costCenterId: member?.costCenterId });
+        const currency = conversion?.currency || tier?.currency || BASE_CURRENCY;
+        const costProject = applyCostLoading(baseCost, loading, currency).total;
+        const costAmount = hours > 0 ? costProject - (allocation.plan?.costProject || 0) : 0;
+
+        if (
+            (allocation.actual?.hours || 0) === hours &&
+            (allocation.actual?.costProject || 0) === costProject &&
+            (!costProject || allocation.actual?.currency === currency) &&
+            (allocation.variance?.costAmount || 0) === costAmount
+        ) {
+            return allocation;
+        }
+
+        return {
+            ...allocation,
+            actual: { ...allocation.actual, hours, costProject, currency },
+            variance: { ...allocation.variance, costAmount },
+        };
+    });
+}
@@ -0,0 +1,146 @@
+/**
+ * Working Calendars
+ * Per-member working weekdays and hours per day, each valid for an effective date range.
+ * Days outside every range fall back to the standard Monday–Friday, 8-hour calendar.
+ *
+ * Calendar shape: { id, workdays: [0-6] (0 = Sunday), hoursPerDay, effectiveFrom, effectiveTo }
+ * An empty effectiveFrom/effectiveTo leaves that side of the range open.
+ */
+
+import { addDays, format, parseISO } from 'date-fns';
+
+export const STANDARD_HOURS_PER_DAY = 8;
+
+export const STANDARD_CALENDAR = {
+    workdays: [1, 2, 3, 4, 5],
+    hoursPerDay: STANDARD_HOURS_PER_DAY,
+    effectiveFrom: '',
+    effectiveTo: '',
+};
+
+export const weekdayOptions = [
+    { value: 1, label: 'Mon' },
+    { value: 2, label: 'Tue' },
+    { value: 3, label: 'Wed' },
+    { value: 4, label: 'Thu' },
+    { value: 5, label: 'Fri' },
+    { value: 6, label: 'Sat' },
+    { value: 0, label: 'Sun' },
+];
+
+const toDateString = (date) => (typeof date === 'string' ? date.slice(0, 10) : format(date, 'yyyy-MM-dd'));
+
+/**
+ * Get a member's calendar periods
+ *
+ * @param {Object} member - Team member record
+ * @returns {Array} Calendar periods (empty = standard calendar)
+ */
+export function getMemberCalendars(member) {
+    return Array.isArray(member?.workCalendars) ? member.workCalendars : [];
+}
+
+/**
+ * Find the calendar in effect on a date
+ *
+ * @param {Array} calendars - Calendar periods
+ * @param {Date|string} date - Date to look up
+ * @returns {Object} Effective calendar, or STANDARD_CALENDAR
+ */
+export function getCalendarForDate(calendars = [], date) {
+    if (calendars.length === 0) return STANDARD_CALENDAR;
+    const day = toDateString(date);
+    return calendars.find(c =>
+        (!c.effectiveFrom || c.effectiveFrom <= day) &&
+        (!c.effectiveTo || c.effectiveTo >= day)
+    ) || STANDARD_CALENDAR;
+}
+
+/**
+ * Check whether a date is a working weekday on the member's calendar
+ * Holidays and leaves are handled separately as excluded dates.
+ *
+ * @param {Date|string} date - Date to check
+ * @param {Array} calendars - Calendar periods
+ * @returns {boolean} True for a working weekday
+ */
+export function isWorkingDay(date, calendars = []) {
+    const value = typeof date === 'string' ? parseISO(date) : date;
+    return getCalendarForDate(calendars, value).workdays.includes(value.getDay());
+}
+
+/**
+ * Working days from start to end (inclusive) as yyyy-MM-dd strings
+ *
+ * @param {Date|string} startDate - First day
+ * @param {Date|string} endDate - Last day
+ * @param {Array<string|Date>} excludedDates - Dates to skip (holidays, leaves)
+ * @param {Array} calendars - Calendar periods
+ * @returns {Array<string>} Working dates in order
+ */
+export function getWorkingDates(startDate, endDate, excludedDates = [], calendars = []) {
+    const excluded = new Set(excludedDates.map(toDateString));
+    const end = toDateString(endDate);
+    const days = [];
+    let current = typeof startDate === 'string' ? parseISO(startDate) : new Date(startDate);
+
+    while (toDateString(current) <= end) {
+        const day = toDateString(current);
+        if (isWorkingDay(current, calendars) && !excluded.has(day)) {
+            days.push(day);
+        }
+        current = addDays(current, 1);
+    }
+    return days;
+}
+
+/**
+ * Hours per working day on a date
+ */
+export function getHoursPerDay(calendars = [], date) {
+    return getCalendarForDate(calendars, date).hoursPerDay || STANDARD_HOURS_PER_DAY;
+}
+
+/**
+ * Contracted hours per week on a date (working weekdays × hours per day)
+ */
+export function getWeeklyHours(calendars = [], date) {
+    const calendar = getCalendarForDate(calendars, date);
+    return calendar.workdays.length * (calendar.hoursPerDay || STANDARD_HOURS_PER_DAY);
+}
+
+/**
+ * Describe a calendar for display, e.g. "Mon, Wed, Fri · 6h/day"
+ */
+export function describeCalendar(calendar) {
+    const days = weekdayOptions
+        .filter(o => calendar.workdays.includes(o.value))
+        .map(o => o.label)
+        .join(', ');
+    return `${days || 'No days'} · ${calendar.hoursPerDay}h/day`;
+}
+
+/**
+ * Validate a member's calendar periods
+ *
+ * @param {Array} calendars - Calendar periods
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateWorkCalendars(calendars = []) {
+    for (const calendar of calendars) {
+        if (!calendar.workdays?.length) return 'Each calendar needs at least one working day';
+        if (!(calendar.hoursPerDay > 0 && calendar.hoursPerDay <= 24)) return 'Hours per day must be between 1 and 24';
+        if (calendar.effectiveFrom && calendar.effectiveTo && calendar.effectiveFrom > calendar.effectiveTo) {
+            return 'Effective from must be before effective to';
+        }
+    }
+
+    // Open-ended sides compare as the earliest/latest possible date
+    const sorted = [...calendars].sort((a, b) => (a.effectiveFrom || '').localeCompare(b.effectiveFrom || ''));
+    for (let i = 1; i < sorted.length; i++) {
+        const previousEnd = sorted[i - 1].effectiveTo || '9999-12-31';
+        if ((sorted[i].effectiveFrom || '') <= previousEnd) return 'Calendar date ranges must not overlap';
+    }
+
+    return null;
+}
@@ -0,0 +1,23 @@
+/**
+ * Monte Carlo Worker
+ * Runs the schedule risk simulation off the main thread
+ *
+ * In:  { allocations, context, options }
+ * Out: { type: 'progress', progress } | { type: 'result', result } | { type: 'error', message }
+ */
+
+import { runMonteCarlo } from '../utils/monteCarlo';
+
+self.onmessage = (event) => {
+    const { allocations, context, options } = event.data;
+
+    try {
+        const result = runMonteCarlo(allocations, context, {
+            ...options,
+            onProgress: (progress) => self.postMessage({ type: 'progress', progress }),
+        });
+        self.postMessage({ type: 'result', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};